@@ -19,6 +19,7 @@
 
 var AccountingService = require('../db/schemas/accountingService'),
      config = require('../config'),
+     errors = require('../lib/errors').errors,
      uuid = require('node-uuid');
 
 var authorizeService = (function () {
@@ -57,7 +58,7 @@ var authorizeService = (function () {
                 service.save(function(err) {
 
                     if (err) {
-                        res.status(500).json({error: err.message});
+                        errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
 
                     } else {
 
@@ -66,11 +67,11 @@ var authorizeService = (function () {
                 });
 
             } else {
-                res.status(422).json({error: 'Url missing'});
+                errors.send(res, errors.create('ACCOUNTING_MISSING_URL'));
             }
 
         } catch (e) {
-            res.status(400).json({ error: 'Invalid body' });
+            errors.send(res, errors.create('INVALID_BODY'));
         }
     };
 
@@ -87,9 +88,9 @@ var authorizeService = (function () {
 
         AccountingService.update({apiKey: apiKey}, { $set: {state: 'COMMITTED'}}, function (err, rawResp) {
             if (err) {
-                res.status(500).json({error: err.message});
+                errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
             } else if (rawResp.n < 1) {
-                res.status(404).json({error: 'Invalid API Key'});
+                errors.send(res, errors.create('ACCOUNTING_INVALID_API_KEY'));
             } else {
                 res.status(200).send();
             }
@@ -0,0 +1,398 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    config = require('./../config'),
+    errors = require('./../lib/errors').errors,
+    logger = require('./../lib/logger').logger.getLogger('Batch'),
+    rateLimiter = require('./../lib/rateLimit').rateLimiter,
+    stream = require('stream'),
+    tmf = require('./tmf').tmf,
+    url = require('url'),
+    utils = require('./../lib/utils');
+
+/**
+ * Executes several requests to the APIs in a single HTTP request. Every request of the batch goes
+ * through the same rate limits and validations as if it had been made on its own, with the user of
+ * the batch request.
+ *
+ * Atomic batches (?atomic=true) are executed in order and stop at the first request that fails. The
+ * resources created by the previous requests are then deleted, since the APIs do not support
+ * transactions. These deletions are sent to the APIs without the validations of the proxy, which
+ * do not allow users to delete most resources, and the batch fails (500) when any of them fails.
+ */
+var batch = (function() {
+
+    var METHODS = ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'];
+
+    // Headers of the batch request not sent with its requests, since they describe the batch itself
+    var BATCH_HEADERS = ['content-length', 'content-type', 'transfer-encoding', 'connection', 'expect'];
+
+    // Headers of the responses of the APIs that only apply to the connection with the proxy
+    var HOP_BY_HOP_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+    var DEFAULT_MAX_REQUESTS = 20;
+    var DEFAULT_CONCURRENCY = 5;
+
+    var getBatchConfig = function() {
+        return config.batch || {};
+    };
+
+    var getPath = function(path) {
+
+        var proxyPrefix = config.proxyPrefix || '';
+
+        // Paths can be given with the prefix of the proxy, as they are requested by the portal
+        if (proxyPrefix && path.indexOf(proxyPrefix + '/') === 0) {
+            return path.substring(proxyPrefix.length);
+        }
+
+        return path;
+    };
+
+    /**
+     * Validates the requests of a batch.
+     * @param {String} body The body of the batch request: an array of requests, with their method,
+     * their path (relative to the prefix of the proxy) and their body
+     * @returns {Array} The requests
+     * @throws {Error} When the batch is not valid
+     */
+    var parseRequests = function(body) {
+
+        var maxRequests = getBatchConfig().maxRequests || DEFAULT_MAX_REQUESTS;
+        var requests;
+
+        try {
+            requests = JSON.parse(body);
+        } catch (e) {
+            throw new Error('The body must be a JSON array of requests');
+        }
+
+        if (!Array.isArray(requests) || !requests.length) {
+            throw new Error('The body must be a JSON array of requests');
+        }
+
+        if (requests.length > maxRequests) {
+            throw new Error('A batch cannot include more than ' + maxRequests + ' requests');
+        }
+
+        return requests.map(function(request, index) {
+
+            var position = 'Request ' + (index + 1) + ': ';
+
+            if (request === null || typeof(request) !== 'object') {
+                throw new Error(position + 'it must be an object');
+            }
+
+            var method = typeof(request.method) === 'string' ? request.method.toUpperCase() : null;
+
+            if (METHODS.indexOf(method) < 0) {
+                throw new Error(position + 'the method must be one of ' + METHODS.join(', '));
+            }
+
+            if (typeof(request.path) !== 'string' || request.path.charAt(0) !== '/') {
+                throw new Error(position + 'the path must be an absolute path');
+            }
+
+            return {
+                method: method,
+                path: getPath(request.path),
+                body: request.body
+            };
+        });
+    };
+
+    // Requests of the batch are built with the fields of the batch request read by the validators
+    var createRequest = function(req, request, index) {
+
+        var parsedUrl = url.parse(request.path, true);
+        var headers = {};
+        var body;
+
+        for (var header in req.headers) {
+            if (BATCH_HEADERS.indexOf(header) < 0) {
+                headers[header] = req.headers[header];
+            }
+        }
+
+        if (request.body !== undefined && request.body !== null) {
+            body = typeof(request.body) === 'string' ? request.body : JSON.stringify(request.body);
+            headers['content-type'] = 'application/json';
+            headers['content-length'] = String(Buffer.byteLength(body));
+        }
+
+        return {
+            id: req.id !== undefined ? req.id + '-' + (index + 1) : undefined,
+            method: request.method,
+            url: config.proxyPrefix + request.path,
+            originalUrl: config.proxyPrefix + request.path,
+            path: config.proxyPrefix + parsedUrl.pathname,
+            apiUrl: request.path,
+            query: parsedUrl.query,
+            headers: headers,
+            body: body,
+            user: req.user,
+            ip: req.ip,
+            ips: req.ips,
+            hostname: req.hostname,
+            secure: req.secure,
+            protocol: req.protocol,
+            connection: req.connection,
+            trace: req.trace,
+            app: req.app,
+            get: function(name) {
+                return headers[name.toLowerCase()];
+            }
+        };
+    };
+
+    var buildResult = function(status, headers, body) {
+
+        var result = { status: status, headers: {} };
+
+        for (var header in headers) {
+            if (HOP_BY_HOP_HEADERS.indexOf(header) < 0) {
+                result.headers[header] = headers[header];
+            }
+        }
+
+        if (body.length) {
+            var content = body.toString();
+
+            try {
+                result.body = /json/.test(headers['content-type'] || '') ? JSON.parse(content) : content;
+            } catch (e) {
+                result.body = content;
+            }
+        }
+
+        return result;
+    };
+
+    // Response where the validators and the proxied requests write, which is read once it is ended
+    var createResponse = function(callback) {
+
+        var res = new stream.Writable();
+        var chunks = [];
+
+        res.statusCode = 200;
+        res.headers = {};
+        res.headersSent = false;
+
+        res._write = function(chunk, encoding, done) {
+            res.headersSent = true;
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+            done();
+        };
+
+        res.status = function(status) {
+            res.statusCode = status;
+            return res;
+        };
+
+        res.setHeader = function(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        };
+
+        res.set = function(name, value) {
+            res.setHeader(name, value);
+            return res;
+        };
+
+        res.getHeader = function(name) {
+            return res.headers[name.toLowerCase()];
+        };
+
+        res.json = function(body) {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+            return res;
+        };
+
+        res.send = function(body) {
+            return typeof(body) === 'object' && !Buffer.isBuffer(body) ? res.json(body) : res.end(body);
+        };
+
+        res.on('finish', function() {
+            callback(null, buildResult(res.statusCode, res.headers, Buffer.concat(chunks)));
+        });
+
+        return res;
+    };
+
+    var execute = function(req, request, index, callback) {
+
+        var subRequest = createRequest(req, request, index);
+        var subResponse = createResponse(callback);
+
+        rateLimiter.limit(subRequest, subResponse, function() {
+            tmf.checkPermissions(subRequest, subResponse);
+        });
+    };
+
+    var isSuccessful = function(result) {
+        return result.status < 400;
+    };
+
+    var isCreation = function(request, result) {
+        return request.method === 'POST' && isSuccessful(result);
+    };
+
+    // The path of the resource created by a request, which is deleted when an atomic batch fails.
+    // IDs are returned by the APIs, so only the ones that are a single segment of the path are used
+    var getCreatedResource = function(request, result) {
+
+        var id = result.body ? result.body.id : undefined;
+
+        if ((typeof(id) !== 'string' && typeof(id) !== 'number') || !/^[^\/?#%\\]+$/.test(id) ||
+                id === '.' || id === '..') {
+            return null;
+        }
+
+        return url.parse(request.path).pathname.replace(/\/$/, '') + '/' + id;
+    };
+
+    // Resources created in the batch are deleted by the user that created them, so the deletions
+    // are validated as any other request, but they are not limited
+    var deleteResource = function(req, path, index, callback) {
+
+        var subRequest = createRequest(req, { method: 'DELETE', path: path }, index);
+        var subResponse = createResponse(callback);
+
+        tmf.checkPermissions(subRequest, subResponse);
+    };
+
+    var createSkippedResult = function() {
+        var err = errors.create('BATCH_REQUEST_SKIPPED');
+        return { status: err.status, headers: {}, body: errors.toBody(err) };
+    };
+
+    /**
+     * Deletes the resources created by the requests of a failed atomic batch.
+     * @param {Function} callback Called with whether every resource has been deleted
+     */
+    var rollBack = function(req, requests, results, callback) {
+
+        var created = [];
+        var completed = true;
+
+        results.forEach(function(result, index) {
+            if (isCreation(requests[index], result)) {
+                created.unshift({ index: index, path: getCreatedResource(requests[index], result) });
+            }
+        });
+
+        // Resources are deleted in the reverse order, so the ones that refer to others are deleted first
+        async.eachSeries(created, function(resource, resourceCallback) {
+
+            var complete = function(rolledBack, reason) {
+
+                results[resource.index].rolledBack = rolledBack;
+
+                if (!rolledBack) {
+                    completed = false;
+                    utils.log(logger, 'error', req, 'The resource created by request ' + (resource.index + 1) +
+                        ' cannot be deleted: ' + reason);
+                }
+
+                resourceCallback();
+            };
+
+            if (!resource.path) {
+                return complete(false, 'the API has not returned a valid ID');
+            }
+
+            deleteResource(req, resource.path, resource.index, function(err, result) {
+                complete(isSuccessful(result), result.status);
+            });
+
+        }, function() {
+            callback(completed);
+        });
+    };
+
+    var executeAtomic = function(req, requests, callback) {
+
+        var results = [];
+        var failed = false;
+
+        async.eachOfSeries(requests, function(request, index, requestCallback) {
+
+            if (failed) {
+                results.push(createSkippedResult());
+                return requestCallback();
+            }
+
+            execute(req, request, index, function(err, result) {
+                failed = !isSuccessful(result);
+                results.push(result);
+                requestCallback();
+            });
+
+        }, function() {
+
+            if (failed) {
+                rollBack(req, requests, results, function(completed) {
+                    callback(null, results, !completed);
+                });
+            } else {
+                callback(null, results);
+            }
+        });
+    };
+
+    /**
+     * Executes the requests of a batch and returns their status, headers and body in the same order.
+     * Requests are executed concurrently (up to config.batch.concurrency at a time), unless the
+     * batch is atomic. Failed atomic batches whose resources cannot be deleted return 500.
+     */
+    var executeBatch = function(req, res) {
+
+        var atomic = req.query.atomic === 'true';
+        var requests;
+
+        try {
+            requests = parseRequests(req.body);
+        } catch (e) {
+            return errors.send(res, errors.create('BATCH_INVALID', null, e.message));
+        }
+
+        utils.log(logger, 'info', req, 'Executing ' + (atomic ? 'atomic ' : '') + 'batch of ' +
+            requests.length + ' requests');
+
+        var sendResults = function(err, results, rollbackFailed) {
+            res.status(rollbackFailed ? 500 : 200).json(results);
+        };
+
+        if (atomic) {
+            executeAtomic(req, requests, sendResults);
+        } else {
+            async.timesLimit(requests.length, getBatchConfig().concurrency || DEFAULT_CONCURRENCY, function(index, callback) {
+                execute(req, requests[index], index, callback);
+            }, sendResults);
+        }
+    };
+
+    return {
+        execute: executeBatch
+    };
+
+})();
+
+exports.batch = batch;
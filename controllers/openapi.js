@@ -0,0 +1,410 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    errors = require('./../lib/errors').errors,
+    hrefs = require('./../lib/hrefs').hrefs,
+    http = require('http'),
+    packageInfo = require('./../package.json'),
+    tmf = require('./tmf').tmf,
+    utils = require('./../lib/utils');
+
+/**
+ * OpenAPI 3 description of the APIs exposed by the proxy. The methods of every API are the ones
+ * accepted by the validators of its controller, so the document does not include the operations
+ * that the proxy rejects even if the API supports them.
+ */
+var openapi = (function() {
+
+    var METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+    // Methods whose body is validated, so they can be rejected with the errors of the content
+    var BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+    var BODY_ERROR_STATUSES = [409, 422];
+
+    var ACTIONS = {
+        collection: { GET: 'list', POST: 'create' },
+        item: { GET: 'retrieve', PUT: 'replace', PATCH: 'update', DELETE: 'delete' }
+    };
+
+    // Resources supported by the proxy for every endpoint, with the methods the APIs provide for
+    // their collections and items. Features of the APIs which are not supported are not included
+    var API_RESOURCES = {
+        catalog: {
+            basePath: 'api/catalogManagement/v2',
+            resources: [
+                { path: 'catalog', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH'] },
+                { path: 'catalog/{catalogId}/productOffering', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH'] },
+                { path: 'productOffering', collection: ['GET'], item: ['GET'] },
+                { path: 'productSpecification', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH'] },
+                // Categories are the only resources of the catalog that can be deleted
+                { path: 'category', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH', 'DELETE'] }
+            ]
+        },
+        ordering: {
+            basePath: 'api/productOrdering/v2',
+            resources: [
+                { path: 'productOrder', collection: ['GET', 'POST'], item: ['GET', 'PATCH'] }
+            ]
+        },
+        inventory: {
+            basePath: 'api/productInventory/v2',
+            resources: [
+                { path: 'product', collection: ['GET'], item: ['GET'] }
+            ]
+        },
+        party: {
+            basePath: 'api/partyManagement/v2',
+            resources: [
+                { path: 'individual', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH', 'DELETE'] },
+                { path: 'organization', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH', 'DELETE'] }
+            ]
+        },
+        billing: {
+            basePath: 'api/billingManagement/v2',
+            resources: [
+                { path: 'billingAccount', collection: ['GET', 'POST'], item: ['GET', 'PATCH'] },
+                { path: 'appliedCustomerBillingCharge', collection: ['GET'] }
+            ]
+        },
+        customer: {
+            basePath: 'api/customerManagement/v2',
+            resources: [
+                { path: 'customer', collection: ['GET', 'POST'], item: ['GET', 'PATCH', 'DELETE'] },
+                { path: 'customerAccount', collection: ['GET', 'POST'], item: ['GET', 'PATCH', 'DELETE'] }
+            ]
+        },
+        usage: {
+            basePath: 'api/usageManagement/v2',
+            resources: [
+                // Usages are created by the accounting services with their API keys
+                { path: 'usage', collection: ['GET', 'POST'], item: ['GET'], apiKey: ['POST'] },
+                { path: 'usageSpecification', collection: ['GET'], item: ['GET'] }
+            ]
+        },
+        rss: {
+            basePath: 'rss',
+            resources: [
+                { path: 'models', collection: ['GET', 'POST'] },
+                { path: 'providers', collection: ['GET', 'POST'] },
+                { path: 'cdrs', collection: ['GET', 'POST'] },
+                { path: 'settlement/reports', collection: ['GET'] }
+            ]
+        },
+        charging: {
+            basePath: 'api',
+            resources: [
+                { path: 'assetManagement/assetTypes', collection: ['GET'], item: ['GET'] },
+                { path: 'assetManagement/assets/uploadJob', collection: ['POST'] },
+                { path: 'orderManagement/orders/accept', collection: ['POST'] },
+                { path: 'orderManagement/orders/cancel', collection: ['POST'] }
+            ]
+        }
+    };
+
+    var SECURITY_SCHEMES = {
+        bearerToken: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'OAuth2 access token given by the IdM'
+        },
+        authToken: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-Auth-Token',
+            description: 'OAuth2 access token given by the IdM'
+        },
+        apiKey: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-KEY',
+            description: 'API key given to the accounting services of the products'
+        }
+    };
+
+    var USER_SECURITY = [{ bearerToken: [] }, { authToken: [] }];
+
+    // Methods accepted by the controller: the ones with validators which do not always reject the
+    // request. Controllers without validators forward every method
+    var getAllowedMethods = function(controller) {
+
+        var validators = controller.validators;
+
+        if (!validators) {
+            return METHODS;
+        }
+
+        return METHODS.filter(function(method) {
+            return !!validators[method] && validators[method].indexOf(utils.methodNotAllowed) < 0;
+        });
+    };
+
+    var requiresLogin = function(controller, method) {
+        var validators = controller.validators && controller.validators[method];
+        return !!validators && validators.indexOf(utils.validateLoggedIn) >= 0;
+    };
+
+    var getErrorStatuses = function() {
+
+        var statuses = [];
+
+        errors.list().forEach(function(error) {
+            if (statuses.indexOf(error.status) < 0) {
+                statuses.push(error.status);
+            }
+        });
+
+        return statuses.sort(function(status1, status2) {
+            return status1 - status2;
+        });
+    };
+
+    // Every error status is described once, including the codes that may be returned with it
+    var getErrorResponses = function() {
+
+        var responses = {};
+        var codes = errors.list();
+
+        getErrorStatuses().forEach(function(status) {
+            responses['Error' + status] = {
+                description: http.STATUS_CODES[status] + '. Codes: ' + codes.filter(function(error) {
+                    return error.status === status;
+                }).map(function(error) {
+                    return error.code;
+                }).join(', '),
+                content: {
+                    'application/json': {
+                        schema: { $ref: '#/components/schemas/Error' }
+                    }
+                }
+            };
+        });
+
+        return responses;
+    };
+
+    // Name of the resource without the path parameters (e.g. catalog.productOffering)
+    var getResourceName = function(resourcePath) {
+
+        var segments = resourcePath.split('/').filter(function(segment) {
+            return segment[0] !== '{';
+        });
+
+        return segments.length ? segments.join('.') : 'resource';
+    };
+
+    var getItemName = function(resourcePath) {
+        return resourcePath.split('/').pop().replace(/[{}]/g, '');
+    };
+
+    var getPathParameters = function(path) {
+
+        var parameters = [];
+        var regExp = /\{([^}]+)\}/g;
+        var match;
+
+        while ((match = regExp.exec(path)) !== null) {
+            parameters.push({
+                name: match[1],
+                in: 'path',
+                required: true,
+                schema: { type: 'string' }
+            });
+        }
+
+        return parameters;
+    };
+
+    var buildOperation = function(endpointName, controller, resource, method, kind) {
+
+        var action = ACTIONS[kind][method];
+        var successStatus = method === 'POST' ? '201' : (method === 'DELETE' ? '204' : '200');
+        var responses = {};
+
+        responses[successStatus] = {
+            description: http.STATUS_CODES[successStatus]
+        };
+
+        if (successStatus !== '204') {
+            responses[successStatus].content = {
+                'application/json': {
+                    schema: { type: kind === 'collection' && method === 'GET' ? 'array' : 'object' }
+                }
+            };
+        }
+
+        getErrorStatuses().forEach(function(status) {
+            if (BODY_METHODS.indexOf(method) >= 0 || BODY_ERROR_STATUSES.indexOf(status) < 0) {
+                responses[String(status)] = { $ref: '#/components/responses/Error' + status };
+            }
+        });
+
+        var operation = {
+            tags: [endpointName],
+            summary: action[0].toUpperCase() + action.substring(1) + ' ' + getItemName(resource.path),
+            operationId: endpointName + '.' + getResourceName(resource.path) + '.' + action,
+            responses: responses
+        };
+
+        if (resource.apiKey && resource.apiKey.indexOf(method) >= 0) {
+            operation.security = [{ apiKey: [] }];
+        } else if (!requiresLogin(controller, method)) {
+            // Anonymous users are allowed, but the response may depend on the user
+            operation.security = [{}].concat(USER_SECURITY);
+        }
+
+        if (BODY_METHODS.indexOf(method) >= 0) {
+            operation.requestBody = {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: { type: 'object' }
+                    }
+                }
+            };
+        }
+
+        return operation;
+    };
+
+    var addResourcePaths = function(paths, endpointName, controller, apiPath, resource) {
+
+        var allowedMethods = getAllowedMethods(controller);
+        var collectionPath = apiPath + '/' + resource.path;
+        var itemPath = collectionPath + '/{' + getItemName(resource.path) + 'Id}';
+
+        [['collection', collectionPath], ['item', itemPath]].forEach(function(entry) {
+
+            var kind = entry[0];
+            var path = entry[1];
+
+            var methods = (resource[kind] || []).filter(function(method) {
+                return allowedMethods.indexOf(method) >= 0;
+            });
+
+            if (methods.length) {
+
+                paths[path] = {};
+
+                var parameters = getPathParameters(path);
+
+                if (parameters.length) {
+                    paths[path].parameters = parameters;
+                }
+
+                methods.forEach(function(method) {
+                    paths[path][method.toLowerCase()] = buildOperation(endpointName, controller, resource, method, kind);
+                });
+            }
+        });
+    };
+
+    /**
+     * Builds the OpenAPI document of the APIs exposed by the proxy. APIs defined by plugins are
+     * included with their allowed methods, since their resources are not known.
+     * @param {Object} req The request, used to build the public URL of the proxy
+     */
+    var getDocument = function(req) {
+
+        var paths = {};
+        var tags = [];
+
+        for (var endpointName in config.endpoints) {
+
+            var apiName = config.endpoints[endpointName].path;
+            var controller = tmf.getController(apiName);
+
+            if (!controller) {
+                continue;
+            }
+
+            var apiResources = API_RESOURCES[endpointName] || {
+                basePath: '',
+                resources: [{ path: '{resource}', collection: ['GET', 'POST'], item: ['GET', 'PUT', 'PATCH', 'DELETE'] }]
+            };
+
+            var apiPath = '/' + apiName + (apiResources.basePath ? '/' + apiResources.basePath : '');
+
+            apiResources.resources.forEach(function(resource) {
+                addResourcePaths(paths, endpointName, controller, apiPath, resource);
+            });
+
+            tags.push({ name: endpointName, description: 'API available in /' + apiName });
+        }
+
+        return {
+            openapi: '3.0.0',
+            info: {
+                title: 'Business API Ecosystem',
+                description: 'APIs of the Business API Ecosystem exposed by the Business Ecosystem Logic Proxy',
+                version: packageInfo.version
+            },
+            servers: [{ url: hrefs.getPublicURL(req, '/').replace(/\/$/, '') }],
+            security: USER_SECURITY,
+            tags: tags,
+            paths: paths,
+            components: {
+                securitySchemes: SECURITY_SCHEMES,
+                responses: getErrorResponses(),
+                schemas: {
+                    Error: {
+                        type: 'object',
+                        description: 'TMF630 error',
+                        required: ['code', 'reason', 'message', 'status'],
+                        properties: {
+                            code: { type: 'string' },
+                            reason: { type: 'string' },
+                            message: { type: 'string' },
+                            status: { type: 'string' },
+                            referenceError: { type: 'string', format: 'uri' },
+                            error: { type: 'string', description: 'Message for the clients of previous versions' }
+                        }
+                    }
+                }
+            }
+        };
+    };
+
+    /**
+     * Serves the OpenAPI document.
+     */
+    var serveDocument = function(req, res) {
+        res.json(getDocument(req));
+    };
+
+    /**
+     * Serves a page of the portal where the OpenAPI document can be browsed.
+     */
+    var serveUI = function(req, res) {
+        res.render('api-docs', {
+            contextPath: config.portalPrefix,
+            documentPath: config.openAPI.path,
+            document: getDocument(req)
+        });
+    };
+
+    return {
+        getDocument: getDocument,
+        serveDocument: serveDocument,
+        serveUI: serveUI
+    };
+
+})();
+
+exports.openapi = openapi;
@@ -17,7 +17,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-var CartItem = require('../db/schemas/cartItem');
+var CartItem = require('../db/schemas/cartItem'),
+    errors = require('../lib/errors').errors;
 
 var shoppingCart = (function() {
 
@@ -39,6 +40,10 @@ var shoppingCart = (function() {
         res.end();
     };
 
+    var endWithError = function(res, err) {
+        endRequest(res, err.status, null, errors.toBody(err));
+    };
+
     var getCart = function(req, res) {
 
         var userName = req.user.id;
@@ -46,7 +51,7 @@ var shoppingCart = (function() {
         CartItem.find({ user: userName }, function(err, result) {
 
             if (err) {
-                endRequest(res, 500, null, { error: err.message });
+                endWithError(res, errors.create('DATABASE_ERROR', null, err.message));
             } else {
 
                 var items = [];
@@ -68,12 +73,12 @@ var shoppingCart = (function() {
         CartItem.findOne({ user: userName, itemId: itemId }, function(err, result) {
 
             if (err) {
-                endRequest(res, 500, null, { error: err.message });
+                endWithError(res, errors.create('DATABASE_ERROR', null, err.message));
             } else {
                 if (result) {
                     endRequest(res, 200, null, result.itemObject);
                 } else {
-                    endRequest(res, 404, null, { error: 'Item not found in your cart' });
+                    endWithError(res, errors.create('CART_ITEM_NOT_FOUND'));
                 }
             }
 
@@ -102,10 +107,10 @@ var shoppingCart = (function() {
 
                         if (err.code === 11000) {
                             // duplicate key
-                            endRequest(res, 409, null, { error: 'This item is already in your shopping cart' });
+                            endWithError(res, errors.create('CART_ITEM_EXISTS'));
                         } else {
                             // other errors
-                            endRequest(res, 500, null, { error: err.message });
+                            endWithError(res, errors.create('DATABASE_ERROR', null, err.message));
                         }
 
                     } else {
@@ -117,11 +122,11 @@ var shoppingCart = (function() {
                 });
 
             } else {
-                endRequest(res, 400, null, { error: 'Cart Item ID missing' });
+                endWithError(res, errors.create('CART_ITEM_MISSING_ID'));
             }
 
         } catch (e) {
-            endRequest(res, 400, null, { error: 'Invalid Cart Item' });
+            endWithError(res, errors.create('CART_INVALID_ITEM'));
         }
     };
 
@@ -133,14 +138,13 @@ var shoppingCart = (function() {
         CartItem.remove({ user: userName, itemId: itemId }, function(err, dbRes) {
 
             if (err) {
-                endRequest(res, 500, null, { error: err.message });
+                endWithError(res, errors.create('DATABASE_ERROR', null, err.message));
             } else {
 
                 if (dbRes.result['n'] > 0) {
                     endRequest(res, 204, null, null);
                 } else {
-                    endRequest(res, 404, null, { error: 'The given ordering item cannot ' +
-                                                    'be deleted since it was not present in your cart'});
+                    endWithError(res, errors.create('CART_ITEM_NOT_REMOVED'));
                 }
             }
         });
@@ -154,7 +158,7 @@ var shoppingCart = (function() {
         CartItem.remove({ user: userName }, function(err, result) {
 
             if (err) {
-                endRequest(res, 500, null, { error: err.message });
+                endWithError(res, errors.create('DATABASE_ERROR', null, err.message));
             } else {
                 endRequest(res, 204, null, null);
             }
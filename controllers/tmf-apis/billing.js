@@ -19,8 +19,9 @@
 
 var async = require('async'),
     config = require('./../../config'),
-    request = require('request'),
+    errors = require('./../../lib/errors').errors,
     tmfUtils = require('./../../lib/tmfUtils'),
+    upstream = require('./../../lib/upstream').upstream,
     url = require('url'),
     utils = require('./../../lib/utils');
 
@@ -28,9 +29,9 @@ var billing = (function() {
 
     var OWNER_ROLE = config.billingAccountOwnerRole;
 
-    var makeRequest = function(url, callback) {
+    var makeRequest = function(req, endpoint, path, callback) {
 
-        request(url, function (err, response, body) {
+        upstream.request(endpoint, { url: path, context: req }, function (err, response, body) {
             if (err || response.statusCode >= 400) {
                 callback({
                     status: response.statusCode ? response.statusCode : 500
@@ -44,23 +45,15 @@ var billing = (function() {
 
     var validateProductCharge = function(req, productId, callback) {
         // Check that the specified product id belongs to the user
-        var productUrl = utils.getAPIURL(
-            config.appSsl, config.appHost, config.endpoints.inventory.port,
-            config.endpoints.inventory.path + '/api/productInventory/v2/product/' + productId);
+        var productPath = config.endpoints.inventory.path + '/api/productInventory/v2/product/' + productId;
 
-        makeRequest(productUrl, function(err, product) {
+        makeRequest(req, 'inventory', productPath, function(err, product) {
             if (err) {
-                return callback({
-                    status: 422,
-                    message: 'It has not been possible to validate The specified product id'
-                });
+                return callback(errors.create('BILLING_PRODUCT_NOT_VALIDATED'));
             }
 
             if (!tmfUtils.isOrderingCustomer(req.user, product)[1]) {
-                return callback({
-                    status: 403,
-                    message: 'You are not authorized to retrieve charges related to the specified product id'
-                });
+                return callback(errors.create('BILLING_CHARGES_FORBIDDEN'));
             }
             return callback(null);
         });
@@ -76,10 +69,7 @@ var billing = (function() {
             } else {
                 // Validate charges retrieval
                 if (!req.query['serviceId.id']) {
-                    return callback({
-                        status: 422,
-                        message: 'Please specify a concrete product id using the query string serviceId.id'
-                    })
+                    return callback(errors.create('BILLING_MISSING_PRODUCT_ID'))
                 }
                 validateProductCharge(req, req.query['serviceId.id'], callback);
             }
@@ -93,36 +83,23 @@ var billing = (function() {
         if ('customerAccount' in req.json && 'href' in req.json.customerAccount) {
 
             var customerAccountPath = url.parse(req.json.customerAccount.href).pathname;
-            var customerAccountUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.customer.port, customerAccountPath);
-
-            makeRequest(customerAccountUrl, function(err, body) {
+            makeRequest(req, 'customer', customerAccountPath, function(err, body) {
 
                 if (err) {
-                    callback({
-                        status: 422,
-                        message: 'The given customer account cannot be retrieved'
-                    });
+                    callback(errors.create('BILLING_CUSTOMER_ACCOUNT_NOT_READABLE'));
                 } else {
 
                     var customerPath = url.parse(body.customer.href).pathname;
-                    var customerUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.customer.port, customerPath);
-
-                    makeRequest(customerUrl, function(err, body) {
+                    makeRequest(req, 'customer', customerPath, function(err, body) {
 
                         if (err) {
-                            callback({
-                                status: 422,
-                                message: 'The customer attached to the customer account given cannot be retrieved'
-                            });
+                            callback(errors.create('BILLING_CUSTOMER_NOT_READABLE'));
                         } else {
 
                             if (tmfUtils.hasPartyRole(req, [ body.relatedParty ], 'owner')) {
                                 callback(null);
                             } else {
-                                callback({
-                                    status: 403,
-                                    message: 'The given customer account does not belong to the user making the request'
-                                });
+                                callback(errors.create('BILLING_CUSTOMER_ACCOUNT_NOT_OWNED'));
                             }
                         }
                     });
@@ -131,10 +108,7 @@ var billing = (function() {
 
         } else {
             if (req.method === 'POST') {
-                callback({
-                    status: 422,
-                    message: 'customerAccount field is mandatory'
-                });
+                callback(errors.create('BILLING_MISSING_CUSTOMER_ACCOUNT'));
             } else {
                 // When updating billing accounts, customerAccount field is not mandatory
                 callback(null);
@@ -152,10 +126,7 @@ var billing = (function() {
         });
 
         if (containInvalidField) {
-            callback({
-                status: 422,
-                message: 'One or more of the included fields are not supported yet'
-            });
+            callback(errors.create('BILLING_UNSUPPORTED_FIELDS'));
         } else {
             callback(null);
         }
@@ -168,10 +139,7 @@ var billing = (function() {
         // Creation request must include relatedParty field. Otherwise, an error must be arisen
 
         if (req.method === 'POST' && !(relatedPartyField in req.json)) {
-            callback({
-                status: 422,
-                message: 'Billing Accounts cannot be created without related parties'
-            })
+            callback(errors.create('BILLING_MISSING_RELATED_PARTY'))
         } else {
 
             // This part only be executed for update requests or for creation requests that include
@@ -180,10 +148,7 @@ var billing = (function() {
             if (!(relatedPartyField in req.json) || tmfUtils.hasPartyRole(req, req.json.relatedParty, OWNER_ROLE)) {
                 callback(null);
             } else {
-                callback({
-                    status: 403,
-                    message: 'The user making the request and the specified owner are not the same user'
-                });
+                callback(errors.create('OWNER_MISMATCH'));
             }
 
         }
@@ -191,22 +156,14 @@ var billing = (function() {
 
     var validateOwner = function(req, callback) {
 
-        var internalUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.billing.port, req.apiUrl);
-
-        makeRequest(internalUrl, function(err, body) {
+        makeRequest(req, 'billing', req.apiUrl, function(err, body) {
 
             if (err) {
 
                 if (err.status === 404) {
-                    callback({
-                        status: 404,
-                        message: 'The given billing account does not exist'
-                    });
+                    callback(errors.create('BILLING_ACCOUNT_NOT_FOUND'));
                 } else {
-                    callback({
-                        status: 500,
-                        message: 'The given billing account cannot be accessed'
-                    });
+                    callback(errors.create('BILLING_ACCOUNT_NOT_READABLE'));
                 }
             } else {
 
@@ -216,10 +173,7 @@ var billing = (function() {
 
                     var action = req.method.toUpperCase() === 'DELETE' ? 'delete' : 'update';
 
-                    callback({
-                        status: 403,
-                        message: 'You are not authorized to ' + action + ' this billing account'
-                    });
+                    callback(errors.create('BILLING_ACCOUNT_FORBIDDEN', { action: action }));
                 }
             }
         });
@@ -267,26 +221,21 @@ var billing = (function() {
                     async.series(reqValidators, callback);
 
                 } catch (e) {
-                    callback({
-                        status: 400,
-                        message: 'Invalid body'
-                    });
+                    callback(errors.create('INVALID_BODY'));
                 }
 
             } else {
-                callback({
-                    status: 405,
-                    message: 'Method not allowed'
-                });
+                callback(errors.create('API_METHOD_NOT_ALLOWED'));
             }
         } else {
-            callback({
-                status: 403,
-                message: 'This API feature is not supported yet'
-            });
+            callback(errors.create('FEATURE_NOT_SUPPORTED'));
         }
     };
 
+    var requiresPostValidation = function(req) {
+        return req.method === 'GET';
+    };
+
     var executePostValidation = function(req, callback) {
 
         if (req.method === 'GET') {
@@ -302,10 +251,7 @@ var billing = (function() {
                 if (tmfUtils.isRelatedParty(req, account.relatedParty)) {
                     return callback(null);
                 } else {
-                    return callback({
-                        status: 403,
-                        message: 'Unauthorized to retrieve the specified billing account'
-                    });
+                    return callback(errors.create('BILLING_ACCOUNT_RETRIEVAL_FORBIDDEN'));
                 }
 
             } else {
@@ -319,7 +265,9 @@ var billing = (function() {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        requiresPostValidation: requiresPostValidation,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 
 })();
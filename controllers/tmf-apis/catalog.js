@@ -18,11 +18,13 @@
  */
 
 var async = require('async'),
+    audit = require('./../../lib/audit').audit,
     config = require('./../../config'),
     equal = require('deep-equal'),
-    request = require('request'),
+    errors = require('./../../lib/errors').errors,
     storeClient = require('./../../lib/store').storeClient,
     rssClient = require('./../../lib/rss').rssClient,
+    upstream = require('./../../lib/upstream').upstream,
     url = require('url'),
     utils = require('./../../lib/utils'),
     logger = require('./../../lib/logger').logger.getLogger('TMF'),
@@ -49,11 +51,9 @@ var catalog = (function() {
     var categoriesPattern = new RegExp('/category/?$');
     var catalogsPattern = new RegExp('/catalog/?$');
 
-    var retrieveAsset = function(assetPath, callback) {
+    var retrieveAsset = function(req, assetPath, callback) {
 
-        var uri = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.catalog.port, assetPath);
-
-        request(uri, function(err, response, body) {
+        upstream.request('catalog', { url: assetPath, context: req }, function(err, response, body) {
 
             if (err || response.statusCode >= 400) {
                 callback({
@@ -69,16 +69,13 @@ var catalog = (function() {
     };
 
     // Retrieves the product belonging to a given offering
-    var retrieveProduct = function(productUrl, callback) {
+    var retrieveProduct = function(req, productUrl, callback) {
 
         var productPath = url.parse(productUrl).pathname;
 
-        retrieveAsset(productPath, function(err, response) {
+        retrieveAsset(req, productPath, function(err, response) {
             if (err) {
-                callback({
-                    status: 422,
-                    message: 'The attached product cannot be read or does not exist'
-                })
+                callback(errors.create('CATALOG_PRODUCT_NOT_FOUND'))
             } else {
                 callback(err, response);
             }
@@ -106,27 +103,21 @@ var catalog = (function() {
         }
 
         // Check if the provider has been included in the RSS
-        rssClient.createProvider(req.user, function(err) {
+        rssClient.createProvider(req, function(err) {
             if (err) {
-                return callback({
-                    status: 500,
-                    message: 'An unexpected error in the RSS API prevented your request to be processed'
-                });
+                return callback(errors.create('RSS_ERROR'));
             }
 
             // Check if the productClass has been provided
             if (body.serviceCandidate && body.serviceCandidate.id) {
-                rssClient.retrieveRSModel(req.user, body.serviceCandidate.id, function(err, res) {
+                rssClient.retrieveRSModel(req, body.serviceCandidate.id, function(err, res) {
                     if (err) {
                         return callback(err);
                     } else {
                         // Check if there is a model for the specified product class
                         var models = JSON.parse(res.body);
                         if (!models.length) {
-                            return callback({
-                                status: 422,
-                                message: 'The provided productClass does not specify a valid revenue sharing model'
-                            })
+                            return callback(errors.create('CATALOG_INVALID_PRODUCT_CLASS'))
                         }
                         callback(null);
                     }
@@ -156,16 +147,13 @@ var catalog = (function() {
         return modified;
     };
 
-    var validateCatalog = function(req, offeringPath, validStates, newBody, errorMessageStateCatalog, callback) {
+    var validateCatalog = function(req, offeringPath, validStates, newBody, catalogStateError, callback) {
         // Retrieve the catalog
         var catalogPath = catalogPathFromOfferingUrl(offeringPath);
-        retrieveAsset(catalogPath, function (err, result) {
+        retrieveAsset(req, catalogPath, function (err, result) {
 
             if (err) {
-                callback({
-                    status: 500,
-                    message: 'The catalog attached to the offering cannot be read'
-                });
+                callback(errors.create('CATALOG_NOT_READABLE'));
             } else {
 
                 var catalog = JSON.parse(result.body);
@@ -174,22 +162,19 @@ var catalog = (function() {
                 if (checkAssetStatus(catalog, validStates)) {
                     callback(null);
                 } else {
-                    callback({
-                        status: 400,
-                        message: errorMessageStateCatalog
-                    });
+                    callback(errors.create(catalogStateError));
                 }
             }
         });
     };
 
-    var validateAssetPermissions = function(req, asset, validStates, errorMessageStateProduct, userNotAllowedMsg, callback) {
+    var validateAssetPermissions = function(req, asset, validStates, productStateError, notOwnerError, callback) {
 
         // Check that the user is the owner of the asset
         // Offerings don't include a relatedParty field, so for bundles it is needed to retrieve the product
         var ownerHandler = function(req, asset, hdlrCallback) {
             if (!asset.relatedParty) {
-                retrieveProduct(asset.productSpecification.href, function(err, result) {
+                retrieveProduct(req, asset.productSpecification.href, function(err, result) {
                     var isOwner = false;
                     if (!err) {
                         var product = JSON.parse(result.body);
@@ -213,10 +198,7 @@ var catalog = (function() {
                     if (checkAssetStatus(asset, validStates)) {
                         callback(null);
                     } else {
-                        callback({
-                            status: 400,
-                            message: errorMessageStateProduct
-                        });
+                        callback(errors.create(productStateError));
                     }
 
                 } else {
@@ -227,10 +209,7 @@ var catalog = (function() {
                 }
 
             } else {
-                callback({
-                    status: 403,
-                    message: userNotAllowedMsg
-                });
+                callback(notOwnerError);
             }
         });
 
@@ -239,23 +218,23 @@ var catalog = (function() {
     var validateOffering = function(req, offeringPath, previousBody, newBody, callback) {
 
         var validStates = null;
-        var errorMessageStateProduct = null;
-        var errorMessageStateCatalog = null;
+        var productStateError = null;
+        var catalogStateError = null;
 
         if (previousBody === null) {
 
             // Offering creation
             validStates = [ACTIVE_STATE, LAUNCHED_STATE];
-            errorMessageStateProduct = 'Offerings can only be attached to active or launched products';
-            errorMessageStateCatalog = 'Offerings can only be created in a catalog that is active or launched';
+            productStateError = 'CATALOG_PRODUCT_NOT_ACTIVE';
+            catalogStateError = 'CATALOG_NOT_ACTIVE';
 
         } else if (previousBody !== null && newBody &&
                 LIFE_CYCLE in newBody && newBody[LIFE_CYCLE].toLowerCase() === LAUNCHED_STATE) {
 
             // Launching an existing offering
             validStates = [LAUNCHED_STATE];
-            errorMessageStateProduct = 'Offerings can only be launched when the attached product is also launched';
-            errorMessageStateCatalog = 'Offerings can only be launched when the attached catalog is also launched';
+            productStateError = 'CATALOG_PRODUCT_NOT_LAUNCHED';
+            catalogStateError = 'CATALOG_NOT_LAUNCHED';
 
         }
 
@@ -263,10 +242,7 @@ var catalog = (function() {
             var modifiedField = validateOfferingFields(previousBody, newBody);
 
             if (modifiedField !== null) {
-                return callback({
-                    status: 403,
-                    message: 'Field ' + modifiedField +' cannot be modified'
-                });
+                return callback(errors.create('CATALOG_FIELD_NOT_MODIFIABLE', { field: modifiedField }));
             }
         }
 
@@ -287,7 +263,7 @@ var catalog = (function() {
 
                     var categoryApiUrl = url.parse(category.href).pathname;
 
-                    checkExistingCategoryById(categoryApiUrl, category.id, taskCallback);
+                    checkExistingCategoryById(req, categoryApiUrl, category.id, taskCallback);
 
                 }, callback);
             }], function (err) {
@@ -300,50 +276,35 @@ var catalog = (function() {
                     if (offeringBody.isBundle) {
                         // Bundle offerings cannot contain a productSpecification
                         if(offeringBody.productSpecification) {
-                            return callback({
-                                status: 422,
-                                message: 'Product offering bundles cannot contain a product specification'
-                            });
+                            return callback(errors.create('CATALOG_BUNDLE_WITH_PRODUCT'));
                         }
 
                         // Validate that at least two offerings have been included
                         if (!offeringBody.bundledProductOffering || offeringBody.bundledProductOffering.length < 2) {
-                            return callback({
-                                status: 422,
-                                message: 'Product offering bundles must contain at least two bundled offerings'
-                            });
+                            return callback(errors.create('CATALOG_BUNDLE_TOO_SMALL'));
                         }
 
                         // Validate that the bundled offerings exists
                         async.each(offeringBody.bundledProductOffering, function(offering, taskCallback) {
                             if (!offering.href) {
-                                return taskCallback({
-                                    status: 422,
-                                    message: 'Missing required field href in bundled offering'
-                                });
+                                return taskCallback(errors.create('CATALOG_BUNDLED_OFFERING_MISSING_HREF'));
                             }
 
                             var offeringPath = url.parse(offering.href).pathname;
-                            retrieveAsset(offeringPath, function(err, result) {
+                            retrieveAsset(req, offeringPath, function(err, result) {
                                 if (err) {
                                     var id = offering.id ? offering.id : '';
-                                    return taskCallback({
-                                        status: 422,
-                                        message: 'The bundled offering ' + id + ' cannot be accessed or does not exists'
-                                    });
+                                    return taskCallback(errors.create('CATALOG_BUNDLED_OFFERING_NOT_FOUND', { id: id }));
                                 }
 
                                 // Check that the included offering is not also a bundle
                                 var bundledOffering = JSON.parse(result.body);
                                 if (bundledOffering.isBundle) {
-                                    return taskCallback({
-                                        status: 422,
-                                        message: 'Product offering bundles cannot include another bundle'
-                                    });
+                                    return taskCallback(errors.create('CATALOG_NESTED_BUNDLE'));
                                 }
 
-                                var userNotAllowedMsg = 'You are not allowed to bundle offerings you do not own';
-                                validateAssetPermissions(req, bundledOffering, validStates, errorMessageStateProduct, userNotAllowedMsg, taskCallback);
+                                var notOwnerError = errors.create('CATALOG_BUNDLED_OFFERING_NOT_OWNED');
+                                validateAssetPermissions(req, bundledOffering, validStates, productStateError, notOwnerError, taskCallback);
 
                             });
 
@@ -352,7 +313,7 @@ var catalog = (function() {
                                 callback(err);
                             } else if (validStates != null) {
                                 // This validation only need to be executed once
-                                validateCatalog(req, offeringPath, validStates, newBody, errorMessageStateCatalog, callback);
+                                validateCatalog(req, offeringPath, validStates, newBody, catalogStateError, callback);
                             } else {
                                 callback(null);
                             }
@@ -362,41 +323,32 @@ var catalog = (function() {
 
                         // Non bundles cannot contain a bundleProductOffering
                         if (offeringBody.bundledProductOffering && offeringBody.bundledProductOffering.length > 0) {
-                            return callback({
-                                status: 422,
-                                message: 'Product offerings which are not a bundle cannot contain a bundled product offering'
-                            });
+                            return callback(errors.create('CATALOG_NOT_A_BUNDLE'));
                         }
 
                         // Check that a productSpecification has been included
                         if (!offeringBody.productSpecification || utils.emptyObject(offeringBody.productSpecification)) {
-                            return callback({
-                                status: 422,
-                                message: 'Product offerings must contain a productSpecification'
-                            });
+                            return callback(errors.create('CATALOG_MISSING_PRODUCT_SPEC'));
                         }
 
                         if (!offeringBody.productSpecification.href) {
-                            return callback({
-                                status: 422,
-                                message: 'Missing required field href in product specification'
-                            });
+                            return callback(errors.create('CATALOG_PRODUCT_SPEC_MISSING_HREF'));
                         }
 
                         // Check that the product attached to the offering is owned by the same user
-                        retrieveProduct(offeringBody.productSpecification.href, function(err, result) {
+                        retrieveProduct(req, offeringBody.productSpecification.href, function(err, result) {
                             if (err) {
                                 callback(err);
                             } else {
                                 var operation = previousBody != null ? 'update' : 'create';
-                                var userNotAllowedMsg = 'You are not allowed to ' + operation + ' offerings for products you do not own';
+                                var notOwnerError = errors.create('CATALOG_PRODUCT_NOT_OWNED', { operation: operation });
                                 var product = JSON.parse(result.body);
 
-                                validateAssetPermissions(req, product, validStates, errorMessageStateProduct, userNotAllowedMsg, function(err) {
+                                validateAssetPermissions(req, product, validStates, productStateError, notOwnerError, function(err) {
                                     if (err) {
                                         callback(err);
                                     } else if (validStates != null) {
-                                        validateCatalog(req, offeringPath, validStates, newBody, errorMessageStateCatalog, callback);
+                                        validateCatalog(req, offeringPath, validStates, newBody, catalogStateError, callback);
                                     } else {
                                         callback(null);
                                     }
@@ -409,27 +361,21 @@ var catalog = (function() {
         );
     };
 
-    var checkExistingCategoryById = function (apiUrl, categoryId, callback) {
+    var checkExistingCategoryById = function (req, apiUrl, categoryId, callback) {
 
         var categoryCollectionPath = '/category';
         var categoryPath = apiUrl.substring(0, apiUrl.indexOf(categoryCollectionPath) +
             categoryCollectionPath.length);
 
-        retrieveAsset(categoryPath + '/' + categoryId, function (err, result) {
+        retrieveAsset(req, categoryPath + '/' + categoryId, function (err, result) {
 
             if (err) {
 
                 if (err.status == 404) {
-                    callback({
-                        status: 400,
-                        message: 'Invalid category with id: ' + categoryId
-                    });
+                    callback(errors.create('CATALOG_INVALID_CATEGORY', { id: categoryId }));
 
                 } else  {
-                    callback({
-                        status: 500,
-                        message: 'It was impossible to check if the category with id: ' + categoryId + ' already exists'
-                    });
+                    callback(errors.create('CATALOG_CATEGORY_NOT_CHECKED', { id: categoryId }));
                 }
 
             } else {
@@ -438,7 +384,7 @@ var catalog = (function() {
         });
     }
 
-    var checkExistingCategory = function(apiUrl, categoryName, isRoot, parentId, callback) {
+    var checkExistingCategory = function(req, apiUrl, categoryName, isRoot, parentId, callback) {
 
         var categoryCollectionPath = '/category';
         var categoryPath = apiUrl.substring(0, apiUrl.indexOf(categoryCollectionPath) +
@@ -452,13 +398,10 @@ var catalog = (function() {
             queryParams += '&parentId=' + parentId;
         }
 
-        retrieveAsset(categoryPath + queryParams, function (err, result) {
+        retrieveAsset(req, categoryPath + queryParams, function (err, result) {
 
             if (err) {
-                callback({
-                    status: 500,
-                    message: 'It was impossible to check if the provided category already exists'
-                });
+                callback(errors.create('CATALOG_CATEGORIES_NOT_CHECKED'));
             } else {
 
                 var existingCategories = JSON.parse(result.body);
@@ -466,10 +409,7 @@ var catalog = (function() {
                 if (!existingCategories.length) {
                     callback(null);
                 } else {
-                    callback({
-                        status: 409,
-                        message: 'This category already exists'
-                    });
+                    callback(errors.create('CATALOG_CATEGORY_EXISTS'));
                 }
             }
 
@@ -480,10 +420,7 @@ var catalog = (function() {
 
         // Categories can only be created by administrators
         if (!utils.hasRole(req.user, config.oauth2.roles.admin)) {
-            callback({
-                status: 403,
-                message: 'Only administrators can ' + action + ' categories'
-            });
+            callback(errors.create('CATALOG_CATEGORY_ADMIN_ONLY', { action: action }));
         } else {
 
             if (updatedCategory && ['POST', 'PATCH', 'PUT'].indexOf(req.method.toUpperCase()) >= 0) {
@@ -495,25 +432,16 @@ var catalog = (function() {
                     (oldCategory? oldCategory.parentId : null);
 
                 if (isRoot && parentId) {
-                    callback({
-                        status: 400,
-                        message: 'Parent ID cannot be included when the category is root'
-                    });
+                    callback(errors.create('CATALOG_ROOT_CATEGORY_WITH_PARENT'));
                 } else if (!isRoot && !parentId) {
-                    callback({
-                        status: 400,
-                        message: 'Non-root categories must contain a parent category'
-                    });
+                    callback(errors.create('CATALOG_CATEGORY_MISSING_PARENT'));
                 } else {
 
                     var categoryName = 'name' in updatedCategory ? updatedCategory.name :
                         (oldCategory ? oldCategory.name : null);
 
                     if (!categoryName) {
-                        callback({
-                            status: 400,
-                            message: 'Category name is mandatory'
-                        });
+                        callback(errors.create('CATALOG_CATEGORY_MISSING_NAME'));
 
                     } else {
 
@@ -536,13 +464,13 @@ var catalog = (function() {
                                 function (callback) {
                                     if (!isRoot) {
                                         // Check parent category
-                                        checkExistingCategoryById(req.apiUrl, parentId, callback);
+                                        checkExistingCategoryById(req, req.apiUrl, parentId, callback);
                                     } else {
                                         callback(null);
                                     }
                                 },
                                 function (callback) {
-                                    checkExistingCategory(req.apiUrl, categoryName, isRoot, parentId, callback);
+                                    checkExistingCategory(req, req.apiUrl, categoryName, isRoot, parentId, callback);
                                 }], callback);
                         } else {
                             callback(null);
@@ -563,22 +491,16 @@ var catalog = (function() {
 
         // Check that al least two products have been included
         if (!productSpec.bundledProductSpecification || productSpec.bundledProductSpecification.length < 2) {
-            return callback({
-                status: 422,
-                message: 'Product spec bundles must contain at least two bundled product specs'
-            });
+            return callback(errors.create('CATALOG_PRODUCT_BUNDLE_TOO_SMALL'));
         }
 
         async.each(productSpec.bundledProductSpecification, function(spec, taskCallback) {
             // Validate that the bundled products exists
             if (!spec.href) {
-                return taskCallback({
-                    status: 422,
-                    message: 'Missing required field href in bundleProductSpecification'
-                });
+                return taskCallback(errors.create('CATALOG_BUNDLED_PRODUCT_MISSING_HREF'));
             }
 
-            retrieveProduct(spec.href, function(err, result) {
+            retrieveProduct(req, spec.href, function(err, result) {
                 if (err) {
                     taskCallback(err);
                 } else {
@@ -586,26 +508,17 @@ var catalog = (function() {
 
                     // Validate that the bundle products belong to the same owner
                     if (!tmfUtils.isOwner(req, product)) {
-                        return taskCallback({
-                            status: 403,
-                            message: 'You are not authorized to include the product spec ' + product.id + ' in a product spec bundle'
-                        });
+                        return taskCallback(errors.create('CATALOG_BUNDLED_PRODUCT_NOT_OWNED', { id: product.id }));
                     }
 
                     // Validate that the bundle products are not also bundles
                     if (product.isBundle) {
-                        return taskCallback({
-                            status: 422,
-                            message: 'It is not possible to include a product spec bundle in another product spec bundle'
-                        });
+                        return taskCallback(errors.create('CATALOG_NESTED_PRODUCT_BUNDLE'));
                     }
 
                     // Validate that the bundled products are in a valid life cycle state (Active or launched)
                     if([ACTIVE_STATE, LAUNCHED_STATE].indexOf(product.lifecycleStatus.toLowerCase()) < 0) {
-                        return taskCallback({
-                            status: 422,
-                            message: 'Only Active or Launched product specs can be included in a bundle'
-                        })
+                        return taskCallback(errors.create('CATALOG_INVALID_BUNDLED_PRODUCT_STATE'))
                     }
 
                     taskCallback(null);
@@ -617,7 +530,7 @@ var catalog = (function() {
         });
     };
 
-    var checkExistingCatalog = function (apiUrl, catalogName, callback) {
+    var checkExistingCatalog = function (req, apiUrl, catalogName, callback) {
 
         var catalogCollectionPath = '/catalog';
         var catalogPath = apiUrl.substring(0, apiUrl.lastIndexOf(catalogCollectionPath) +
@@ -625,13 +538,10 @@ var catalog = (function() {
 
         var queryParams = '?name=' + catalogName;
 
-        retrieveAsset(catalogPath + queryParams, function (err, result) {
+        retrieveAsset(req, catalogPath + queryParams, function (err, result) {
 
             if (err) {
-                callback({
-                    status: 500,
-                    message: 'It was impossible to check if there is another catalog with the same name'
-                });
+                callback(errors.create('CATALOG_NAME_NOT_CHECKED'));
             } else {
 
                 var existingCatalog = JSON.parse(result.body);
@@ -639,10 +549,7 @@ var catalog = (function() {
                 if (!existingCatalog.length) {
                     callback();
                 } else {
-                    callback({
-                        status: 409,
-                        message: 'This catalog name is already taken'
-                    });
+                    callback(errors.create('CATALOG_NAME_TAKEN'));
                 }
             }
         });
@@ -657,10 +564,7 @@ var catalog = (function() {
         if (tmfUtils.isOwner(req, resp)) {
             callback(null);
         } else {
-            callback({
-                status: 403,
-                message: 'The user making the request and the specified owner are not the same user'
-            });
+            callback(errors.create('OWNER_MISMATCH'));
         }
     };
 
@@ -673,10 +577,7 @@ var catalog = (function() {
         try {
             body = JSON.parse(req.body);
         } catch (e) {
-            callback({
-                status: 400,
-                message: 'The provided body is not a valid JSON'
-            });
+            callback(errors.create('INVALID_JSON'));
 
             return; // EXIT
         }
@@ -690,10 +591,7 @@ var catalog = (function() {
             // Check that the user has the seller role or is an admin
             if (!utils.hasRole(req.user, config.oauth2.roles.seller)) {
 
-                callback({
-                    status: 403,
-                    message: 'You are not authorized to create resources'
-                });
+                callback(errors.create('CATALOG_CREATION_FORBIDDEN'));
 
                 return; // EXIT
             }
@@ -703,7 +601,7 @@ var catalog = (function() {
                     if (err) {
                         callback(err);
                     } else {
-                        storeClient.validateOffering(body, req.user, function (err) {
+                        storeClient.validateOffering(body, req, function (err) {
                             if (err) {
                                 callback(err);
                             } else {
@@ -726,7 +624,7 @@ var catalog = (function() {
                         } else {
                             // Check that the product specification contains a valid product
                             // according to the charging backend
-                            storeClient.validateProduct(body, req.user, callback);
+                            storeClient.validateProduct(body, req, callback);
                         }
                     });
                 });
@@ -736,7 +634,7 @@ var catalog = (function() {
                 var catalogName = body.name;
 
                 // Check that the catalog name is not already taken
-                checkExistingCatalog(req.apiUrl, catalogName, function (result) {
+                checkExistingCatalog(req, req.apiUrl, catalogName, function (result) {
                     if (result) {
                         callback(result);
                     } else {
@@ -755,21 +653,21 @@ var catalog = (function() {
     /////////////////////////////////////////// UPDATE ///////////////////////////////////////////
     //////////////////////////////////////////////////////////////////////////////////////////////
 
-    var validateInvolvedOfferingsState = function(assertType, assetBody, offeringsPath, callback) {
+    var validateInvolvedOfferingsState = function(req, assertType, assetBody, offeringsPath, callback) {
 
         // For each state to be validated, this map contains the list of valid states of the offerings
-        // attached to the asset whose state is going to be changed and the message to be returned
+        // attached to the asset whose state is going to be changed and the error to be returned
         // in case the asset cannot be updated
         var validatedStates = {};
 
         validatedStates[RETIRED_STATE] = {
             offeringsValidStates: [RETIRED_STATE, OBSOLETE_STATE],
-            errorMsg: 'All the attached offerings must be retired or obsolete to retire a ' + assertType
+            error: 'CATALOG_OFFERINGS_NOT_RETIRED'
         };
 
         validatedStates[OBSOLETE_STATE] = {
             offeringsValidStates: [OBSOLETE_STATE],
-            errorMsg: 'All the attached offerings must be obsolete to make a ' + assertType + ' obsolete'
+            error: 'CATALOG_OFFERINGS_NOT_OBSOLETE'
         };
 
 
@@ -777,14 +675,11 @@ var catalog = (function() {
 
         if (newLifeCycle in validatedStates) {
 
-            retrieveAsset(offeringsPath, function(err, result) {
+            retrieveAsset(req, offeringsPath, function(err, result) {
 
                 if (err) {
 
-                    callback({
-                        status: 500,
-                        message: 'Attached offerings cannot be retrieved'
-                    });
+                    callback(errors.create('CATALOG_OFFERINGS_NOT_READABLE'));
 
                 } else {
 
@@ -800,10 +695,7 @@ var catalog = (function() {
                     if (offeringsValid) {
                         callback(null);
                     } else {
-                        callback({
-                            status: 400,
-                            message: validatedStates[newLifeCycle]['errorMsg']
-                        });
+                        callback(errors.create(validatedStates[newLifeCycle].error, { type: assertType }));
                     }
                 }
             });
@@ -855,26 +747,22 @@ var catalog = (function() {
             var parsedBody = utils.emptyObject(req.body) ? null : JSON.parse(req.body);
 
             // Retrieve the resource to be updated or removed
-            retrieveAsset(req.apiUrl, function (err, result) {
+            retrieveAsset(req, req.apiUrl, function (err, result) {
 
                 if (err) {
 
                     if (err.status === 404) {
-                        callback({
-                            status: 404,
-                            message: 'The required resource does not exist'
-                        });
+                        callback(errors.create('RESOURCE_NOT_FOUND'));
                     } else {
-                        callback({
-                            status: 500,
-                            message: 'The TMForum APIs fails to retrieve the object you are trying to update/delete'
-                        })
+                        callback(errors.create('CATALOG_RESOURCE_NOT_READABLE'))
                     }
 
                 } else {
 
                     var previousBody = JSON.parse(result.body);
 
+                    audit.setPrevious(req, previousBody);
+
                     if (categoryPattern.test(req.apiUrl)) {
                         validateCategory(req, parsedBody, previousBody, 'modify', callback);
 
@@ -887,10 +775,7 @@ var catalog = (function() {
 
                             if (parsedBody != null && parsedBody.relatedParty &&
                                 !isEqualRelatedParty(previousBody.relatedParty, parsedBody.relatedParty)) {
-                                    callback({
-                                        status: 409,
-                                        message: 'The field "relatedParty" can not be modified'
-                                    });
+                                    callback(errors.create('CATALOG_RELATED_PARTY_NOT_MODIFIABLE'));
 
                             } else { 
 
@@ -900,7 +785,7 @@ var catalog = (function() {
                                     var slash = req.apiUrl.endsWith('/') ? '' : '/';
                                     var offeringsInCatalogPath = req.apiUrl + slash + 'productOffering';
 
-                                    validateInvolvedOfferingsState('catalog', parsedBody, offeringsInCatalogPath, callback);
+                                    validateInvolvedOfferingsState(req, 'catalog', parsedBody, offeringsInCatalogPath, callback);
 
                                 } else if (productsPattern.test(req.apiUrl)) {
 
@@ -929,7 +814,7 @@ var catalog = (function() {
 
                                             var offeringsContainProductPath = baseUrl + '/productOffering?productSpecification.id=' + productId;
 
-                                            validateInvolvedOfferingsState('product', parsedBody, offeringsContainProductPath, callback);
+                                            validateInvolvedOfferingsState(req, 'product', parsedBody, offeringsContainProductPath, callback);
 
                                         }], callback);
 
@@ -939,10 +824,7 @@ var catalog = (function() {
                             }
 
                         } else {
-                            callback({
-                                status: 403,
-                                message: 'The user making the request is not the owner of the accessed resource'
-                            });
+                            callback(errors.create('NOT_OWNER'));
                         }
                     }
 
@@ -950,20 +832,14 @@ var catalog = (function() {
             });
 
         } catch (e) {
-            callback({
-                status: 400,
-                message: 'The provided body is not a valid JSON'
-            });
+            callback(errors.create('INVALID_JSON'));
         }
     };
 
     var isCategory = function(req, callback) {
 
         if (!categoryPattern.test(req.apiUrl)) {
-            return callback({
-                status: 405,
-                message: 'The HTTP method DELETE is not allowed in the accessed API'
-            });
+            return callback(errors.create('METHOD_NOT_ALLOWED', { method: 'DELETE' }));
         }
         callback(null);
     };
@@ -991,13 +867,17 @@ var catalog = (function() {
         async.series(reqValidators, callback);
     };
 
+    var requiresPostValidation = function(req) {
+        return req.method == 'POST' && (productsPattern.test(req.apiUrl) || offeringsPattern.test(req.apiUrl));
+    };
+
     var executePostValidation = function(req, callback) {
         // Attach product spec info for product creation request
 
         if (req.method == 'POST' && productsPattern.test(req.apiUrl)) {
-            storeClient.attachProduct(JSON.parse(req.body), req.user, callback);
+            storeClient.attachProduct(JSON.parse(req.body), req, callback);
         } else if (req.method == 'POST' && offeringsPattern.test(req.apiUrl)) {
-            storeClient.attachOffering(JSON.parse(req.body), req.user, callback);
+            storeClient.attachOffering(JSON.parse(req.body), req, callback);
         } else {
             callback(null);
         }
@@ -1005,7 +885,9 @@ var catalog = (function() {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        requiresPostValidation: requiresPostValidation,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 
 })();
@@ -17,21 +17,26 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+var errors = require('./../../lib/errors').errors;
+
 var charging = (function() {
 
     var checkPermissions = function (req, callback) {
         if (req.apiUrl.indexOf('api/orderManagement/orders/refund') >= 0) {
-            callback({
-                status: 403,
-                message: 'This API is private'
-            })
+            callback(errors.create('PRIVATE_API'))
         } else {
             callback(null);
         }
     };
 
+    // Assets are uploaded through this API, so bodies are streamed to the charging backend
+    var requiresRequestBody = function(req) {
+        return false;
+    };
+
     return {
-        checkPermissions: checkPermissions
+        checkPermissions: checkPermissions,
+        requiresRequestBody: requiresRequestBody
     };
 
 })();
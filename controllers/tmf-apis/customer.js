@@ -19,9 +19,10 @@
 
 var async = require('async'),
     config = require('./../../config'),
+    errors = require('./../../lib/errors').errors,
     logger = require('./../../lib/logger').logger.getLogger('TMF'),
-    request = require('request'),
     tmfUtils = require('./../../lib/tmfUtils'),
+    upstream = require('./../../lib/upstream').upstream,
     url = require('url'),
     utils = require('./../../lib/utils');
 
@@ -31,15 +32,9 @@ var customer = (function() {
         return url.parse(asset.customer.href).pathname;
     };
 
-    var getCustomerAPIUrl = function(path) {
-        return utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.customer.port, path);
-    };
-
-    var retrieveAsset = function(path, callback) {
-
-        var uri = getCustomerAPIUrl(path);
+    var retrieveAsset = function(req, path, callback) {
 
-        request(uri, function(err, response, body) {
+        upstream.request('customer', { url: path, context: req }, function(err, response, body) {
 
             if (err || response.statusCode >= 400) {
                 callback({
@@ -54,20 +49,17 @@ var customer = (function() {
         });
     };
 
-    var isOwner = function(req, asset, notAuthorizedMessage, callback) {
+    var isOwner = function(req, asset, notAuthorizedError, callback) {
 
         if ('customer' in asset) {
 
             // Customer Account - The attached customer need to be checked
             var customerPath = getCustomerPath(asset);
 
-            retrieveAsset(customerPath, function(err, result) {
+            retrieveAsset(req, customerPath, function(err, result) {
 
                 if (err) {
-                    callback({
-                        status: 500,
-                        message: 'The attached customer cannot be retrieved'
-                    });
+                    callback(errors.create('CUSTOMER_NOT_READABLE'));
                 } else {
 
                     var customer = JSON.parse(result.body);
@@ -75,10 +67,7 @@ var customer = (function() {
                     if (tmfUtils.hasPartyRole(req, [ customer.relatedParty ], 'owner')) {
                         callback(null);
                     } else {
-                        callback({
-                            status: 403,
-                            message: notAuthorizedMessage
-                        })
+                        callback(errors.create(notAuthorizedError));
                     }
                 }
             });
@@ -88,10 +77,7 @@ var customer = (function() {
             if (tmfUtils.hasPartyRole(req, [ asset.relatedParty ], 'owner')) {
                 callback(null);
             } else {
-                callback({
-                    status: 403,
-                    message: notAuthorizedMessage
-                });
+                callback(errors.create(notAuthorizedError));
             }
         }
     };
@@ -100,10 +86,7 @@ var customer = (function() {
 
         if (req.isCollection && req.isAccount) {
             // At this point, it is not worth implementing the functionality to list customer accounts
-            callback({
-                status: 403,
-                message: 'Unauthorized to retrieve the list of customer accounts'
-            });
+            callback(errors.create('CUSTOMER_ACCOUNT_LIST_FORBIDDEN'));
         } else if (req.isCollection && !req.isAccount) {
             tmfUtils.filterRelatedPartyFields(req, callback);
         } else {
@@ -115,44 +98,38 @@ var customer = (function() {
 
     var validateUpdateOwner = function(req, callback) {
 
-        retrieveAsset(req.apiUrl, function(err, response) {
+        retrieveAsset(req, req.apiUrl, function(err, response) {
 
             if (err) {
 
                 if (err.status === 404) {
-                    callback({
-                        status: 404,
-                        message: 'The required resource does not exist'
-                    });
+                    callback(errors.create('RESOURCE_NOT_FOUND'));
                 } else {
-                    callback({
-                        status: 500,
-                        message: 'The required resource cannot be retrieved'
-                    });
+                    callback(errors.create('CUSTOMER_RESOURCE_NOT_READABLE'));
                 }
             } else {
-                isOwner(req, JSON.parse(response.body), 'Unauthorized to update/delete non-owned resources', callback);
+                isOwner(req, JSON.parse(response.body), 'CUSTOMER_MODIFICATION_FORBIDDEN', callback);
             }
         });
     };
 
     var validateAccount = function(account) {
 
-        var message = null;
+        var error = null;
 
         if (!('customer' in account)) {
-            message = 'Customer Accounts must be associated to a Customer'
+            error = 'CUSTOMER_ACCOUNT_MISSING_CUSTOMER';
         } else {
 
             // HREF will be validated later at the time of checking the ownership
             if (!account.customer.href.endsWith('/' + account.customer.id)) {
-                message = 'Customer ID and Customer HREF mismatch'
+                error = 'CUSTOMER_ID_MISMATCH';
             }
         }
 
         return {
-            valid: message ? false : true,
-            message: message
+            valid: error ? false : true,
+            error: error
         }
     };
 
@@ -163,23 +140,17 @@ var customer = (function() {
             var accountValidation = validateAccount(req.json);
 
             if (accountValidation.valid) {
-                isOwner(req, req.json, 'The given Customer does not belong to the user making the request', callback);
+                isOwner(req, req.json, 'CUSTOMER_NOT_OWNED', callback);
             } else {
-                callback({
-                    status: 422,
-                    message: accountValidation.message
-                });
+                callback(errors.create(accountValidation.error));
             }
 
         } else {
 
             if ('relatedParty' in req.json) {
-                isOwner(req, req.json, 'Related Party does not match with the user making the request', callback);
+                isOwner(req, req.json, 'CUSTOMER_RELATED_PARTY_MISMATCH', callback);
             } else {
-                callback({
-                    status: 422,
-                    message: 'Unable to create customer without specifying the related party'
-                });
+                callback(errors.create('CUSTOMER_MISSING_RELATED_PARTY'));
             }
 
         }
@@ -190,15 +161,9 @@ var customer = (function() {
         var error = null;
 
         if ('relatedParty' in req.json) {
-            error = {
-                status: 403,
-                message: 'Related Party cannot be modified'
-            };
+            error = errors.create('CUSTOMER_RELATED_PARTY_NOT_MODIFIABLE');
         } else if ('customer' in req.json) {
-            error = {
-                status: 403,
-                message: 'Customer cannot be modified'
-            };
+            error = errors.create('CUSTOMER_NOT_MODIFIABLE');
         }
 
         callback(error);
@@ -207,10 +172,7 @@ var customer = (function() {
     var validateCustomerAccountNotIncluded = function(req, callback) {
 
         if (!req.isAccount && 'customerAccount' in req.json) {
-            callback({
-                status: 403,
-                message: 'Customer Account cannot be manually modified'
-            });
+            callback(errors.create('CUSTOMER_ACCOUNT_NOT_MODIFIABLE'));
         } else {
             callback(null);
         }
@@ -253,22 +215,13 @@ var customer = (function() {
                     async.series(reqValidators, callback);
 
                 } catch (e) {
-                    callback({
-                        status: 400,
-                        message: 'Invalid body'
-                    });
+                    callback(errors.create('INVALID_BODY'));
                 }
             } else {
-                callback({
-                    status: 405,
-                    message: 'Method not allowed'
-                });
+                callback(errors.create('API_METHOD_NOT_ALLOWED'));
             }
         } else {
-            callback({
-                status: 403,
-                message: 'This API feature is not supported yet'
-            });
+            callback(errors.create('FEATURE_NOT_SUPPORTED'));
         }
     };
 
@@ -281,7 +234,7 @@ var customer = (function() {
         var createdAccount = proxyRes.json;
         var customerPath = getCustomerPath(createdAccount);
 
-        retrieveAsset(customerPath, function(err, result) {
+        retrieveAsset(proxyRes, customerPath, function(err, result) {
 
             if (err) {
                 utils.log(logger, 'warn', proxyRes, 'Impossible to load attached Customer');
@@ -298,12 +251,13 @@ var customer = (function() {
                 });
 
                 var options = {
-                    url: getCustomerAPIUrl(customerPath),
+                    url: customerPath,
                     method: 'PATCH',
-                    json: { customerAccount: currentCustomerAccounts }
+                    json: { customerAccount: currentCustomerAccounts },
+                    context: proxyRes
                 };
 
-                request(options, function(err, response) {
+                upstream.request('customer', options, function(err, response) {
 
                     if (err || response.statusCode >= 400) {
 
@@ -328,9 +282,7 @@ var customer = (function() {
 
         var billingPath = config.endpoints.billing.path + '/api/billingManagement/v2/billingAccount?customerAccount.id=' +
             ids.join(',');
-        var billingUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.billing.port, billingPath);
-
-        request(billingUrl, function(err, response, body) {
+        upstream.request('billing', { url: billingPath, context: proxyRes }, function(err, response, body) {
 
             if (!err && response.statusCode === 200) {
 
@@ -343,21 +295,20 @@ var customer = (function() {
                 if (allowed) {
                     callback(null);
                 } else {
-                    callback({
-                        status: 403,
-                        message: 'Unauthorized to retrieve the information of the given customer'
-                    });
+                    callback(errors.create('CUSTOMER_RETRIEVAL_FORBIDDEN'));
                 }
 
             } else {
-                callback({
-                    status: 500,
-                    message: 'An error arises at the time of retrieving associated billing accounts'
-                });
+                callback(errors.create('CUSTOMER_BILLING_ACCOUNTS_NOT_READABLE'));
             }
         });
     };
 
+    var requiresPostValidation = function(req) {
+        // Created customer accounts are attached to their customer
+        return req.method === 'GET' || req.method === 'POST';
+    };
+
     var executePostValidation = function(proxyRes, callback) {
 
         // This is not supposed to fail since this method is only called when the request to the
@@ -367,7 +318,7 @@ var customer = (function() {
         if (proxyRes.method === 'GET') {
 
             if (!Array.isArray(proxyRes.json)) {
-                isOwner(proxyRes, proxyRes.json, 'Unauthorized to retrieve the given customer profile', function(err) {
+                isOwner(proxyRes, proxyRes.json, 'CUSTOMER_PROFILE_RETRIEVAL_FORBIDDEN', function(err) {
 
                     if (err) {
 
@@ -411,7 +362,9 @@ var customer = (function() {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        requiresPostValidation: requiresPostValidation,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 
 })();
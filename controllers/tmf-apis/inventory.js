@@ -19,6 +19,8 @@
 
 var async = require('async'),
     config = require('./../../config'),
+    errors = require('./../../lib/errors').errors,
+    url = require('url'),
     utils = require('./../../lib/utils'),
     tmfUtils = require('./../../lib/tmfUtils');
 
@@ -56,6 +58,11 @@ var inventory = (function() {
 
     };
 
+    // Products not acquired by the user are removed from the lists
+    var filtersCollection = function(req) {
+        return /\/product\/?$/.test(url.parse(req.apiUrl).pathname);
+    };
+
     var executePostValidation = function(req, callback) {
 
         var body = JSON.parse(req.body);
@@ -77,10 +84,7 @@ var inventory = (function() {
         if (!isArray) {
 
             if (filteredOrders.length === 0) {
-                callback({
-                    status: 403,
-                    message: 'You are not authorized to retrieve the specified offering from the inventory'
-                });
+                callback(errors.create('INVENTORY_RETRIEVAL_FORBIDDEN'));
             } else {
                 utils.updateBody(req, filteredOrders[0]);
                 callback(null);
@@ -95,7 +99,9 @@ var inventory = (function() {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        filtersCollection: filtersCollection,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 })();
 
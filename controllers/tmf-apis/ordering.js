@@ -18,12 +18,14 @@
  */
 
 var async = require('async'),
+    audit = require('./../../lib/audit').audit,
     config = require('./../../config'),
     equal = require('deep-equal'),
+    errors = require('./../../lib/errors').errors,
     moment = require('moment'),
-    request = require('request'),
     storeClient = require('./../../lib/store').storeClient,
     tmfUtils = require('./../../lib/tmfUtils'),
+    upstream = require('./../../lib/upstream').upstream,
     url = require('url'),
     utils = require('./../../lib/utils');
 
@@ -38,28 +40,27 @@ var ordering = (function(){
     var FAILED = 'Failed';
     var PARTIAL = 'Partial';
 
+    // Owners of the products that are organizations are included as organizations in the orderings
+    var ORGANIZATION_HREF = /\/organization\/[^\/]+\/?$/;
+
     //////////////////////////////////////////////////////////////////////////////////////////////
     /////////////////////////////////////////// COMMON ///////////////////////////////////////////
     //////////////////////////////////////////////////////////////////////////////////////////////
 
-    var makeRequest = function(url, errMsg, callback) {
+    var makeRequest = function(req, endpoint, path, error, callback) {
 
-        request(url, function(err, response, body) {
+        upstream.request(endpoint, { url: path, context: req }, function(err, response, body) {
 
             if (err || response.statusCode >= 400) {
-                callback({
-                    status: 400,
-                    message: errMsg
-                });
+                callback(error);
             } else {
                 callback(null, JSON.parse(body));
             }
         });
     };
 
-    var getBillingAccountUrl = function(billingAccount) {
-        var billingAccountPath = url.parse(billingAccount.href).pathname;
-        return utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.billing.port, billingAccountPath);
+    var getBillingAccountPath = function(billingAccount) {
+        return url.parse(billingAccount.href).pathname;
     };
 
 
@@ -76,14 +77,13 @@ var ordering = (function(){
     ////////////////////////////////////////// CREATION //////////////////////////////////////////
     //////////////////////////////////////////////////////////////////////////////////////////////
 
-    var includeProductParty = function(offering, item, individualCollectionUrl, callback) {
+    var includeProductParty = function(req, offering, item, individualCollectionUrl, callback) {
 
-        var errorMessageProduct = 'The system fails to retrieve the product attached to the ordering item ' + item.id;
+        var productError = errors.create('ORDERING_PRODUCT_NOT_READABLE', { id: item.id });
 
-        var productUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.catalog.port,
-            url.parse(offering.productSpecification.href).path);
+        var productPath = url.parse(offering.productSpecification.href).path;
 
-        makeRequest(productUrl, errorMessageProduct, function (err, product) {
+        makeRequest(req, 'catalog', productPath, productError, function (err, product) {
 
             if (err) {
                 callback(err);
@@ -94,17 +94,15 @@ var ordering = (function(){
                 });
 
                 if (!owners.length) {
-                    callback({
-                        status: 400,
-                        message: 'You cannot order a product without owners'
-                    });
+                    callback(errors.create('ORDERING_PRODUCT_WITHOUT_OWNERS'));
 
                 } else {
                     owners.forEach(function (owner) {
                         item.product.relatedParty.push({
                             id: owner.id,
                             role: SELLER,
-                            href: individualCollectionUrl + owner.id
+                            href: ORGANIZATION_HREF.test(owner.href || '') ?
+                                tmfUtils.getOrganizationURL(req, owner.id) : individualCollectionUrl + owner.id
                         });
                     });
 
@@ -114,44 +112,39 @@ var ordering = (function(){
         });
     };
 
-    var includeOfferingParty = function(offeringUrl, item, individualCollectionUrl, callback) {
+    var includeOfferingParty = function(req, offeringPath, item, individualCollectionUrl, callback) {
 
-        var errorMessageOffer = 'The system fails to retrieve the offering attached to the ordering item ' + item.id;
+        var offeringError = errors.create('ORDERING_OFFERING_NOT_READABLE', { id: item.id });
 
-        makeRequest(offeringUrl, errorMessageOffer, function(err, offering) {
+        makeRequest(req, 'catalog', offeringPath, offeringError, function(err, offering) {
 
             if (err) {
                 callback(err);
             } else {
                 if (!offering.isBundle) {
-                    includeProductParty(offering, item, individualCollectionUrl, callback);
+                    includeProductParty(req, offering, item, individualCollectionUrl, callback);
                 } else {
-                    var offeringUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.catalog.port,
-                        url.parse(offering.bundledProductOffering[0].href).path);
-                    includeOfferingParty(offeringUrl, item, individualCollectionUrl, callback);
+                    var bundledOfferingPath = url.parse(offering.bundledProductOffering[0].href).path;
+                    includeOfferingParty(req, bundledOfferingPath, item, individualCollectionUrl, callback);
                 }
             }
         });
     };
 
-    var completeRelatedPartyInfo = function(individualCollectionUrl, item, user, callback) {
+    var completeRelatedPartyInfo = function(req, individualCollectionUrl, item, callback) {
+
+        var user = req.user;
 
         if (!item.product) {
 
-            callback({
-                status: 400,
-                message: 'The product order item ' + item.id + ' must contain a product field'
-            });
+            callback(errors.create('ORDERING_ITEM_MISSING_PRODUCT', { id: item.id }));
 
             return;
         }
 
         if (!item.productOffering) {
 
-            callback({
-                status: 400,
-                message: 'The product order item ' + item.id + ' must contain a productOffering field'
-            });
+            callback(errors.create('ORDERING_ITEM_MISSING_OFFERING', { id: item.id }));
 
             return;
         }
@@ -162,10 +155,7 @@ var ordering = (function(){
         var itemCustCheck = tmfUtils.isOrderingCustomer(user, item.product);
 
         if (itemCustCheck[0] && !itemCustCheck[1]) {
-            callback({
-                status: 403,
-                message: 'The customer specified in the order item ' + item.id + ' is not the user making the request'
-            });
+            callback(errors.create('ORDERING_ITEM_CUSTOMER_MISMATCH', { id: item.id }));
             return;
         }
 
@@ -173,17 +163,17 @@ var ordering = (function(){
             item.product.relatedParty.push({
                 id: user.id,
                 role: CUSTOMER,
-                href: individualCollectionUrl + user.id
+                href: user.partyType === 'organization' ?
+                    tmfUtils.getOrganizationURL(req, user.id) : individualCollectionUrl + user.id
             });
         }
 
         // Inject customer and seller related parties in the order items in order to make this info
         // available thought the inventory API
 
-        var offeringUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.catalog.port,
-            url.parse(item.productOffering.href).path);
+        var offeringPath = url.parse(item.productOffering.href).path;
 
-        includeOfferingParty(offeringUrl, item, individualCollectionUrl, callback);
+        includeOfferingParty(req, offeringPath, item, individualCollectionUrl, callback);
     };
 
     var validateCreation = function(req, callback) {
@@ -194,58 +184,40 @@ var ordering = (function(){
             body = JSON.parse(req.body);
         } catch (e) {
 
-            return callback({
-                status: 400,
-                message: 'The resource is not a valid JSON document'
-            });
+            return callback(errors.create('ORDERING_INVALID_BODY'));
         }
 
         // Check that the related party field has been included
         if (!body.relatedParty) {
 
-            return callback({
-                status: 400,
-                message: 'A product order must contain a relatedParty field'
-            });
+            return callback(errors.create('ORDERING_MISSING_RELATED_PARTY'));
         }
 
         // Check that the user has the customer role
         if (config.customerRoleRequired && !utils.hasRole(req.user, config.oauth2.roles.customer)) {
 
-            return callback({
-                status: 403,
-                message: 'You are not authorized to order products'
-            });
+            return callback(errors.create('ORDERING_CUSTOMER_ROLE_REQUIRED'));
         }
 
         // Check that the user is the specified customer
         var customerCheck = tmfUtils.isOrderingCustomer(req.user, body);
         if (!customerCheck[0]) {
-            return callback({
-                status: 403,
-                message: 'It is required to specify a customer in the relatedParty field'
-            });
+            return callback(errors.create('ORDERING_MISSING_CUSTOMER'));
         }
 
         if (!customerCheck[1]) {
-            return callback({
-                status: 403,
-                message: 'The customer specified in the product order is not the user making the request'
-            });
+            return callback(errors.create('ORDERING_CUSTOMER_MISMATCH'));
         }
 
         if (!body.orderItem || !body.orderItem.length) {
-            return callback({
-                status: 400,
-                message: 'A product order must contain an orderItem field'
-            });
+            return callback(errors.create('ORDERING_MISSING_ORDER_ITEM'));
         }
 
         var asyncTasks = [];
         var individualCollectionUrl = tmfUtils.getIndividualURL(req);
 
         body.orderItem.forEach(function(item) {
-            asyncTasks.push(completeRelatedPartyInfo.bind(this, individualCollectionUrl, item, req.user));
+            asyncTasks.push(completeRelatedPartyInfo.bind(this, req, individualCollectionUrl, item));
         });
 
         async.series(asyncTasks, function(err/*, results*/) {
@@ -279,10 +251,7 @@ var ordering = (function(){
                     utils.updateBody(req, body);
                     checkBillingAccounts(req, body, callback);
                 } else {
-                    callback({
-                        status: 403,
-                        message: 'You cannot acquire your own offering'
-                    });
+                    callback(errors.create('ORDERING_OWN_OFFERING'));
                 }
 
             }
@@ -301,10 +270,7 @@ var ordering = (function(){
         }
 
         if (!initialBillingAccount || !initialBillingAccount.href) {
-            return callback({
-                status: 422,
-                message: 'Billing Account is required'
-            });
+            return callback(errors.create('ORDERING_MISSING_BILLING_ACCOUNT'));
         }
 
         var error = false;
@@ -315,16 +281,13 @@ var ordering = (function(){
         }
 
         if (error) {
-            return callback({
-                status: 422,
-                message: 'Billing Accounts must be the same for all the order items contained in the ordering'
-            });
+            return callback(errors.create('ORDERING_DIFFERENT_BILLING_ACCOUNTS'));
         }
 
         // Verify that the billing account exists and that the user is the owner of that billing account
-        var billingAccountUrl = getBillingAccountUrl(initialBillingAccount);
+        var billingAccountPath = getBillingAccountPath(initialBillingAccount);
 
-        request(billingAccountUrl, function(err, response, body) {
+        upstream.request('billing', { url: billingAccountPath, context: req }, function(err, response, body) {
 
             if (!err && response.statusCode === 200) {
 
@@ -333,24 +296,15 @@ var ordering = (function(){
                 if (tmfUtils.hasPartyRole(req, billingAccount.relatedParty, config.billingAccountOwnerRole)) {
                     callback(null);
                 } else {
-                    callback({
-                        status: 403,
-                        message: 'Unauthorized to use non-owned billing accounts'
-                    });
+                    callback(errors.create('ORDERING_BILLING_ACCOUNT_NOT_OWNED'));
                 }
 
             } else {
 
                 if (response && response.statusCode === 404) {
-                    callback({
-                        status: 422,
-                        message: 'The given billing account does not exist'
-                    });
+                    callback(errors.create('ORDERING_BILLING_ACCOUNT_NOT_FOUND'));
                 } else {
-                    callback({
-                        status: 500,
-                        message: 'There was an unexpected error at the time of retrieving the provided billing account'
-                    });
+                    callback(errors.create('ORDERING_BILLING_ACCOUNT_NOT_READABLE'));
                 }
             }
         });
@@ -366,10 +320,7 @@ var ordering = (function(){
         var error = null;
 
         if (previousOrdering.state.toLowerCase() !== 'inprogress') {
-            error = {
-                status: 403,
-                message: previousOrdering.state + ' orders cannot be manually modified'
-            };
+            error = errors.create('ORDERING_STATE_NOT_MODIFIABLE', { state: previousOrdering.state });
         }
 
         for (var i = 0; i < updatedOrdering.orderItem.length && !error; i++) {
@@ -382,20 +333,14 @@ var ordering = (function(){
 
             if (!previousOrderItem) {
 
-                error = {
-                    status: 400,
-                    message: 'You are trying to edit an non-existing item'
-                };
+                error = errors.create('ORDERING_UNKNOWN_ITEM');
 
             } else {
 
                 // Check that fields are not added or removed
                 if (Object.keys(updatedItem).length !== Object.keys(previousOrderItem).length) {
 
-                    error = {
-                        status: 403,
-                        message: 'The fields of an order item cannot be modified'
-                    };
+                    error = errors.create('ORDERING_ITEM_NOT_MODIFIABLE');
 
                 } else {
 
@@ -403,10 +348,7 @@ var ordering = (function(){
 
                         if (field.toLowerCase() !== 'state' && !equal(previousOrderItem[field], updatedItem[field])) {
 
-                            error = {
-                                status: 403,
-                                message: 'The value of the field ' + field + ' cannot be changed'
-                            };
+                            error = errors.create('ORDERING_ITEM_FIELD_NOT_MODIFIABLE', { field: field });
 
                             break;
                         }
@@ -418,10 +360,7 @@ var ordering = (function(){
 
                         // If the user is not the seller and the state is changed
                         if (!isSeller && previousOrderItem['state'] != updatedItem['state']) {
-                            error = {
-                                status: 403,
-                                message: 'You cannot modify an order item if you are not seller'
-                            };
+                            error = errors.create('ORDERING_ITEM_SELLER_ONLY');
                         } else {
                             // If no errors, the state can be updated!
                             previousOrderItem['state'] = updatedItem['state'];
@@ -465,10 +404,7 @@ var ordering = (function(){
             }
 
             if (matches !== 1) {
-                return callback({
-                    status: 403,
-                    message: 'You are not allowed to modify the existing notes of an ordering'
-                })
+                return callback(errors.create('ORDERING_NOTES_NOT_MODIFIABLE'))
             }
         }
 
@@ -480,35 +416,26 @@ var ordering = (function(){
         try {
 
             var ordering = JSON.parse(req.body);
-            var orderingUrl = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.ordering.port, req.apiUrl);
-
-            makeRequest(orderingUrl, 'The requested ordering cannot be retrieved', function(err, previousOrdering) {
+            makeRequest(req, 'ordering', req.apiUrl, errors.create('ORDERING_NOT_READABLE'), function(err, previousOrdering) {
                 if (err) {
                     callback(err);
                 } else {
 
+                    audit.setPrevious(req, previousOrdering);
+
                     var isCustomer = tmfUtils.hasPartyRole(req, previousOrdering.relatedParty, CUSTOMER);
                     var isSeller = tmfUtils.hasPartyRole(req, previousOrdering.relatedParty, SELLER);
 
                     if (isCustomer) {
 
                         if ('relatedParty' in ordering) {
-                            callback({
-                                status: 403,
-                                message: 'Related parties cannot be modified'
-                            });
+                            callback(errors.create('ORDERING_RELATED_PARTY_NOT_MODIFIABLE'));
                         } else if ('orderItem' in ordering) {
-                            callback({
-                                status: 403,
-                                message: 'Order items can only be modified by sellers'
-                            });
+                            callback(errors.create('ORDERING_ITEMS_SELLER_ONLY'));
                         } else if ('state' in ordering) {
 
                             if(ordering['state'].toLowerCase() !== 'cancelled') {
-                                callback({
-                                    status: 403,
-                                    message: 'Invalid order state. Valid states for customers are: "Cancelled"'
-                                });
+                                callback(errors.create('ORDERING_INVALID_CUSTOMER_STATE'));
 
                             } else {
 
@@ -518,17 +445,14 @@ var ordering = (function(){
                                 });
 
                                 if (productsInAckState.length != previousOrdering.orderItem.length) {
-                                    callback({
-                                        status: 403,
-                                        message: 'Orderings can only be cancelled when all Order items are in Acknowledged state'
-                                    });
+                                    callback(errors.create('ORDERING_NOT_CANCELLABLE'));
                                 } else {
 
                                     // Otherwise, the charges has to be refunded to the user.
                                     // If the sales cannot be refunded, the callback will be called with
                                     // the error parameter so the pre validation will fail and the state
                                     // won't be changed.
-                                    storeClient.refund(previousOrdering.id, req.user, function (err) {
+                                    storeClient.refund(previousOrdering.id, req, function (err) {
 
                                         if (err) {
                                             callback(err);
@@ -564,27 +488,18 @@ var ordering = (function(){
                             validateNotes(ordering.note, previousOrdering.note, callback);
 
                         } else {
-                            callback({
-                                status: 403,
-                                message: 'Sellers can only modify order items or include notes'
-                            });
+                            callback(errors.create('ORDERING_SELLER_FIELDS'));
                         }
 
                     } else {
-                        callback({
-                            status: 403,
-                            message: 'You are not authorized to modify this ordering'
-                        });
+                        callback(errors.create('ORDERING_MODIFICATION_FORBIDDEN'));
                     }
                 }
             });
 
         } catch (e) {
 
-            callback({
-                status: 400,
-                message: 'The resource is not a valid JSON document'
-            });
+            callback(errors.create('ORDERING_INVALID_BODY'));
 
         }
     };
@@ -647,43 +562,31 @@ var ordering = (function(){
             orderings = body;
         }
 
-        // This array is needed as the length of the array cannot be modified while it's being iterated
-        var orderingsToRemove = [];
-        orderings.forEach(function(ordering) {
+        var hasRole = function(partyList, role) {
+            return tmfUtils.hasPartyRole(req, partyList, role);
+        };
 
-            var customer = tmfUtils.hasPartyRole(req, ordering.relatedParty, CUSTOMER);
-            var seller = tmfUtils.hasPartyRole(req, ordering.relatedParty, SELLER);
+        // When a user is involved only as a seller in an ordering, only the order items where the
+        // user is a seller are returned. Orderings where the user is not involved are removed, which
+        // can happen when a user asks for a specific ordering
+        orderings = orderings.map(function(ordering) {
 
-            if (!customer && !seller) {
-                // This can happen when a user ask for a specific ordering.
-                orderingsToRemove.push(ordering);
-            } else if (!customer && seller) {
+            var visible = tmfUtils.getVisibleOrdering(ordering, hasRole);
 
-                // When a user is involved only as a seller in an ordering, only the order items
-                // where the user is a seller have to be returned
-
-                ordering.orderItem = ordering.orderItem.filter(function(item) {
-                    return tmfUtils.hasPartyRole(req, item.product.relatedParty, SELLER);
-                });
+            if (visible && req.method.toUpperCase() === 'GET') {
+                visible.note = sortByDate(visible.note);
             }
-            // ELSE: If the user is the customer, order items don't have to be filtered
 
-            if (req.method.toUpperCase() === 'GET') {
-                ordering.note = sortByDate(ordering.note);
-            }
-        });
+            return visible;
 
-        orderings = orderings.filter(function(ordering) {
-            return orderingsToRemove.indexOf(ordering) < 0;
+        }).filter(function(ordering) {
+            return ordering !== null;
         });
 
         if (!isArray) {
 
             if (orderings.length === 0) {
-                callback({
-                    status: 403,
-                    message: 'You are not authorized to retrieve the specified ordering'
-                });
+                callback(errors.create('ORDERING_RETRIEVAL_FORBIDDEN'));
             } else {
                 utils.updateBody(req, orderings[0]);
                 callback(null);
@@ -701,9 +604,9 @@ var ordering = (function(){
 
         var ordering = JSON.parse(req.body);
 
-        var billingAccountUrl = getBillingAccountUrl(ordering.orderItem[0].billingAccount[0]);
+        var billingAccountPath = getBillingAccountPath(ordering.orderItem[0].billingAccount[0]);
 
-        request(billingAccountUrl, function(err, response, rawBillingAccount) {
+        upstream.request('billing', { url: billingAccountPath, context: req }, function(err, response, rawBillingAccount) {
 
             if (!err && response.statusCode === 200) {
 
@@ -733,16 +636,15 @@ var ordering = (function(){
 
                 // if (modified) {
 
-                request(billingAccountUrl, {
+                upstream.request('billing', {
+                    url: billingAccountPath,
                     method: 'PATCH',
-                    json: { relatedParty: billingAccountRelatedParties }
+                    json: { relatedParty: billingAccountRelatedParties },
+                    context: req
                 }, function(err, response) {
 
                     if (err || response.statusCode >= 400) {
-                        callback({
-                            status: 500,
-                            message: 'Unexpected error when updating the given billing account'
-                        })
+                        callback(errors.create('ORDERING_BILLING_ACCOUNT_NOT_UPDATED'))
                     } else {
                         callback(null);
                     }
@@ -754,10 +656,7 @@ var ordering = (function(){
                 // }
 
             } else {
-                callback({
-                    status: 500,
-                    message: 'Unexpected error when checking the given billing account'
-                });
+                callback(errors.create('ORDERING_BILLING_ACCOUNT_NOT_CHECKED'));
             }
 
         });
@@ -769,7 +668,7 @@ var ordering = (function(){
         var body = JSON.parse(req.body);
 
         // Send ordering notification to the store
-        storeClient.notifyOrder(body, req.user, function(err, res) {
+        storeClient.notifyOrder(body, req, function(err, res) {
 
             if (res) {
 
@@ -787,6 +686,11 @@ var ordering = (function(){
         });
     };
 
+    // Orderings where the user is not involved are removed from the lists
+    var filtersCollection = function(req) {
+        return /\/productOrder\/?$/.test(url.parse(req.apiUrl).pathname);
+    };
+
     var executePostValidation = function(req, callback) {
 
         if (['GET', 'PUT', 'PATCH'].indexOf(req.method.toUpperCase()) >= 0) {
@@ -813,7 +717,9 @@ var ordering = (function(){
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        filtersCollection: filtersCollection,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 
 })();
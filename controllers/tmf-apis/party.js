@@ -19,6 +19,7 @@
 
 var async = require('async'),
     config = require('./../../config'),
+    errors = require('./../../lib/errors').errors,
     url = require('url'),
     utils = require('./../../lib/utils');
 
@@ -37,43 +38,34 @@ var party = (function() {
             if (party.id && party.id === req.user.id) {
                 callback(null);
             } else {
-                callback({
-                    status: 403,
-                    message: 'Provided party ID and request user ID mismatch'
-                });
+                callback(errors.create('PARTY_ID_MISMATCH'));
             }
 
         } catch (e) {
-            callback({
-                status: 400,
-                message: 'The provided body is not a valid JSON'
-            });
+            callback(errors.create('INVALID_JSON'));
         }
     };
 
     var validateUpdate = function(req, callback) {
 
-        var individualsPattern = new RegExp('^/' + config.endpoints.party.path +
-            '/api/partyManagement/v2/individual(/([^/]*))?$');
+        var partiesPattern = new RegExp('^/' + config.endpoints.party.path +
+            '/api/partyManagement/v2/(individual|organization)(/([^/]*))?$');
         var apiPath = url.parse(req.apiUrl).pathname;
 
-        var regexResult = individualsPattern.exec(apiPath);
+        var regexResult = partiesPattern.exec(apiPath);
 
-        if (!regexResult || !regexResult[2]) {
-            callback({
-                status: 404,
-                message: 'The given path is invalid'
-            });
+        if (!regexResult || !regexResult[3]) {
+            callback(errors.create('PARTY_INVALID_PATH'));
         } else {
 
-            // regexResult[2] contains the user name
-            if (req.user.id === regexResult[2]) {
+            // Users can only modify the party they act as: their individual or their active organization
+            var partyType = req.user.partyType || 'individual';
+
+            // regexResult[3] contains the party ID
+            if (req.user.id === regexResult[3] && partyType === regexResult[1]) {
                 callback(null);
             } else {
-                callback({
-                    status: 403,
-                    message: 'You are not allowed to access this resource'
-                });
+                callback(errors.create('PARTY_ACCESS_FORBIDDEN'));
             }
         }
     };
@@ -102,15 +94,19 @@ var party = (function() {
             async.series(reqValidators, callback);
 
         } else {
-            callback({
-                status: 405,
-                message: 'Method not allowed'
-            })
+            callback(errors.create('API_METHOD_NOT_ALLOWED'))
         }
     };
 
+    // Only the creation validator reads the body of the request
+    var requiresRequestBody = function(req) {
+        return req.method === 'POST';
+    };
+
     return {
-        checkPermissions: checkPermissions
+        checkPermissions: checkPermissions,
+        requiresRequestBody: requiresRequestBody,
+        validators: validators
     };
 
 })();
@@ -20,6 +20,7 @@
 var async = require('async'),
     utils = require('./../../lib/utils'),
     config = require('./../../config'),
+    errors = require('./../../lib/errors').errors,
     logger = require('./../../lib/logger').logger.getLogger('TMF'),
 
     rssClient = require('./../../lib/rss').rssClient;
@@ -31,27 +32,18 @@ var rss = (function () {
 
         // Hide private APIs
         if (req.apiUrl.indexOf('rss/aggregators') >= 0) {
-            return callback({
-                status: 403,
-                message: 'This API is private'
-            });
+            return callback(errors.create('PRIVATE_API'));
         }
 
         // Only sellers are allowed to access the RSS API
         if (!utils.hasRole(req.user, config.oauth2.roles.seller)) {
-            return callback({
-                status: 403,
-                message: 'You are not authorized to access the RSS API'
-            });
+            return callback(errors.create('RSS_ACCESS_FORBIDDEN'));
         }
 
         // Check if the provider object has been already created
-        rssClient.createProvider(req.user, function(err) {
+        rssClient.createProvider(req, function(err) {
             if (err) {
-                return callback({
-                    status: 500,
-                    message: 'An unexpected error in the RSS API prevented your request to be processed'
-                });
+                return callback(errors.create('RSS_ERROR'));
             }
             callback();
         });
@@ -62,19 +54,13 @@ var rss = (function () {
 
         // Hide CDRs API
         if (req.apiUrl.indexOf('rss/cdrs') >= 0) {
-            return callback({
-                status: 403,
-                message: 'This API can only be accessed with GET requests'
-            });
+            return callback(errors.create('RSS_READ_ONLY'));
         }
 
         try {
             body = JSON.parse(req.body);
         } catch (e) {
-            return callback({
-                status: 400,
-                message: 'The provided body is not a valid JSON'
-            });
+            return callback(errors.create('INVALID_JSON'));
         }
 
         // Include the revenue model as aggregator value when creating RS models
@@ -104,6 +90,10 @@ var rss = (function () {
         async.series(reqValidators, callback);
     };
 
+    var requiresPostValidation = function(req) {
+        return req.method == 'GET' && req.apiUrl.indexOf('rss/models') >= 0;
+    };
+
     var executePostValidation = function(req, callback) {
         logger.info("Executing RSS post validation");
         if (req.method == 'GET' && req.apiUrl.indexOf('rss/models') >= 0) {
@@ -118,7 +108,7 @@ var rss = (function () {
 
             // If the models list is empty create the default revenue model
             if (!body.length) {
-                rssClient.createDefaultModel(req.user, function(err, response) {
+                rssClient.createDefaultModel(req, function(err, response) {
                     if (err) {
                         return callback(err);
                     }
@@ -137,7 +127,9 @@ var rss = (function () {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        requiresPostValidation: requiresPostValidation,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 })();
 
@@ -19,6 +19,8 @@
 
 var AccountingService = require('./../../db/schemas/accountingService'),
     async = require('async'),
+    errors = require('./../../lib/errors').errors,
+    serviceAccounts = require('./../../lib/serviceAccounts').serviceAccounts,
     url = require('url'),
     storeClient = require('./../../lib/store').storeClient,
     utils = require('./../../lib/utils'),
@@ -27,7 +29,8 @@ var AccountingService = require('./../../db/schemas/accountingService'),
 var usageManagement = ( function () {
 
     /**
-     * Check if the API Key passed is a valid API Key
+     * Check if the API Key passed is a valid API Key. Service accounts granted the usage:write scope
+     * can send usages without API Key
      *
      * @param  {Object}   req      Incoming request.
      */
@@ -35,12 +38,13 @@ var usageManagement = ( function () {
 
         var apiKey = req.get('X-API-KEY');
 
-        if (!apiKey) {
+        if (!apiKey && serviceAccounts.hasScope(req.user, 'usage:write')) {
 
-            return callback({
-                status: 401,
-                message: 'Missing header "X-API-KEY"'
-            });
+            return callback(null);
+
+        } else if (!apiKey) {
+
+            return callback(errors.create('USAGE_MISSING_API_KEY'));
 
         } else {
 
@@ -50,24 +54,15 @@ var usageManagement = ( function () {
 
                 if (err) {
 
-                    res = {
-                        status: 500,
-                        message: 'Error validating apiKey'
-                    };
+                    res = errors.create('USAGE_API_KEY_NOT_VALIDATED');
 
                 } else if (!result) {
 
-                    res = {
-                        status: 401,
-                        message: 'Invalid apikey'
-                    };
+                    res = errors.create('USAGE_INVALID_API_KEY');
 
                 } else if (result.state !== 'COMMITTED') {
 
-                    res = {
-                        status: 401,
-                        message: 'Apikey uncommitted'
-                    };
+                    res = errors.create('USAGE_API_KEY_UNCOMMITTED');
 
                 } else {
                     res = null;
@@ -78,20 +73,39 @@ var usageManagement = ( function () {
         }
     };
 
+    var usagePattern = /usage($|\/)/;
+
+    // The API Key is read from the headers so usage bodies can be streamed
+    var requiresRequestBody = function (req) {
+        return false;
+    };
+
+    // Usages are filtered by product when usageCharacteristic.value is given
+    var filtersCollection = function (req) {
+
+        var parsedUrl = url.parse(req.apiUrl, true);
+
+        return usagePattern.test(parsedUrl.pathname) && !!parsedUrl.query['usageCharacteristic.value'];
+    };
+
+    var requiresPostValidation = function (req) {
+        return (req.method === 'POST' && usagePattern.test(req.apiUrl)) ||
+            (req.method === 'GET' && filtersCollection(req));
+    };
+
     // If the usage notification to the usage management API is successful, 
     //  it will notify the the Store with the API response
     var executePostValidation = function (req, callback) {
 
         var body = JSON.parse(req.body);
 
-        var expr = /usage($|\/)/;
         var parsedUrl = url.parse(req.apiUrl, true);
 
-        if (req.method === 'POST' && req.status === 201 && expr.test(req.apiUrl)) {
+        if (req.method === 'POST' && req.status === 201 && usagePattern.test(req.apiUrl)) {
 
-            storeClient.validateUsage(body, callback);
+            storeClient.validateUsage(body, req, callback);
 
-        } else if (req.method === 'GET' && expr.test(parsedUrl.pathname)){
+        } else if (req.method === 'GET' && usagePattern.test(parsedUrl.pathname)){
             // Check if is needed to filter the list
             var query = parsedUrl.query;
 
@@ -145,7 +159,11 @@ var usageManagement = ( function () {
 
     return {
         checkPermissions: checkPermissions,
-        executePostValidation: executePostValidation
+        requiresRequestBody: requiresRequestBody,
+        requiresPostValidation: requiresPostValidation,
+        filtersCollection: filtersCollection,
+        executePostValidation: executePostValidation,
+        validators: validators
     };
 
 })();
@@ -30,112 +30,557 @@ var config = require('./../config'),
     billing = require('./tmf-apis/billing').billing,
     customer = require('./tmf-apis/customer').customer,
     // Other dependencies
+    audit = require('./../lib/audit').audit,
+    errors = require('./../lib/errors').errors,
+    events = require('./../lib/events').events,
+    hrefs = require('./../lib/hrefs').hrefs,
+    liveUpdates = require('./../lib/liveUpdates').liveUpdates,
     logger = require('./../lib/logger').logger.getLogger('TMF'),
-    request = require('request'),
+    metrics = require('./../lib/metrics').metrics,
+    pagination = require('./../lib/pagination').pagination,
+    plugins = require('./../lib/plugins').plugins,
+    policies = require('./../lib/policies').policies,
+    responseCache = require('./../lib/cache').responseCache,
+    serviceAccounts = require('./../lib/serviceAccounts').serviceAccounts,
+    tracer = require('./../lib/tracing').tracer,
+    upstream = require('./../lib/upstream').upstream,
     url = require('url'),
     utils = require('./../lib/utils');
 
 var tmf = (function() {
 
-    var apiControllers = {};
-    apiControllers[config.endpoints.catalog.path] = catalog;
-    apiControllers[config.endpoints.ordering.path] = ordering;
-    apiControllers[config.endpoints.inventory.path] = inventory;
-    apiControllers[config.endpoints.charging.path] = charging;
-    apiControllers[config.endpoints.rss.path] = rss;
-    apiControllers[config.endpoints.party.path] = party;
-    apiControllers[config.endpoints.usage.path] = usageManagement;
-    apiControllers[config.endpoints.billing.path] = billing;
-    apiControllers[config.endpoints.customer.path] = customer;
+    var controllersByEndpoint = {
+        catalog: catalog,
+        ordering: ordering,
+        inventory: inventory,
+        charging: charging,
+        rss: rss,
+        party: party,
+        usage: usageManagement,
+        billing: billing,
+        customer: customer
+    };
+
+    var validationRejections = metrics.counter('proxy_validation_rejections_total',
+        'Requests rejected by the validators of the APIs', ['phase', 'controller', 'code']);
+
+    // Messages include the IDs of the resources, so rejections are counted by the code of the error
+    var getRejectionCode = function(err) {
+        return err.code && errors.exists(err.code) ? err.code : 'ERROR';
+    };
 
     var getAPIName = function(apiUrl) {
         return apiUrl.split('/')[1];
     };
 
-    var sendError = function(res, err) {
-        var status = err.status;
-        var errMsg = err.message;
+    // The paths of the APIs are read in every request since they can be changed when the
+    // configuration is reloaded. APIs not bundled with the proxy can be defined by plugins
+    var getController = function(api) {
 
-        res.status(status);
-        res.json({ error: errMsg });
+        for (var endpointName in controllersByEndpoint) {
+            if (config.endpoints[endpointName].path === api) {
+                return controllersByEndpoint[endpointName];
+            }
+        }
+
+        return plugins.getController(api);
+    };
+
+    var sendError = function(res, err) {
+        errors.send(res, err);
         res.end();
     };
 
+    var sendUpstreamError = function(res, err) {
+
+        if (err.code === upstream.CIRCUIT_OPEN) {
+            var error = errors.create('UPSTREAM_UNAVAILABLE');
+            error.retryAfter = err.retryAfter;
+            errors.send(res, error);
+        } else {
+            errors.send(res, errors.create('UPSTREAM_UNREACHABLE'));
+        }
+    };
+
+    var hasBody = function(req) {
+        return req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length']) > 0;
+    };
+
+    var requiresRequestBody = function(req) {
+
+        var api = getAPIName(req.apiUrl);
+        var controller = getController(api);
+
+        // Controllers that do not declare whether they need the body are supposed to need it. The
+        // bodies of the audited requests are recorded
+        return controller !== undefined &&
+            (!controller.requiresRequestBody || controller.requiresRequestBody(req) ||
+                plugins.requiresRequestBody(req) || policies.requiresRequestBody(req) ||
+                hrefs.requiresRequestBody(req) || audit.isAudited(req));
+    };
+
+    var controllerRequiresPostValidation = function(api, req) {
+
+        var controller = getController(api);
+
+        return controller !== undefined && !!controller.executePostValidation &&
+            (!controller.requiresPostValidation || controller.requiresPostValidation(req));
+    };
+
+    // Collections whose items are filtered by the post validation cannot be paginated by the APIs
+    var filtersCollection = function(api, req) {
+
+        var controller = getController(api);
+
+        return req.method === 'GET' && controller !== undefined && !!controller.filtersCollection &&
+            controller.filtersCollection(req);
+    };
+
+    var requiresPostValidation = function(api, req) {
+        return controllerRequiresPostValidation(api, req) ||
+            (getController(api) !== undefined && plugins.requiresPostValidation(req));
+    };
+
+    // Access policies are checked before the validators of the controller, and the validators added
+    // by plugins are executed once the ones of the controller accept the request
+    var executePreValidation = function(api, req, callback) {
+
+        // Service accounts are limited to the APIs and methods of their scopes
+        var scopeError = serviceAccounts.checkScope(api, req);
+
+        if (scopeError) {
+            return callback(scopeError);
+        }
+
+        policies.evaluate(req, function(decision) {
+
+            utils.log(logger, 'debug', req, 'Access policies: ' + policies.describe(decision));
+
+            if (!decision.allowed) {
+                return callback({
+                    status: decision.status,
+                    code: decision.code,
+                    message: decision.message
+                });
+            }
+
+            getController(api).checkPermissions(req, function(err) {
+                if (err) {
+                    callback(err);
+                } else {
+                    plugins.preValidate(req, callback);
+                }
+            });
+        });
+    };
+
+    var executePostValidation = function(api, req, result, callback) {
+
+        var validateResult = function(validationCallback) {
+            if (controllerRequiresPostValidation(api, req)) {
+                getController(api).executePostValidation(result, validationCallback);
+            } else {
+                validationCallback(null);
+            }
+        };
+
+        validateResult(function(err) {
+            if (err) {
+                callback(err);
+            } else {
+                plugins.postValidate(result, callback);
+            }
+        });
+    };
+
     var redirectRequest = function (req, res) {
 
+        // Validators may have included public hrefs in the body
+        hrefs.rewriteRequest(req);
+
         if (req.user) {
             utils.attachUserHeaders(req.headers, req.user);
         }
 
         var api = getAPIName(req.apiUrl);
-
-        var url = (config.appSsl ? 'https' : 'http') + '://' + config.appHost + ':' + utils.getAPIPort(api) + req.apiUrl;
+        var endpoint = upstream.getEndpointName(api);
 
         var options = {
-            url: url,
+            url: req.apiUrl,
             method: req.method,
-            encoding: null,
-            headers: utils.proxiedRequestHeaders(req)
+            headers: utils.proxiedRequestHeaders(req),
+            context: req
         };
 
         if (typeof(req.body) === 'string') {
             options.body = req.body;
         }
 
-        // PROXY THE REQUEST
-        request(options, function(err, response, body) {
+        var proxyRequest;
+        var cacheRoute = responseCache.getRoute(req);
+        var page = null;
 
-            var completeRequest = function(result) {
-                res.status(result.status);
+        if (filtersCollection(api, req)) {
+            try {
+                page = pagination.getPage(req);
+            } catch (e) {
+                return sendError(res, errors.create('INVALID_PAGINATION', null, e.message));
+            }
+        }
 
-                for (var header in result.headers) {
-                    res.setHeader(header, result.headers[header]);
-                }
+        if (page) {
+            return paginatedRequest(req, res, api, endpoint, options, page);
+        } else if (requiresPostValidation(api, req)) {
+            // The whole response is required to execute the post validation
+            proxyRequest = bufferedRequest(req, res, api, endpoint, options);
+        } else if (cacheRoute) {
+            // Cached requests are GET requests, so there is no body to be streamed
+            return cachedRequest(req, res, endpoint, options, cacheRoute);
+        } else if (audit.isAudited(req) || events.isNotified(api, req) || liveUpdates.isStreamed(api, req)) {
+            // The whole response is required to audit and to notify the changes
+            proxyRequest = bufferedRequest(req, res, api, endpoint, options);
+        } else {
+            proxyRequest = streamResponse(req, res, endpoint, options);
+        }
 
-                res.write(result.body);
-                res.end();
+        // When the body has not been parsed, it is streamed to the upstream API
+        if (options.body === undefined && typeof(req.pipe) === 'function') {
+            req.pipe(proxyRequest);
+        }
+    };
+
+    var sendResponse = function(res, status, headers, body) {
+        res.status(status);
+
+        for (var header in headers) {
+            res.setHeader(header, headers[header]);
+        }
+
+        res.write(body);
+        res.end();
+    };
+
+    var sendCachedResponse = function(req, res, entry, cacheStatus) {
+
+        res.setHeader('X-Cache', cacheStatus);
+
+        if (responseCache.isNotModified(req, entry)) {
+            res.status(304);
+            res.setHeader('etag', entry.headers['etag']);
+            res.setHeader('last-modified', entry.headers['last-modified']);
+            res.end();
+        } else {
+            // Entries are shared by all the clients, so they are stored with the hrefs of the APIs
+            var response = {
+                headers: JSON.parse(JSON.stringify(entry.headers)),
+                body: Buffer.from(entry.body, 'base64')
             };
 
+            hrefs.rewriteResponse(req, response);
+            sendResponse(res, entry.status, response.headers, response.body);
+        }
+    };
+
+    var cachedRequest = function(req, res, endpoint, options, route) {
+
+        var key = responseCache.getKey(req, route);
+
+        responseCache.get(key, function(err, entry) {
+
             if (err) {
-                res.status(504).json({ error: 'Service unreachable' });
+                utils.log(logger, 'warn', req, 'Cached responses cannot be read: ' + err.message);
+            }
+
+            if (entry) {
+                utils.log(logger, 'debug', req, 'Returning cached response');
+                sendCachedResponse(req, res, entry, 'HIT');
+
             } else {
+                options.encoding = null;
+
+                upstream.request(endpoint, options, function(err, response, body) {
+
+                    if (err) {
+                        sendUpstreamError(res, err);
+                    } else if (response.statusCode === 200) {
+                        var newEntry = responseCache.createEntry(response, body);
+                        responseCache.set(key, newEntry, route);
+                        sendCachedResponse(req, res, newEntry, 'MISS');
+                    } else {
+                        sendResponse(res, response.statusCode, response.headers, body);
+                    }
+                });
+            }
+        });
+    };
 
-                var result = {
-                    status: response.statusCode,
-                    headers: response.headers,
-                    hostname: req.hostname,
-                    secure: req.secure,
-                    body: body,
-                    user: req.user,
-                    method: req.method,
-                    url: req.url,
-                    id: req.id,
-                    apiUrl: req.apiUrl,
-                    connection: req.connection
-                };
-
-                // Execute postValidation if status code is lower than 400 and the
-                // function is defined
-                if (response.statusCode < 400 && apiControllers[api] !== undefined
-                    && apiControllers[api].executePostValidation) {
-
-                    apiControllers[api].executePostValidation(result, function(err) {
-
-                        var basicLogMessage = 'Post-Validation (' + api + '): ';
-
-                        if (err) {
-                            utils.log(logger, 'warn', req, basicLogMessage + err.message);
-                            res.status(err.status).json({ error: err.message });
-                        } else {
-                            utils.log(logger, 'info', req, basicLogMessage + 'OK');
-                            completeRequest(result);
-                        }
-                    });
-                } else {
-                    completeRequest(result);
+    var bufferedRequest = function(req, res, api, endpoint, options) {
+
+        options.encoding = null;
+
+        return upstream.request(endpoint, options, function(err, response, body) {
+            processResponse(req, res, api, err, response, body);
+        });
+    };
+
+    // JSON responses are read to rewrite their hrefs. When they exceed the maximum size, the part
+    // already read is sent as given by the API and the rest is streamed
+    var rewriteResponse = function(req, res, proxyRequest, response) {
+
+        if (!hrefs.isRewritten(response.headers)) {
+            return proxyRequest.pipe(res);
+        }
+
+        var maxBodySize = hrefs.getMaxBodySize();
+        var chunks = [];
+        var size = 0;
+        var streaming = false;
+
+        var write = function(chunk) {
+            if (!res.write(chunk)) {
+                proxyRequest.pause();
+                res.once('drain', function() {
+                    proxyRequest.resume();
+                });
+            }
+        };
+
+        proxyRequest.on('data', function(chunk) {
+
+            if (streaming) {
+                return write(chunk);
+            }
+
+            chunks.push(chunk);
+            size += chunk.length;
+
+            if (size > maxBodySize) {
+                streaming = true;
+                res.status(response.statusCode);
+
+                for (var header in response.headers) {
+                    res.setHeader(header, response.headers[header]);
                 }
+
+                write(Buffer.concat(chunks));
+                chunks = [];
+            }
+        });
+
+        proxyRequest.on('end', function() {
+
+            if (streaming) {
+                return res.end();
+            }
+
+            var result = { headers: response.headers, body: Buffer.concat(chunks) };
+
+            hrefs.rewriteResponse(req, result);
+            sendResponse(res, response.statusCode, result.headers, result.body);
+        });
+    };
+
+    var streamResponse = function(req, res, endpoint, options, retry) {
+
+        var proxyRequest = upstream.request(endpoint, options);
+        var responded = false;
+        var rewrite = hrefs.isEnabled();
+
+        retry = retry || 0;
+
+        proxyRequest.on('response', function(response) {
+            responded = true;
+            audit.setUpstreamResponse(req, response.statusCode);
+
+            if (response.statusCode < 400) {
+                responseCache.invalidate(req);
+            }
+
+            // Whether the hrefs are rewritten depends on the headers of the response
+            if (rewrite) {
+                rewriteResponse(req, res, proxyRequest, response);
+            }
+        });
+
+        proxyRequest.on('error', function(err) {
+
+            // Requests whose body is being streamed cannot be sent again
+            var canRetry = !responded && (options.body !== undefined || !hasBody(req));
+            var delay = canRetry ? upstream.getRetryDelay(endpoint, options.method, retry, err) : -1;
+
+            if (delay >= 0) {
+                utils.log(logger, 'warn', req, 'Retrying request after error: ' + err.message);
+
+                setTimeout(function() {
+                    streamResponse(req, res, endpoint, options, retry + 1);
+                }, delay);
+
+            } else if (!res.headersSent) {
+                sendUpstreamError(res, err);
+            } else {
+                res.end();
+            }
+        });
+
+        // Status code and headers are copied by request when piping the response
+        if (!rewrite) {
+            proxyRequest.pipe(res);
+        }
+
+        return proxyRequest;
+    };
+
+    // The response of the API is validated as a request with the fields of the original one
+    var buildResult = function(req, response, body) {
+        return {
+            status: response.statusCode,
+            headers: response.headers,
+            hostname: req.hostname,
+            secure: req.secure,
+            body: body,
+            user: req.user,
+            method: req.method,
+            url: req.url,
+            id: req.id,
+            trace: req.trace,
+            apiUrl: req.apiUrl,
+            connection: req.connection
+        };
+    };
+
+    var rejectResponse = function(req, res, api, err) {
+        utils.log(logger, 'warn', req, 'Post-Validation (' + api + '): ' + err.message);
+        validationRejections.inc({ phase: 'post', controller: api, code: getRejectionCode(err) });
+        audit.setRejection(req, 'post', err);
+        errors.send(res, err);
+    };
+
+    var processResponse = function(req, res, api, err, response, body) {
+
+        var completeRequest = function(result) {
+            sendResponse(res, result.status, result.headers, result.body);
+        };
+
+        if (err) {
+            sendUpstreamError(res, err);
+        } else {
+
+            audit.setUpstreamResponse(req, response.statusCode, body);
+
+            var result = buildResult(req, response, body);
+
+            // Validators compare the hrefs of the response with the public ones
+            hrefs.rewriteResponse(req, result);
+
+            // Execute postValidation if status code is lower than 400
+            if (response.statusCode < 400) {
+
+                responseCache.invalidate(req);
+
+                var span = tracer.startSpan(req, 'Post-Validation (' + api + ')', null);
+
+                executePostValidation(api, req, result, function(err) {
+
+                    span.end(err ? { error: err.message, 'http.status_code': err.status } : {});
+
+                    if (err) {
+                        rejectResponse(req, res, api, err);
+                    } else {
+                        utils.log(logger, 'info', req, 'Post-Validation (' + api + '): OK');
+                        events.publish(req, api, result);
+                        liveUpdates.publish(req, api, result);
+                        completeRequest(result);
+                    }
+                });
+            } else {
+                completeRequest(result);
             }
+        }
+    };
+
+    // The collection is read in batches that are validated one by one, until the page is built
+    var paginatedRequest = function(req, res, api, endpoint, options, page) {
+
+        var firstResponse = null;
+        var span = tracer.startSpan(req, 'Post-Validation (' + api + ')', null);
+
+        var fetchBatch = function(offset, size, callback) {
 
+            var batchOptions = {
+                url: pagination.getBatchUrl(req.apiUrl, offset, size),
+                method: 'GET',
+                headers: options.headers,
+                context: req
+            };
+
+            upstream.request(endpoint, batchOptions, function(err, response, body) {
+
+                var items = null;
+
+                if (err) {
+                    return callback({ upstreamError: err });
+                }
+
+                try {
+                    items = JSON.parse(body);
+                } catch (e) {
+                    items = null;
+                }
+
+                // Responses which are not lists are returned as given by the API
+                if (response.statusCode >= 400 || !Array.isArray(items)) {
+                    callback({ response: response, body: body });
+                } else {
+                    firstResponse = firstResponse || response;
+                    hrefs.rewriteToPublic(req, items);
+                    callback(null, items);
+                }
+            });
+        };
+
+        var filterBatch = function(items, callback) {
+
+            var result = buildResult(req, firstResponse, JSON.stringify(items));
+
+            executePostValidation(api, req, result, function(err) {
+                if (err) {
+                    callback({ validationError: err });
+                } else {
+                    callback(null, JSON.parse(result.body));
+                }
+            });
+        };
+
+        pagination.collect(page, fetchBatch, filterBatch, function(err, pageResult) {
+
+            var validationError = err && err.validationError;
+
+            span.end(validationError ? { error: validationError.message, 'http.status_code': validationError.status } : {});
+
+            if (err && err.upstreamError) {
+                sendUpstreamError(res, err.upstreamError);
+            } else if (err && err.response) {
+                sendResponse(res, err.response.statusCode, err.response.headers, err.body);
+            } else if (validationError) {
+                rejectResponse(req, res, api, validationError);
+            } else {
+
+                var result = buildResult(req, firstResponse, null);
+                var headers = pagination.getHeaders(req, page, pageResult);
+
+                utils.updateBody(result, pageResult.items);
+
+                // The pagination headers given by the API refer to the last batch
+                delete result.headers['x-total-count'];
+                delete result.headers['link'];
+
+                for (var header in headers) {
+                    result.headers[header] = headers[header];
+                }
+
+                utils.log(logger, 'info', req, 'Post-Validation (' + api + '): OK');
+                sendResponse(res, 200, result.headers, result.body);
+            }
         });
     };
 
@@ -143,22 +588,30 @@ var tmf = (function() {
 
         var api = getAPIName(req.apiUrl);
 
-        if (apiControllers[api] === undefined) {
+        if (getController(api) === undefined) {
 
             utils.log(logger, 'warn', req, 'API ' + api + ' not defined');
 
-            sendError(res, {
-                status: 404,
-                message: 'Path not found'
-            });
+            sendError(res, errors.create('API_NOT_FOUND'));
 
         } else {
-            apiControllers[api].checkPermissions(req, function(err) {
+            var span = tracer.startSpan(req, 'Pre-Validation (' + api + ')', null);
+
+            audit.start(req, res, api);
+
+            // Validators read the paths of the hrefs used by the APIs
+            hrefs.rewriteRequest(req);
+
+            executePreValidation(api, req, function(err) {
 
                 var basicLogMessage = 'Pre-Validation (' + api + '): ';
 
+                span.end(err ? { error: err.message, 'http.status_code': err.status } : {});
+
                 if (err) {
                     utils.log(logger, 'warn', req, basicLogMessage + err.message);
+                    validationRejections.inc({ phase: 'pre', controller: api, code: getRejectionCode(err) });
+                    audit.setRejection(req, 'pre', err);
                     sendError(res, err);
                 } else {
                     utils.log(logger, 'info', req, basicLogMessage + 'OK');
@@ -174,6 +627,8 @@ var tmf = (function() {
 
     return {
         checkPermissions: checkPermissions,
+        getController: getController,
+        requiresRequestBody: requiresRequestBody,
         public: public
     };
 })();
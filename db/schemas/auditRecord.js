@@ -0,0 +1,60 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var auditRecordSchema = new Schema({
+    timestamp: { type: Date, required: true },
+    requestId: { type: String },
+    user: { type: String },
+    // Organization on behalf of which the user made the request, if any
+    party: { type: String },
+    // Client ID of the service account, when the request is made by one of them
+    serviceAccount: { type: String },
+    roles: [String],
+    api: { type: String, required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    resourceId: { type: String },
+    // Sanitized bodies of the resource before the request, the request and the resource returned
+    before: { type: Schema.Types.Mixed },
+    body: { type: Schema.Types.Mixed },
+    after: { type: Schema.Types.Mixed },
+    validation: {
+        outcome: { type: String, required: true },
+        phase: { type: String },
+        status: { type: Number },
+        message: { type: String }
+    },
+    upstreamStatus: { type: Number },
+    status: { type: Number },
+    expires: { type: Date }
+});
+
+auditRecordSchema.index({ user: 1, timestamp: -1 });
+auditRecordSchema.index({ party: 1, timestamp: -1 });
+auditRecordSchema.index({ serviceAccount: 1, timestamp: -1 });
+auditRecordSchema.index({ resourceId: 1, timestamp: -1 });
+auditRecordSchema.index({ timestamp: -1 });
+
+// MongoDB removes the records once the retention period is over
+auditRecordSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuditRecord', auditRecordSchema);
@@ -0,0 +1,45 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var eventDeliverySchema = new Schema({
+    listener: { type: String, required: true },
+    callback: { type: String, required: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    // Serialized event, as it is signed and sent to the listener
+    payload: { type: String, required: true },
+    // pending, delivered or failed (dead letters)
+    status: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    nextAttempt: { type: Date },
+    lastError: { type: String },
+    created: { type: Date, required: true },
+    expires: { type: Date }
+});
+
+eventDeliverySchema.index({ status: 1, nextAttempt: 1 });
+eventDeliverySchema.index({ listener: 1 });
+
+// MongoDB removes the deliveries once the retention period is over
+eventDeliverySchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EventDelivery', eventDeliverySchema);
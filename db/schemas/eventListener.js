@@ -0,0 +1,38 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var eventListenerSchema = new Schema({
+    // Name of the endpoint whose events are notified (catalog, ordering or inventory)
+    api: { type: String, required: true },
+    callback: { type: String, required: true },
+    query: { type: String },
+    owner: { type: String, required: true },
+    // Listeners of administrators receive the events of the resources of every user
+    admin: { type: Boolean, default: false },
+    // Key of the signatures of the notifications
+    secret: { type: String, required: true },
+    created: { type: Date, required: true }
+});
+
+eventListenerSchema.index({ api: 1 });
+
+module.exports = mongoose.model('EventListener', eventListenerSchema);
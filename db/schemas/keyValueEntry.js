@@ -0,0 +1,37 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var keyValueEntrySchema = new Schema({
+    namespace: { type: String, required: true },
+    key: { type: String, required: true },
+    // Entries used as counters (see increment) have no value
+    value: { type: String },
+    counter: { type: Number },
+    expires: { type: Date }
+});
+
+keyValueEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+
+// MongoDB removes expired entries periodically
+keyValueEntrySchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('KeyValueEntry', keyValueEntrySchema);
@@ -0,0 +1,39 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var serviceAccountSchema = new Schema({
+    clientId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    description: { type: String },
+    // Party the service account acts as (an individual or an organization)
+    party: {
+        id: { type: String, required: true },
+        type: { type: String, required: true }
+    },
+    scopes: [String],
+    // Only the hash of the secret is stored, so it cannot be recovered
+    secretHash: { type: String, required: true },
+    createdBy: { type: String, required: true },
+    created: { type: Date, required: true }
+});
+
+module.exports = mongoose.model('ServiceAccount', serviceAccountSchema);
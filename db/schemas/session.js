@@ -0,0 +1,42 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+var sessionSchema = new Schema({
+    // The session ID is only known by the browser of the user and the proxy
+    _id: { type: String },
+    session: { type: String, required: true },
+    user: { type: String },
+    // Key of the access token of the user in the token cache
+    tokenKey: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    created: { type: Date, required: true },
+    lastAccess: { type: Date, required: true },
+    expires: { type: Date, required: true }
+});
+
+sessionSchema.index({ user: 1, lastAccess: -1 });
+
+// MongoDB removes the sessions once they expire
+sessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,9 +1,27 @@
 #!/bin/bash
 
+# The settings of the proxy are given in BAE_LP_* environment variables, which are derived from the
+# variables of the image when they are not set
+export BAE_LP_PORT=${BAE_LP_PORT:-8000}
+export BAE_LP_APP_HOST=${BAE_LP_APP_HOST:-${APIS_HOST:-127.0.0.1}}
+export BAE_LP_OAUTH2_CLIENT_ID=${BAE_LP_OAUTH2_CLIENT_ID:-$OAUTH2_CLIENT_ID}
+export BAE_LP_OAUTH2_CLIENT_SECRET=${BAE_LP_OAUTH2_CLIENT_SECRET:-$OAUTH2_CLIENT_SECRET}
+export BAE_LP_OAUTH2_CALLBACK_URL=${BAE_LP_OAUTH2_CALLBACK_URL:-http://$BIZ_ECOSYS_HOST:$BIZ_ECOSYS_PORT/auth/fiware/callback}
+
+for endpoint in CATALOG ORDERING INVENTORY RSS PARTY BILLING CUSTOMER USAGE; do
+    variable=BAE_LP_ENDPOINTS_${endpoint}_PORT
+    export $variable=${!variable:-$GLASSFISH_PORT}
+done
+
+export BAE_LP_ENDPOINTS_CHARGING_PORT=${BAE_LP_ENDPOINTS_CHARGING_PORT:-$CHARGING_PORT}
+
+# Invalid settings are reported before starting any service
+/business-ecosystem-logic-proxy/node-v4.5.0-linux-x64/bin/node server.js --check-config || exit 1
+
 service mongodb start
 
 python /entrypoint.py
 
 sleep 15
 
-/business-ecosystem-logic-proxy/node-v4.5.0-linux-x64/bin/node server.js
\ No newline at end of file
+/business-ecosystem-logic-proxy/node-v4.5.0-linux-x64/bin/node server.js
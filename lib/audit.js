@@ -0,0 +1,376 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var AuditRecord = require('./../db/schemas/auditRecord'),
+    config = require('./../config'),
+    errors = require('./errors').errors,
+    logger = require('./logger').logger.getLogger('Audit'),
+    onFinished = require('on-finished'),
+    url = require('url'),
+    utils = require('./utils');
+
+/**
+ * Audit trail of the requests that modify the resources of the APIs. The records are kept in
+ * MongoDB and can only be queried by administrators.
+ */
+var audit = (function() {
+
+    var MUTATING_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+    var DEFAULT_REDACTED_FIELDS = ['password', 'secret', 'clientSecret', 'token', 'accessToken',
+        'refreshToken', 'apiKey', 'authorization'];
+
+    var REDACTED = '[REDACTED]';
+
+    var DEFAULT_PAGE_SIZE = 50;
+    var MAX_PAGE_SIZE = 500;
+
+    var getAuditConfig = function() {
+        return config.audit || {};
+    };
+
+    var isAudited = function(req) {
+        return !!getAuditConfig().enabled && MUTATING_METHODS.indexOf(req.method.toUpperCase()) >= 0;
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// SANITIZING /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var isRedacted = function(field) {
+
+        var redactedFields = getAuditConfig().redactedFields || DEFAULT_REDACTED_FIELDS;
+
+        return redactedFields.some(function(redactedField) {
+            return redactedField.toLowerCase() === field.toLowerCase();
+        });
+    };
+
+    // MongoDB does not accept field names including dots or starting with $
+    var sanitizeFieldName = function(field) {
+        return field.replace(/\./g, '_').replace(/^\$/, '_');
+    };
+
+    var sanitizeValue = function(value) {
+
+        if (Array.isArray(value)) {
+            return value.map(sanitizeValue);
+
+        } else if (value !== null && typeof(value) === 'object') {
+            var result = {};
+
+            for (var field in value) {
+                result[sanitizeFieldName(field)] = isRedacted(field) ? REDACTED : sanitizeValue(value[field]);
+            }
+
+            return result;
+
+        } else {
+            return value;
+        }
+    };
+
+    /**
+     * Returns the body to be recorded: the parsed JSON document without the secrets it includes,
+     * or the body as it is when it is not a JSON document. Bodies longer than the maximum size
+     * are not recorded.
+     * @param {String|Buffer|Object} body The body of the request or the response
+     */
+    var sanitize = function(body) {
+
+        if (body === undefined || body === null) {
+            return undefined;
+        }
+
+        // Bodies that have not been parsed are given as empty objects
+        if (typeof(body) === 'object' && !Buffer.isBuffer(body)) {
+            return utils.emptyObject(body) ? undefined : sanitizeValue(body);
+        }
+
+        var text = body.toString();
+        var maxBodySize = getAuditConfig().maxBodySize;
+
+        if (!text.length) {
+            return undefined;
+        }
+
+        if (maxBodySize && text.length > maxBodySize) {
+            return { truncated: true, size: text.length };
+        }
+
+        try {
+            return sanitizeValue(JSON.parse(text));
+        } catch (e) {
+            return text;
+        }
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ////////////////////////////////////////// RECORDING /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var getResourceId = function(record) {
+
+        // The ID of created resources is only known when the proxy reads the response
+        if (record.method === 'POST') {
+            return record.after && record.after.id ? String(record.after.id) : undefined;
+        }
+
+        var segments = record.path.split('/').filter(function(segment) {
+            return segment.length > 0;
+        });
+
+        return segments[segments.length - 1];
+    };
+
+    var getExpiration = function(timestamp) {
+        var retentionDays = getAuditConfig().retentionDays;
+        return retentionDays ? new Date(timestamp.getTime() + retentionDays * 24 * 3600 * 1000) : undefined;
+    };
+
+    var save = function(req, res) {
+
+        var record = req.audit;
+
+        record.status = res.statusCode;
+        record.resourceId = getResourceId(record);
+        record.expires = getExpiration(record.timestamp);
+
+        AuditRecord.create(record, function(err) {
+            if (err) {
+                utils.log(logger, 'warn', req, 'The request cannot be audited: ' + err.message);
+            }
+        });
+    };
+
+    /**
+     * Starts the record of a request, which is saved once the response is sent.
+     * @param {Object} req The request to be audited
+     * @param {Object} res The response to the request
+     * @param {String} api The name of the accessed API
+     */
+    var start = function(req, res, api) {
+
+        if (!isAudited(req)) {
+            return;
+        }
+
+        // Users acting on behalf of an organization are recorded along with it
+        req.audit = {
+            timestamp: new Date(),
+            requestId: req.id,
+            user: req.user ? (req.user.member || req.user).id : undefined,
+            roles: req.user && req.user.roles ? req.user.roles.map(function(role) {
+                return typeof(role) === 'string' ? role : role.name;
+            }) : [],
+            api: api,
+            method: req.method.toUpperCase(),
+            path: url.parse(req.apiUrl).pathname,
+            body: sanitize(req.body),
+            validation: { outcome: 'accepted' }
+        };
+
+        if (req.user && req.user.member) {
+            req.audit.party = req.user.id;
+        }
+
+        if (req.user && req.user.serviceAccount) {
+            req.audit.serviceAccount = req.user.serviceAccount.id;
+        }
+
+        onFinished(res, function() {
+            save(req, res);
+        });
+    };
+
+    /**
+     * Records the resource affected by a request as it was before the request. Validators call
+     * this function when they retrieve the resource.
+     * @param {Object} req The audited request
+     * @param {String|Object} resource The resource before the request
+     */
+    var setPrevious = function(req, resource) {
+        if (req.audit) {
+            req.audit.before = sanitize(resource);
+        }
+    };
+
+    /**
+     * Records that a request has been rejected by the validators of the API.
+     * @param {Object} req The audited request
+     * @param {String} phase `pre` for the validations of the request, and `post` for the ones of the response
+     * @param {Object} err The error returned by the validators
+     */
+    var setRejection = function(req, phase, err) {
+        if (req.audit) {
+            req.audit.validation = {
+                outcome: 'rejected',
+                phase: phase,
+                status: err.status,
+                message: err.message
+            };
+        }
+    };
+
+    /**
+     * Records the response of the API.
+     * @param {Object} req The audited request
+     * @param {Number} status The status code of the response
+     * @param {String|Buffer=} body The body of the response, when it has been read by the proxy
+     */
+    var setUpstreamResponse = function(req, status, body) {
+        if (req.audit) {
+            req.audit.upstreamStatus = status;
+
+            if (status < 400) {
+                req.audit.after = sanitize(body);
+            }
+        }
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    /////////////////////////////////////////// QUERYING /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var parseInteger = function(value, name, min, max) {
+
+        var number = Number(value);
+
+        if (!/^\d+$/.test(value) || number < min || number > max) {
+            throw new Error('Invalid ' + name + ': it must be an integer between ' + min + ' and ' + max);
+        }
+
+        return number;
+    };
+
+    var parseString = function(value, name) {
+
+        // Query strings can include objects and arrays (user[$ne]=x) that would be used as operators
+        if (typeof value !== 'string') {
+            throw new Error('Invalid ' + name + ': it must be a string');
+        }
+
+        return value;
+    };
+
+    var parseDate = function(value, name) {
+
+        var date = new Date(parseString(value, name));
+
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid ' + name + ': it must be a date in ISO 8601 format');
+        }
+
+        return date;
+    };
+
+    var buildQuery = function(params) {
+
+        var query = {};
+
+        ['user', 'party', 'serviceAccount', 'api', 'resourceId'].forEach(function(filter) {
+            if (params[filter] !== undefined) {
+                query[filter] = parseString(params[filter], filter);
+            }
+        });
+
+        if (params.method !== undefined) {
+            query.method = parseString(params.method, 'method').toUpperCase();
+        }
+
+        if (params.outcome !== undefined) {
+            query['validation.outcome'] = parseString(params.outcome, 'outcome');
+        }
+
+        if (params.from !== undefined || params.to !== undefined) {
+            query.timestamp = {};
+
+            if (params.from !== undefined) {
+                query.timestamp.$gte = parseDate(params.from, 'from');
+            }
+
+            if (params.to !== undefined) {
+                query.timestamp.$lte = parseDate(params.to, 'to');
+            }
+        }
+
+        return query;
+    };
+
+    var formatRecord = function(record) {
+
+        var result = { id: String(record._id) };
+
+        for (var field in record) {
+            if (['_id', '__v', 'expires'].indexOf(field) < 0) {
+                result[field] = record[field];
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * Returns the records of the audit trail, from the most recent one. Records can be filtered by
+     * user, party, serviceAccount, api, method, resourceId, validation outcome and by time range (from
+     * and to), and are paginated with offset and size. Only administrators can query the audit trail.
+     */
+    var query = function(req, res) {
+
+        if (!utils.isAdmin(req.user)) {
+            return errors.send(res, errors.create('AUDIT_ACCESS_FORBIDDEN'));
+        }
+
+        var params = req.query;
+        var mongoQuery, options;
+
+        try {
+            mongoQuery = buildQuery(params);
+            options = {
+                sort: { timestamp: -1 },
+                skip: params.offset !== undefined ? parseInteger(params.offset, 'offset', 0, Infinity) : 0,
+                limit: params.size !== undefined ? parseInteger(params.size, 'size', 1, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+                lean: true
+            };
+        } catch (e) {
+            return errors.send(res, errors.create('AUDIT_INVALID_QUERY', null, e.message));
+        }
+
+        AuditRecord.find(mongoQuery, null, options, function(err, records) {
+            if (err) {
+                errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            } else {
+                res.status(200).json(records.map(formatRecord));
+            }
+        });
+    };
+
+    return {
+        isAudited: isAudited,
+        sanitize: sanitize,
+        start: start,
+        setPrevious: setPrevious,
+        setRejection: setRejection,
+        setUpstreamResponse: setUpstreamResponse,
+        query: query
+    };
+
+})();
+
+exports.audit = audit;
@@ -0,0 +1,216 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    crypto = require('crypto'),
+    keyValueStore = require('./keyValueStore'),
+    url = require('url');
+
+var responseCache = (function() {
+
+    var MUTATING_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+    // Headers that only make sense for the connection with the upstream API
+    var EXCLUDED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'date'];
+
+    var store = null;
+    var storeSettings = null;
+
+    var getCacheConfig = function() {
+        return config.cache || {};
+    };
+
+    var isEnabled = function() {
+        return !!getCacheConfig().enabled;
+    };
+
+    // The store is created again when its settings change on SIGHUP
+    var getStore = function() {
+
+        var cacheConfig = getCacheConfig();
+        var settings = [cacheConfig.store, cacheConfig.maxEntries].join('|');
+
+        if (!store || settings !== storeSettings) {
+            store = keyValueStore.createStore(cacheConfig.store, 'responseCache', {
+                maxEntries: cacheConfig.maxEntries
+            });
+            storeSettings = settings;
+        }
+
+        return store;
+    };
+
+    var getPath = function(apiUrl) {
+        return url.parse(apiUrl).pathname;
+    };
+
+    var escapeRegExp = function(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    };
+
+    /**
+     * Returns the cache route that applies to a request, or null if the response to the
+     * request cannot be cached.
+     * @param {Object} req The request, including the `apiUrl` field.
+     */
+    var getRoute = function(req) {
+
+        if (!isEnabled() || req.method !== 'GET') {
+            return null;
+        }
+
+        var path = getPath(req.apiUrl);
+        var routes = getCacheConfig().routes || [];
+
+        for (var i = 0; i < routes.length; i++) {
+
+            var routePath = '/' + routes[i].path.replace(/^\//, '');
+
+            if (path.indexOf(routePath) === 0) {
+                return routes[i];
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Returns the key used to store the response to a request. Responses of `perUser` routes are
+     * stored separately for each user.
+     * @param {Object} req
+     * @param {Object} route The route returned by `getRoute`
+     */
+    var getKey = function(req, route) {
+        var user = route.perUser && req.user ? req.user.id : '';
+        return req.apiUrl + '|' + user;
+    };
+
+    var get = function(key, callback) {
+        getStore().get(key, callback);
+    };
+
+    /**
+     * Builds the entry that is going to be cached from the response of the upstream API.
+     * ETag and Last-Modified headers are generated when not provided by the API.
+     * @param {Object} response The response of the upstream API
+     * @param {Buffer} body The body of the response
+     */
+    var createEntry = function(response, body) {
+
+        var headers = {};
+
+        for (var header in response.headers) {
+            if (EXCLUDED_HEADERS.indexOf(header.toLowerCase()) < 0) {
+                headers[header.toLowerCase()] = response.headers[header];
+            }
+        }
+
+        if (!headers['etag']) {
+            headers['etag'] = '"' + crypto.createHash('md5').update(body).digest('hex') + '"';
+        }
+
+        if (!headers['last-modified']) {
+            headers['last-modified'] = new Date().toUTCString();
+        }
+
+        return {
+            status: response.statusCode,
+            headers: headers,
+            body: body.toString('base64')
+        };
+    };
+
+    var set = function(key, entry, route, callback) {
+        getStore().set(key, entry, (route.ttl || 0) * 1000, callback);
+    };
+
+    /**
+     * Checks whether the version of the resource cached by the client is still valid
+     * according to the conditional headers of its request.
+     * @param {Object} req
+     * @param {Object} entry The cached entry
+     */
+    var isNotModified = function(req, entry) {
+
+        var ifNoneMatch = req.headers['if-none-match'];
+        var ifModifiedSince = req.headers['if-modified-since'];
+
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').some(function(tag) {
+                tag = tag.trim();
+                return tag === '*' || tag === entry.headers['etag'];
+            });
+        } else if (ifModifiedSince) {
+            var since = Date.parse(ifModifiedSince);
+            var lastModified = Date.parse(entry.headers['last-modified']);
+
+            return !isNaN(since) && !isNaN(lastModified) && lastModified <= since;
+        }
+
+        return false;
+    };
+
+    /**
+     * Removes the cached responses that may have changed due to the given request. When a
+     * resource is created, updated or deleted, all the cached responses for the same type of
+     * resource in the same API are removed.
+     * @param {Object} req The request that has been accepted by the upstream API
+     * @param {Function=} callback
+     */
+    var invalidate = function(req, callback) {
+
+        callback = callback || function() {};
+
+        if (!isEnabled() || MUTATING_METHODS.indexOf(req.method.toUpperCase()) < 0) {
+            return callback(null);
+        }
+
+        var segments = getPath(req.apiUrl).split('/').filter(function(segment) {
+            return segment.length > 0;
+        });
+
+        var apiPattern = '^/' + escapeRegExp(segments[0]);
+        var pattern;
+
+        if (segments.length < 2) {
+            pattern = new RegExp(apiPattern + '(/|\\?|\\||$)');
+        } else {
+            // Creation requests are made to the collection while the rest of them are made to the resource
+            var resourceType = req.method.toUpperCase() === 'POST' || segments.length < 3 ?
+                segments[segments.length - 1] : segments[segments.length - 2];
+
+            pattern = new RegExp(apiPattern + '/(.*/)?' + escapeRegExp(resourceType) + '(/|\\?|\\||$)');
+        }
+
+        getStore().removeMatching(pattern, callback);
+    };
+
+    return {
+        getRoute: getRoute,
+        getKey: getKey,
+        get: get,
+        set: set,
+        createEntry: createEntry,
+        isNotModified: isNotModified,
+        invalidate: invalidate
+    };
+
+})();
+
+exports.responseCache = responseCache;
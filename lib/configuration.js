@@ -0,0 +1,722 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var fs = require('fs'),
+    url = require('url');
+
+/**
+ * Completes and checks the configuration of the proxy (config.js) against its schema. Every setting
+ * can be overridden with an environment variable named after its path, with the BAE_LP_ prefix and
+ * the names in upper snake case, e.g. config.oauth2.clientID is given in BAE_LP_OAUTH2_CLIENT_ID and
+ * config.endpoints.catalog.port in BAE_LP_ENDPOINTS_CATALOG_PORT. Lists and objects are given as
+ * JSON, and lists of strings can also be given as comma separated values.
+ */
+var configuration = (function() {
+
+    var ENV_PREFIX = 'BAE_LP_';
+
+    // Values of the template that must be replaced
+    var PLACEHOLDER_PATTERN = /^--.*--$/;
+
+    var PORT_RANGE = { min: 1, max: 65535 };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    /////////////////////////////////////////// SCHEMA ///////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // Prefixes start with a slash, unless they are empty, and do not end with a slash
+    var normalizePrefix = function(prefix) {
+
+        var finalPrefix = prefix.slice(-1) === '/' ? prefix.slice(0, -1) : prefix;
+
+        if (finalPrefix.length > 0 && finalPrefix.charAt(0) !== '/') {
+            finalPrefix = '/' + finalPrefix;
+        }
+
+        return finalPrefix;
+    };
+
+    var prefix = function(byDefault) {
+        return { type: 'string', default: byDefault, normalize: normalizePrefix };
+    };
+
+    var notPlaceholder = function(value) {
+        return PLACEHOLDER_PATTERN.test(value) ? 'must be set (found the placeholder of the template)' : null;
+    };
+
+    // The certificates are only required when HTTPS is enabled
+    var httpsFile = {
+        type: 'string',
+        check: function(value, config) {
+            if (config.https.enabled && !fs.existsSync(value)) {
+                return 'file not found: ' + value;
+            }
+
+            return null;
+        }
+    };
+
+    var positive = function(byDefault) {
+        return { type: 'number', min: 0, default: byDefault };
+    };
+
+    var upstreamSettings = {
+        connectTimeout: positive(),
+        readTimeout: positive(),
+        retries: { type: 'integer', min: 0 },
+        retryDelay: positive(),
+        circuitBreaker: {
+            type: 'object',
+            properties: {
+                failureThreshold: { type: 'integer', min: 1 },
+                resetTimeout: positive(),
+                probeTimeout: positive()
+            }
+        }
+    };
+
+    var extend = function(properties, otherProperties) {
+
+        var result = {};
+
+        [properties, otherProperties].forEach(function(props) {
+            for (var key in props) {
+                result[key] = props[key];
+            }
+        });
+
+        return result;
+    };
+
+    var endpointSettings = extend(upstreamSettings, {
+        path: { type: 'string', required: true },
+        port: { type: 'port', required: true },
+        host: { type: 'string' },
+        protocol: { type: 'string', enum: ['http', 'https'] },
+        basePath: { type: 'string' },
+        replicas: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    host: { type: 'string' },
+                    port: { type: 'port' },
+                    protocol: { type: 'string', enum: ['http', 'https'] },
+                    basePath: { type: 'string' }
+                }
+            }
+        },
+        balancing: { type: 'string', enum: ['round-robin', 'least-connections'] },
+        recoveryTime: positive(),
+        healthPath: { type: 'string' }
+    });
+
+    var storeSettings = {
+        enabled: { type: 'boolean', default: false },
+        store: { type: 'string', enum: ['memory', 'mongo'], default: 'memory' },
+        maxEntries: { type: 'integer', min: 1 }
+    };
+
+    var schema = {
+        type: 'object',
+        properties: {
+            port: { type: 'port', default: 80 },
+            https: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    certFile: httpsFile,
+                    keyFile: httpsFile,
+                    caFile: httpsFile,
+                    port: { type: 'port', default: 443 }
+                }
+            },
+            proxyPrefix: prefix(''),
+            portalPrefix: prefix(''),
+            shoppingCartPath: prefix('/shoppingCart'),
+            authorizeServicePath: prefix('/authorizeService'),
+            logInPath: { type: 'string', default: '/login' },
+            logOutPath: { type: 'string', default: '/logout' },
+            trustProxy: { type: 'array', default: [], items: { type: 'string' } },
+            sessionSecret: { type: 'string', default: 'keyboard cat' },
+            oauth2: {
+                type: 'object',
+                required: true,
+                properties: {
+                    provider: { type: 'string', enum: ['fiware', 'oidc'], default: 'fiware' },
+                    server: { type: 'url', required: true },
+                    clientID: { type: 'string', required: true, check: notPlaceholder },
+                    clientSecret: { type: 'string', required: true, check: notPlaceholder },
+                    callbackURL: { type: 'url', required: true },
+                    roles: {
+                        type: 'object',
+                        default: {},
+                        properties: {
+                            admin: { type: 'string', default: 'provider' },
+                            customer: { type: 'string', default: 'customer' },
+                            seller: { type: 'string', default: 'seller' }
+                        }
+                    },
+                    oidc: {
+                        type: 'object',
+                        default: {},
+                        properties: {
+                            scope: { type: 'string', default: 'openid profile email' },
+                            idClaim: { type: 'string', default: 'preferred_username' },
+                            roleClaim: { type: 'string', default: 'roles' },
+                            clockTolerance: positive(60)
+                        }
+                    }
+                }
+            },
+            customerRoleRequired: { type: 'boolean', default: false },
+            mongoDb: {
+                type: 'object',
+                default: {},
+                properties: {
+                    server: { type: 'string', default: 'localhost' },
+                    port: { type: 'port', default: 27017 },
+                    user: { type: 'string', default: '' },
+                    password: { type: 'string', default: '' },
+                    db: { type: 'string', default: 'belp' }
+                }
+            },
+            appHost: { type: 'string', default: 'localhost' },
+            appSsl: { type: 'boolean', default: false },
+            endpoints: {
+                type: 'object',
+                required: true,
+                properties: ['catalog', 'ordering', 'inventory', 'charging', 'rss', 'party', 'billing',
+                    'customer', 'usage'].reduce(function(endpoints, name) {
+                        endpoints[name] = { type: 'object', required: true, properties: endpointSettings };
+                        return endpoints;
+                    }, {}),
+                values: { type: 'object', properties: endpointSettings }
+            },
+            upstream: { type: 'object', default: {}, properties: upstreamSettings },
+            hrefs: {
+                type: 'object',
+                default: {},
+                properties: {
+                    publicURL: { type: 'url' },
+                    rewrite: { type: 'boolean', default: false },
+                    maxBodySize: { type: 'integer', min: 1, default: 1048576 }
+                }
+            },
+            revenueModel: { type: 'number', min: 0, max: 100, default: 30 },
+            billingAccountOwnerRole: { type: 'string', default: 'bill receiver' },
+            cache: {
+                type: 'object',
+                default: {},
+                properties: extend(storeSettings, {
+                    routes: {
+                        type: 'array',
+                        default: [],
+                        items: {
+                            type: 'object',
+                            properties: {
+                                path: { type: 'string', required: true },
+                                ttl: { type: 'number', min: 0, required: true },
+                                perUser: { type: 'boolean' }
+                            }
+                        }
+                    }
+                })
+            },
+            pagination: {
+                type: 'object',
+                default: {},
+                properties: {
+                    batchSize: { type: 'integer', min: 1, default: 100 },
+                    maxLimit: { type: 'integer', min: 1, default: 1000 },
+                    maxScannedItems: { type: 'integer', min: 1, default: 10000 }
+                }
+            },
+            rateLimit: {
+                type: 'object',
+                default: {},
+                properties: extend(storeSettings, {
+                    rules: {
+                        type: 'array',
+                        default: [],
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                api: { type: 'string' },
+                                methods: { type: 'array', items: { type: 'string' } },
+                                identity: { type: 'string', enum: ['user', 'apiKey', 'ip'], required: true },
+                                limit: { type: 'integer', min: 0, required: true },
+                                window: { type: 'number', min: 1, required: true }
+                            }
+                        }
+                    }
+                })
+            },
+            tracing: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    serviceName: { type: 'string' },
+                    exporter: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: ['zipkin', 'log'] },
+                            url: { type: 'url' },
+                            batchSize: { type: 'integer', min: 1 },
+                            flushInterval: positive(),
+                            maxQueueSize: { type: 'integer', min: 1 },
+                            timeout: positive()
+                        }
+                    }
+                }
+            },
+            metrics: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: { type: 'string', default: '/metrics' }
+                }
+            },
+            openAPI: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: true },
+                    path: prefix('/openapi.json'),
+                    uiPath: prefix('/api-docs')
+                }
+            },
+            health: {
+                type: 'object',
+                default: {},
+                properties: {
+                    timeout: positive(3000),
+                    cacheTime: positive(5000),
+                    critical: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            plugins: { type: 'array', default: [] },
+            policies: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    files: { type: 'array', default: [], items: { type: 'string' } },
+                    defaultEffect: { type: 'string', enum: ['allow', 'deny'], default: 'allow' }
+                }
+            },
+            audit: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/audit'),
+                    retentionDays: positive(365),
+                    maxBodySize: { type: 'integer', min: 1, default: 65536 },
+                    redactedFields: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            events: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/events'),
+                    maxAttempts: { type: 'integer', min: 1, default: 6 },
+                    retryDelay: positive(5000),
+                    timeout: positive(10000),
+                    pollInterval: { type: 'integer', min: 1, default: 2000 },
+                    batchSize: { type: 'integer', min: 1, default: 20 },
+                    retentionDays: positive(7),
+                    allowedHosts: { type: 'array', default: [], items: { type: 'string' } }
+                }
+            },
+            liveUpdates: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/liveUpdates'),
+                    heartbeat: { type: 'integer', min: 1, default: 25000 },
+                    retryDelay: positive(5000),
+                    maxConnectionsPerUser: { type: 'integer', min: 1, default: 5 }
+                }
+            },
+            batch: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/batch'),
+                    maxRequests: { type: 'integer', min: 1, default: 20 },
+                    concurrency: { type: 'integer', min: 1, default: 5 }
+                }
+            },
+            organizations: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/organizations'),
+                    header: { type: 'string', default: 'X-Organization' }
+                }
+            },
+            tokenCache: {
+                type: 'object',
+                default: {},
+                properties: {
+                    store: { type: 'string', enum: ['memory', 'mongo'], default: 'memory' },
+                    path: prefix('/tokenCache'),
+                    ttl: positive(3600),
+                    maxEntries: { type: 'integer', min: 1, default: 10000 }
+                }
+            },
+            serviceAccounts: {
+                type: 'object',
+                default: {},
+                properties: {
+                    enabled: { type: 'boolean', default: false },
+                    path: prefix('/serviceAccounts'),
+                    store: { type: 'string', enum: ['memory', 'mongo'], default: 'memory' },
+                    tokenTTL: positive(900),
+                    maxTokens: { type: 'integer', min: 1, default: 10000 }
+                }
+            },
+            sessions: {
+                type: 'object',
+                default: {},
+                properties: {
+                    path: prefix('/sessions'),
+                    ttl: positive(86400)
+                }
+            },
+            errors: {
+                type: 'object',
+                default: {},
+                properties: {
+                    legacyField: { type: 'boolean', default: true },
+                    referenceURL: { type: 'url' }
+                }
+            },
+            shutdown: {
+                type: 'object',
+                default: {},
+                properties: {
+                    timeout: positive(30000)
+                }
+            },
+            publicPaths: { type: 'array', default: [], items: { type: 'string' } },
+            magicKey: { type: 'string' },
+            usageChartURL: { type: 'url' }
+        }
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// OVERRIDES //////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // catalog -> CATALOG, clientID -> CLIENT_ID, mongoDb -> MONGO_DB
+    var toEnvName = function(key) {
+        return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]/g, '_').toUpperCase();
+    };
+
+    var parseEnvValue = function(value, node) {
+
+        var type = node.type;
+
+        if (type === 'string' || type === 'url') {
+            return value;
+
+        } else if (type === 'number' || type === 'integer' || type === 'port') {
+            var number = Number(value);
+
+            if (value.trim() === '' || isNaN(number)) {
+                throw new Error('must be a number');
+            }
+
+            return number;
+
+        } else if (type === 'boolean') {
+
+            if (['true', '1', 'yes'].indexOf(value.toLowerCase()) >= 0) {
+                return true;
+            } else if (['false', '0', 'no'].indexOf(value.toLowerCase()) >= 0) {
+                return false;
+            }
+
+            throw new Error('must be true or false');
+
+        } else if (type === 'array' && value.trim()[0] !== '[') {
+            return value.split(',').map(function(item) {
+                return item.trim();
+            }).filter(function(item) {
+                return item.length > 0;
+            });
+
+        } else {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                throw new Error('must be a valid JSON');
+            }
+        }
+    };
+
+    // The settings of the entries of maps (e.g. the endpoints) can be overridden once they exist
+    var getChildren = function(node, value) {
+
+        var children = {};
+        var key;
+
+        for (key in node.properties) {
+            children[key] = node.properties[key];
+        }
+
+        if (node.values && value && typeof(value) === 'object') {
+            for (key in value) {
+                children[key] = children[key] || node.values;
+            }
+        }
+
+        return children;
+    };
+
+    var hasVariables = function(envPrefix, env) {
+        return Object.keys(env).some(function(name) {
+            return name.indexOf(envPrefix + '_') === 0;
+        });
+    };
+
+    /**
+     * Replaces the settings of the configuration given in environment variables.
+     * @param {Object} config The configuration, which is modified
+     * @param {Object} env The environment variables
+     * @returns {Object} The names of the variables that have been applied (`applied`) and the
+     * errors of the values that cannot be parsed (`errors`)
+     */
+    var applyEnvironment = function(config, env) {
+
+        var result = { applied: [], errors: [] };
+
+        var walk = function(node, container, envName) {
+
+            var children = getChildren(node, container);
+
+            for (var key in children) {
+
+                var child = children[key];
+                var childEnvName = envName + '_' + toEnvName(key);
+
+                if (childEnvName in env) {
+                    try {
+                        container[key] = parseEnvValue(env[childEnvName], child);
+                        result.applied.push(childEnvName);
+                    } catch (e) {
+                        result.errors.push(childEnvName + ': ' + e.message);
+                    }
+                }
+
+                var childValue = container[key];
+
+                // Missing sections are created when any of their settings is given
+                if (child.type === 'object' && (child.properties || child.values)) {
+
+                    if (childValue === undefined && hasVariables(childEnvName, env)) {
+                        childValue = container[key] = {};
+                    }
+
+                    if (childValue && typeof(childValue) === 'object') {
+                        walk(child, childValue, childEnvName);
+                    }
+                }
+            }
+        };
+
+        walk(schema, config, ENV_PREFIX.slice(0, -1));
+
+        return result;
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// VALIDATION /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var clone = function(value) {
+        return value !== null && typeof(value) === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    };
+
+    var isMissing = function(value, node) {
+        // Empty strings are replaced by the default value, as the configuration used to do
+        return value === undefined || value === null || (node.type === 'string' && value === '' &&
+            node.default !== undefined);
+    };
+
+    var checkType = function(value, node) {
+
+        switch (node.type) {
+            case 'string':
+                return typeof(value) === 'string' ? null : 'must be a string';
+
+            case 'url':
+                var parsedUrl = typeof(value) === 'string' ? url.parse(value) : {};
+                return ['http:', 'https:'].indexOf(parsedUrl.protocol) >= 0 && parsedUrl.hostname ?
+                    null : 'must be an http or https URL';
+
+            case 'number':
+                return typeof(value) === 'number' && !isNaN(value) ? null : 'must be a number';
+
+            case 'integer':
+                return typeof(value) === 'number' && value % 1 === 0 ? null : 'must be an integer';
+
+            case 'port':
+                return typeof(value) === 'number' && value % 1 === 0 && value >= PORT_RANGE.min &&
+                    value <= PORT_RANGE.max ? null : 'must be a port number between 1 and 65535';
+
+            case 'boolean':
+                return typeof(value) === 'boolean' ? null : 'must be true or false';
+
+            case 'array':
+                return Array.isArray(value) ? null : 'must be a list';
+
+            default:
+                return value !== null && typeof(value) === 'object' && !Array.isArray(value) ?
+                    null : 'must be an object';
+        }
+    };
+
+    /**
+     * Sets the default values of the missing settings, converts the values that can be converted
+     * (e.g. ports given as strings) and checks the whole configuration.
+     * @param {Object} config The configuration, which is modified
+     * @returns {Array.<String>} The errors found
+     */
+    var validate = function(config) {
+
+        var errors = [];
+        var checks = [];
+
+        var walk = function(node, container, key, settingPath) {
+
+            var value = container[key];
+
+            if (isMissing(value, node)) {
+
+                if (node.default !== undefined) {
+                    value = container[key] = clone(node.default);
+                } else {
+                    if (node.required) {
+                        errors.push(settingPath + ': is required');
+                    }
+
+                    return;
+                }
+            }
+
+            // Ports were given as strings in the template
+            if (node.type === 'port' && typeof(value) === 'string' && /^\d+$/.test(value)) {
+                value = container[key] = parseInt(value, 10);
+            }
+
+            var error = checkType(value, node);
+
+            if (!error && node.enum && node.enum.indexOf(value) < 0) {
+                error = 'must be one of ' + node.enum.join(', ');
+            }
+
+            if (!error && node.min !== undefined && value < node.min) {
+                error = 'must be greater than or equal to ' + node.min;
+            }
+
+            if (!error && node.max !== undefined && value > node.max) {
+                error = 'must be less than or equal to ' + node.max;
+            }
+
+            if (error) {
+                errors.push(settingPath + ': ' + error);
+                return;
+            }
+
+            if (node.normalize) {
+                value = container[key] = node.normalize(value);
+            }
+
+            // Checks that depend on other settings are made once the defaults are set
+            if (node.check) {
+                checks.push({ node: node, value: value, path: settingPath });
+            }
+
+            if (node.type === 'object') {
+                var children = getChildren(node, value);
+
+                for (var childKey in children) {
+                    walk(children[childKey], value, childKey, settingPath + '.' + childKey);
+                }
+
+            } else if (node.type === 'array' && node.items) {
+                value.forEach(function(item, index) {
+                    walk(node.items, value, index, settingPath + '[' + index + ']');
+                });
+            }
+        };
+
+        for (var key in schema.properties) {
+            walk(schema.properties[key], config, key, key);
+        }
+
+        checks.forEach(function(check) {
+            var error = check.node.check(check.value, config);
+
+            if (error) {
+                errors.push(check.path + ': ' + error);
+            }
+        });
+
+        return errors;
+    };
+
+    /**
+     * Applies the environment variables to the configuration and validates it.
+     * @param {Object} config The configuration, which is modified
+     * @param {Object} env The environment variables
+     * @returns {Object} The variables applied (`applied`) and the errors found (`errors`)
+     */
+    var load = function(config, env) {
+
+        var overrides = applyEnvironment(config, env);
+
+        return {
+            applied: overrides.applied,
+            errors: overrides.errors.concat(validate(config))
+        };
+    };
+
+    return {
+        ENV_PREFIX: ENV_PREFIX,
+        applyEnvironment: applyEnvironment,
+        validate: validate,
+        load: load
+    };
+
+})();
+
+exports.configuration = configuration;
@@ -0,0 +1,360 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    http = require('http');
+
+/**
+ * Catalogue of the errors returned by the proxy. Every error has a stable code that clients can rely
+ * on, and is returned in the TMF630 format:
+ *
+ *     { "code": "ORDERING_OWN_OFFERING", "reason": "Own offering", "message": "You cannot acquire your own offering",
+ *       "status": "403", "referenceError": "https://.../errors#ORDERING_OWN_OFFERING" }
+ *
+ * The messages of the errors can include parameters (e.g. {id}) whose values are given when the error
+ * is created. The `error` field returned by previous versions is included unless config.errors.legacyField
+ * is false.
+ */
+var errors = (function() {
+
+    var CATALOGUE = {
+
+        // Common
+        NOT_AUTHENTICATED: { status: 401, reason: 'Not authenticated', message: 'You need to be authenticated to perform this request' },
+        SESSION_REQUIRED: { status: 401, reason: 'Not authenticated', message: 'You need to be authenticated to access this resource' },
+        INVALID_AUTH_TOKEN: { status: 401, reason: 'Invalid access token', message: 'invalid auth-token' },
+        ACCESS_DENIED: { status: 403, reason: 'Access denied', message: 'You are not authorized to perform this request' },
+        API_NOT_FOUND: { status: 404, reason: 'API not found', message: 'Path not found' },
+        METHOD_NOT_ALLOWED: { status: 405, reason: 'Method not allowed', message: 'The HTTP method {method} is not allowed in the accessed API' },
+        API_METHOD_NOT_ALLOWED: { status: 405, reason: 'Method not allowed', message: 'Method not allowed' },
+        PRIVATE_API: { status: 403, reason: 'Private API', message: 'This API is private' },
+        FEATURE_NOT_SUPPORTED: { status: 403, reason: 'Feature not supported', message: 'This API feature is not supported yet' },
+        INVALID_JSON: { status: 400, reason: 'Invalid JSON', message: 'The provided body is not a valid JSON' },
+        INVALID_BODY: { status: 400, reason: 'Invalid body', message: 'Invalid body' },
+        RESOURCE_NOT_FOUND: { status: 404, reason: 'Resource not found', message: 'The required resource does not exist' },
+        OWNER_MISMATCH: { status: 403, reason: 'Owner mismatch', message: 'The user making the request and the specified owner are not the same user' },
+        NOT_OWNER: { status: 403, reason: 'Not the owner', message: 'The user making the request is not the owner of the accessed resource' },
+        INVALID_PAGINATION: { status: 400, reason: 'Invalid pagination', message: 'The pagination parameters are not valid' },
+        INVALID_FILTERS: { status: 403, reason: 'Invalid filters', message: 'You are not allowed to filter items using these filters' },
+        RELATED_PARTY_FILTER_FORBIDDEN: { status: 403, reason: 'Invalid filters', message: 'You are not authorized to retrieve the orderings made by the user {user}' },
+        TOO_MANY_REQUESTS: { status: 429, reason: 'Too many requests', message: 'Too many requests' },
+        UPSTREAM_UNAVAILABLE: { status: 503, reason: 'Service unavailable', message: 'Service temporarily unavailable' },
+        UPSTREAM_UNREACHABLE: { status: 504, reason: 'Service unreachable', message: 'Service unreachable' },
+        DATABASE_UNAVAILABLE: { status: 500, reason: 'Database unavailable', message: 'It was impossible to connect with the database. Please, try again in a few seconds.' },
+        DATABASE_ERROR: { status: 500, reason: 'Database error', message: 'The database cannot be accessed' },
+        INTERNAL_ERROR: { status: 500, reason: 'Internal error', message: 'Unexpected error. The error has been notified to the administrators.' },
+
+        // Catalog API
+        CATALOG_CREATION_FORBIDDEN: { status: 403, reason: 'Creation not allowed', message: 'You are not authorized to create resources' },
+        CATALOG_RESOURCE_NOT_READABLE: { status: 500, reason: 'Resource not readable', message: 'The TMForum APIs fails to retrieve the object you are trying to update/delete' },
+        CATALOG_RELATED_PARTY_NOT_MODIFIABLE: { status: 409, reason: 'Field not modifiable', message: 'The field "relatedParty" can not be modified' },
+        CATALOG_FIELD_NOT_MODIFIABLE: { status: 403, reason: 'Field not modifiable', message: 'Field {field} cannot be modified' },
+        CATALOG_NAME_TAKEN: { status: 409, reason: 'Catalog exists', message: 'This catalog name is already taken' },
+        CATALOG_NAME_NOT_CHECKED: { status: 500, reason: 'Catalogs not readable', message: 'It was impossible to check if there is another catalog with the same name' },
+        CATALOG_NOT_READABLE: { status: 500, reason: 'Catalog not readable', message: 'The catalog attached to the offering cannot be read' },
+        CATALOG_NOT_ACTIVE: { status: 400, reason: 'Invalid catalog state', message: 'Offerings can only be created in a catalog that is active or launched' },
+        CATALOG_NOT_LAUNCHED: { status: 400, reason: 'Invalid catalog state', message: 'Offerings can only be launched when the attached catalog is also launched' },
+        CATALOG_OFFERINGS_NOT_READABLE: { status: 500, reason: 'Offerings not readable', message: 'Attached offerings cannot be retrieved' },
+        CATALOG_OFFERINGS_NOT_RETIRED: { status: 400, reason: 'Invalid offerings state', message: 'All the attached offerings must be retired or obsolete to retire a {type}' },
+        CATALOG_OFFERINGS_NOT_OBSOLETE: { status: 400, reason: 'Invalid offerings state', message: 'All the attached offerings must be obsolete to make a {type} obsolete' },
+        CATALOG_PRODUCT_NOT_FOUND: { status: 422, reason: 'Invalid product', message: 'The attached product cannot be read or does not exist' },
+        CATALOG_PRODUCT_NOT_ACTIVE: { status: 400, reason: 'Invalid product state', message: 'Offerings can only be attached to active or launched products' },
+        CATALOG_PRODUCT_NOT_LAUNCHED: { status: 400, reason: 'Invalid product state', message: 'Offerings can only be launched when the attached product is also launched' },
+        CATALOG_PRODUCT_NOT_OWNED: { status: 403, reason: 'Product not owned', message: 'You are not allowed to {operation} offerings for products you do not own' },
+        CATALOG_INVALID_PRODUCT_CLASS: { status: 422, reason: 'Invalid product class', message: 'The provided productClass does not specify a valid revenue sharing model' },
+        CATALOG_MISSING_PRODUCT_SPEC: { status: 422, reason: 'Missing product specification', message: 'Product offerings must contain a productSpecification' },
+        CATALOG_PRODUCT_SPEC_MISSING_HREF: { status: 422, reason: 'Missing href', message: 'Missing required field href in product specification' },
+        CATALOG_NOT_A_BUNDLE: { status: 422, reason: 'Invalid bundle', message: 'Product offerings which are not a bundle cannot contain a bundled product offering' },
+        CATALOG_BUNDLE_WITH_PRODUCT: { status: 422, reason: 'Invalid bundle', message: 'Product offering bundles cannot contain a product specification' },
+        CATALOG_BUNDLE_TOO_SMALL: { status: 422, reason: 'Invalid bundle', message: 'Product offering bundles must contain at least two bundled offerings' },
+        CATALOG_BUNDLED_OFFERING_MISSING_HREF: { status: 422, reason: 'Missing href', message: 'Missing required field href in bundled offering' },
+        CATALOG_BUNDLED_OFFERING_NOT_FOUND: { status: 422, reason: 'Invalid bundle', message: 'The bundled offering {id} cannot be accessed or does not exists' },
+        CATALOG_BUNDLED_OFFERING_NOT_OWNED: { status: 403, reason: 'Offering not owned', message: 'You are not allowed to bundle offerings you do not own' },
+        CATALOG_NESTED_BUNDLE: { status: 422, reason: 'Invalid bundle', message: 'Product offering bundles cannot include another bundle' },
+        CATALOG_PRODUCT_BUNDLE_TOO_SMALL: { status: 422, reason: 'Invalid bundle', message: 'Product spec bundles must contain at least two bundled product specs' },
+        CATALOG_BUNDLED_PRODUCT_MISSING_HREF: { status: 422, reason: 'Missing href', message: 'Missing required field href in bundleProductSpecification' },
+        CATALOG_BUNDLED_PRODUCT_NOT_OWNED: { status: 403, reason: 'Product not owned', message: 'You are not authorized to include the product spec {id} in a product spec bundle' },
+        CATALOG_NESTED_PRODUCT_BUNDLE: { status: 422, reason: 'Invalid bundle', message: 'It is not possible to include a product spec bundle in another product spec bundle' },
+        CATALOG_INVALID_BUNDLED_PRODUCT_STATE: { status: 422, reason: 'Invalid product state', message: 'Only Active or Launched product specs can be included in a bundle' },
+        CATALOG_CATEGORY_ADMIN_ONLY: { status: 403, reason: 'Administrators only', message: 'Only administrators can {action} categories' },
+        CATALOG_CATEGORY_EXISTS: { status: 409, reason: 'Category exists', message: 'This category already exists' },
+        CATALOG_CATEGORIES_NOT_CHECKED: { status: 500, reason: 'Categories not readable', message: 'It was impossible to check if the provided category already exists' },
+        CATALOG_INVALID_CATEGORY: { status: 400, reason: 'Invalid category', message: 'Invalid category with id: {id}' },
+        CATALOG_CATEGORY_NOT_CHECKED: { status: 500, reason: 'Category not readable', message: 'It was impossible to check if the category with id: {id} already exists' },
+        CATALOG_ROOT_CATEGORY_WITH_PARENT: { status: 400, reason: 'Invalid category', message: 'Parent ID cannot be included when the category is root' },
+        CATALOG_CATEGORY_MISSING_PARENT: { status: 400, reason: 'Invalid category', message: 'Non-root categories must contain a parent category' },
+        CATALOG_CATEGORY_MISSING_NAME: { status: 400, reason: 'Invalid category', message: 'Category name is mandatory' },
+
+        // Ordering API
+        ORDERING_INVALID_BODY: { status: 400, reason: 'Invalid JSON', message: 'The resource is not a valid JSON document' },
+        ORDERING_CUSTOMER_ROLE_REQUIRED: { status: 403, reason: 'Customer role required', message: 'You are not authorized to order products' },
+        ORDERING_MISSING_RELATED_PARTY: { status: 400, reason: 'Missing related party', message: 'A product order must contain a relatedParty field' },
+        ORDERING_MISSING_CUSTOMER: { status: 403, reason: 'Missing customer', message: 'It is required to specify a customer in the relatedParty field' },
+        ORDERING_CUSTOMER_MISMATCH: { status: 403, reason: 'Customer mismatch', message: 'The customer specified in the product order is not the user making the request' },
+        ORDERING_MISSING_ORDER_ITEM: { status: 400, reason: 'Missing order items', message: 'A product order must contain an orderItem field' },
+        ORDERING_ITEM_MISSING_PRODUCT: { status: 400, reason: 'Invalid order item', message: 'The product order item {id} must contain a product field' },
+        ORDERING_ITEM_MISSING_OFFERING: { status: 400, reason: 'Invalid order item', message: 'The product order item {id} must contain a productOffering field' },
+        ORDERING_ITEM_CUSTOMER_MISMATCH: { status: 403, reason: 'Customer mismatch', message: 'The customer specified in the order item {id} is not the user making the request' },
+        ORDERING_OFFERING_NOT_READABLE: { status: 400, reason: 'Offering not readable', message: 'The system fails to retrieve the offering attached to the ordering item {id}' },
+        ORDERING_PRODUCT_NOT_READABLE: { status: 400, reason: 'Product not readable', message: 'The system fails to retrieve the product attached to the ordering item {id}' },
+        ORDERING_PRODUCT_WITHOUT_OWNERS: { status: 400, reason: 'Product without owners', message: 'You cannot order a product without owners' },
+        ORDERING_OWN_OFFERING: { status: 403, reason: 'Own offering', message: 'You cannot acquire your own offering' },
+        ORDERING_MISSING_BILLING_ACCOUNT: { status: 422, reason: 'Missing billing account', message: 'Billing Account is required' },
+        ORDERING_DIFFERENT_BILLING_ACCOUNTS: { status: 422, reason: 'Different billing accounts', message: 'Billing Accounts must be the same for all the order items contained in the ordering' },
+        ORDERING_BILLING_ACCOUNT_NOT_OWNED: { status: 403, reason: 'Billing account not owned', message: 'Unauthorized to use non-owned billing accounts' },
+        ORDERING_BILLING_ACCOUNT_NOT_FOUND: { status: 422, reason: 'Billing account not found', message: 'The given billing account does not exist' },
+        ORDERING_BILLING_ACCOUNT_NOT_READABLE: { status: 500, reason: 'Billing account not readable', message: 'There was an unexpected error at the time of retrieving the provided billing account' },
+        ORDERING_BILLING_ACCOUNT_NOT_CHECKED: { status: 500, reason: 'Billing account not readable', message: 'Unexpected error when checking the given billing account' },
+        ORDERING_BILLING_ACCOUNT_NOT_UPDATED: { status: 500, reason: 'Billing account not updated', message: 'Unexpected error when updating the given billing account' },
+        ORDERING_NOT_READABLE: { status: 400, reason: 'Ordering not readable', message: 'The requested ordering cannot be retrieved' },
+        ORDERING_RETRIEVAL_FORBIDDEN: { status: 403, reason: 'Ordering not accessible', message: 'You are not authorized to retrieve the specified ordering' },
+        ORDERING_MODIFICATION_FORBIDDEN: { status: 403, reason: 'Ordering not modifiable', message: 'You are not authorized to modify this ordering' },
+        ORDERING_STATE_NOT_MODIFIABLE: { status: 403, reason: 'Ordering not modifiable', message: '{state} orders cannot be manually modified' },
+        ORDERING_RELATED_PARTY_NOT_MODIFIABLE: { status: 403, reason: 'Field not modifiable', message: 'Related parties cannot be modified' },
+        ORDERING_ITEMS_SELLER_ONLY: { status: 403, reason: 'Sellers only', message: 'Order items can only be modified by sellers' },
+        ORDERING_INVALID_CUSTOMER_STATE: { status: 403, reason: 'Invalid state', message: 'Invalid order state. Valid states for customers are: "Cancelled"' },
+        ORDERING_NOT_CANCELLABLE: { status: 403, reason: 'Ordering not cancellable', message: 'Orderings can only be cancelled when all Order items are in Acknowledged state' },
+        ORDERING_SELLER_FIELDS: { status: 403, reason: 'Field not modifiable', message: 'Sellers can only modify order items or include notes' },
+        ORDERING_UNKNOWN_ITEM: { status: 400, reason: 'Unknown order item', message: 'You are trying to edit an non-existing item' },
+        ORDERING_ITEM_NOT_MODIFIABLE: { status: 403, reason: 'Order item not modifiable', message: 'The fields of an order item cannot be modified' },
+        ORDERING_ITEM_FIELD_NOT_MODIFIABLE: { status: 403, reason: 'Field not modifiable', message: 'The value of the field {field} cannot be changed' },
+        ORDERING_ITEM_SELLER_ONLY: { status: 403, reason: 'Sellers only', message: 'You cannot modify an order item if you are not seller' },
+        ORDERING_NOTES_NOT_MODIFIABLE: { status: 403, reason: 'Notes not modifiable', message: 'You are not allowed to modify the existing notes of an ordering' },
+
+        // Inventory API
+        INVENTORY_RETRIEVAL_FORBIDDEN: { status: 403, reason: 'Product not accessible', message: 'You are not authorized to retrieve the specified offering from the inventory' },
+
+        // Billing API
+        BILLING_MISSING_PRODUCT_ID: { status: 422, reason: 'Missing product', message: 'Please specify a concrete product id using the query string serviceId.id' },
+        BILLING_PRODUCT_NOT_VALIDATED: { status: 422, reason: 'Invalid product', message: 'It has not been possible to validate The specified product id' },
+        BILLING_CHARGES_FORBIDDEN: { status: 403, reason: 'Charges not accessible', message: 'You are not authorized to retrieve charges related to the specified product id' },
+        BILLING_MISSING_CUSTOMER_ACCOUNT: { status: 422, reason: 'Missing customer account', message: 'customerAccount field is mandatory' },
+        BILLING_CUSTOMER_ACCOUNT_NOT_READABLE: { status: 422, reason: 'Customer account not readable', message: 'The given customer account cannot be retrieved' },
+        BILLING_CUSTOMER_NOT_READABLE: { status: 422, reason: 'Customer not readable', message: 'The customer attached to the customer account given cannot be retrieved' },
+        BILLING_CUSTOMER_ACCOUNT_NOT_OWNED: { status: 403, reason: 'Customer account not owned', message: 'The given customer account does not belong to the user making the request' },
+        BILLING_UNSUPPORTED_FIELDS: { status: 422, reason: 'Unsupported fields', message: 'One or more of the included fields are not supported yet' },
+        BILLING_MISSING_RELATED_PARTY: { status: 422, reason: 'Missing related party', message: 'Billing Accounts cannot be created without related parties' },
+        BILLING_ACCOUNT_NOT_FOUND: { status: 404, reason: 'Billing account not found', message: 'The given billing account does not exist' },
+        BILLING_ACCOUNT_NOT_READABLE: { status: 500, reason: 'Billing account not readable', message: 'The given billing account cannot be accessed' },
+        BILLING_ACCOUNT_FORBIDDEN: { status: 403, reason: 'Billing account not accessible', message: 'You are not authorized to {action} this billing account' },
+        BILLING_ACCOUNT_RETRIEVAL_FORBIDDEN: { status: 403, reason: 'Billing account not accessible', message: 'Unauthorized to retrieve the specified billing account' },
+
+        // Customer API
+        CUSTOMER_ACCOUNT_LIST_FORBIDDEN: { status: 403, reason: 'Customer accounts not accessible', message: 'Unauthorized to retrieve the list of customer accounts' },
+        CUSTOMER_NOT_READABLE: { status: 500, reason: 'Customer not readable', message: 'The attached customer cannot be retrieved' },
+        CUSTOMER_RESOURCE_NOT_READABLE: { status: 500, reason: 'Resource not readable', message: 'The required resource cannot be retrieved' },
+        CUSTOMER_NOT_OWNED: { status: 403, reason: 'Customer not owned', message: 'The given Customer does not belong to the user making the request' },
+        CUSTOMER_RELATED_PARTY_MISMATCH: { status: 403, reason: 'Related party mismatch', message: 'Related Party does not match with the user making the request' },
+        CUSTOMER_MODIFICATION_FORBIDDEN: { status: 403, reason: 'Resource not owned', message: 'Unauthorized to update/delete non-owned resources' },
+        CUSTOMER_PROFILE_RETRIEVAL_FORBIDDEN: { status: 403, reason: 'Customer not accessible', message: 'Unauthorized to retrieve the given customer profile' },
+        CUSTOMER_RETRIEVAL_FORBIDDEN: { status: 403, reason: 'Customer not accessible', message: 'Unauthorized to retrieve the information of the given customer' },
+        CUSTOMER_ACCOUNT_MISSING_CUSTOMER: { status: 422, reason: 'Missing customer', message: 'Customer Accounts must be associated to a Customer' },
+        CUSTOMER_ID_MISMATCH: { status: 422, reason: 'Customer mismatch', message: 'Customer ID and Customer HREF mismatch' },
+        CUSTOMER_MISSING_RELATED_PARTY: { status: 422, reason: 'Missing related party', message: 'Unable to create customer without specifying the related party' },
+        CUSTOMER_RELATED_PARTY_NOT_MODIFIABLE: { status: 403, reason: 'Field not modifiable', message: 'Related Party cannot be modified' },
+        CUSTOMER_NOT_MODIFIABLE: { status: 403, reason: 'Field not modifiable', message: 'Customer cannot be modified' },
+        CUSTOMER_ACCOUNT_NOT_MODIFIABLE: { status: 403, reason: 'Customer account not modifiable', message: 'Customer Account cannot be manually modified' },
+        CUSTOMER_BILLING_ACCOUNTS_NOT_READABLE: { status: 500, reason: 'Billing accounts not readable', message: 'An error arises at the time of retrieving associated billing accounts' },
+
+        // Party API
+        PARTY_ID_MISMATCH: { status: 403, reason: 'Party mismatch', message: 'Provided party ID and request user ID mismatch' },
+        PARTY_INVALID_PATH: { status: 404, reason: 'Invalid path', message: 'The given path is invalid' },
+        PARTY_ACCESS_FORBIDDEN: { status: 403, reason: 'Party not accessible', message: 'You are not allowed to access this resource' },
+
+        // RSS API
+        RSS_ACCESS_FORBIDDEN: { status: 403, reason: 'RSS not accessible', message: 'You are not authorized to access the RSS API' },
+        RSS_READ_ONLY: { status: 403, reason: 'Read only API', message: 'This API can only be accessed with GET requests' },
+        RSS_ERROR: { status: 500, reason: 'RSS error', message: 'An unexpected error in the RSS API prevented your request to be processed' },
+        RSS_MODEL_NOT_CREATED: { status: 500, reason: 'RSS error', message: 'An unexpected error prevented your default RS model to be created' },
+
+        // Usage Management API
+        USAGE_MISSING_API_KEY: { status: 401, reason: 'Missing API key', message: 'Missing header "X-API-KEY"' },
+        USAGE_INVALID_API_KEY: { status: 401, reason: 'Invalid API key', message: 'Invalid apikey' },
+        USAGE_API_KEY_UNCOMMITTED: { status: 401, reason: 'API key not committed', message: 'Apikey uncommitted' },
+        USAGE_API_KEY_NOT_VALIDATED: { status: 500, reason: 'API key not validated', message: 'Error validating apiKey' },
+
+        // Charging backend
+        CHARGING_PRODUCT_NOT_VALIDATED: { status: 500, reason: 'Charging error', message: 'The server has failed validating the product specification' },
+        CHARGING_OFFERING_NOT_VALIDATED: { status: 500, reason: 'Charging error', message: 'The server has failed validating the offering' },
+        CHARGING_ORDER_NOT_PROCESSED: { status: 500, reason: 'Charging error', message: 'The server has failed processing your order' },
+        CHARGING_REFUND_FAILED: { status: 500, reason: 'Charging error', message: 'The server has failed at the time of refunding the order' },
+        CHARGING_USAGE_NOT_VALIDATED: { status: 500, reason: 'Charging error', message: 'The server has failed validating the usage' },
+
+        // Shopping cart
+        CART_ITEM_NOT_FOUND: { status: 404, reason: 'Item not found', message: 'Item not found in your cart' },
+        CART_ITEM_NOT_REMOVED: { status: 404, reason: 'Item not found', message: 'The given ordering item cannot be deleted since it was not present in your cart' },
+        CART_ITEM_EXISTS: { status: 409, reason: 'Item exists', message: 'This item is already in your shopping cart' },
+        CART_ITEM_MISSING_ID: { status: 400, reason: 'Missing item ID', message: 'Cart Item ID missing' },
+        CART_INVALID_ITEM: { status: 400, reason: 'Invalid item', message: 'Invalid Cart Item' },
+
+        // Accounting services (Authorize service)
+        ACCOUNTING_MISSING_URL: { status: 422, reason: 'Missing URL', message: 'Url missing' },
+        ACCOUNTING_INVALID_API_KEY: { status: 404, reason: 'Invalid API key', message: 'Invalid API Key' },
+
+        // Audit trail
+        AUDIT_ACCESS_FORBIDDEN: { status: 403, reason: 'Audit trail not accessible', message: 'You are not authorized to access the audit trail' },
+        AUDIT_INVALID_QUERY: { status: 400, reason: 'Invalid query', message: 'The query is not valid' },
+
+        // Event notifications
+        EVENT_LISTENER_INVALID: { status: 400, reason: 'Invalid listener', message: 'The listener is not valid' },
+        EVENT_LISTENER_NOT_FOUND: { status: 404, reason: 'Listener not found', message: 'The listener does not exist' },
+        EVENT_LISTENER_FORBIDDEN: { status: 403, reason: 'Not the owner', message: 'You are not authorized to remove this listener' },
+        EVENT_DELIVERY_NOT_FOUND: { status: 404, reason: 'Notification not found', message: 'The notification does not exist' },
+        EVENTS_ACCESS_FORBIDDEN: { status: 403, reason: 'Notifications not accessible', message: 'You are not authorized to access the failed notifications' },
+        EVENTS_INVALID_QUERY: { status: 400, reason: 'Invalid query', message: 'The query is not valid' },
+
+        // Batch requests
+        BATCH_INVALID: { status: 400, reason: 'Invalid batch', message: 'The batch is not valid' },
+        BATCH_REQUEST_SKIPPED: { status: 424, reason: 'Request skipped', message: 'The request has not been executed since a previous request of the batch failed' },
+
+        // Organizations
+        ORGANIZATION_INVALID: { status: 400, reason: 'Invalid organization', message: 'The organization must be an ID or null' },
+        ORGANIZATION_NOT_MEMBER: { status: 403, reason: 'Not a member', message: 'You are not a member of the organization {organization}' },
+
+        // Token cache
+        TOKEN_CACHE_FORBIDDEN: { status: 403, reason: 'Token cache not accessible', message: 'You are not authorized to revoke access tokens' },
+        TOKEN_CACHE_INVALID_REVOCATION: { status: 400, reason: 'Invalid revocation', message: 'Either a token or a user must be given' },
+
+        // Service accounts
+        SERVICE_ACCOUNTS_FORBIDDEN: { status: 403, reason: 'Service accounts not accessible', message: 'You are not authorized to manage service accounts' },
+        SERVICE_ACCOUNT_INVALID: { status: 400, reason: 'Invalid service account', message: 'The service account is not valid' },
+        SERVICE_ACCOUNT_NOT_FOUND: { status: 404, reason: 'Service account not found', message: 'The service account {id} does not exist' },
+        SERVICE_ACCOUNT_UNSUPPORTED_GRANT: { status: 400, reason: 'Unsupported grant type', message: 'Only the client_credentials grant type is supported' },
+        SERVICE_ACCOUNT_INVALID_CLIENT: { status: 401, reason: 'Invalid client', message: 'The client credentials are not valid' },
+        SERVICE_ACCOUNT_INVALID_SCOPE: { status: 400, reason: 'Invalid scope', message: 'The scope {scope} is not granted to the service account' },
+        SERVICE_ACCOUNT_NOT_ALLOWED: { status: 403, reason: 'Not available to service accounts', message: 'Service accounts can only access the APIs' },
+        SERVICE_ACCOUNT_SCOPE_DENIED: { status: 403, reason: 'Out of scope', message: 'The scopes of the service account do not allow {method} requests to the {api} API' },
+
+        // Sessions
+        SESSIONS_FORBIDDEN: { status: 403, reason: 'Sessions not accessible', message: 'Service accounts do not have sessions' },
+        SESSION_NOT_FOUND: { status: 404, reason: 'Session not found', message: 'The session {id} does not exist' },
+        SESSION_TOKEN_NOT_FOUND: { status: 404, reason: 'Token not found', message: 'The access token {id} is not cached' }
+    };
+
+    // Code of the errors created by other components (e.g. plugins) without a code
+    var UNKNOWN_ERROR = 'ERROR';
+
+    var getErrorsConfig = function() {
+        return config.errors || {};
+    };
+
+    var formatMessage = function(template, params) {
+        return template.replace(/\{(\w+)\}/g, function(match, param) {
+            return params && params[param] !== undefined ? params[param] : match;
+        });
+    };
+
+    /**
+     * Creates the error with the given code, to be given to the callbacks of the validators.
+     * @param {String} code The code of the error in the catalogue
+     * @param {Object=} params The values of the parameters of the message
+     * @param {String=} message Message replacing the one of the catalogue, for the errors whose details
+     * are given by other services
+     */
+    var create = function(code, params, message) {
+
+        var entry = CATALOGUE[code];
+
+        if (!entry) {
+            throw new Error('Unknown error code: ' + code);
+        }
+
+        return {
+            status: entry.status,
+            code: code,
+            message: message || formatMessage(entry.message, params)
+        };
+    };
+
+    /**
+     * Checks whether a code is included in the catalogue.
+     * @param {String} code The code of the error
+     */
+    var exists = function(code) {
+        return CATALOGUE.hasOwnProperty(code);
+    };
+
+    /**
+     * Returns the TMF630 body of an error ({ status, message, code }).
+     * @param {Object} err The error to be returned
+     */
+    var toBody = function(err) {
+
+        var code = err.code || UNKNOWN_ERROR;
+        var entry = CATALOGUE[code];
+        var errorsConfig = getErrorsConfig();
+
+        var body = {
+            code: code,
+            reason: entry ? entry.reason : (http.STATUS_CODES[err.status] || 'Error'),
+            message: err.message,
+            status: String(err.status)
+        };
+
+        if (errorsConfig.referenceURL) {
+            body.referenceError = errorsConfig.referenceURL + '#' + code;
+        }
+
+        if (errorsConfig.legacyField !== false) {
+            body.error = err.message;
+        }
+
+        return body;
+    };
+
+    /**
+     * Sends an error ({ status, message, code }) to the client.
+     * @param {Object} res The response
+     * @param {Object} err The error to be sent
+     */
+    var send = function(res, err) {
+
+        if (err.retryAfter) {
+            res.setHeader('Retry-After', err.retryAfter);
+        }
+
+        res.status(err.status);
+        res.json(toBody(err));
+    };
+
+    /**
+     * Returns the codes of the catalogue with their status, reason and message.
+     */
+    var list = function() {
+        return Object.keys(CATALOGUE).map(function(code) {
+            return {
+                code: code,
+                status: CATALOGUE[code].status,
+                reason: CATALOGUE[code].reason,
+                message: CATALOGUE[code].message
+            };
+        });
+    };
+
+    return {
+        create: create,
+        exists: exists,
+        toBody: toBody,
+        send: send,
+        list: list
+    };
+
+})();
+
+exports.errors = errors;
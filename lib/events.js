@@ -0,0 +1,934 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var EventDelivery = require('./../db/schemas/eventDelivery'),
+    EventListener = require('./../db/schemas/eventListener'),
+    async = require('async'),
+    config = require('./../config'),
+    crypto = require('crypto'),
+    dns = require('dns'),
+    errors = require('./errors').errors,
+    logger = require('./logger').logger.getLogger('Events'),
+    net = require('net'),
+    querystring = require('querystring'),
+    tmfUtils = require('./tmfUtils'),
+    request = require('request'),
+    upstream = require('./upstream').upstream,
+    url = require('url'),
+    utils = require('./utils'),
+    uuid = require('node-uuid');
+
+/**
+ * Notification hub of the catalog, ordering and inventory APIs (TMF hub pattern). Listeners register
+ * a callback URL and a query that filters the events. The changes made through the proxy are
+ * notified once they have been accepted by the API.
+ *
+ * Notifications are stored in MongoDB and delivered at least once, retrying the failed ones with
+ * an exponential delay. Notifications which cannot be delivered are kept as dead letters that
+ * administrators can retry. Every notification is signed with the secret of its listener.
+ *
+ * Callbacks cannot point to loopback, link-local or private addresses (which are checked again when
+ * connecting, since DNS records can change) unless their host is in config.events.allowedHosts.
+ */
+var events = (function() {
+
+    var MUTATING_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+    var PENDING = 'pending';
+    var DELIVERED = 'delivered';
+    var FAILED = 'failed';
+
+    var DEFAULT_MAX_ATTEMPTS = 6;
+    var DEFAULT_RETRY_DELAY = 5000;
+    var DEFAULT_TIMEOUT = 10000;
+    var DEFAULT_POLL_INTERVAL = 2000;
+    var DEFAULT_BATCH_SIZE = 20;
+    var DEFAULT_RETENTION_DAYS = 7;
+
+    var DEFAULT_PAGE_SIZE = 50;
+    var MAX_PAGE_SIZE = 500;
+
+    // Loopback, link-local, private, shared, unspecified, multicast and reserved ranges, which are not
+    // reachable from the internet and must not be reached by the listeners through the proxy
+    var PRIVATE_RANGES = [
+        '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+        '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+        '::/128', '::1/128', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8'
+    ];
+
+    // IPv6 prefixes of the addresses that embed an IPv4 address in their last 32 bits: IPv4-mapped,
+    // IPv4-compatible and NAT64 addresses
+    var IPV4_EMBEDDING_RANGES = ['::ffff:0:0/96', '::/96', '64:ff9b::/96'];
+
+    // APIs whose changes are notified, with the base path of their hubs. Resources are checked in
+    // order, so the ones nested in others come first. Events of restricted resources are only
+    // notified to their related parties and to administrators, as returned by getVisible to every party
+    var HUB_APIS = {
+        catalog: {
+            basePath: 'api/catalogManagement/v2',
+            resources: [
+                { name: 'productOffering', eventName: 'ProductOffering', stateField: 'lifecycleStatus' },
+                { name: 'productSpecification', eventName: 'ProductSpecification', stateField: 'lifecycleStatus' },
+                { name: 'category', eventName: 'Category', stateField: 'lifecycleStatus' },
+                { name: 'catalog', eventName: 'Catalog', stateField: 'lifecycleStatus' }
+            ]
+        },
+        ordering: {
+            basePath: 'api/productOrdering/v2',
+            resources: [
+                {
+                    name: 'productOrder', eventName: 'ProductOrder', stateField: 'state', restricted: true,
+                    getVisible: tmfUtils.getOrderingVisibleTo
+                }
+            ]
+        },
+        inventory: {
+            basePath: 'api/productInventory/v2',
+            resources: [
+                { name: 'product', eventName: 'Product', stateField: 'status', restricted: true }
+            ]
+        }
+    };
+
+    var dispatchTimer = null;
+    var dispatching = false;
+
+    var getEventsConfig = function() {
+        return config.events || {};
+    };
+
+    var getSetting = function(setting, defaultValue) {
+        var value = getEventsConfig()[setting];
+        return value !== undefined ? value : defaultValue;
+    };
+
+    var isEnabled = function() {
+        return !!getEventsConfig().enabled;
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ////////////////////////////////////////// PUBLISHING ////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // The resource accessed by a request and its ID, when the path includes it
+    var getResource = function(endpointName, apiUrl) {
+
+        var hubAPI = HUB_APIS[endpointName];
+        var pathname = url.parse(apiUrl).pathname;
+
+        if (!hubAPI || pathname.indexOf('/' + hubAPI.basePath + '/') < 0) {
+            return null;
+        }
+
+        for (var i = 0; i < hubAPI.resources.length; i++) {
+
+            var match = new RegExp('/' + hubAPI.resources[i].name + '(/([^/]+))?/?$').exec(pathname);
+
+            if (match) {
+                return { definition: hubAPI.resources[i], id: match[2] };
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Returns whether the changes made by a request are notified. The response of these requests
+     * has to be read to build the events.
+     * @param {String} api The path of the API
+     * @param {Object} req The request, including its apiUrl
+     */
+    var isNotified = function(api, req) {
+        return isEnabled() && MUTATING_METHODS.indexOf(req.method.toUpperCase()) >= 0 &&
+            getResource(upstream.getEndpointName(api), req.apiUrl) !== null;
+    };
+
+    var parseJSON = function(body) {
+        try {
+            return typeof(body) === 'string' || Buffer.isBuffer(body) ? JSON.parse(body.toString()) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    var getEventTypes = function(req, definition) {
+
+        var method = req.method.toUpperCase();
+        var requestBody = parseJSON(req.body);
+
+        if (method === 'POST') {
+            return [definition.eventName + 'CreateNotification'];
+
+        } else if (method === 'DELETE') {
+            return [definition.eventName + 'DeleteNotification'];
+
+        } else {
+            var eventTypes = [definition.eventName + 'AttributeValueChangeNotification'];
+
+            if (requestBody && requestBody[definition.stateField] !== undefined) {
+                eventTypes.push(definition.eventName + 'StateChangeNotification');
+            }
+
+            return eventTypes;
+        }
+    };
+
+    var buildEvents = function(req, resource, body) {
+
+        // Deleted resources are only identified by their ID
+        var content = parseJSON(body);
+        var affected = content && !Array.isArray(content) && req.method.toUpperCase() !== 'DELETE' ?
+            content : { id: resource.id };
+
+        return getEventTypes(req, resource.definition).map(function(eventType) {
+
+            var event = {};
+            event[resource.definition.name] = affected;
+
+            return {
+                eventId: uuid.v4(),
+                eventTime: new Date().toISOString(),
+                eventType: eventType,
+                event: event
+            };
+        });
+    };
+
+    // The event as received by a listener, or null when the listener cannot receive it
+    var getReceivedEvent = function(listener, definition, event) {
+
+        var resource = event.event[definition.name];
+
+        if (!definition.restricted || listener.admin) {
+            return event;
+        }
+
+        var isParty = (resource.relatedParty || []).some(function(party) {
+            return party.id === listener.owner;
+        });
+
+        var visible = isParty && definition.getVisible ? definition.getVisible(resource, listener.owner) : resource;
+
+        if (!isParty || !visible) {
+            return null;
+        }
+
+        var received = {};
+
+        Object.keys(event).forEach(function(field) {
+            received[field] = event[field];
+        });
+
+        received.event = {};
+        received.event[definition.name] = visible;
+
+        return received;
+    };
+
+    // Values of a dotted field of the event. Arrays are traversed, so any of their items may match
+    var getValues = function(value, fields) {
+
+        if (Array.isArray(value)) {
+            return value.reduce(function(values, item) {
+                return values.concat(getValues(item, fields));
+            }, []);
+
+        } else if (!fields.length) {
+            return [value];
+
+        } else if (value !== null && typeof(value) === 'object') {
+            return getValues(value[fields[0]], fields.slice(1));
+
+        } else {
+            return [];
+        }
+    };
+
+    /**
+     * Checks whether an event matches the query of a listener. Queries are given as query strings
+     * whose fields are the paths of the event (e.g. eventType=ProductOrderStateChangeNotification&
+     * event.productOrder.state=Completed,Failed). Every field has to match one of its values.
+     * @param {String} query The query of the listener
+     * @param {Object} event
+     */
+    var matchesQuery = function(query, event) {
+
+        var filters = querystring.parse(query || '');
+
+        return Object.keys(filters).every(function(field) {
+
+            var expected = [].concat(filters[field]).join(',').split(',');
+
+            return getValues(event, field.split('.')).some(function(value) {
+                return value !== undefined && value !== null && expected.indexOf(String(value)) >= 0;
+            });
+        });
+    };
+
+    var createDelivery = function(listener, event) {
+
+        var now = new Date();
+
+        return {
+            listener: String(listener._id),
+            callback: listener.callback,
+            eventId: event.eventId,
+            eventType: event.eventType,
+            payload: JSON.stringify(event),
+            status: PENDING,
+            attempts: 0,
+            nextAttempt: now,
+            created: now,
+            expires: new Date(now.getTime() + getSetting('retentionDays', DEFAULT_RETENTION_DAYS) * 24 * 3600 * 1000)
+        };
+    };
+
+    /**
+     * Notifies the changes made by a request to the listeners of the API. Requests that have not
+     * been accepted by the API are not notified.
+     * @param {Object} req The request
+     * @param {String} api The path of the API
+     * @param {Object} result The response of the API, including its status and its body
+     */
+    var publish = function(req, api, result) {
+
+        if (!isNotified(api, req) || result.status >= 400) {
+            return;
+        }
+
+        var endpointName = upstream.getEndpointName(api);
+        var resource = getResource(endpointName, req.apiUrl);
+        var notifiedEvents = buildEvents(req, resource, result.body);
+
+        EventListener.find({ api: endpointName }, null, { lean: true }, function(err, listeners) {
+
+            if (err) {
+                return utils.log(logger, 'warn', req, 'The listeners cannot be read: ' + err.message);
+            }
+
+            var deliveries = [];
+
+            listeners.forEach(function(listener) {
+                notifiedEvents.forEach(function(event) {
+
+                    var received = getReceivedEvent(listener, resource.definition, event);
+
+                    if (received && matchesQuery(listener.query, received)) {
+                        deliveries.push(createDelivery(listener, received));
+                    }
+                });
+            });
+
+            if (deliveries.length) {
+                EventDelivery.create(deliveries, function(err) {
+                    if (err) {
+                        utils.log(logger, 'warn', req, 'The events cannot be stored: ' + err.message);
+                    } else {
+                        dispatch();
+                    }
+                });
+            }
+        });
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ////////////////////////////////////////// DELIVERING ////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Returns the signature of a notification, sent in the X-Hub-Signature header.
+     * @param {String} secret The secret of the listener
+     * @param {String} payload The body of the notification
+     */
+    var sign = function(secret, payload) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    };
+
+    // Deliveries are leased while they are sent, so they are not sent by other instances of the proxy
+    var claimNext = function(callback) {
+
+        var now = Date.now();
+
+        EventDelivery.findOneAndUpdate(
+            { status: PENDING, nextAttempt: { $lte: new Date(now) } },
+            { $set: { nextAttempt: new Date(now + 2 * getSetting('timeout', DEFAULT_TIMEOUT)) } },
+            { sort: { nextAttempt: 1 }, new: true },
+            callback);
+    };
+
+    /**
+     * Returns the bytes of an IP address (4 for IPv4 and 16 for IPv6), or null if it is not one.
+     */
+    var toBytes = function(address) {
+
+        var ip = address.split('%')[0];
+
+        if (net.isIPv4(ip)) {
+            return ip.split('.').map(Number);
+        }
+
+        if (!net.isIPv6(ip)) {
+            return null;
+        }
+
+        // The last 32 bits can be written as an IPv4 address
+        var ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(ip);
+
+        if (ipv4) {
+            ip = ip.substring(0, ipv4.index) + ((ipv4[1] << 8) + Number(ipv4[2])).toString(16) + ':' +
+                ((ipv4[3] << 8) + Number(ipv4[4])).toString(16);
+        }
+
+        var halves = ip.split('::');
+        var head = halves[0] ? halves[0].split(':') : [];
+        var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+        var groups = head.slice();
+        var bytes = [];
+
+        // The groups omitted by :: are zeros
+        while (groups.length < 8 - tail.length) {
+            groups.push('0');
+        }
+
+        groups = groups.concat(tail);
+
+        groups.forEach(function(group) {
+            var value = parseInt(group, 16);
+            bytes.push(value >> 8, value & 0xff);
+        });
+
+        return bytes;
+    };
+
+    var parseRange = function(range) {
+        var parts = range.split('/');
+        return { bytes: toBytes(parts[0]), prefix: Number(parts[1]) };
+    };
+
+    var inRange = function(bytes, range) {
+
+        if (bytes.length !== range.bytes.length) {
+            return false;
+        }
+
+        for (var bit = 0; bit < range.prefix; bit++) {
+
+            var mask = 0x80 >> (bit % 8);
+
+            if ((bytes[bit >> 3] & mask) !== (range.bytes[bit >> 3] & mask)) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    var privateRanges = PRIVATE_RANGES.map(parseRange);
+    var ipv4EmbeddingRanges = IPV4_EMBEDDING_RANGES.map(parseRange);
+
+    /**
+     * Returns whether an IP address is not public. The IPv4 addresses embedded in IPv6 ones are
+     * checked as such, and the addresses that cannot be parsed are not considered public.
+     */
+    var isPrivateAddress = function(address) {
+
+        var bytes = toBytes(address);
+
+        if (!bytes) {
+            return true;
+        }
+
+        var embedsIPv4 = ipv4EmbeddingRanges.some(function(range) {
+            return inRange(bytes, range);
+        });
+
+        var isPrivate = function(addressBytes) {
+            return privateRanges.some(function(range) {
+                return inRange(addressBytes, range);
+            });
+        };
+
+        return isPrivate(bytes) || (embedsIPv4 && isPrivate(bytes.slice(12)));
+    };
+
+    var isAllowedHost = function(hostname) {
+        return getSetting('allowedHosts', []).indexOf(hostname.toLowerCase()) >= 0;
+    };
+
+    /**
+     * Resolves a host like dns.lookup, failing when any of its addresses is private. It is also used
+     * by the connections to the listeners, so the addresses checked are the ones connected to.
+     */
+    var lookupPublic = function(hostname, options, callback) {
+
+        if (typeof(options) === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, options, function(err, address, family) {
+
+            var addresses = Array.isArray(address) ? address.map(function(entry) {
+                return entry.address;
+            }) : [address];
+
+            if (!err && addresses.some(isPrivateAddress)) {
+                err = new Error('The host ' + hostname + ' resolves to a private address');
+                err.code = 'EPRIVATEADDRESS';
+            }
+
+            callback(err, address, family);
+        });
+    };
+
+    var checkCallbackHost = function(callbackURL, callback) {
+
+        var hostname = url.parse(callbackURL).hostname;
+
+        if (isAllowedHost(hostname)) {
+            callback(null);
+
+        } else if (net.isIP(hostname)) {
+            callback(isPrivateAddress(hostname) ? new Error('The address ' + hostname + ' is private') : null);
+
+        } else {
+            lookupPublic(hostname, { all: true }, function(err) {
+                callback(err || null);
+            });
+        }
+    };
+
+    var getResultUpdate = function(delivery, failure, detail) {
+
+        var attempts = delivery.attempts + 1;
+        var maxAttempts = getSetting('maxAttempts', DEFAULT_MAX_ATTEMPTS);
+
+        if (!failure) {
+            return { $set: { status: DELIVERED, attempts: attempts }, $unset: { nextAttempt: 1, lastError: 1 } };
+
+        } else if (attempts >= maxAttempts) {
+            logger.warn('Notification ' + delivery.eventId + ' to ' + delivery.callback + ' failed: ' + detail);
+            return { $set: { status: FAILED, attempts: attempts, lastError: failure }, $unset: { nextAttempt: 1 } };
+
+        } else {
+            var delay = getSetting('retryDelay', DEFAULT_RETRY_DELAY) * Math.pow(2, attempts - 1);
+
+            return {
+                $set: {
+                    attempts: attempts,
+                    lastError: failure,
+                    nextAttempt: new Date(Date.now() + delay)
+                }
+            };
+        }
+    };
+
+    var deliver = function(delivery, callback) {
+
+        EventListener.findById(delivery.listener, function(err, listener) {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // Listeners may have been removed once the event was stored
+            if (!listener) {
+                return EventDelivery.remove({ _id: delivery._id }, callback);
+            }
+
+            var options = {
+                url: delivery.callback,
+                method: 'POST',
+                body: delivery.payload,
+                timeout: getSetting('timeout', DEFAULT_TIMEOUT),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Event-Id': delivery.eventId,
+                    'X-Event-Type': delivery.eventType,
+                    'X-Hub-Signature': sign(listener.secret, delivery.payload)
+                }
+            };
+
+            // Only generic failures are stored, since administrators can read them back. The errors
+            // and responses of the listeners are logged
+            var complete = function(failure, detail) {
+                EventDelivery.update({ _id: delivery._id }, getResultUpdate(delivery, failure, detail), function(err) {
+                    callback(err || null);
+                });
+            };
+
+            checkCallbackHost(delivery.callback, function(err) {
+
+                if (err) {
+                    return complete('The callback is not a public address', err.message);
+                }
+
+                if (!isAllowedHost(url.parse(delivery.callback).hostname)) {
+                    options.lookup = lookupPublic;
+                }
+
+                request(options, function(err, response) {
+
+                    if (err) {
+                        complete(err.code === 'EPRIVATEADDRESS' ? 'The callback is not a public address' :
+                            'The listener could not be reached', err.message);
+                    } else if (response.statusCode >= 300) {
+                        complete('The listener rejected the notification', 'The listener returned ' + response.statusCode);
+                    } else {
+                        complete(null);
+                    }
+                });
+            });
+        });
+    };
+
+    /**
+     * Sends the pending notifications whose time has come, up to config.events.batchSize.
+     * @param {Function=} callback Called once the notifications have been sent
+     */
+    var dispatch = function(callback) {
+
+        var done = callback || function() {};
+        var batchSize = getSetting('batchSize', DEFAULT_BATCH_SIZE);
+        var sent = 0;
+        var pending = true;
+
+        // Events published while dispatching are sent in the next round
+        if (dispatching) {
+            return done(null);
+        }
+
+        dispatching = true;
+
+        async.whilst(function() {
+            return pending && sent < batchSize;
+        }, function(iterationCallback) {
+
+            claimNext(function(err, delivery) {
+
+                if (err || !delivery) {
+                    pending = false;
+                    return iterationCallback(err || null);
+                }
+
+                sent += 1;
+                deliver(delivery, iterationCallback);
+            });
+
+        }, function(err) {
+
+            dispatching = false;
+
+            if (err) {
+                logger.warn('The notifications cannot be delivered: ' + err.message);
+            }
+
+            done(err || null);
+        });
+    };
+
+    /**
+     * Starts sending the pending notifications every config.events.pollInterval milliseconds.
+     */
+    var start = function() {
+
+        if (!isEnabled() || dispatchTimer) {
+            return;
+        }
+
+        dispatchTimer = setInterval(dispatch, getSetting('pollInterval', DEFAULT_POLL_INTERVAL));
+
+        if (dispatchTimer.unref) {
+            dispatchTimer.unref();
+        }
+    };
+
+    /**
+     * Stops sending notifications. The ones being sent are retried once their lease expires.
+     */
+    var stop = function() {
+        clearInterval(dispatchTimer);
+        dispatchTimer = null;
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////////// HUB ////////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // The name of the endpoint whose hub is accessed (the path is /:api/api/:apiName/:version/hub)
+    var getHubEndpoint = function(req) {
+
+        var endpointName = upstream.getEndpointName(req.params.api);
+        var hubAPI = HUB_APIS[endpointName];
+        var basePath = 'api/' + req.params.apiName + '/' + req.params.version;
+
+        return hubAPI && hubAPI.basePath === basePath ? endpointName : null;
+    };
+
+    /**
+     * Middleware that skips the route when the path is not the hub of a notified API. Hubs of
+     * other APIs are served by the APIs.
+     */
+    var matchesHub = function(req, res, next) {
+        next(isEnabled() && getHubEndpoint(req) ? undefined : 'route');
+    };
+
+    var isValidCallback = function(callbackURL) {
+        var parsedURL = typeof(callbackURL) === 'string' ? url.parse(callbackURL) : {};
+        return ['http:', 'https:'].indexOf(parsedURL.protocol) >= 0 && !!parsedURL.hostname;
+    };
+
+    var createListener = function(req, res, body) {
+
+        var listener = {
+            api: getHubEndpoint(req),
+            callback: body.callback,
+            query: body.query || '',
+            owner: req.user.id,
+            admin: utils.isAdmin(req.user),
+            secret: crypto.randomBytes(32).toString('hex'),
+            created: new Date()
+        };
+
+        EventListener.create(listener, function(err, created) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            var id = String(created._id);
+
+            res.location(req.originalUrl.replace(/\/$/, '') + '/' + id);
+            res.status(201).json({
+                id: id,
+                callback: listener.callback,
+                query: listener.query,
+                secret: listener.secret
+            });
+        });
+    };
+
+    /**
+     * Registers a listener of the API. The secret used to sign the notifications is only returned
+     * in the response.
+     */
+    var register = function(req, res) {
+
+        var body = parseJSON(req.body);
+
+        if (!body || typeof(body) !== 'object') {
+            return errors.send(res, errors.create('INVALID_JSON'));
+        }
+
+        if (!isValidCallback(body.callback)) {
+            return errors.send(res, errors.create('EVENT_LISTENER_INVALID', null,
+                'The callback must be an HTTP or HTTPS URL'));
+        }
+
+        if (body.query !== undefined && body.query !== null && typeof(body.query) !== 'string') {
+            return errors.send(res, errors.create('EVENT_LISTENER_INVALID', null, 'The query must be a string'));
+        }
+
+        checkCallbackHost(body.callback, function(err) {
+
+            if (err) {
+                return errors.send(res, errors.create('EVENT_LISTENER_INVALID', null,
+                    'The callback must be a public address'));
+            }
+
+            createListener(req, res, body);
+        });
+    };
+
+    var findById = function(Model, id, callback) {
+        Model.findById(id, function(err, doc) {
+            // IDs which are not valid cannot identify any document
+            callback(err && err.name !== 'CastError' ? err : null, err ? null : doc);
+        });
+    };
+
+    /**
+     * Removes a listener, which can only be done by its owner or by administrators. The pending
+     * notifications of the listener are discarded.
+     */
+    var unregister = function(req, res) {
+
+        findById(EventListener, req.params.id, function(err, listener) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!listener || listener.api !== getHubEndpoint(req)) {
+                return errors.send(res, errors.create('EVENT_LISTENER_NOT_FOUND'));
+            }
+
+            if (listener.owner !== req.user.id && !utils.isAdmin(req.user)) {
+                return errors.send(res, errors.create('EVENT_LISTENER_FORBIDDEN'));
+            }
+
+            EventListener.remove({ _id: listener._id }, function(err) {
+
+                if (err) {
+                    return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+                }
+
+                // Notifications whose listener no longer exists are discarded anyway when they are sent
+                EventDelivery.remove({ listener: String(listener._id), status: PENDING }, function(err) {
+                    if (err) {
+                        utils.log(logger, 'warn', req, 'The notifications cannot be removed: ' + err.message);
+                    }
+
+                    res.status(204).end();
+                });
+            });
+        });
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// DEAD LETTERS ///////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var parseInteger = function(value, name, min, max) {
+
+        var number = Number(value);
+
+        if (!/^\d+$/.test(value) || number < min || number > max) {
+            throw new Error('Invalid ' + name + ': it must be an integer between ' + min + ' and ' + max);
+        }
+
+        return number;
+    };
+
+    var parseString = function(value, name) {
+
+        // Query strings can include objects and arrays (listener[$ne]=x) that would be used as operators
+        if (typeof value !== 'string') {
+            throw new Error('Invalid ' + name + ': it must be a string');
+        }
+
+        return value;
+    };
+
+    var formatDelivery = function(delivery) {
+        return {
+            id: String(delivery._id),
+            listener: delivery.listener,
+            callback: delivery.callback,
+            eventId: delivery.eventId,
+            eventType: delivery.eventType,
+            event: JSON.parse(delivery.payload),
+            attempts: delivery.attempts,
+            lastError: delivery.lastError,
+            created: delivery.created
+        };
+    };
+
+    /**
+     * Returns the notifications that could not be delivered, from the most recent one. They can be
+     * filtered by listener and eventType, and are paginated with offset and size. Only
+     * administrators can access them.
+     */
+    var getDeadLetters = function(req, res) {
+
+        if (!utils.isAdmin(req.user)) {
+            return errors.send(res, errors.create('EVENTS_ACCESS_FORBIDDEN'));
+        }
+
+        var params = req.query;
+        var query = { status: FAILED };
+        var options;
+
+        try {
+            ['listener', 'eventType'].forEach(function(filter) {
+                if (params[filter] !== undefined) {
+                    query[filter] = parseString(params[filter], filter);
+                }
+            });
+
+            options = {
+                sort: { created: -1 },
+                skip: params.offset !== undefined ? parseInteger(params.offset, 'offset', 0, Infinity) : 0,
+                limit: params.size !== undefined ? parseInteger(params.size, 'size', 1, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+                lean: true
+            };
+        } catch (e) {
+            return errors.send(res, errors.create('EVENTS_INVALID_QUERY', null, e.message));
+        }
+
+        EventDelivery.find(query, null, options, function(err, deliveries) {
+            if (err) {
+                errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            } else {
+                res.status(200).json(deliveries.map(formatDelivery));
+            }
+        });
+    };
+
+    /**
+     * Sends again a notification that could not be delivered. Only administrators can retry them.
+     */
+    var retryDeadLetter = function(req, res) {
+
+        if (!utils.isAdmin(req.user)) {
+            return errors.send(res, errors.create('EVENTS_ACCESS_FORBIDDEN'));
+        }
+
+        findById(EventDelivery, req.params.id, function(err, delivery) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!delivery || delivery.status !== FAILED) {
+                return errors.send(res, errors.create('EVENT_DELIVERY_NOT_FOUND'));
+            }
+
+            var update = { $set: { status: PENDING, attempts: 0, nextAttempt: new Date() } };
+
+            EventDelivery.update({ _id: delivery._id }, update, function(err) {
+                if (err) {
+                    errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+                } else {
+                    res.status(202).end();
+                    dispatch();
+                }
+            });
+        });
+    };
+
+    return {
+        isEnabled: isEnabled,
+        isNotified: isNotified,
+        matchesQuery: matchesQuery,
+        publish: publish,
+        sign: sign,
+        dispatch: dispatch,
+        start: start,
+        stop: stop,
+        matchesHub: matchesHub,
+        register: register,
+        unregister: unregister,
+        getDeadLetters: getDeadLetters,
+        retryDeadLetter: retryDeadLetter
+    };
+
+})();
+
+exports.events = events;
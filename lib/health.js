@@ -0,0 +1,300 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    config = require('./../config'),
+    lifecycle = require('./lifecycle').lifecycle,
+    logger = require('./logger').logger.getLogger('Health'),
+    mongoose = require('mongoose'),
+    request = require('request'),
+    upstream = require('./upstream').upstream;
+
+var health = (function() {
+
+    var UP = 'up';
+    var DOWN = 'down';
+    var DEGRADED = 'degraded';
+
+    // Milliseconds that a dependency is given to answer
+    var DEFAULT_TIMEOUT = 3000;
+
+    // Milliseconds that the result of the checks is reused by the readiness probe
+    var DEFAULT_CACHE_TIME = 5000;
+
+    // Dependencies without which the proxy cannot serve requests at all
+    var DEFAULT_CRITICAL = ['mongodb', 'oauth2'];
+
+    var getHealthConfig = function() {
+        return config.health || {};
+    };
+
+    var getTimeout = function() {
+        return getHealthConfig().timeout || DEFAULT_TIMEOUT;
+    };
+
+    var getCacheTime = function() {
+        var cacheTime = getHealthConfig().cacheTime;
+        return cacheTime !== undefined ? cacheTime : DEFAULT_CACHE_TIME;
+    };
+
+    var lastResult = null;
+    var lastCheck = 0;
+    var pendingCallbacks = null;
+
+    /**
+     * Runs a probe and reports the status of the dependency and the milliseconds taken to check it.
+     * Probes that do not finish in time report the dependency as down.
+     * @param {Function} probe Function that checks a dependency, called with a callback that receives
+     * an error when the dependency is not available and optional details of the check
+     * @param {Function} callback Called with the result of the check
+     */
+    var runProbe = function(probe, callback) {
+
+        var start = Date.now();
+        var finished = false;
+
+        var finish = function(err, details) {
+
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            clearTimeout(timer);
+
+            var result = {
+                status: err ? DOWN : UP,
+                latency: Date.now() - start
+            };
+
+            if (err) {
+                result.error = err.message;
+            }
+
+            for (var field in details) {
+                result[field] = details[field];
+            }
+
+            callback(null, result);
+        };
+
+        var timer = setTimeout(function() {
+            finish(new Error('Timed out after ' + getTimeout() + ' ms'));
+        }, getTimeout());
+
+        probe(finish);
+    };
+
+    var probeMongo = function(callback) {
+
+        if (mongoose.connection.readyState !== 1) {
+            return callback(new Error('Not connected'));
+        }
+
+        mongoose.connection.db.command({ ping: 1 }, function(err) {
+            callback(err);
+        });
+    };
+
+    // Any response means that the server is reachable, but 5xx ones mean that it cannot serve requests
+    var probeUrl = function(url, callback) {
+
+        request({ url: url, method: 'GET', timeout: getTimeout() }, function(err, response) {
+
+            if (err) {
+                callback(err);
+            } else if (response.statusCode >= 500) {
+                callback(new Error('Status ' + response.statusCode));
+            } else {
+                callback(null);
+            }
+        });
+    };
+
+    // Replicas are probed directly, so the circuit breaker and the retries of the proxy are not involved.
+    // An endpoint is up while any of its replicas is up
+    var probeEndpoint = function(endpointName, callback) {
+
+        var endpoint = config.endpoints[endpointName];
+        var path = endpoint.healthPath !== undefined ? endpoint.healthPath : endpoint.path;
+        var replicas = upstream.getReplicas(endpointName);
+
+        path = path[0] === '/' ? path : '/' + path;
+
+        async.map(replicas, function(baseUrl, replicaCallback) {
+            probeUrl(baseUrl + path, function(err) {
+                replicaCallback(null, err || null);
+            });
+        }, function(_, errors) {
+
+            var failed = errors.filter(function(err) {
+                return err !== null;
+            });
+
+            callback(failed.length === replicas.length ? failed[0] : null, {
+                replicas: {
+                    total: replicas.length,
+                    up: replicas.length - failed.length
+                }
+            });
+        });
+    };
+
+    var getProbes = function() {
+
+        var probes = {
+            mongodb: probeMongo
+        };
+
+        Object.keys(config.endpoints).forEach(function(endpointName) {
+            probes[endpointName] = probeEndpoint.bind(null, endpointName);
+        });
+
+        probes.oauth2 = probeUrl.bind(null, config.oauth2.server);
+
+        return probes;
+    };
+
+    /**
+     * Checks every dependency of the proxy: MongoDB, the configured endpoints (TMF APIs, charging
+     * backend and RSS) and the OAuth2 server. The proxy is down when any of the critical
+     * dependencies is down, and degraded when only some of the others are.
+     * @param {Function} callback Called with the overall status and the result of every check
+     */
+    var check = function(callback) {
+
+        var critical = getHealthConfig().critical || DEFAULT_CRITICAL;
+        var tasks = {};
+        var probes = getProbes();
+
+        Object.keys(probes).forEach(function(name) {
+            tasks[name] = runProbe.bind(null, probes[name]);
+        });
+
+        async.parallel(tasks, function(_, checks) {
+
+            var failed = Object.keys(checks).filter(function(name) {
+                return checks[name].status === DOWN;
+            });
+
+            var status = UP;
+
+            if (failed.some(function(name) { return critical.indexOf(name) >= 0; })) {
+                status = DOWN;
+            } else if (failed.length) {
+                status = DEGRADED;
+            }
+
+            callback({
+                status: status,
+                checks: checks
+            });
+        });
+    };
+
+    /**
+     * Returns the result of the last check while it is recent, so the probes of the orchestrator (or
+     * anyone else) do not multiply the requests to the dependencies. Concurrent calls share the check.
+     * @param {Function} callback Called with the result of the check
+     */
+    var getCachedResult = function(callback) {
+
+        if (lastResult && Date.now() - lastCheck < getCacheTime()) {
+            return callback(lastResult);
+        }
+
+        if (pendingCallbacks) {
+            return pendingCallbacks.push(callback);
+        }
+
+        pendingCallbacks = [callback];
+
+        check(function(result) {
+
+            var callbacks = pendingCallbacks;
+
+            lastResult = result;
+            lastCheck = Date.now();
+            pendingCallbacks = null;
+
+            Object.keys(result.checks).forEach(function(name) {
+                if (result.checks[name].status === DOWN) {
+                    logger.warn('Dependency ' + name + ' is down: ' + result.checks[name].error);
+                }
+            });
+
+            callbacks.forEach(function(pendingCallback) {
+                pendingCallback(result);
+            });
+        });
+    };
+
+    // The probe is not authenticated, so the hosts and errors of the dependencies are only logged
+    var summarize = function(result) {
+
+        var checks = {};
+
+        Object.keys(result.checks).forEach(function(name) {
+            checks[name] = { status: result.checks[name].status, latency: result.checks[name].latency };
+        });
+
+        return {
+            status: result.status,
+            checks: checks
+        };
+    };
+
+    var sendStatus = function(res, status, body) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(status).json(body);
+    };
+
+    /**
+     * Handler of the liveness probe. The proxy is alive while it is able to answer.
+     */
+    var live = function(req, res) {
+        sendStatus(res, 200, { status: UP });
+    };
+
+    /**
+     * Handler of the readiness probe. Degraded proxies are still ready since they can serve the
+     * requests that do not involve the failing dependencies. Only the status and the latency (in
+     * milliseconds) of every dependency are returned.
+     */
+    var ready = function(req, res) {
+
+        // Instances being shut down stop receiving new requests
+        if (lifecycle.isShuttingDown()) {
+            return sendStatus(res, 503, { status: DOWN, checks: {} });
+        }
+
+        getCachedResult(function(result) {
+            sendStatus(res, result.status === DOWN ? 503 : 200, summarize(result));
+        });
+    };
+
+    return {
+        check: check,
+        live: live,
+        ready: ready
+    };
+
+})();
+
+exports.health = health;
@@ -0,0 +1,246 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    upstream = require('./upstream').upstream,
+    utils = require('./utils');
+
+/**
+ * Rewriting of the hrefs of the resources. The APIs build their hrefs with the host and port where
+ * the proxy reaches them, which cannot be used by clients, so the hrefs of the responses are
+ * rewritten to the public URL of the proxy and the hrefs of the request bodies back to the URL of
+ * the APIs.
+ *
+ * The public URL is config.hrefs.publicURL (followed by the proxy prefix). When it is not given, it
+ * is derived from the protocol and the host of every request.
+ *
+ * Rewriting is disabled unless config.hrefs.rewrite is true. Only JSON bodies up to
+ * config.hrefs.maxBodySize bytes are read to rewrite them, and the rest are streamed.
+ */
+var hrefs = (function() {
+
+    var JSON_CONTENT_TYPE = /^application\/([\w.-]+\+)?json\b/i;
+    var DEFAULT_MAX_BODY_SIZE = 1048576;
+
+    var getHrefsConfig = function() {
+        return config.hrefs || {};
+    };
+
+    var isEnabled = function() {
+        return getHrefsConfig().rewrite === true;
+    };
+
+    var getMaxBodySize = function() {
+        return getHrefsConfig().maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    };
+
+    var isJSON = function(headers) {
+        return JSON_CONTENT_TYPE.test((headers || {})['content-type'] || '');
+    };
+
+    // Bodies whose length is not known in advance are read until they exceed the maximum size
+    var isTooLong = function(headers) {
+        return parseInt((headers || {})['content-length']) > getMaxBodySize();
+    };
+
+    var getPublicBaseURL = function(req) {
+
+        var publicURL = getHrefsConfig().publicURL;
+        var baseURL = publicURL ? publicURL.replace(/\/+$/, '') + (config.proxyPrefix || '') :
+            utils.getAPIURL(req.secure, req.hostname, config.port, config.proxyPrefix || '/');
+
+        return baseURL.replace(/\/+$/, '');
+    };
+
+    /**
+     * Returns the URL that clients use to access the given path of the APIs.
+     * @param {Object} req The request made by the client
+     * @param {String} path The path of the API, starting with its name (e.g. /DSProductCatalog/api/...)
+     */
+    var getPublicURL = function(req, path) {
+        return getPublicBaseURL(req) + (path[0] !== '/' ? '/' : '') + path;
+    };
+
+    // Bases of the hrefs of every API: the public one and the ones of its replicas. Hrefs are
+    // always rewritten to the first replica, since all of them store the same resources
+    var getBases = function(req) {
+
+        var publicBaseURL = getPublicBaseURL(req);
+        var bases = [];
+
+        for (var endpointName in config.endpoints) {
+
+            var apiPath = '/' + config.endpoints[endpointName].path;
+
+            bases.push({
+                publicBase: publicBaseURL + apiPath,
+                internalBases: upstream.getReplicas(endpointName).map(function(replicaURL) {
+                    return replicaURL + apiPath;
+                })
+            });
+        }
+
+        return bases;
+    };
+
+    var startsWithBase = function(href, base) {
+        return href.indexOf(base) === 0 && /^([/?#]|$)/.test(href.substring(base.length));
+    };
+
+    var replaceBase = function(href, bases, toPublic) {
+
+        for (var i = 0; i < bases.length; i++) {
+
+            var from = toPublic ? bases[i].internalBases : [bases[i].publicBase];
+            var to = toPublic ? bases[i].publicBase : bases[i].internalBases[0];
+
+            for (var j = 0; j < from.length; j++) {
+                if (startsWithBase(href, from[j])) {
+                    return to + href.substring(from[j].length);
+                }
+            }
+        }
+
+        return href;
+    };
+
+    /**
+     * Returns the public form of an href given by the APIs. Hrefs of other hosts are not modified.
+     * @param {Object} req The request made by the client
+     * @param {String} href
+     */
+    var toPublic = function(req, href) {
+        return typeof(href) === 'string' ? replaceBase(href, getBases(req), true) : href;
+    };
+
+    /**
+     * Returns the form of a public href used by the APIs. Hrefs of other hosts are not modified.
+     * @param {Object} req The request made by the client
+     * @param {String} href
+     */
+    var toInternal = function(req, href) {
+        return typeof(href) === 'string' ? replaceBase(href, getBases(req), false) : href;
+    };
+
+    // Replaces the href fields of a parsed body, at any depth. Returns whether any of them changed
+    var rewriteValue = function(value, bases, toPublic) {
+
+        var changed = false;
+
+        if (value !== null && typeof(value) === 'object') {
+
+            for (var key in value) {
+
+                if (key === 'href' && typeof(value[key]) === 'string') {
+                    var href = replaceBase(value[key], bases, toPublic);
+                    changed = changed || href !== value[key];
+                    value[key] = href;
+                } else {
+                    changed = rewriteValue(value[key], bases, toPublic) || changed;
+                }
+            }
+        }
+
+        return changed;
+    };
+
+    /**
+     * Rewrites the hrefs of the given items (already parsed) to their public form.
+     * @param {Object} req The request made by the client
+     * @param {Object|Array} value The items to be rewritten, which are modified
+     */
+    var rewriteToPublic = function(req, value) {
+        if (isEnabled()) {
+            rewriteValue(value, getBases(req), true);
+        }
+    };
+
+    // Bodies that cannot be parsed or do not include any href are not modified
+    var rewriteBody = function(req, container, toPublic) {
+
+        var body;
+
+        if (!isEnabled() || !isJSON(container.headers) || container.body === undefined || container.body === null) {
+            return;
+        }
+
+        try {
+            body = JSON.parse(container.body.toString());
+        } catch (e) {
+            return;
+        }
+
+        if (rewriteValue(body, getBases(req), toPublic)) {
+            utils.updateBody(container, body);
+        }
+    };
+
+    /**
+     * Rewrites the hrefs of the body of a response of the APIs to their public form. The
+     * Content-Length header is updated accordingly.
+     * @param {Object} req The request made by the client
+     * @param {Object} result The response, including its headers and its body
+     */
+    var rewriteResponse = function(req, result) {
+        rewriteBody(req, result, true);
+    };
+
+    /**
+     * Rewrites the public hrefs of the body of a request to the form used by the APIs. Only parsed
+     * bodies (strings) are rewritten.
+     * @param {Object} req The request made by the client
+     */
+    var rewriteRequest = function(req) {
+        if (typeof(req.body) === 'string') {
+            rewriteBody(req, req, false);
+        }
+    };
+
+    /**
+     * Returns whether a response of the APIs has to be read to rewrite its hrefs.
+     * @param {Object} headers The headers of the response
+     */
+    var isRewritten = function(headers) {
+        return isEnabled() && isJSON(headers) && !isTooLong(headers);
+    };
+
+    /**
+     * Returns whether the body of a request has to be parsed to rewrite its hrefs.
+     * @param {Object} req
+     */
+    var requiresRequestBody = function(req) {
+        return isEnabled() && isJSON(req.headers) && !isTooLong(req.headers);
+    };
+
+    return {
+        isEnabled: isEnabled,
+        getMaxBodySize: getMaxBodySize,
+        isRewritten: isRewritten,
+        getPublicURL: getPublicURL,
+        toPublic: toPublic,
+        toInternal: toInternal,
+        rewriteToPublic: rewriteToPublic,
+        rewriteResponse: rewriteResponse,
+        rewriteRequest: rewriteRequest,
+        requiresRequestBody: requiresRequestBody
+    };
+
+})();
+
+exports.hrefs = hrefs;
@@ -0,0 +1,508 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var base64url = require('base64url'),
+    crypto = require('crypto'),
+    FIWAREStrategy = require('passport-fiware-oauth').OAuth2Strategy,
+    logger = require('./logger').logger.getLogger('IdentityProviders'),
+    OAuth2Strategy = require('passport-oauth2').Strategy,
+    request = require('request');
+
+/**
+ * Identity providers the users are authenticated with (config.oauth2.provider). Every provider exposes:
+ *
+ *  - name: The name of its passport strategy, also used in the callback path (/auth/<name>/callback)
+ *  - scope: The scope requested when the users log in
+ *  - strategy: The passport strategy used to log in the users of the portal
+ *  - getProfile(accessToken, callback): Validates an access token and returns the profile of its user.
+ *    The errors of the tokens that are not valid have the code invalid_token (RFC 6750), unlike the
+ *    errors reaching the provider
+ *  - revokeToken(accessToken, callback): Revokes an access token (e.g. when the user logs out)
+ *
+ * Profiles are normalized to the shape of the FIWARE IdM profiles: id, displayName, email, roles (a
+ * list of { name }), organizations, appId (the client the token was issued to) and _json (the raw
+ * information of the token).
+ */
+var identityProviders = (function() {
+
+    var DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+    // Algorithms accepted in the signatures of the tokens. Symmetric algorithms and unsigned tokens
+    // are not accepted, since the secret would be shared with every client
+    var ALGORITHMS = {
+        RS256: 'RSA-SHA256',
+        RS384: 'RSA-SHA384',
+        RS512: 'RSA-SHA512'
+    };
+
+    // Minimum time between two downloads of the keys, so unknown key IDs cannot flood the provider
+    var MIN_KEYS_REFRESH = 30000;
+
+    var RSA_ENCRYPTION_OID = Buffer.from('06092a864886f70d0101010500', 'hex');
+
+    var INVALID_TOKEN = 'invalid_token';
+
+    var invalidToken = function(message) {
+        var err = new Error(message);
+        err.code = INVALID_TOKEN;
+        return err;
+    };
+
+    var verifyProfile = function(accessToken, refreshToken, profile, done) {
+        profile['accessToken'] = accessToken;
+        done(null, profile);
+    };
+
+    // Token revocation (RFC 7009), authenticating the proxy with its client credentials
+    var revokeAt = function(revocationURL, oauth2Config, accessToken, callback) {
+        request({
+            method: 'POST',
+            url: revocationURL,
+            form: { token: accessToken, token_type_hint: 'access_token' },
+            auth: { user: oauth2Config.clientID, pass: oauth2Config.clientSecret }
+        }, function(err, response) {
+
+            if (err) {
+                callback(err);
+            } else if (response.statusCode !== 200) {
+                callback(new Error('Unexpected response from ' + revocationURL + ': ' + response.statusCode));
+            } else {
+                callback(null);
+            }
+        });
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    //////////////////////////////////////////// FIWARE //////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var createFIWAREProvider = function(oauth2Config) {
+
+        var strategy = new FIWAREStrategy({
+            clientID: oauth2Config.clientID,
+            clientSecret: oauth2Config.clientSecret,
+            callbackURL: oauth2Config.callbackURL,
+            serverURL: oauth2Config.server
+        }, verifyProfile);
+
+        // The IdM rejects the tokens that are not valid with 401
+        var getProfile = function(accessToken, callback) {
+            strategy.userProfile(accessToken, function(err, profile) {
+
+                if (err && err.oauthError && err.oauthError.statusCode === 401) {
+                    err.code = INVALID_TOKEN;
+                }
+
+                callback(err, profile);
+            });
+        };
+
+        var revokeToken = function(accessToken, callback) {
+            revokeAt(oauth2Config.server.replace(/\/$/, '') + '/oauth2/revoke', oauth2Config, accessToken, callback);
+        };
+
+        return {
+            name: 'fiware',
+            scope: ['all_info'],
+            strategy: strategy,
+            getProfile: getProfile,
+            revokeToken: revokeToken
+        };
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// OPENID CONNECT /////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var encodeLength = function(length) {
+
+        if (length < 0x80) {
+            return Buffer.from([length]);
+        }
+
+        var bytes = [];
+
+        while (length > 0) {
+            bytes.unshift(length & 0xff);
+            length = length >> 8;
+        }
+
+        return Buffer.from([0x80 | bytes.length].concat(bytes));
+    };
+
+    var encodeDER = function(tag, content) {
+        return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+    };
+
+    var encodeInteger = function(value) {
+        // Integers are signed, so a leading zero is needed when the first bit is set
+        return encodeDER(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+    };
+
+    /**
+     * Returns the PEM of the public key given in a RSA JSON Web Key.
+     * @param {Object} jwk The key, including its modulus (n) and exponent (e)
+     */
+    var getPEM = function(jwk) {
+
+        var rsaKey = encodeDER(0x30, Buffer.concat([
+            encodeInteger(base64url.toBuffer(jwk.n)),
+            encodeInteger(base64url.toBuffer(jwk.e))
+        ]));
+
+        var publicKeyInfo = encodeDER(0x30, Buffer.concat([
+            encodeDER(0x30, RSA_ENCRYPTION_OID),
+            encodeDER(0x03, Buffer.concat([Buffer.from([0]), rsaKey]))
+        ]));
+
+        var lines = publicKeyInfo.toString('base64').match(/.{1,64}/g);
+
+        return '-----BEGIN PUBLIC KEY-----\n' + lines.join('\n') + '\n-----END PUBLIC KEY-----\n';
+    };
+
+    var getJSON = function(url, callback) {
+        request({ url: url, json: true }, function(err, response, body) {
+
+            if (err) {
+                callback(err);
+            } else if (response.statusCode !== 200 || !body || typeof(body) !== 'object') {
+                callback(new Error('Unexpected response from ' + url + ': ' + response.statusCode));
+            } else {
+                callback(null, body);
+            }
+        });
+    };
+
+    // Returns the value of a claim given by its path (e.g. realm_access.roles)
+    var getClaim = function(claims, path) {
+        return path.split('.').reduce(function(value, field) {
+            return value !== null && typeof(value) === 'object' && field in value ? value[field] : undefined;
+        }, claims);
+    };
+
+    var createOIDCProvider = function(oauth2Config) {
+
+        var oidcConfig = oauth2Config.oidc || {};
+        var clockTolerance = (oidcConfig.clockTolerance || 0) * 1000;
+
+        // The configuration of the provider is discovered when it is used for the first time
+        var discovery = null;
+        var pendingDiscovery = null;
+
+        var keys = {};
+        var keysDownloaded = 0;
+
+        var discover = function(callback) {
+
+            if (discovery) {
+                return callback(null, discovery);
+            }
+
+            if (pendingDiscovery) {
+                return pendingDiscovery.push(callback);
+            }
+
+            pendingDiscovery = [callback];
+
+            getJSON(oauth2Config.server.replace(/\/$/, '') + DISCOVERY_PATH, function(err, body) {
+
+                var callbacks = pendingDiscovery;
+                pendingDiscovery = null;
+
+                if (!err && (!body.issuer || !body.authorization_endpoint || !body.token_endpoint || !body.jwks_uri)) {
+                    err = new Error('The configuration of the provider is not complete');
+                }
+
+                if (err) {
+                    logger.error('The OpenID Connect provider cannot be discovered: ' + err.message);
+                } else {
+                    discovery = body;
+                }
+
+                callbacks.forEach(function(pending) {
+                    pending(err, discovery);
+                });
+            });
+        };
+
+        var downloadKeys = function(callback) {
+
+            discover(function(err, discovery) {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                getJSON(discovery.jwks_uri, function(err, body) {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    keys = {};
+                    keysDownloaded = Date.now();
+
+                    (body.keys || []).forEach(function(jwk) {
+                        if (jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+                            keys[jwk.kid] = getPEM(jwk);
+                        }
+                    });
+
+                    callback(null);
+                });
+            });
+        };
+
+        // Keys are downloaded again when a token is signed with an unknown key, since providers rotate them
+        var getKey = function(kid, callback) {
+
+            if (keys[kid] || Date.now() - keysDownloaded < MIN_KEYS_REFRESH) {
+                return callback(null, keys[kid] || null);
+            }
+
+            downloadKeys(function(err) {
+                callback(err, keys[kid] || null);
+            });
+        };
+
+        var decode = function(part) {
+            try {
+                var value = JSON.parse(base64url.decode(part));
+                return value !== null && typeof(value) === 'object' ? value : null;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        var checkClaims = function(claims, issuer) {
+
+            var now = Date.now();
+
+            if (claims.iss !== issuer) {
+                return 'The token has not been issued by the provider';
+            }
+
+            if (typeof(claims.exp) !== 'number' || claims.exp * 1000 + clockTolerance <= now) {
+                return 'The token has expired';
+            }
+
+            if (typeof(claims.nbf) === 'number' && claims.nbf * 1000 - clockTolerance > now) {
+                return 'The token is not valid yet';
+            }
+
+            return null;
+        };
+
+        var getRoles = function(claims) {
+
+            var roles = getClaim(claims, oidcConfig.roleClaim || 'roles');
+
+            if (typeof(roles) === 'string') {
+                roles = roles.split(/[\s,]+/);
+            }
+
+            return (Array.isArray(roles) ? roles : []).filter(function(role) {
+                return typeof(role) === 'string' && role.length > 0;
+            }).map(function(role) {
+                return { name: role };
+            });
+        };
+
+        var getAppId = function(claims) {
+
+            var audience = [].concat(claims.aud || []);
+
+            if (claims.azp) {
+                return claims.azp;
+            }
+
+            return audience.indexOf(oauth2Config.clientID) >= 0 ? oauth2Config.clientID : audience[0];
+        };
+
+        var buildProfile = function(claims) {
+
+            var id = getClaim(claims, oidcConfig.idClaim || 'sub') || claims.sub;
+
+            return {
+                provider: 'oidc',
+                id: id,
+                displayName: claims.name || id,
+                email: claims.email || '',
+                roles: getRoles(claims),
+                organizations: [],
+                appId: getAppId(claims),
+                _json: claims
+            };
+        };
+
+        /**
+         * Validates an access token issued as a signed JWT with the keys published by the provider,
+         * so the provider is not asked for every token.
+         */
+        var getProfile = function(accessToken, callback) {
+
+            var parts = typeof(accessToken) === 'string' ? accessToken.split('.') : [];
+            var header = parts.length === 3 ? decode(parts[0]) : null;
+            var claims = parts.length === 3 ? decode(parts[1]) : null;
+
+            if (!header || !claims) {
+                return callback(invalidToken('The access token is not a JWT'));
+            }
+
+            if (!ALGORITHMS[header.alg]) {
+                return callback(invalidToken('The algorithm ' + header.alg + ' is not accepted'));
+            }
+
+            discover(function(err, discovery) {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                getKey(header.kid, function(err, key) {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    if (!key) {
+                        return callback(invalidToken('The token has been signed with an unknown key'));
+                    }
+
+                    var valid = crypto.createVerify(ALGORITHMS[header.alg])
+                        .update(parts[0] + '.' + parts[1])
+                        .verify(key, base64url.toBuffer(parts[2]));
+
+                    var claimsError = valid ? checkClaims(claims, discovery.issuer) : 'The signature is not valid';
+
+                    if (claimsError) {
+                        callback(invalidToken(claimsError));
+                    } else {
+                        callback(null, buildProfile(claims));
+                    }
+                });
+            });
+        };
+
+        // The endpoints of the provider are not known until it has been discovered, so the strategy
+        // delegates in an OAuth2 strategy created once the provider is discovered
+        var oauth2Strategy = null;
+
+        var getOAuth2Strategy = function(callback) {
+
+            if (oauth2Strategy) {
+                return callback(null, oauth2Strategy);
+            }
+
+            discover(function(err, discovery) {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                oauth2Strategy = new OAuth2Strategy({
+                    authorizationURL: discovery.authorization_endpoint,
+                    tokenURL: discovery.token_endpoint,
+                    clientID: oauth2Config.clientID,
+                    clientSecret: oauth2Config.clientSecret,
+                    callbackURL: oauth2Config.callbackURL
+                }, verifyProfile);
+
+                oauth2Strategy.userProfile = getProfile;
+
+                callback(null, oauth2Strategy);
+            });
+        };
+
+        var strategy = {
+            name: 'oidc',
+            authenticate: function(req, options) {
+
+                // Passport includes the actions (success, fail, redirect...) in the strategy
+                var actions = this;
+
+                getOAuth2Strategy(function(err, oauth2Strategy) {
+
+                    if (err) {
+                        return actions.error(err);
+                    }
+
+                    var delegate = Object.create(oauth2Strategy);
+
+                    ['success', 'fail', 'redirect', 'pass', 'error'].forEach(function(action) {
+                        delegate[action] = actions[action];
+                    });
+
+                    delegate.authenticate(req, options);
+                });
+            }
+        };
+
+        // Providers which do not expose a revocation endpoint keep the tokens until they expire
+        var revokeToken = function(accessToken, callback) {
+
+            discover(function(err, discovery) {
+
+                if (err) {
+                    callback(err);
+                } else if (!discovery.revocation_endpoint) {
+                    logger.debug('The OpenID Connect provider does not support the revocation of tokens');
+                    callback(null);
+                } else {
+                    revokeAt(discovery.revocation_endpoint, oauth2Config, accessToken, callback);
+                }
+            });
+        };
+
+        return {
+            name: 'oidc',
+            scope: (oidcConfig.scope || 'openid').split(' '),
+            strategy: strategy,
+            getProfile: getProfile,
+            revokeToken: revokeToken
+        };
+    };
+
+    var PROVIDERS = {
+        fiware: createFIWAREProvider,
+        oidc: createOIDCProvider
+    };
+
+    /**
+     * Creates the identity provider given in config.oauth2.provider (FIWARE IdM by default).
+     * @param {Object} oauth2Config The OAuth2 settings (config.oauth2)
+     */
+    var create = function(oauth2Config) {
+
+        var providerName = oauth2Config.provider || 'fiware';
+
+        if (!PROVIDERS[providerName]) {
+            throw new Error('Unknown identity provider: ' + providerName);
+        }
+
+        return PROVIDERS[providerName](oauth2Config);
+    };
+
+    return {
+        create: create
+    };
+
+})();
+
+exports.identityProviders = identityProviders;
@@ -0,0 +1,274 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var KeyValueEntry = require('./../db/schemas/keyValueEntry');
+
+/**
+ * Creates a store that keeps the entries in the memory of the process. When `maxEntries` is
+ * reached, the expired entries and then the least recently used ones are discarded.
+ * @param {Number=} maxEntries The maximum number of entries to be kept. Unlimited if not set.
+ * @param {Boolean=} expireOnly Only discard the expired entries, so the store grows beyond
+ * maxEntries while there are more entries alive
+ */
+var memoryStore = function(maxEntries, expireOnly) {
+
+    // Keys are kept in insertion order, so the first key is always the least recently used
+    var entries = {};
+    var size = 0;
+
+    // Size that triggers the next eviction. It grows when the entries alive exceed maxEntries, so
+    // the store is not scanned on every insertion
+    var evictionSize = maxEntries;
+
+    var isExpired = function(entry) {
+        return entry.expires !== null && entry.expires <= Date.now();
+    };
+
+    var deleteEntry = function(key) {
+        if (key in entries) {
+            delete entries[key];
+            size--;
+        }
+    };
+
+    var evict = function() {
+
+        for (var key in entries) {
+            if (isExpired(entries[key])) {
+                deleteEntry(key);
+            }
+        }
+
+        if (expireOnly) {
+            evictionSize = Math.max(maxEntries, size * 2);
+            return;
+        }
+
+        var keys = Object.keys(entries);
+
+        for (var i = 0; size > maxEntries; i++) {
+            deleteEntry(keys[i]);
+        }
+    };
+
+    var get = function(key, callback) {
+
+        var entry = entries[key];
+        var value = null;
+
+        if (entry && isExpired(entry)) {
+            deleteEntry(key);
+        } else if (entry) {
+            // Move the entry to the end of the list of recently used entries
+            delete entries[key];
+            entries[key] = entry;
+            value = entry.value;
+        }
+
+        callback(null, value);
+    };
+
+    var set = function(key, value, ttl, callback) {
+
+        deleteEntry(key);
+
+        entries[key] = {
+            value: value,
+            expires: ttl ? Date.now() + ttl : null
+        };
+
+        size++;
+
+        if (maxEntries && size > evictionSize) {
+            evict();
+        }
+
+        if (callback) {
+            callback(null);
+        }
+    };
+
+    var remove = function(key, callback) {
+
+        deleteEntry(key);
+
+        if (callback) {
+            callback(null);
+        }
+    };
+
+    var removeMatching = function(pattern, callback) {
+
+        for (var key in entries) {
+            if (pattern.test(key)) {
+                deleteEntry(key);
+            }
+        }
+
+        if (callback) {
+            callback(null);
+        }
+    };
+
+    var getMatching = function(pattern, callback) {
+
+        var matching = [];
+
+        for (var key in entries) {
+            if (pattern.test(key) && !isExpired(entries[key])) {
+                matching.push({ key: key, value: entries[key].value });
+            }
+        }
+
+        callback(null, matching);
+    };
+
+    var increment = function(key, ttl, callback) {
+
+        var entry = entries[key];
+        var value = entry && !isExpired(entry) ? entry.value + 1 : 1;
+
+        if (value === 1) {
+            set(key, value, ttl);
+        } else {
+            entry.value = value;
+        }
+
+        callback(null, value);
+    };
+
+    return {
+        get: get,
+        set: set,
+        remove: remove,
+        removeMatching: removeMatching,
+        getMatching: getMatching,
+        increment: increment
+    };
+};
+
+/**
+ * Creates a store that keeps the entries in the MongoDB database used by the proxy, so they
+ * can be shared among different instances of the proxy.
+ * @param {String} namespace Entries of different stores are isolated using this namespace
+ */
+var mongoStore = function(namespace) {
+
+    var emptyCallback = function() {};
+
+    var get = function(key, callback) {
+
+        KeyValueEntry.findOne({ namespace: namespace, key: key }, function(err, entry) {
+
+            if (err) {
+                callback(err);
+            } else if (!entry || (entry.expires && entry.expires.getTime() <= Date.now())) {
+                // Expired entries are not removed by MongoDB immediately
+                callback(null, null);
+            } else {
+                callback(null, JSON.parse(entry.value));
+            }
+        });
+    };
+
+    var set = function(key, value, ttl, callback) {
+
+        var update = {
+            value: JSON.stringify(value),
+            expires: ttl ? new Date(Date.now() + ttl) : null
+        };
+
+        KeyValueEntry.update({ namespace: namespace, key: key }, update, { upsert: true }, function(err) {
+            (callback || emptyCallback)(err);
+        });
+    };
+
+    var remove = function(key, callback) {
+        KeyValueEntry.remove({ namespace: namespace, key: key }, function(err) {
+            (callback || emptyCallback)(err);
+        });
+    };
+
+    var removeMatching = function(pattern, callback) {
+        KeyValueEntry.remove({ namespace: namespace, key: { $regex: pattern.source } }, function(err) {
+            (callback || emptyCallback)(err);
+        });
+    };
+
+    var getMatching = function(pattern, callback) {
+        KeyValueEntry.find({ namespace: namespace, key: { $regex: pattern.source } }, function(err, entries) {
+
+            if (err) {
+                return callback(err);
+            }
+
+            callback(null, entries.filter(function(entry) {
+                return !entry.expires || entry.expires.getTime() > Date.now();
+            }).map(function(entry) {
+                return { key: entry.key, value: JSON.parse(entry.value) };
+            }));
+        });
+    };
+
+    // Expired counters are not reset until MongoDB removes them, so a new key should be used
+    // for every period of time
+    var increment = function(key, ttl, callback) {
+
+        var update = {
+            $inc: { counter: 1 },
+            $setOnInsert: { expires: ttl ? new Date(Date.now() + ttl) : null }
+        };
+
+        KeyValueEntry.findOneAndUpdate({ namespace: namespace, key: key }, update, { upsert: true, new: true },
+            function(err, entry) {
+                callback(err, entry ? entry.counter : null);
+            });
+    };
+
+    return {
+        get: get,
+        set: set,
+        remove: remove,
+        removeMatching: removeMatching,
+        getMatching: getMatching,
+        increment: increment
+    };
+};
+
+/**
+ * Creates a key-value store. All the stores expose the same asynchronous interface: `get`,
+ * `set` (with a time to live in milliseconds), `remove`, `removeMatching`, `getMatching` (which
+ * returns the keys and values of the entries whose key matches a pattern) and `increment` (which
+ * creates the counter with the given time to live and returns its new value).
+ * @param {String} type The type of store: `memory` (default) or `mongo`.
+ * @param {String} namespace The namespace where the entries are stored.
+ * @param {Object=} options Options of the store. Memory stores accept `maxEntries` and `expireOnly`.
+ */
+exports.createStore = function(type, namespace, options) {
+
+    options = options || {};
+
+    if (type === 'mongo') {
+        return mongoStore(namespace);
+    } else if (!type || type === 'memory') {
+        return memoryStore(options.maxEntries, options.expireOnly);
+    } else {
+        throw new Error('Invalid store type: ' + type);
+    }
+};
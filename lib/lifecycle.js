@@ -0,0 +1,325 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    config = require('./../config'),
+    configuration = require('./configuration').configuration,
+    logger = require('./logger').logger.getLogger('Server'),
+    onFinished = require('on-finished');
+
+var lifecycle = (function() {
+
+    var DEFAULT_SHUTDOWN_TIMEOUT = 30000;
+
+    // Settings applied when the configuration is reloaded. The rest of them require a restart
+    var RELOADABLE_SETTINGS = ['endpoints', 'upstream', 'publicPaths', 'hrefs', 'customerRoleRequired',
+        'revenueModel', 'cache', 'pagination', 'rateLimit', 'tracing', 'health', 'policies', 'usageChartURL'];
+
+    var servers = [];
+
+    // Open connections of the servers and the number of requests being served in each of them
+    var connections = [];
+
+    var drainHooks = [];
+    var shutdownHooks = [];
+    var reloadHooks = [];
+    var shuttingDown = false;
+
+    // Called once every request has finished while shutting down
+    var drainCallback = null;
+
+    var getShutdownTimeout = function() {
+        return (config.shutdown || {}).timeout || DEFAULT_SHUTDOWN_TIMEOUT;
+    };
+
+    var countInFlight = function() {
+        return connections.reduce(function(count, connection) {
+            return count + connection.requests;
+        }, 0);
+    };
+
+    // Sockets are ended rather than destroyed, so the last responses are completely sent
+    var closeIdleConnections = function() {
+        connections.filter(function(connection) {
+            return connection.requests === 0;
+        }).forEach(function(connection) {
+            connection.socket.end();
+        });
+    };
+
+    var checkDrained = function() {
+
+        closeIdleConnections();
+
+        if (drainCallback && countInFlight() === 0) {
+            var callback = drainCallback;
+            drainCallback = null;
+            callback();
+        }
+    };
+
+    /**
+     * Tracks the connections and the requests of a server, so they can be drained on shutdown.
+     * @param {Object} server The HTTP or HTTPS server
+     */
+    var addServer = function(server) {
+
+        servers.push(server);
+
+        server.on('connection', function(socket) {
+
+            var connection = { socket: socket, requests: 0 };
+            connections.push(connection);
+
+            socket.on('close', function() {
+                connections.splice(connections.indexOf(connection), 1);
+            });
+        });
+
+        server.on('request', function(req, res) {
+
+            var connection = connections.filter(function(connection) {
+                return connection.socket === req.socket;
+            })[0];
+
+            if (connection) {
+                connection.requests++;
+            }
+
+            // Clients are asked to open new connections (to other instances) while draining
+            if (shuttingDown) {
+                res.setHeader('Connection', 'close');
+            }
+
+            onFinished(res, function() {
+
+                if (connection) {
+                    connection.requests--;
+                }
+
+                if (shuttingDown) {
+                    checkDrained();
+                }
+            });
+        });
+    };
+
+    /**
+     * Adds a task executed once the requests have been drained (e.g. closing the connection with the
+     * database). Tasks are executed in the order they are added.
+     * @param {Function} hook Function called with a callback to be called when the task finishes
+     */
+    var onShutdown = function(hook) {
+        shutdownHooks.push(hook);
+    };
+
+    /**
+     * Adds a function called when the proxy starts shutting down, before waiting for the requests
+     * in progress. Requests that never finish by themselves (e.g. event streams) are ended here.
+     * @param {Function} hook Function called without arguments
+     */
+    var onDrain = function(hook) {
+        drainHooks.push(hook);
+    };
+
+    /**
+     * Adds a function called once the configuration has been reloaded.
+     * @param {Function} hook Function called with the reloaded configuration
+     */
+    var onReload = function(hook) {
+        reloadHooks.push(hook);
+    };
+
+    var isShuttingDown = function() {
+        return shuttingDown;
+    };
+
+    /**
+     * Stops accepting connections, waits for the requests being served to finish (up to
+     * config.shutdown.timeout milliseconds) and executes the shutdown tasks.
+     * @param {String} reason The reason of the shutdown (e.g. the signal received)
+     * @param {Function} callback Called when the proxy can exit
+     */
+    var shutdown = function(reason, callback) {
+
+        if (shuttingDown) {
+            return;
+        }
+
+        shuttingDown = true;
+        logger.info('Shutting down (%s), %d requests in progress', reason, countInFlight());
+
+        servers.forEach(function(server) {
+            server.close();
+        });
+
+        var finished = false;
+        var timeout = null;
+
+        var finish = function() {
+
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            clearTimeout(timeout);
+
+            async.eachSeries(shutdownHooks, function(hook, hookCallback) {
+                hook(function(err) {
+                    if (err) {
+                        logger.warn('Shutdown task failed: ' + err.message);
+                    }
+
+                    hookCallback();
+                });
+            }, function() {
+                logger.info('Shutdown completed');
+                callback();
+            });
+        };
+
+        // Requests still in progress after the deadline are aborted
+        timeout = setTimeout(function() {
+            logger.warn('%d requests have not finished in time', countInFlight());
+
+            drainCallback = null;
+            connections.forEach(function(connection) {
+                connection.socket.destroy();
+            });
+
+            finish();
+        }, getShutdownTimeout());
+
+        drainCallback = finish;
+
+        drainHooks.forEach(function(hook) {
+            hook();
+        });
+
+        checkDrained();
+    };
+
+    var applySettings = function(newConfig) {
+
+        RELOADABLE_SETTINGS.forEach(function(setting) {
+            if (newConfig[setting] === undefined) {
+                delete config[setting];
+            } else {
+                config[setting] = newConfig[setting];
+            }
+        });
+
+        Object.keys(newConfig).filter(function(setting) {
+            return RELOADABLE_SETTINGS.indexOf(setting) < 0 &&
+                JSON.stringify(newConfig[setting]) !== JSON.stringify(config[setting]);
+        }).forEach(function(setting) {
+            logger.warn('The setting ' + setting + ' has changed, but it is only applied on restart');
+        });
+    };
+
+    // The cached module is kept, since every module holds a reference to it
+    var readConfigFile = function() {
+
+        var configPath = require.resolve('./../config');
+        var cachedModule = require.cache[configPath];
+
+        delete require.cache[configPath];
+
+        try {
+            return require(configPath);
+        } finally {
+            require.cache[configPath] = cachedModule;
+        }
+    };
+
+    /**
+     * Reads the configuration file again and applies the settings that can be changed while the proxy
+     * is running. The current configuration is kept when the new one is not valid.
+     * @param {Function=} readConfig Returns the new configuration. The configuration file by default
+     * @returns {Boolean} Whether the configuration has been reloaded
+     */
+    var reload = function(readConfig) {
+
+        var newConfig;
+
+        try {
+            newConfig = (readConfig || readConfigFile)();
+        } catch (e) {
+            logger.error('The configuration cannot be read: ' + e.message);
+            return false;
+        }
+
+        var result = configuration.load(newConfig, process.env);
+
+        if (result.errors.length) {
+            result.errors.forEach(function(error) {
+                logger.error('Invalid setting ' + error);
+            });
+
+            logger.error('The configuration has not been reloaded');
+            return false;
+        }
+
+        applySettings(newConfig);
+
+        reloadHooks.forEach(function(hook) {
+            try {
+                hook(config);
+            } catch (e) {
+                logger.error('The configuration cannot be applied: ' + e.message);
+            }
+        });
+
+        logger.info('Configuration reloaded');
+        return true;
+    };
+
+    /**
+     * Shuts the proxy down on SIGTERM and SIGINT, and reloads the configuration on SIGHUP.
+     */
+    var handleSignals = function() {
+
+        ['SIGTERM', 'SIGINT'].forEach(function(signal) {
+            process.on(signal, function() {
+                shutdown(signal, function() {
+                    process.exit(0);
+                });
+            });
+        });
+
+        process.on('SIGHUP', function() {
+            reload();
+        });
+    };
+
+    return {
+        addServer: addServer,
+        onShutdown: onShutdown,
+        onDrain: onDrain,
+        onReload: onReload,
+        isShuttingDown: isShuttingDown,
+        shutdown: shutdown,
+        reload: reload,
+        handleSignals: handleSignals
+    };
+
+})();
+
+exports.lifecycle = lifecycle;
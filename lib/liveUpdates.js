@@ -0,0 +1,241 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    logger = require('./logger').logger.getLogger('LiveUpdates'),
+    tmfUtils = require('./tmfUtils'),
+    upstream = require('./upstream').upstream,
+    utils = require('./utils');
+
+/**
+ * Stream of the changes of the orders, products and billing accounts made through the proxy, sent
+ * to the portal as Server-Sent Events. Every user only receives the changes of the resources they
+ * are related party of, and sellers only receive their own items of the orders.
+ *
+ * Connections are kept in memory, so every instance of the proxy only streams the changes it serves.
+ */
+var liveUpdates = (function() {
+
+    var MUTATING_METHODS = ['POST', 'PATCH', 'PUT'];
+
+    // Type of the events streamed for the changes of every API
+    var EVENT_TYPES = {
+        ordering: 'productOrder',
+        inventory: 'product',
+        billing: 'billingAccount'
+    };
+
+    var DEFAULT_HEARTBEAT_INTERVAL = 25000;
+    var DEFAULT_RETRY_DELAY = 5000;
+    var DEFAULT_MAX_CONNECTIONS_PER_USER = 5;
+
+    // Open streams of every user
+    var streams = {};
+    var heartbeatTimer = null;
+
+    var getLiveUpdatesConfig = function() {
+        return config.liveUpdates || {};
+    };
+
+    var isEnabled = function() {
+        return !!getLiveUpdatesConfig().enabled;
+    };
+
+    var write = function(res, data) {
+        res.write(data);
+
+        // Compression middlewares buffer the responses unless they are flushed
+        if (typeof(res.flush) === 'function') {
+            res.flush();
+        }
+    };
+
+    var sendHeartbeats = function() {
+        Object.keys(streams).forEach(function(userId) {
+            streams[userId].forEach(function(res) {
+                write(res, ':\n\n');
+            });
+        });
+    };
+
+    var removeStream = function(userId, res) {
+
+        var userStreams = streams[userId] || [];
+        var index = userStreams.indexOf(res);
+
+        if (index >= 0) {
+            userStreams.splice(index, 1);
+        }
+
+        if (!userStreams.length) {
+            delete streams[userId];
+        }
+
+        if (!Object.keys(streams).length) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    };
+
+    /**
+     * Opens the stream of the logged user. Comments are sent every config.liveUpdates.heartbeat
+     * milliseconds so the connection is not closed by intermediate proxies. When the user exceeds
+     * config.liveUpdates.maxConnectionsPerUser streams, the oldest one is closed.
+     */
+    var subscribe = function(req, res) {
+
+        var liveUpdatesConfig = getLiveUpdatesConfig();
+        var userId = req.user.id;
+        var maxConnections = liveUpdatesConfig.maxConnectionsPerUser || DEFAULT_MAX_CONNECTIONS_PER_USER;
+
+        if (req.socket && typeof(req.socket.setTimeout) === 'function') {
+            req.socket.setTimeout(0);
+        }
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        write(res, 'retry: ' + (liveUpdatesConfig.retryDelay || DEFAULT_RETRY_DELAY) + '\n\n');
+
+        streams[userId] = streams[userId] || [];
+        streams[userId].push(res);
+
+        if (streams[userId].length > maxConnections) {
+            var oldest = streams[userId][0];
+            removeStream(userId, oldest);
+            oldest.end();
+        }
+
+        if (!heartbeatTimer) {
+            heartbeatTimer = setInterval(sendHeartbeats,
+                liveUpdatesConfig.heartbeat || DEFAULT_HEARTBEAT_INTERVAL);
+
+            if (heartbeatTimer.unref) {
+                heartbeatTimer.unref();
+            }
+        }
+
+        utils.log(logger, 'debug', req, 'Stream opened');
+
+        req.on('close', function() {
+            removeStream(userId, res);
+        });
+    };
+
+    /**
+     * Returns whether the changes made by a request are streamed. The response of these requests
+     * has to be read to know the users the change is sent to.
+     * @param {String} api The path of the API
+     * @param {Object} req The request
+     */
+    var isStreamed = function(api, req) {
+        return isEnabled() && MUTATING_METHODS.indexOf(req.method.toUpperCase()) >= 0 &&
+            EVENT_TYPES[upstream.getEndpointName(api)] !== undefined;
+    };
+
+    var parseResource = function(body) {
+        try {
+            var resource = JSON.parse(body.toString());
+            return resource !== null && typeof(resource) === 'object' && !Array.isArray(resource) ? resource : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Sends the change made by a request to the streams of the related parties of the resource.
+     * @param {Object} req The request
+     * @param {String} api The path of the API
+     * @param {Object} result The response of the API, including its status and its body
+     */
+    var publish = function(req, api, result) {
+
+        if (!isStreamed(api, req) || result.status >= 400 || result.body === undefined) {
+            return;
+        }
+
+        var resource = parseResource(result.body);
+
+        if (!resource) {
+            return;
+        }
+
+        var endpointName = upstream.getEndpointName(api);
+
+        var getMessage = function(partyId) {
+
+            // Orders are sent as the ordering API returns them to every party
+            var visible = endpointName === 'ordering' ? tmfUtils.getOrderingVisibleTo(resource, partyId) : resource;
+
+            if (!visible) {
+                return null;
+            }
+
+            var data = JSON.stringify({
+                action: req.method.toUpperCase() === 'POST' ? 'created' : 'updated',
+                user: req.user ? req.user.id : null,
+                resource: visible
+            });
+
+            return 'event: ' + EVENT_TYPES[endpointName] + '\ndata: ' + data + '\n\n';
+        };
+
+        var notified = [];
+
+        (resource.relatedParty || []).forEach(function(party) {
+            if (party.id !== undefined && notified.indexOf(party.id) < 0) {
+                notified.push(party.id);
+
+                var message = streams[party.id] ? getMessage(party.id) : null;
+
+                if (message) {
+                    streams[party.id].forEach(function(res) {
+                        write(res, message);
+                    });
+                }
+            }
+        });
+    };
+
+    /**
+     * Closes all the streams, so the clients reconnect to other instances.
+     */
+    var closeAll = function() {
+        Object.keys(streams).forEach(function(userId) {
+            streams[userId].slice().forEach(function(res) {
+                removeStream(userId, res);
+                res.end();
+            });
+        });
+    };
+
+    return {
+        isEnabled: isEnabled,
+        isStreamed: isStreamed,
+        subscribe: subscribe,
+        publish: publish,
+        closeAll: closeAll
+    };
+
+})();
+
+exports.liveUpdates = liveUpdates;
@@ -25,6 +25,11 @@ log4js.configure(config_file);
 
 exports.logger = log4js;
 
+// Log levels can be changed while the proxy is running
+exports.reload = function() {
+    log4js.configure(config_file);
+};
+
 // How to use
 /*
 var log = require('./lib/logger').logger.getLogger("LoggerName");
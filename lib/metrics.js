@@ -0,0 +1,320 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    onFinished = require('on-finished');
+
+var metrics = (function() {
+
+    // Seconds
+    var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+    var CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+    // Registered metrics by name, in order of registration
+    var registry = {};
+    var names = [];
+
+    var escapeLabel = function(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    };
+
+    var formatLabels = function(labelNames, labelValues, extra) {
+
+        var pairs = labelNames.map(function(labelName, i) {
+            return labelName + '="' + escapeLabel(labelValues[i]) + '"';
+        });
+
+        if (extra) {
+            pairs.push(extra);
+        }
+
+        return pairs.length ? '{' + pairs.join(',') + '}' : '';
+    };
+
+    var formatValue = function(value) {
+        return value === Infinity ? '+Inf' : String(value);
+    };
+
+    /**
+     * Registers a metric. Registering again a metric with the same name returns the existing one,
+     * so modules can define their metrics when they are loaded.
+     */
+    var register = function(type, name, help, labelNames, create) {
+
+        if (registry[name]) {
+            return registry[name].api;
+        }
+
+        var metric = {
+            type: type,
+            name: name,
+            help: help,
+            labelNames: labelNames || [],
+            // Values of every combination of labels, indexed by the JSON of the label values
+            series: {}
+        };
+
+        var getSeries = function(labels, initial) {
+
+            var labelValues = metric.labelNames.map(function(labelName) {
+                var value = labels ? labels[labelName] : undefined;
+                return value === undefined || value === null ? '' : value;
+            });
+
+            var key = JSON.stringify(labelValues);
+
+            if (!metric.series[key]) {
+                metric.series[key] = {
+                    labelValues: labelValues,
+                    value: initial()
+                };
+            }
+
+            return metric.series[key];
+        };
+
+        metric.api = create(metric, getSeries);
+        registry[name] = metric;
+        names.push(name);
+
+        return metric.api;
+    };
+
+    /**
+     * Creates a counter.
+     * @param {String} name The name of the metric
+     * @param {String} help The description of the metric
+     * @param {Array} labelNames The names of the labels of the metric
+     */
+    var counter = function(name, help, labelNames) {
+        return register('counter', name, help, labelNames, function(metric, getSeries) {
+
+            var initial = function() {
+                return 0;
+            };
+
+            return {
+                inc: function(labels, value) {
+                    getSeries(labels, initial).value += value !== undefined ? value : 1;
+                }
+            };
+        });
+    };
+
+    /**
+     * Creates a gauge. Gauges without labels can be given a function that returns their value,
+     * which is called every time the metrics are rendered.
+     * @param {String} name The name of the metric
+     * @param {String} help The description of the metric
+     * @param {Array} labelNames The names of the labels of the metric
+     * @param {Function=} collect Function returning the current value of the gauge
+     */
+    var gauge = function(name, help, labelNames, collect) {
+        return register('gauge', name, help, labelNames, function(metric, getSeries) {
+
+            var initial = function() {
+                return 0;
+            };
+
+            metric.collect = collect;
+
+            return {
+                set: function(labels, value) {
+                    getSeries(labels, initial).value = value;
+                }
+            };
+        });
+    };
+
+    /**
+     * Creates a histogram.
+     * @param {String} name The name of the metric
+     * @param {String} help The description of the metric
+     * @param {Array} labelNames The names of the labels of the metric
+     * @param {Array=} buckets The upper bounds of the buckets
+     */
+    var histogram = function(name, help, labelNames, buckets) {
+        return register('histogram', name, help, labelNames, function(metric, getSeries) {
+
+            metric.buckets = (buckets || DEFAULT_BUCKETS).slice().sort(function(a, b) {
+                return a - b;
+            });
+
+            var initial = function() {
+                return {
+                    counts: metric.buckets.map(function() {
+                        return 0;
+                    }),
+                    sum: 0,
+                    count: 0
+                };
+            };
+
+            return {
+                observe: function(labels, value) {
+                    var observations = getSeries(labels, initial).value;
+
+                    metric.buckets.forEach(function(bound, i) {
+                        if (value <= bound) {
+                            observations.counts[i]++;
+                        }
+                    });
+
+                    observations.sum += value;
+                    observations.count++;
+                }
+            };
+        });
+    };
+
+    var renderSeries = function(metric) {
+
+        var lines = [];
+
+        for (var key in metric.series) {
+
+            var series = metric.series[key];
+
+            if (metric.type !== 'histogram') {
+                lines.push(metric.name + formatLabels(metric.labelNames, series.labelValues) + ' ' +
+                    formatValue(series.value));
+                continue;
+            }
+
+            metric.buckets.concat([Infinity]).forEach(function(bound, i) {
+                var count = bound === Infinity ? series.value.count : series.value.counts[i];
+
+                lines.push(metric.name + '_bucket' +
+                    formatLabels(metric.labelNames, series.labelValues, 'le="' + formatValue(bound) + '"') +
+                    ' ' + count);
+            });
+
+            lines.push(metric.name + '_sum' + formatLabels(metric.labelNames, series.labelValues) + ' ' +
+                series.value.sum);
+            lines.push(metric.name + '_count' + formatLabels(metric.labelNames, series.labelValues) + ' ' +
+                series.value.count);
+        }
+
+        return lines;
+    };
+
+    /**
+     * Returns the registered metrics in the Prometheus text format.
+     */
+    var render = function() {
+
+        var lines = [];
+
+        names.forEach(function(name) {
+
+            var metric = registry[name];
+
+            if (metric.collect) {
+                metric.api.set({}, metric.collect());
+            }
+
+            lines.push('# HELP ' + metric.name + ' ' + metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'));
+            lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+            lines = lines.concat(renderSeries(metric));
+        });
+
+        return lines.join('\n') + '\n';
+    };
+
+    /**
+     * Returns a function that gives the seconds elapsed since the timer was started.
+     */
+    var startTimer = function() {
+
+        var start = process.hrtime();
+
+        return function() {
+            var elapsed = process.hrtime(start);
+            return elapsed[0] + elapsed[1] / 1e9;
+        };
+    };
+
+    var requestsTotal = counter('http_requests_total',
+        'Requests served by the proxy', ['api', 'method', 'status']);
+
+    var requestDuration = histogram('http_request_duration_seconds',
+        'Time taken to serve the requests', ['api', 'method', 'status']);
+
+    // Only the configured APIs are used as labels, so clients cannot create new series at will
+    var getAPILabel = function(req) {
+
+        if (req.apiUrl === undefined) {
+            return 'none';
+        }
+
+        var apiPath = req.apiUrl.split('/')[1];
+
+        for (var endpointName in config.endpoints) {
+            if (config.endpoints[endpointName].path === apiPath) {
+                return endpointName;
+            }
+        }
+
+        return 'unknown';
+    };
+
+    /**
+     * Middleware that counts the requests and measures the time taken to serve them. Requests to
+     * the APIs are labelled with the name of the endpoint, and the rest of them with `none`.
+     */
+    var middleware = function(req, res, next) {
+
+        var elapsed = startTimer();
+
+        onFinished(res, function() {
+            var labels = {
+                api: getAPILabel(req),
+                method: req.method,
+                status: res.statusCode
+            };
+
+            requestsTotal.inc(labels);
+            requestDuration.observe(labels, elapsed());
+        });
+
+        next();
+    };
+
+    /**
+     * Handler of the endpoint queried by Prometheus.
+     */
+    var handler = function(req, res) {
+        res.setHeader('Content-Type', CONTENT_TYPE);
+        res.status(200).send(render());
+    };
+
+    return {
+        counter: counter,
+        gauge: gauge,
+        histogram: histogram,
+        render: render,
+        startTimer: startTimer,
+        middleware: middleware,
+        handler: handler
+    };
+
+})();
+
+exports.metrics = metrics;
@@ -0,0 +1,184 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    errors = require('./errors').errors,
+    logger = require('./logger').logger.getLogger('Organizations'),
+    utils = require('./utils');
+
+/**
+ * Users can act on behalf of the organizations they belong to in the IdM. The active organization is
+ * selected for the session of the portal (POST <config.organizations.path>/active) or for a single
+ * request (config.organizations.header).
+ *
+ * While an organization is active, req.user is the organization: its id and name, and the roles of the
+ * user inside it. Resources are owned by and authorized against the organization party, and the profile
+ * of the user is kept in req.user.member.
+ */
+var organizations = (function() {
+
+    var DEFAULT_HEADER = 'X-Organization';
+
+    var getOrganizationsConfig = function() {
+        return config.organizations || {};
+    };
+
+    var isEnabled = function() {
+        return !!getOrganizationsConfig().enabled;
+    };
+
+    var getHeaderName = function() {
+        return (getOrganizationsConfig().header || DEFAULT_HEADER).toLowerCase();
+    };
+
+    var findOrganization = function(user, organizationId) {
+        return (user.organizations || []).filter(function(organization) {
+            return organization.id === organizationId;
+        })[0] || null;
+    };
+
+    /**
+     * Returns the user acting on behalf of one of their organizations.
+     * @param {Object} user The profile of the user
+     * @param {Object} organization The organization, as included in the profile of the user
+     */
+    var getActingUser = function(user, organization) {
+        return {
+            id: organization.id,
+            displayName: organization.name || organization.id,
+            email: user.email,
+            roles: organization.roles || [],
+            organizations: user.organizations,
+            appId: user.appId,
+            accessToken: user.accessToken,
+            partyType: 'organization',
+            member: user
+        };
+    };
+
+    /**
+     * Replaces the user of the request by the active organization, when there is one. Organizations
+     * selected for the session are discarded when the user is no longer a member.
+     */
+    var setActiveParty = function(req, res, next) {
+
+        if (!isEnabled() || !req.user || req.user.member) {
+            return next();
+        }
+
+        var requested = req.headers[getHeaderName()];
+        var fromSession = !requested && req.session && req.session.organization;
+        var organizationId = requested || fromSession;
+
+        if (!organizationId) {
+            return next();
+        }
+
+        var organization = findOrganization(req.user, organizationId);
+
+        if (organization) {
+            req.user = getActingUser(req.user, organization);
+            next();
+
+        } else if (fromSession) {
+            utils.log(logger, 'info', req, 'The user is no longer a member of ' + organizationId);
+            delete req.session.organization;
+            next();
+
+        } else {
+            errors.send(res, errors.create('ORGANIZATION_NOT_MEMBER', { organization: organizationId }));
+        }
+    };
+
+    var serialize = function(req) {
+
+        var user = req.user.member || req.user;
+
+        return {
+            active: req.user.member ? req.user.id : null,
+            organizations: (user.organizations || []).map(function(organization) {
+                return {
+                    id: organization.id,
+                    name: organization.name,
+                    roles: (organization.roles || []).map(function(role) {
+                        return typeof(role) === 'string' ? role : role.name;
+                    })
+                };
+            })
+        };
+    };
+
+    /**
+     * Returns the organizations of the user and the active one.
+     */
+    var list = function(req, res) {
+        res.status(200).json(serialize(req));
+    };
+
+    /**
+     * Selects the active organization of the session ({ "organization": "<id>" }), or acts as the
+     * user again ({ "organization": null }).
+     */
+    var activate = function(req, res) {
+
+        var body;
+
+        try {
+            body = JSON.parse(req.body.toString());
+        } catch (e) {
+            return errors.send(res, errors.create('INVALID_JSON'));
+        }
+
+        if (!body || typeof(body) !== 'object' || (body.organization !== null && typeof(body.organization) !== 'string')) {
+            return errors.send(res, errors.create('ORGANIZATION_INVALID'));
+        }
+
+        var user = req.user.member || req.user;
+
+        if (body.organization === null) {
+            delete req.session.organization;
+            req.user = user;
+
+        } else {
+
+            var organization = findOrganization(user, body.organization);
+
+            if (!organization) {
+                return errors.send(res, errors.create('ORGANIZATION_NOT_MEMBER', { organization: body.organization }));
+            }
+
+            req.session.organization = organization.id;
+            req.user = getActingUser(user, organization);
+        }
+
+        utils.log(logger, 'info', req, 'Active organization: ' + (body.organization || 'none'));
+        list(req, res);
+    };
+
+    return {
+        isEnabled: isEnabled,
+        getActingUser: getActingUser,
+        setActiveParty: setActiveParty,
+        list: list,
+        activate: activate
+    };
+
+})();
+
+exports.organizations = organizations;
@@ -0,0 +1,330 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    base64url = require('base64url'),
+    config = require('./../config'),
+    url = require('url');
+
+/**
+ * Pagination of the collections whose items are filtered by the proxy once they have been returned
+ * by the APIs. Paginating them upstream would return short or empty pages, so the proxy reads the
+ * collection in batches, filters every batch and builds the requested page.
+ *
+ * Clients paginate with `offset` and `limit` (`size` is also accepted), or with the cursors included
+ * in the `next` links. A cursor points to a position of the upstream collection, so the following
+ * pages do not change when the items before them are filtered differently.
+ */
+var pagination = (function() {
+
+    // Parameters the clients paginate with. They are not forwarded to the APIs
+    var PAGINATION_PARAMS = ['offset', 'limit', 'size', 'cursor'];
+
+    var DEFAULT_BATCH_SIZE = 100;
+    var DEFAULT_MAX_LIMIT = 1000;
+    var DEFAULT_MAX_SCANNED_ITEMS = 10000;
+
+    var getPaginationConfig = function() {
+        return config.pagination || {};
+    };
+
+    var getBatchSize = function() {
+        return getPaginationConfig().batchSize || DEFAULT_BATCH_SIZE;
+    };
+
+    var getMaxLimit = function() {
+        return getPaginationConfig().maxLimit || DEFAULT_MAX_LIMIT;
+    };
+
+    var getMaxScannedItems = function() {
+        return getPaginationConfig().maxScannedItems || DEFAULT_MAX_SCANNED_ITEMS;
+    };
+
+    var parseInteger = function(value, name, min, max) {
+
+        var number = Number(value);
+
+        if (typeof(value) !== 'string' || !/^\d+$/.test(value) || number < min || number > max) {
+            throw new Error('Invalid ' + name + ': it must be an integer between ' + min + ' and ' + max);
+        }
+
+        return number;
+    };
+
+    /**
+     * Encodes the position of the upstream collection where a page starts.
+     * @param {Object} position The upstream offset, the number of filtered items to skip from it and
+     * the number of filtered items before it
+     */
+    var encodeCursor = function(position) {
+        return base64url(JSON.stringify([position.upstreamOffset, position.skip, position.before]));
+    };
+
+    var decodeCursor = function(cursor) {
+
+        var values;
+
+        try {
+            values = JSON.parse(base64url.decode(cursor));
+        } catch (e) {
+            values = null;
+        }
+
+        var valid = Array.isArray(values) && values.length === 3 && values.every(function(value) {
+            return typeof(value) === 'number' && value >= 0 && Math.floor(value) === value;
+        });
+
+        if (!valid) {
+            throw new Error('Invalid cursor');
+        }
+
+        return {
+            upstreamOffset: values[0],
+            skip: values[1],
+            before: values[2]
+        };
+    };
+
+    /**
+     * Returns the page requested by a client, or null when the request is not paginated.
+     * @param {Object} req The request, including its apiUrl
+     * @returns {Object} The page: its limit, its offset (null for cursors) and its position
+     * @throws {Error} When the pagination parameters are not valid
+     */
+    var getPage = function(req) {
+
+        var query = url.parse(req.apiUrl, true).query;
+
+        var paginated = PAGINATION_PARAMS.some(function(param) {
+            return query[param] !== undefined;
+        });
+
+        if (!paginated) {
+            return null;
+        }
+
+        var limitParam = query.limit !== undefined ? query.limit : query.size;
+        var limit = limitParam !== undefined ? parseInteger(limitParam, 'limit', 1, getMaxLimit()) : getMaxLimit();
+
+        if (query.cursor !== undefined) {
+
+            if (query.offset !== undefined) {
+                throw new Error('Invalid cursor: offset cannot be used with a cursor');
+            }
+
+            return {
+                limit: limit,
+                offset: null,
+                position: decodeCursor(query.cursor)
+            };
+        }
+
+        var offset = query.offset !== undefined ? parseInteger(query.offset, 'offset', 0, Infinity) : 0;
+
+        return {
+            limit: limit,
+            offset: offset,
+            position: {
+                upstreamOffset: 0,
+                skip: offset,
+                before: 0
+            }
+        };
+    };
+
+    var removePaginationParams = function(apiUrl) {
+
+        var parsedUrl = url.parse(apiUrl, true);
+
+        PAGINATION_PARAMS.forEach(function(param) {
+            delete parsedUrl.query[param];
+        });
+
+        delete parsedUrl.search;
+        return parsedUrl;
+    };
+
+    /**
+     * Returns the URL to request a batch of items of the collection to the API.
+     * @param {String} apiUrl The URL requested by the client
+     * @param {Number} offset The upstream offset of the batch
+     * @param {Number} size The number of items of the batch
+     */
+    var getBatchUrl = function(apiUrl, offset, size) {
+
+        var batchUrl = removePaginationParams(apiUrl);
+
+        batchUrl.query.offset = offset;
+        batchUrl.query.size = size;
+
+        return url.format(batchUrl);
+    };
+
+    /**
+     * Reads the collection in batches from the position of the page, until the end of the collection or
+     * until config.pagination.maxScannedItems items have been read.
+     * @param {Object} page The page, as returned by getPage
+     * @param {Function} fetchBatch Called with the upstream offset and size of every batch, and a
+     * callback to be called with the error and the items of the batch
+     * @param {Function} filterBatch Called with the items of every batch and a callback to be called
+     * with the error and the items that can be returned
+     * @param {Function} callback Called with the error and the result: the items of the page, the
+     * total (null when the collection has not been read completely) and the position of the next page
+     */
+    var collect = function(page, fetchBatch, filterBatch, callback) {
+
+        var batchSize = getBatchSize();
+        var maxScannedItems = getMaxScannedItems();
+
+        var items = [];
+        var total = page.position.before;
+        var upstreamOffset = page.position.upstreamOffset;
+        var toSkip = page.position.skip;
+        var scanned = 0;
+        var finished = false;
+
+        // The position after the last item of the page, which is only returned if there are more items
+        var next = null;
+        var hasMore = false;
+
+        async.whilst(function() {
+            return !finished;
+        }, function(iterationCallback) {
+
+            var batchOffset = upstreamOffset;
+
+            fetchBatch(batchOffset, batchSize, function(err, batch) {
+
+                if (err) {
+                    return iterationCallback(err);
+                }
+
+                filterBatch(batch, function(err, filtered) {
+
+                    if (err) {
+                        return iterationCallback(err);
+                    }
+
+                    var totalBefore = total;
+                    var skipped = Math.min(toSkip, filtered.length);
+                    var taken = filtered.slice(skipped, skipped + page.limit - items.length);
+
+                    toSkip -= skipped;
+                    total += filtered.length;
+
+                    if (next && filtered.length) {
+                        hasMore = true;
+                    }
+
+                    if (!next && taken.length && items.length + taken.length === page.limit) {
+                        next = {
+                            upstreamOffset: batchOffset,
+                            skip: skipped + taken.length,
+                            before: totalBefore
+                        };
+
+                        hasMore = skipped + taken.length < filtered.length;
+                    }
+
+                    items = items.concat(taken);
+                    scanned += batch.length;
+                    upstreamOffset += batch.length;
+
+                    if (batch.length < batchSize) {
+                        finished = true;
+                    } else if (scanned >= maxScannedItems) {
+                        // The total is unknown, so the next page is returned in case there are more items
+                        finished = true;
+                        total = null;
+                        next = next || { upstreamOffset: upstreamOffset, skip: toSkip, before: totalBefore + filtered.length };
+                        hasMore = true;
+                    }
+
+                    iterationCallback(null);
+                });
+            });
+
+        }, function(err) {
+
+            if (err) {
+                callback(err);
+            } else {
+                callback(null, {
+                    items: items,
+                    total: total,
+                    next: hasMore ? next : null
+                });
+            }
+        });
+    };
+
+    var buildLink = function(path, apiUrl, params, rel) {
+
+        var linkUrl = removePaginationParams(apiUrl);
+
+        for (var param in params) {
+            linkUrl.query[param] = params[param];
+        }
+
+        linkUrl.pathname = path;
+        return '<' + url.format(linkUrl) + '>; rel="' + rel + '"';
+    };
+
+    /**
+     * Returns the X-Total-Count and Link headers of a page.
+     * @param {Object} req The request, including its apiUrl
+     * @param {Object} page The page, as returned by getPage
+     * @param {Object} result The result returned by collect
+     */
+    var getHeaders = function(req, page, result) {
+
+        var path = (config.proxyPrefix || '') + url.parse(req.apiUrl).pathname;
+        var links = [buildLink(path, req.apiUrl, { offset: 0, limit: page.limit }, 'first')];
+        var headers = {};
+
+        if (page.offset) {
+            links.push(buildLink(path, req.apiUrl, {
+                offset: Math.max(page.offset - page.limit, 0),
+                limit: page.limit
+            }, 'prev'));
+        }
+
+        if (result.next) {
+            links.push(buildLink(path, req.apiUrl, { cursor: encodeCursor(result.next), limit: page.limit }, 'next'));
+        }
+
+        if (result.total !== null) {
+            headers['X-Total-Count'] = String(result.total);
+        }
+
+        headers['Link'] = links.join(', ');
+
+        return headers;
+    };
+
+    return {
+        getPage: getPage,
+        getBatchUrl: getBatchUrl,
+        collect: collect,
+        getHeaders: getHeaders
+    };
+
+})();
+
+exports.pagination = pagination;
@@ -0,0 +1,357 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    config = require('./../config'),
+    errors = require('./errors').errors,
+    logger = require('./logger').logger.getLogger('Plugins'),
+    path = require('path'),
+    upstream = require('./upstream').upstream,
+    url = require('url'),
+    utils = require('./utils');
+
+/**
+ * Plugins are modules that export a function receiving the registration API of the proxy and the
+ * options given in config.plugins:
+ *
+ *     module.exports = function(proxy, options) {
+ *         proxy.addPreValidator('catalog', 'POST', '/productOffering/?$', function(context, callback) {
+ *             ...
+ *         });
+ *     };
+ *
+ * Validators receive a context with the information of the request and call the callback with an
+ * error ({ status, message, code }) to reject it. The code is one of the codes of lib/errors.js, or
+ * ERROR when it is not given.
+ */
+var plugins = (function() {
+
+    var ANY_METHOD = '*';
+
+    // Controllers of the APIs defined by plugins, indexed by the path of the API
+    var controllers = {};
+
+    // Validators added to the APIs: { api, method, pattern, validate, plugin }
+    var preValidators = [];
+    var postValidators = [];
+
+    var getAPIPath = function(endpointName) {
+
+        var endpoint = config.endpoints[endpointName];
+
+        if (!endpoint) {
+            throw new Error('Unknown endpoint: ' + endpointName);
+        }
+
+        return endpoint.path;
+    };
+
+    var getAPIName = function(apiUrl) {
+        return apiUrl.split('/')[1];
+    };
+
+    var parseBody = function(body) {
+
+        if (body === undefined || body === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Creates the object given to the validators of a plugin. In post validations, the request is the
+     * result of the upstream API, so the status, headers and body are the ones of the response.
+     * @param {Object} req The request being validated
+     * @param {String} pluginName The name of the plugin, included in its log messages
+     */
+    var createContext = function(req, pluginName) {
+
+        var parsedUrl = url.parse(req.apiUrl, true);
+
+        var log = function(level) {
+            return function(message) {
+                utils.log(logger, level, req, '[' + pluginName + '] ' + message);
+            };
+        };
+
+        var context = {
+            id: req.id,
+            method: req.method,
+            apiUrl: req.apiUrl,
+            path: parsedUrl.pathname,
+            query: parsedUrl.query,
+            headers: req.headers,
+            user: req.user || null,
+            status: req.status,
+            body: parseBody(req.body),
+
+            /**
+             * Replaces the body of the request (or of the response in post validations).
+             * @param {Object} body The new body
+             */
+            setBody: function(body) {
+                utils.updateBody(req, body);
+                context.body = body;
+            },
+
+            hasRole: function(roleName) {
+                return utils.hasRole(req.user, roleName);
+            },
+
+            logger: {
+                debug: log('debug'),
+                info: log('info'),
+                warn: log('warn'),
+                error: log('error')
+            },
+
+            upstream: {
+                /**
+                 * Makes a request to one of the configured endpoints on behalf of the request.
+                 * @param {String} endpointName The name of the endpoint in config.endpoints
+                 * @param {Object|String} options The options of the request module or the path of the resource
+                 * @param {Function} callback Called with the error, the response and the body
+                 */
+                request: function(endpointName, options, callback) {
+
+                    var requestOptions = {};
+
+                    if (typeof(options) === 'string') {
+                        requestOptions.url = options;
+                    } else {
+                        for (var key in options) {
+                            requestOptions[key] = options[key];
+                        }
+                    }
+
+                    requestOptions.context = req;
+                    return upstream.request(endpointName, requestOptions, callback);
+                }
+            }
+        };
+
+        return context;
+    };
+
+    var runValidators = function(validators, req, callback) {
+        async.eachSeries(validators, function(validator, validatorCallback) {
+            validator.validate(createContext(req, validator.plugin), validatorCallback);
+        }, function(err) {
+            callback(err || null);
+        });
+    };
+
+    var matches = function(validator, api, req) {
+        return validator.api === api && (validator.method === ANY_METHOD || validator.method === req.method) &&
+            validator.pattern.test(url.parse(req.apiUrl).pathname);
+    };
+
+    var getValidators = function(validators, api, req) {
+        return validators.filter(function(validator) {
+            return matches(validator, api, req);
+        });
+    };
+
+    /**
+     * Builds the controller of an API defined by a plugin from its validators by method. Requests
+     * with methods without validators are rejected.
+     */
+    var createController = function(pluginName, definition) {
+
+        var toValidators = function(validateFunctions) {
+            return (validateFunctions || []).map(function(validate) {
+                return { validate: validate, plugin: pluginName };
+            });
+        };
+
+        var postValidators = definition.postValidators || {};
+
+        return {
+            checkPermissions: function(req, callback) {
+
+                var validators = (definition.validators || {})[req.method];
+
+                if (!validators) {
+                    callback(errors.create('API_METHOD_NOT_ALLOWED'));
+                } else {
+                    runValidators(toValidators(validators), req, callback);
+                }
+            },
+
+            requiresRequestBody: function(req) {
+                return definition.requiresRequestBody !== false;
+            },
+
+            requiresPostValidation: function(req) {
+                return !!postValidators[req.method];
+            },
+
+            executePostValidation: function(req, callback) {
+                runValidators(toValidators(postValidators[req.method]), req, callback);
+            },
+
+            validators: definition.validators || {}
+        };
+    };
+
+    var createRegistrationAPI = function(pluginName, options) {
+
+        var addValidator = function(validators, endpointName, method, pattern, validate) {
+            validators.push({
+                api: getAPIPath(endpointName),
+                method: method.toUpperCase(),
+                pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern),
+                validate: validate,
+                plugin: pluginName
+            });
+        };
+
+        return {
+            name: pluginName,
+            options: options || {},
+
+            /**
+             * Defines the controller of an API which is not bundled with the proxy. The endpoint of the
+             * API must be included in config.endpoints.
+             * @param {String} endpointName The name of the endpoint in config.endpoints
+             * @param {Object} definition The validators by method (`validators`), the post validators by
+             * method (`postValidators`) and whether the validators read the body (`requiresRequestBody`)
+             */
+            registerController: function(endpointName, definition) {
+
+                var api = getAPIPath(endpointName);
+
+                if (controllers[api]) {
+                    throw new Error('The controller of the ' + endpointName + ' API is already defined');
+                }
+
+                controllers[api] = createController(pluginName, definition);
+            },
+
+            /**
+             * Adds a validator executed before the request is sent to the API, once the validators of
+             * its controller have accepted it.
+             * @param {String} endpointName The name of the endpoint in config.endpoints
+             * @param {String} method The method of the requests to validate, or * for all of them
+             * @param {RegExp|String} pattern Pattern of the paths of the requests to validate
+             * @param {Function} validate The validator, called with the context and a callback
+             */
+            addPreValidator: function(endpointName, method, pattern, validate) {
+                addValidator(preValidators, endpointName, method, pattern, validate);
+            },
+
+            /**
+             * Adds a validator executed with the response of the API, once the post validation of
+             * its controller has finished.
+             * @param {String} endpointName The name of the endpoint in config.endpoints
+             * @param {String} method The method of the requests to validate, or * for all of them
+             * @param {RegExp|String} pattern Pattern of the paths of the requests to validate
+             * @param {Function} validate The validator, called with the context and a callback
+             */
+            addPostValidator: function(endpointName, method, pattern, validate) {
+                addValidator(postValidators, endpointName, method, pattern, validate);
+            }
+        };
+    };
+
+    /**
+     * Registers a plugin.
+     * @param {String} pluginName The name of the plugin
+     * @param {Function} plugin The function exported by the plugin
+     * @param {Object=} options The options of the plugin
+     */
+    var register = function(pluginName, plugin, options) {
+
+        if (typeof(plugin) !== 'function') {
+            throw new Error('The plugin ' + pluginName + ' does not export a function');
+        }
+
+        plugin(createRegistrationAPI(pluginName, options), options || {});
+        logger.info('Plugin ' + pluginName + ' loaded');
+    };
+
+    /**
+     * Loads the plugins listed in config.plugins. Every entry is the module of the plugin (a package
+     * name or a path relative to the root of the proxy) or an object with the module and its options.
+     */
+    var load = function() {
+
+        (config.plugins || []).forEach(function(entry) {
+
+            var moduleName = typeof(entry) === 'string' ? entry : entry.module;
+            var options = typeof(entry) === 'string' ? {} : entry.options;
+            var modulePath = moduleName[0] === '.' ? path.resolve(__dirname, '..', moduleName) : moduleName;
+
+            register(moduleName, require(modulePath), options);
+        });
+    };
+
+    /**
+     * Returns the controller defined by plugins for an API.
+     * @param {String} api The path of the API
+     */
+    var getController = function(api) {
+        return controllers[api];
+    };
+
+    /**
+     * Runs the validators added by plugins that match a request.
+     * @param {Object} req The request, including its apiUrl
+     * @param {Function} callback Called with the error of the validator that rejected the request
+     */
+    var preValidate = function(req, callback) {
+        runValidators(getValidators(preValidators, getAPIName(req.apiUrl), req), req, callback);
+    };
+
+    /**
+     * Runs the post validators added by plugins that match a request.
+     * @param {Object} req The result of the request
+     * @param {Function} callback Called with the error of the validator that rejected the response
+     */
+    var postValidate = function(req, callback) {
+        runValidators(getValidators(postValidators, getAPIName(req.apiUrl), req), req, callback);
+    };
+
+    // Bodies are parsed when any validator is going to read them
+    var requiresRequestBody = function(req) {
+        return getValidators(preValidators, getAPIName(req.apiUrl), req).length > 0;
+    };
+
+    var requiresPostValidation = function(req) {
+        return getValidators(postValidators, getAPIName(req.apiUrl), req).length > 0;
+    };
+
+    return {
+        load: load,
+        register: register,
+        getController: getController,
+        preValidate: preValidate,
+        postValidate: postValidate,
+        requiresRequestBody: requiresRequestBody,
+        requiresPostValidation: requiresPostValidation
+    };
+
+})();
+
+exports.plugins = plugins;
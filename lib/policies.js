@@ -0,0 +1,585 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    errors = require('./errors').errors,
+    fs = require('fs'),
+    logger = require('./logger').logger.getLogger('Policies'),
+    path = require('path'),
+    tmfUtils = require('./tmfUtils'),
+    upstream = require('./upstream').upstream,
+    url = require('url'),
+    utils = require('./utils');
+
+/**
+ * Evaluates the access policies defined in the files of config.policies against the requests made
+ * to the TMF APIs. Every policy file contains a list of rules:
+ *
+ *     {
+ *         "id": "catalog-create-seller",
+ *         "description": "Only sellers create resources",
+ *         "api": "catalog",
+ *         "methods": ["POST"],
+ *         "path": "/productOffering/?$",
+ *         "effect": "deny",
+ *         "condition": { "not": { "role": "seller" } },
+ *         "status": 403,
+ *         "code": "CATALOG_CREATION_FORBIDDEN",
+ *         "message": "You are not authorized to create resources"
+ *     }
+ *
+ * Rules are evaluated in order and the first rule whose condition holds decides whether the request
+ * is allowed. Requests are allowed when no rule applies, unless config.policies.defaultEffect is
+ * `deny`. Policies can only add restrictions: the requests they allow are still checked by the
+ * validators of the APIs, so an `allow` rule only skips the rules that follow it. Conditions can be combined with `all`, `any` and `not`, and check:
+ *
+ *  - authenticated: Whether the request is made by a logged in user
+ *  - role: Whether the user has a role. Names in config.oauth2.roles are replaced by their values
+ *  - partyRole: Whether the user is included with a role in the relatedParty field of the body of
+ *    the request (`"source": "body"`, default) or of the accessed resource (`"source": "resource"`)
+ *  - field: Whether a field of the body or the resource `exists`, `equals` a value, is `in` a list of
+ *    values or `matches` a pattern. Fields of the elements of lists are given as `orderItem[].state`,
+ *    and all of them must meet the condition. Strings are compared ignoring the case
+ *  - config: Whether a setting of the proxy is enabled
+ *
+ * The code of the error returned when a rule denies a request is one of the codes of lib/errors.js
+ * (ACCESS_DENIED by default).
+ *
+ * The conditions on the body or the resource are unknown when it cannot be read, and the rules
+ * whose condition is unknown do not apply.
+ */
+var policies = (function() {
+
+    var EFFECTS = ['allow', 'deny'];
+    var SOURCES = ['body', 'resource'];
+    var OPERATORS = ['exists', 'equals', 'in', 'matches'];
+    var CONDITIONS = ['all', 'any', 'not', 'authenticated', 'role', 'partyRole', 'field', 'config'];
+
+    // Keys that may be included along with the main key of a condition
+    var MODIFIERS = ['source'].concat(OPERATORS);
+
+    var rules = [];
+
+    var getPoliciesConfig = function() {
+        return config.policies || {};
+    };
+
+    var getAPIName = function(apiUrl) {
+        return apiUrl.split('/')[1];
+    };
+
+    var toArray = function(value) {
+        return Array.isArray(value) ? value : [value];
+    };
+
+    var normalize = function(value) {
+        return typeof(value) === 'string' ? value.toLowerCase() : value;
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// VALIDATION /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var getConditionType = function(condition) {
+        return Object.keys(condition).filter(function(key) {
+            return CONDITIONS.indexOf(key) >= 0;
+        });
+    };
+
+    var validateCondition = function(condition, ruleId) {
+
+        var fail = function(message) {
+            throw new Error('Invalid condition in rule ' + ruleId + ': ' + message);
+        };
+
+        if (typeof(condition) !== 'object' || condition === null || Array.isArray(condition)) {
+            fail('conditions must be objects');
+        }
+
+        var types = getConditionType(condition);
+
+        if (types.length > 1) {
+            fail('only one of ' + types.join(', ') + ' can be included');
+        }
+
+        Object.keys(condition).forEach(function(key) {
+            if (CONDITIONS.indexOf(key) < 0 && MODIFIERS.indexOf(key) < 0) {
+                fail('unknown key ' + key);
+            }
+        });
+
+        if (condition.source !== undefined && SOURCES.indexOf(condition.source) < 0) {
+            fail('the source must be one of ' + SOURCES.join(', '));
+        }
+
+        var type = types[0];
+
+        if (type === 'all' || type === 'any') {
+
+            if (!Array.isArray(condition[type])) {
+                fail(type + ' must be a list of conditions');
+            }
+
+            condition[type].forEach(function(subcondition) {
+                validateCondition(subcondition, ruleId);
+            });
+
+        } else if (type === 'not') {
+            validateCondition(condition.not, ruleId);
+
+        } else if (type === 'field') {
+
+            var operators = OPERATORS.filter(function(operator) {
+                return operator in condition;
+            });
+
+            if (operators.length !== 1) {
+                fail('field conditions must include one of ' + OPERATORS.join(', '));
+            }
+
+            if ('in' in condition && !Array.isArray(condition.in)) {
+                fail('in must be a list of values');
+            }
+
+            if ('matches' in condition) {
+                new RegExp(condition.matches);
+            }
+        }
+    };
+
+    /**
+     * Checks that the rules of a policy are well formed. Paths are compiled into regular expressions.
+     * @param {Array} policyRules The rules of the policy
+     * @param {String} source The file of the policy, included in the errors
+     * @returns {Array} The validated rules
+     */
+    var validateRules = function(policyRules, source) {
+
+        if (!Array.isArray(policyRules)) {
+            throw new Error('The policy ' + source + ' must contain a list of rules');
+        }
+
+        return policyRules.map(function(rule, index) {
+
+            var ruleId = rule.id || source + '#' + index;
+
+            if (EFFECTS.indexOf(rule.effect) < 0) {
+                throw new Error('The effect of the rule ' + ruleId + ' must be one of ' + EFFECTS.join(', '));
+            }
+
+            if (rule.api && !config.endpoints[rule.api]) {
+                throw new Error('Unknown endpoint in rule ' + ruleId + ': ' + rule.api);
+            }
+
+            if (rule.code && !errors.exists(rule.code)) {
+                throw new Error('Unknown error code in rule ' + ruleId + ': ' + rule.code);
+            }
+
+            validateCondition(rule.condition || {}, ruleId);
+
+            return {
+                id: ruleId,
+                description: rule.description,
+                api: rule.api,
+                methods: rule.methods ? toArray(rule.methods).map(function(method) {
+                    return method.toUpperCase();
+                }) : null,
+                path: rule.path ? new RegExp(rule.path) : null,
+                effect: rule.effect,
+                condition: rule.condition || {},
+                status: rule.status || (rule.effect === 'deny' ? 403 : undefined),
+                code: rule.code,
+                message: rule.message
+            };
+        });
+    };
+
+    /**
+     * Reads the rules of the given policy files, which are evaluated in the order of the files.
+     * @param {Array.<String>} files The paths of the policy files, relative to the root of the proxy
+     * @returns {Array} The rules of the policies
+     */
+    var readRules = function(files) {
+        return files.reduce(function(allRules, file) {
+
+            var filePath = path.resolve(__dirname, '..', file);
+            var content;
+
+            try {
+                content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (e) {
+                throw new Error('The policy ' + file + ' cannot be read: ' + e.message);
+            }
+
+            return allRules.concat(validateRules(content, file));
+        }, []);
+    };
+
+    /**
+     * Loads the policy files listed in config.policies.
+     */
+    var load = function() {
+
+        var policiesConfig = getPoliciesConfig();
+
+        rules = policiesConfig.enabled ? readRules(policiesConfig.files || []) : [];
+
+        if (policiesConfig.enabled) {
+            logger.info('%d access rules loaded', rules.length);
+        }
+    };
+
+    //////////////////////////////////////////////////////////////////////////////////////////////
+    ///////////////////////////////////////// EVALUATION /////////////////////////////////////////
+    //////////////////////////////////////////////////////////////////////////////////////////////
+
+    var appliesTo = function(rule, req) {
+
+        var pathname = url.parse(req.apiUrl).pathname;
+
+        return (!rule.api || config.endpoints[rule.api].path === getAPIName(req.apiUrl)) &&
+            (!rule.methods || rule.methods.indexOf(req.method.toUpperCase()) >= 0) &&
+            (!rule.path || rule.path.test(pathname));
+    };
+
+    var getRules = function(ruleList, req) {
+        return ruleList.filter(function(rule) {
+            return appliesTo(rule, req);
+        });
+    };
+
+    var usesSource = function(condition, source) {
+
+        var type = getConditionType(condition)[0];
+
+        if (type === 'all' || type === 'any') {
+            return condition[type].some(function(subcondition) {
+                return usesSource(subcondition, source);
+            });
+        } else if (type === 'not') {
+            return usesSource(condition.not, source);
+        } else {
+            return (type === 'partyRole' || type === 'field') && (condition.source || 'body') === source;
+        }
+    };
+
+    var anyRuleUses = function(req, source) {
+        return getRules(rules, req).some(function(rule) {
+            return usesSource(rule.condition, source);
+        });
+    };
+
+    var getRoleName = function(role) {
+        return (config.oauth2.roles || {})[role] || role;
+    };
+
+    // Values of a field. Lists are traversed with [], e.g. orderItem[].state
+    var getValues = function(document, fieldPath) {
+
+        return fieldPath.split('.').reduce(function(values, part) {
+
+            var isList = part.slice(-2) === '[]';
+            var name = isList ? part.slice(0, -2) : part;
+
+            return values.reduce(function(result, value) {
+
+                var fieldValue = value !== null && typeof(value) === 'object' ? value[name] : undefined;
+
+                if (fieldValue === undefined) {
+                    return result;
+                }
+
+                return result.concat(isList ? toArray(fieldValue) : [fieldValue]);
+            }, []);
+        }, [document]);
+    };
+
+    var getConfigValue = function(key) {
+        return key.split('.').reduce(function(value, part) {
+            return value !== null && typeof(value) === 'object' ? value[part] : undefined;
+        }, config);
+    };
+
+    var checkValues = function(values, condition) {
+
+        if ('exists' in condition) {
+            return (values.length > 0) === !!condition.exists;
+        }
+
+        var check;
+
+        if ('equals' in condition) {
+            check = function(value) {
+                return normalize(value) === normalize(condition.equals);
+            };
+        } else if ('in' in condition) {
+            var allowed = condition.in.map(normalize);
+            check = function(value) {
+                return allowed.indexOf(normalize(value)) >= 0;
+            };
+        } else {
+            var pattern = new RegExp(condition.matches, 'i');
+            check = function(value) {
+                return pattern.test(String(value));
+            };
+        }
+
+        return values.length > 0 && values.every(check);
+    };
+
+    var describeOperator = function(condition) {
+
+        if ('exists' in condition) {
+            return condition.exists ? 'exists' : 'does not exist';
+        } else if ('equals' in condition) {
+            return 'equals ' + JSON.stringify(condition.equals);
+        } else if ('in' in condition) {
+            return 'is in ' + JSON.stringify(condition.in);
+        } else {
+            return 'matches ' + condition.matches;
+        }
+    };
+
+    /**
+     * Evaluates a condition. The result is true, false or null when the condition cannot be
+     * evaluated, along with the reason of the result.
+     * @param {Object} condition The condition
+     * @param {Object} input The request, its parsed body and the accessed resource
+     */
+    var evaluateCondition = function(condition, input) {
+
+        var type = getConditionType(condition)[0];
+        var req = input.req;
+        var source = condition.source || 'body';
+        var document = input[source];
+
+        var result = function(value, reason) {
+            return { result: value, reason: reason };
+        };
+
+        if (!type) {
+            return result(true, 'the rule has no condition');
+
+        } else if (type === 'all' || type === 'any') {
+
+            var results = condition[type].map(function(subcondition) {
+                return evaluateCondition(subcondition, input);
+            });
+
+            // The first result that decides the combination explains it
+            var decisive = type === 'all' ? false : true;
+
+            var found = results.filter(function(subresult) {
+                return subresult.result === decisive;
+            })[0] || results.filter(function(subresult) {
+                return subresult.result === null;
+            })[0];
+
+            if (found) {
+                return found;
+            }
+
+            return result(!decisive, results.map(function(subresult) {
+                return subresult.reason;
+            }).join(type === 'all' ? ' and ' : ' or '));
+
+        } else if (type === 'not') {
+
+            var negated = evaluateCondition(condition.not, input);
+            return result(negated.result === null ? null : !negated.result, negated.reason);
+
+        } else if (type === 'authenticated') {
+
+            var authenticated = !!req.user;
+            return result(authenticated === !!condition.authenticated,
+                authenticated ? 'the user is authenticated' : 'the user is not authenticated');
+
+        } else if (type === 'role') {
+
+            var roleName = getRoleName(condition.role);
+            var hasRole = utils.hasRole(req.user, roleName);
+
+            return result(hasRole, 'the user ' + (hasRole ? 'has' : 'does not have') + ' the role ' + roleName);
+
+        } else if (document === null || document === undefined) {
+            return result(null, 'the ' + source + ' cannot be read');
+
+        } else if (type === 'partyRole') {
+
+            var parties = document.relatedParty ? toArray(document.relatedParty) : [];
+            var isParty = tmfUtils.hasPartyRole(req, parties, condition.partyRole);
+
+            return result(isParty, 'the user is ' + (isParty ? '' : 'not ') + condition.partyRole +
+                ' of the ' + source);
+
+        } else if (type === 'field') {
+
+            var values = getValues(document, condition.field);
+            var matches = checkValues(values, condition);
+
+            return result(matches, 'the field ' + condition.field + ' of the ' + source + ' ' +
+                (matches ? '' : 'does not meet: ') + describeOperator(condition));
+
+        } else {
+
+            var enabled = !!getConfigValue(condition.config);
+            return result(enabled, 'the setting ' + condition.config + ' is ' + (enabled ? 'enabled' : 'disabled'));
+        }
+    };
+
+    var parseBody = function(body) {
+
+        if (typeof(body) !== 'string') {
+            return body !== undefined ? body : null;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Decides whether a request is allowed by a list of rules. The decision includes the rule that
+     * made it and the explanation of every rule that applies to the request.
+     * @param {Array} ruleList The rules, as returned by readRules
+     * @param {Object} req The request, including its apiUrl
+     * @param {Object=} resource The resource accessed by the request, if it has been retrieved
+     * @returns {Object} The decision: allowed, effect, rule, status, code, message and explanation
+     */
+    var decide = function(ruleList, req, resource) {
+
+        var input = {
+            req: req,
+            body: parseBody(req.body),
+            resource: resource || null
+        };
+
+        var explanation = [];
+        var decidingRule = null;
+
+        getRules(ruleList, req).some(function(rule) {
+
+            var evaluation = evaluateCondition(rule.condition, input);
+
+            explanation.push({
+                rule: rule.id,
+                effect: rule.effect,
+                result: evaluation.result,
+                reason: evaluation.reason
+            });
+
+            if (evaluation.result === true) {
+                decidingRule = rule;
+            }
+
+            return decidingRule !== null;
+        });
+
+        var effect = decidingRule ? decidingRule.effect : getPoliciesConfig().defaultEffect || 'allow';
+
+        var decision = {
+            allowed: effect === 'allow',
+            effect: effect,
+            rule: decidingRule ? decidingRule.id : null,
+            explanation: explanation
+        };
+
+        if (!decision.allowed) {
+            decision.status = decidingRule ? decidingRule.status : 403;
+            decision.code = decidingRule && decidingRule.code ? decidingRule.code : 'ACCESS_DENIED';
+            decision.message = decidingRule && decidingRule.message ?
+                decidingRule.message.replace(/\{method\}/g, req.method) : 'Access denied by the access policies';
+        }
+
+        return decision;
+    };
+
+    /**
+     * Returns a summary of a decision to be logged.
+     * @param {Object} decision The decision returned by decide
+     */
+    var describe = function(decision) {
+
+        if (!decision.rule) {
+            return decision.effect + ' (no rule applies)';
+        }
+
+        var deciding = decision.explanation[decision.explanation.length - 1];
+        return decision.effect + ' by rule ' + decision.rule + ' (' + deciding.reason + ')';
+    };
+
+    // The resource is only retrieved when any of the rules checks it
+    var retrieveResource = function(req, callback) {
+
+        if (!anyRuleUses(req, 'resource')) {
+            return callback(null);
+        }
+
+        var endpoint = upstream.getEndpointName(getAPIName(req.apiUrl));
+        var resourcePath = url.parse(req.apiUrl).pathname;
+
+        upstream.request(endpoint, { url: resourcePath, context: req }, function(err, response, body) {
+
+            if (err || response.statusCode >= 400) {
+                return callback(null);
+            }
+
+            callback(parseBody(body));
+        });
+    };
+
+    /**
+     * Decides whether a request is allowed by the loaded policies.
+     * @param {Object} req The request, including its apiUrl
+     * @param {Function} callback Called with the decision
+     */
+    var evaluate = function(req, callback) {
+
+        if (!getPoliciesConfig().enabled) {
+            return callback({ allowed: true, effect: 'allow', rule: null, explanation: [] });
+        }
+
+        retrieveResource(req, function(resource) {
+            callback(decide(rules, req, resource));
+        });
+    };
+
+    /**
+     * Checks whether the body of a request has to be read to evaluate the policies.
+     * @param {Object} req The request, including its apiUrl
+     */
+    var requiresRequestBody = function(req) {
+        return !!getPoliciesConfig().enabled && anyRuleUses(req, 'body');
+    };
+
+    return {
+        load: load,
+        readRules: readRules,
+        validateRules: validateRules,
+        decide: decide,
+        describe: describe,
+        evaluate: evaluate,
+        requiresRequestBody: requiresRequestBody
+    };
+
+})();
+
+exports.policies = policies;
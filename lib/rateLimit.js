@@ -0,0 +1,189 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    config = require('./../config'),
+    errors = require('./errors').errors,
+    keyValueStore = require('./keyValueStore'),
+    logger = require('./logger').logger.getLogger('RateLimit'),
+    utils = require('./utils');
+
+var rateLimiter = (function() {
+
+    var store = null;
+    var storeSettings = null;
+
+    var getRateLimitConfig = function() {
+        return config.rateLimit || {};
+    };
+
+    // The store is created again when its settings change on SIGHUP
+    var getStore = function() {
+
+        var rateLimitConfig = getRateLimitConfig();
+        var settings = [rateLimitConfig.store, rateLimitConfig.maxEntries].join('|');
+
+        if (!store || settings !== storeSettings) {
+            // Counters in use must not be discarded, so only the ones of past windows are removed
+            store = keyValueStore.createStore(rateLimitConfig.store, 'rateLimit', {
+                maxEntries: rateLimitConfig.maxEntries,
+                expireOnly: true
+            });
+            storeSettings = settings;
+        }
+
+        return store;
+    };
+
+    /**
+     * Returns the value that identifies the client making a request for the given type of identity.
+     * @param {Object} req The request
+     * @param {String} identity The type of identity: `user`, `apiKey` or `ip`
+     * @returns {String} The identity of the client, or null if the request does not include it
+     */
+    var getIdentity = function(req, identity) {
+
+        if (identity === 'user') {
+            return req.user ? req.user.id : null;
+
+        } else if (identity === 'apiKey') {
+            return req.headers['x-api-key'] || null;
+
+        } else if (identity === 'ip') {
+            // X-Forwarded-For is only used when the request comes from a proxy in config.trustProxy
+            return req.ip || null;
+
+        } else {
+            return null;
+        }
+    };
+
+    var appliesTo = function(rule, req) {
+
+        var api = req.apiUrl.split('/')[1];
+        var methods = (rule.methods || []).map(function(method) {
+            return method.toUpperCase();
+        });
+
+        return (!rule.api || rule.api === api) && (!methods.length || methods.indexOf(req.method) >= 0);
+    };
+
+    /**
+     * Counts a request in the current window of a rule.
+     * @param {Object} rule The rate limit rule
+     * @param {String} ruleId The identifier of the rule
+     * @param {String} identity The identity of the client making the request
+     * @param {Function} callback Called with the number of requests, the limit and the seconds
+     * until the window finishes
+     */
+    var consume = function(rule, ruleId, identity, callback) {
+
+        var windowMs = rule.window * 1000;
+        var now = Date.now();
+        var windowIndex = Math.floor(now / windowMs);
+        var ttl = (windowIndex + 1) * windowMs - now;
+        var key = [ruleId, identity, windowIndex].join('|');
+
+        getStore().increment(key, ttl, function(err, count) {
+            callback(err, {
+                count: count,
+                limit: rule.limit,
+                remaining: Math.max(rule.limit - count, 0),
+                reset: Math.ceil(ttl / 1000)
+            });
+        });
+    };
+
+    var setHeaders = function(res, usage) {
+        res.setHeader('RateLimit-Limit', usage.limit);
+        res.setHeader('RateLimit-Remaining', usage.remaining);
+        res.setHeader('RateLimit-Reset', usage.reset);
+    };
+
+    /**
+     * Middleware that rejects the requests of the clients that have exceeded any of the rules
+     * defined in config.rateLimit. The request must include the `apiUrl` field.
+     */
+    var limit = function(req, res, next) {
+
+        var rateLimitConfig = getRateLimitConfig();
+
+        if (!rateLimitConfig.enabled) {
+            return next();
+        }
+
+        var usages = [];
+        var rules = rateLimitConfig.rules || [];
+
+        async.forEachOf(rules, function(rule, index, callback) {
+
+            var identity = getIdentity(req, rule.identity);
+
+            if (!appliesTo(rule, req) || identity === null || identity === undefined) {
+                return callback();
+            }
+
+            consume(rule, rule.name || String(index), identity, function(err, usage) {
+
+                if (err) {
+                    // Requests are not blocked because of the failures of the store
+                    utils.log(logger, 'warn', req, 'Rate limit cannot be checked: ' + err.message);
+                } else {
+                    usages.push(usage);
+                }
+
+                callback();
+            });
+
+        }, function() {
+
+            if (!usages.length) {
+                return next();
+            }
+
+            var exceeded = usages.filter(function(usage) {
+                return usage.count > usage.limit;
+            });
+
+            // The headers refer to the most restrictive rule
+            var mostRestrictive = (exceeded.length ? exceeded : usages).sort(function(a, b) {
+                return a.remaining - b.remaining || b.reset - a.reset;
+            })[0];
+
+            setHeaders(res, mostRestrictive);
+
+            if (exceeded.length) {
+                utils.log(logger, 'warn', req, 'Rate limit exceeded');
+
+                var error = errors.create('TOO_MANY_REQUESTS');
+                error.retryAfter = mostRestrictive.reset;
+                errors.send(res, error);
+            } else {
+                next();
+            }
+        });
+    };
+
+    return {
+        limit: limit
+    };
+
+})();
+
+exports.rateLimiter = rateLimiter;
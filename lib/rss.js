@@ -18,12 +18,13 @@
  */
 
 var config = require('./../config'),
-    request = require('request'),
+    errors = require('./errors').errors,
+    upstream = require('./upstream').upstream,
     utils = require('./utils');
 
 var rssClient = (function() {
 
-    var createProvider = function(userInfo, callback) {
+    var createProvider = function(req, callback) {
         var headers = {
             'content-type': 'application/json',
             'X-Nick-Name': 'proxyAdmin',
@@ -31,40 +32,42 @@ var rssClient = (function() {
             'X-Email': 'proxy@email.com'
         };
 
-        var url = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.rss.port, config.endpoints.rss.path + '/rss/providers');
+        var path = '/' + config.endpoints.rss.path + '/rss/providers';
         var providerInfo = {
-            'providerId': userInfo.id,
-            'providerName': userInfo.displayName
+            'providerId': req.user.id,
+            'providerName': req.user.displayName
         };
 
         // Make the request
         var options = {
-            url: url,
+            url: path,
             method: 'POST',
             headers: headers,
-            body: JSON.stringify(providerInfo)
+            body: JSON.stringify(providerInfo),
+            context: req
         };
 
-        request(options, function(err, response) {
+        upstream.request('rss', options, function(err, response) {
             var resp = (err || (response.statusCode >= 400 && response.statusCode != 409)) ? {} : null;
             callback(resp);
         });
     };
 
-    var makeModelsRequest = function(userInfo, model, query, callback) {
+    var makeModelsRequest = function(req, model, query, callback) {
         var headers = {
             'content-type': 'application/json',
             'Accept': 'application/json'
         };
 
-        utils.attachUserHeaders(headers, userInfo);
+        utils.attachUserHeaders(headers, req.user);
 
-        var url = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.rss.port, config.endpoints.rss.path + '/rss/models' + query);
+        var path = '/' + config.endpoints.rss.path + '/rss/models' + query;
 
         var options = {
-            url: url,
+            url: path,
             method: 'GET',
-            headers: headers
+            headers: headers,
+            context: req
         };
 
         if (model) {
@@ -72,20 +75,26 @@ var rssClient = (function() {
             options.body = JSON.stringify(model);
         }
 
-        request(options, function(err, response, body) {
+        upstream.request('rss', options, function(err, response, body) {
             if (err || response.statusCode >= 400) {
                 var status = response ? response.statusCode : 504;
-                var message = 'An unexpected error prevented your default RS model to be created';
+                var message = null;
 
                 if (response && [400, 401, 403, 404].indexOf(response.statusCode) >= 0) {
                     var parsedResp = JSON.parse(body);
                     message = parsedResp['exceptionText'];
                 }
 
-                callback({
-                    status: status,
-                    message: message
-                });
+                // The status and the message given by the RSS are returned to the client
+                var error = errors.create('RSS_MODEL_NOT_CREATED', null, message);
+                error.status = status;
+
+                if (err && err.code === upstream.CIRCUIT_OPEN) {
+                    error.status = 503;
+                    error.retryAfter = err.retryAfter;
+                }
+
+                callback(error);
             } else {
                 callback(null, {
                     status: response.statusCode,
@@ -96,7 +105,7 @@ var rssClient = (function() {
         });
     };
 
-    var createDefaultModel = function(userInfo, callback) {
+    var createDefaultModel = function(req, callback) {
         var defaultModel = {
             'aggregatorValue': config.revenueModel,
             'ownerValue': (100 - config.revenueModel),
@@ -104,13 +113,13 @@ var rssClient = (function() {
             'productClass': 'defaultRevenue'
         };
 
-        makeModelsRequest(userInfo, defaultModel, '', callback);
+        makeModelsRequest(req, defaultModel, '', callback);
     };
 
-    var retrieveRSModel = function(userInfo, productClass, callback) {
-        var query = '?productClass=' + productClass + '&providerId=' + userInfo.id;
+    var retrieveRSModel = function(req, productClass, callback) {
+        var query = '?productClass=' + productClass + '&providerId=' + req.user.id;
 
-        makeModelsRequest(userInfo, null, query, callback);
+        makeModelsRequest(req, null, query, callback);
     };
 
     return {
@@ -0,0 +1,541 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var ServiceAccount = require('./../db/schemas/serviceAccount'),
+    config = require('./../config'),
+    crypto = require('crypto'),
+    errors = require('./errors').errors,
+    keyValueStore = require('./keyValueStore'),
+    logger = require('./logger').logger.getLogger('ServiceAccounts'),
+    querystring = require('querystring'),
+    upstream = require('./upstream').upstream,
+    utils = require('./utils'),
+    uuid = require('node-uuid');
+
+/**
+ * Service accounts are created by administrators for the systems that access the APIs on their own,
+ * such as a seller backend updating the state of its orders or a metering service ingesting usages.
+ * Every account acts as a party (an individual or an organization) and is granted a set of scopes.
+ *
+ * The credentials of the accounts are exchanged for short-lived proxy tokens (client credentials grant,
+ * POST <config.serviceAccounts.path>/token), which are accepted as any other access token but only
+ * allow the requests included in their scopes. Only the hashes of the secrets and tokens are stored.
+ * Scopes only refer to the APIs, so the other routes of the proxy do not accept these tokens.
+ */
+var serviceAccounts = (function() {
+
+    // APIs and methods allowed by every scope
+    var SCOPES = {
+        'catalog:read': { api: 'catalog', methods: ['GET'] },
+        'ordering:read': { api: 'ordering', methods: ['GET'] },
+        'ordering:status': { api: 'ordering', methods: ['GET', 'PATCH'] },
+        'inventory:read': { api: 'inventory', methods: ['GET'] },
+        'usage:write': { api: 'usage', methods: ['GET', 'POST'] }
+    };
+
+    var PARTY_TYPES = ['individual', 'organization'];
+
+    // Tokens include the client ID, so the tokens of an account can be removed at once
+    var TOKEN_PREFIX = 'sa.';
+
+    var DEFAULT_TOKEN_TTL = 900;
+    var DEFAULT_MAX_TOKENS = 10000;
+
+    var tokens = null;
+
+    var getServiceAccountsConfig = function() {
+        return config.serviceAccounts || {};
+    };
+
+    var isEnabled = function() {
+        return !!getServiceAccountsConfig().enabled;
+    };
+
+    var getTokenTTL = function() {
+        return getServiceAccountsConfig().tokenTTL || DEFAULT_TOKEN_TTL;
+    };
+
+    var getTokens = function() {
+
+        if (!tokens) {
+            var serviceAccountsConfig = getServiceAccountsConfig();
+            tokens = keyValueStore.createStore(serviceAccountsConfig.store, 'serviceAccountTokens', {
+                maxEntries: serviceAccountsConfig.maxTokens || DEFAULT_MAX_TOKENS
+            });
+        }
+
+        return tokens;
+    };
+
+    var hash = function(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    };
+
+    // Hashes are compared in constant time, so they cannot be guessed from the response times
+    var equalHashes = function(a, b) {
+
+        if (typeof(a) !== 'string' || typeof(b) !== 'string' || a.length !== b.length) {
+            return false;
+        }
+
+        var diff = 0;
+
+        for (var i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+
+        return diff === 0;
+    };
+
+    var generateSecret = function() {
+        return crypto.randomBytes(32).toString('hex');
+    };
+
+    /**
+     * Returns whether an access token has been issued to a service account.
+     * @param {String} token The access token
+     */
+    var isServiceToken = function(token) {
+        return isEnabled() && typeof(token) === 'string' && token.indexOf(TOKEN_PREFIX) === 0;
+    };
+
+    var getClientId = function(token) {
+        var rest = token.substring(TOKEN_PREFIX.length);
+        return rest.substring(0, rest.lastIndexOf('.'));
+    };
+
+    var getTokenKey = function(token) {
+        return getClientId(token) + ':' + hash(token);
+    };
+
+    var buildProfile = function(account, scopes) {
+        return {
+            id: account.party.id,
+            displayName: account.name,
+            email: '',
+            roles: [],
+            organizations: [],
+            appId: config.oauth2.clientID,
+            partyType: account.party.type,
+            serviceAccount: {
+                id: account.clientId,
+                name: account.name,
+                scopes: scopes
+            }
+        };
+    };
+
+    /**
+     * Returns the profile of the service account a token has been issued to. It can be used in place
+     * of the identity provider to read the profile of the tokens of service accounts.
+     * @param {String} token The access token
+     * @param {Function} callback Called with the error and the profile
+     */
+    var getProfile = function(token, callback) {
+
+        getTokens().get(getTokenKey(token), function(err, profile) {
+
+            if (err) {
+                callback(err);
+            } else if (!profile) {
+                callback(new Error('The token of the service account is not valid or has expired'));
+            } else {
+                profile.accessToken = token;
+                callback(null, profile);
+            }
+        });
+    };
+
+    /**
+     * Returns whether the user of a request is a service account granted a scope.
+     * @param {Object} user The user of the request
+     * @param {String} scope The name of the scope
+     */
+    var hasScope = function(user, scope) {
+        return !!user && !!user.serviceAccount && user.serviceAccount.scopes.indexOf(scope) >= 0;
+    };
+
+    /**
+     * Checks that the scopes of the service account allow the request. Requests of users are always
+     * allowed.
+     * @param {String} api The path of the API
+     * @param {Object} req The request
+     * @returns {Object} The error to be returned, or null when the request is allowed
+     */
+    var checkScope = function(api, req) {
+
+        if (!req.user || !req.user.serviceAccount) {
+            return null;
+        }
+
+        var apiName = upstream.getEndpointName(api);
+        var method = req.method.toUpperCase();
+
+        var allowed = req.user.serviceAccount.scopes.some(function(scope) {
+            return !!SCOPES[scope] && SCOPES[scope].api === apiName && SCOPES[scope].methods.indexOf(method) >= 0;
+        });
+
+        return allowed ? null : errors.create('SERVICE_ACCOUNT_SCOPE_DENIED', { method: method, api: apiName || api });
+    };
+
+    /**
+     * Middleware that rejects the requests of service accounts, used by the routes outside the APIs.
+     */
+    var rejectServiceAccounts = function(req, res, next) {
+
+        if (req.user && req.user.serviceAccount) {
+            utils.log(logger, 'warn', req, 'Service accounts can only access the APIs');
+            return errors.send(res, errors.create('SERVICE_ACCOUNT_NOT_ALLOWED'));
+        }
+
+        next();
+    };
+
+    /**
+     * Removes all the tokens issued to a service account.
+     * @param {String} clientId The client ID of the account
+     * @param {Function} callback
+     */
+    var revokeTokens = function(clientId, callback) {
+        getTokens().removeMatching(new RegExp('^' + clientId.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&') + ':'), callback);
+    };
+
+    // Token requests are form encoded (RFC 6749), but JSON bodies are accepted too
+    var parseTokenRequest = function(req) {
+
+        var body = req.body ? req.body.toString() : '';
+
+        if ((req.headers['content-type'] || '').indexOf('application/json') >= 0) {
+            try {
+                return JSON.parse(body) || {};
+            } catch (e) {
+                return null;
+            }
+        }
+
+        return querystring.parse(body);
+    };
+
+    var getClientCredentials = function(req, params) {
+
+        var authorization = req.headers['authorization'] || '';
+        var match = /^Basic\s+(\S+)$/i.exec(authorization);
+
+        if (match) {
+            var decoded = Buffer.from(match[1], 'base64').toString();
+            var separator = decoded.indexOf(':');
+
+            return {
+                clientId: querystring.unescape(decoded.substring(0, separator)),
+                clientSecret: querystring.unescape(decoded.substring(separator + 1))
+            };
+        }
+
+        return {
+            clientId: params.client_id,
+            clientSecret: params.client_secret
+        };
+    };
+
+    /**
+     * Client credentials grant. Exchanges the credentials of a service account (given as Basic
+     * authentication or as client_id and client_secret) for an access token. The token can be limited
+     * to some of the scopes of the account with the scope parameter.
+     */
+    var issueToken = function(req, res) {
+
+        var params = parseTokenRequest(req);
+
+        if (!params || typeof(params) !== 'object') {
+            return errors.send(res, errors.create('INVALID_JSON'));
+        }
+
+        if (params.grant_type !== 'client_credentials') {
+            return errors.send(res, errors.create('SERVICE_ACCOUNT_UNSUPPORTED_GRANT'));
+        }
+
+        var credentials = getClientCredentials(req, params);
+
+        if (typeof(credentials.clientId) !== 'string' || typeof(credentials.clientSecret) !== 'string') {
+            return errors.send(res, errors.create('SERVICE_ACCOUNT_INVALID_CLIENT'));
+        }
+
+        ServiceAccount.findOne({ clientId: credentials.clientId }, null, { lean: true }, function(err, account) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!account || !equalHashes(hash(credentials.clientSecret), account.secretHash)) {
+                logger.warn('Invalid credentials of the service account ' + credentials.clientId);
+                return errors.send(res, errors.create('SERVICE_ACCOUNT_INVALID_CLIENT'));
+            }
+
+            var scopes = typeof(params.scope) === 'string' && params.scope.trim() ?
+                params.scope.trim().split(/\s+/) : account.scopes;
+
+            var notGranted = scopes.filter(function(scope) {
+                return account.scopes.indexOf(scope) < 0;
+            });
+
+            if (notGranted.length) {
+                return errors.send(res, errors.create('SERVICE_ACCOUNT_INVALID_SCOPE', { scope: notGranted[0] }));
+            }
+
+            var ttl = getTokenTTL();
+            var token = TOKEN_PREFIX + account.clientId + '.' + generateSecret();
+
+            getTokens().set(getTokenKey(token), buildProfile(account, scopes), ttl * 1000, function(err) {
+
+                if (err) {
+                    return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+                }
+
+                logger.info('Token issued to the service account ' + account.clientId + ' (' + scopes.join(' ') + ')');
+
+                res.setHeader('Cache-Control', 'no-store');
+                res.status(200).json({
+                    access_token: token,
+                    token_type: 'Bearer',
+                    expires_in: ttl,
+                    scope: scopes.join(' ')
+                });
+            });
+        });
+    };
+
+    var serialize = function(account) {
+        return {
+            id: account.clientId,
+            name: account.name,
+            description: account.description || '',
+            party: {
+                id: account.party.id,
+                type: account.party.type
+            },
+            scopes: account.scopes,
+            createdBy: account.createdBy,
+            created: account.created
+        };
+    };
+
+    var validateAccount = function(body) {
+
+        if (!body || typeof(body) !== 'object') {
+            return 'The service account must be an object';
+        }
+
+        if (typeof(body.name) !== 'string' || !body.name.trim()) {
+            return 'The name is required';
+        }
+
+        if (body.description !== undefined && typeof(body.description) !== 'string') {
+            return 'The description must be a string';
+        }
+
+        if (!body.party || typeof(body.party.id) !== 'string' || !body.party.id) {
+            return 'The party the service account acts as is required';
+        }
+
+        if (body.party.type !== undefined && PARTY_TYPES.indexOf(body.party.type) < 0) {
+            return 'The type of the party must be one of ' + PARTY_TYPES.join(', ');
+        }
+
+        var validScopes = Array.isArray(body.scopes) && body.scopes.length > 0 && body.scopes.every(function(scope) {
+            return SCOPES.hasOwnProperty(scope);
+        });
+
+        if (!validScopes) {
+            return 'The scopes must be a list of ' + Object.keys(SCOPES).join(', ');
+        }
+
+        return null;
+    };
+
+    var sendForbidden = function(req, res) {
+        if (!utils.isAdmin(req.user)) {
+            errors.send(res, errors.create('SERVICE_ACCOUNTS_FORBIDDEN'));
+            return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Creates a service account. The secret of the account is only returned in the response.
+     */
+    var create = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        var body;
+
+        try {
+            body = JSON.parse(req.body.toString());
+        } catch (e) {
+            return errors.send(res, errors.create('INVALID_JSON'));
+        }
+
+        var invalid = validateAccount(body);
+
+        if (invalid) {
+            return errors.send(res, errors.create('SERVICE_ACCOUNT_INVALID', null, invalid));
+        }
+
+        var secret = generateSecret();
+
+        var account = {
+            clientId: uuid.v4(),
+            name: body.name.trim(),
+            description: body.description || '',
+            party: {
+                id: body.party.id,
+                type: body.party.type || 'individual'
+            },
+            scopes: body.scopes,
+            secretHash: hash(secret),
+            createdBy: req.user.id,
+            created: new Date()
+        };
+
+        ServiceAccount.create(account, function(err) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            utils.log(logger, 'info', req, 'Service account ' + account.clientId + ' created');
+
+            var result = serialize(account);
+            result.secret = secret;
+
+            res.location(req.originalUrl.replace(/\/$/, '') + '/' + account.clientId);
+            res.status(201).json(result);
+        });
+    };
+
+    /**
+     * Returns the service accounts, from the most recent one.
+     */
+    var list = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        ServiceAccount.find({}, null, { lean: true, sort: { created: -1 } }, function(err, accounts) {
+            if (err) {
+                errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            } else {
+                res.status(200).json(accounts.map(serialize));
+            }
+        });
+    };
+
+    /**
+     * Removes a service account. The tokens issued to it are no longer accepted.
+     */
+    var remove = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        ServiceAccount.findOneAndRemove({ clientId: req.params.id }, function(err, account) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!account) {
+                return errors.send(res, errors.create('SERVICE_ACCOUNT_NOT_FOUND', { id: req.params.id }));
+            }
+
+            revokeTokens(account.clientId, function(err) {
+
+                if (err) {
+                    logger.warn('The tokens of the service account ' + account.clientId + ' cannot be revoked: ' + err.message);
+                }
+
+                utils.log(logger, 'info', req, 'Service account ' + account.clientId + ' removed');
+                res.status(204).end();
+            });
+        });
+    };
+
+    /**
+     * Replaces the secret of a service account, revoking the tokens issued with the previous one. The
+     * new secret is only returned in the response.
+     */
+    var rotateSecret = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        var secret = generateSecret();
+
+        ServiceAccount.findOneAndUpdate({ clientId: req.params.id }, { $set: { secretHash: hash(secret) } },
+            { new: true, lean: true }, function(err, account) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!account) {
+                return errors.send(res, errors.create('SERVICE_ACCOUNT_NOT_FOUND', { id: req.params.id }));
+            }
+
+            revokeTokens(account.clientId, function(err) {
+
+                if (err) {
+                    logger.warn('The tokens of the service account ' + account.clientId + ' cannot be revoked: ' + err.message);
+                }
+
+                utils.log(logger, 'info', req, 'Secret of the service account ' + account.clientId + ' replaced');
+
+                var result = serialize(account);
+                result.secret = secret;
+
+                res.status(200).json(result);
+            });
+        });
+    };
+
+    return {
+        SCOPES: SCOPES,
+        isEnabled: isEnabled,
+        isServiceToken: isServiceToken,
+        getProfile: getProfile,
+        hasScope: hasScope,
+        checkScope: checkScope,
+        rejectServiceAccounts: rejectServiceAccounts,
+        revokeTokens: revokeTokens,
+        issueToken: issueToken,
+        create: create,
+        list: list,
+        remove: remove,
+        rotateSecret: rotateSecret
+    };
+
+})();
+
+exports.serviceAccounts = serviceAccounts;
@@ -0,0 +1,459 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var Session = require('./../db/schemas/session'),
+    async = require('async'),
+    config = require('./../config'),
+    crypto = require('crypto'),
+    errors = require('./errors').errors,
+    expressSession = require('express-session'),
+    logger = require('./logger').logger.getLogger('Sessions'),
+    tokenCache = require('./tokenCache').tokenCache,
+    util = require('util'),
+    utils = require('./utils');
+
+/**
+ * Sessions of the portal. They are stored in MongoDB, so they survive restarts and are shared by all
+ * the instances of the proxy, and they expire after config.sessions.ttl seconds without activity.
+ *
+ * Sessions only keep the ID of the user and the access token, encrypted with the session secret. The
+ * profile is read through the token cache, so a session is closed once its token is revoked. Users
+ * can list their sessions and the other tokens cached for them (<config.sessions.path>) and terminate
+ * them, which revokes the tokens in the identity provider as logging out does.
+ */
+var sessions = (function() {
+
+    var DEFAULT_TTL = 86400;
+
+    var identityProvider = null;
+
+    var getTTL = function() {
+        return ((config.sessions || {}).ttl || DEFAULT_TTL) * 1000;
+    };
+
+    /**
+     * Sets the identity provider the profiles of the users are read from and the tokens are revoked in.
+     * @param {Object} provider The provider, as returned by identityProviders.create
+     */
+    var setIdentityProvider = function(provider) {
+        identityProvider = provider;
+    };
+
+    // Session IDs are secret, so they are identified by their hash in the API
+    var hash = function(sid) {
+        return crypto.createHash('sha256').update(sid).digest('hex');
+    };
+
+    var getOwner = function(session) {
+        return session && session.passport && session.passport.user ? session.passport.user : null;
+    };
+
+    var getExpiration = function(session) {
+        return session.cookie && session.cookie.expires ?
+            new Date(session.cookie.expires) : new Date(Date.now() + getTTL());
+    };
+
+    var parseSession = function(doc) {
+        try {
+            return JSON.parse(doc.session);
+        } catch (e) {
+            return null;
+        }
+    };
+
+
+    ///////////////////////////////////////////////////////////////////////
+    /////////////////////////////// STORE /////////////////////////////////
+    ///////////////////////////////////////////////////////////////////////
+
+    /**
+     * Store of express-session that keeps the sessions in MongoDB. The owner of every session and the
+     * client it was opened from are stored apart, so the sessions of a user can be listed.
+     */
+    var MongoStore = function() {
+        expressSession.Store.call(this);
+    };
+
+    util.inherits(MongoStore, expressSession.Store);
+
+    MongoStore.prototype.get = function(sid, callback) {
+        Session.findById(sid, null, { lean: true }, function(err, doc) {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // MongoDB removes the expired sessions periodically, not as soon as they expire
+            callback(null, doc && doc.expires.getTime() > Date.now() ? parseSession(doc) : null);
+        });
+    };
+
+    MongoStore.prototype.set = function(sid, session, callback) {
+
+        var owner = getOwner(session);
+        var client = session.client || {};
+        var now = new Date();
+
+        Session.update({ _id: sid }, {
+            $set: {
+                session: JSON.stringify(session),
+                user: owner ? owner.id : null,
+                tokenKey: owner ? owner.tokenKey : null,
+                userAgent: client.userAgent || '',
+                ip: client.ip || '',
+                lastAccess: now,
+                expires: getExpiration(session)
+            },
+            $setOnInsert: { created: now }
+        }, { upsert: true }, function(err) {
+            callback && callback(err || null);
+        });
+    };
+
+    MongoStore.prototype.touch = function(sid, session, callback) {
+        Session.update({ _id: sid }, {
+            $set: {
+                lastAccess: new Date(),
+                expires: getExpiration(session)
+            }
+        }, function(err) {
+            callback && callback(err || null);
+        });
+    };
+
+    MongoStore.prototype.destroy = function(sid, callback) {
+        Session.remove({ _id: sid }, function(err) {
+            callback && callback(err || null);
+        });
+    };
+
+    var createStore = function() {
+        return new MongoStore();
+    };
+
+
+    ///////////////////////////////////////////////////////////////////////
+    ////////////////////////////// PASSPORT ///////////////////////////////
+    ///////////////////////////////////////////////////////////////////////
+
+    /**
+     * Returns the user kept in the session: the ID, the encrypted access token and its key in the token
+     * cache. The client the user logged in from is recorded as well.
+     */
+    var serializeUser = function(req, user, done) {
+
+        req.session.client = {
+            userAgent: req.headers['user-agent'] || '',
+            ip: req.ip
+        };
+
+        done(null, {
+            id: user.id,
+            token: utils.encrypt(user.accessToken),
+            tokenKey: tokenCache.getTokenKey(user.accessToken)
+        });
+    };
+
+    /**
+     * Returns the profile of the user of the session. Sessions whose token is no longer valid are closed,
+     * but they are kept when the identity provider cannot be reached.
+     */
+    var deserializeUser = function(sessionUser, done) {
+
+        var token = sessionUser && sessionUser.token ? utils.decrypt(sessionUser.token) : null;
+
+        if (!token) {
+            return done(null, false);
+        }
+
+        tokenCache.getProfile(token, identityProvider.getProfile, function(err, profile) {
+
+            if (err && err.code === 'invalid_token') {
+                logger.info('Closing the session of ' + sessionUser.id + ': ' + err.message);
+                return done(null, false);
+            }
+
+            if (err) {
+                logger.warn('The profile of ' + sessionUser.id + ' cannot be read: ' + err.message);
+                return done(err);
+            }
+
+            profile.accessToken = token;
+            done(null, profile);
+        });
+    };
+
+
+    ///////////////////////////////////////////////////////////////////////
+    ///////////////////////////// REVOCATION //////////////////////////////
+    ///////////////////////////////////////////////////////////////////////
+
+    // Errors of the identity provider are only logged, so the sessions are terminated anyway
+    var revokeInIdentityProvider = function(token, callback) {
+        identityProvider.revokeToken(token, function(err) {
+
+            if (err) {
+                logger.warn('The token cannot be revoked in the identity provider: ' + err.message);
+            }
+
+            callback(null);
+        });
+    };
+
+    var revokeSessionToken = function(session, callback) {
+
+        var owner = getOwner(session);
+        var token = owner && owner.token ? utils.decrypt(owner.token) : null;
+
+        if (!token) {
+            return callback(null);
+        }
+
+        tokenCache.revokeToken(token, function() {
+            revokeInIdentityProvider(token, callback);
+        });
+    };
+
+    /**
+     * Logs out the user, destroying the session and revoking its access token.
+     */
+    var logout = function(req, res) {
+        revokeSessionToken(req.session, function() {
+            req.session.destroy(function(err) {
+
+                if (err) {
+                    utils.log(logger, 'warn', req, 'The session cannot be destroyed: ' + err.message);
+                }
+
+                res.redirect(config.portalPrefix + '/');
+            });
+        });
+    };
+
+
+    ///////////////////////////////////////////////////////////////////////
+    ///////////////////////////////// API /////////////////////////////////
+    ///////////////////////////////////////////////////////////////////////
+
+    var sendForbidden = function(req, res) {
+        if (req.user.serviceAccount) {
+            errors.send(res, errors.create('SESSIONS_FORBIDDEN'));
+            return true;
+        }
+
+        return false;
+    };
+
+    // Users acting on behalf of an organization manage their own sessions
+    var getUserId = function(req) {
+        return (req.user.member || req.user).id;
+    };
+
+    var findSessions = function(userId, callback) {
+        Session.find({ user: userId, expires: { $gt: new Date() } }, null, {
+            lean: true,
+            sort: { lastAccess: -1 }
+        }, callback);
+    };
+
+    var serializeSession = function(req, doc) {
+        return {
+            id: hash(doc._id),
+            current: doc._id === req.sessionID,
+            userAgent: doc.userAgent,
+            ip: doc.ip,
+            created: doc.created,
+            lastAccess: doc.lastAccess,
+            expires: doc.expires
+        };
+    };
+
+    var terminateSession = function(req, doc, callback) {
+        revokeSessionToken(parseSession(doc), function() {
+            if (doc._id === req.sessionID) {
+                req.session.destroy(callback);
+            } else {
+                Session.remove({ _id: doc._id }, function(err) {
+                    callback(err || null);
+                });
+            }
+        });
+    };
+
+    // Calls back with false when the token is not cached for the user
+    var terminateToken = function(userId, key, callback) {
+        tokenCache.removeUserToken(userId, key, function(err, token) {
+
+            if (err || !token) {
+                return callback(err || null, false);
+            }
+
+            revokeInIdentityProvider(token, function() {
+                callback(null, true);
+            });
+        });
+    };
+
+    /**
+     * Returns the active sessions of the user, from the most recent one, and the tokens cached for the
+     * user that do not belong to any of them (e.g. tokens used by other applications).
+     */
+    var list = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        var userId = getUserId(req);
+
+        async.parallel([
+            findSessions.bind(null, userId),
+            tokenCache.listUserTokens.bind(null, userId)
+        ], function(err, results) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            var sessionTokens = results[0].map(function(doc) {
+                return doc.tokenKey;
+            });
+
+            res.status(200).json({
+                sessions: results[0].map(serializeSession.bind(null, req)),
+                tokens: results[1].filter(function(token) {
+                    return sessionTokens.indexOf(token.id) < 0;
+                })
+            });
+        });
+    };
+
+    /**
+     * Terminates a session of the user, revoking its access token.
+     */
+    var terminate = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        findSessions(getUserId(req), function(err, docs) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            var doc = docs.filter(function(doc) {
+                return hash(doc._id) === req.params.id;
+            })[0];
+
+            if (!doc) {
+                return errors.send(res, errors.create('SESSION_NOT_FOUND', { id: req.params.id }));
+            }
+
+            terminateSession(req, doc, function(err) {
+
+                if (err) {
+                    return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+                }
+
+                utils.log(logger, 'info', req, 'Session ' + req.params.id + ' terminated');
+                res.status(204).end();
+            });
+        });
+    };
+
+    /**
+     * Terminates all the sessions of the user but the current one, and revokes the rest of the tokens
+     * cached for the user but the one of the request.
+     */
+    var terminateOthers = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        var userId = getUserId(req);
+        var currentKey = tokenCache.getTokenKey(req.user.accessToken);
+
+        async.waterfall([
+            findSessions.bind(null, userId),
+            function(docs, callback) {
+                async.each(docs.filter(function(doc) {
+                    return doc._id !== req.sessionID;
+                }), terminateSession.bind(null, req), callback);
+            },
+            tokenCache.listUserTokens.bind(null, userId),
+            function(tokens, callback) {
+                async.each(tokens.filter(function(token) {
+                    return token.id !== currentKey;
+                }), function(token, tokenCallback) {
+                    terminateToken(userId, token.id, tokenCallback);
+                }, callback);
+            }
+        ], function(err) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            utils.log(logger, 'info', req, 'Other sessions terminated');
+            res.status(204).end();
+        });
+    };
+
+    /**
+     * Revokes one of the tokens cached for the user.
+     */
+    var revokeToken = function(req, res) {
+
+        if (sendForbidden(req, res)) {
+            return;
+        }
+
+        terminateToken(getUserId(req), req.params.id, function(err, found) {
+
+            if (err) {
+                return errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            }
+
+            if (!found) {
+                return errors.send(res, errors.create('SESSION_TOKEN_NOT_FOUND', { id: req.params.id }));
+            }
+
+            utils.log(logger, 'info', req, 'Token ' + req.params.id + ' revoked');
+            res.status(204).end();
+        });
+    };
+
+    return {
+        setIdentityProvider: setIdentityProvider,
+        createStore: createStore,
+        serializeUser: serializeUser,
+        deserializeUser: deserializeUser,
+        logout: logout,
+        list: list,
+        terminate: terminate,
+        terminateOthers: terminateOthers,
+        revokeToken: revokeToken
+    };
+
+})();
+
+exports.sessions = sessions;
@@ -17,49 +17,56 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-var config = require('./../config'),
-    request = require('request'),
+var errors = require('./errors').errors,
+    upstream = require('./upstream').upstream,
     utils = require('./utils');
 
 var storeClient = (function() {
 
-    var makeStoreRequest = function(path, body, userInfo, errMsg, callback) {
+    // Requests are made on behalf of the request being served, whose ID and trace are propagated
+    var makeStoreRequest = function(path, body, req, errorCode, callback) {
         // Build headers
         var headers = {
             'content-type': 'application/json',
             'accept': 'application/json'
         };
 
-        if (userInfo) {
-            utils.attachUserHeaders(headers, userInfo);
+        if (req.user) {
+            utils.attachUserHeaders(headers, req.user);
         }
 
-        var url = utils.getAPIURL(config.appSsl, config.appHost, config.endpoints.charging.port, path);
-
         // Make the request
         var options = {
-            url: url,
+            url: path,
             method: 'POST',
             headers: headers,
-            body: JSON.stringify(body)
+            body: JSON.stringify(body),
+            context: req
         };
 
-        request(options, function(err, response, body) {
+        upstream.request('charging', options, function(err, response, body) {
 
             if (err || response.statusCode >= 400) {
 
                 var status = response ? response.statusCode : 504;
-                var message = errMsg;
+                var message = null;
 
                 if ([400, 403, 409, 422].indexOf(status) >= 0) {
                     var parsedResp = JSON.parse(body);
                     message = parsedResp['error'];
                 }
 
-                callback({
-                    status: status,
-                    message: message
-                });
+                // The status and the message given by the charging backend are returned to the client
+                var error = errors.create(errorCode, null, message);
+                error.status = status;
+
+                // The charging backend is known to be down, so the client is told when to try again
+                if (err && err.code === upstream.CIRCUIT_OPEN) {
+                    error.status = 503;
+                    error.retryAfter = err.retryAfter;
+                }
+
+                callback(error);
 
             } else {
                 callback(null, {
@@ -71,7 +78,7 @@ var storeClient = (function() {
         });
     };
 
-    var makeValidateCall = function(action, productInfo, userInfo, callback) {
+    var makeValidateCall = function(action, productInfo, req, callback) {
         // Build Body
         var body = {
             'action': action,
@@ -81,21 +88,21 @@ var storeClient = (function() {
         makeStoreRequest(
             '/charging/api/assetManagement/assets/validateJob',
             body,
-            userInfo,
-            'The server has failed validating the product specification',
+            req,
+            'CHARGING_PRODUCT_NOT_VALIDATED',
             callback
         );
     };
 
-    var attachProduct = function(productInfo, userInfo, callback) {
-        makeValidateCall('attach', productInfo, userInfo, callback);
+    var attachProduct = function(productInfo, req, callback) {
+        makeValidateCall('attach', productInfo, req, callback);
     };
 
-    var validateProduct = function(productInfo, userInfo, callback) {
-        makeValidateCall('create', productInfo, userInfo, callback);
+    var validateProduct = function(productInfo, req, callback) {
+        makeValidateCall('create', productInfo, req, callback);
     };
 
-    var makeOfferingCall = function(action, offeringInfo, userInfo, callback) {
+    var makeOfferingCall = function(action, offeringInfo, req, callback) {
         var body = {
             'action': action,
             'offering': offeringInfo
@@ -104,33 +111,33 @@ var storeClient = (function() {
         makeStoreRequest(
             '/charging/api/assetManagement/assets/offeringJob',
             body,
-            userInfo,
-            'The server has failed validating the offering',
+            req,
+            'CHARGING_OFFERING_NOT_VALIDATED',
             callback
         );
     };
 
-    var validateOffering = function(offeringInfo, userInfo, callback) {
+    var validateOffering = function(offeringInfo, req, callback) {
         // Build Body
-        makeOfferingCall('create', offeringInfo, userInfo, callback);
+        makeOfferingCall('create', offeringInfo, req, callback);
     };
 
-    var attachOffering = function(offeringInfo, userInfo, callback) {
+    var attachOffering = function(offeringInfo, req, callback) {
         // Build Body
-        makeOfferingCall('attach', offeringInfo, userInfo, callback);
+        makeOfferingCall('attach', offeringInfo, req, callback);
     };
 
-    var notifyOrder = function(orderInfo, userInfo, callback) {
+    var notifyOrder = function(orderInfo, req, callback) {
         makeStoreRequest(
             '/charging/api/orderManagement/orders',
             orderInfo,
-            userInfo,
-            'The server has failed processing your order',
+            req,
+            'CHARGING_ORDER_NOT_PROCESSED',
             callback
         );
     };
 
-    var refund = function(orderId, userInfo, callback) {
+    var refund = function(orderId, req, callback) {
 
         var body = {
             orderId: orderId
@@ -139,18 +146,19 @@ var storeClient = (function() {
         makeStoreRequest(
             '/charging/api/orderManagement/orders/refund',
             body,
-            userInfo,
-            'The server has failed at the time of refunding the order',
+            req,
+            'CHARGING_REFUND_FAILED',
             callback
         );
     };
 
-    var validateUsage = function(usageInfo, callback)  {
+    // Usage notifications are not made on behalf of any user
+    var validateUsage = function(usageInfo, req, callback)  {
         makeStoreRequest(
             '/charging/api/orderManagement/accounting/',
             usageInfo,
-            null,
-            'The server has failed validating the usage',
+            { id: req.id, trace: req.trace },
+            'CHARGING_USAGE_NOT_VALIDATED',
             callback
         );
     };
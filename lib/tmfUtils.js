@@ -18,7 +18,8 @@
  */
 
 var config = require('./../config'),
-    utils = require('./utils');
+    errors = require('./errors').errors,
+    hrefs = require('./hrefs').hrefs;
 
 
 /**
@@ -73,10 +74,7 @@ exports.filterRelatedPartyFields = function(req, callback) {
         // where there is one related party where fiware is involved OR where there is a user with
         // the seller role (all).
 
-        callback({
-            status: 403,
-            message: 'You are not allowed to filter items using these filters'
-        });
+        callback(errors.create('INVALID_FILTERS'));
 
     } else if (req.query['relatedParty.id']) {
 
@@ -85,11 +83,7 @@ exports.filterRelatedPartyFields = function(req, callback) {
             callback(null);
         } else {
             // If the user has introduced another id, the system must reject the request
-            callback({
-                status: 403,
-                message: 'You are not authorized to retrieve the orderings made by the user ' +
-                        req.query['relatedParty.id']
-            });
+            callback(errors.create('RELATED_PARTY_FILTER_FORBIDDEN', { user: req.query['relatedParty.id'] }));
         }
 
     } else {
@@ -145,7 +139,7 @@ exports.ensureRelatedPartyIncluded = function(req, callback) {
  * @param {Object} req Object with the request. It must include an object with the
  * `user`, a `secure` boolean that specifies whether the request is secure and a string
  * with the `hostname`. `secure` and `hostname` are required to check the `href` field
- * of the involved parties.
+ * of the involved parties when the public URL of the proxy is not configured.
  * @param {Array.<Object>} partyList
  * @param {String} roleName The role to be checked. If null, the method will check that
  * the user is included in the `partyList`.
@@ -161,14 +155,64 @@ exports.hasPartyRole = function (req, partyList, roleName) {
 
     return req.user != null && partyList.some(function (party) {
 
-        // FIXME: Maybe only the pathname should be compared!!
-        var expectedHref = self.getIndividualURL(req, req.user.id);
+        // Parties may be given with the public href or with the one used by the APIs
+        var expectedHref = self.getUserPartyURL(req);
 
-        return party.id === req.user.id && party.href === expectedHref &&
+        return party.id === req.user.id && hrefs.toPublic(req, party.href) === expectedHref &&
             (roleName ? party.role.toLowerCase() === roleName.toLowerCase() : true);
     });
 };
 
+/**
+ * Returns an ordering as it can be seen by a party. Customers see the whole ordering, while sellers
+ * only see the order items of their products.
+ * @param {Object} ordering The ordering
+ * @param {Function} hasRole Called with a list of related parties and a role, returns whether the
+ * party is included in the list with that role
+ * @return {Object} The ordering, a copy of it without the items of other sellers or null when the
+ * party is neither the customer nor a seller
+ */
+exports.getVisibleOrdering = function(ordering, hasRole) {
+
+    var customer = hasRole(ordering.relatedParty, 'Customer');
+    var seller = hasRole(ordering.relatedParty, 'Seller');
+
+    if (customer) {
+        return ordering;
+    }
+
+    if (!seller) {
+        return null;
+    }
+
+    var visible = {};
+
+    Object.keys(ordering).forEach(function(field) {
+        visible[field] = ordering[field];
+    });
+
+    visible.orderItem = (ordering.orderItem || []).filter(function(item) {
+        return hasRole((item.product || {}).relatedParty, 'Seller');
+    });
+
+    return visible;
+};
+
+/**
+ * Returns an ordering as it can be seen by the party with the given ID, for the notifications sent
+ * out of the requests of the party.
+ * @param {Object} ordering The ordering
+ * @param {String} partyId The ID of the party
+ * @return {Object} The ordering as returned by getVisibleOrdering
+ */
+exports.getOrderingVisibleTo = function(ordering, partyId) {
+    return exports.getVisibleOrdering(ordering, function(partyList, role) {
+        return (partyList || []).some(function(party) {
+            return party.id === partyId && String(party.role).toLowerCase() === role.toLowerCase();
+        });
+    });
+};
+
 /**
  * Checks if the user is included the list of related parties. This is just a wrapper of
  * `hasPartyRole(req, partyList, null)`.
@@ -182,9 +226,10 @@ exports.isRelatedParty = function(req, partyList) {
 
 /**
  * Returns the URL that external users will use to access an individual or the list of individuals
- * provided by the party API. The hostname, and the protocol will be derived from the request made
- * by the user. If user is not null, the URL to access that user will be provided. Otherwise, the
- * function will return the URL to retrieve the list of users.
+ * provided by the party API. It is based on the public URL of the proxy (config.hrefs.publicURL)
+ * or, when it is not configured, on the hostname and the protocol of the request made by the user.
+ * If user is not null, the URL to access that user will be provided. Otherwise, the function will
+ * return the URL to retrieve the list of users.
  * @param {Object} req The request made by the user.
  * @param {String=} user The user whose URL want to be retrieved. If null, the URL to the collection
  * is returned
@@ -193,6 +238,33 @@ exports.isRelatedParty = function(req, partyList) {
  */
 exports.getIndividualURL = function(req, user) {
 
-    return utils.getAPIURL(req.secure, req.hostname, config.port, '/' + config.endpoints.party.path +
+    return hrefs.getPublicURL(req, '/' + config.endpoints.party.path +
         '/api/partyManagement/v2/individual/' + (user ? user : ''));
 };
+
+/**
+ * Returns the URL that external users will use to access an organization or the list of organizations
+ * provided by the party API. See `getIndividualURL`.
+ * @param {Object} req The request made by the user.
+ * @param {String=} organization The organization whose URL want to be retrieved. If null, the URL to
+ * the collection is returned
+ * @return {String} The URL that external users can use to access an organization or the list of
+ * organizations
+ */
+exports.getOrganizationURL = function(req, organization) {
+
+    return hrefs.getPublicURL(req, '/' + config.endpoints.party.path +
+        '/api/partyManagement/v2/organization/' + (organization ? organization : ''));
+};
+
+/**
+ * Returns the URL of the party the user of a request acts as: the active organization of the user or,
+ * when there is none, the individual.
+ * @param {Object} req The request made by the user.
+ * @return {String} The URL of the party
+ */
+exports.getUserPartyURL = function(req) {
+
+    return req.user.partyType === 'organization' ? this.getOrganizationURL(req, req.user.id) :
+        this.getIndividualURL(req, req.user.id);
+};
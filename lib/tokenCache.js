@@ -0,0 +1,347 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    crypto = require('crypto'),
+    errors = require('./errors').errors,
+    keyValueStore = require('./keyValueStore'),
+    logger = require('./logger').logger.getLogger('TokenCache'),
+    metrics = require('./metrics').metrics,
+    utils = require('./utils');
+
+/**
+ * Cache of the user profiles returned by the IdM for the access tokens sent in the requests. Profiles
+ * are kept until the token expires (up to config.tokenCache.ttl seconds). The memory store keeps up to
+ * config.tokenCache.maxEntries profiles, discarding the least recently used ones, while the mongo store
+ * is shared by all the instances of the proxy, so all of them see the same revocations.
+ *
+ * Tokens are stored hashed. Administrators can revoke single tokens or all the tokens of a user, and
+ * users can list and remove their own cached tokens, which are indexed by user with the token encrypted.
+ */
+var tokenCache = (function() {
+
+    var DEFAULT_TTL = 3600;
+    var DEFAULT_MAX_ENTRIES = 10000;
+
+    var lookups = metrics.counter('proxy_token_cache_lookups_total',
+        'Lookups of access tokens in the cache of user profiles', ['result']);
+
+    var profiles = null;
+    var revocations = null;
+    var userTokens = null;
+
+    var getTokenCacheConfig = function() {
+        return config.tokenCache || {};
+    };
+
+    var getMaxTTL = function() {
+        return (getTokenCacheConfig().ttl || DEFAULT_TTL) * 1000;
+    };
+
+    var getProfiles = function() {
+
+        if (!profiles) {
+            var tokenCacheConfig = getTokenCacheConfig();
+            profiles = keyValueStore.createStore(tokenCacheConfig.store, 'tokenCache', {
+                maxEntries: tokenCacheConfig.maxEntries || DEFAULT_MAX_ENTRIES
+            });
+        }
+
+        return profiles;
+    };
+
+    // Time when the tokens of every revoked user were revoked. Profiles cached before are not valid.
+    // They are kept apart from the profiles so they are not discarded when the cache is full
+    var getRevocations = function() {
+
+        if (!revocations) {
+            revocations = keyValueStore.createStore(getTokenCacheConfig().store, 'tokenRevocations');
+        }
+
+        return revocations;
+    };
+
+    // Tokens cached for every user (<user>:<token key>), including the encrypted token so it can be
+    // revoked in the identity provider when the user removes it
+    var getUserTokens = function() {
+
+        if (!userTokens) {
+            var tokenCacheConfig = getTokenCacheConfig();
+            userTokens = keyValueStore.createStore(tokenCacheConfig.store, 'tokenCacheUsers', {
+                maxEntries: tokenCacheConfig.maxEntries || DEFAULT_MAX_ENTRIES
+            });
+        }
+
+        return userTokens;
+    };
+
+    var escapeRegExp = function(value) {
+        return value.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+    };
+
+    /**
+     * Returns the key of a token in the cache, which identifies it without revealing it.
+     * @param {String} token The access token
+     */
+    var getTokenKey = function(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    };
+
+    /**
+     * Returns the milliseconds until the token of a profile expires, when the IdM includes its
+     * expiration (expires_in in seconds, exp as a UNIX time or expires as a date), or null.
+     * @param {Object} profile The profile returned by the IdM
+     */
+    var getExpiration = function(profile) {
+
+        var info = profile._json || {};
+        var expires = null;
+
+        if (typeof(info.expires_in) === 'number') {
+            expires = Date.now() + info.expires_in * 1000;
+        } else if (typeof(info.exp) === 'number') {
+            expires = info.exp * 1000;
+        } else if (info.expires) {
+            expires = new Date(info.expires).getTime();
+        }
+
+        return expires !== null && !isNaN(expires) ? expires - Date.now() : null;
+    };
+
+    var isRevoked = function(entry, callback) {
+        getRevocations().get(entry.profile.id, function(err, revoked) {
+            callback(err, revoked !== null && revoked >= entry.cached);
+        });
+    };
+
+    var read = function(token, callback) {
+
+        var key = getTokenKey(token);
+
+        getProfiles().get(key, function(err, entry) {
+
+            if (err || !entry) {
+                return callback(err, null);
+            }
+
+            isRevoked(entry, function(err, revoked) {
+
+                if (err || !revoked) {
+                    return callback(err, err ? null : entry.profile);
+                }
+
+                getProfiles().remove(key);
+                callback(null, null);
+            });
+        });
+    };
+
+    var write = function(token, profile) {
+
+        var expiration = getExpiration(profile);
+        var ttl = expiration !== null ? Math.min(expiration, getMaxTTL()) : getMaxTTL();
+
+        // Tokens that have already expired are not cached, so the IdM rejects them next time
+        if (ttl <= 0) {
+            return;
+        }
+
+        var key = getTokenKey(token);
+        var cached = Date.now();
+
+        getProfiles().set(key, { profile: profile, cached: cached }, ttl, function(err) {
+            if (err) {
+                logger.warn('The profile of the user ' + profile.id + ' cannot be cached: ' + err.message);
+            }
+        });
+
+        getUserTokens().set(profile.id + ':' + key, {
+            token: utils.encrypt(token),
+            cached: cached,
+            expires: cached + ttl
+        }, ttl);
+    };
+
+    /**
+     * Returns the profile of the user of an access token, asking the IdM when it is not cached. The
+     * IdM is asked as well when the cache cannot be read.
+     * @param {String} token The access token
+     * @param {Function} fetchProfile Called with the token and a callback to be called with the error
+     * and the profile returned by the IdM
+     * @param {Function} callback Called with the error and the profile
+     */
+    var getProfile = function(token, fetchProfile, callback) {
+
+        read(token, function(err, profile) {
+
+            if (err) {
+                logger.warn('The cache of tokens cannot be read: ' + err.message);
+            }
+
+            if (profile) {
+                lookups.inc({ result: 'hit' });
+                logger.debug('Using cached token for user ' + profile.id);
+                return callback(null, profile);
+            }
+
+            lookups.inc({ result: 'miss' });
+
+            fetchProfile(token, function(err, fetchedProfile) {
+
+                if (!err) {
+                    logger.debug('Token for user ' + fetchedProfile.id + ' stored');
+                    write(token, fetchedProfile);
+                }
+
+                callback(err, fetchedProfile);
+            });
+        });
+    };
+
+    /**
+     * Removes a token from the cache, so it is checked again by the IdM the next time it is used.
+     * @param {String} token The access token
+     * @param {Function} callback
+     */
+    var revokeToken = function(token, callback) {
+
+        var key = getTokenKey(token);
+
+        getUserTokens().removeMatching(new RegExp(':' + key + '$'));
+        getProfiles().remove(key, callback);
+    };
+
+    /**
+     * Invalidates all the cached tokens of a user.
+     * @param {String} userId The ID of the user
+     * @param {Function} callback
+     */
+    var revokeUser = function(userId, callback) {
+        // The revocation is kept until all the tokens cached before have expired
+        getUserTokens().removeMatching(new RegExp('^' + escapeRegExp(userId) + ':'));
+        getRevocations().set(userId, Date.now(), getMaxTTL(), callback);
+    };
+
+    /**
+     * Returns the tokens cached for a user: their keys and when they were cached and will expire.
+     * @param {String} userId The ID of the user
+     * @param {Function} callback Called with the error and the list of tokens
+     */
+    var listUserTokens = function(userId, callback) {
+
+        var prefix = userId + ':';
+
+        getRevocations().get(userId, function(err, revoked) {
+
+            if (err) {
+                return callback(err);
+            }
+
+            getUserTokens().getMatching(new RegExp('^' + escapeRegExp(prefix)), function(err, entries) {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                callback(null, entries.filter(function(entry) {
+                    return revoked === null || entry.value.cached > revoked;
+                }).map(function(entry) {
+                    return {
+                        id: entry.key.substring(prefix.length),
+                        cached: new Date(entry.value.cached),
+                        expires: new Date(entry.value.expires)
+                    };
+                }));
+            });
+        });
+    };
+
+    /**
+     * Removes a token cached for a user.
+     * @param {String} userId The ID of the user
+     * @param {String} key The key of the token, as returned by listUserTokens
+     * @param {Function} callback Called with the error and the token, or null when the user does not
+     * have such token
+     */
+    var removeUserToken = function(userId, key, callback) {
+
+        var indexKey = userId + ':' + key;
+
+        getUserTokens().get(indexKey, function(err, entry) {
+
+            if (err || !entry) {
+                return callback(err, null);
+            }
+
+            getUserTokens().remove(indexKey);
+            getProfiles().remove(key, function(err) {
+                callback(err, err ? null : utils.decrypt(entry.token));
+            });
+        });
+    };
+
+    /**
+     * Admin API to revoke a token ({ "token": "..." }) or all the tokens of a user ({ "user": "..." }).
+     */
+    var revoke = function(req, res) {
+
+        if (!utils.isAdmin(req.user)) {
+            return errors.send(res, errors.create('TOKEN_CACHE_FORBIDDEN'));
+        }
+
+        var body;
+
+        try {
+            body = JSON.parse(req.body.toString());
+        } catch (e) {
+            return errors.send(res, errors.create('INVALID_JSON'));
+        }
+
+        var validToken = body && typeof(body.token) === 'string' && body.token.length > 0;
+        var validUser = body && typeof(body.user) === 'string' && body.user.length > 0;
+
+        if (validToken === validUser) {
+            return errors.send(res, errors.create('TOKEN_CACHE_INVALID_REVOCATION'));
+        }
+
+        var revocation = validToken ? revokeToken.bind(null, body.token) : revokeUser.bind(null, body.user);
+
+        revocation(function(err) {
+            if (err) {
+                errors.send(res, errors.create('DATABASE_ERROR', null, err.message));
+            } else {
+                utils.log(logger, 'info', req, validToken ? 'Token revoked' : 'Tokens of ' + body.user + ' revoked');
+                res.status(204).end();
+            }
+        });
+    };
+
+    return {
+        getTokenKey: getTokenKey,
+        getProfile: getProfile,
+        revokeToken: revokeToken,
+        revokeUser: revokeUser,
+        listUserTokens: listUserTokens,
+        removeUserToken: removeUserToken,
+        revoke: revoke
+    };
+
+})();
+
+exports.tokenCache = tokenCache;
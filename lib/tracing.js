@@ -0,0 +1,287 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    crypto = require('crypto'),
+    logger = require('./logger').logger.getLogger('Tracing'),
+    onFinished = require('on-finished'),
+    request = require('request'),
+    uuid = require('node-uuid');
+
+var tracer = (function() {
+
+    var SERVICE_NAME = 'business-ecosystem-logic-proxy';
+
+    // W3C Trace Context: version-traceId-parentId-flags
+    var TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+    // Request IDs given by clients are only accepted when they are reasonably safe to be logged
+    var REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+
+    var SAMPLED_FLAG = 0x01;
+
+    var DEFAULT_BATCH_SIZE = 100;
+    var DEFAULT_FLUSH_INTERVAL = 5000;
+    var DEFAULT_MAX_QUEUE_SIZE = 10000;
+
+    // Finished spans waiting to be exported
+    var queue = [];
+    var flushTimer = null;
+
+    var getTracingConfig = function() {
+        return config.tracing || {};
+    };
+
+    var randomId = function(bytes) {
+        return crypto.randomBytes(bytes).toString('hex');
+    };
+
+    // Timestamps are given in microseconds
+    var now = function() {
+        return Date.now() * 1000;
+    };
+
+    var parseTraceparent = function(header) {
+
+        var match = TRACEPARENT_PATTERN.exec((header || '').trim().toLowerCase());
+
+        // Version ff and all-zero identifiers are invalid
+        if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+            return null;
+        }
+
+        return {
+            traceId: match[2],
+            parentId: match[3],
+            flags: match[4]
+        };
+    };
+
+    var formatTraceparent = function(traceId, spanId, flags) {
+        return '00-' + traceId + '-' + spanId + '-' + flags;
+    };
+
+    var isSampled = function(flags) {
+        return (parseInt(flags, 16) & SAMPLED_FLAG) === SAMPLED_FLAG;
+    };
+
+    var sendToCollector = function(spans) {
+
+        var exporter = getTracingConfig().exporter || {};
+
+        if (exporter.type === 'log') {
+            spans.forEach(function(span) {
+                logger.info(JSON.stringify(span));
+            });
+
+        } else if (exporter.type === 'zipkin') {
+            request({
+                url: exporter.url,
+                method: 'POST',
+                json: spans,
+                timeout: exporter.timeout || 5000
+            }, function(err, response) {
+                if (err || response.statusCode >= 400) {
+                    logger.warn('%d spans cannot be exported: %s', spans.length,
+                        err ? err.message : 'Status ' + response.statusCode);
+                }
+            });
+        }
+    };
+
+    /**
+     * Exports the finished spans to the configured collector.
+     */
+    var flush = function() {
+
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        if (queue.length) {
+            var spans = queue;
+            queue = [];
+            sendToCollector(spans);
+        }
+    };
+
+    var enqueue = function(span) {
+
+        var exporter = getTracingConfig().exporter || {};
+        var maxQueueSize = exporter.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+
+        // Spans are dropped rather than exhausting the memory when the collector is not available
+        if (queue.length >= maxQueueSize) {
+            return;
+        }
+
+        queue.push(span);
+
+        if (queue.length >= (exporter.batchSize || DEFAULT_BATCH_SIZE)) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, exporter.flushInterval || DEFAULT_FLUSH_INTERVAL);
+
+            if (flushTimer.unref) {
+                flushTimer.unref();
+            }
+        }
+    };
+
+    var createSpan = function(trace, parentId, name, kind, tags) {
+
+        var span = {
+            traceId: trace.traceId,
+            id: randomId(8),
+            parentId: parentId || undefined,
+            name: name,
+            kind: kind || undefined,
+            timestamp: now(),
+            tags: {}
+        };
+
+        var addTags = function(newTags) {
+            for (var tag in newTags) {
+                if (newTags[tag] !== undefined && newTags[tag] !== null) {
+                    span.tags[tag] = String(newTags[tag]);
+                }
+            }
+        };
+
+        var ended = false;
+
+        addTags(tags);
+
+        return {
+            id: span.id,
+
+            /**
+             * Finishes the span and queues it to be exported.
+             * @param {Object=} endTags Tags with the result of the operation
+             */
+            end: function(endTags) {
+
+                if (ended) {
+                    return;
+                }
+
+                ended = true;
+                addTags(endTags);
+                span.duration = Math.max(now() - span.timestamp, 1);
+                span.localEndpoint = { serviceName: getTracingConfig().serviceName || SERVICE_NAME };
+
+                if (getTracingConfig().enabled && isSampled(trace.flags)) {
+                    enqueue(span);
+                }
+            }
+        };
+    };
+
+    // Used when the request has no trace context
+    var noopSpan = {
+        id: null,
+        end: function() {}
+    };
+
+    /**
+     * Starts a span in the trace of a request. The span is a child of the span of the request.
+     * @param {Object} req The request whose trace the span belongs to
+     * @param {String} name The name of the operation
+     * @param {String} kind `CLIENT` for the calls to other services, or null for local operations
+     * @param {Object=} tags Tags describing the operation
+     */
+    var startSpan = function(req, name, kind, tags) {
+
+        if (!req || !req.trace) {
+            return noopSpan;
+        }
+
+        return createSpan(req.trace, req.trace.spanId, name, kind, tags);
+    };
+
+    /**
+     * Returns the headers that propagate the request ID and the trace of a request.
+     * @param {Object} req The request being served
+     * @param {Object=} span The span of the outbound call. The span of the request if not given
+     */
+    var getHeaders = function(req, span) {
+
+        var headers = {};
+
+        if (req && req.id) {
+            headers['x-request-id'] = req.id;
+        }
+
+        if (req && req.trace) {
+            var spanId = span && span.id ? span.id : req.trace.spanId;
+            headers['traceparent'] = formatTraceparent(req.trace.traceId, spanId, req.trace.flags);
+        }
+
+        return headers;
+    };
+
+    /**
+     * Middleware that assigns the request ID and the trace of every request. Both of them are taken
+     * from the X-Request-ID and traceparent headers when the client includes them, and are returned
+     * in the response.
+     */
+    var middleware = function(req, res, next) {
+
+        var requestId = req.headers['x-request-id'];
+        var parent = parseTraceparent(req.headers['traceparent']);
+
+        req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : uuid.v4();
+
+        req.trace = {
+            traceId: parent ? parent.traceId : randomId(16),
+            flags: parent ? parent.flags : '01'
+        };
+
+        var span = createSpan(req.trace, parent ? parent.parentId : null, req.method + ' ' + req.path, 'SERVER', {
+            'http.method': req.method,
+            'http.path': req.path,
+            'request.id': req.id
+        });
+
+        req.trace.spanId = span.id;
+
+        res.setHeader('X-Request-ID', req.id);
+        res.setHeader('traceresponse', formatTraceparent(req.trace.traceId, span.id, req.trace.flags));
+
+        onFinished(res, function() {
+            span.end({
+                'http.status_code': res.statusCode,
+                'user.id': req.user ? req.user.id : null
+            });
+        });
+
+        next();
+    };
+
+    return {
+        middleware: middleware,
+        startSpan: startSpan,
+        getHeaders: getHeaders,
+        flush: flush
+    };
+
+})();
+
+exports.tracer = tracer;
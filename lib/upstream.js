@@ -0,0 +1,609 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var config = require('./../config'),
+    metrics = require('./metrics').metrics,
+    PassThrough = require('stream').PassThrough,
+    request = require('request'),
+    tracer = require('./tracing').tracer;
+
+var upstream = (function() {
+
+    var LEAST_CONNECTIONS = 'least-connections';
+
+    // Seconds that a replica is skipped after a connection to it fails
+    var DEFAULT_RECOVERY_TIME = 30;
+
+    // Milliseconds before the first retry, doubled in every following one
+    var DEFAULT_RETRY_DELAY = 100;
+
+    // Consecutive failures that open the circuit and seconds it remains open
+    var DEFAULT_FAILURE_THRESHOLD = 5;
+    var DEFAULT_RESET_TIMEOUT = 30;
+
+    // Seconds the request that checks whether the API has recovered can take before it counts as failed
+    var DEFAULT_PROBE_TIMEOUT = 30;
+
+    // Error code given to requests rejected because the circuit of the endpoint is open
+    var CIRCUIT_OPEN = 'ECIRCUITOPEN';
+
+    // Errors raised before the request reaches the server, so it is safe to send it to another replica
+    var CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+
+    var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    // Responses that mean that the API is not able to process requests
+    var FAILURE_STATUSES = [502, 503, 504];
+
+    // Balancing state of every endpoint: the round-robin position and the status of every replica
+    var endpointsState = {};
+
+    var requestDuration = metrics.histogram('proxy_upstream_request_duration_seconds',
+        'Time taken by the APIs to respond to the requests of the proxy', ['endpoint', 'status']);
+
+    var getEndpoint = function(endpointName) {
+
+        var endpoint = config.endpoints[endpointName];
+
+        if (!endpoint) {
+            throw new Error('Unknown endpoint: ' + endpointName);
+        }
+
+        return endpoint;
+    };
+
+    // Settings of an endpoint default to the ones defined in config.upstream
+    var getSetting = function(endpointName, setting, defaultValue) {
+
+        var endpoint = getEndpoint(endpointName);
+        var defaults = config.upstream || {};
+
+        if (endpoint[setting] !== undefined) {
+            return endpoint[setting];
+        } else if (defaults[setting] !== undefined) {
+            return defaults[setting];
+        } else {
+            return defaultValue;
+        }
+    };
+
+    var normalizeBasePath = function(basePath) {
+
+        if (!basePath) {
+            return '';
+        }
+
+        basePath = basePath.replace(/\/+$/, '');
+        return !basePath || basePath[0] === '/' ? basePath : '/' + basePath;
+    };
+
+    /**
+     * Returns the base URLs of the replicas of an endpoint. The replicas inherit the host, port,
+     * protocol and base path of the endpoint, which default to the global appHost and appSsl settings.
+     * @param {String} endpointName The name of the endpoint in config.endpoints
+     * @returns {Array} The base URLs of the replicas (without trailing slash)
+     */
+    var getReplicas = function(endpointName) {
+
+        var endpoint = getEndpoint(endpointName);
+        var replicas = endpoint.replicas && endpoint.replicas.length ? endpoint.replicas : [{}];
+
+        return replicas.map(function(replica) {
+            var protocol = replica.protocol || endpoint.protocol || (config.appSsl ? 'https' : 'http');
+            var host = replica.host || endpoint.host || config.appHost;
+            var port = replica.port || endpoint.port;
+            var basePath = 'basePath' in replica ? replica.basePath : endpoint.basePath;
+
+            return protocol.replace(/:$/, '') + '://' + host + (port ? ':' + port : '') + normalizeBasePath(basePath);
+        });
+    };
+
+    var getEndpointState = function(endpointName) {
+
+        if (!endpointsState[endpointName]) {
+            endpointsState[endpointName] = {
+                next: 0,
+                replicas: {},
+                circuit: {
+                    failures: 0,
+                    openUntil: 0,
+                    probing: false,
+                    probeStarted: 0
+                }
+            };
+        }
+
+        return endpointsState[endpointName];
+    };
+
+    var getReplicaState = function(endpointName, baseUrl) {
+
+        var replicas = getEndpointState(endpointName).replicas;
+
+        if (!replicas[baseUrl]) {
+            replicas[baseUrl] = {
+                activeRequests: 0,
+                unhealthyUntil: 0
+            };
+        }
+
+        return replicas[baseUrl];
+    };
+
+    var isHealthy = function(endpointName, baseUrl) {
+        return getReplicaState(endpointName, baseUrl).unhealthyUntil <= Date.now();
+    };
+
+    /**
+     * Chooses the replica that will serve the next request to an endpoint. Replicas that have
+     * recently failed are skipped while there are healthy ones.
+     * @param {String} endpointName The name of the endpoint in config.endpoints
+     * @param {Array} excluded Base URLs of the replicas that must not be chosen
+     * @returns {String} The base URL of the chosen replica, or null if all of them are excluded
+     */
+    var selectReplica = function(endpointName, excluded) {
+
+        excluded = excluded || [];
+
+        var replicas = getReplicas(endpointName);
+        var candidates = replicas.filter(function(baseUrl) {
+            return excluded.indexOf(baseUrl) < 0;
+        });
+
+        var healthy = candidates.filter(function(baseUrl) {
+            return isHealthy(endpointName, baseUrl);
+        });
+
+        if (healthy.length) {
+            candidates = healthy;
+        }
+
+        if (!candidates.length) {
+            return null;
+        }
+
+        // Candidates are visited in round-robin order, which also breaks ties between the least loaded ones
+        var state = getEndpointState(endpointName);
+        var ordered = [];
+
+        for (var i = 0; i < replicas.length; i++) {
+            var replica = replicas[(state.next + i) % replicas.length];
+
+            if (candidates.indexOf(replica) >= 0) {
+                ordered.push(replica);
+            }
+        }
+
+        var selected = ordered[0];
+
+        if (getEndpoint(endpointName).balancing === LEAST_CONNECTIONS) {
+            ordered.forEach(function(candidate) {
+                if (getReplicaState(endpointName, candidate).activeRequests <
+                        getReplicaState(endpointName, selected).activeRequests) {
+                    selected = candidate;
+                }
+            });
+        }
+
+        state.next = (replicas.indexOf(selected) + 1) % replicas.length;
+        return selected;
+    };
+
+    var markUnhealthy = function(endpointName, baseUrl) {
+        var recoveryTime = getSetting(endpointName, 'recoveryTime', DEFAULT_RECOVERY_TIME);
+
+        getReplicaState(endpointName, baseUrl).unhealthyUntil = Date.now() + recoveryTime * 1000;
+    };
+
+    var markHealthy = function(endpointName, baseUrl) {
+        getReplicaState(endpointName, baseUrl).unhealthyUntil = 0;
+    };
+
+    var isConnectionError = function(err) {
+        return !!err && (CONNECTION_ERRORS.indexOf(err.code) >= 0 || err.connect === true);
+    };
+
+    var isFailure = function(err, response) {
+        return !!err || FAILURE_STATUSES.indexOf(response.statusCode) >= 0;
+    };
+
+    /**
+     * Returns the seconds until the circuit breaker of an endpoint lets requests through again.
+     * @param {String} endpointName The name of the endpoint in config.endpoints
+     * @returns {Number} The seconds to wait, or 0 if requests can be sent to the endpoint
+     */
+    var getRetryAfter = function(endpointName) {
+
+        var circuit = getEndpointState(endpointName).circuit;
+        var now = Date.now();
+
+        if (circuit.openUntil > now) {
+            return Math.ceil((circuit.openUntil - now) / 1000);
+        }
+
+        // A probe that never finishes would keep the circuit open, so it fails after the probe timeout
+        if (circuit.probing && now - circuit.probeStarted >= getProbeTimeout(endpointName) * 1000) {
+            recordResult(endpointName, true);
+            return getRetryAfter(endpointName);
+        }
+
+        // Once the reset timeout has elapsed, a single request checks whether the API has recovered
+        return circuit.openUntil && circuit.probing ? 1 : 0;
+    };
+
+    var getProbeTimeout = function(endpointName) {
+        var circuitBreaker = getSetting(endpointName, 'circuitBreaker') || {};
+        return circuitBreaker.probeTimeout || DEFAULT_PROBE_TIMEOUT;
+    };
+
+    var acquireCircuit = function(endpointName) {
+
+        var circuit = getEndpointState(endpointName).circuit;
+        var retryAfter = getRetryAfter(endpointName);
+
+        if (!retryAfter && circuit.openUntil) {
+            circuit.probing = true;
+            circuit.probeStarted = Date.now();
+        }
+
+        return retryAfter;
+    };
+
+    var recordResult = function(endpointName, failed) {
+
+        var circuitBreaker = getSetting(endpointName, 'circuitBreaker');
+        var circuit = getEndpointState(endpointName).circuit;
+
+        if (!circuitBreaker) {
+            return;
+        }
+
+        circuit.probing = false;
+
+        if (!failed) {
+            circuit.failures = 0;
+            circuit.openUntil = 0;
+        } else {
+            circuit.failures++;
+
+            var threshold = circuitBreaker.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+            var resetTimeout = circuitBreaker.resetTimeout !== undefined ?
+                circuitBreaker.resetTimeout : DEFAULT_RESET_TIMEOUT;
+
+            // A failure while the circuit is half open opens it again
+            if (circuit.openUntil || circuit.failures >= threshold) {
+                circuit.openUntil = Date.now() + resetTimeout * 1000;
+            }
+        }
+    };
+
+    /**
+     * Returns the time to wait before retrying a failed request. Only requests with idempotent
+     * methods that failed because of a network error or an unavailable API are retried.
+     * @param {String} endpointName The name of the endpoint in config.endpoints
+     * @param {String} method The method of the request
+     * @param {Number} retry The number of retries already made
+     * @param {Object} err The error of the last attempt, if any
+     * @param {Object} response The response of the last attempt, if any
+     * @returns {Number} The milliseconds to wait, or -1 if the request must not be retried
+     */
+    var getRetryDelay = function(endpointName, method, retry, err, response) {
+
+        var retries = getSetting(endpointName, 'retries', 0);
+        var idempotent = IDEMPOTENT_METHODS.indexOf((method || 'GET').toUpperCase()) >= 0;
+
+        if (retry >= retries || !idempotent || !isFailure(err, response) || (err && err.code === CIRCUIT_OPEN)) {
+            return -1;
+        }
+
+        return getSetting(endpointName, 'retryDelay', DEFAULT_RETRY_DELAY) * Math.pow(2, retry);
+    };
+
+    // The request module uses its timeout both to connect and to wait between the bytes of the response
+    var applyTimeouts = function(endpointName, proxyRequest) {
+
+        var connectTimeout = getSetting(endpointName, 'connectTimeout');
+
+        if (!connectTimeout) {
+            return;
+        }
+
+        proxyRequest.on('socket', function(socket) {
+
+            if (!(socket.connecting || socket._connecting)) {
+                return;
+            }
+
+            var timer = setTimeout(function() {
+                var err = new Error('ETIMEDOUT');
+                err.code = 'ETIMEDOUT';
+                err.connect = true;
+
+                proxyRequest.abort();
+                proxyRequest.emit('error', err);
+            }, connectTimeout);
+
+            var clear = function() {
+                clearTimeout(timer);
+            };
+
+            socket.once('connect', clear);
+            proxyRequest.once('error', clear);
+            proxyRequest.once('abort', clear);
+        });
+    };
+
+    // Requests rejected by the circuit breaker fail without reaching the API
+    var unavailable = function(endpointName, retryAfter, callback) {
+
+        var err = new Error('The ' + endpointName + ' API is temporarily unavailable');
+        err.code = CIRCUIT_OPEN;
+        err.retryAfter = retryAfter;
+
+        var failedRequest = new PassThrough();
+
+        process.nextTick(function() {
+            if (callback) {
+                callback(err);
+            } else {
+                failedRequest.emit('error', err);
+            }
+        });
+
+        return failedRequest;
+    };
+
+    var buildUrl = function(baseUrl, path) {
+        return baseUrl + (path[0] === '/' ? path : '/' + path);
+    };
+
+    var copyOptions = function(options) {
+
+        if (typeof(options) === 'string') {
+            return { url: options };
+        }
+
+        var copy = {};
+
+        for (var key in options) {
+            if (key !== 'context') {
+                copy[key] = options[key];
+            }
+        }
+
+        return copy;
+    };
+
+    // The headers that propagate the request ID and the trace replace the ones given by the client
+    var addTraceHeaders = function(headers, traceHeaders) {
+
+        var result = {};
+        var header;
+
+        for (header in headers) {
+            if (!(header.toLowerCase() in traceHeaders)) {
+                result[header] = headers[header];
+            }
+        }
+
+        for (header in traceHeaders) {
+            result[header] = traceHeaders[header];
+        }
+
+        return result;
+    };
+
+    /**
+     * Makes a request to one of the replicas of an endpoint. The options are the ones of the
+     * request module but the url field contains only the path of the resource (including the
+     * path of the API). When a callback is given and the chosen replica cannot be reached, the
+     * request is sent to the remaining replicas, and failed requests with idempotent methods are
+     * retried, unless a body has been piped into them. When the circuit of the endpoint is open,
+     * the request fails with an error whose code is CIRCUIT_OPEN. The options can include the
+     * request being served in the context field, whose ID and trace are propagated to the API.
+     * @param {String} endpointName The name of the endpoint in config.endpoints
+     * @param {Object|String} options The options of the request or the path of the resource
+     * @param {Function} callback Optional callback with the request module signature
+     * @returns {Object} The request object of the first attempt
+     */
+    var makeRequest = function(endpointName, options, callback) {
+
+        var path = copyOptions(options).url;
+        var method = copyOptions(options).method;
+        var context = typeof(options) === 'object' ? options.context : null;
+        var readTimeout = getSetting(endpointName, 'readTimeout');
+        var tried = [];
+        var piped = false;
+        var retry = 0;
+
+        var attempt = function(baseUrl) {
+
+            var retryAfter = acquireCircuit(endpointName);
+
+            if (retryAfter) {
+                return unavailable(endpointName, retryAfter, callback);
+            }
+
+            var attemptOptions = copyOptions(options);
+            var replicaState = getReplicaState(endpointName, baseUrl);
+            var released = false;
+
+            var release = function() {
+                if (!released) {
+                    released = true;
+                    replicaState.activeRequests--;
+                }
+            };
+
+            attemptOptions.url = buildUrl(baseUrl, path);
+
+            var span = tracer.startSpan(context, 'upstream ' + endpointName, 'CLIENT', {
+                'http.method': (method || 'GET').toUpperCase(),
+                'http.url': attemptOptions.url
+            });
+
+            var traceHeaders = tracer.getHeaders(context, span);
+            var elapsed = metrics.startTimer();
+            var finished = false;
+
+            // Attempts are measured until the response is received. Failed ones are labelled with the error code
+            var finish = function(err, response) {
+
+                if (finished) {
+                    return;
+                }
+
+                finished = true;
+                span.end(err ? { error: err.code || err.message } : { 'http.status_code': response.statusCode });
+                requestDuration.observe({
+                    endpoint: endpointName,
+                    status: err ? err.code || 'error' : response.statusCode
+                }, elapsed());
+            };
+
+            if (Object.keys(traceHeaders).length) {
+                attemptOptions.headers = addTraceHeaders(attemptOptions.headers, traceHeaders);
+            }
+
+            if (readTimeout && attemptOptions.timeout === undefined) {
+                attemptOptions.timeout = readTimeout;
+            }
+
+            tried.push(baseUrl);
+            replicaState.activeRequests++;
+
+            if (!callback) {
+                var streamRequest = request(attemptOptions);
+                var recorded = false;
+
+                var record = function(failed) {
+                    if (!recorded) {
+                        recorded = true;
+                        recordResult(endpointName, failed);
+                    }
+                };
+
+                streamRequest.on('response', function(response) {
+                    finish(null, response);
+                    markHealthy(endpointName, baseUrl);
+                    record(isFailure(null, response));
+                });
+
+                streamRequest.on('error', function(err) {
+                    finish(err);
+                    if (isConnectionError(err)) {
+                        markUnhealthy(endpointName, baseUrl);
+                    }
+                    record(true);
+                    release();
+                });
+
+                // Requests aborted before the response (e.g. the client went away) do not tell whether
+                // the API works, but they must not leave the circuit waiting for their result
+                var abandon = function() {
+                    if (!recorded) {
+                        recorded = true;
+                        getEndpointState(endpointName).circuit.probing = false;
+                    }
+                    release();
+                };
+
+                streamRequest.on('end', release);
+                streamRequest.on('abort', abandon);
+                streamRequest.on('close', abandon);
+                applyTimeouts(endpointName, streamRequest);
+
+                return streamRequest;
+            }
+
+            var proxyRequest = request(attemptOptions, function(err, response, body) {
+
+                release();
+                recordResult(endpointName, isFailure(err, response));
+                finish(err, response);
+
+                if (isConnectionError(err)) {
+                    markUnhealthy(endpointName, baseUrl);
+
+                    var next = !piped ? selectReplica(endpointName, tried) : null;
+
+                    if (next) {
+                        return attempt(next);
+                    }
+
+                } else if (!err) {
+                    markHealthy(endpointName, baseUrl);
+                }
+
+                var delay = !piped ? getRetryDelay(endpointName, method, retry, err, response) : -1;
+
+                if (delay >= 0) {
+                    retry++;
+                    tried = [];
+
+                    return setTimeout(function() {
+                        attempt(selectReplica(endpointName));
+                    }, delay);
+                }
+
+                callback(err, response, body);
+            });
+
+            applyTimeouts(endpointName, proxyRequest);
+
+            return proxyRequest;
+        };
+
+        var firstRequest = attempt(selectReplica(endpointName));
+
+        if (firstRequest && typeof(firstRequest.on) === 'function') {
+            firstRequest.on('pipe', function() {
+                piped = true;
+            });
+        }
+
+        return firstRequest;
+    };
+
+    /**
+     * Returns the name of the endpoint whose path is the given one.
+     * @param {String} apiPath The path of the API (e.g. DSProductCatalog)
+     * @returns {String} The name of the endpoint in config.endpoints, or undefined if none matches
+     */
+    var getEndpointName = function(apiPath) {
+
+        for (var endpointName in config.endpoints) {
+            if (config.endpoints[endpointName].path === apiPath) {
+                return endpointName;
+            }
+        }
+    };
+
+    return {
+        CIRCUIT_OPEN: CIRCUIT_OPEN,
+        getEndpointName: getEndpointName,
+        getRetryAfter: getRetryAfter,
+        getRetryDelay: getRetryDelay,
+        getReplicas: getReplicas,
+        request: makeRequest
+    };
+
+})();
+
+exports.upstream = upstream;
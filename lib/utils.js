@@ -18,6 +18,8 @@
  */
 
 var config = require('./../config.js'),
+    crypto = require('crypto'),
+    errors = require('./errors').errors,
     url = require('url');
 
 /**
@@ -32,9 +34,20 @@ exports.log = function(logger, level, req, message) {
     var ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     var user = req.user ? req.user.id : 'Anonymous';
 
+    if (req.user && req.user.serviceAccount) {
+        user += ' (service account ' + req.user.serviceAccount.id + ')';
+    }
+
     logger[level]('%s - %s - %s - %s: %s - %s', req.id, ip, user, req.method, req.url, message);
 };
 
+// Roles are given as objects with a name by the identity providers, but plain names are accepted too
+var getRoleNames = function(user) {
+    return (user && Array.isArray(user.roles) ? user.roles : []).map(function(role) {
+        return (typeof(role) === 'string' ? role : role.name || '').toLowerCase();
+    });
+};
+
 /**
  * Attach user headers to a set of headers so that the underlying system can obtain
  * information of the user who is making the request without effort
@@ -54,14 +67,24 @@ exports.attachUserHeaders = function(headers, userInfo) {
         config.oauth2.roles.customer
     ];
 
-    for (var i = 0; i < userInfo.roles.length; i++) {
-        var role = userInfo.roles[i].name.toLowerCase();
+    getRoleNames(userInfo).forEach(function(role) {
         if (roles.indexOf(role) > -1) {
             headers['X-Roles'] += role + ',';
         }
+    });
+
+    // The organizations of the user, whether or not the user is acting on behalf of one of them
+    headers['X-Organizations'] = (userInfo.organizations || []).map(function(organization) {
+        return organization.id;
+    }).join(',');
+
+    if (userInfo.member) {
+        headers['X-Actor-Nick-Name'] = userInfo.member.id;
+    }
+
+    if (userInfo.serviceAccount) {
+        headers['X-Service-Account'] = userInfo.serviceAccount.id;
     }
-    // TODO: Parse organizations to send them in an appropriate way
-    // headers['X-Organizations'] = userInfo.organizations;
 };
 
 /**
@@ -82,29 +105,6 @@ exports.proxiedRequestHeaders = function(req) {
     return headers;
 };
 
-/**
- * Returns the actual port of an API given its path
- * @param {String} api The path of the API
- * @returns {Number} The port where the API is actually running
- */
-exports.getAPIPort = function(api) {
-
-    // Check accessed API
-    var ports = {};
-    ports[config.endpoints.catalog.path] = config.endpoints.catalog.port;
-    ports[config.endpoints.ordering.path] = config.endpoints.ordering.port;
-    ports[config.endpoints.inventory.path] = config.endpoints.inventory.port;
-    ports[config.endpoints.party.path] = config.endpoints.party.port;
-    ports[config.endpoints.customer.path] = config.endpoints.customer.port;
-    ports[config.endpoints.billing.path] = config.endpoints.billing.port;
-    ports[config.endpoints.charging.path] = config.endpoints.charging.port;
-    ports[config.endpoints.rss.path] = config.endpoints.rss.port;
-    ports[config.endpoints.usage.path] = config.endpoints.usage.port;
-
-    // Return related port
-    return ports[api];
-};
-
 /**
  * Generates a valid URL based on the given parameters
  * @param {Boolean} ssl
@@ -176,7 +176,7 @@ exports.sendUnauthorized = function(res, errMsg) {
     var authHeader = 'IDM uri = ' + config.oauth2.server;
     res.set('WWW-Authenticate', authHeader);
     res.status(401);
-    res.send({ error: errMsg });
+    res.send(errors.toBody(errors.create('INVALID_AUTH_TOKEN', null, errMsg)));
 };
 
 /**
@@ -224,10 +224,7 @@ exports.updateBody = function(req, newBody) {
  * @param {Function} callback
  */
 exports.methodNotAllowed = function(req, callback) {
-    callback({
-        status: 405,
-        message: 'The HTTP method ' + req.method + ' is not allowed in the accessed API'
-    });
+    callback(errors.create('METHOD_NOT_ALLOWED', { method: req.method }));
 };
 
 /**
@@ -239,10 +236,7 @@ exports.validateLoggedIn = function(req, callback) {
     if (req.user) {
         callback();
     } else {
-        callback({
-            status: 401,
-            message: 'You need to be authenticated to perform this request'
-        });
+        callback(errors.create('NOT_AUTHENTICATED'));
     }
 };
 
@@ -260,9 +254,7 @@ exports.isAdmin = function (user) {
  * @param {String} roleName
  */
 exports.hasRole = function (user, roleName) {
-    return user != null && 'roles' in user && user.roles.some(function (role) {
-        return role.name.toLowerCase() === roleName.toLowerCase();
-    });
+    return getRoleNames(user).indexOf(roleName.toLowerCase()) >= 0;
 };
 
 /**
@@ -279,3 +271,49 @@ exports.emptyObject = function emptyObject(object) {
     return !Object.keys(object).length;
 };
 
+
+// Secrets are encrypted with AES-GCM, using a key derived from the session secret
+var ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+var IV_LENGTH = 12;
+var AUTH_TAG_LENGTH = 16;
+
+var getEncryptionKey = function() {
+    return crypto.createHash('sha256').update(String(config.sessionSecret)).digest();
+};
+
+/**
+ * Encrypts a secret (e.g. an access token) kept by the proxy in the database
+ * @param {String} text The secret
+ * @returns {String} The encrypted secret, encoded in base64
+ */
+exports.encrypt = function(text) {
+
+    var iv = crypto.randomBytes(IV_LENGTH);
+    var cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), iv);
+    var encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+/**
+ * Decrypts a secret encrypted with encrypt
+ * @param {String} value The encrypted secret
+ * @returns {String} The secret, or null when it cannot be decrypted (e.g. the session secret has changed)
+ */
+exports.decrypt = function(value) {
+
+    try {
+        var data = Buffer.from(value, 'base64');
+        var decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), data.slice(0, IV_LENGTH));
+
+        decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+
+        return Buffer.concat([
+            decipher.update(data.slice(IV_LENGTH + AUTH_TAG_LENGTH)),
+            decipher.final()
+        ]).toString('utf8');
+
+    } catch (e) {
+        return null;
+    }
+};
@@ -69,7 +69,10 @@
             ORDER_CREATED: '$eventOrderCreated',
             MESSAGE_CREATED: '$eventMessageCreated',
             MESSAGE_CLOSED: '$eventMessageClosed',
-            ORDERING_COMPLETED: '$eventOrderingCompleted'
+            ORDERING_COMPLETED: '$eventOrderingCompleted',
+            ORDER_UPDATED: '$eventOrderUpdated',
+            PRODUCT_UPDATED: '$eventProductUpdated',
+            BILLING_ACCOUNT_UPDATED: '$eventBillingAccountUpdated'
         })
         .constant('PARTY_ROLES', {
             OWNER: 'Owner',
@@ -31,20 +31,26 @@
         .controller('BillingAccountSearchCtrl', BillingAccountSearchController)
         .controller('BillingAccountCreateCtrl', BillingAccountCreateController);
 
-    function BillingAccountSearchController(DATA_STATUS, Utils, BillingAccount) {
+    function BillingAccountSearchController($scope, DATA_STATUS, EVENTS, Utils, BillingAccount) {
         /* jshint validthis: true */
         var vm = this;
 
         vm.list = [];
         vm.status = DATA_STATUS.LOADING;
 
-        BillingAccount.search().then(function (billingAccounts) {
-            vm.list = billingAccounts;
-            vm.status = DATA_STATUS.LOADED;
-        }, function (response) {
-            vm.errorMessage = Utils.parseError(response, 'Unexpected error trying to retrieve the list of billingAccounts.');
-            vm.status = DATA_STATUS.ERROR;
-        });
+        loadList();
+
+        $scope.$on(EVENTS.BILLING_ACCOUNT_UPDATED, loadList);
+
+        function loadList() {
+            BillingAccount.search().then(function (billingAccounts) {
+                vm.list = billingAccounts;
+                vm.status = DATA_STATUS.LOADED;
+            }, function (response) {
+                vm.errorMessage = Utils.parseError(response, 'Unexpected error trying to retrieve the list of billingAccounts.');
+                vm.status = DATA_STATUS.ERROR;
+            });
+        }
     }
 
     function BillingAccountCreateController($scope, $rootScope, $controller, COUNTRIES, EVENTS, PROMISE_STATUS, Utils, BillingAccount, Customer) {
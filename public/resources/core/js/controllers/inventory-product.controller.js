@@ -35,7 +35,7 @@
         .controller('InventorySearchCtrl', InventorySearchController)
         .controller('InventoryDetailsCtrl', ProductDetailController);
 
-    function InventorySearchController($state, $rootScope, EVENTS, InventoryProduct, INVENTORY_STATUS, Utils) {
+    function InventorySearchController($scope, $state, $rootScope, EVENTS, InventoryProduct, INVENTORY_STATUS, Utils) {
         /* jshint validthis: true */
         var vm = this;
 
@@ -46,13 +46,20 @@
 
         vm.showFilters = showFilters;
 
-        InventoryProduct.search($state.params).then(function (productList) {
-            vm.list.status = LOADED;
-            angular.copy(productList, vm.list);
-        }, function (response) {
-            vm.error = Utils.parseError(response, 'It was impossible to load the list of products');
-            vm.list.status = ERROR;
-        });
+        loadList();
+
+        // The list is refreshed when the products change (e.g. their status), keeping the current one meanwhile
+        $scope.$on(EVENTS.PRODUCT_UPDATED, loadList);
+
+        function loadList() {
+            InventoryProduct.search($state.params).then(function (productList) {
+                vm.list.status = LOADED;
+                angular.copy(productList, vm.list);
+            }, function (response) {
+                vm.error = Utils.parseError(response, 'It was impossible to load the list of products');
+                vm.list.status = ERROR;
+            });
+        }
 
         function showFilters() {
             $rootScope.$broadcast(EVENTS.FILTERS_OPENED, INVENTORY_STATUS);
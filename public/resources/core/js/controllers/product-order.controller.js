@@ -39,7 +39,7 @@
         .controller('ProductOrderCreateCtrl', ProductOrderCreateController)
         .controller('ProductOrderDetailCtrl', ProductOrderDetailController);
 
-    function ProductOrderSearchController($state, $rootScope, EVENTS, PRODUCTORDER_STATUS, PRODUCTORDER_LIFECYCLE, ProductOrder, Utils) {
+    function ProductOrderSearchController($scope, $state, $rootScope, EVENTS, PRODUCTORDER_STATUS, PRODUCTORDER_LIFECYCLE, ProductOrder, Utils) {
         /* jshint validthis: true */
         var vm = this;
 
@@ -57,13 +57,20 @@
         vm.cancelOrder = cancelOrder;
         vm.cancellingOrder = false;
 
-        ProductOrder.search($state.params).then(function (productOrderList) {
-            angular.copy(productOrderList, vm.list);
-            vm.list.status = LOADED;
-        }, function (response) {
-            vm.error = Utils.parseError(response, 'It was impossible to load the list of catalogs');
-            vm.list.status = ERROR;
-        });
+        loadList();
+
+        // The list is refreshed when the orders change (e.g. their state), keeping the current one meanwhile
+        $scope.$on(EVENTS.ORDER_UPDATED, loadList);
+
+        function loadList() {
+            ProductOrder.search($state.params).then(function (productOrderList) {
+                angular.copy(productOrderList, vm.list);
+                vm.list.status = LOADED;
+            }, function (response) {
+                vm.error = Utils.parseError(response, 'It was impossible to load the list of catalogs');
+                vm.list.status = ERROR;
+            });
+        }
 
         function showFilters() {
             $rootScope.$broadcast(EVENTS.FILTERS_OPENED, PRODUCTORDER_STATUS);
@@ -374,7 +381,7 @@
         initOrder();
     }
 
-    function ProductOrderDetailController($rootScope, $state, EVENTS, PROMISE_STATUS, PRODUCTORDER_STATUS, Utils, User, ProductOrder) {
+    function ProductOrderDetailController($scope, $rootScope, $state, EVENTS, PROMISE_STATUS, PRODUCTORDER_STATUS, Utils, User, ProductOrder) {
         /* jshint validthis: true */
         var vm = this;
 
@@ -393,15 +400,25 @@
         vm.deliverProduct = deliverProduct;
         vm.cancel = cancel;
 
-        ProductOrder.detail($state.params.productOrderId).then(function (productOrderRetrieved) {
-            vm.item = productOrderRetrieved;
-            vm.item.status = LOADED;
-            vm.comments = createComments(vm.item.note);
-        }, function (response) {
-            vm.error = Utils.parseError(response, 'The requested product order could not be retrieved');
-            vm.item.status = ERROR;
+        loadItem();
+
+        $scope.$on(EVENTS.ORDER_UPDATED, function (event, change) {
+            if (change.resource.id === $state.params.productOrderId) {
+                loadItem();
+            }
         });
 
+        function loadItem() {
+            ProductOrder.detail($state.params.productOrderId).then(function (productOrderRetrieved) {
+                vm.item = productOrderRetrieved;
+                vm.item.status = LOADED;
+                vm.comments = createComments(vm.item.note);
+            }, function (response) {
+                vm.error = Utils.parseError(response, 'The requested product order could not be retrieved');
+                vm.item.status = ERROR;
+            });
+        }
+
         vm.note = {
             text: ""
         };
@@ -0,0 +1,101 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Francisco de la Vega <fdelavega@conwet.com>
+ *         Jaime Pajuelo <jpajuelo@conwet.com>
+ *         Aitor Magán <amagan@conwet.com>
+ */
+
+(function () {
+
+    'use strict';
+
+    angular
+        .module('app')
+        .controller('SessionListCtrl', SessionListController);
+
+    function SessionListController($rootScope, $window, DATA_STATUS, EVENTS, Utils, Session) {
+        /* jshint validthis: true */
+        var vm = this;
+
+        vm.sessions = [];
+        vm.tokens = [];
+        vm.status = DATA_STATUS.LOADING;
+
+        vm.terminate = terminate;
+        vm.terminateOthers = terminateOthers;
+        vm.revokeToken = revokeToken;
+
+        load();
+
+        function load() {
+            Session.list().then(function (result) {
+                vm.sessions = result.sessions;
+                vm.tokens = result.tokens;
+                vm.status = DATA_STATUS.LOADED;
+            }, function (response) {
+                vm.errorMessage = Utils.parseError(response, 'Unexpected error trying to retrieve your sessions.');
+                vm.status = DATA_STATUS.ERROR;
+            });
+        }
+
+        function notifyError(message) {
+            return function (response) {
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, 'error', {
+                    error: Utils.parseError(response, message)
+                });
+            };
+        }
+
+        function terminate(session) {
+            Session.terminate(session).then(function () {
+                // Terminating the current session logs the user out
+                if (session.current) {
+                    $window.location.reload();
+                    return;
+                }
+
+                vm.sessions.splice(vm.sessions.indexOf(session), 1);
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, 'success', {
+                    message: 'The session was terminated.'
+                });
+            }, notifyError('Unexpected error trying to terminate the session.'));
+        }
+
+        function terminateOthers() {
+            Session.terminateOthers().then(function () {
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, 'success', {
+                    message: 'The rest of your sessions were terminated.'
+                });
+                load();
+            }, notifyError('Unexpected error trying to terminate your sessions.'));
+        }
+
+        function revokeToken(token) {
+            Session.revokeToken(token).then(function () {
+                vm.tokens.splice(vm.tokens.indexOf(token), 1);
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, 'success', {
+                    message: 'The access token was revoked.'
+                });
+            }, notifyError('Unexpected error trying to revoke the access token.'));
+        }
+    }
+
+})();
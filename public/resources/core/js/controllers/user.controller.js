@@ -39,7 +39,7 @@
         .controller('UserProfileCtrl', UserProfileController)
         .controller('UserShoppingCartCtrl', UserShoppingCartController);
 
-    function UserController($state, $scope, $rootScope, EVENTS, LIFECYCLE_STATUS, FILTER_STATUS, User) {
+    function UserController($state, $scope, $rootScope, $window, EVENTS, LIFECYCLE_STATUS, FILTER_STATUS, User, Utils) {
         /* jshint validthis: true */
         var vm = this;
         vm.itemsContained = {};
@@ -55,6 +55,7 @@
         vm.order = order;
         vm.contains = contains;
         vm.signOut = signOut;
+        vm.switchOrganization = switchOrganization;
         vm.showProfile = showProfile;
         vm.isAdmin = isAdmin;
         vm.isSeller = isSeller;
@@ -101,6 +102,20 @@
         function signOut() {
             return document.signOutForm.submit();
         }
+
+        function switchOrganization($event) {
+            // The individual account is not linked to any organization
+            var organizationId = angular.element($event.currentTarget).attr('data-organization') || null;
+
+            User.switchOrganization(organizationId).then(function () {
+                // Resources are owned by the active party, so every view is loaded again
+                $window.location.reload();
+            }, function (response) {
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, 'error', {
+                    error: Utils.parseError(response, 'The organization cannot be selected')
+                });
+            });
+        }
     }
 
     function UserProfileController($scope, $element, EVENTS, User) {
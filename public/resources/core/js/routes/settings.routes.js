@@ -77,6 +77,11 @@
                 url: '/business',
                 templateUrl: 'settings/contact/business/update',
                 controller: 'IndividualUpdateCtrl as updateVM'
+            })
+            .state('settings.sessions', {
+                url: '/sessions',
+                templateUrl: 'settings/sessions',
+                controller: 'SessionListCtrl as listVM'
             });
     }
 
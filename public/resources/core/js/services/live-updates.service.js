@@ -0,0 +1,102 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Francisco de la Vega <fdelavega@conwet.com>
+ *         Jaime Pajuelo <jpajuelo@conwet.com>
+ *         Aitor Magán <amagan@conwet.com>
+ */
+
+(function () {
+
+    'use strict';
+
+    angular
+        .module('app')
+        .factory('LiveUpdates', LiveUpdatesService)
+        .run(function ($injector, LiveUpdates) {
+            // Only logged users receive the changes of their resources
+            if ($injector.has('LOGGED_USER')) {
+                LiveUpdates.connect($injector.get('LOGGED_USER'));
+            }
+        });
+
+    function LiveUpdatesService($rootScope, $window, URLS, EVENTS) {
+        // Events broadcast for the changes of every type of resource, and the messages shown to the user
+        var STREAMS = {
+            productOrder: {
+                event: EVENTS.ORDER_UPDATED,
+                resource: 'order'
+            },
+            product: {
+                event: EVENTS.PRODUCT_UPDATED,
+                resource: 'product'
+            },
+            billingAccount: {
+                event: EVENTS.BILLING_ACCOUNT_UPDATED
+            }
+        };
+
+        var source = null;
+
+        return {
+            connect: connect,
+            disconnect: disconnect
+        };
+
+        function connect(loggedUser) {
+            // The browser reconnects by itself when the connection is lost
+            if (source || !URLS.LIVE_UPDATES || !$window.EventSource) {
+                return;
+            }
+
+            source = new $window.EventSource(URLS.LIVE_UPDATES);
+
+            Object.keys(STREAMS).forEach(function (type) {
+                source.addEventListener(type, function (event) {
+                    var change = angular.fromJson(event.data);
+
+                    $rootScope.$apply(function () {
+                        notifyChange(STREAMS[type], change, loggedUser);
+                    });
+                });
+            });
+        }
+
+        function disconnect() {
+            if (source) {
+                source.close();
+                source = null;
+            }
+        }
+
+        function notifyChange(stream, change, loggedUser) {
+            $rootScope.$broadcast(stream.event, change);
+
+            // The changes made by the user are already notified by the views where they are made
+            if (stream.resource && change.user !== loggedUser.id) {
+                $rootScope.$broadcast(EVENTS.MESSAGE_ADDED, change.action, {
+                    resource: stream.resource,
+                    name: change.resource.id
+                });
+            }
+        }
+    }
+
+})();
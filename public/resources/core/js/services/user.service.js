@@ -25,7 +25,7 @@
         .module('app')
         .factory('User', UserService);
 
-    function UserService($resource, $injector, $location, URLS, PARTY_ROLES) {
+    function UserService($resource, $http, $injector, $location, URLS, PARTY_ROLES) {
         var resource = $resource(URLS.USER, {
             username: '@id'
         }, {
@@ -42,7 +42,8 @@
             loggedUser: loggedUser,
             isAuthenticated: isAuthenticated,
             serialize: serialize,
-            serializeBasic: serializeBasic
+            serializeBasic: serializeBasic,
+            switchOrganization: switchOrganization
         };
 
         function detail(next) {
@@ -64,6 +65,12 @@
             return userInfo;
         }
 
+        function switchOrganization(organizationId) {
+            return $http.post(URLS.ORGANIZATIONS + '/active', {
+                organization: organizationId
+            });
+        }
+
         function serializeBasic() {
             return {
                 id: loggedUser.id,
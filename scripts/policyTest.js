@@ -0,0 +1,113 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Evaluates sample requests against the access policies without contacting any API:
+ *
+ *     npm run policy-test -- <samples file> [policy files...]
+ *
+ * The policies in config.policies are used when no policy file is given. The samples file contains
+ * a list of samples with the request, the accessed resource (if any rule checks it) and the
+ * expected effect, e.g.:
+ *
+ *     {
+ *         "name": "Customers cannot create offerings",
+ *         "request": {
+ *             "method": "POST",
+ *             "url": "/DSProductCatalog/api/catalogManagement/v2/productOffering",
+ *             "user": { "id": "alice", "roles": ["customer"] },
+ *             "body": { "name": "Offering" }
+ *         },
+ *         "resource": null,
+ *         "expect": "deny"
+ *     }
+ *
+ * The process exits with an error when any decision is not the expected one.
+ */
+
+var config = require('./../config'),
+    fs = require('fs'),
+    path = require('path'),
+    policies = require('./../lib/policies').policies;
+
+var buildRequest = function(sample) {
+
+    var request = sample.request || {};
+    var user = request.user ? {
+        id: request.user.id,
+        roles: (request.user.roles || []).map(function(role) {
+            return { name: role };
+        })
+    } : null;
+
+    return {
+        method: (request.method || 'GET').toUpperCase(),
+        apiUrl: request.url,
+        headers: request.headers || {},
+        user: user,
+        body: request.body !== undefined ? JSON.stringify(request.body) : undefined,
+        hostname: request.hostname || config.appHost || 'localhost',
+        secure: !!request.secure
+    };
+};
+
+var printDecision = function(sample, decision) {
+
+    var failed = sample.expect && sample.expect !== decision.effect;
+
+    console.log('%s %s: %s', failed ? 'FAIL' : 'OK  ', sample.name, policies.describe(decision));
+
+    if (!decision.allowed) {
+        console.log('     %d %s', decision.status, decision.message);
+    }
+
+    decision.explanation.forEach(function(step) {
+        var result = step.result === null ? 'unknown' : step.result ? 'applies' : 'does not apply';
+        console.log('     - %s (%s): %s, %s', step.rule, step.effect, result, step.reason);
+    });
+
+    return !failed;
+};
+
+var main = function(args) {
+
+    if (!args.length) {
+        console.error('Usage: npm run policy-test -- <samples file> [policy files...]');
+        return 2;
+    }
+
+    // Policy files given in the command line are relative to the working directory
+    var policyFiles = args.length > 1 ? args.slice(1).map(function(file) {
+        return path.resolve(file);
+    }) : (config.policies || {}).files || [];
+
+    var rules = policies.readRules(policyFiles);
+
+    var samples = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+
+    var passed = samples.filter(function(sample) {
+        return printDecision(sample, policies.decide(rules, buildRequest(sample), sample.resource));
+    }).length;
+
+    console.log('\n%d of %d samples give the expected decision', passed, samples.length);
+
+    return passed === samples.length ? 0 : 1;
+};
+
+process.exitCode = main(process.argv.slice(2));
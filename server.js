@@ -1,91 +1,105 @@
-var authorizeService = require('./controllers/authorizeService').authorizeService,
+var config = require('./config'),
+    configuration = require('./lib/configuration').configuration,
+    path = require('path');
+
+
+/////////////////////////////////////////////////////////////////////
+/////////////////////////////// CONFIG //////////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+// node server.js --check-config [config file] validates the configuration without starting the server
+var CHECK_CONFIG_OPTION = '--check-config';
+
+var checkConfig = function(configFile) {
+
+    var checkedConfig = configFile ? require(path.resolve(configFile)) : config;
+    var result = configuration.load(checkedConfig, process.env);
+
+    if (result.applied.length) {
+        console.log('Settings overridden by: ' + result.applied.join(', '));
+    }
+
+    result.errors.forEach(function(error) {
+        console.error('Invalid setting ' + error);
+    });
+
+    console.log(result.errors.length ? 'The configuration is not valid' : 'The configuration is valid');
+
+    return result.errors.length ? 1 : 0;
+};
+
+var checkConfigIndex = process.argv.indexOf(CHECK_CONFIG_OPTION);
+
+if (checkConfigIndex >= 0) {
+    process.exit(checkConfig(process.argv[checkConfigIndex + 1]));
+}
+
+// The configuration is completed before any module reads it
+var configResult = configuration.load(config, process.env);
+
+if (configResult.errors.length) {
+    configResult.errors.forEach(function(error) {
+        console.error('Invalid setting ' + error);
+    });
+
+    process.exit(1);
+}
+
+var audit = require('./lib/audit').audit,
+    authorizeService = require('./controllers/authorizeService').authorizeService,
+    batch = require('./controllers/batch').batch,
     bodyParser = require('body-parser'),
     base64url = require('base64url'),
-    config = require('./config'),
     constants = require('constants'),
     cookieParser = require('cookie-parser'),
     errorhandler = require('errorhandler'),
+    errors = require('./lib/errors').errors,
+    events = require('./lib/events').events,
     express = require('express'),
-    FIWAREStrategy = require('passport-fiware-oauth').OAuth2Strategy,
     fs = require('fs'),
+    health = require('./lib/health').health,
+    identityProviders = require('./lib/identityProviders').identityProviders,
     https = require('https'),
-    logger = require('./lib/logger').logger.getLogger("Server"),
+    lifecycle = require('./lib/lifecycle').lifecycle,
+    liveUpdates = require('./lib/liveUpdates').liveUpdates,
+    log = require('./lib/logger'),
+    logger = log.logger.getLogger("Server"),
+    metrics = require('./lib/metrics').metrics,
     mongoose = require('mongoose'),
     onFinished = require('on-finished'),
+    openapi = require('./controllers/openapi').openapi,
+    organizations = require('./lib/organizations').organizations,
     passport = require('passport'),
+    plugins = require('./lib/plugins').plugins,
+    policies = require('./lib/policies').policies,
+    rateLimiter = require('./lib/rateLimit').rateLimiter,
+    serviceAccounts = require('./lib/serviceAccounts').serviceAccounts,
     session = require('express-session'),
+    sessions = require('./lib/sessions').sessions,
     shoppingCart = require('./controllers/shoppingCart').shoppingCart,
     tmf = require('./controllers/tmf').tmf,
+    tokenCache = require('./lib/tokenCache').tokenCache,
+    tracer = require('./lib/tracing').tracer,
     trycatch = require('trycatch'),
     url = require('url'),
-    utils = require('./lib/utils'),
-    uuid = require('node-uuid');
-
-
-/////////////////////////////////////////////////////////////////////
-////////////////////////// CONFIG CHECKERS //////////////////////////
-/////////////////////////////////////////////////////////////////////
-
-var checkPrefix = function(prefix, byDefault) {
-    var finalPrefix = prefix === undefined ? byDefault : prefix;
-
-    // Remove the last slash
-    if (finalPrefix.slice(-1) == '/') {
-        finalPrefix = finalPrefix.slice(0, -1);
-    }
-
-    // If a prefix is set, the prefix MUST start with a slash
-    // When the prefix is not set, the slash is NOT required
-    if (finalPrefix.length > 0 && finalPrefix.charAt(0) !== '/') {
-        finalPrefix = '/' + finalPrefix;
-    }
-
-    return finalPrefix;
-};
-
-// TODO: Add more checkers (if required)
-
-/////////////////////////////////////////////////////////////////////
-/////////////////////////////// CONFIG //////////////////////////////
-/////////////////////////////////////////////////////////////////////
+    utils = require('./lib/utils');
 
 // OAuth2 Came From Field
 var OAUTH2_CAME_FROM_FIELD = 'came_from_path';
 
-// Get preferences and set up default values
-config.sessionSecret = config.sessionSecret || 'keyboard cat';
-config.https = config.https || {};
-config.proxyPrefix = checkPrefix(config.proxyPrefix, '');
-config.portalPrefix = checkPrefix(config.portalPrefix, '');
-config.shoppingCartPath = checkPrefix(config.shoppingCartPath, '/shoppingCart');
-config.authorizeServicePath = checkPrefix(config.authorizeServicePath, '/authorizeService');
-config.logInPath = config.logInPath || '/login';
-config.logOutPath = config.logOutPath || '/logout';
-config.appHost = config.appHost || 'localhost';
-config.mongoDb = config.mongoDb || {};
-config.mongoDb.user = config.mongoDb.user || '';
-config.mongoDb.password = config.mongoDb.password || '';
-config.mongoDb.server = config.mongoDb.server || 'localhost';
-config.mongoDb.port = config.mongoDb.port || 27017;
-config.mongoDb.db = config.mongoDb.db || 'belp';
-config.revenueModel = (config.revenueModel && config.revenueModel >= 0 && config.revenueModel <= 100 ) ? config.revenueModel : 30;
+if (configResult.applied.length) {
+    logger.info('Settings overridden by: ' + configResult.applied.join(', '));
+}
+
+// Plugins and access policies are loaded before any request is served
+plugins.load();
+policies.load();
 
 var PORT = config.https.enabled ? 
     config.https.port || 443 :      // HTTPS
     config.port || 80;              // HTTP
 
-var FIWARE_STRATEGY = new FIWAREStrategy({
-        clientID: config.oauth2.clientID,
-        clientSecret: config.oauth2.clientSecret,
-        callbackURL: config.oauth2.callbackURL,
-        serverURL: config.oauth2.server
-    },
-
-    function(accessToken, refreshToken, profile, done) {
-        profile['accessToken'] = accessToken;
-        done(null, profile);
-    }
-);
+var IDENTITY_PROVIDER = identityProviders.create(config.oauth2);
 
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
 
@@ -117,6 +131,14 @@ mongoose.connection.on('reconnected', function() {
     logger.info('Connection with MongoDB reopened');
 });
 
+var isMongoUp = function() {
+    return mongoose.connection.readyState === 1;
+};
+
+metrics.gauge('proxy_mongodb_up', 'Whether the connection with MongoDB is open', [], function() {
+    return isMongoUp() ? 1 : 0;
+});
+
 
 /////////////////////////////////////////////////////////////////////
 ////////////////////////////// EXPRESS //////////////////////////////
@@ -124,6 +146,7 @@ mongoose.connection.on('reconnected', function() {
 
 var app = express();
 app.set('port', PORT);
+app.set('trust proxy', config.trustProxy);
 
 app.use(function(req, res, next){
     trycatch(function(){
@@ -134,26 +157,33 @@ app.use(function(req, res, next){
     });
 });
 
-// Session
+// Metrics are served before the session is created, so scrapes do not create sessions
+app.use(metrics.middleware);
+
+if (config.metrics.enabled) {
+    app.get(config.metrics.path, metrics.handler);
+}
+
+// Probes of the orchestrator
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+
+// Session. Sessions are stored in MongoDB once they are modified (e.g. when the user logs in)
 app.use(session({
     secret: config.sessionSecret,
-    resave: true,
-    saveUninitialized: true
+    store: sessions.createStore(),
+    resave: false,
+    saveUninitialized: false
 }));
 
 app.use(cookieParser());
 
-app.use(bodyParser.text({
-    type: '*/*',
-    limit: '50mb'
-}));
+// Request ID and trace context
+app.use(tracer.middleware);
 
 // Logging Handler
 app.use(function(req, res, next) {
-    req.id = uuid.v4();
-
     utils.log(logger, 'debug', req, 'Headers: ' + JSON.stringify(req.headers));
-    utils.log(logger, 'debug', req, 'Body: ' + JSON.stringify(req.body));
 
     onFinished(res, function(err, res) {
         var logLevel = Math.floor(res.statusCode / 100) < 4 ? 'info': 'warn';
@@ -163,6 +193,22 @@ app.use(function(req, res, next) {
     next();
 });
 
+// Bodies are only read when they are going to be used. Otherwise, they are streamed
+var textBodyParser = bodyParser.text({
+    type: '*/*',
+    limit: '50mb'
+});
+
+var parseBody = function(req, res, next) {
+    textBodyParser(req, res, function(err) {
+        if (!err) {
+            utils.log(logger, 'debug', req, 'Body: ' + JSON.stringify(req.body));
+        }
+
+        next(err);
+    });
+};
+
 // Static files && templates
 app.use(config.portalPrefix + '/', express.static(__dirname + '/public'));
 app.set('views', __dirname + '/views');
@@ -183,9 +229,9 @@ var getOAuth2State = function(path) {
 var ensureAuthenticated = function(req, res, next) {
     if (!req.isAuthenticated()) {
         var encodedState = getOAuth2State(req.url);
-        // This action will redirect the user the FIWARE Account portal,
+        // This action will redirect the user to the identity provider,
         // so the next callback is not required to be called
-        passport.authenticate('fiware', { scope: ['all_info'], state: encodedState })(req, res);
+        passport.authenticate(IDENTITY_PROVIDER.name, { scope: IDENTITY_PROVIDER.scope, state: encodedState })(req, res);
     } else {
         next();
     }
@@ -194,8 +240,7 @@ var ensureAuthenticated = function(req, res, next) {
 var failIfNotAuthenticated = function(req, res, next) {
 
     if (!req.isAuthenticated()) {
-        res.status(401);
-        res.json({ error: 'You need to be authenticated to access this resource' });
+        errors.send(res, errors.create('SESSION_REQUIRED'));
         res.end();
     } else {
         next();
@@ -203,14 +248,24 @@ var failIfNotAuthenticated = function(req, res, next) {
 
 };
 
-var headerAuthentication = function(req, res, next) {
+// Profiles are cached, so the identity provider is not asked for every request. The tokens of the
+// service accounts are issued by the proxy, so the identity provider does not know them
+var getUserProfile = function(authToken, callback) {
+    if (serviceAccounts.isServiceToken(authToken)) {
+        serviceAccounts.getProfile(authToken, callback);
+    } else {
+        tokenCache.getProfile(authToken, IDENTITY_PROVIDER.getProfile, callback);
+    }
+};
+
+var apiHeaderAuthentication = function(req, res, next) {
 
     // If the user is already logged, this is not required...
     if (!req.user) {
 
         try {
             var authToken = utils.getAuthToken(req.headers);
-            FIWARE_STRATEGY.userProfile(authToken, function (err, userProfile) {
+            getUserProfile(authToken, function (err, userProfile) {
                 if (err) {
                     utils.log(logger, 'warn', req, 'Token ' + authToken + ' invalid');
                     utils.sendUnauthorized(res, 'invalid auth-token');
@@ -222,7 +277,7 @@ var headerAuthentication = function(req, res, next) {
                     } else {
                         req.user = userProfile;
                         req.user.accessToken = authToken;
-                        next();
+                        organizations.setActiveParty(req, res, next);
                     }
                 }
             });
@@ -243,59 +298,44 @@ var headerAuthentication = function(req, res, next) {
     }
 };
 
-// Replace userProfile function to check
-
-var tokensCache = {};
-
-FIWARE_STRATEGY._userProfile = FIWARE_STRATEGY.userProfile;
-
-FIWARE_STRATEGY.userProfile = function(authToken, callback) {
-
-    // TODO: Remove tokens from the cache every hour...
-
-    if (tokensCache[authToken]) {
-        logger.debug('Using cached token for user ' +  tokensCache[authToken].id);
-        callback(null, tokensCache[authToken]);
-    } else {
-
-        FIWARE_STRATEGY._userProfile(authToken, function(err, userProfile) {
-
-            if (err) {
-                callback(err);
-            } else {
-                logger.debug('Token for user ' + userProfile.id + ' stored');
-                tokensCache[authToken] = userProfile;
-                callback(err, userProfile);
-            }
-        });
-    }
+// The scopes of the service accounts only refer to the APIs, so their tokens are only accepted by
+// the TMF proxy, which checks the scopes of every request
+var headerAuthentication = function(req, res, next) {
+    apiHeaderAuthentication(req, res, function(err) {
+        if (err) {
+            next(err);
+        } else {
+            serviceAccounts.rejectServiceAccounts(req, res, next);
+        }
+    });
 };
 
+// Configure Passport to use the identity provider as authentication strategy. Sessions only keep
+// the user ID and the encrypted access token, and the profile is read through the token cache
+sessions.setIdentityProvider(IDENTITY_PROVIDER);
 
-// Configure Passport to use FIWARE as authentication strategy
+passport.serializeUser(sessions.serializeUser);
+passport.deserializeUser(sessions.deserializeUser);
 
-passport.serializeUser(function(user, done) {
-    done(null, user);
-});
-
-passport.deserializeUser(function(obj, done) {
-    done(null, obj);
-});
-
-passport.use(FIWARE_STRATEGY);
+passport.use(IDENTITY_PROVIDER.strategy);
 
 // Passport middlewares
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Users of the portal may act on behalf of the organization selected for their session
+app.use(organizations.setActiveParty);
+
 // Handler for logging in...
 app.all(config.logInPath, function(req, res) {
     var encodedState = getOAuth2State(utils.getCameFrom(req));
-    passport.authenticate('fiware', { scope: ['all_info'], state: encodedState })(req, res);
+    passport.authenticate(IDENTITY_PROVIDER.name, { scope: IDENTITY_PROVIDER.scope, state: encodedState })(req, res);
 });
 
 // Handler for the callback
-app.get('/auth/fiware/callback', passport.authenticate('fiware', { failureRedirect: '/error' }), function(req, res) {
+app.get('/auth/' + IDENTITY_PROVIDER.name + '/callback', passport.authenticate(IDENTITY_PROVIDER.name, {
+    failureRedirect: '/error'
+}), function(req, res) {
 
     var state = JSON.parse(base64url.decode(req.query.state));
     var redirectPath = state[OAUTH2_CAME_FROM_FIELD] !== undefined ? state[OAUTH2_CAME_FROM_FIELD] : '/';
@@ -303,12 +343,8 @@ app.get('/auth/fiware/callback', passport.authenticate('fiware', { failureRedire
     res.redirect(redirectPath);
 });
 
-// Handler to destroy sessions
-app.all(config.logOutPath, function(req, res) {
-    // Destroy the session and redirect the user to the main page
-    req.session.destroy();
-    res.redirect(config.portalPrefix + '/');
-});
+// Handler to destroy sessions, which revokes their access token as well
+app.all(config.logOutPath, sessions.logout);
 
 
 /////////////////////////////////////////////////////////////////////
@@ -318,12 +354,11 @@ app.all(config.logOutPath, function(req, res) {
 var checkMongoUp = function(req, res, next) {
 
     // We lost connection!
-    if (mongoose.connection.readyState !== 1) {
+    if (!isMongoUp()) {
 
         // Connection is down!
 
-        res.status(500);
-        res.json({ error: 'It was impossible to connect with the database. Please, try again in a few seconds.' });
+        errors.send(res, errors.create('DATABASE_UNAVAILABLE'));
         res.end();
 
     }  else {
@@ -332,7 +367,7 @@ var checkMongoUp = function(req, res, next) {
 
 };
 
-app.use(config.shoppingCartPath + '/*', checkMongoUp, headerAuthentication, failIfNotAuthenticated);
+app.use(config.shoppingCartPath + '/*', checkMongoUp, headerAuthentication, failIfNotAuthenticated, parseBody);
 app.get(config.shoppingCartPath + '/item/', shoppingCart.getCart);
 app.post(config.shoppingCartPath + '/item/', shoppingCart.add);
 app.get(config.shoppingCartPath + '/item/:id', shoppingCart.getItem);
@@ -344,11 +379,125 @@ app.post(config.shoppingCartPath + '/empty', shoppingCart.empty);
 ///////////////////////// AUTHORIZE SERVICE /////////////////////////
 /////////////////////////////////////////////////////////////////////
 
-app.use(config.authorizeServicePath + '/*', checkMongoUp);
+app.use(config.authorizeServicePath + '/*', checkMongoUp, parseBody);
 app.post(config.authorizeServicePath + '/apiKeys', authorizeService.getApiKey);
 app.post(config.authorizeServicePath + '/apiKeys/:apiKey/commit', authorizeService.commitApiKey);
 
 
+/////////////////////////////////////////////////////////////////////
+//////////////////////////// AUDIT TRAIL ////////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+if (config.audit.enabled) {
+    app.get(config.audit.path + '/records', checkMongoUp, headerAuthentication, failIfNotAuthenticated, audit.query);
+}
+
+
+/////////////////////////////////////////////////////////////////////
+//////////////////////////// ORGANIZATIONS //////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+if (config.organizations.enabled) {
+    app.get(config.organizations.path, headerAuthentication, failIfNotAuthenticated, organizations.list);
+    app.post(config.organizations.path + '/active', headerAuthentication, failIfNotAuthenticated, parseBody,
+        organizations.activate);
+}
+
+
+/////////////////////////////////////////////////////////////////////
+///////////////////////////// TOKEN CACHE ///////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+app.post(config.tokenCache.path + '/revoke', headerAuthentication, failIfNotAuthenticated, parseBody,
+    tokenCache.revoke);
+
+
+/////////////////////////////////////////////////////////////////////
+////////////////////////////// SESSIONS /////////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+app.get(config.sessions.path, checkMongoUp, headerAuthentication, failIfNotAuthenticated, sessions.list);
+app.delete(config.sessions.path, checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+    sessions.terminateOthers);
+app.delete(config.sessions.path + '/tokens/:id', checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+    sessions.revokeToken);
+app.delete(config.sessions.path + '/:id', checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+    sessions.terminate);
+
+
+/////////////////////////////////////////////////////////////////////
+/////////////////////////// SERVICE ACCOUNTS ////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+if (config.serviceAccounts.enabled) {
+    var serviceAccountsPath = config.serviceAccounts.path;
+
+    app.post(serviceAccountsPath + '/token', checkMongoUp, parseBody, serviceAccounts.issueToken);
+    app.get(serviceAccountsPath, checkMongoUp, headerAuthentication, failIfNotAuthenticated, serviceAccounts.list);
+    app.post(serviceAccountsPath, checkMongoUp, headerAuthentication, failIfNotAuthenticated, parseBody,
+        serviceAccounts.create);
+    app.delete(serviceAccountsPath + '/:id', checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+        serviceAccounts.remove);
+    app.post(serviceAccountsPath + '/:id/secret', checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+        serviceAccounts.rotateSecret);
+}
+
+
+/////////////////////////////////////////////////////////////////////
+///////////////////////// EVENT NOTIFICATIONS ///////////////////////
+/////////////////////////////////////////////////////////////////////
+
+if (config.events.enabled) {
+    var hubPath = config.proxyPrefix + '/:api/api/:apiName/:version/hub';
+
+    app.post(hubPath, events.matchesHub, checkMongoUp, headerAuthentication, failIfNotAuthenticated, parseBody,
+        events.register);
+    app.delete(hubPath + '/:id', events.matchesHub, checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+        events.unregister);
+
+    app.get(config.events.path + '/deadLetters', checkMongoUp, headerAuthentication, failIfNotAuthenticated,
+        events.getDeadLetters);
+    app.post(config.events.path + '/deadLetters/:id/retry', checkMongoUp, headerAuthentication,
+        failIfNotAuthenticated, events.retryDeadLetter);
+
+    events.start();
+}
+
+
+/////////////////////////////////////////////////////////////////////
+/////////////////////////////// BATCH ///////////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+// Requests of the batch are authenticated with the credentials of the batch request. Batches are
+// limited as a request of their own, besides the limits of every request they include
+if (config.batch.enabled) {
+    app.post(config.batch.path, headerAuthentication, function(req, res, next) {
+        req.apiUrl = url.parse(req.url).path;
+        next();
+    }, rateLimiter.limit, parseBody, batch.execute);
+}
+
+
+/////////////////////////////////////////////////////////////////////
+//////////////////////////// LIVE UPDATES ///////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+// Streams are opened by the portal, so users are authenticated by their session
+if (config.liveUpdates.enabled) {
+    app.get(config.liveUpdates.path, headerAuthentication, failIfNotAuthenticated, liveUpdates.subscribe);
+}
+
+
+/////////////////////////////////////////////////////////////////////
+///////////////////////////// OPENAPI ///////////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+if (config.openAPI.enabled) {
+    app.get(config.openAPI.path, openapi.serveDocument);
+    app.get(config.portalPrefix + config.openAPI.uiPath, openapi.serveUI);
+}
+
+
 /////////////////////////////////////////////////////////////////////
 /////////////////////////////// PORTAL //////////////////////////////
 /////////////////////////////////////////////////////////////////////
@@ -401,6 +550,8 @@ var jsAppFilesToInject = [
     'services/billing-account.service',
     'services/customer.service',
     'services/customer-account.service',
+    'services/live-updates.service',
+    'services/session.service',
     'controllers/form-wizard.controller',
     'controllers/flash-message.controller',
     'controllers/user.controller',
@@ -424,6 +575,7 @@ var jsAppFilesToInject = [
     'controllers/party.contact-medium.controller',
     'controllers/billing-account.controller',
     'controllers/customer.controller',
+    'controllers/session.controller',
     'routes/offering.routes',
     'routes/settings.routes',
     'routes/rss.routes',
@@ -472,6 +624,10 @@ var renderTemplate = function(req, res, viewName) {
         billingPath: config.endpoints.billing.path,
         customerPath: config.endpoints.customer.path,
         shoppingCartPath: config.shoppingCartPath,
+        liveUpdatesPath: config.liveUpdates.enabled ? config.liveUpdates.path : '',
+        organizationsPath: config.organizations.enabled ? config.organizations.path : '',
+        sessionsPath: config.sessions.path,
+        member: req.user ? req.user.member || req.user : null,
         authorizeServicePath: config.authorizeServicePath,
         rssPath: config.endpoints.rss.path,
         platformRevenue: config.revenueModel,
@@ -527,17 +683,43 @@ app.use(function (req, res, next) {
     }
 });
 
-// Public Paths are not protected by the Proxy
-for (var p in config.publicPaths) {
-    logger.debug('Public Path', config.publicPaths[p]);
-    app.all(config.proxyPrefix + '/' + config.publicPaths[p], tmf.public);
-}
+// Public Paths are not protected by the Proxy. Their router is replaced when the configuration
+// is reloaded
+var publicPathsRouter = null;
 
-app.all(config.proxyPrefix + '/*', headerAuthentication, function(req, res, next) {
+var loadPublicPaths = function() {
+
+    publicPathsRouter = express.Router();
+
+    config.publicPaths.forEach(function(publicPath) {
+        logger.debug('Public Path', publicPath);
+        publicPathsRouter.all(config.proxyPrefix + '/' + publicPath, tmf.public);
+    });
+};
+
+loadPublicPaths();
+
+app.use(function(req, res, next) {
+    publicPathsRouter(req, res, next);
+});
+
+app.all(config.proxyPrefix + '/*', apiHeaderAuthentication, function(req, res, next) {
 
     // The API path is the actual path that should be used to access the resource
     // This path contains the query string!!
     req.apiUrl = url.parse(req.url).path.substring(config.proxyPrefix.length);
+    next();
+
+}, rateLimiter.limit, function(req, res, next) {
+
+    // Bodies not required by the validators are streamed to the API
+    if (tmf.requiresRequestBody(req)) {
+        parseBody(req, res, next);
+    } else {
+        next();
+    }
+
+}, function(req, res) {
     tmf.checkPermissions(req, res);
 });
 
@@ -561,7 +743,7 @@ app.use(function(err, req, res, next) {
         case applicationJSON:
 
             res.header('Content-Type', applicationJSON);
-            res.json({ error: 'Unexpected error. The error has been notified to the administrators.' });
+            res.json(errors.toBody(errors.create('INTERNAL_ERROR')));
             res.end();
 
             break;
@@ -584,6 +766,8 @@ app.use(function(err, req, res, next) {
 
 logger.info('Business Ecosystem Logic Proxy starting on port ' + PORT);
 
+var server;
+
 if (config.https.enabled === true) {
 
     var options = {
@@ -612,10 +796,44 @@ if (config.https.enabled === true) {
         ca: fs.readFileSync(config.https.caFile)
     };
 
-    https.createServer(options, function(req,res) {
+    server = https.createServer(options, function(req,res) {
         app.handle(req, res);
     }).listen(app.get('port'));
 
 } else {
-    app.listen(app.get('port'));
-}
\ No newline at end of file
+    server = app.listen(app.get('port'));
+}
+
+
+/////////////////////////////////////////////////////////////////////
+///////////////////////// SHUTDOWN & RELOAD /////////////////////////
+/////////////////////////////////////////////////////////////////////
+
+// SIGTERM and SIGINT drain the requests in progress before exiting, and SIGHUP reloads the
+// configuration without closing any connection
+lifecycle.addServer(server);
+
+// Streams never finish by themselves, so they are closed to let the requests drain
+lifecycle.onDrain(liveUpdates.closeAll);
+
+lifecycle.onShutdown(function(callback) {
+    tracer.flush();
+    callback();
+});
+
+lifecycle.onShutdown(function(callback) {
+    events.stop();
+    callback();
+});
+
+lifecycle.onShutdown(function(callback) {
+    mongoose.connection.close(callback);
+});
+
+lifecycle.onReload(function() {
+    log.reload();
+    loadPublicPaths();
+    policies.load();
+});
+
+lifecycle.handleSignals();
\ No newline at end of file
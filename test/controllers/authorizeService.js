@@ -60,12 +60,12 @@ describe('Accounting Service', function () {
 
         it('should return 400 when the body is empty', function (done) {
 
-            invalidRequest('getApiKey', undefined, 400, {error: 'Invalid body'}, done);
+            invalidRequest('getApiKey', undefined, 400, jasmine.objectContaining({ code: 'INVALID_BODY', message: 'Invalid body' }), done);
         });
 
         it('should return 422 when the "url" is not defined', function (done) {
 
-            invalidRequest('getApiKey', '{}', 422, {error: 'Url missing'}, done);
+            invalidRequest('getApiKey', '{}', 422, jasmine.objectContaining({ code: 'ACCOUNTING_MISSING_URL', message: 'Url missing' }), done);
         });
 
         var saveAccountingService = function (saveReturn, sendMessage, statusExpected, done) {
@@ -106,7 +106,7 @@ describe('Accounting Service', function () {
         };
 
         it('should return 500 when db fails', function (done) {
-            saveAccountingService({message: 'Error'}, {error: 'Error'}, 500, done);
+            saveAccountingService({message: 'Error'}, jasmine.objectContaining({ code: 'DATABASE_ERROR', message: 'Error' }), 500, done);
         });
 
         it('should generate and save a new apiKey with "UNCOMMITTED" state', function (done) {
@@ -161,11 +161,11 @@ describe('Accounting Service', function () {
         };
 
         it('should return 500 when db fails', function (done) {
-            updateApikeyState({message: 'Error'}, null, 500, {error: 'Error'}, done);
+            updateApikeyState({message: 'Error'}, null, 500, jasmine.objectContaining({ code: 'DATABASE_ERROR', message: 'Error' }), done);
         });
 
         it('should return 404 when the API Key is invalid', function (done) {
-           updateApikeyState(null, {n: 0}, 404, {error: 'Invalid API Key'}, done);
+           updateApikeyState(null, {n: 0}, 404, jasmine.objectContaining({ code: 'ACCOUNTING_INVALID_API_KEY', message: 'Invalid API Key' }), done);
         });
 
         it('should update to "COMMITTED" the state of apiKey received', function (done) {
@@ -0,0 +1,338 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var async = require('async'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Batch', function() {
+
+    var config;
+    var rateLimiter;
+    var tmf;
+    var apiRequests;
+
+    var getBatch = function() {
+        return proxyquire('../../controllers/batch', {
+            './../config': config,
+            './../lib/logger': testUtils.emptyLogger,
+            './../lib/rateLimit': { rateLimiter: rateLimiter },
+            './../lib/utils': {
+                log: function() {}
+            },
+            './tmf': { tmf: tmf }
+        }).batch;
+    };
+
+    // Executes a batch and calls the callback with the status and the body of the response
+    var executeBatch = function(requests, query, callback) {
+        var res = jasmine.createSpyObj('res', ['status', 'json']);
+        res.status.and.returnValue(res);
+
+        res.json.and.callFake(function(body) {
+            callback(res.status.calls.argsFor(0)[0], body);
+        });
+
+        var req = {
+            id: 'batch',
+            method: 'POST',
+            query: query || {},
+            headers: {
+                'authorization': 'Bearer token',
+                'content-type': 'application/json',
+                'content-length': '100'
+            },
+            body: typeof(requests) === 'string' ? requests : JSON.stringify(requests),
+            user: { id: 'user' },
+            ip: '10.0.0.1',
+            ips: ['10.0.0.1', '10.0.0.2']
+        };
+
+        getBatch().execute(req, res);
+    };
+
+    // APIs that create the resources with ID 1, fail with the paths that include "invalid" and
+    // return the path of the other requests
+    var respond = function(req, res) {
+        apiRequests.push(req);
+
+        if (req.apiUrl.indexOf('invalid') >= 0) {
+            res.status(422).json({ code: 'INVALID', message: 'Invalid resource' });
+        } else if (req.method === 'POST') {
+            res.status(201);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Length', '10');
+            res.write(Buffer.from('{"id":"1"}'));
+            res.end();
+        } else if (req.method === 'DELETE') {
+            res.status(204).end();
+        } else {
+            res.status(200).json({ path: req.apiUrl });
+        }
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.proxyPrefix = '/proxy';
+        config.batch = { enabled: true, maxRequests: 3, concurrency: 2 };
+
+        apiRequests = [];
+
+        rateLimiter = jasmine.createSpyObj('rateLimiter', ['limit']);
+        rateLimiter.limit.and.callFake(function(req, res, next) {
+            next();
+        });
+
+        tmf = jasmine.createSpyObj('tmf', ['checkPermissions']);
+        tmf.checkPermissions.and.callFake(respond);
+    });
+
+    it('should execute the requests with the user and the credentials of the batch', function(done) {
+        var requests = [
+            { method: 'get', path: '/catalog/api/productOffering?lifecycleStatus=Launched' },
+            { method: 'POST', path: '/proxy/ordering/api/productOrder', body: { orderItem: [] } }
+        ];
+
+        executeBatch(requests, null, function(status, results) {
+
+            var getRequest = apiRequests.filter(function(req) {
+                return req.method === 'GET';
+            })[0];
+
+            var postRequest = apiRequests.filter(function(req) {
+                return req.method === 'POST';
+            })[0];
+
+            expect(status).toBe(200);
+            expect(results).toEqual([
+                { status: 200, headers: { 'content-type': 'application/json' }, body: { path: requests[0].path } },
+                { status: 201, headers: { 'content-type': 'application/json' }, body: { id: '1' } }
+            ]);
+
+            expect(getRequest.id).toBe('batch-1');
+            expect(getRequest.url).toBe('/proxy/catalog/api/productOffering?lifecycleStatus=Launched');
+            expect(getRequest.path).toBe('/proxy/catalog/api/productOffering');
+            expect(getRequest.query.lifecycleStatus).toBe('Launched');
+            expect(getRequest.user).toEqual({ id: 'user' });
+            expect(getRequest.ip).toBe('10.0.0.1');
+            expect(getRequest.ips).toEqual(['10.0.0.1', '10.0.0.2']);
+            expect(getRequest.headers).toEqual({ 'authorization': 'Bearer token' });
+            expect(getRequest.body).toBeUndefined();
+
+            expect(postRequest.apiUrl).toBe('/ordering/api/productOrder');
+            expect(postRequest.body).toBe('{"orderItem":[]}');
+            expect(postRequest.get('Content-Type')).toBe('application/json');
+            expect(postRequest.headers['content-length']).toBe('16');
+
+            expect(rateLimiter.limit.calls.count()).toBe(2);
+            done();
+        });
+    });
+
+    it('should return the result of every request even if some of them fail', function(done) {
+        var requests = [
+            { method: 'POST', path: '/catalog/api/invalid' },
+            { method: 'GET', path: '/catalog/api/category' }
+        ];
+
+        executeBatch(requests, null, function(status, results) {
+            expect(results[0].status).toBe(422);
+            expect(results[0].body.code).toBe('INVALID');
+            expect(results[1].status).toBe(200);
+            done();
+        });
+    });
+
+    it('should return the requests rejected by the rate limits', function(done) {
+        rateLimiter.limit.and.callFake(function(req, res) {
+            res.status(429).json({ code: 'RATE_LIMITED' });
+        });
+
+        executeBatch([{ method: 'GET', path: '/catalog/api/category' }], null, function(status, results) {
+            expect(tmf.checkPermissions).not.toHaveBeenCalled();
+            expect(results[0].status).toBe(429);
+            done();
+        });
+    });
+
+    it('should delete the created resources and skip the remaining requests when an atomic batch fails', function(done) {
+        var requests = [
+            { method: 'POST', path: '/catalog/api/catalog/', body: {} },
+            { method: 'POST', path: '/catalog/api/invalid', body: {} },
+            { method: 'POST', path: '/catalog/api/productOffering', body: {} }
+        ];
+
+        executeBatch(requests, { atomic: 'true' }, function(status, results) {
+
+            expect(apiRequests.map(function(req) {
+                return req.method + ' ' + req.apiUrl;
+            })).toEqual([
+                'POST /catalog/api/catalog/',
+                'POST /catalog/api/invalid',
+                'DELETE /catalog/api/catalog/1'
+            ]);
+
+            expect(status).toBe(200);
+            expect(results[0].status).toBe(201);
+            expect(results[0].rolledBack).toBe(true);
+            expect(results[1].status).toBe(422);
+            expect(results[2].status).toBe(424);
+            expect(results[2].body.code).toBe('BATCH_REQUEST_SKIPPED');
+            expect(tmf.checkPermissions.calls.count()).toBe(3);
+            expect(rateLimiter.limit.calls.count()).toBe(2);
+            done();
+        });
+    });
+
+    it('should fail the atomic batches whose created resources cannot be deleted by the user', function(done) {
+        var ordering = require('../../controllers/tmf-apis/ordering').ordering;
+        var errors = require('../../lib/errors').errors;
+
+        var requests = [
+            { method: 'POST', path: '/ordering/api/productOrdering/v2/productOrder', body: {} },
+            { method: 'POST', path: '/catalog/api/invalid', body: {} }
+        ];
+
+        // Orders are created, but they cannot be deleted through the validations of the proxy
+        tmf.checkPermissions.and.callFake(function(req, res) {
+            if (req.method === 'POST') {
+                return respond(req, res);
+            }
+
+            ordering.checkPermissions(req, function(err) {
+                return err ? errors.send(res, err) : respond(req, res);
+            });
+        });
+
+        executeBatch(requests, { atomic: 'true' }, function(status, results) {
+            expect(status).toBe(500);
+            expect(results[0].rolledBack).toBe(false);
+            expect(tmf.checkPermissions.calls.argsFor(2)[0].method + ' ' + tmf.checkPermissions.calls.argsFor(2)[0].apiUrl)
+                .toBe('DELETE /ordering/api/productOrdering/v2/productOrder/1');
+            expect(tmf.checkPermissions.calls.argsFor(2)[0].user).toEqual({ id: 'user' });
+            expect(apiRequests.length).toBe(2);
+            done();
+        });
+    });
+
+    it('should fail the atomic batches whose created resources cannot be deleted', function(done) {
+        var requests = [
+            { method: 'POST', path: '/catalog/api/catalog', body: {} },
+            { method: 'POST', path: '/catalog/api/invalid', body: {} }
+        ];
+
+        tmf.checkPermissions.and.callFake(function(req, res) {
+            return req.method === 'DELETE' ? res.status(503).end() : respond(req, res);
+        });
+
+        executeBatch(requests, { atomic: 'true' }, function(status, results) {
+            expect(status).toBe(500);
+            expect(results[0].rolledBack).toBe(false);
+            expect(results[1].status).toBe(422);
+            done();
+        });
+    });
+
+    it('should fail the atomic batches whose created resources cannot be identified', function(done) {
+        var requests = [
+            { method: 'POST', path: '/catalog/api/catalog', body: {} },
+            { method: 'POST', path: '/catalog/api/invalid', body: {} }
+        ];
+
+        tmf.checkPermissions.and.callFake(function(req, res) {
+            return req.method === 'POST' && req.apiUrl.indexOf('invalid') < 0 ? res.status(201).end() :
+                respond(req, res);
+        });
+
+        executeBatch(requests, { atomic: 'true' }, function(status, results) {
+            expect(status).toBe(500);
+            expect(results[0].rolledBack).toBe(false);
+            expect(tmf.checkPermissions.calls.count()).toBe(2);
+            done();
+        });
+    });
+
+    it('should not delete the created resources whose IDs are not a segment of the path', function(done) {
+        var ids = ['../category/2', '..', '2?id=3', '%2e%2e', { id: '1' }];
+
+        async.eachSeries(ids, function(id, callback) {
+            var requests = [
+                { method: 'POST', path: '/catalog/api/catalog', body: {} },
+                { method: 'POST', path: '/catalog/api/invalid', body: {} }
+            ];
+
+            tmf.checkPermissions.calls.reset();
+            tmf.checkPermissions.and.callFake(function(req, res) {
+                return req.method === 'POST' && req.apiUrl.indexOf('invalid') < 0 ?
+                    res.status(201).json({ id: id }) : respond(req, res);
+            });
+
+            executeBatch(requests, { atomic: 'true' }, function(status, results) {
+                expect(status).toBe(500);
+                expect(results[0].rolledBack).toBe(false);
+                expect(tmf.checkPermissions.calls.count()).toBe(2);
+                callback();
+            });
+        }, done);
+    });
+
+    it('should execute every request of the atomic batches that do not fail', function(done) {
+        var requests = [
+            { method: 'POST', path: '/catalog/api/catalog', body: {} },
+            { method: 'GET', path: '/catalog/api/catalog/1' }
+        ];
+
+        executeBatch(requests, { atomic: 'true' }, function(status, results) {
+            expect(results.map(function(result) {
+                return result.status;
+            })).toEqual([201, 200]);
+            expect(results[0].rolledBack).toBeUndefined();
+            done();
+        });
+    });
+
+    var testInvalidBatch = function(requests, message, done) {
+        executeBatch(requests, null, function(status, body) {
+            expect(status).toBe(400);
+            expect(body.code).toBe('BATCH_INVALID');
+            expect(body.message).toBe(message);
+            expect(tmf.checkPermissions).not.toHaveBeenCalled();
+            done();
+        });
+    };
+
+    it('should reject batches that are not arrays', function(done) {
+        testInvalidBatch('{"method":"GET"}', 'The body must be a JSON array of requests', done);
+    });
+
+    it('should reject batches with too many requests', function(done) {
+        var request = { method: 'GET', path: '/catalog/api/category' };
+        testInvalidBatch([request, request, request, request], 'A batch cannot include more than 3 requests', done);
+    });
+
+    it('should reject requests with invalid methods', function(done) {
+        testInvalidBatch([{ method: 'OPTIONS', path: '/catalog/api/category' }],
+            'Request 1: the method must be one of GET, POST, PATCH, PUT, DELETE', done);
+    });
+
+    it('should reject requests with relative paths', function(done) {
+        testInvalidBatch([{ method: 'GET', path: '/catalog/api/category' }, { method: 'GET', path: 'catalog' }],
+            'Request 2: the path must be an absolute path', done);
+    });
+});
@@ -0,0 +1,173 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('OpenAPI', function() {
+
+    var CATALOG_PATH = '/catalog/api/catalogManagement/v2';
+    var INVENTORY_PATH = '/inventory/api/productInventory/v2';
+    var USAGE_PATH = '/usage/api/usageManagement/v2';
+
+    var config;
+    var controllers;
+
+    var utils = {
+        validateLoggedIn: function() {},
+        methodNotAllowed: function() {}
+    };
+
+    var validate = function() {};
+
+    var getOpenAPI = function() {
+        return proxyquire('../../controllers/openapi', {
+            './../config': config,
+            './../lib/hrefs': {
+                hrefs: {
+                    getPublicURL: function(req, path) {
+                        return 'https://store.example.com/proxy' + path;
+                    }
+                }
+            },
+            './../lib/utils': utils,
+            './tmf': {
+                tmf: {
+                    getController: function(api) {
+                        return controllers[api];
+                    }
+                }
+            }
+        }).openapi;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.openAPI = { enabled: true, path: '/openapi.json', uiPath: '/api-docs' };
+
+        controllers = {
+            catalog: {
+                validators: {
+                    GET: [validate],
+                    POST: [utils.validateLoggedIn, validate],
+                    PATCH: [utils.validateLoggedIn, validate],
+                    PUT: [utils.validateLoggedIn, validate],
+                    DELETE: [utils.validateLoggedIn, validate]
+                }
+            },
+            inventory: {
+                validators: {
+                    GET: [utils.validateLoggedIn, validate],
+                    POST: [utils.methodNotAllowed],
+                    PATCH: [utils.methodNotAllowed],
+                    PUT: [utils.methodNotAllowed],
+                    DELETE: [utils.methodNotAllowed]
+                }
+            },
+            usage: {
+                validators: {
+                    GET: [utils.validateLoggedIn],
+                    POST: [validate]
+                }
+            }
+        };
+    });
+
+    var getDocument = function() {
+        return getOpenAPI().getDocument({ secure: true, hostname: 'store.example.com' });
+    };
+
+    it('should describe the APIs with controllers in the public URL of the proxy', function() {
+        var document = getDocument();
+
+        expect(document.openapi).toBe('3.0.0');
+        expect(document.servers).toEqual([{ url: 'https://store.example.com/proxy' }]);
+        expect(document.tags.map(function(tag) {
+            return tag.name;
+        })).toEqual(['catalog', 'inventory', 'usage']);
+    });
+
+    it('should only include the methods accepted by the validators', function() {
+        var paths = getDocument().paths;
+
+        expect(Object.keys(paths[INVENTORY_PATH + '/product'])).toEqual(['get']);
+        expect(Object.keys(paths[INVENTORY_PATH + '/product/{productId}'])).toEqual(['parameters', 'get']);
+        expect(paths[CATALOG_PATH + '/category/{categoryId}'].delete).toBeDefined();
+        expect(paths[CATALOG_PATH + '/productSpecification/{productSpecificationId}'].delete).toBeUndefined();
+    });
+
+    it('should include the path parameters of the resources', function() {
+        var path = getDocument().paths[CATALOG_PATH + '/catalog/{catalogId}/productOffering/{productOfferingId}'];
+
+        expect(path.parameters.map(function(parameter) {
+            return parameter.name;
+        })).toEqual(['catalogId', 'productOfferingId']);
+        expect(path.patch.operationId).toBe('catalog.catalog.productOffering.update');
+    });
+
+    it('should include the authentication options of every operation', function() {
+        var document = getDocument();
+        var paths = document.paths;
+
+        expect(Object.keys(document.components.securitySchemes)).toEqual(['bearerToken', 'authToken', 'apiKey']);
+        expect(document.components.securitySchemes.authToken.name).toBe('X-Auth-Token');
+        expect(document.components.securitySchemes.apiKey.name).toBe('X-API-KEY');
+
+        // Operations that require login use the default security of the document
+        expect(paths[CATALOG_PATH + '/category'].post.security).toBeUndefined();
+        expect(paths[CATALOG_PATH + '/category'].get.security[0]).toEqual({});
+        expect(paths[USAGE_PATH + '/usage'].post.security).toEqual([{ apiKey: [] }]);
+    });
+
+    it('should include the error responses of the catalogue', function() {
+        var document = getDocument();
+        var operation = document.paths[CATALOG_PATH + '/category'];
+
+        expect(document.components.responses.Error403.description).toContain('CATALOG_CATEGORY_ADMIN_ONLY');
+        expect(operation.post.responses['422']).toEqual({ $ref: '#/components/responses/Error422' });
+        expect(operation.get.responses['422']).toBeUndefined();
+        expect(operation.post.responses['201']).toBeDefined();
+    });
+
+    it('should describe the APIs of the plugins with a generic resource', function() {
+        config.endpoints.sla = { path: 'SLAManagement', port: 8080 };
+        controllers.SLAManagement = { validators: { GET: [validate] } };
+
+        var paths = getDocument().paths;
+
+        expect(Object.keys(paths['/SLAManagement/{resource}'])).toEqual(['parameters', 'get']);
+        expect(paths['/SLAManagement/{resource}/{resourceId}'].get.operationId).toBe('sla.resource.retrieve');
+    });
+
+    it('should serve the document and the page to browse it', function() {
+        var openapi = getOpenAPI();
+        var req = { secure: true, hostname: 'store.example.com' };
+        var res = jasmine.createSpyObj('res', ['json', 'render']);
+
+        openapi.serveDocument(req, res);
+        openapi.serveUI(req, res);
+
+        expect(res.json).toHaveBeenCalledWith(openapi.getDocument(req));
+        expect(res.render).toHaveBeenCalledWith('api-docs', {
+            contextPath: config.portalPrefix,
+            documentPath: '/openapi.json',
+            document: openapi.getDocument(req)
+        });
+    });
+});
@@ -58,7 +58,7 @@ describe('Shopping Cart', function() {
 
                 expect(res.statusCode).toBe(500);
                 expect(res.setHeader).not.toHaveBeenCalled();
-                expect(res.json).toHaveBeenCalledWith({ error: DEFAULT_ERROR });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'DATABASE_ERROR', message: DEFAULT_ERROR }));
                 expect(res.end).toHaveBeenCalled();
 
                 done();
@@ -140,7 +140,7 @@ describe('Shopping Cart', function() {
 
                 expect(res.statusCode).toBe(500);
                 expect(res.setHeader).not.toHaveBeenCalled();
-                expect(res.json).toHaveBeenCalledWith({ error: DEFAULT_ERROR });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'DATABASE_ERROR', message: DEFAULT_ERROR }));
                 expect(res.end).toHaveBeenCalled();
 
                 done();
@@ -200,7 +200,7 @@ describe('Shopping Cart', function() {
 
         it('should return the item given by the database', function(done) {
 
-            getItemDBNotFail(null, 404, { error: 'Item not found in your cart' }, done);
+            getItemDBNotFail(null, 404, jasmine.objectContaining({ code: 'CART_ITEM_NOT_FOUND', message: 'Item not found in your cart' }), done);
         });
     });
 
@@ -232,11 +232,11 @@ describe('Shopping Cart', function() {
 
 
         it('should return 400 when body is an invalid JSON', function(done) {
-            addInvalidInput('{ invalid JSON', 400, { error: 'Invalid Cart Item'}, done);
+            addInvalidInput('{ invalid JSON', 400, jasmine.objectContaining({ code: 'CART_INVALID_ITEM', message: 'Invalid Cart Item' }), done);
         });
 
         it('should return 400 when body does not contain an item ID', function(done) {
-            addInvalidInput(JSON.stringify({ name: 'Example' }), 400, { error: 'Cart Item ID missing'}, done);
+            addInvalidInput(JSON.stringify({ name: 'Example' }), 400, jasmine.objectContaining({ code: 'CART_ITEM_MISSING_ID', message: 'Cart Item ID missing' }), done);
         });
 
         var addItemDBFails = function(code, expectedStatus, expectedBody, done) {
@@ -248,7 +248,7 @@ describe('Shopping Cart', function() {
                 return {
                     save: function(callback) {
                         itemSaved = this;
-                        callback({ code: code, message: expectedBody.error });
+                        callback({ code: code, message: DEFAULT_ERROR });
                     }
                 };
             };
@@ -278,11 +278,11 @@ describe('Shopping Cart', function() {
         };
 
         it('should return 500 when db fails', function(done) {
-            addItemDBFails(1, 500, { error: DEFAULT_ERROR }, done);
+            addItemDBFails(1, 500, jasmine.objectContaining({ code: 'DATABASE_ERROR', message: DEFAULT_ERROR }), done);
         });
 
         it('should return 409 when the item is already present in the database', function(done) {
-            addItemDBFails(11000, 409, { error: 'This item is already in your shopping cart' }, done);
+            addItemDBFails(11000, 409, jasmine.objectContaining({ code: 'CART_ITEM_EXISTS', message: 'This item is already in your shopping cart' }), done);
         });
 
         it('should return 200 and set header when item added', function(done) {
@@ -352,7 +352,7 @@ describe('Shopping Cart', function() {
 
                 expect(res.statusCode).toBe(500);
                 expect(res.setHeader).not.toHaveBeenCalled();
-                expect(res.json).toHaveBeenCalledWith({ error: DEFAULT_ERROR });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'DATABASE_ERROR', message: DEFAULT_ERROR }));
                 expect(res.end).toHaveBeenCalled();
 
                 done();
@@ -420,8 +420,10 @@ describe('Shopping Cart', function() {
 
                 expect(res.statusCode).toBe(404);
                 expect(res.setHeader).not.toHaveBeenCalled();
-                expect(res.json).toHaveBeenCalledWith({ error: 'The given ordering item cannot ' +
-                        'be deleted since it was not present in your cart' });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'CART_ITEM_NOT_REMOVED',
+                    message: 'The given ordering item cannot be deleted since it was not present in your cart'
+                }));
                 expect(res.end).toHaveBeenCalled();
 
                 done();
@@ -458,7 +460,7 @@ describe('Shopping Cart', function() {
 
                 expect(res.statusCode).toBe(500);
                 expect(res.setHeader).not.toHaveBeenCalled();
-                expect(res.json).toHaveBeenCalledWith({ error: DEFAULT_ERROR });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'DATABASE_ERROR', message: DEFAULT_ERROR }));
                 expect(res.end).toHaveBeenCalled();
 
                 done();
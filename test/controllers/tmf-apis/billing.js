@@ -33,66 +33,79 @@ describe('Billing API', function() {
 
     var UNSUPPORTED_FIELDS_ERROR = {
         status: 422,
+        code: 'BILLING_UNSUPPORTED_FIELDS',
         message: 'One or more of the included fields are not supported yet'
     };
 
     var INVALID_RELATED_PARTY_ERROR = {
         status: 403,
+        code: 'OWNER_MISMATCH',
         message: 'The user making the request and the specified owner are not the same user'
     };
 
     var CUSTOMER_ACCOUNT_MISSING_ERROR = {
         status: 422,
+        code: 'BILLING_MISSING_CUSTOMER_ACCOUNT',
         message: 'customerAccount field is mandatory'
     };
 
     var CUSTOMER_ACCOUNT_INACCESSIBLE_ERROR = {
         status: 422,
+        code: 'BILLING_CUSTOMER_ACCOUNT_NOT_READABLE',
         message: 'The given customer account cannot be retrieved'
     };
 
     var CUSTOMER_INACCESSIBLE_ERROR = {
         status: 422,
+        code: 'BILLING_CUSTOMER_NOT_READABLE',
         message: 'The customer attached to the customer account given cannot be retrieved'
     };
 
     var INVALID_CUSTOMER_ERROR = {
         status: 403,
+        code: 'BILLING_CUSTOMER_ACCOUNT_NOT_OWNED',
         message: 'The given customer account does not belong to the user making the request'
     };
 
     var BILLING_INACCESSIBLE_ERROR = {
         status: 500,
+        code: 'BILLING_ACCOUNT_NOT_READABLE',
         message: 'The given billing account cannot be accessed'
     };
 
     var BILLING_DOES_NOT_EXIST_ERROR = {
         status: 404,
+        code: 'BILLING_ACCOUNT_NOT_FOUND',
         message: 'The given billing account does not exist'
     };
 
     var NON_OWNED_BILLING_ERROR = {
         status: 403,
+        code: 'BILLING_ACCOUNT_FORBIDDEN',
         message: 'You are not authorized to update this billing account'
     };
 
     var RETRIEVAL_UNAUTHORIZED_ERROR = {
         status: 403,
+        code: 'BILLING_ACCOUNT_RETRIEVAL_FORBIDDEN',
         message: 'Unauthorized to retrieve the specified billing account'
     };
 
     var MISSING_PRODUCT_ID_ERROR = {
         status: 422,
+        code: 'BILLING_MISSING_PRODUCT_ID',
         message: 'Please specify a concrete product id using the query string serviceId.id'
     };
 
     var PRODUCT_INACCESSIBLE_ERROR = {
         status: 422,
+        code: 'BILLING_PRODUCT_NOT_VALIDATED',
         message: 'It has not been possible to validate The specified product id'
     };
 
     var CHARGES_RETRIEVAL_UNAUTHORIZED = {
         status: 403,
+        code: 'BILLING_CHARGES_FORBIDDEN',
         message: 'You are not authorized to retrieve charges related to the specified product id'
     };
 
@@ -100,6 +113,7 @@ describe('Billing API', function() {
         return proxyquire('../../../controllers/tmf-apis/billing', {
             './../../config': config,
             './../../lib/tmfUtils': tmfUtils,
+            './../../lib/upstream': testUtils.getUpstream(config),
             './../../lib/utils': utils
         }).billing;
     };
@@ -151,6 +165,7 @@ describe('Billing API', function() {
 
                     expect(err).toEqual({
                         status: 403,
+                        code: 'FEATURE_NOT_SUPPORTED',
                         message: 'This API feature is not supported yet'
                     });
 
@@ -169,6 +184,7 @@ describe('Billing API', function() {
 
                     expect(err).toEqual({
                         status: 405,
+                        code: 'API_METHOD_NOT_ALLOWED',
                         message: 'Method not allowed'
                     });
 
@@ -188,6 +204,7 @@ describe('Billing API', function() {
 
                     expect(err).toEqual({
                         status: 400,
+                        code: 'INVALID_BODY',
                         message: 'Invalid body'
                     });
 
@@ -324,6 +341,7 @@ describe('Billing API', function() {
 
                     var expectedErr = {
                         status: 422,
+                        code: 'BILLING_MISSING_RELATED_PARTY',
                         message: 'Billing Accounts cannot be created without related parties'
                     };
 
@@ -681,4 +699,15 @@ describe('Billing API', function() {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('Requires post validation', function() {
+
+        it('should require post validation when retrieving resources', function() {
+            expect(getBillingAPI({}, {}).requiresPostValidation({ method: 'GET' })).toBe(true);
+        });
+
+        it('should not require post validation when updating resources', function() {
+            expect(getBillingAPI({}, {}).requiresPostValidation({ method: 'PATCH' })).toBe(false);
+        });
+    });
+});
@@ -68,6 +68,7 @@ var CATEGORY_CANNOT_BE_CHECKED = ['It was impossible to check if the category wi
 describe('Catalog API', function() {
 
     var config = testUtils.getDefaultConfig();
+    var audit;
 
     var getCatalogApi = function(storeClient, tmfUtils, utils, rssClient) {
         if (!rssClient) {
@@ -76,16 +77,19 @@ describe('Catalog API', function() {
 
         return proxyquire('../../../controllers/tmf-apis/catalog', {
             './../../config': config,
+            './../../lib/audit': { audit: audit },
             './../../lib/logger': testUtils.emptyLogger,
             './../../lib/store': storeClient,
             './../../lib/rss': rssClient,
             './../../lib/tmfUtils': tmfUtils,
+            './../../lib/upstream': testUtils.getUpstream(config),
             './../../lib/utils': utils
         }).catalog;
     };
 
     beforeEach(function() {
         nock.cleanAll();
+        audit = jasmine.createSpyObj('audit', ['setPrevious']);
     });
 
 
@@ -343,10 +347,10 @@ describe('Catalog API', function() {
 
             var storeClient = {
                 storeClient: {
-                    validateOffering: function (offeringInfo, userInfo, callback) {
+                    validateOffering: function (offeringInfo, req, callback) {
 
                         expect(offeringInfo).toEqual(body);
-                        expect(userInfo).toEqual(user);
+                        expect(req.user).toEqual(user);
 
                         callback(storeError);
                     }
@@ -365,12 +369,12 @@ describe('Catalog API', function() {
 
             var rssClient = {
                 rssClient: {
-                    createProvider: function(userInfo, callback) {
-                        expect(userInfo).toEqual(user);
+                    createProvider: function(req, callback) {
+                        expect(req.user).toEqual(user);
                         callback(rssResp.provider);
                     },
-                    retrieveRSModel: function(userInfo, productClass, callback) {
-                        expect(userInfo).toEqual(user);
+                    retrieveRSModel: function(req, productClass, callback) {
+                        expect(req.user).toEqual(user);
                         callback(rssResp.modelErr, rssResp.modelBody);
                     }
                 }
@@ -1364,6 +1368,11 @@ describe('Catalog API', function() {
 
         catalogApi.checkPermissions(req, function(err) {
 
+            if (requestStatus === 200) {
+                // The resource is audited as it was before the request
+                expect(audit.setPrevious).toHaveBeenCalledWith(req, bodyOk);
+            }
+
             if (isOwnerMethod() && requestStatus === 200) {
                 expect(err).toBe(null);
             } else {
@@ -1444,10 +1453,10 @@ describe('Catalog API', function() {
 
         var rssClient = {
             rssClient: {
-                createProvider: function(userInfo, callback) {
+                createProvider: function(req, callback) {
                     callback(null);
                 },
-                retrieveRSModel: function(user, serviceCandidateId, callback) {
+                retrieveRSModel: function(req, serviceCandidateId, callback) {
                     callback(rsModelRequestInfo.err, rsModelRequestInfo.res);
                 }
             }
@@ -2923,10 +2932,10 @@ describe('Catalog API', function() {
             var called = false;
             var storeClient = {
                 storeClient: {
-                    attachProduct: function(product, userInfo, callback) {
+                    attachProduct: function(product, req, callback) {
                         called = true;
                         expect(product).toEqual(body);
-                        expect(userInfo).toEqual(user);
+                        expect(req.user).toEqual(user);
                         callback(null);
                     }
                 }
@@ -2954,4 +2963,29 @@ describe('Catalog API', function() {
             testProductPostvalidation('GET', false, done);
         });
     });
-});
\ No newline at end of file
+
+    describe('Requires post validation', function() {
+
+        var testRequiresPostValidation = function(method, apiUrl, expected) {
+            var catalogApi = getCatalogApi({}, {}, {});
+
+            expect(catalogApi.requiresPostValidation({ method: method, apiUrl: apiUrl })).toBe(expected);
+        };
+
+        it('should require post validation when creating a product', function() {
+            testRequiresPostValidation('POST', '/catalog/productSpecification', true);
+        });
+
+        it('should require post validation when creating an offering', function() {
+            testRequiresPostValidation('POST', '/catalog/catalog/1/productOffering', true);
+        });
+
+        it('should not require post validation when retrieving offerings', function() {
+            testRequiresPostValidation('GET', '/catalog/catalog/1/productOffering', false);
+        });
+
+        it('should not require post validation when creating a catalog', function() {
+            testRequiresPostValidation('POST', '/catalog/catalog', false);
+        });
+    });
+});
@@ -55,6 +55,7 @@ describe('Charging API', function () {
 
             expect(err).toEqual({
                 status: 403,
+                code: 'PRIVATE_API',
                 message: 'This API is private'
             });
 
@@ -62,4 +63,10 @@ describe('Charging API', function () {
         });
     });
 
-});
\ No newline at end of file
+    it('should not require the body of the request', function() {
+        var chargingApi = getChargingAPI();
+
+        expect(chargingApi.requiresRequestBody({ method: 'POST' })).toBe(false);
+    });
+
+});
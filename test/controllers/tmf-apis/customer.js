@@ -33,21 +33,25 @@ describe('Customer API', function() {
 
     var CUSTOMER_CANNOT_BE_RETRIEVED_ERROR = {
         status: 500,
+        code: 'CUSTOMER_NOT_READABLE',
         message: 'The attached customer cannot be retrieved'
     };
 
     var UNAUTHORIZED_UPDATE_RESOURCE_ERROR = {
             status: 403,
+            code: 'CUSTOMER_MODIFICATION_FORBIDDEN',
             message: 'Unauthorized to update/delete non-owned resources'
     };
 
     var UNAUTHORIZED_RETRIEVE_CUSTOMER_ERROR = {
         status: 403,
+        code: 'CUSTOMER_RETRIEVAL_FORBIDDEN',
         message: 'Unauthorized to retrieve the information of the given customer'
     };
 
     var BILLING_ACCOUNT_CANNOT_BE_RETRIEVED_ERROR = {
         status: 500,
+        code: 'CUSTOMER_BILLING_ACCOUNTS_NOT_READABLE',
         message: 'An error arises at the time of retrieving associated billing accounts'
     };
 
@@ -55,6 +59,7 @@ describe('Customer API', function() {
         return proxyquire('../../../controllers/tmf-apis/customer', {
             './../../config': config,
             './../../lib/tmfUtils': tmfUtils,
+            './../../lib/upstream': testUtils.getUpstream(config),
             './../../lib/utils': utils
         }).customer;
     };
@@ -106,6 +111,7 @@ describe('Customer API', function() {
 
                     expect(err).toEqual({
                         status: 403,
+                        code: 'FEATURE_NOT_SUPPORTED',
                         message: 'This API feature is not supported yet'
                     });
 
@@ -124,6 +130,7 @@ describe('Customer API', function() {
 
                     expect(err).toEqual({
                         status: 405,
+                        code: 'API_METHOD_NOT_ALLOWED',
                         message: 'Method not allowed'
                     });
 
@@ -143,6 +150,7 @@ describe('Customer API', function() {
 
                     expect(err).toEqual({
                         status: 400,
+                        code: 'INVALID_BODY',
                         message: 'Invalid body'
                     });
 
@@ -174,6 +182,7 @@ describe('Customer API', function() {
                 customerApi.checkPermissions(req, function (err) {
                     expect(err).toEqual({
                         status: 403,
+                        code: 'CUSTOMER_ACCOUNT_LIST_FORBIDDEN',
                         message: 'Unauthorized to retrieve the list of customer accounts'
                     });
                     done();
@@ -291,6 +300,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 422,
+                    code: 'CUSTOMER_MISSING_RELATED_PARTY',
                     message: 'Unable to create customer without specifying the related party'
                 };
 
@@ -302,6 +312,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'CUSTOMER_RELATED_PARTY_MISMATCH',
                     message: 'Related Party does not match with the user making the request'
                 };
 
@@ -329,6 +340,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'CUSTOMER_ACCOUNT_NOT_MODIFIABLE',
                     message: 'Customer Account cannot be manually modified'
                 };
 
@@ -346,6 +358,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 422,
+                    code: 'CUSTOMER_ACCOUNT_MISSING_CUSTOMER',
                     message: 'Customer Accounts must be associated to a Customer'
                 };
 
@@ -363,6 +376,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 422,
+                    code: 'CUSTOMER_ID_MISMATCH',
                     message: 'Customer ID and Customer HREF mismatch'
                 };
 
@@ -416,6 +430,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'CUSTOMER_NOT_OWNED',
                     message: 'The given Customer does not belong to the user making the request'
                 };
 
@@ -470,6 +485,7 @@ describe('Customer API', function() {
 
             var expectedErr = {
                 status: 500,
+                code: 'CUSTOMER_RESOURCE_NOT_READABLE',
                 message: 'The required resource cannot be retrieved'
             };
 
@@ -486,6 +502,7 @@ describe('Customer API', function() {
 
             var expectedErr = {
                 status: 404,
+                code: 'RESOURCE_NOT_FOUND',
                 message: 'The required resource does not exist'
             };
 
@@ -590,6 +607,7 @@ describe('Customer API', function() {
             it('should not allow to update the relatedParty field of a customer', function (done) {
                 var expectedErr = {
                     status: 403,
+                    code: 'CUSTOMER_RELATED_PARTY_NOT_MODIFIABLE',
                     message: 'Related Party cannot be modified'
                 };
 
@@ -616,6 +634,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'CUSTOMER_NOT_MODIFIABLE',
                     message: 'Customer cannot be modified'
                 };
 
@@ -773,6 +792,7 @@ describe('Customer API', function() {
 
                 var expectedErr = {
                     status: 500,
+                    code: 'CUSTOMER_NOT_READABLE',
                     message: 'The attached customer cannot be retrieved'
                 };
 
@@ -1038,4 +1058,22 @@ describe('Customer API', function() {
         });
     });
 
-});
\ No newline at end of file
+    describe('Requires post validation', function() {
+
+        var testRequiresPostValidation = function(method, expected) {
+            expect(getCustomerAPI({}, {}).requiresPostValidation({ method: method })).toBe(expected);
+        };
+
+        it('should require post validation when retrieving resources', function() {
+            testRequiresPostValidation('GET', true);
+        });
+
+        it('should require post validation when creating resources', function() {
+            testRequiresPostValidation('POST', true);
+        });
+
+        it('should not require post validation when deleting resources', function() {
+            testRequiresPostValidation('DELETE', false);
+        });
+    });
+});
@@ -236,6 +236,7 @@ describe('Inventory API', function() {
 
             var error = {
                 'status': 403,
+                'code': 'INVENTORY_RETRIEVAL_FORBIDDEN',
                 'message': 'You are not authorized to retrieve the specified offering from the inventory'
             };
 
@@ -295,4 +296,18 @@ describe('Inventory API', function() {
             });
         });
     });
+
+    describe('Filtered collections', function() {
+
+        it('should paginate the lists of products', function() {
+            var inventory = getInventoryAPI({}, {});
+
+            expect(inventory.filtersCollection({
+                apiUrl: '/DSProductInventory/api/productInventory/v2/product?offset=0&limit=10'
+            })).toBe(true);
+            expect(inventory.filtersCollection({
+                apiUrl: '/DSProductInventory/api/productInventory/v2/product/1'
+            })).toBe(false);
+        });
+    });
 });
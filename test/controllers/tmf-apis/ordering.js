@@ -31,21 +31,27 @@ describe('Ordering API', function() {
     // Errors
     var BILLING_ACCOUNT_REQUIRED = {
         status: 422,
+        code: 'ORDERING_MISSING_BILLING_ACCOUNT',
         message: 'Billing Account is required'
     };
 
     var BILLING_ACCOUNTS_MISMATCH = {
         status: 422,
+        code: 'ORDERING_DIFFERENT_BILLING_ACCOUNTS',
         message: 'Billing Accounts must be the same for all the order items contained in the ordering'
     };
 
 
+    var audit;
+
     var getOrderingAPI = function(storeClient, tmfUtils, utils) {
         return proxyquire('../../../controllers/tmf-apis/ordering', {
             './../../config': config,
+            './../../lib/audit': { audit: audit },
             './../../lib/logger': testUtils.emptyLogger,
             './../../lib/store': storeClient,
             './../../lib/tmfUtils': tmfUtils,
+            './../../lib/upstream': testUtils.getUpstream(config),
             './../../lib/utils': utils
         }).ordering;
     };
@@ -58,8 +64,13 @@ describe('Ordering API', function() {
         return 'http://belp.fiware.org:7891/party/api/partyManagement/v2/individual/' + (user ? user : '');
     };
 
+    var getOrganizationURL = function(organization) {
+        return 'http://belp.fiware.org:7891/party/api/partyManagement/v2/organization/' + organization;
+    };
+
     beforeEach(function() {
         nock.cleanAll();
+        audit = jasmine.createSpyObj('audit', ['setPrevious']);
     });
 
     describe('Get Permissions', function() {
@@ -254,8 +265,11 @@ describe('Ordering API', function() {
                     }
                 };
 
-                var tmfUtils = jasmine.createSpyObj('tmfUtils', ['getIndividualURL', 'hasPartyRole']);
+                var tmfUtils = jasmine.createSpyObj('tmfUtils', ['getIndividualURL', 'getOrganizationURL', 'hasPartyRole']);
                 tmfUtils.getIndividualURL.and.returnValue(getIndividualURL());
+                tmfUtils.getOrganizationURL.and.callFake(function(req, organization) {
+                    return getOrganizationURL(organization);
+                });
                 tmfUtils.hasPartyRole.and.returnValue(hasPartyRole);
 
                 var orderingApi = getOrderingAPI({}, tmfUtils, utils);
@@ -372,6 +386,60 @@ describe('Ordering API', function() {
                 testValidOrdering(1, true, true, true, done);
             });
 
+            it('should include organizations as organization parties', function(done) {
+                var productOfferingPath = '/productOffering/1';
+                var productSpecPath = '/product/2';
+                var billingAccountPath = '/billingAccount/7';
+
+                var user = {
+                    id: 'buyers',
+                    partyType: 'organization'
+                };
+
+                var body = {
+                    relatedParty: [{
+                        id: 'buyers',
+                        role: 'customer'
+                    }],
+                    orderItem: [{
+                        product: {},
+                        productOffering: {
+                            href: 'http://extexample.com' + productOfferingPath
+                        },
+                        billingAccount: [{
+                            id: 7,
+                            href: BILLING_SERVER + billingAccountPath
+                        }]
+                    }]
+                };
+
+                nock(CATALOG_SERVER)
+                    .get(productOfferingPath)
+                    .reply(200, {productSpecification: {href: SERVER + productSpecPath}});
+
+                nock(CATALOG_SERVER)
+                    .get(productSpecPath)
+                    .reply(200, {relatedParty: [{id: 'sellers', role: 'owner', href: getOrganizationURL('sellers')}]});
+
+                nock(BILLING_SERVER)
+                    .get(billingAccountPath)
+                    .reply(200, {relatedParty: [{id: 'buyers', role: config.billingAccountOwnerRole}]});
+
+                testOrderCreation(user, JSON.stringify(body), false, false, true, null, done, function (req) {
+                    expect(JSON.parse(req.body).orderItem[0].product.relatedParty).toEqual([
+                        {
+                            id: 'buyers',
+                            role: 'Customer',
+                            href: getOrganizationURL('buyers')
+                        },
+                        {
+                            id: 'sellers',
+                            role: 'Seller',
+                            href: getOrganizationURL('sellers')
+                        }]);
+                });
+            });
+
             var billingAccountError = function(itemsGenerator, expectedError, hasPartyRole, done) {
                 var userName = 'cust';
                 var productOfferingPath = '/productOffering/1';
@@ -530,6 +598,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 422,
+                    code: 'ORDERING_BILLING_ACCOUNT_NOT_FOUND',
                     message: 'The given billing account does not exist'
                 };
 
@@ -560,6 +629,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 500,
+                    code: 'ORDERING_BILLING_ACCOUNT_NOT_READABLE',
                     message: 'There was an unexpected error at the time of retrieving the provided billing account'
                 };
 
@@ -590,6 +660,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_BILLING_ACCOUNT_NOT_OWNED',
                     message: 'Unauthorized to use non-owned billing accounts'
                 };
 
@@ -629,6 +700,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_PRODUCT_WITHOUT_OWNERS',
                     message: 'You cannot order a product without owners'
                 };
 
@@ -667,6 +739,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_OFFERING_NOT_READABLE',
                     message: 'The system fails to retrieve the offering attached to the ordering item ' + orderItemId
                 };
 
@@ -709,6 +782,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_PRODUCT_NOT_READABLE',
                     message: 'The system fails to retrieve the product attached to the ordering item ' + orderItemId
                 };
 
@@ -723,6 +797,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_INVALID_BODY',
                     message: 'The resource is not a valid JSON document'
                 };
 
@@ -736,6 +811,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 403,
+                    code: 'ORDERING_CUSTOMER_ROLE_REQUIRED',
                     message: 'You are not authorized to order products'
                 };
 
@@ -755,6 +831,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_MISSING_RELATED_PARTY',
                     message: 'A product order must contain a relatedParty field'
                 };
 
@@ -768,6 +845,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 403,
+                    code: 'ORDERING_MISSING_CUSTOMER',
                     message: 'It is required to specify a customer in the relatedParty field'
                 };
 
@@ -787,6 +865,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 403,
+                    code: 'ORDERING_CUSTOMER_MISMATCH',
                     message: 'The customer specified in the product order is not the user making the request'
                 };
 
@@ -806,6 +885,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_MISSING_ORDER_ITEM',
                     message: 'A product order must contain an orderItem field'
                 };
 
@@ -826,6 +906,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_ITEM_MISSING_PRODUCT',
                     message: 'The product order item 1 must contain a product field'
                 };
 
@@ -849,6 +930,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 400,
+                    code: 'ORDERING_ITEM_MISSING_OFFERING',
                     message: 'The product order item 1 must contain a productOffering field'
                 };
 
@@ -873,6 +955,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 403,
+                    code: 'ORDERING_ITEM_CUSTOMER_MISMATCH',
                     message: 'The customer specified in the order item 1 is not the user making the request'
                 };
 
@@ -909,6 +992,7 @@ describe('Ordering API', function() {
 
                 var expected = {
                     status: 403,
+                    code: 'ORDERING_OWN_OFFERING',
                     message: 'You cannot acquire your own offering'
                 };
 
@@ -966,6 +1050,7 @@ describe('Ordering API', function() {
                 orderingApi.checkPermissions(req, function (err) {
                     expect(err).toEqual({
                         status: 400,
+                        code: 'ORDERING_INVALID_BODY',
                         message: 'The resource is not a valid JSON document'
                     });
 
@@ -1001,6 +1086,7 @@ describe('Ordering API', function() {
 
                     expect(err).toEqual({
                         status: 400,
+                        code: 'ORDERING_NOT_READABLE',
                         message: 'The requested ordering cannot be retrieved'
                     });
 
@@ -1028,9 +1114,9 @@ describe('Ordering API', function() {
 
                 var storeClient = {
                     storeClient: {
-                        refund: function (receivedOrderId, receivedUser, callback) {
+                        refund: function (receivedOrderId, receivedReq, callback) {
                             expect(receivedOrderId).toBe(orderId);
-                            expect(receivedUser).toBe(user);
+                            expect(receivedReq.user).toBe(user);
                             callback(refundError);
                         }
                     }
@@ -1061,6 +1147,12 @@ describe('Ordering API', function() {
 
                     expect(err).toEqual(expectedError);
 
+                    // The ordering is audited as it was before the request
+                    expect(audit.setPrevious).toHaveBeenCalledWith(req, jasmine.objectContaining({
+                        id: orderId,
+                        state: previousState
+                    }));
+
                     expect(tmfUtils.hasPartyRole).toHaveBeenCalledWith(req, jasmine.arrayContaining(orderingRelatedParties), 'Customer');
                     expect(tmfUtils.hasPartyRole).toHaveBeenCalledWith(req, jasmine.arrayContaining(orderingRelatedParties), 'Seller');
 
@@ -1079,6 +1171,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_STATE_NOT_MODIFIABLE',
                     message: previousState + ' orders cannot be manually modified'
                 };
 
@@ -1095,6 +1188,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_MODIFICATION_FORBIDDEN',
                     message: 'You are not authorized to modify this ordering'
                 };
 
@@ -1105,6 +1199,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_ITEMS_SELLER_ONLY',
                     message: 'Order items can only be modified by sellers'
                 };
 
@@ -1115,6 +1210,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_RELATED_PARTY_NOT_MODIFIABLE',
                     message: 'Related parties cannot be modified'
                 };
 
@@ -1129,6 +1225,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_INVALID_CUSTOMER_STATE',
                     message: 'Invalid order state. Valid states for customers are: "Cancelled"'
                 };
 
@@ -1140,6 +1237,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_NOT_CANCELLABLE',
                     message: 'Orderings can only be cancelled when all Order items are in Acknowledged state'
                 };
 
@@ -1151,6 +1249,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_NOT_CANCELLABLE',
                     message: 'Orderings can only be cancelled when all Order items are in Acknowledged state'
                 };
 
@@ -1162,6 +1261,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_NOT_CANCELLABLE',
                     message: 'Orderings can only be cancelled when all Order items are in Acknowledged state'
                 };
 
@@ -1207,6 +1307,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_SELLER_FIELDS',
                     message: 'Sellers can only modify order items or include notes'
                 };
 
@@ -1232,6 +1333,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 400,
+                    code: 'ORDERING_UNKNOWN_ITEM',
                     message: 'You are trying to edit an non-existing item'
                 };
 
@@ -1248,6 +1350,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_ITEM_SELLER_ONLY',
                     message: 'You cannot modify an order item if you are not seller'
                 };
 
@@ -1264,6 +1367,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_ITEM_NOT_MODIFIABLE',
                     message: 'The fields of an order item cannot be modified'
                 };
 
@@ -1285,6 +1389,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_ITEM_NOT_MODIFIABLE',
                     message: 'The fields of an order item cannot be modified'
                 };
 
@@ -1306,6 +1411,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 403,
+                    code: 'ORDERING_ITEM_FIELD_NOT_MODIFIABLE',
                     message: 'The value of the field name cannot be changed'
                 };
 
@@ -1338,6 +1444,7 @@ describe('Ordering API', function() {
 
                 var expectedError = {
                     status: 400,
+                    code: 'ORDERING_UNKNOWN_ITEM',
                     message: 'You are trying to edit an non-existing item'
                 };
 
@@ -1421,6 +1528,7 @@ describe('Ordering API', function() {
 
                 testUpdate([true, false], notesBody, 'InProgress', [], prevNotes, null, {
                     status: 403,
+                    code: 'ORDERING_NOTES_NOT_MODIFIABLE',
                     message: 'You are not allowed to modify the existing notes of an ordering'
                 }, null, done);
             });
@@ -1537,7 +1645,7 @@ describe('Ordering API', function() {
 
             var redirectUrl = 'http://fakepaypal.com';
             var storeClient = jasmine.createSpyObj('storeClient', ['notifyOrder']);
-            storeClient.notifyOrder.and.callFake(function(orderInfo, userInfo, callback) {
+            storeClient.notifyOrder.and.callFake(function(orderInfo, req, callback) {
                 callback(null, {
                     body: JSON.stringify({redirectUrl: redirectUrl })
                 })
@@ -1546,7 +1654,8 @@ describe('Ordering API', function() {
             testPostValidation(ordering, user, storeClient, headers, getBillingReq, updateBillingReq, function (err) {
                 expect(err).toEqual(err);
                 expect(headers).toEqual({'X-Redirect-URL': redirectUrl});
-                expect(storeClient.notifyOrder).toHaveBeenCalledWith(ordering, user, jasmine.any(Function));
+                expect(storeClient.notifyOrder).toHaveBeenCalledWith(ordering, jasmine.objectContaining({ user: user }),
+                    jasmine.any(Function));
                 done();
             });
         };
@@ -1562,6 +1671,7 @@ describe('Ordering API', function() {
         it('should fail when the billing account cannot be retrieved', function(done) {
             testPostValidationStoreNotifyOk(false, true, false, {
                 status: 500,
+                code: 'ORDERING_BILLING_ACCOUNT_NOT_CHECKED',
                 message: 'Unexpected error when checking the given billing account'
             }, done);
         });
@@ -1570,6 +1680,7 @@ describe('Ordering API', function() {
 
             testPostValidationStoreNotifyOk(false, false, true, {
                 status: 500,
+                code: 'ORDERING_BILLING_ACCOUNT_NOT_UPDATED',
                 message: 'Unexpected error when updating the given billing account'
             }, done);
         });
@@ -1581,7 +1692,7 @@ describe('Ordering API', function() {
             var user = getBaseUser();
 
             var storeClient = jasmine.createSpyObj('storeClient', ['notifyOrder']);
-            storeClient.notifyOrder.and.callFake(function(orderInfo, userInfo, callback) {
+            storeClient.notifyOrder.and.callFake(function(orderInfo, req, callback) {
                 callback({status: 500});
             });
 
@@ -1589,7 +1700,8 @@ describe('Ordering API', function() {
 
                 expect(err).toEqual({status: 500});
                 expect(headers).toEqual({});
-                expect(storeClient.notifyOrder).toHaveBeenCalledWith(ordering, user, jasmine.any(Function));
+                expect(storeClient.notifyOrder).toHaveBeenCalledWith(ordering, jasmine.objectContaining({ user: user }),
+                    jasmine.any(Function));
 
                 done();
             });
@@ -1631,6 +1743,7 @@ describe('Ordering API', function() {
             orderingApi.executePostValidation(req, function(err) {
                 expect(err).toEqual({
                     status: 403,
+                    code: 'ORDERING_RETRIEVAL_FORBIDDEN',
                     message: 'You are not authorized to retrieve the specified ordering'
                 });
 
@@ -1937,4 +2050,18 @@ describe('Ordering API', function() {
             filterTwoItems('PATCH', done);
         });
     });
+
+    describe('Filtered collections', function() {
+
+        it('should paginate the lists of orderings', function() {
+            var ordering = getOrderingAPI({}, {}, {});
+
+            expect(ordering.filtersCollection({
+                apiUrl: '/DSProductOrdering/api/productOrdering/v2/productOrder?offset=0&limit=10'
+            })).toBe(true);
+            expect(ordering.filtersCollection({
+                apiUrl: '/DSProductOrdering/api/productOrdering/v2/productOrder/1'
+            })).toBe(false);
+        });
+    });
 });
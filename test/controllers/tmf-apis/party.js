@@ -29,6 +29,7 @@ describe('Party API', function() {
 
     var INVALID_PATH_ERROR = {
         status: 404,
+        code: 'PARTY_INVALID_PATH',
         message: 'The given path is invalid'
     };
 
@@ -112,6 +113,7 @@ describe('Party API', function() {
 
                 var expectedErr = {
                     status: 400,
+                    code: 'INVALID_JSON',
                     message: 'The provided body is not a valid JSON'
                 };
 
@@ -122,6 +124,7 @@ describe('Party API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'PARTY_ID_MISMATCH',
                     message: 'Provided party ID and request user ID mismatch'
                 };
 
@@ -136,12 +139,12 @@ describe('Party API', function() {
 
         describe('Modification', function() {
 
-            var accessIndividualTest = function(individual, user, expectedErr, done) {
+            var accessPartyTest = function(partyPath, user, expectedErr, done) {
 
                 loggedIn = true;
 
                 var req = {
-                    apiUrl: '/' + config.endpoints.party.path + '/api/partyManagement/v2/individual/' + individual,
+                    apiUrl: '/' + config.endpoints.party.path + '/api/partyManagement/v2/' + partyPath,
                     method: 'PATCH',
                     user: user
                 };
@@ -152,6 +155,10 @@ describe('Party API', function() {
                 });
             };
 
+            var accessIndividualTest = function(individual, user, expectedErr, done) {
+                accessPartyTest('individual/' + individual, user, expectedErr, done);
+            };
+
             it('should not allow to modify individual if not logged in', function(done) {
                 failIfNotLoggedIn('PATCH', done);
             });
@@ -160,6 +167,7 @@ describe('Party API', function() {
 
                 var expectedErr = {
                     status: 403,
+                    code: 'PARTY_ACCESS_FORBIDDEN',
                     message: 'You are not allowed to access this resource'
                 };
 
@@ -181,6 +189,26 @@ describe('Party API', function() {
                 accessIndividualTest('', { id: 'test'}, INVALID_PATH_ERROR, done);
             });
 
+            it('should allow to modify the active organization of the user', function(done) {
+                accessPartyTest('organization/org', { id: 'org', partyType: 'organization' }, null, done);
+            });
+
+            it('should not allow to modify organizations when the user acts as an individual', function(done) {
+                accessPartyTest('organization/user', { id: 'user' }, {
+                    status: 403,
+                    code: 'PARTY_ACCESS_FORBIDDEN',
+                    message: 'You are not allowed to access this resource'
+                }, done);
+            });
+
+            it('should not allow to modify the individual when the user acts as an organization', function(done) {
+                accessIndividualTest('org', { id: 'org', partyType: 'organization' }, {
+                    status: 403,
+                    code: 'PARTY_ACCESS_FORBIDDEN',
+                    message: 'You are not allowed to access this resource'
+                }, done);
+            });
+
             it('should not allow to modify individual if the path is not valid', function(done) {
 
                 loggedIn = true;
@@ -188,8 +216,8 @@ describe('Party API', function() {
                 var user = 'test';
 
                 var req = {
-                    // Individual has been replaced by organization in this path
-                    apiUrl: '/' + config.endpoints.party.path + '/api/partyManagement/v2/organization/' + user,
+                    // Individual has been replaced by an unknown type of party in this path
+                    apiUrl: '/' + config.endpoints.party.path + '/api/partyManagement/v2/group/' + user,
                     method: 'PATCH',
                     user: user
                 };
@@ -214,6 +242,7 @@ describe('Party API', function() {
 
                 expect(err).toEqual({
                     status: 405,
+                    code: 'API_METHOD_NOT_ALLOWED',
                     message: 'Method not allowed'
                 });
 
@@ -221,4 +250,15 @@ describe('Party API', function() {
             });
         });
    });
-});
\ No newline at end of file
+
+    describe('Requires request body', function() {
+
+        it('should require the body when creating individuals', function() {
+            expect(partyAPI.requiresRequestBody({ method: 'POST' })).toBe(true);
+        });
+
+        it('should not require the body when updating individuals', function() {
+            expect(partyAPI.requiresRequestBody({ method: 'PATCH' })).toBe(false);
+        });
+    });
+});
@@ -130,9 +130,9 @@ describe('RSS API', function() {
     });
 
     var mockCreateProvider = function(response) {
-        return function(user, callback) {
+        return function(req, callback) {
             // Ensure that the create provider method has been called with the request user
-            expect(user.id).toBe('username');
+            expect(req.user.id).toBe('username');
             callback(response);
         }
     };
@@ -354,8 +354,8 @@ describe('RSS API', function() {
 
             var rssClient = {
                 rssClient: {
-                    createDefaultModel: function(userInfo, callback) {
-                        expect(userInfo.id).toBe('username');
+                    createDefaultModel: function(req, callback) {
+                        expect(req.user.id).toBe('username');
                         callback(null, {
                             body: JSON.stringify(newModel)
                         });
@@ -390,8 +390,8 @@ describe('RSS API', function() {
 
             var rssClient = {
                 rssClient: {
-                    createDefaultModel: function(userInfo, callback) {
-                        expect(userInfo.id).toBe('username');
+                    createDefaultModel: function(req, callback) {
+                        expect(req.user.id).toBe('username');
                         callback({
                             status: errorStatus,
                             message: errorMessage
@@ -410,4 +410,21 @@ describe('RSS API', function() {
             });
         });
     });
+
+    describe('Requires post validation', function() {
+
+        var rssAPI = getRSSAPI({}, {}, {});
+
+        it('should require post validation when retrieving RS models', function() {
+            expect(rssAPI.requiresPostValidation({ method: 'GET', apiUrl: '/rss/rss/models' })).toBe(true);
+        });
+
+        it('should not require post validation when retrieving other resources', function() {
+            expect(rssAPI.requiresPostValidation({ method: 'GET', apiUrl: '/rss/rss/settlement' })).toBe(false);
+        });
+
+        it('should not require post validation when creating RS models', function() {
+            expect(rssAPI.requiresPostValidation({ method: 'POST', apiUrl: '/rss/rss/models' })).toBe(false);
+        });
+    });
 });
@@ -220,7 +220,7 @@ describe('Usage Management API', function () {
 
             it('should reject requests without "X-API-KEY" header', function (done) {
 
-                testValidateApiKey(null, {}, {status: 401, message: 'Missing header "X-API-KEY"'}, done);
+                testValidateApiKey(null, {}, {status: 401, code: 'USAGE_MISSING_API_KEY', message: 'Missing header "X-API-KEY"'}, done);
             });
 
             it('should return 500 when db fails', function (done) {
@@ -229,7 +229,7 @@ describe('Usage Management API', function () {
                     return callback('Error', {});
                 };
 
-                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 500, message: 'Error validating apiKey'}, done);
+                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 500, code: 'USAGE_API_KEY_NOT_VALIDATED', message: 'Error validating apiKey'}, done);
             });
 
             it('should reject request with not valid API Key', function (done) {
@@ -238,7 +238,7 @@ describe('Usage Management API', function () {
                     return callback(null, null);
                 };
 
-                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 401, message: 'Invalid apikey'}, done);
+                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 401, code: 'USAGE_INVALID_API_KEY', message: 'Invalid apikey'}, done);
             });
 
             it('should reject request with an uncommitted API Key', function (done) {
@@ -247,7 +247,7 @@ describe('Usage Management API', function () {
                     return callback(null, {state: 'UNCOMMITTED'});
                 };
 
-                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 401, message: 'Apikey uncommitted'}, done);
+                testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, {status: 401, code: 'USAGE_API_KEY_UNCOMMITTED', message: 'Apikey uncommitted'}, done);
             });
 
             it('should admit the request when the API Key is valid', function (done) {
@@ -259,6 +259,32 @@ describe('Usage Management API', function () {
                 testValidateApiKey(findOne, {'X-API-KEY': 'apiKey'}, null, done);
             });
 
+            it('should admit requests without API Key from service accounts allowed to send usages', function (done) {
+
+                var accountingService = jasmine.createSpyObj('accountingService', ['findOne']);
+                var usageManagementAPI = getUsageManagementAPI(accountingService, {}, {}, {});
+
+                var req = {
+                    method: 'POST',
+                    headers: {},
+                    user: {
+                        id: 'provider',
+                        serviceAccount: { id: 'client-id', scopes: ['usage:write'] }
+                    },
+                    get: function (header) {
+                        return this.headers[header]
+                    }
+                };
+
+                usageManagementAPI.checkPermissions(req, function (err) {
+
+                    expect(err).toBe(null);
+                    expect(accountingService.findOne).not.toHaveBeenCalled();
+
+                    done();
+                });
+            });
+
         });
 
         describe('Post Validation', function () {
@@ -266,7 +292,7 @@ describe('Usage Management API', function () {
 
             var mockStoreClient = function() {
                 var storeClient = jasmine.createSpyObj('storeClient', ['validateUsage']);
-                storeClient.validateUsage.and.callFake(function (usageInfo, callback) {
+                storeClient.validateUsage.and.callFake(function (usageInfo, req, callback) {
                     return callback(null);
                 });
 
@@ -413,4 +439,46 @@ describe('Usage Management API', function () {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('Streaming', function () {
+
+        var usageManagementAPI = getUsageManagementAPI({}, {}, {}, {});
+
+        it('should not require the body of the request', function () {
+            expect(usageManagementAPI.requiresRequestBody({ method: 'POST' })).toBe(false);
+        });
+
+        var testRequiresPostValidation = function (method, apiUrl, expected) {
+            expect(usageManagementAPI.requiresPostValidation({ method: method, apiUrl: apiUrl })).toBe(expected);
+        };
+
+        it('should require post validation when a usage is created', function () {
+            testRequiresPostValidation('POST', '/DSUsageManagement/api/usageManagement/v2/usage', true);
+        });
+
+        it('should require post validation when usages are filtered by product', function () {
+            testRequiresPostValidation('GET', '/DSUsageManagement/api/usageManagement/v2/usage?usageCharacteristic.value=1', true);
+        });
+
+        it('should not require post validation when usages are not filtered by product', function () {
+            testRequiresPostValidation('GET', '/DSUsageManagement/api/usageManagement/v2/usage?relatedParty.id=user', false);
+        });
+    });
+
+    describe('Filtered collections', function () {
+
+        var usageManagementAPI = getUsageManagementAPI({}, {}, {}, {});
+
+        it('should paginate the usages when they are filtered by product', function () {
+            expect(usageManagementAPI.filtersCollection({
+                apiUrl: '/DSUsageManagement/api/usageManagement/v2/usage?usageCharacteristic.value=1'
+            })).toBe(true);
+        });
+
+        it('should not paginate the usages when they are not filtered by product', function () {
+            expect(usageManagementAPI.filtersCollection({
+                apiUrl: '/DSUsageManagement/api/usageManagement/v2/usage?offset=0'
+            })).toBe(false);
+        });
+    });
+});
@@ -17,7 +17,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-var proxyquire =  require('proxyquire'),
+var EventEmitter = require('events').EventEmitter,
+    proxyquire =  require('proxyquire'),
     testUtils = require('../utils');
 
 
@@ -28,10 +29,19 @@ describe('TMF Controller', function() {
 
     // Modified dependencies
     var config;
+    var responseCache;
+    var retryDelay;
+    var tracer;
+    var span;
+    var validationRejections;
+    var plugins;
+    var policies;
+    var serviceAccounts;
+    var audit;
+    var hrefs;
+    var events;
+    var liveUpdates;
     var utils = {
-        getAPIPort: function() {
-            return 1234;
-        },
         proxiedRequestHeaders: function() {
             return {
                 'Authorization': 'Bearer EXAMPLE',
@@ -44,17 +54,69 @@ describe('TMF Controller', function() {
     };
 
     var getDefaultHttpClient = function() {
-        return jasmine.createSpy('request');
+
+        // Streamed requests are piped to the response
+        var proxyRequest = jasmine.createSpyObj('proxyRequest', ['on', 'pipe']);
+        proxyRequest.on.and.returnValue(proxyRequest);
+        proxyRequest.pipe.and.callFake(function(dest) {
+            return dest;
+        });
+
+        var request = jasmine.createSpy('request').and.returnValue(proxyRequest);
+        request.proxyRequest = proxyRequest;
+
+        return request;
+    };
+
+    // Upstream client that makes its requests with the given HTTP client. As the real one, it does not
+    // send the context of the request
+    var getUpstream = function(request) {
+        return {
+            CIRCUIT_OPEN: 'ECIRCUITOPEN',
+            getEndpointName: function(api) {
+                return api + 'Endpoint';
+            },
+            getRetryDelay: retryDelay,
+            request: function(endpoint, options, callback) {
+                var requestOptions = {};
+
+                for (var key in options) {
+                    if (key !== 'context') {
+                        requestOptions[key] = options[key];
+                    }
+                }
+
+                request.endpoint = endpoint;
+                request.context = options.context;
+                return request.apply(null, callback ? [requestOptions, callback] : [requestOptions]);
+            }
+        };
     };
 
     // Function to get a custom tmf.js instance
     var getTmfInstance = function(request, catalog, ordering, inventory, party) {
 
         return proxyquire('../../controllers/tmf', {
-            'request': request,
+            './../lib/upstream': { upstream: getUpstream(request) },
             './../config': config, 
             './../lib/utils': utils,
             './../lib/logger': testUtils.emptyLogger,
+            './../lib/cache': { responseCache: responseCache },
+            './../lib/tracing': { tracer: tracer },
+            './../lib/plugins': { plugins: plugins },
+            './../lib/policies': { policies: policies },
+            './../lib/serviceAccounts': { serviceAccounts: serviceAccounts },
+            './../lib/audit': { audit: audit },
+            './../lib/hrefs': { hrefs: hrefs },
+            './../lib/events': { events: events },
+            './../lib/liveUpdates': { liveUpdates: liveUpdates },
+            './../lib/metrics': {
+                metrics: {
+                    counter: function() {
+                        return validationRejections;
+                    }
+                }
+            },
             './tmf-apis/catalog': { catalog: catalog },
             './tmf-apis/ordering': {ordering: ordering},
             './tmf-apis/inventory': { inventory: inventory },
@@ -65,6 +127,56 @@ describe('TMF Controller', function() {
     // Clean configuration for every test
     beforeEach(function() {
         config = testUtils.getDefaultConfig();
+
+        responseCache = jasmine.createSpyObj('responseCache', ['getRoute', 'getKey', 'get', 'set', 'createEntry',
+            'isNotModified', 'invalidate']);
+        responseCache.getRoute.and.returnValue(null);
+
+        retryDelay = jasmine.createSpy('getRetryDelay').and.returnValue(-1);
+
+        span = jasmine.createSpyObj('span', ['end']);
+        tracer = jasmine.createSpyObj('tracer', ['startSpan']);
+        tracer.startSpan.and.returnValue(span);
+
+        validationRejections = jasmine.createSpyObj('validationRejections', ['inc']);
+
+        // No plugin is loaded unless the test says otherwise
+        plugins = jasmine.createSpyObj('plugins', ['getController', 'preValidate', 'postValidate',
+            'requiresRequestBody', 'requiresPostValidation']);
+        plugins.getController.and.returnValue(undefined);
+        plugins.requiresRequestBody.and.returnValue(false);
+        plugins.requiresPostValidation.and.returnValue(false);
+        [plugins.preValidate, plugins.postValidate].forEach(function(validate) {
+            validate.and.callFake(function(req, callback) {
+                callback(null);
+            });
+        });
+
+        // Access policies allow every request unless the test says otherwise
+        policies = jasmine.createSpyObj('policies', ['evaluate', 'describe', 'requiresRequestBody']);
+        policies.requiresRequestBody.and.returnValue(false);
+        policies.evaluate.and.callFake(function(req, callback) {
+            callback({ allowed: true, effect: 'allow', rule: null, explanation: [] });
+        });
+
+        // Requests are not made by service accounts unless the test says otherwise
+        serviceAccounts = jasmine.createSpyObj('serviceAccounts', ['checkScope']);
+        serviceAccounts.checkScope.and.returnValue(null);
+
+        audit = jasmine.createSpyObj('audit', ['isAudited', 'start', 'setRejection', 'setUpstreamResponse']);
+        audit.isAudited.and.returnValue(false);
+
+        // Hrefs are not rewritten unless the test says otherwise
+        hrefs = jasmine.createSpyObj('hrefs', ['isEnabled', 'isRewritten', 'getMaxBodySize', 'rewriteToPublic',
+            'rewriteResponse', 'rewriteRequest', 'requiresRequestBody']);
+        hrefs.isEnabled.and.returnValue(false);
+        hrefs.requiresRequestBody.and.returnValue(false);
+
+        events = jasmine.createSpyObj('events', ['isNotified', 'publish']);
+        events.isNotified.and.returnValue(false);
+
+        liveUpdates = jasmine.createSpyObj('liveUpdates', ['isStreamed', 'publish']);
+        liveUpdates.isStreamed.and.returnValue(false);
     });
 
     describe('public paths', function() {
@@ -91,14 +203,16 @@ describe('TMF Controller', function() {
             tmf.public(req, res);
 
             var expectedOptions = {
-                url: protocol + '://' + config.appHost + ':' + utils.getAPIPort() + path,
+                url: path,
                 method: method,
-                encoding: null,
                 headers: utils.proxiedRequestHeaders(),
                 body: req.body
             };
 
-            expect(request).toHaveBeenCalledWith(expectedOptions, jasmine.any(Function));
+            expect(request).toHaveBeenCalledWith(expectedOptions);
+            expect(request.endpoint).toBe('exampleEndpoint');
+            expect(request.context).toBe(req);
+            expect(request.proxyRequest.pipe).toHaveBeenCalledWith(res);
 
         };
 
@@ -167,7 +281,7 @@ describe('TMF Controller', function() {
             tmf.checkPermissions(req, res);
 
             expect(res.status).toHaveBeenCalledWith(404);
-            expect(res.json).toHaveBeenCalledWith({error: 'Path not found'});
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'API_NOT_FOUND', message: 'Path not found' }));
             expect(res.end).toHaveBeenCalledWith();
         });
 
@@ -192,11 +306,23 @@ describe('TMF Controller', function() {
             // We have to wait some time until the response has been called
             setTimeout(function () {
                 expect(res.status).toHaveBeenCalledWith(INVALID_API_STATUS);
-                expect(res.json).toHaveBeenCalledWith({error: INVALID_API_MESSAGE});
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'ERROR', message: INVALID_API_MESSAGE }));
                 expect(res.end).toHaveBeenCalledWith();
 
                 expect(request).not.toHaveBeenCalled();
 
+                expect(tracer.startSpan).toHaveBeenCalledWith(req, 'Pre-Validation (' + api + ')', null);
+                expect(span.end).toHaveBeenCalledWith({
+                    error: INVALID_API_MESSAGE,
+                    'http.status_code': INVALID_API_STATUS
+                });
+
+                expect(validationRejections.inc).toHaveBeenCalledWith({
+                    phase: 'pre',
+                    controller: api,
+                    code: 'ERROR'
+                });
+
                 done();
 
             }, 100);
@@ -249,14 +375,14 @@ describe('TMF Controller', function() {
             setTimeout(function () {
 
                 var expectedOptions = {
-                    url: protocol + '://' + config.appHost + ':' + utils.getAPIPort() + req.apiUrl,
+                    url: req.apiUrl,
                     method: method,
                     body: req.body,
-                    encoding: null,
                     headers: utils.proxiedRequestHeaders()
                 };
 
-                expect(request).toHaveBeenCalledWith(expectedOptions, jasmine.any(Function));
+                expect(request).toHaveBeenCalledWith(expectedOptions);
+                expect(request.proxyRequest.pipe).toHaveBeenCalledWith(res);
 
                 done();
 
@@ -304,13 +430,43 @@ describe('TMF Controller', function() {
             callback(err);
         };
 
+        var testServiceUnreachable = function(controller, request, done) {
+
+            var tmf = getTmfInstance(request, null, controller, null);
+
+            // Actual call
+            var req = {
+                apiUrl: '/ordering',
+                body: 'Example',
+                method: 'POST',
+                user: {'id': 'user'},
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+
+            var res = jasmine.createSpyObj('res', ['status', 'json']);
+            res.status.and.returnValue(res);
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+
+                expect(res.status).toHaveBeenCalledWith(504);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'UPSTREAM_UNREACHABLE', message: 'Service unreachable' }));
+
+                done();
+
+            }, 100);
+        };
+
         it('should return 504 when server is not available', function(done) {
 
             // Configure the API controller
             var controller = {
                 checkPermissions: function(req, callback) {
                     callback();
-                }
+                },
+                executePostValidation: jasmine.createSpy('executePostValidation')
             };
 
             // TMF API
@@ -318,27 +474,249 @@ describe('TMF Controller', function() {
                 callback({ err: 'ECONNREFUSED' });
             };
 
+            testServiceUnreachable(controller, request, done);
+        });
+
+        var getFailingHttpClient = function(err) {
+
+            var request = getDefaultHttpClient();
+            request.proxyRequest.on.and.callFake(function(event, handler) {
+                if (event === 'error') {
+                    handler(err);
+                }
+
+                return request.proxyRequest;
+            });
+
+            return request;
+        };
+
+        var testServiceUnavailable = function(request, done) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                },
+                executePostValidation: jasmine.createSpy('executePostValidation'),
+                requiresPostValidation: function(req) {
+                    return req.method === 'POST';
+                }
+            };
+
             var tmf = getTmfInstance(request, null, controller, null);
 
-            // Actual call
             var req = {
                 apiUrl: '/ordering',
-                body: 'Example',
-                method: 'POST',
-                user: {'id': 'user'},
+                method: 'GET',
                 headers: {},
                 connection: { remoteAddress: '127.0.0.1' }
             };
 
-            var res = jasmine.createSpyObj('res', ['status', 'json']);
+            var res = jasmine.createSpyObj('res', ['status', 'json', 'setHeader']);
+            res.status.and.returnValue(res);
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(res.setHeader).toHaveBeenCalledWith('Retry-After', 20);
+                expect(res.status).toHaveBeenCalledWith(503);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'UPSTREAM_UNAVAILABLE', message: 'Service temporarily unavailable' }));
+                expect(controller.executePostValidation).not.toHaveBeenCalled();
+
+                done();
+            }, 100);
+        };
+
+        it('should return 503 with Retry-After when the circuit of the API is open', function(done) {
+
+            var request = getFailingHttpClient({ code: 'ECIRCUITOPEN', retryAfter: 20 });
+            testServiceUnavailable(request, done);
+        });
+
+        it('should return 503 with Retry-After when the circuit of the API is open and the response is buffered', function(done) {
+
+            var request = function(options, callback) {
+                callback({ code: 'ECIRCUITOPEN', retryAfter: 20 });
+            };
+
+            config.cache = { enabled: true };
+            responseCache.getRoute.and.returnValue({ path: 'ordering', ttl: 60 });
+            responseCache.get.and.callFake(function(key, callback) {
+                callback(null, null);
+            });
+
+            testServiceUnavailable(request, done);
+        });
+
+        var testStreamedRetry = function(headers, body, expectedCalls, done) {
+
+            var err = { code: 'ECONNRESET', message: 'socket hang up' };
+            var request = getFailingHttpClient(err);
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            var tmf = getTmfInstance(request, null, controller, null);
+
+            var req = {
+                apiUrl: '/ordering',
+                method: 'PUT',
+                body: body,
+                headers: headers,
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+
+            var res = jasmine.createSpyObj('res', ['status', 'json', 'setHeader']);
             res.status.and.returnValue(res);
 
+            // Retry once
+            retryDelay.and.returnValues(0, -1);
+
             tmf.checkPermissions(req, res);
 
             setTimeout(function() {
+                expect(request.calls.count()).toBe(expectedCalls);
+
+                if (expectedCalls > 1) {
+                    expect(retryDelay).toHaveBeenCalledWith('orderingEndpoint', 'PUT', 0, err);
+                    expect(retryDelay).toHaveBeenCalledWith('orderingEndpoint', 'PUT', 1, err);
+                } else {
+                    expect(retryDelay).not.toHaveBeenCalled();
+                }
 
                 expect(res.status).toHaveBeenCalledWith(504);
-                expect(res.json).toHaveBeenCalledWith({ error: 'Service unreachable' });
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'UPSTREAM_UNREACHABLE', message: 'Service unreachable' }));
+                done();
+            }, 100);
+        };
+
+        it('should retry streamed requests without body', function(done) {
+            testStreamedRetry({}, undefined, 2, done);
+        });
+
+        it('should retry streamed requests whose body has been parsed', function(done) {
+            testStreamedRetry({ 'content-length': '7' }, 'Example', 2, done);
+        });
+
+        it('should not retry requests whose body is being streamed', function(done) {
+            testStreamedRetry({ 'content-length': '7' }, undefined, 1, done);
+        });
+
+        it('should return 504 when server is not available and the response is streamed', function(done) {
+
+            // Configure the API controller
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            // TMF API
+            var request = getDefaultHttpClient();
+            request.proxyRequest.on.and.callFake(function(event, handler) {
+                if (event === 'error') {
+                    handler({ err: 'ECONNREFUSED' });
+                }
+
+                return request.proxyRequest;
+            });
+
+            testServiceUnreachable(controller, request, done);
+        });
+
+        var testStreamedResponse = function(controller, done) {
+
+            var request = getDefaultHttpClient();
+            var tmf = getTmfInstance(request, null, controller, null);
+
+            var req = {
+                apiUrl: '/ordering',
+                body: 'Example',
+                method: 'GET',
+                user: {'id': 'user'},
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+
+                expect(request).toHaveBeenCalledWith({
+                    url: req.apiUrl,
+                    method: req.method,
+                    headers: utils.proxiedRequestHeaders(),
+                    body: req.body
+                });
+
+                expect(request.proxyRequest.pipe).toHaveBeenCalledWith(res);
+                expect(res.write).not.toHaveBeenCalled();
+
+                if (controller.executePostValidation) {
+                    expect(controller.executePostValidation).not.toHaveBeenCalled();
+                }
+
+                done();
+
+            }, 100);
+        };
+
+        it('should stream the response when no post validation method defined', function(done) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            testStreamedResponse(controller, done);
+        });
+
+        it('should stream the response when post validation is not required for the request', function(done) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                },
+                requiresPostValidation: function(req) {
+                    return req.method !== 'GET';
+                },
+                executePostValidation: jasmine.createSpy('executePostValidation')
+            };
+
+            testStreamedResponse(controller, done);
+        });
+
+        it('should stream the body of the request when it has not been parsed', function(done) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            var request = getDefaultHttpClient();
+            var tmf = getTmfInstance(request, null, controller, null);
+
+            var req = jasmine.createSpyObj('req', ['pipe']);
+            req.apiUrl = '/ordering';
+            req.method = 'POST';
+            req.headers = {};
+            req.connection = { remoteAddress: '127.0.0.1' };
+
+            var res = jasmine.createSpyObj('res', ['status', 'json', 'end']);
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+
+                expect(request.calls.argsFor(0)[0].body).toBeUndefined();
+                expect(req.pipe).toHaveBeenCalledWith(request.proxyRequest);
 
                 done();
 
@@ -357,6 +735,7 @@ describe('TMF Controller', function() {
             var url = '/proxy' + reqPath;
             var userId = 'user';
             var reqId = 'EXAMPLE-REQUEST-ID';
+            var trace = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', flags: '01' };
             var connection = { remoteAddress: '127.0.0.1' };
 
             var returnedResponse = {
@@ -394,7 +773,8 @@ describe('TMF Controller', function() {
                             apiUrl: reqPath,
                             url: url,
                             connection: connection,
-                            id: reqId
+                            id: reqId,
+                            trace: trace
                         }
                     );
 
@@ -407,7 +787,7 @@ describe('TMF Controller', function() {
 
                 expect(options).toEqual(
                     {
-                        url: 'http://' + config.appHost + ':' + utils.getAPIPort() + reqPath,
+                        url: reqPath,
                         method: 'POST',
                         encoding: null,
                         headers: utils.proxiedRequestHeaders(),
@@ -423,6 +803,7 @@ describe('TMF Controller', function() {
             // Actual call
             var req = {
                 id: reqId,
+                trace: trace,
                 url: url,
                 apiUrl: reqPath,
                 //path: reqPath,
@@ -445,7 +826,12 @@ describe('TMF Controller', function() {
                 if (error) {
 
                     expect(res.status).toHaveBeenCalledWith(INVALID_API_STATUS);
-                    expect(res.json).toHaveBeenCalledWith({ error: INVALID_API_MESSAGE });
+                    expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'ERROR', message: INVALID_API_MESSAGE }));
+                    expect(validationRejections.inc).toHaveBeenCalledWith({
+                        phase: 'post',
+                        controller: 'ordering',
+                        code: 'ERROR'
+                    });
 
                 } else {
 
@@ -460,15 +846,16 @@ describe('TMF Controller', function() {
 
                 expect(postValidatorCalled).toBe(expectedPostValidatorCalled);
 
+                if (expectedPostValidatorCalled) {
+                    expect(tracer.startSpan).toHaveBeenCalledWith(req, 'Post-Validation (ordering)', null);
+                    expect(span.end.calls.count()).toBe(2);
+                }
+
                 done();
 
             }, 100);
         };
 
-        it('should proxy request when no post validation method defined', function(done) {
-           testAPIPostValidation(null, 200, false, false, done);
-        });
-
         it('should not call post validation when return status is higher than 400', function(done) {
             testAPIPostValidation(jasmine.createSpy(), 404, false, false, done);
         });
@@ -482,4 +869,1010 @@ describe('TMF Controller', function() {
         });
     });
 
+    describe('Requires request body', function() {
+
+        var testRequiresRequestBody = function(controller, expected) {
+
+            var tmf = getTmfInstance(getDefaultHttpClient(), null, controller, null);
+
+            expect(tmf.requiresRequestBody({ apiUrl: '/ordering/api', method: 'POST' })).toBe(expected);
+        };
+
+        it('should not require the body when the API does not exist', function() {
+            var tmf = getTmfInstance(getDefaultHttpClient());
+            expect(tmf.requiresRequestBody({ apiUrl: '/nonexistingapi', method: 'POST' })).toBe(false);
+        });
+
+        it('should require the body when the controller does not specify it', function() {
+            testRequiresRequestBody({}, true);
+        });
+
+        it('should require the body when the controller asks for it', function() {
+            testRequiresRequestBody({
+                requiresRequestBody: function() {
+                    return true;
+                }
+            }, true);
+        });
+
+        it('should not require the body when the controller does not need it', function() {
+            testRequiresRequestBody({
+                requiresRequestBody: function() {
+                    return false;
+                }
+            }, false);
+        });
+    });
+
+    describe('Access policies', function() {
+
+        var getRequest = function(method) {
+            return {
+                apiUrl: '/catalog/api/productOffering',
+                body: '{}',
+                method: method,
+                user: { id: 'user' },
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        it('should not validate requests denied by the access policies', function(done) {
+            var request = getDefaultHttpClient();
+            var controller = jasmine.createSpyObj('controller', ['checkPermissions']);
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'end']);
+            var req = getRequest('POST');
+
+            policies.evaluate.and.callFake(function(req, callback) {
+                callback({
+                    allowed: false,
+                    effect: 'deny',
+                    rule: 'catalog-create-seller',
+                    status: 403,
+                    code: 'CATALOG_CREATION_FORBIDDEN',
+                    message: 'You are not authorized to create resources',
+                    explanation: []
+                });
+            });
+
+            getTmfInstance(request, controller).checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(policies.evaluate).toHaveBeenCalledWith(req, jasmine.any(Function));
+                expect(controller.checkPermissions).not.toHaveBeenCalled();
+                expect(request).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'CATALOG_CREATION_FORBIDDEN',
+                    message: 'You are not authorized to create resources'
+                }));
+                done();
+            }, 100);
+        });
+
+        it('should validate the requests allowed by the access policies', function(done) {
+            var controller = jasmine.createSpyObj('controller', ['checkPermissions']);
+            var req = getRequest('GET');
+
+            getTmfInstance(getDefaultHttpClient(), controller).checkPermissions(req, {});
+
+            setTimeout(function() {
+                expect(policies.evaluate).toHaveBeenCalledWith(req, jasmine.any(Function));
+                expect(controller.checkPermissions).toHaveBeenCalledWith(req, jasmine.any(Function));
+                done();
+            }, 100);
+        });
+
+        it('should not validate the requests out of the scopes of service accounts', function(done) {
+            var request = getDefaultHttpClient();
+            var controller = jasmine.createSpyObj('controller', ['checkPermissions']);
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'end']);
+            var req = getRequest('POST');
+
+            serviceAccounts.checkScope.and.returnValue({
+                status: 403,
+                code: 'SERVICE_ACCOUNT_SCOPE_DENIED',
+                message: 'The scopes of the service account do not allow POST requests to the catalog API'
+            });
+
+            getTmfInstance(request, controller).checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(serviceAccounts.checkScope).toHaveBeenCalledWith('catalog', req);
+                expect(policies.evaluate).not.toHaveBeenCalled();
+                expect(controller.checkPermissions).not.toHaveBeenCalled();
+                expect(request).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'SERVICE_ACCOUNT_SCOPE_DENIED'
+                }));
+                done();
+            }, 100);
+        });
+
+        it('should require the body when the access policies read it', function() {
+            var tmf = getTmfInstance(getDefaultHttpClient(), {
+                requiresRequestBody: function() {
+                    return false;
+                }
+            });
+
+            policies.requiresRequestBody.and.returnValue(true);
+
+            expect(tmf.requiresRequestBody({ apiUrl: '/catalog/api', method: 'POST' })).toBe(true);
+        });
+    });
+
+    describe('Plugins', function() {
+
+        var getRequest = function(apiUrl, method) {
+            return {
+                apiUrl: apiUrl,
+                body: 'Example',
+                method: method,
+                user: { id: 'user' },
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var checkPermissionsValid = {
+            checkPermissions: function(req, callback) {
+                callback(null);
+            }
+        };
+
+        it('should use the controllers defined by plugins for APIs that are not bundled', function(done) {
+            var request = getDefaultHttpClient();
+            var controller = jasmine.createSpyObj('controller', ['checkPermissions']);
+            controller.checkPermissions.and.callFake(function(req, callback) {
+                callback(null);
+            });
+
+            plugins.getController.and.callFake(function(api) {
+                return api === 'marketplace' ? controller : undefined;
+            });
+
+            var tmf = getTmfInstance(request);
+            var req = getRequest('/marketplace/api/item', 'GET');
+
+            tmf.checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(controller.checkPermissions).toHaveBeenCalledWith(req, jasmine.any(Function));
+                expect(request).toHaveBeenCalled();
+                expect(request.endpoint).toBe('marketplaceEndpoint');
+                done();
+            }, 100);
+        });
+
+        it('should not redirect requests rejected by the validators of plugins', function(done) {
+            var request = getDefaultHttpClient();
+            var tmf = getTmfInstance(request, checkPermissionsValid);
+            var req = getRequest('/catalog/api', 'POST');
+            var res = getResponse();
+
+            plugins.preValidate.and.callFake(function(req, callback) {
+                callback({ status: 403, message: 'Offerings cannot be free' });
+            });
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(plugins.preValidate).toHaveBeenCalledWith(req, jasmine.any(Function));
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'ERROR', message: 'Offerings cannot be free' }));
+                expect(request).not.toHaveBeenCalled();
+                expect(validationRejections.inc).toHaveBeenCalledWith({
+                    phase: 'pre',
+                    controller: 'catalog',
+                    code: 'ERROR'
+                });
+                done();
+            }, 100);
+        });
+
+        it('should count the rejections by the code of the error instead of its message', function(done) {
+            var tmf = getTmfInstance(getDefaultHttpClient(), checkPermissionsValid);
+            var req = getRequest('/catalog/api', 'POST');
+
+            plugins.preValidate.and.callFake(function(req, callback) {
+                callback({ status: 404, code: 'SERVICE_ACCOUNT_NOT_FOUND', message: 'The service account 7 does not exist' });
+            });
+
+            tmf.checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(validationRejections.inc).toHaveBeenCalledWith({
+                    phase: 'pre',
+                    controller: 'catalog',
+                    code: 'SERVICE_ACCOUNT_NOT_FOUND'
+                });
+                done();
+            }, 100);
+        });
+
+        it('should not run the validators of plugins when the controller rejects the request', function(done) {
+            var tmf = getTmfInstance(getDefaultHttpClient(), {
+                checkPermissions: function(req, callback) {
+                    callback({ status: INVALID_API_STATUS, message: INVALID_API_MESSAGE });
+                }
+            });
+
+            tmf.checkPermissions(getRequest('/catalog/api', 'POST'), getResponse());
+
+            setTimeout(function() {
+                expect(plugins.preValidate).not.toHaveBeenCalled();
+                done();
+            }, 100);
+        });
+
+        it('should require the body when a validator of a plugin reads it', function() {
+            var tmf = getTmfInstance(getDefaultHttpClient(), {
+                requiresRequestBody: function() {
+                    return false;
+                }
+            });
+
+            plugins.requiresRequestBody.and.returnValue(true);
+
+            expect(tmf.requiresRequestBody({ apiUrl: '/catalog/api', method: 'POST' })).toBe(true);
+        });
+
+        it('should run the post validators of plugins with the result of the request', function(done) {
+            var returnedBody = '[{"id":"1"}]';
+            var request = function(options, callback) {
+                expect(options.encoding).toBe(null);
+                callback(null, { statusCode: 200, headers: {} }, returnedBody);
+            };
+
+            plugins.requiresPostValidation.and.returnValue(true);
+            plugins.postValidate.and.callFake(function(result, callback) {
+                expect(result.status).toBe(200);
+                expect(result.body).toBe(returnedBody);
+                result.body = '[]';
+                callback(null);
+            });
+
+            var tmf = getTmfInstance(request, checkPermissionsValid);
+            var res = getResponse();
+
+            tmf.checkPermissions(getRequest('/catalog/api', 'GET'), res);
+
+            setTimeout(function() {
+                expect(plugins.postValidate).toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(200);
+                expect(res.write).toHaveBeenCalledWith('[]');
+                done();
+            }, 100);
+        });
+    });
+
+    describe('Audit', function() {
+
+        var getRequest = function(method) {
+            return {
+                apiUrl: '/catalog/api/productOffering/1',
+                body: '{"lifecycleStatus":"Retired"}',
+                method: method,
+                user: { id: 'user' },
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        // Responses are only read by the proxy when the controller validates them
+        var getController = function(err, postErr) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback(err);
+                }
+            };
+
+            if (postErr) {
+                controller.executePostValidation = function(result, callback) {
+                    callback(postErr);
+                };
+            }
+
+            return controller;
+        };
+
+        beforeEach(function() {
+            audit.isAudited.and.returnValue(true);
+        });
+
+        it('should audit the requests of the APIs', function(done) {
+            var body = Buffer.from('{"id":"1","lifecycleStatus":"Retired"}');
+            var req = getRequest('PATCH');
+            var res = getResponse();
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, { statusCode: 200, headers: {} }, body);
+            });
+
+            getTmfInstance(request, getController(null)).checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(audit.start).toHaveBeenCalledWith(req, res, 'catalog');
+                expect(audit.setRejection).not.toHaveBeenCalled();
+
+                // Responses are read to record the resource after the request
+                expect(audit.isAudited).toHaveBeenCalledWith(req);
+                expect(request.calls.argsFor(0)[0].encoding).toBe(null);
+                expect(audit.setUpstreamResponse).toHaveBeenCalledWith(req, 200, body);
+                expect(res.status).toHaveBeenCalledWith(200);
+                done();
+            }, 100);
+        });
+
+        it('should require the body of the audited requests', function() {
+            var tmf = getTmfInstance(getDefaultHttpClient(), {
+                requiresRequestBody: function() {
+                    return false;
+                }
+            });
+
+            expect(tmf.requiresRequestBody({ apiUrl: '/catalog/api', method: 'POST' })).toBe(true);
+
+            audit.isAudited.and.returnValue(false);
+            expect(tmf.requiresRequestBody({ apiUrl: '/catalog/api', method: 'POST' })).toBe(false);
+        });
+
+        it('should not audit requests to APIs that do not exist', function() {
+            getTmfInstance(getDefaultHttpClient()).checkPermissions(getRequest('DELETE'), getResponse());
+            expect(audit.start).not.toHaveBeenCalled();
+        });
+
+        it('should record the rejections of the validators of the request', function(done) {
+            var req = getRequest('PATCH');
+            var err = { status: 403, message: 'You are not allowed to retire this offering' };
+
+            getTmfInstance(getDefaultHttpClient(), getController(err)).checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(audit.setRejection).toHaveBeenCalledWith(req, 'pre', err);
+                done();
+            }, 100);
+        });
+
+        it('should record the response of the API and the rejections of its validators', function(done) {
+            var err = { status: 422, message: 'The offering cannot be attached' };
+            var body = '{"id":"1"}';
+            var req = getRequest('POST');
+            var res = getResponse();
+
+            var request = function(options, callback) {
+                callback(null, { statusCode: 201, headers: {} }, body);
+            };
+
+            getTmfInstance(request, getController(null, err)).checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(audit.setUpstreamResponse).toHaveBeenCalledWith(req, 201, body);
+                expect(audit.setRejection).toHaveBeenCalledWith(req, 'post', err);
+                expect(res.status).toHaveBeenCalledWith(422);
+                done();
+            }, 100);
+        });
+    });
+
+    describe('Cache', function() {
+
+        var ROUTE = { path: 'catalog', ttl: 60 };
+        var KEY = '/catalog/api|';
+
+        var ENTRY = {
+            status: 200,
+            headers: {
+                'content-type': 'application/json',
+                'etag': '"abc"',
+                'last-modified': 'Mon, 01 Feb 2016 00:00:00 GMT'
+            },
+            body: Buffer.from('[]').toString('base64')
+        };
+
+        var controller = {
+            checkPermissions: function(req, callback) {
+                callback();
+            }
+        };
+
+        var getRequest = function() {
+            return {
+                apiUrl: '/catalog/api',
+                method: 'GET',
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var callWithCachedEntry = function(entry, notModified, request, done) {
+
+            responseCache.getRoute.and.returnValue(ROUTE);
+            responseCache.getKey.and.returnValue(KEY);
+            responseCache.get.and.callFake(function(key, callback) {
+                callback(null, entry);
+            });
+            responseCache.isNotModified.and.returnValue(notModified);
+
+            var tmf = getTmfInstance(request, controller);
+            var req = getRequest();
+            var res = getResponse();
+
+            tmf.checkPermissions(req, res);
+
+            setTimeout(function() {
+                expect(responseCache.getRoute).toHaveBeenCalledWith(req);
+                expect(responseCache.getKey).toHaveBeenCalledWith(req, ROUTE);
+                expect(responseCache.get).toHaveBeenCalledWith(KEY, jasmine.any(Function));
+
+                done(req, res);
+            }, 100);
+        };
+
+        it('should return cached responses', function(done) {
+
+            var request = getDefaultHttpClient();
+
+            callWithCachedEntry(ENTRY, false, request, function(req, res) {
+
+                expect(request).not.toHaveBeenCalled();
+                expect(res.setHeader).toHaveBeenCalledWith('X-Cache', 'HIT');
+                expect(res.status).toHaveBeenCalledWith(200);
+
+                for (var header in ENTRY.headers) {
+                    expect(res.setHeader).toHaveBeenCalledWith(header, ENTRY.headers[header]);
+                }
+
+                expect(res.write).toHaveBeenCalledWith(Buffer.from('[]'));
+                expect(res.end).toHaveBeenCalled();
+
+                done();
+            });
+        });
+
+        it('should return 304 when the cached response has not been modified', function(done) {
+
+            var request = getDefaultHttpClient();
+
+            callWithCachedEntry(ENTRY, true, request, function(req, res) {
+
+                expect(responseCache.isNotModified).toHaveBeenCalledWith(req, ENTRY);
+                expect(res.status).toHaveBeenCalledWith(304);
+                expect(res.setHeader).toHaveBeenCalledWith('etag', ENTRY.headers['etag']);
+                expect(res.setHeader).toHaveBeenCalledWith('last-modified', ENTRY.headers['last-modified']);
+                expect(res.write).not.toHaveBeenCalled();
+                expect(res.end).toHaveBeenCalled();
+
+                done();
+            });
+        });
+
+        it('should cache the response when it is not cached', function(done) {
+
+            var body = Buffer.from('[]');
+            var response = { statusCode: 200, headers: {} };
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, response, body);
+            });
+
+            responseCache.createEntry.and.returnValue(ENTRY);
+
+            callWithCachedEntry(null, false, request, function(req, res) {
+
+                expect(request.calls.argsFor(0)[0].encoding).toBe(null);
+                expect(responseCache.createEntry).toHaveBeenCalledWith(response, body);
+                expect(responseCache.set).toHaveBeenCalledWith(KEY, ENTRY, ROUTE);
+                expect(res.setHeader).toHaveBeenCalledWith('X-Cache', 'MISS');
+                expect(res.write).toHaveBeenCalledWith(body);
+
+                done();
+            });
+        });
+
+        it('should not cache responses with errors', function(done) {
+
+            var body = Buffer.from('{}');
+            var response = { statusCode: 404, headers: { 'content-type': 'application/json' } };
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, response, body);
+            });
+
+            callWithCachedEntry(null, false, request, function(req, res) {
+
+                expect(responseCache.set).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(404);
+                expect(res.setHeader).toHaveBeenCalledWith('content-type', 'application/json');
+                expect(res.write).toHaveBeenCalledWith(body);
+
+                done();
+            });
+        });
+
+        it('should return 504 when the response is not cached and the server is not available', function(done) {
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback({ err: 'ECONNREFUSED' });
+            });
+
+            callWithCachedEntry(null, false, request, function(req, res) {
+
+                expect(responseCache.set).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(504);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'UPSTREAM_UNREACHABLE', message: 'Service unreachable' }));
+
+                done();
+            });
+        });
+
+        var testInvalidation = function(statusCode, invalidated) {
+
+            var request = getDefaultHttpClient();
+            request.proxyRequest.on.and.callFake(function(event, handler) {
+                if (event === 'response') {
+                    handler({ statusCode: statusCode });
+                }
+
+                return request.proxyRequest;
+            });
+
+            var tmf = getTmfInstance(request, controller);
+            var req = getRequest();
+            req.method = 'PATCH';
+
+            tmf.public(req, getResponse());
+
+            if (invalidated) {
+                expect(responseCache.invalidate).toHaveBeenCalledWith(req);
+            } else {
+                expect(responseCache.invalidate).not.toHaveBeenCalled();
+            }
+        };
+
+        it('should invalidate cached responses when the upstream API accepts the request', function() {
+            testInvalidation(200, true);
+        });
+
+        it('should not invalidate cached responses when the upstream API rejects the request', function() {
+            testInvalidation(400, false);
+        });
+
+        it('should invalidate cached responses when the request requires post validation', function(done) {
+
+            var postValidationController = {
+                checkPermissions: controller.checkPermissions,
+                executePostValidation: function(req, callback) {
+                    callback(null);
+                }
+            };
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, { statusCode: 201, headers: {} }, '{}');
+            });
+
+            var tmf = getTmfInstance(request, postValidationController);
+            var req = getRequest();
+            req.method = 'POST';
+
+            tmf.checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(responseCache.invalidate).toHaveBeenCalledWith(req);
+                done();
+            }, 100);
+        });
+    });
+
+    describe('Pagination', function() {
+
+        var ITEMS = [
+            { id: '1', visible: true },
+            { id: '2', visible: false },
+            { id: '3', visible: true },
+            { id: '4', visible: true }
+        ];
+
+        var getController = function(postErr) {
+            return {
+                checkPermissions: function(req, callback) {
+                    callback();
+                },
+                filtersCollection: function(req) {
+                    return true;
+                },
+                executePostValidation: function(result, callback) {
+                    if (postErr) {
+                        return callback(postErr);
+                    }
+
+                    result.body = JSON.stringify(JSON.parse(result.body).filter(function(item) {
+                        return item.visible;
+                    }));
+
+                    callback(null);
+                }
+            };
+        };
+
+        var getRequest = function(query) {
+            return {
+                apiUrl: '/ordering/api/productOrder?' + query,
+                method: 'GET',
+                headers: {},
+                user: { id: 'user' },
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var getHttpClient = function(statusCode, body) {
+            return jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, {
+                    statusCode: statusCode,
+                    headers: { 'content-type': 'application/json', 'x-total-count': '4' }
+                }, body);
+            });
+        };
+
+        var callPaginated = function(query, request, postErr, done) {
+            var req = getRequest(query);
+            var res = getResponse();
+
+            getTmfInstance(request, null, getController(postErr)).checkPermissions(req, res);
+
+            setTimeout(function() {
+                done(req, res);
+            }, 100);
+        };
+
+        it('should build the pages of the lists filtered by the controllers', function(done) {
+            var request = getHttpClient(200, JSON.stringify(ITEMS));
+
+            callPaginated('state=Completed&offset=1&limit=1', request, null, function(req, res) {
+
+                var headers = {};
+
+                res.setHeader.calls.allArgs().forEach(function(args) {
+                    headers[args[0]] = args[1];
+                });
+
+                expect(request.calls.argsFor(0)[0].url).toBe('/ordering/api/productOrder?state=Completed&offset=0&size=100');
+                expect(res.status).toHaveBeenCalledWith(200);
+                expect(res.write).toHaveBeenCalledWith(JSON.stringify([ITEMS[2]]));
+                expect(headers['X-Total-Count']).toBe('3');
+                expect(headers['x-total-count']).toBeUndefined();
+                expect(headers['content-length']).toBe(Buffer.byteLength(JSON.stringify([ITEMS[2]])));
+                expect(headers['Link']).toContain('rel="next"');
+
+                done();
+            });
+        });
+
+        it('should not paginate the lists when the client does not request it', function(done) {
+            var request = getHttpClient(200, JSON.stringify(ITEMS));
+
+            callPaginated('state=Completed', request, null, function(req, res) {
+
+                expect(request.calls.argsFor(0)[0].url).toBe('/ordering/api/productOrder?state=Completed');
+                expect(res.write).toHaveBeenCalledWith(JSON.stringify([ITEMS[0], ITEMS[2], ITEMS[3]]));
+
+                done();
+            });
+        });
+
+        it('should return 400 when the pagination parameters are not valid', function(done) {
+            var request = getHttpClient(200, '[]');
+
+            callPaginated('offset=first', request, null, function(req, res) {
+
+                expect(request).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(400);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'INVALID_PAGINATION',
+                    message: 'Invalid offset: it must be an integer between 0 and Infinity'
+                }));
+
+                done();
+            });
+        });
+
+        it('should return the errors of the API', function(done) {
+            var body = '{"error":"Invalid filter"}';
+            var request = getHttpClient(400, body);
+
+            callPaginated('offset=0', request, null, function(req, res) {
+
+                expect(res.status).toHaveBeenCalledWith(400);
+                expect(res.write).toHaveBeenCalledWith(body);
+
+                done();
+            });
+        });
+
+        it('should return the errors of the post validation', function(done) {
+            var request = getHttpClient(200, JSON.stringify(ITEMS));
+
+            callPaginated('offset=0', request, { status: 403, message: 'Forbidden' }, function(req, res) {
+
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ message: 'Forbidden' }));
+                expect(validationRejections.inc).toHaveBeenCalledWith({
+                    phase: 'post',
+                    controller: 'ordering',
+                    code: 'ERROR'
+                });
+
+                done();
+            });
+        });
+    });
+
+    describe('Hrefs', function() {
+
+        var PUBLIC_BODY = '{"href":"https://store.example.com/catalog/api/1"}';
+        var INTERNAL_BODY = '{"href":"http://apis:8080/catalog/api/1"}';
+
+        var getRequest = function(method, body) {
+            return {
+                apiUrl: '/catalog/api',
+                method: method,
+                body: body,
+                headers: { 'content-type': 'application/json' },
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        beforeEach(function() {
+            hrefs.isEnabled.and.returnValue(true);
+
+            hrefs.rewriteRequest.and.callFake(function(req) {
+                req.body = req.body && req.body.replace('https://store.example.com', 'http://apis:8080');
+            });
+
+            hrefs.rewriteResponse.and.callFake(function(req, result) {
+                result.body = result.body.toString().replace('http://apis:8080', 'https://store.example.com');
+            });
+        });
+
+        it('should rewrite the public hrefs of the requests before validating and forwarding them', function(done) {
+
+            var validatedBody = null;
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    validatedBody = req.body;
+                    callback();
+                }
+            };
+
+            var request = getDefaultHttpClient();
+            var req = getRequest('POST', PUBLIC_BODY);
+
+            getTmfInstance(request, controller).checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(validatedBody).toBe(INTERNAL_BODY);
+                expect(request.calls.argsFor(0)[0].body).toBe(INTERNAL_BODY);
+                done();
+            }, 100);
+        });
+
+        // Responses of the APIs are streamed, so they are emitted once the request is made
+        var testStreamedResponse = function(headers, chunks, callback) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            var proxyRequest = new EventEmitter();
+            proxyRequest.pipe = jasmine.createSpy('pipe');
+            proxyRequest.pause = jasmine.createSpy('pause');
+            proxyRequest.resume = jasmine.createSpy('resume');
+
+            var request = jasmine.createSpy('request').and.returnValue(proxyRequest);
+            var res = getResponse();
+
+            res.write.and.returnValue(true);
+            hrefs.getMaxBodySize.and.returnValue(50);
+
+            getTmfInstance(request, controller).checkPermissions(getRequest('GET'), res);
+
+            setTimeout(function() {
+                proxyRequest.emit('response', { statusCode: 200, headers: headers });
+
+                chunks.forEach(function(chunk) {
+                    proxyRequest.emit('data', Buffer.from(chunk));
+                });
+
+                proxyRequest.emit('end');
+
+                expect(request.calls.argsFor(0)[0].encoding).toBeUndefined();
+                expect(hrefs.isRewritten).toHaveBeenCalledWith(headers);
+                callback(res, proxyRequest);
+            }, 100);
+        };
+
+        it('should rewrite the hrefs of the JSON responses instead of streaming them', function(done) {
+            var headers = { 'content-type': 'application/json' };
+
+            hrefs.isRewritten.and.returnValue(true);
+
+            testStreamedResponse(headers, [INTERNAL_BODY.substring(0, 10), INTERNAL_BODY.substring(10)],
+                function(res, proxyRequest) {
+
+                    expect(proxyRequest.pipe).not.toHaveBeenCalled();
+                    expect(hrefs.rewriteResponse).toHaveBeenCalledWith(jasmine.any(Object), jasmine.any(Object));
+                    expect(res.status).toHaveBeenCalledWith(200);
+                    expect(res.write).toHaveBeenCalledWith(PUBLIC_BODY);
+                    expect(res.end).toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('should stream the responses whose hrefs are not rewritten', function(done) {
+            var headers = { 'content-type': 'application/octet-stream' };
+
+            hrefs.isRewritten.and.returnValue(false);
+
+            testStreamedResponse(headers, [], function(res, proxyRequest) {
+                expect(proxyRequest.pipe).toHaveBeenCalledWith(res);
+                expect(hrefs.rewriteResponse).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('should stream the responses that exceed the maximum size without rewriting them', function(done) {
+            var headers = { 'content-type': 'application/json', 'transfer-encoding': 'chunked' };
+            var body = '[' + INTERNAL_BODY + ',' + INTERNAL_BODY + ']';
+
+            hrefs.isRewritten.and.returnValue(true);
+
+            testStreamedResponse(headers, [body.substring(0, 40), body.substring(40, 60), body.substring(60)],
+                function(res) {
+
+                    expect(hrefs.rewriteResponse).not.toHaveBeenCalled();
+                    expect(res.status).toHaveBeenCalledWith(200);
+                    expect(res.setHeader).toHaveBeenCalledWith('transfer-encoding', 'chunked');
+                    expect(res.write.calls.allArgs().map(function(args) {
+                        return args[0].toString();
+                    })).toEqual([body.substring(0, 60), body.substring(60)]);
+                    expect(res.end).toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('should rewrite the hrefs of the cached responses without modifying the entries', function(done) {
+
+            var controller = {
+                checkPermissions: function(req, callback) {
+                    callback();
+                }
+            };
+
+            var entry = {
+                status: 200,
+                headers: { 'content-type': 'application/json' },
+                body: Buffer.from(INTERNAL_BODY).toString('base64')
+            };
+
+            responseCache.getRoute.and.returnValue({ path: 'catalog', ttl: 60 });
+            responseCache.get.and.callFake(function(key, callback) {
+                callback(null, entry);
+            });
+            responseCache.isNotModified.and.returnValue(false);
+
+            var request = getDefaultHttpClient();
+            var res = getResponse();
+
+            getTmfInstance(request, controller).checkPermissions(getRequest('GET'), res);
+
+            setTimeout(function() {
+                expect(request).not.toHaveBeenCalled();
+                expect(res.write).toHaveBeenCalledWith(PUBLIC_BODY);
+                expect(Buffer.from(entry.body, 'base64').toString()).toBe(INTERNAL_BODY);
+                done();
+            }, 100);
+        });
+    });
+
+    describe('Events', function() {
+
+        var BODY = '{"id":"7","state":"Acknowledged"}';
+
+        var getRequest = function() {
+            return {
+                apiUrl: '/ordering/api/productOrder',
+                method: 'POST',
+                body: '{}',
+                headers: { 'content-type': 'application/json' },
+                user: { id: 'user' },
+                connection: { remoteAddress: '127.0.0.1' }
+            };
+        };
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'json', 'write', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var controller = {
+            checkPermissions: function(req, callback) {
+                callback();
+            }
+        };
+
+        var testPublish = function(statusCode, published, done) {
+
+            var request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+                callback(null, { statusCode: statusCode, headers: {} }, Buffer.from(BODY));
+            });
+
+            var req = getRequest();
+
+            events.isNotified.and.returnValue(true);
+
+            getTmfInstance(request, null, controller).checkPermissions(req, getResponse());
+
+            setTimeout(function() {
+                expect(events.isNotified).toHaveBeenCalledWith('ordering', req);
+                expect(request.calls.argsFor(0)[0].encoding).toBe(null);
+
+                if (published) {
+                    var result = events.publish.calls.argsFor(0)[2];
+
+                    expect(events.publish).toHaveBeenCalledWith(req, 'ordering', result);
+                    expect(result.status).toBe(statusCode);
+                    expect(result.body.toString()).toBe(BODY);
+                    expect(liveUpdates.publish).toHaveBeenCalledWith(req, 'ordering', result);
+                } else {
+                    expect(events.publish).not.toHaveBeenCalled();
+                }
+
+                done();
+            }, 100);
+        };
+
+        it('should publish the changes accepted by the APIs', function(done) {
+            testPublish(201, true, done);
+        });
+
+        it('should not publish the requests rejected by the APIs', function(done) {
+            testPublish(400, false, done);
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,435 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Audit', function() {
+
+    var ADMIN = 'provider';
+
+    var config;
+    var auditRecord;
+    var finishedCallbacks;
+
+    var getAudit = function() {
+        return proxyquire('../../lib/audit', {
+            './../config': config,
+            './../db/schemas/auditRecord': auditRecord,
+            './logger': testUtils.emptyLogger,
+            './utils': {
+                isAdmin: function(user) {
+                    return !!user && user.roles.some(function(role) {
+                        return role.name === ADMIN;
+                    });
+                },
+                log: function() {}
+            },
+            'on-finished': function(res, callback) {
+                finishedCallbacks.push(callback);
+            }
+        }).audit;
+    };
+
+    var getRequest = function(method, apiUrl, body) {
+        return {
+            id: 'request-id',
+            method: method,
+            apiUrl: apiUrl,
+            body: body,
+            user: {
+                id: 'seller',
+                roles: [{ name: 'seller' }]
+            }
+        };
+    };
+
+    // Sends the response of the given request and returns the record saved
+    var finishRequest = function() {
+        finishedCallbacks.forEach(function(callback) {
+            callback();
+        });
+
+        return auditRecord.create.calls.mostRecent().args[0];
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.audit = {
+            enabled: true,
+            retentionDays: 10,
+            maxBodySize: 100
+        };
+
+        finishedCallbacks = [];
+
+        auditRecord = jasmine.createSpyObj('AuditRecord', ['create', 'find']);
+        auditRecord['@noCallThru'] = true;
+        auditRecord.create.and.callFake(function(record, callback) {
+            callback(null);
+        });
+
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(Date.UTC(2016, 1, 1, 10, 0, 0)));
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    describe('Recording', function() {
+
+        it('should only audit requests that modify resources', function() {
+            var audit = getAudit();
+
+            expect(audit.isAudited({ method: 'post' })).toBe(true);
+            expect(audit.isAudited({ method: 'PATCH' })).toBe(true);
+            expect(audit.isAudited({ method: 'PUT' })).toBe(true);
+            expect(audit.isAudited({ method: 'DELETE' })).toBe(true);
+            expect(audit.isAudited({ method: 'GET' })).toBe(false);
+        });
+
+        it('should not audit requests when it is disabled', function() {
+            config.audit.enabled = false;
+
+            var audit = getAudit();
+            var req = getRequest('DELETE', '/catalog/api/productOffering/1');
+
+            audit.start(req, {}, 'catalog');
+
+            expect(audit.isAudited(req)).toBe(false);
+            expect(req.audit).toBeUndefined();
+            expect(finishedCallbacks.length).toBe(0);
+        });
+
+        it('should record the update of a resource once the response is sent', function() {
+            var audit = getAudit();
+            var req = getRequest('PATCH', '/catalog/api/productOffering/1/?fields=id', '{"lifecycleStatus":"Retired"}');
+
+            audit.start(req, { statusCode: 200 }, 'catalog');
+            audit.setPrevious(req, { id: '1', lifecycleStatus: 'Launched' });
+            audit.setUpstreamResponse(req, 200);
+
+            expect(auditRecord.create).not.toHaveBeenCalled();
+
+            expect(finishRequest()).toEqual({
+                timestamp: new Date(Date.UTC(2016, 1, 1, 10, 0, 0)),
+                requestId: 'request-id',
+                user: 'seller',
+                roles: ['seller'],
+                api: 'catalog',
+                method: 'PATCH',
+                path: '/catalog/api/productOffering/1/',
+                resourceId: '1',
+                before: { id: '1', lifecycleStatus: 'Launched' },
+                body: { lifecycleStatus: 'Retired' },
+                after: undefined,
+                validation: { outcome: 'accepted' },
+                upstreamStatus: 200,
+                status: 200,
+                expires: new Date(Date.UTC(2016, 1, 11, 10, 0, 0))
+            });
+        });
+
+        it('should record the service account of the requests made by one', function() {
+            var audit = getAudit();
+            var req = getRequest('PATCH', '/ordering/api/productOrder/1', '{"state":"InProgress"}');
+
+            req.user.serviceAccount = { id: 'client-id', scopes: ['ordering:status'] };
+
+            audit.start(req, { statusCode: 200 }, 'ordering');
+
+            var record = finishRequest();
+
+            expect(record.user).toBe('seller');
+            expect(record.serviceAccount).toBe('client-id');
+        });
+
+        it('should record the user and the organization of the requests made on behalf of one', function() {
+            var audit = getAudit();
+            var req = getRequest('POST', '/catalog/api/productOffering', '{}');
+
+            req.user = {
+                id: 'organization',
+                roles: ['seller', { name: 'orgAdmin' }],
+                partyType: 'organization',
+                member: { id: 'seller', roles: [] }
+            };
+
+            audit.start(req, { statusCode: 201 }, 'catalog');
+
+            var record = finishRequest();
+
+            expect(record.user).toBe('seller');
+            expect(record.party).toBe('organization');
+            expect(record.roles).toEqual(['seller', 'orgAdmin']);
+        });
+
+        it('should take the ID of created resources from the response of the API', function() {
+            var audit = getAudit();
+            var req = getRequest('POST', '/ordering/api/productOrder', '{"orderItem":[]}');
+
+            audit.start(req, { statusCode: 201 }, 'ordering');
+            audit.setUpstreamResponse(req, 201, Buffer.from('{"id":25,"orderItem":[]}'));
+
+            var record = finishRequest();
+
+            expect(record.resourceId).toBe('25');
+            expect(record.after).toEqual({ id: 25, orderItem: [] });
+        });
+
+        it('should record the rejections of the validators', function() {
+            var audit = getAudit();
+            var req = getRequest('DELETE', '/catalog/api/category/3');
+            var err = { status: 403, message: 'Only administrators can modify categories' };
+
+            audit.start(req, { statusCode: 403 }, 'catalog');
+            audit.setRejection(req, 'pre', err);
+
+            var record = finishRequest();
+
+            expect(record.body).toBeUndefined();
+            expect(record.validation).toEqual({
+                outcome: 'rejected',
+                phase: 'pre',
+                status: 403,
+                message: 'Only administrators can modify categories'
+            });
+            expect(record.upstreamStatus).toBeUndefined();
+            expect(record.status).toBe(403);
+        });
+
+        it('should not record the body of the errors of the API', function() {
+            var audit = getAudit();
+            var req = getRequest('POST', '/catalog/api/productOffering', '{}');
+
+            audit.start(req, { statusCode: 400 }, 'catalog');
+            audit.setUpstreamResponse(req, 400, '{"error":"Invalid offering"}');
+
+            var record = finishRequest();
+
+            expect(record.upstreamStatus).toBe(400);
+            expect(record.after).toBeUndefined();
+            expect(record.resourceId).toBeUndefined();
+        });
+
+        it('should keep the records forever when there is no retention period', function() {
+            config.audit.retentionDays = 0;
+
+            var audit = getAudit();
+            var req = getRequest('DELETE', '/catalog/api/category/3');
+
+            audit.start(req, { statusCode: 204 }, 'catalog');
+
+            expect(finishRequest().expires).toBeUndefined();
+        });
+
+        it('should not fail when the record cannot be saved', function() {
+            auditRecord.create.and.callFake(function(record, callback) {
+                callback({ message: 'Error' });
+            });
+
+            var audit = getAudit();
+            audit.start(getRequest('DELETE', '/catalog/api/category/3'), { statusCode: 204 }, 'catalog');
+
+            expect(finishRequest).not.toThrow();
+        });
+
+        it('should ignore the information of requests that are not audited', function() {
+            var audit = getAudit();
+            var req = getRequest('GET', '/catalog/api/category/3');
+
+            audit.start(req, {}, 'catalog');
+            audit.setPrevious(req, {});
+            audit.setRejection(req, 'pre', { status: 403, message: 'Error' });
+            audit.setUpstreamResponse(req, 200, '{}');
+
+            expect(req.audit).toBeUndefined();
+        });
+    });
+
+    describe('Sanitizing', function() {
+
+        it('should redact the secrets included in the bodies', function() {
+            var body = {
+                name: 'service',
+                Password: 'pass',
+                credentials: [{ apiKey: 'key', 'client.id': 'id', $ref: 'ref' }]
+            };
+
+            expect(getAudit().sanitize(JSON.stringify(body))).toEqual({
+                name: 'service',
+                Password: '[REDACTED]',
+                credentials: [{ apiKey: '[REDACTED]', client_id: 'id', _ref: 'ref' }]
+            });
+        });
+
+        it('should use the configured fields to be redacted', function() {
+            config.audit.redactedFields = ['name'];
+            expect(getAudit().sanitize({ name: 'service', password: 'pass' })).toEqual({
+                name: '[REDACTED]',
+                password: 'pass'
+            });
+        });
+
+        it('should record the bodies that are not JSON as they are', function() {
+            expect(getAudit().sanitize('key=value')).toBe('key=value');
+        });
+
+        it('should not record the bodies longer than the maximum size', function() {
+            var body = new Array(102).join('a');
+            expect(getAudit().sanitize(body)).toEqual({ truncated: true, size: 101 });
+        });
+
+        it('should not record empty bodies', function() {
+            var audit = getAudit();
+
+            expect(audit.sanitize('')).toBeUndefined();
+            expect(audit.sanitize({})).toBeUndefined();
+            expect(audit.sanitize(undefined)).toBeUndefined();
+        });
+    });
+
+    describe('Querying', function() {
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'json']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var getQueryRequest = function(query, roles) {
+            return {
+                query: query,
+                user: {
+                    id: 'admin',
+                    roles: (roles || [ADMIN]).map(function(role) {
+                        return { name: role };
+                    })
+                }
+            };
+        };
+
+        it('should not allow users other than administrators to query the records', function() {
+            var res = getResponse();
+
+            getAudit().query(getQueryRequest({}, ['seller']), res);
+
+            expect(auditRecord.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'AUDIT_ACCESS_FORBIDDEN', message: 'You are not authorized to access the audit trail' }));
+        });
+
+        it('should return the most recent records by default', function() {
+            var timestamp = new Date();
+            var res = getResponse();
+
+            auditRecord.find.and.callFake(function(query, projection, options, callback) {
+                callback(null, [{ _id: 'abc', __v: 0, user: 'seller', timestamp: timestamp, expires: timestamp }]);
+            });
+
+            getAudit().query(getQueryRequest({}), res);
+
+            expect(auditRecord.find).toHaveBeenCalledWith({}, null, {
+                sort: { timestamp: -1 },
+                skip: 0,
+                limit: 50,
+                lean: true
+            }, jasmine.any(Function));
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith([{ id: 'abc', user: 'seller', timestamp: timestamp }]);
+        });
+
+        it('should filter the records by user, organization, service account, resource and time range', function() {
+            var res = getResponse();
+
+            getAudit().query(getQueryRequest({
+                user: 'seller',
+                party: 'organization',
+                serviceAccount: 'client-id',
+                api: 'catalog',
+                method: 'patch',
+                resourceId: '1',
+                outcome: 'rejected',
+                from: '2016-01-01T00:00:00Z',
+                to: '2016-01-31',
+                offset: '100',
+                size: '20'
+            }), res);
+
+            var args = auditRecord.find.calls.mostRecent().args;
+
+            expect(args[0]).toEqual({
+                user: 'seller',
+                party: 'organization',
+                serviceAccount: 'client-id',
+                api: 'catalog',
+                method: 'PATCH',
+                resourceId: '1',
+                'validation.outcome': 'rejected',
+                timestamp: {
+                    $gte: new Date(Date.UTC(2016, 0, 1)),
+                    $lte: new Date(Date.UTC(2016, 0, 31))
+                }
+            });
+            expect(args[2].skip).toBe(100);
+            expect(args[2].limit).toBe(20);
+        });
+
+        var testInvalidQuery = function(query, expectedError) {
+            var res = getResponse();
+
+            getAudit().query(getQueryRequest(query), res);
+
+            expect(auditRecord.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'AUDIT_INVALID_QUERY', message: expectedError }));
+        };
+
+        it('should reject invalid dates', function() {
+            testInvalidQuery({ from: 'yesterday' }, 'Invalid from: it must be a date in ISO 8601 format');
+        });
+
+        it('should reject filters that are not strings', function() {
+            testInvalidQuery({ user: { $ne: 'x' } }, 'Invalid user: it must be a string');
+            testInvalidQuery({ method: ['POST', 'PATCH'] }, 'Invalid method: it must be a string');
+        });
+
+        it('should reject invalid page sizes', function() {
+            testInvalidQuery({ size: '1000' }, 'Invalid size: it must be an integer between 1 and 500');
+        });
+
+        it('should reject invalid offsets', function() {
+            testInvalidQuery({ offset: '-1' }, 'Invalid offset: it must be an integer between 0 and Infinity');
+        });
+
+        it('should return an error when the records cannot be read', function() {
+            var res = getResponse();
+
+            auditRecord.find.and.callFake(function(query, projection, options, callback) {
+                callback({ message: 'Connection lost' });
+            });
+
+            getAudit().query(getQueryRequest({}), res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'DATABASE_ERROR', message: 'Connection lost' }));
+        });
+    });
+});
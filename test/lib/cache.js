@@ -0,0 +1,304 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Response Cache', function() {
+
+    var CATALOG_PATH = '/catalog/api/catalogManagement/v2';
+
+    var config;
+    var store;
+
+    var getResponseCache = function() {
+        return proxyquire('../../lib/cache', {
+            './../config': config,
+            './keyValueStore': {
+                createStore: function() {
+                    return store;
+                }
+            }
+        }).responseCache;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.cache = {
+            enabled: true,
+            routes: [
+                { path: 'catalog/api/catalogManagement/v2/category', ttl: 60 },
+                { path: '/catalog/api/catalogManagement/v2/productOffering', ttl: 30, perUser: true }
+            ]
+        };
+
+        store = jasmine.createSpyObj('store', ['get', 'set', 'removeMatching']);
+    });
+
+    describe('Routes', function() {
+
+        var testGetRoute = function(method, apiUrl, expectedRoute) {
+            var req = { method: method, apiUrl: apiUrl };
+            expect(getResponseCache().getRoute(req)).toEqual(expectedRoute);
+        };
+
+        it('should return the route that matches the request', function() {
+            testGetRoute('GET', CATALOG_PATH + '/category?isRoot=true', config.cache.routes[0]);
+        });
+
+        it('should match routes starting with slash', function() {
+            testGetRoute('GET', CATALOG_PATH + '/productOffering/1', config.cache.routes[1]);
+        });
+
+        it('should not return routes for not configured paths', function() {
+            testGetRoute('GET', CATALOG_PATH + '/catalog', null);
+        });
+
+        it('should not return routes for non GET requests', function() {
+            testGetRoute('POST', CATALOG_PATH + '/category', null);
+        });
+
+        it('should not return routes when the cache is disabled', function() {
+            config.cache.enabled = false;
+            testGetRoute('GET', CATALOG_PATH + '/category', null);
+        });
+
+        it('should not return routes when the cache is not configured', function() {
+            delete config.cache;
+            testGetRoute('GET', CATALOG_PATH + '/category', null);
+        });
+    });
+
+    describe('Keys', function() {
+
+        var req = {
+            apiUrl: CATALOG_PATH + '/productOffering?a=b',
+            user: { id: 'user' }
+        };
+
+        it('should share the key among users', function() {
+            expect(getResponseCache().getKey(req, { ttl: 1 })).toEqual(req.apiUrl + '|');
+        });
+
+        it('should include the user in the key of per user routes', function() {
+            expect(getResponseCache().getKey(req, { perUser: true })).toEqual(req.apiUrl + '|user');
+        });
+    });
+
+    describe('Store', function() {
+
+        it('should get entries from the store', function() {
+            var callback = function() {};
+            getResponseCache().get('key', callback);
+            expect(store.get).toHaveBeenCalledWith('key', callback);
+        });
+
+        it('should set entries with the TTL of the route', function() {
+            var callback = function() {};
+            getResponseCache().set('key', { a: 1 }, { ttl: 30 }, callback);
+            expect(store.set).toHaveBeenCalledWith('key', { a: 1 }, 30000, callback);
+        });
+
+        it('should create the store again when its settings are reloaded', function() {
+            var createStore = jasmine.createSpy('createStore').and.returnValue(store);
+            var callback = function() {};
+
+            var responseCache = proxyquire('../../lib/cache', {
+                './../config': config,
+                './keyValueStore': {
+                    createStore: createStore
+                }
+            }).responseCache;
+
+            responseCache.get('key', callback);
+            responseCache.get('key', callback);
+            expect(createStore.calls.count()).toBe(1);
+
+            config.cache = { enabled: true, store: 'memory', maxEntries: 10 };
+            responseCache.get('key', callback);
+
+            expect(createStore.calls.count()).toBe(2);
+            expect(createStore).toHaveBeenCalledWith('memory', 'responseCache', { maxEntries: 10 });
+        });
+    });
+
+    describe('Entries', function() {
+
+        it('should keep the headers of the response and generate validators', function() {
+            var body = Buffer.from('{"a":1}');
+            var response = {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'content-length': '7',
+                    'transfer-encoding': 'chunked',
+                    'connection': 'close'
+                }
+            };
+
+            var entry = getResponseCache().createEntry(response, body);
+
+            expect(entry.status).toBe(200);
+            expect(entry.body).toEqual(body.toString('base64'));
+            expect(entry.headers['content-type']).toEqual('application/json');
+            expect(entry.headers['etag']).toMatch(/^"[0-9a-f]{32}"$/);
+            expect(entry.headers['last-modified']).toEqual(jasmine.any(String));
+            expect(Object.keys(entry.headers).length).toBe(3);
+        });
+
+        it('should keep the validators given by the API', function() {
+            var response = {
+                statusCode: 200,
+                headers: {
+                    'etag': '"abc"',
+                    'last-modified': 'Mon, 01 Feb 2016 00:00:00 GMT'
+                }
+            };
+
+            var entry = getResponseCache().createEntry(response, Buffer.from(''));
+
+            expect(entry.headers).toEqual(response.headers);
+        });
+    });
+
+    describe('Conditional requests', function() {
+
+        var entry = {
+            headers: {
+                'etag': '"abc"',
+                'last-modified': 'Mon, 01 Feb 2016 00:00:00 GMT'
+            }
+        };
+
+        var testNotModified = function(headers, expected) {
+            expect(getResponseCache().isNotModified({ headers: headers }, entry)).toBe(expected);
+        };
+
+        it('should not be modified when the ETag matches', function() {
+            testNotModified({ 'if-none-match': '"xyz", "abc"' }, true);
+        });
+
+        it('should not be modified when any ETag is accepted', function() {
+            testNotModified({ 'if-none-match': '*' }, true);
+        });
+
+        it('should be modified when the ETag does not match', function() {
+            testNotModified({ 'if-none-match': '"xyz"', 'if-modified-since': entry.headers['last-modified'] }, false);
+        });
+
+        it('should not be modified when it has not been modified since the given date', function() {
+            testNotModified({ 'if-modified-since': 'Tue, 02 Feb 2016 00:00:00 GMT' }, true);
+        });
+
+        it('should be modified when it has been modified since the given date', function() {
+            testNotModified({ 'if-modified-since': 'Sun, 31 Jan 2016 00:00:00 GMT' }, false);
+        });
+
+        it('should be modified when the given date is not valid', function() {
+            testNotModified({ 'if-modified-since': 'invalid' }, false);
+        });
+
+        it('should be modified when no conditional headers are included', function() {
+            testNotModified({}, false);
+        });
+    });
+
+    describe('Invalidation', function() {
+
+        var testInvalidate = function(method, apiUrl, matchingKeys, notMatchingKeys) {
+
+            var callback = jasmine.createSpy('callback');
+
+            store.removeMatching.and.callFake(function(pattern, callback) {
+                callback(null);
+            });
+
+            getResponseCache().invalidate({ method: method, apiUrl: apiUrl }, callback);
+
+            expect(callback).toHaveBeenCalledWith(null);
+
+            var pattern = store.removeMatching.calls.argsFor(0)[0];
+
+            matchingKeys.forEach(function(key) {
+                expect(pattern.test(key)).toBe(true);
+            });
+
+            notMatchingKeys.forEach(function(key) {
+                expect(pattern.test(key)).toBe(false);
+            });
+        };
+
+        it('should remove the entries of the created type of resource', function() {
+            testInvalidate('POST', CATALOG_PATH + '/category', [
+                CATALOG_PATH + '/category|',
+                CATALOG_PATH + '/category?isRoot=true|',
+                CATALOG_PATH + '/category/1|user'
+            ], [
+                CATALOG_PATH + '/productOffering|',
+                CATALOG_PATH + '/categoryList|',
+                '/other/api/category|'
+            ]);
+        });
+
+        it('should remove the entries of the updated type of resource', function() {
+            testInvalidate('PATCH', CATALOG_PATH + '/catalog/1/productOffering/2', [
+                CATALOG_PATH + '/productOffering|',
+                CATALOG_PATH + '/productOffering/2|',
+                CATALOG_PATH + '/catalog/1/productOffering?lifecycleStatus=Launched|'
+            ], [
+                CATALOG_PATH + '/productSpecification|'
+            ]);
+        });
+
+        it('should remove the entries of the deleted type of resource', function() {
+            testInvalidate('DELETE', CATALOG_PATH + '/category/1', [
+                CATALOG_PATH + '/category|'
+            ], [
+                CATALOG_PATH + '/productOffering|'
+            ]);
+        });
+
+        it('should remove all the entries of the API when the resource cannot be determined', function() {
+            testInvalidate('PATCH', '/catalog', [
+                CATALOG_PATH + '/category|',
+                '/catalog|'
+            ], [
+                '/catalogs/category|'
+            ]);
+        });
+
+        var testNotInvalidated = function(method) {
+            var callback = jasmine.createSpy('callback');
+
+            getResponseCache().invalidate({ method: method, apiUrl: CATALOG_PATH + '/category' }, callback);
+
+            expect(callback).toHaveBeenCalledWith(null);
+            expect(store.removeMatching).not.toHaveBeenCalled();
+        };
+
+        it('should not remove entries for GET requests', function() {
+            testNotInvalidated('GET');
+        });
+
+        it('should not remove entries when the cache is disabled', function() {
+            config.cache.enabled = false;
+            testNotInvalidated('POST');
+        });
+    });
+});
@@ -0,0 +1,238 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Configuration', function() {
+
+    var existingFiles;
+
+    var getConfiguration = function() {
+        return proxyquire('../../lib/configuration', {
+            fs: {
+                existsSync: function(file) {
+                    return existingFiles.indexOf(file) >= 0;
+                }
+            }
+        }).configuration;
+    };
+
+    var getConfig = function() {
+        var config = testUtils.getDefaultConfig();
+
+        config.oauth2.clientID = 'client';
+        config.oauth2.clientSecret = 'secret';
+        config.oauth2.callbackURL = 'http://localhost/auth/fiware/callback';
+
+        return config;
+    };
+
+    beforeEach(function() {
+        existingFiles = [];
+    });
+
+    describe('Validation', function() {
+
+        var testErrors = function(modifyConfig, expectedErrors) {
+            var config = getConfig();
+            modifyConfig(config);
+
+            expect(getConfiguration().validate(config)).toEqual(expectedErrors);
+        };
+
+        it('should accept a valid configuration', function() {
+            testErrors(function() {}, []);
+        });
+
+        it('should set the default values of the missing settings', function() {
+            var config = getConfig();
+
+            delete config.revenueModel;
+            config.appHost = '';
+
+            getConfiguration().validate(config);
+
+            expect(config.revenueModel).toBe(30);
+            expect(config.appHost).toBe('localhost');
+            expect(config.https).toEqual({ enabled: false, port: 443 });
+            expect(config.mongoDb).toEqual({ server: 'localhost', port: 27017, user: '', password: '', db: 'belp' });
+            expect(config.logInPath).toBe('/login');
+            expect(config.publicPaths).toEqual([]);
+        });
+
+        it('should not share the default values among configurations', function() {
+            var configuration = getConfiguration();
+            var config = getConfig();
+            var otherConfig = getConfig();
+
+            configuration.validate(config);
+            configuration.validate(otherConfig);
+            config.publicPaths.push('/public');
+
+            expect(otherConfig.publicPaths).toEqual([]);
+        });
+
+        it('should normalize the prefixes', function() {
+            var config = getConfig();
+
+            config.proxyPrefix = 'proxy/';
+            config.portalPrefix = '/';
+
+            getConfiguration().validate(config);
+
+            expect(config.proxyPrefix).toBe('/proxy');
+            expect(config.portalPrefix).toBe('');
+            expect(config.shoppingCartPath).toBe('/shoppingCart');
+        });
+
+        it('should convert the ports given as strings', function() {
+            var config = getConfig();
+
+            config.endpoints.catalog.port = '8080';
+            getConfiguration().validate(config);
+
+            expect(config.endpoints.catalog.port).toBe(8080);
+        });
+
+        it('should report invalid ports', function() {
+            testErrors(function(config) {
+                config.port = 70000;
+                config.endpoints.catalog.port = 'http';
+            }, [
+                'port: must be a port number between 1 and 65535',
+                'endpoints.catalog.port: must be a port number between 1 and 65535'
+            ]);
+        });
+
+        it('should report missing and placeholder OAuth2 settings', function() {
+            testErrors(function(config) {
+                config.oauth2.server = 'account.lab.fiware.org';
+                config.oauth2.clientID = '--client-id--';
+                delete config.oauth2.clientSecret;
+                config.oauth2.callbackURL = '--callback-url--';
+            }, [
+                'oauth2.server: must be an http or https URL',
+                'oauth2.clientSecret: is required',
+                'oauth2.callbackURL: must be an http or https URL',
+                'oauth2.clientID: must be set (found the placeholder of the template)'
+            ]);
+        });
+
+        it('should report missing endpoints', function() {
+            testErrors(function(config) {
+                delete config.endpoints.billing;
+                delete config.endpoints.usage.path;
+            }, [
+                'endpoints.billing: is required',
+                'endpoints.usage.path: is required'
+            ]);
+        });
+
+        it('should check the settings of the endpoints that are not bundled', function() {
+            testErrors(function(config) {
+                config.endpoints.marketplace = { path: 'marketplace', port: 8080, balancing: 'random' };
+            }, ['endpoints.marketplace.balancing: must be one of round-robin, least-connections']);
+        });
+
+        it('should check the values and ranges of the settings', function() {
+            testErrors(function(config) {
+                config.revenueModel = 120;
+                config.cache = { store: 'redis' };
+                config.rateLimit = { rules: [{ identity: 'user', limit: 1.5, window: 60 }] };
+                config.publicPaths = '/public';
+            }, [
+                'revenueModel: must be less than or equal to 100',
+                'cache.store: must be one of memory, mongo',
+                'rateLimit.rules[0].limit: must be an integer',
+                'publicPaths: must be a list'
+            ]);
+        });
+
+        it('should only check the certificates when HTTPS is enabled', function() {
+            var https = { certFile: 'cert/cert.crt', keyFile: 'cert/key.key', caFile: 'cert/ca.crt' };
+
+            existingFiles = ['cert/cert.crt', 'cert/ca.crt'];
+
+            testErrors(function(config) {
+                config.https = JSON.parse(JSON.stringify(https));
+            }, []);
+
+            testErrors(function(config) {
+                config.https = JSON.parse(JSON.stringify(https));
+                config.https.enabled = true;
+            }, ['https.keyFile: file not found: cert/key.key']);
+        });
+    });
+
+    describe('Environment variables', function() {
+
+        it('should override the settings given in environment variables', function() {
+            var config = getConfig();
+
+            var result = getConfiguration().load(config, {
+                BAE_LP_PORT: '8000',
+                BAE_LP_OAUTH2_CLIENT_ID: 'other-client',
+                BAE_LP_MONGO_DB_SERVER: 'mongo',
+                BAE_LP_HTTPS_ENABLED: 'false',
+                BAE_LP_ENDPOINTS_CATALOG_HOST: 'apis.example.com',
+                BAE_LP_PUBLIC_PATHS: '/public/*, /static/',
+                BAE_LP_CACHE_ROUTES: '[{ "path": "catalog/api", "ttl": 60 }]',
+                OTHER: 'value'
+            });
+
+            expect(result.errors).toEqual([]);
+            expect(result.applied).toEqual(['BAE_LP_PORT', 'BAE_LP_HTTPS_ENABLED', 'BAE_LP_OAUTH2_CLIENT_ID',
+                'BAE_LP_MONGO_DB_SERVER', 'BAE_LP_ENDPOINTS_CATALOG_HOST', 'BAE_LP_CACHE_ROUTES',
+                'BAE_LP_PUBLIC_PATHS']);
+
+            expect(config.port).toBe(8000);
+            expect(config.oauth2.clientID).toBe('other-client');
+            expect(config.mongoDb.server).toBe('mongo');
+            expect(config.https.enabled).toBe(false);
+            expect(config.endpoints.catalog.host).toBe('apis.example.com');
+            expect(config.publicPaths).toEqual(['/public/*', '/static/']);
+            expect(config.cache.routes).toEqual([{ path: 'catalog/api', ttl: 60 }]);
+        });
+
+        it('should override the settings of the endpoints that are not bundled', function() {
+            var config = getConfig();
+            config.endpoints.marketplace = { path: 'marketplace', port: 8080 };
+
+            getConfiguration().applyEnvironment(config, { BAE_LP_ENDPOINTS_MARKETPLACE_PORT: '9090' });
+
+            expect(config.endpoints.marketplace.port).toBe(9090);
+        });
+
+        it('should report the values that cannot be parsed', function() {
+            var result = getConfiguration().load(getConfig(), {
+                BAE_LP_PORT: 'http',
+                BAE_LP_APP_SSL: 'maybe',
+                BAE_LP_PLUGINS: '[./plugin'
+            });
+
+            expect(result.applied).toEqual([]);
+            expect(result.errors).toEqual([
+                'BAE_LP_PORT: must be a number',
+                'BAE_LP_APP_SSL: must be true or false',
+                'BAE_LP_PLUGINS: must be a valid JSON'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Errors', function() {
+
+    var config;
+
+    var getErrors = function() {
+        return proxyquire('../../lib/errors', {
+            './../config': config
+        }).errors;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+    });
+
+    describe('Create', function() {
+
+        it('should create errors with the status and the message of the catalogue', function() {
+            expect(getErrors().create('ORDERING_OWN_OFFERING')).toEqual({
+                status: 403,
+                code: 'ORDERING_OWN_OFFERING',
+                message: 'You cannot acquire your own offering'
+            });
+        });
+
+        it('should include the given parameters in the message', function() {
+            expect(getErrors().create('METHOD_NOT_ALLOWED', { method: 'DELETE' }).message)
+                .toBe('The HTTP method DELETE is not allowed in the accessed API');
+        });
+
+        it('should keep the parameters which are not given', function() {
+            expect(getErrors().create('ORDERING_ITEM_MISSING_PRODUCT', {}).message)
+                .toBe('The product order item {id} must contain a product field');
+        });
+
+        it('should replace the message when it is given', function() {
+            expect(getErrors().create('RSS_MODEL_NOT_CREATED', null, 'Invalid provider')).toEqual({
+                status: 500,
+                code: 'RSS_MODEL_NOT_CREATED',
+                message: 'Invalid provider'
+            });
+        });
+
+        it('should throw an exception when the code is unknown', function() {
+            expect(function() {
+                getErrors().create('UNKNOWN');
+            }).toThrowError('Unknown error code: UNKNOWN');
+        });
+
+        it('should check whether codes are included in the catalogue', function() {
+            var errors = getErrors();
+
+            expect(errors.exists('ACCESS_DENIED')).toBe(true);
+            expect(errors.exists('UNKNOWN')).toBe(false);
+            expect(errors.exists('hasOwnProperty')).toBe(false);
+        });
+    });
+
+    describe('Body', function() {
+
+        it('should return the TMF630 body of the error with the legacy error field', function() {
+            var errors = getErrors();
+
+            expect(errors.toBody(errors.create('TOO_MANY_REQUESTS'))).toEqual({
+                code: 'TOO_MANY_REQUESTS',
+                reason: 'Too many requests',
+                message: 'Too many requests',
+                status: '429',
+                error: 'Too many requests'
+            });
+        });
+
+        it('should not include the legacy error field when it is disabled', function() {
+            config.errors = { legacyField: false };
+
+            var errors = getErrors();
+
+            expect(errors.toBody(errors.create('API_NOT_FOUND'))).toEqual({
+                code: 'API_NOT_FOUND',
+                reason: 'API not found',
+                message: 'Path not found',
+                status: '404'
+            });
+        });
+
+        it('should include the reference of the error when the reference URL is configured', function() {
+            config.errors = { referenceURL: 'https://store.example.com/docs/errors' };
+
+            var errors = getErrors();
+
+            expect(errors.toBody(errors.create('API_NOT_FOUND')).referenceError)
+                .toBe('https://store.example.com/docs/errors#API_NOT_FOUND');
+        });
+
+        it('should use the HTTP reason for errors without code', function() {
+            expect(getErrors().toBody({ status: 403, message: 'Offerings cannot be free' })).toEqual({
+                code: 'ERROR',
+                reason: 'Forbidden',
+                message: 'Offerings cannot be free',
+                status: '403',
+                error: 'Offerings cannot be free'
+            });
+        });
+    });
+
+    describe('Send', function() {
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['setHeader', 'status', 'json']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        it('should send the status and the body of the error', function() {
+            var errors = getErrors();
+            var res = getResponse();
+
+            errors.send(res, errors.create('UPSTREAM_UNREACHABLE'));
+
+            expect(res.status).toHaveBeenCalledWith(504);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                code: 'UPSTREAM_UNREACHABLE',
+                message: 'Service unreachable'
+            }));
+            expect(res.setHeader).not.toHaveBeenCalled();
+        });
+
+        it('should include the Retry-After header when the error has a retry time', function() {
+            var errors = getErrors();
+            var res = getResponse();
+            var error = errors.create('UPSTREAM_UNAVAILABLE');
+
+            error.retryAfter = 30;
+            errors.send(res, error);
+
+            expect(res.setHeader).toHaveBeenCalledWith('Retry-After', 30);
+            expect(res.status).toHaveBeenCalledWith(503);
+        });
+    });
+
+    it('should list the codes of the catalogue', function() {
+        var codes = getErrors().list();
+
+        expect(codes).toContain({
+            code: 'ACCESS_DENIED',
+            status: 403,
+            reason: 'Access denied',
+            message: 'You are not authorized to perform this request'
+        });
+
+        codes.forEach(function(entry) {
+            expect(entry.code).toMatch(/^[A-Z_]+$/);
+            expect(entry.reason).toEqual(jasmine.any(String));
+        });
+    });
+});
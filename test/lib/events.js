@@ -0,0 +1,733 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Events', function() {
+
+    var ADMIN = 'provider';
+    var NOW = new Date(Date.UTC(2016, 1, 1, 10, 0, 0));
+
+    var config;
+    var eventListener;
+    var eventDelivery;
+    var httpClient;
+    var dnsClient;
+    var resolvedAddress;
+
+    var getEvents = function() {
+        return proxyquire('../../lib/events', {
+            './../config': config,
+            './../db/schemas/eventListener': eventListener,
+            './../db/schemas/eventDelivery': eventDelivery,
+            './logger': testUtils.emptyLogger,
+            dns: dnsClient,
+            './upstream': {
+                upstream: {
+                    getEndpointName: function(api) {
+                        return api;
+                    }
+                }
+            },
+            './utils': {
+                isAdmin: function(user) {
+                    return user.roles.some(function(role) {
+                        return role.name === ADMIN;
+                    });
+                },
+                log: function() {}
+            },
+            'node-uuid': {
+                v4: function() {
+                    return 'event-id';
+                }
+            },
+            request: httpClient
+        }).events;
+    };
+
+    var getUser = function(id, role) {
+        return { id: id, roles: [{ name: role || 'customer' }] };
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['status', 'json', 'end', 'location']);
+        res.status.and.returnValue(res);
+        return res;
+    };
+
+    var createModel = function(name, methods) {
+        var model = jasmine.createSpyObj(name, methods);
+        model['@noCallThru'] = true;
+        return model;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.events = {
+            enabled: true,
+            maxAttempts: 3,
+            retryDelay: 1000,
+            timeout: 500,
+            batchSize: 10,
+            retentionDays: 1
+        };
+
+        eventListener = createModel('EventListener', ['find', 'findById', 'create', 'remove']);
+        eventDelivery = createModel('EventDelivery', ['find', 'findById', 'create', 'findOneAndUpdate', 'update',
+            'remove']);
+        httpClient = jasmine.createSpy('request');
+
+        resolvedAddress = '93.184.216.34';
+        dnsClient = jasmine.createSpyObj('dns', ['lookup']);
+        dnsClient.lookup.and.callFake(function(hostname, options, callback) {
+            if (options.all) {
+                callback(null, [{ address: resolvedAddress, family: 4 }]);
+            } else {
+                callback(null, resolvedAddress, 4);
+            }
+        });
+
+        jasmine.clock().install();
+        jasmine.clock().mockDate(NOW);
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    describe('Publishing', function() {
+
+        var LISTENERS = [
+            { _id: 'all', api: 'ordering', query: '', owner: 'someone', admin: true },
+            { _id: 'customer', api: 'ordering', query: '', owner: 'customer', admin: false },
+            { _id: 'other', api: 'ordering', query: '', owner: 'other', admin: false },
+            {
+                _id: 'completed',
+                api: 'ordering',
+                query: 'eventType=ProductOrderStateChangeNotification&event.productOrder.state=Completed,Failed',
+                owner: 'admin',
+                admin: true
+            }
+        ];
+
+        var ORDER = {
+            id: '7',
+            state: 'Completed',
+            relatedParty: [{ id: 'customer', role: 'Customer' }]
+        };
+
+        var getRequest = function(method, apiUrl, body) {
+            return { method: method, apiUrl: apiUrl, body: body, user: getUser('customer') };
+        };
+
+        var publish = function(req, status, body) {
+            eventListener.find.and.callFake(function(query, fields, options, callback) {
+                callback(null, LISTENERS.filter(function(listener) {
+                    return listener.api === query.api;
+                }));
+            });
+
+            eventDelivery.create.and.callFake(function(deliveries, callback) {
+                callback(null);
+            });
+
+            getEvents().publish(req, 'ordering', { status: status, body: JSON.stringify(body) });
+        };
+
+        var getDeliveries = function() {
+            return eventDelivery.create.calls.count() ? eventDelivery.create.calls.argsFor(0)[0] : [];
+        };
+
+        it('should only notify the requests that modify the resources of the hubs', function() {
+            var events = getEvents();
+
+            expect(events.isNotified('ordering', getRequest('POST', '/ordering/api/productOrdering/v2/productOrder'))).toBe(true);
+            expect(events.isNotified('ordering', getRequest('patch', '/ordering/api/productOrdering/v2/productOrder/7'))).toBe(true);
+            expect(events.isNotified('catalog', getRequest('DELETE', '/catalog/api/catalogManagement/v2/category/1'))).toBe(true);
+            expect(events.isNotified('ordering', getRequest('GET', '/ordering/api/productOrdering/v2/productOrder/7'))).toBe(false);
+            expect(events.isNotified('ordering', getRequest('POST', '/ordering/api/productOrdering/v2/hub'))).toBe(false);
+            expect(events.isNotified('billing', getRequest('POST', '/billing/api/billingManagement/v2/billingAccount'))).toBe(false);
+        });
+
+        it('should not notify any request when the events are disabled', function() {
+            config.events.enabled = false;
+
+            var req = getRequest('POST', '/ordering/api/productOrdering/v2/productOrder');
+
+            expect(getEvents().isNotified('ordering', req)).toBe(false);
+        });
+
+        it('should match the events with the queries of the listeners', function() {
+            var events = getEvents();
+            var event = {
+                eventType: 'ProductOrderStateChangeNotification',
+                event: { productOrder: { state: 'Completed', orderItem: [{ id: '1' }, { id: '2' }] } }
+            };
+
+            expect(events.matchesQuery('', event)).toBe(true);
+            expect(events.matchesQuery('eventType=ProductOrderStateChangeNotification', event)).toBe(true);
+            expect(events.matchesQuery('event.productOrder.state=Failed,Completed', event)).toBe(true);
+            expect(events.matchesQuery('event.productOrder.orderItem.id=2', event)).toBe(true);
+            expect(events.matchesQuery('eventType=ProductOrderCreateNotification', event)).toBe(false);
+            expect(events.matchesQuery('eventType=ProductOrderStateChangeNotification&event.productOrder.state=Failed', event))
+                .toBe(false);
+            expect(events.matchesQuery('event.productOrder.priority=1', event)).toBe(false);
+        });
+
+        it('should store the notifications of the listeners that can receive the events', function() {
+            var req = getRequest('POST', '/ordering/api/productOrdering/v2/productOrder', '{}');
+
+            publish(req, 201, ORDER);
+
+            var deliveries = getDeliveries();
+
+            expect(eventListener.find.calls.argsFor(0)[0]).toEqual({ api: 'ordering' });
+            expect(deliveries.map(function(delivery) {
+                return delivery.listener;
+            })).toEqual(['all', 'customer']);
+
+            expect(deliveries[0]).toEqual({
+                listener: 'all',
+                callback: undefined,
+                eventId: 'event-id',
+                eventType: 'ProductOrderCreateNotification',
+                payload: JSON.stringify({
+                    eventId: 'event-id',
+                    eventTime: NOW.toISOString(),
+                    eventType: 'ProductOrderCreateNotification',
+                    event: { productOrder: ORDER }
+                }),
+                status: 'pending',
+                attempts: 0,
+                nextAttempt: NOW,
+                created: NOW,
+                expires: new Date(NOW.getTime() + 24 * 3600 * 1000)
+            });
+        });
+
+        it('should only notify every seller of their own items of the orders', function() {
+            var order = {
+                id: '8',
+                state: 'Acknowledged',
+                relatedParty: [
+                    { id: 'customer', role: 'Customer' },
+                    { id: 'seller1', role: 'Seller' },
+                    { id: 'seller2', role: 'Seller' }
+                ],
+                orderItem: [
+                    { id: '1', product: { relatedParty: [{ id: 'seller1', role: 'Seller' }] } },
+                    { id: '2', product: { relatedParty: [{ id: 'seller2', role: 'Seller' }] } }
+                ]
+            };
+
+            LISTENERS.push(
+                { _id: 'seller1', api: 'ordering', query: '', owner: 'seller1', admin: false },
+                { _id: 'seller2', api: 'ordering', query: 'event.productOrder.orderItem.id=1', owner: 'seller2', admin: false }
+            );
+
+            var req = getRequest('POST', '/ordering/api/productOrdering/v2/productOrder', '{}');
+
+            publish(req, 201, order);
+
+            LISTENERS.splice(-2, 2);
+
+            var deliveries = getDeliveries();
+
+            expect(deliveries.map(function(delivery) {
+                return delivery.listener;
+            })).toEqual(['all', 'customer', 'seller1']);
+
+            expect(JSON.parse(deliveries[0].payload).event.productOrder).toEqual(order);
+            expect(JSON.parse(deliveries[1].payload).event.productOrder).toEqual(order);
+            expect(JSON.parse(deliveries[2].payload).event.productOrder.orderItem).toEqual([order.orderItem[0]]);
+        });
+
+        it('should notify the state changes along with the attribute changes', function() {
+            var req = getRequest('PATCH', '/ordering/api/productOrdering/v2/productOrder/7', '{"state":"Completed"}');
+
+            publish(req, 200, ORDER);
+
+            expect(getDeliveries().map(function(delivery) {
+                return delivery.listener + ':' + delivery.eventType;
+            })).toEqual([
+                'all:ProductOrderAttributeValueChangeNotification',
+                'all:ProductOrderStateChangeNotification',
+                'customer:ProductOrderAttributeValueChangeNotification',
+                'customer:ProductOrderStateChangeNotification',
+                'completed:ProductOrderStateChangeNotification'
+            ]);
+        });
+
+        it('should identify the deleted resources by their ID', function() {
+            var req = getRequest('DELETE', '/ordering/api/productOrdering/v2/productOrder/7');
+
+            publish(req, 204, null);
+
+            var deliveries = getDeliveries();
+
+            expect(deliveries.length).toBe(1);
+            expect(JSON.parse(deliveries[0].payload).event).toEqual({ productOrder: { id: '7' } });
+        });
+
+        it('should not notify the requests rejected by the APIs', function() {
+            var req = getRequest('POST', '/ordering/api/productOrdering/v2/productOrder', '{}');
+
+            publish(req, 400, { error: 'Invalid order' });
+
+            expect(eventListener.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Delivering', function() {
+
+        var LISTENER = { _id: 'listener', callback: 'http://listener.com/events', secret: 'secret' };
+
+        var getDelivery = function(attempts) {
+            return {
+                _id: 'delivery',
+                listener: 'listener',
+                callback: LISTENER.callback,
+                eventId: 'event-id',
+                eventType: 'ProductOrderCreateNotification',
+                payload: '{"eventId":"event-id"}',
+                attempts: attempts
+            };
+        };
+
+        var dispatch = function(delivery, listener, err, statusCode, callback) {
+            var pending = [delivery];
+
+            eventDelivery.findOneAndUpdate.and.callFake(function(query, update, options, callback) {
+                callback(null, pending.shift() || null);
+            });
+
+            eventDelivery.update.and.callFake(function(query, update, callback) {
+                callback(null);
+            });
+
+            eventDelivery.remove.and.callFake(function(query, callback) {
+                callback(null);
+            });
+
+            eventListener.findById.and.callFake(function(id, callback) {
+                callback(null, listener);
+            });
+
+            httpClient.and.callFake(function(options, callback) {
+                callback(err, err ? undefined : { statusCode: statusCode });
+            });
+
+            getEvents().dispatch(callback);
+        };
+
+        it('should send the signed notifications and mark them as delivered', function(done) {
+            dispatch(getDelivery(0), LISTENER, null, 200, function(err) {
+
+                var signature = require('crypto').createHmac('sha256', 'secret')
+                    .update('{"eventId":"event-id"}').digest('hex');
+
+                expect(err).toBe(null);
+                expect(eventDelivery.findOneAndUpdate.calls.argsFor(0).slice(0, 3)).toEqual([
+                    { status: 'pending', nextAttempt: { $lte: NOW } },
+                    { $set: { nextAttempt: new Date(NOW.getTime() + 1000) } },
+                    { sort: { nextAttempt: 1 }, new: true }
+                ]);
+                expect(httpClient.calls.argsFor(0)[0]).toEqual({
+                    url: LISTENER.callback,
+                    method: 'POST',
+                    body: '{"eventId":"event-id"}',
+                    timeout: 500,
+                    lookup: jasmine.any(Function),
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Event-Id': 'event-id',
+                        'X-Event-Type': 'ProductOrderCreateNotification',
+                        'X-Hub-Signature': 'sha256=' + signature
+                    }
+                });
+                expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'delivery' }, {
+                    $set: { status: 'delivered', attempts: 1 },
+                    $unset: { nextAttempt: 1, lastError: 1 }
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should retry the failed notifications with an exponential delay', function(done) {
+            dispatch(getDelivery(1), LISTENER, null, 503, function() {
+                expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'delivery' }, {
+                    $set: {
+                        attempts: 2,
+                        lastError: 'The listener rejected the notification',
+                        nextAttempt: new Date(NOW.getTime() + 2000)
+                    }
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should keep the notifications as dead letters after the maximum number of attempts', function(done) {
+            dispatch(getDelivery(2), LISTENER, new Error('ECONNREFUSED'), null, function() {
+                expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'delivery' }, {
+                    $set: { status: 'failed', attempts: 3, lastError: 'The listener could not be reached' },
+                    $unset: { nextAttempt: 1 }
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should not send the notifications to private addresses', function(done) {
+            resolvedAddress = '10.0.0.1';
+
+            dispatch(getDelivery(0), LISTENER, null, 200, function() {
+                expect(httpClient).not.toHaveBeenCalled();
+                expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'delivery' }, {
+                    $set: {
+                        attempts: 1,
+                        lastError: 'The callback is not a public address',
+                        nextAttempt: new Date(NOW.getTime() + 1000)
+                    }
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should check the addresses that the notifications are sent to', function(done) {
+            var lookupCallback = jasmine.createSpy('callback');
+
+            dispatch(getDelivery(0), LISTENER, null, 200, function() {
+                resolvedAddress = '::ffff:127.0.0.1';
+                httpClient.calls.argsFor(0)[0].lookup('listener.com', {}, lookupCallback);
+
+                expect(lookupCallback).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'EPRIVATEADDRESS' }),
+                    '::ffff:127.0.0.1', 4);
+                done();
+            });
+        });
+
+        it('should send the notifications to the allowed hosts', function(done) {
+            config.events.allowedHosts = ['listener.com'];
+            resolvedAddress = '192.168.1.10';
+
+            dispatch(getDelivery(0), LISTENER, null, 200, function() {
+                expect(httpClient.calls.argsFor(0)[0].lookup).toBeUndefined();
+                expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'delivery' }, {
+                    $set: { status: 'delivered', attempts: 1 },
+                    $unset: { nextAttempt: 1, lastError: 1 }
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should discard the notifications of the removed listeners', function(done) {
+            dispatch(getDelivery(0), null, null, 200, function() {
+                expect(httpClient).not.toHaveBeenCalled();
+                expect(eventDelivery.remove).toHaveBeenCalledWith({ _id: 'delivery' }, jasmine.any(Function));
+                done();
+            });
+        });
+    });
+
+    describe('Hub', function() {
+
+        var getRequest = function(user, body, id) {
+            return {
+                params: { api: 'ordering', apiName: 'productOrdering', version: 'v2', id: id },
+                originalUrl: '/ordering/api/productOrdering/v2/hub',
+                body: body,
+                user: user
+            };
+        };
+
+        it('should only serve the hubs of the notified APIs', function() {
+            var events = getEvents();
+            var next = jasmine.createSpy('next');
+            var req = getRequest(getUser('customer'));
+
+            events.matchesHub(req, {}, next);
+            req.params.apiName = 'productInventory';
+            events.matchesHub(req, {}, next);
+
+            expect(next.calls.allArgs()).toEqual([[undefined], ['route']]);
+        });
+
+        it('should register the listeners with a secret', function() {
+            var res = getResponse();
+            var body = { callback: 'https://listener.com/events', query: 'eventType=ProductOrderCreateNotification' };
+
+            eventListener.create.and.callFake(function(listener, callback) {
+                callback(null, { _id: 'id' });
+            });
+
+            getEvents().register(getRequest(getUser('customer'), JSON.stringify(body)), res);
+
+            var listener = eventListener.create.calls.argsFor(0)[0];
+
+            expect(listener).toEqual({
+                api: 'ordering',
+                callback: body.callback,
+                query: body.query,
+                owner: 'customer',
+                admin: false,
+                secret: jasmine.any(String),
+                created: NOW
+            });
+            expect(listener.secret.length).toBe(64);
+            expect(res.location).toHaveBeenCalledWith('/ordering/api/productOrdering/v2/hub/id');
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                id: 'id',
+                callback: body.callback,
+                query: body.query,
+                secret: listener.secret
+            });
+        });
+
+        it('should not register listeners without a valid callback', function() {
+            var res = getResponse();
+
+            getEvents().register(getRequest(getUser('customer'), '{"callback":"ftp://listener.com"}'), res);
+
+            expect(eventListener.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                code: 'EVENT_LISTENER_INVALID',
+                message: 'The callback must be an HTTP or HTTPS URL'
+            }));
+        });
+
+        var testPrivateCallback = function(callback) {
+            var res = getResponse();
+
+            getEvents().register(getRequest(getUser('customer'), JSON.stringify({ callback: callback })), res);
+
+            expect(eventListener.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                code: 'EVENT_LISTENER_INVALID',
+                message: 'The callback must be a public address'
+            }));
+        };
+
+        it('should not register listeners whose callback is a private address', function() {
+            testPrivateCallback('http://127.0.0.1:8000/events');
+            testPrivateCallback('http://[fe80::1]/events');
+            testPrivateCallback('http://169.254.169.254/latest/meta-data');
+        });
+
+        it('should not register listeners whose callback is a private address written as IPv6', function() {
+            testPrivateCallback('http://[::ffff:7f00:1]/events');
+            testPrivateCallback('http://[::ffff:a9fe:a9fe]/latest/meta-data');
+            testPrivateCallback('http://[0:0:0:0:0:0:0:1]/events');
+            testPrivateCallback('http://[::ffff:10.0.0.1]/events');
+            testPrivateCallback('http://[::127.0.0.1]/events');
+            testPrivateCallback('http://[64:ff9b::c0a8:101]/events');
+            testPrivateCallback('http://[fd00::1]/events');
+        });
+
+        it('should register listeners whose callback is a public address', function() {
+            eventListener.create.and.callFake(function(listener, callback) {
+                callback(null, { _id: 'id' });
+            });
+
+            ['http://93.184.216.34/events', 'http://[2606:4700::1111]/events', 'http://[::ffff:5db8:d822]/events',
+                'http://172.32.0.1/events'].forEach(function(callback) {
+                var res = getResponse();
+
+                getEvents().register(getRequest(getUser('customer'), JSON.stringify({ callback: callback })), res);
+
+                expect(res.status).toHaveBeenCalledWith(201);
+            });
+        });
+
+        it('should not register listeners whose callback resolves to a private address', function() {
+            resolvedAddress = '172.17.0.2';
+            testPrivateCallback('http://internal.listener.com/events');
+        });
+
+        it('should not register listeners whose callback cannot be resolved', function() {
+            dnsClient.lookup.and.callFake(function(hostname, options, callback) {
+                callback(new Error('getaddrinfo ENOTFOUND'));
+            });
+
+            testPrivateCallback('http://unknown.listener.com/events');
+        });
+
+        it('should register listeners in the allowed hosts even if they are private', function() {
+            var res = getResponse();
+
+            config.events.allowedHosts = ['localhost'];
+            resolvedAddress = '127.0.0.1';
+
+            eventListener.create.and.callFake(function(listener, callback) {
+                callback(null, { _id: 'id' });
+            });
+
+            getEvents().register(getRequest(getUser('customer'), '{"callback":"http://localhost:8000/events"}'), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        var testUnregister = function(user, listener, expectedStatus) {
+            var res = getResponse();
+
+            eventListener.findById.and.callFake(function(id, callback) {
+                callback(null, listener);
+            });
+            eventListener.remove.and.callFake(function(query, callback) {
+                callback(null);
+            });
+            eventDelivery.remove.and.callFake(function(query, callback) {
+                callback(null);
+            });
+
+            getEvents().unregister(getRequest(user, undefined, 'id'), res);
+
+            expect(res.status).toHaveBeenCalledWith(expectedStatus);
+        };
+
+        it('should remove the listeners and their pending notifications', function() {
+            testUnregister(getUser('customer'), { _id: 'id', api: 'ordering', owner: 'customer' }, 204);
+
+            expect(eventListener.remove).toHaveBeenCalledWith({ _id: 'id' }, jasmine.any(Function));
+            expect(eventDelivery.remove).toHaveBeenCalledWith({ listener: 'id', status: 'pending' },
+                jasmine.any(Function));
+        });
+
+        it('should allow administrators to remove any listener', function() {
+            testUnregister(getUser('admin', ADMIN), { _id: 'id', api: 'ordering', owner: 'customer' }, 204);
+        });
+
+        it('should not allow other users to remove the listeners', function() {
+            testUnregister(getUser('other'), { _id: 'id', api: 'ordering', owner: 'customer' }, 403);
+            expect(eventListener.remove).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 when the listener does not exist in the hub', function() {
+            testUnregister(getUser('customer'), null, 404);
+            testUnregister(getUser('customer'), { _id: 'id', api: 'catalog', owner: 'customer' }, 404);
+        });
+    });
+
+    describe('Dead letters', function() {
+
+        it('should list the failed notifications to administrators', function() {
+            var res = getResponse();
+            var delivery = {
+                _id: 'id',
+                listener: 'listener',
+                callback: 'http://listener.com/events',
+                eventId: 'event-id',
+                eventType: 'ProductOrderCreateNotification',
+                payload: '{"eventId":"event-id"}',
+                attempts: 3,
+                lastError: 'The listener could not be reached',
+                created: NOW
+            };
+
+            eventDelivery.find.and.callFake(function(query, fields, options, callback) {
+                callback(null, [delivery]);
+            });
+
+            getEvents().getDeadLetters({ user: getUser('admin', ADMIN), query: { listener: 'listener', offset: '5' } }, res);
+
+            expect(eventDelivery.find.calls.argsFor(0).slice(0, 3)).toEqual([
+                { status: 'failed', listener: 'listener' },
+                null,
+                { sort: { created: -1 }, skip: 5, limit: 50, lean: true }
+            ]);
+            expect(res.json).toHaveBeenCalledWith([{
+                id: 'id',
+                listener: 'listener',
+                callback: 'http://listener.com/events',
+                eventId: 'event-id',
+                eventType: 'ProductOrderCreateNotification',
+                event: { eventId: 'event-id' },
+                attempts: 3,
+                lastError: 'The listener could not be reached',
+                created: NOW
+            }]);
+        });
+
+        it('should not list the failed notifications to other users', function() {
+            var res = getResponse();
+
+            getEvents().getDeadLetters({ user: getUser('customer'), query: {} }, res);
+
+            expect(eventDelivery.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 400 when the pagination is not valid', function() {
+            var res = getResponse();
+
+            getEvents().getDeadLetters({ user: getUser('admin', ADMIN), query: { size: '0' } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'EVENTS_INVALID_QUERY' }));
+        });
+
+        it('should return 400 when the filters are not strings', function() {
+            var res = getResponse();
+
+            getEvents().getDeadLetters({ user: getUser('admin', ADMIN), query: { listener: { $ne: 'x' } } }, res);
+
+            expect(eventDelivery.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                code: 'EVENTS_INVALID_QUERY',
+                message: 'Invalid listener: it must be a string'
+            }));
+        });
+
+        it('should retry the failed notifications', function() {
+            var res = getResponse();
+
+            eventDelivery.findById.and.callFake(function(id, callback) {
+                callback(null, { _id: 'id', status: 'failed' });
+            });
+            eventDelivery.update.and.callFake(function(query, update, callback) {
+                callback(null);
+            });
+
+            getEvents().retryDeadLetter({ user: getUser('admin', ADMIN), params: { id: 'id' } }, res);
+
+            expect(eventDelivery.update).toHaveBeenCalledWith({ _id: 'id' }, {
+                $set: { status: 'pending', attempts: 0, nextAttempt: NOW }
+            }, jasmine.any(Function));
+            expect(res.status).toHaveBeenCalledWith(202);
+            expect(eventDelivery.findOneAndUpdate).toHaveBeenCalled();
+        });
+
+        it('should return 404 when the notification has not failed', function() {
+            var res = getResponse();
+
+            eventDelivery.findById.and.callFake(function(id, callback) {
+                callback(null, { _id: 'id', status: 'pending' });
+            });
+
+            getEvents().retryDeadLetter({ user: getUser('admin', ADMIN), params: { id: 'id' } }, res);
+
+            expect(eventDelivery.update).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
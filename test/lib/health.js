@@ -0,0 +1,282 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Health', function() {
+
+    var config;
+    var lifecycle;
+    var mongoose;
+    var request;
+    var responses;
+
+    var getHealth = function() {
+        return proxyquire('../../lib/health', {
+            './../config': config,
+            './lifecycle': { lifecycle: lifecycle },
+            './logger': testUtils.emptyLogger,
+            './upstream': testUtils.getUpstream(config),
+            'mongoose': mongoose,
+            'request': request
+        }).health;
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['setHeader', 'status', 'json']);
+        res.status.and.returnValue(res);
+        return res;
+    };
+
+    // Checks the readiness of the proxy and calls the callback with the status code and the body
+    var checkReadiness = function(callback) {
+        var res = getResponse();
+
+        res.json.and.callFake(function(body) {
+            callback(res.status.calls.mostRecent().args[0], body);
+        });
+
+        getHealth().ready({}, res);
+    };
+
+    var checkDependencies = function(callback) {
+        getHealth().check(callback);
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+
+        lifecycle = {
+            isShuttingDown: function() {
+                return false;
+            }
+        };
+
+        mongoose = {
+            '@noCallThru': true,
+            connection: {
+                readyState: 1,
+                db: jasmine.createSpyObj('db', ['command'])
+            }
+        };
+
+        mongoose.connection.db.command.and.callFake(function(command, callback) {
+            callback(null);
+        });
+
+        // Every URL answers with 200 unless other response is configured
+        responses = {};
+        request = jasmine.createSpy('request').and.callFake(function(options, callback) {
+            var response = responses[options.url] || { statusCode: 200 };
+            callback(response.err, response.err ? undefined : response);
+        });
+    });
+
+    it('should report the proxy as alive', function() {
+        var res = getResponse();
+
+        getHealth().live({}, res);
+
+        expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ status: 'up' });
+    });
+
+    it('should report every dependency when all of them are up', function(done) {
+        checkDependencies(function(body) {
+
+            expect(body.status).toBe('up');
+
+            var names = ['mongodb', 'catalog', 'ordering', 'inventory', 'charging', 'rss', 'party', 'billing',
+                'customer', 'usage', 'oauth2'];
+
+            expect(Object.keys(body.checks).sort()).toEqual(names.sort());
+
+            names.forEach(function(name) {
+                expect(body.checks[name].status).toBe('up');
+                expect(body.checks[name].latency).toEqual(jasmine.any(Number));
+            });
+
+            expect(body.checks.catalog.replicas).toEqual({ total: 1, up: 1 });
+            expect(mongoose.connection.db.command).toHaveBeenCalledWith({ ping: 1 }, jasmine.any(Function));
+            expect(request).toHaveBeenCalledWith({
+                url: 'http://example.com:99/catalog',
+                method: 'GET',
+                timeout: 3000
+            }, jasmine.any(Function));
+            expect(request).toHaveBeenCalledWith({
+                url: config.oauth2.server,
+                method: 'GET',
+                timeout: 3000
+            }, jasmine.any(Function));
+
+            done();
+        });
+    });
+
+    it('should only return the status and the latency of every dependency in the readiness probe', function(done) {
+        responses['http://example.com:189/ordering'] = { err: new Error('connect ECONNREFUSED 10.0.0.7:189') };
+
+        checkReadiness(function(status, body) {
+            expect(status).toBe(200);
+            expect(body.status).toBe('degraded');
+            expect(body.checks.catalog.status).toBe('up');
+            expect(body.checks.ordering.status).toBe('down');
+            expect(body.checks.ordering).toEqual({ status: 'down', latency: jasmine.any(Number) });
+            expect(JSON.stringify(body)).not.toContain('10.0.0.7');
+            done();
+        });
+    });
+
+    it('should reuse the result of the checks while it is recent', function(done) {
+        var health = getHealth();
+        var res = getResponse();
+        var requests;
+
+        health.ready({}, getResponse());
+        requests = request.calls.count();
+
+        res.json.and.callFake(function(body) {
+            expect(body.status).toBe('up');
+            expect(request.calls.count()).toBe(requests);
+            done();
+        });
+
+        health.ready({}, res);
+    });
+
+    it('should check the dependencies again once the result is not recent', function(done) {
+        config.health = { cacheTime: 0 };
+
+        var health = getHealth();
+        var res = getResponse();
+        var requests;
+
+        health.ready({}, getResponse());
+        requests = request.calls.count();
+
+        res.json.and.callFake(function() {
+            expect(request.calls.count()).toBe(requests * 2);
+            done();
+        });
+
+        health.ready({}, res);
+    });
+
+    it('should report the proxy as not ready while shutting down', function(done) {
+        lifecycle.isShuttingDown = function() {
+            return true;
+        };
+
+        checkReadiness(function(status, body) {
+            expect(status).toBe(503);
+            expect(body.status).toBe('down');
+            expect(request).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('should report the proxy as degraded when an API is down', function(done) {
+        responses['http://example.com:189/ordering'] = { statusCode: 503 };
+
+        checkReadiness(function(status, body) {
+            expect(status).toBe(200);
+            expect(body.status).toBe('degraded');
+            expect(body.checks.catalog.status).toBe('up');
+            expect(body.checks.ordering.status).toBe('down');
+            done();
+        });
+    });
+
+    it('should consider APIs answering with client errors as up', function(done) {
+        responses['http://example.com:99/catalog'] = { statusCode: 404 };
+
+        checkReadiness(function(status, body) {
+            expect(body.checks.catalog.status).toBe('up');
+            done();
+        });
+    });
+
+    it('should report the proxy as down when MongoDB is not connected', function(done) {
+        mongoose.connection.readyState = 0;
+
+        checkReadiness(function(status, body) {
+            expect(status).toBe(503);
+            expect(body.status).toBe('down');
+            expect(body.checks.mongodb.status).toBe('down');
+            done();
+        });
+    });
+
+    it('should report the proxy as down when the OAuth2 server cannot be reached', function(done) {
+        responses[config.oauth2.server] = { err: new Error('ECONNREFUSED') };
+
+        checkDependencies(function(body) {
+            expect(body.status).toBe('down');
+            expect(body.checks.oauth2).toEqual({ status: 'down', latency: jasmine.any(Number), error: 'ECONNREFUSED' });
+            done();
+        });
+    });
+
+    it('should use the configured critical dependencies', function(done) {
+        config.health = { critical: ['charging'] };
+        mongoose.connection.readyState = 0;
+
+        checkReadiness(function(status, body) {
+            expect(status).toBe(200);
+            expect(body.status).toBe('degraded');
+            done();
+        });
+    });
+
+    it('should report an endpoint as up while any of its replicas is up', function(done) {
+        config.endpoints.catalog.replicas = [{}, { host: 'replica2' }];
+        responses['http://example.com:99/catalog'] = { err: new Error('ECONNREFUSED') };
+
+        checkDependencies(function(body) {
+            expect(body.status).toBe('up');
+            expect(body.checks.catalog.status).toBe('up');
+            expect(body.checks.catalog.replicas).toEqual({ total: 2, up: 1 });
+            done();
+        });
+    });
+
+    it('should request the health path of the endpoint when defined', function(done) {
+        config.endpoints.catalog.healthPath = '/catalog/api/health';
+
+        checkReadiness(function() {
+            expect(request.calls.allArgs().map(function(args) {
+                return args[0].url;
+            })).toContain('http://example.com:99/catalog/api/health');
+            done();
+        });
+    });
+
+    it('should report dependencies that do not answer in time as down', function(done) {
+        config.health = { timeout: 10 };
+        mongoose.connection.db.command.and.callFake(function() {});
+
+        checkDependencies(function(body) {
+            expect(body.status).toBe('down');
+            expect(body.checks.mongodb.error).toBe('Timed out after 10 ms');
+            done();
+        });
+    });
+});
@@ -0,0 +1,222 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Hrefs', function() {
+
+    var PUBLIC_URL = 'https://store.example.com';
+    var CATALOG_API = '/DSProductCatalog/api/catalogManagement/v2';
+    var PARTY_API = '/DSPartyManagement/api/partyManagement/v2';
+
+    var config;
+
+    var getHrefs = function() {
+        return proxyquire('../../lib/hrefs', {
+            './../config': config,
+            './upstream': {
+                upstream: {
+                    getReplicas: function(endpointName) {
+                        return endpointName === 'catalog' ? ['http://apis1:8080', 'http://apis2:8080'] :
+                            ['http://apis1:' + config.endpoints[endpointName].port];
+                    }
+                }
+            }
+        }).hrefs;
+    };
+
+    var req = {
+        secure: false,
+        hostname: 'belp.fiware.org'
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.port = 8000;
+        config.proxyPrefix = '';
+        config.endpoints = {
+            catalog: { path: 'DSProductCatalog', port: 8080 },
+            party: { path: 'DSPartyManagement', port: 8080 }
+        };
+        config.hrefs = { publicURL: PUBLIC_URL, rewrite: true };
+    });
+
+    describe('Public URL', function() {
+
+        it('should use the configured public URL with the proxy prefix', function() {
+            config.hrefs.publicURL = PUBLIC_URL + '/';
+            config.proxyPrefix = '/proxy';
+
+            expect(getHrefs().getPublicURL(req, CATALOG_API)).toBe(PUBLIC_URL + '/proxy' + CATALOG_API);
+        });
+
+        it('should derive the public URL from the request when it is not configured', function() {
+            config.hrefs = {};
+
+            expect(getHrefs().getPublicURL(req, CATALOG_API)).toBe('http://belp.fiware.org:8000' + CATALOG_API);
+            expect(getHrefs().getPublicURL({ secure: true, hostname: 'store' }, CATALOG_API))
+                .toBe('https://store:8000' + CATALOG_API);
+        });
+    });
+
+    describe('Single hrefs', function() {
+
+        it('should rewrite the hrefs of every replica to the public URL', function() {
+            var hrefs = getHrefs();
+
+            expect(hrefs.toPublic(req, 'http://apis1:8080' + CATALOG_API + '/catalog/1'))
+                .toBe(PUBLIC_URL + CATALOG_API + '/catalog/1');
+            expect(hrefs.toPublic(req, 'http://apis2:8080' + CATALOG_API + '/catalog/1?fields=name'))
+                .toBe(PUBLIC_URL + CATALOG_API + '/catalog/1?fields=name');
+        });
+
+        it('should rewrite the public hrefs to the first replica', function() {
+            expect(getHrefs().toInternal(req, PUBLIC_URL + CATALOG_API + '/catalog/1'))
+                .toBe('http://apis1:8080' + CATALOG_API + '/catalog/1');
+        });
+
+        it('should not rewrite hrefs of other hosts or APIs', function() {
+            var hrefs = getHrefs();
+
+            ['http://other:8080' + CATALOG_API, 'http://apis1:8080/DSProductCatalogs/api', 'urn:product:1']
+                .forEach(function(href) {
+                    expect(hrefs.toPublic(req, href)).toBe(href);
+                    expect(hrefs.toInternal(req, href)).toBe(href);
+                });
+        });
+    });
+
+    describe('Bodies', function() {
+
+        var getResult = function(body, contentType) {
+            return {
+                headers: { 'content-type': contentType || 'application/json;charset=utf-8' },
+                body: Buffer.from(JSON.stringify(body))
+            };
+        };
+
+        it('should rewrite the hrefs of the responses at any depth', function() {
+            var result = getResult([{
+                id: '1',
+                href: 'http://apis2:8080' + CATALOG_API + '/productOffering/1',
+                relatedParty: [{ id: 'fiware', href: 'http://apis1:8080' + PARTY_API + '/individual/fiware' }],
+                bundledProductOffering: [{ href: 'http://apis1:8080' + CATALOG_API + '/productOffering/2' }],
+                description: 'http://apis1:8080' + CATALOG_API
+            }]);
+
+            getHrefs().rewriteResponse(req, result);
+
+            var expectedBody = JSON.stringify([{
+                id: '1',
+                href: PUBLIC_URL + CATALOG_API + '/productOffering/1',
+                relatedParty: [{ id: 'fiware', href: PUBLIC_URL + PARTY_API + '/individual/fiware' }],
+                bundledProductOffering: [{ href: PUBLIC_URL + CATALOG_API + '/productOffering/2' }],
+                description: 'http://apis1:8080' + CATALOG_API
+            }]);
+
+            expect(result.body).toBe(expectedBody);
+            expect(result.headers['content-length']).toBe(Buffer.byteLength(expectedBody));
+        });
+
+        it('should not modify bodies without hrefs of the APIs', function() {
+            var body = Buffer.from('{ "href": "http://other/1" }');
+            var result = { headers: { 'content-type': 'application/json' }, body: body };
+
+            getHrefs().rewriteResponse(req, result);
+
+            expect(result.body).toBe(body);
+            expect(result.headers['content-length']).toBeUndefined();
+        });
+
+        it('should not modify bodies which are not JSON', function() {
+            var result = getResult({ href: 'http://apis1:8080' + CATALOG_API }, 'text/plain');
+            var body = result.body;
+
+            getHrefs().rewriteResponse(req, result);
+
+            expect(result.body).toBe(body);
+        });
+
+        it('should not modify the bodies when rewriting is disabled', function() {
+            var result = getResult({ href: 'http://apis1:8080' + CATALOG_API });
+            var body = result.body;
+
+            config.hrefs.rewrite = false;
+            getHrefs().rewriteResponse(req, result);
+
+            expect(result.body).toBe(body);
+        });
+
+        it('should rewrite the public hrefs of the requests', function() {
+            var request = {
+                secure: false,
+                hostname: 'belp.fiware.org',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ relatedParty: [{ href: PUBLIC_URL + PARTY_API + '/individual/fiware' }] })
+            };
+
+            getHrefs().rewriteRequest(request);
+
+            expect(request.body).toBe(JSON.stringify({
+                relatedParty: [{ href: 'http://apis1:8080' + PARTY_API + '/individual/fiware' }]
+            }));
+        });
+
+        it('should rewrite parsed items', function() {
+            var items = [{ href: 'http://apis1:8080' + CATALOG_API + '/catalog/1' }];
+
+            getHrefs().rewriteToPublic(req, items);
+
+            expect(items).toEqual([{ href: PUBLIC_URL + CATALOG_API + '/catalog/1' }]);
+        });
+
+        it('should require the JSON bodies of the requests', function() {
+            var hrefs = getHrefs();
+
+            expect(hrefs.requiresRequestBody({ headers: { 'content-type': 'application/json' } })).toBe(true);
+            expect(hrefs.requiresRequestBody({ headers: { 'content-type': 'multipart/form-data' } })).toBe(false);
+        });
+
+        it('should only read the JSON bodies up to the maximum size', function() {
+            var hrefs = getHrefs();
+
+            config.hrefs.maxBodySize = 100;
+
+            expect(hrefs.isRewritten({ 'content-type': 'application/json', 'content-length': '100' })).toBe(true);
+            expect(hrefs.isRewritten({ 'content-type': 'application/json', 'transfer-encoding': 'chunked' }))
+                .toBe(true);
+            expect(hrefs.isRewritten({ 'content-type': 'application/json', 'content-length': '101' })).toBe(false);
+            expect(hrefs.isRewritten({ 'content-type': 'text/plain', 'content-length': '10' })).toBe(false);
+            expect(hrefs.requiresRequestBody({
+                headers: { 'content-type': 'application/json', 'content-length': '101' }
+            })).toBe(false);
+        });
+
+        it('should not rewrite the hrefs unless it is enabled', function() {
+            var hrefs = getHrefs();
+
+            config.hrefs = {};
+
+            expect(hrefs.isEnabled()).toBe(false);
+            expect(hrefs.isRewritten({ 'content-type': 'application/json' })).toBe(false);
+            expect(hrefs.requiresRequestBody({ headers: { 'content-type': 'application/json' } })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,351 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire');
+
+describe('Key-Value Store', function() {
+
+    var getKeyValueStore = function(keyValueEntry) {
+        return proxyquire('../../lib/keyValueStore', {
+            './../db/schemas/keyValueEntry': keyValueEntry || {}
+        });
+    };
+
+    it('should throw an error when the type of store is not valid', function() {
+        expect(function() {
+            getKeyValueStore().createStore('invalid', 'ns');
+        }).toThrowError('Invalid store type: invalid');
+    });
+
+    describe('Memory', function() {
+
+        var createStore = function(maxEntries) {
+            return getKeyValueStore().createStore('memory', 'ns', { maxEntries: maxEntries });
+        };
+
+        var expectValue = function(store, key, expectedValue) {
+            store.get(key, function(err, value) {
+                expect(err).toBe(null);
+                expect(value).toEqual(expectedValue);
+            });
+        };
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2016, 1, 1));
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should return null when the key does not exist', function() {
+            expectValue(createStore(), 'key', null);
+        });
+
+        it('should return stored values', function() {
+            var store = createStore();
+            var callback = jasmine.createSpy('callback');
+
+            store.set('key', { a: 1 }, 0, callback);
+
+            expect(callback).toHaveBeenCalledWith(null);
+            expectValue(store, 'key', { a: 1 });
+        });
+
+        it('should not return expired values', function() {
+            var store = createStore();
+
+            store.set('key', 'value', 1000);
+            jasmine.clock().tick(999);
+            expectValue(store, 'key', 'value');
+
+            jasmine.clock().tick(1);
+            expectValue(store, 'key', null);
+        });
+
+        it('should remove values', function() {
+            var store = createStore();
+            var callback = jasmine.createSpy('callback');
+
+            store.set('key', 'value', 0);
+            store.remove('key', callback);
+
+            expect(callback).toHaveBeenCalledWith(null);
+            expectValue(store, 'key', null);
+        });
+
+        it('should remove the values whose key matches a pattern', function() {
+            var store = createStore();
+            var callback = jasmine.createSpy('callback');
+
+            store.set('/api/a/1', 'value1', 0);
+            store.set('/api/a/2', 'value2', 0);
+            store.set('/api/b/1', 'value3', 0);
+            store.removeMatching(/^\/api\/a\//, callback);
+
+            expect(callback).toHaveBeenCalledWith(null);
+            expectValue(store, '/api/a/1', null);
+            expectValue(store, '/api/a/2', null);
+            expectValue(store, '/api/b/1', 'value3');
+        });
+
+        it('should return the values whose key matches a pattern', function() {
+            var store = createStore();
+            var callback = jasmine.createSpy('callback');
+
+            store.set('/api/a/1', 'value1', 0);
+            store.set('/api/a/2', 'value2', 1000);
+            store.set('/api/b/1', 'value3', 0);
+
+            jasmine.clock().tick(1001);
+
+            store.getMatching(/^\/api\/a\//, callback);
+
+            expect(callback).toHaveBeenCalledWith(null, [{ key: '/api/a/1', value: 'value1' }]);
+        });
+
+        it('should discard the least recently used values when the store is full', function() {
+            var store = createStore(2);
+
+            store.set('key1', 'value1', 0);
+            store.set('key2', 'value2', 0);
+
+            // key1 is used, so key2 becomes the least recently used entry
+            expectValue(store, 'key1', 'value1');
+            store.set('key3', 'value3', 0);
+
+            expectValue(store, 'key1', 'value1');
+            expectValue(store, 'key2', null);
+            expectValue(store, 'key3', 'value3');
+        });
+
+        it('should only discard the expired values of stores that keep the entries alive', function() {
+            var store = getKeyValueStore().createStore('memory', 'ns', { maxEntries: 2, expireOnly: true });
+
+            store.set('key1', 'value1', 100);
+            store.set('key2', 'value2', 0);
+            store.set('key3', 'value3', 0);
+
+            expectValue(store, 'key1', 'value1');
+            expectValue(store, 'key2', 'value2');
+            expectValue(store, 'key3', 'value3');
+
+            jasmine.clock().tick(100);
+            store.set('key4', 'value4', 0);
+            store.set('key5', 'value5', 0);
+
+            expectValue(store, 'key1', null);
+            expectValue(store, 'key5', 'value5');
+        });
+
+        it('should discard expired values before used ones when the store is full', function() {
+            var store = createStore(2);
+
+            store.set('key1', 'value1', 0);
+            store.set('key2', 'value2', 100);
+            jasmine.clock().tick(100);
+            store.set('key3', 'value3', 0);
+
+            expectValue(store, 'key1', 'value1');
+            expectValue(store, 'key3', 'value3');
+        });
+
+        it('should increment counters', function() {
+            var store = createStore();
+            var values = [];
+
+            for (var i = 0; i < 3; i++) {
+                store.increment('counter', 1000, function(err, value) {
+                    expect(err).toBe(null);
+                    values.push(value);
+                });
+            }
+
+            expect(values).toEqual([1, 2, 3]);
+        });
+
+        it('should restart counters when they expire', function() {
+            var store = createStore();
+
+            store.increment('counter', 1000, function() {});
+            store.increment('counter', 1000, function() {});
+            jasmine.clock().tick(1000);
+
+            store.increment('counter', 1000, function(err, value) {
+                expect(value).toBe(1);
+            });
+        });
+    });
+
+    describe('MongoDB', function() {
+
+        var NAMESPACE = 'namespace';
+
+        var createStore = function(keyValueEntry) {
+            return getKeyValueStore(keyValueEntry).createStore('mongo', NAMESPACE);
+        };
+
+        var testGet = function(err, entry, expectedErr, expectedValue, done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['findOne']);
+            keyValueEntry.findOne.and.callFake(function(query, callback) {
+                callback(err, entry);
+            });
+
+            createStore(keyValueEntry).get('key', function(err, value) {
+                expect(keyValueEntry.findOne).toHaveBeenCalledWith({ namespace: NAMESPACE, key: 'key' }, jasmine.any(Function));
+                expect(err).toEqual(expectedErr);
+                expect(value).toEqual(expectedValue);
+                done();
+            });
+        };
+
+        it('should return stored values', function(done) {
+            testGet(null, { value: '{"a":1}', expires: new Date(Date.now() + 10000) }, null, { a: 1 }, done);
+        });
+
+        it('should return values without expiration date', function(done) {
+            testGet(null, { value: '"value"', expires: null }, null, 'value', done);
+        });
+
+        it('should return null when the entry has expired', function(done) {
+            testGet(null, { value: '"value"', expires: new Date(Date.now() - 1) }, null, null, done);
+        });
+
+        it('should return null when the entry does not exist', function(done) {
+            testGet(null, null, null, null, done);
+        });
+
+        it('should return an error when the database fails', function(done) {
+            var error = { message: 'Error' };
+            testGet(error, null, error, undefined, done);
+        });
+
+        it('should upsert values', function(done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['update']);
+            keyValueEntry.update.and.callFake(function(query, update, options, callback) {
+                callback(null);
+            });
+
+            var now = Date.now();
+
+            createStore(keyValueEntry).set('key', { a: 1 }, 1000, function(err) {
+
+                var update = keyValueEntry.update.calls.argsFor(0);
+
+                expect(err).toBe(null);
+                expect(update[0]).toEqual({ namespace: NAMESPACE, key: 'key' });
+                expect(update[1].value).toEqual('{"a":1}');
+                expect(update[1].expires.getTime()).not.toBeLessThan(now + 1000);
+                expect(update[2]).toEqual({ upsert: true });
+
+                done();
+            });
+        });
+
+        it('should increment counters atomically', function(done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['findOneAndUpdate']);
+            keyValueEntry.findOneAndUpdate.and.callFake(function(query, update, options, callback) {
+                callback(null, { counter: 4 });
+            });
+
+            var now = Date.now();
+
+            createStore(keyValueEntry).increment('counter', 1000, function(err, value) {
+
+                var update = keyValueEntry.findOneAndUpdate.calls.argsFor(0);
+
+                expect(err).toBe(null);
+                expect(value).toBe(4);
+                expect(update[0]).toEqual({ namespace: NAMESPACE, key: 'counter' });
+                expect(update[1].$inc).toEqual({ counter: 1 });
+                expect(update[1].$setOnInsert.expires.getTime()).not.toBeLessThan(now + 1000);
+                expect(update[2]).toEqual({ upsert: true, new: true });
+
+                done();
+            });
+        });
+
+        it('should return an error when counters cannot be incremented', function(done) {
+
+            var error = { message: 'Error' };
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['findOneAndUpdate']);
+            keyValueEntry.findOneAndUpdate.and.callFake(function(query, update, options, callback) {
+                callback(error);
+            });
+
+            createStore(keyValueEntry).increment('counter', 1000, function(err, value) {
+                expect(err).toBe(error);
+                expect(value).toBe(null);
+                done();
+            });
+        });
+
+        it('should remove values', function(done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['remove']);
+            keyValueEntry.remove.and.callFake(function(query, callback) {
+                callback(null);
+            });
+
+            createStore(keyValueEntry).remove('key', function(err) {
+                expect(err).toBe(null);
+                expect(keyValueEntry.remove).toHaveBeenCalledWith({ namespace: NAMESPACE, key: 'key' }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should remove the values whose key matches a pattern', function(done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['remove']);
+            keyValueEntry.remove.and.callFake(function(query, callback) {
+                callback(null);
+            });
+
+            createStore(keyValueEntry).removeMatching(/^\/api\//, function(err) {
+                expect(err).toBe(null);
+                expect(keyValueEntry.remove).toHaveBeenCalledWith(
+                    { namespace: NAMESPACE, key: { $regex: '^\\/api\\/' } }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should return the values whose key matches a pattern', function(done) {
+
+            var keyValueEntry = jasmine.createSpyObj('KeyValueEntry', ['find']);
+            keyValueEntry.find.and.callFake(function(query, callback) {
+                callback(null, [
+                    { key: '/api/1', value: '{"a":1}', expires: null },
+                    { key: '/api/2', value: '{"a":2}', expires: new Date(Date.now() - 1000) }
+                ]);
+            });
+
+            createStore(keyValueEntry).getMatching(/^\/api\//, function(err, entries) {
+                expect(err).toBe(null);
+                expect(entries).toEqual([{ key: '/api/1', value: { a: 1 } }]);
+                expect(keyValueEntry.find).toHaveBeenCalledWith(
+                    { namespace: NAMESPACE, key: { $regex: '^\\/api\\/' } }, jasmine.any(Function));
+                done();
+            });
+        });
+    });
+});
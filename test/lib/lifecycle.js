@@ -0,0 +1,312 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Lifecycle', function() {
+
+    var config;
+    var configResult;
+    var finishedCallbacks;
+    var logger;
+
+    var getLifecycle = function() {
+        return proxyquire('../../lib/lifecycle', {
+            './../config': config,
+            './configuration': {
+                configuration: {
+                    load: function() {
+                        return configResult;
+                    }
+                }
+            },
+            './logger': {
+                logger: {
+                    getLogger: function() {
+                        return logger;
+                    }
+                }
+            },
+            'on-finished': function(res, callback) {
+                finishedCallbacks.push(callback);
+            }
+        }).lifecycle;
+    };
+
+    var createServer = function() {
+        var server = new EventEmitter();
+        server.close = jasmine.createSpy('close');
+        return server;
+    };
+
+    var createSocket = function() {
+        var socket = new EventEmitter();
+        socket.end = jasmine.createSpy('end');
+        socket.destroy = jasmine.createSpy('destroy');
+        return socket;
+    };
+
+    // Makes the server receive a request in a new connection
+    var receiveRequest = function(server, socket) {
+        var res = jasmine.createSpyObj('res', ['setHeader']);
+
+        if (!socket) {
+            socket = createSocket();
+            server.emit('connection', socket);
+        }
+
+        server.emit('request', { socket: socket }, res);
+
+        return {
+            socket: socket,
+            res: res,
+            finish: finishedCallbacks[finishedCallbacks.length - 1]
+        };
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        configResult = { applied: [], errors: [] };
+        finishedCallbacks = [];
+        logger = jasmine.createSpyObj('logger', ['debug', 'info', 'warn', 'error']);
+    });
+
+    describe('Shutdown', function() {
+
+        beforeEach(function() {
+            jasmine.clock().install();
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should stop accepting connections and close the idle ones', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+            var callback = jasmine.createSpy('callback');
+
+            lifecycle.addServer(server);
+
+            var request = receiveRequest(server);
+            request.finish();
+
+            lifecycle.shutdown('SIGTERM', callback);
+
+            expect(lifecycle.isShuttingDown()).toBe(true);
+            expect(server.close).toHaveBeenCalled();
+            expect(request.socket.end).toHaveBeenCalled();
+            expect(callback).toHaveBeenCalled();
+        });
+
+        it('should wait for the requests in progress before executing the shutdown tasks', function(done) {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+            var calls = [];
+
+            lifecycle.addServer(server);
+
+            lifecycle.onShutdown(function(hookCallback) {
+                calls.push('tracing');
+                hookCallback();
+            });
+
+            lifecycle.onShutdown(function(hookCallback) {
+                calls.push('mongodb');
+                hookCallback({ message: 'Error' });
+            });
+
+            var request = receiveRequest(server);
+            var otherRequest = receiveRequest(server);
+
+            lifecycle.shutdown('SIGTERM', function() {
+                expect(calls).toEqual(['tracing', 'mongodb']);
+                expect(logger.warn).toHaveBeenCalledWith('Shutdown task failed: Error');
+                done();
+            });
+
+            expect(request.socket.end).not.toHaveBeenCalled();
+            expect(calls).toEqual([]);
+
+            request.finish();
+
+            expect(request.socket.end).toHaveBeenCalled();
+            expect(calls).toEqual([]);
+
+            otherRequest.finish();
+        });
+
+        it('should let the drain functions end the requests that never finish', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+            var callback = jasmine.createSpy('callback');
+
+            lifecycle.addServer(server);
+
+            var stream = receiveRequest(server);
+
+            lifecycle.onDrain(function() {
+                stream.finish();
+            });
+
+            lifecycle.shutdown('SIGTERM', callback);
+
+            expect(stream.socket.end).toHaveBeenCalled();
+            expect(callback).toHaveBeenCalled();
+        });
+
+        it('should ask the clients to close the connections of the requests received while draining', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+
+            lifecycle.addServer(server);
+
+            var request = receiveRequest(server);
+
+            lifecycle.shutdown('SIGTERM', function() {});
+
+            var keptAliveRequest = receiveRequest(server, request.socket);
+
+            expect(request.res.setHeader).not.toHaveBeenCalled();
+            expect(keptAliveRequest.res.setHeader).toHaveBeenCalledWith('Connection', 'close');
+        });
+
+        it('should abort the requests that do not finish before the deadline', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+            var callback = jasmine.createSpy('callback');
+
+            config.shutdown = { timeout: 1000 };
+            lifecycle.addServer(server);
+
+            var request = receiveRequest(server);
+
+            lifecycle.shutdown('SIGTERM', callback);
+
+            jasmine.clock().tick(999);
+            expect(callback).not.toHaveBeenCalled();
+
+            jasmine.clock().tick(1);
+            expect(request.socket.destroy).toHaveBeenCalled();
+            expect(logger.warn).toHaveBeenCalledWith('%d requests have not finished in time', 1);
+            expect(callback).toHaveBeenCalled();
+
+            // Finishing the request later does not execute the shutdown tasks again
+            request.finish();
+            expect(callback.calls.count()).toBe(1);
+        });
+
+        it('should forget the connections that are closed', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+            var callback = jasmine.createSpy('callback');
+
+            lifecycle.addServer(server);
+
+            var request = receiveRequest(server);
+            request.socket.emit('close');
+
+            lifecycle.shutdown('SIGTERM', callback);
+
+            expect(request.socket.end).not.toHaveBeenCalled();
+            expect(callback).toHaveBeenCalled();
+        });
+
+        it('should ignore the shutdown requests received while shutting down', function() {
+            var lifecycle = getLifecycle();
+            var server = createServer();
+
+            lifecycle.addServer(server);
+            receiveRequest(server);
+
+            lifecycle.shutdown('SIGTERM', function() {});
+            lifecycle.shutdown('SIGINT', function() {});
+
+            expect(server.close.calls.count()).toBe(1);
+        });
+    });
+
+    describe('Reload', function() {
+
+        var getNewConfig = function() {
+            var newConfig = testUtils.getDefaultConfig();
+            newConfig.endpoints.catalog.port = 8080;
+            newConfig.publicPaths = ['public/*'];
+            newConfig.port = 8000;
+            return newConfig;
+        };
+
+        it('should apply the settings that can be reloaded', function() {
+            var lifecycle = getLifecycle();
+            var hook = jasmine.createSpy('hook');
+
+            lifecycle.onReload(hook);
+
+            expect(lifecycle.reload(getNewConfig)).toBe(true);
+
+            expect(config.endpoints.catalog.port).toBe(8080);
+            expect(config.publicPaths).toEqual(['public/*']);
+            expect(config.port).toBe(7496);
+            expect(logger.warn).toHaveBeenCalledWith('The setting port has changed, but it is only applied on restart');
+            expect(hook).toHaveBeenCalledWith(config);
+        });
+
+        it('should keep the configuration when the new one is not valid', function() {
+            var lifecycle = getLifecycle();
+            var hook = jasmine.createSpy('hook');
+
+            configResult.errors = ['port: must be a port number between 1 and 65535'];
+            lifecycle.onReload(hook);
+
+            expect(lifecycle.reload(getNewConfig)).toBe(false);
+
+            expect(config.endpoints.catalog.port).toBe(99);
+            expect(logger.error).toHaveBeenCalledWith('Invalid setting port: must be a port number between 1 and 65535');
+            expect(hook).not.toHaveBeenCalled();
+        });
+
+        it('should keep the configuration when the new one cannot be read', function() {
+            var lifecycle = getLifecycle();
+
+            var reloaded = lifecycle.reload(function() {
+                throw new Error('Unexpected token');
+            });
+
+            expect(reloaded).toBe(false);
+            expect(logger.error).toHaveBeenCalledWith('The configuration cannot be read: Unexpected token');
+        });
+
+        it('should log the errors of the reload functions', function() {
+            var lifecycle = getLifecycle();
+            var hook = jasmine.createSpy('hook');
+
+            lifecycle.onReload(function() {
+                throw new Error('Invalid policy');
+            });
+            lifecycle.onReload(hook);
+
+            lifecycle.reload(getNewConfig);
+
+            expect(logger.error).toHaveBeenCalledWith('The configuration cannot be applied: Invalid policy');
+            expect(hook).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,217 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Live updates', function() {
+
+    var config;
+
+    var getLiveUpdates = function() {
+        return proxyquire('../../lib/liveUpdates', {
+            './../config': config,
+            './logger': testUtils.emptyLogger,
+            './upstream': {
+                upstream: {
+                    getEndpointName: function(api) {
+                        return api;
+                    }
+                }
+            },
+            './utils': {
+                log: function() {}
+            }
+        }).liveUpdates;
+    };
+
+    // Opens a stream of the given user and returns its response
+    var subscribe = function(liveUpdates, userId) {
+        var req = new EventEmitter();
+        var res = jasmine.createSpyObj('res', ['status', 'setHeader', 'write', 'end']);
+
+        req.user = { id: userId };
+        liveUpdates.subscribe(req, res);
+        res.req = req;
+
+        return res;
+    };
+
+    var getEvents = function(res) {
+        return res.write.calls.allArgs().map(function(args) {
+            return args[0];
+        }).filter(function(data) {
+            return data.indexOf('event: ') === 0;
+        });
+    };
+
+    var getRequest = function(method) {
+        return { method: method, user: { id: 'seller' } };
+    };
+
+    var ORDER = {
+        id: '7',
+        state: 'InProgress',
+        relatedParty: [{ id: 'customer', role: 'Customer' }, { id: 'seller', role: 'Seller' }],
+        orderItem: [{ id: '1', product: { relatedParty: [{ id: 'seller', role: 'Seller' }] } }]
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.liveUpdates = {
+            enabled: true,
+            heartbeat: 1000,
+            retryDelay: 3000,
+            maxConnectionsPerUser: 2
+        };
+
+        jasmine.clock().install();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it('should open event streams', function() {
+        var res = subscribe(getLiveUpdates(), 'customer');
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream');
+        expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-cache');
+        expect(res.write).toHaveBeenCalledWith('retry: 3000\n\n');
+    });
+
+    it('should only stream the changes of the APIs of orders, products and billing accounts', function() {
+        var liveUpdates = getLiveUpdates();
+
+        expect(liveUpdates.isStreamed('ordering', getRequest('POST'))).toBe(true);
+        expect(liveUpdates.isStreamed('inventory', getRequest('patch'))).toBe(true);
+        expect(liveUpdates.isStreamed('billing', getRequest('PUT'))).toBe(true);
+        expect(liveUpdates.isStreamed('ordering', getRequest('GET'))).toBe(false);
+        expect(liveUpdates.isStreamed('catalog', getRequest('POST'))).toBe(false);
+
+        config.liveUpdates.enabled = false;
+        expect(liveUpdates.isStreamed('ordering', getRequest('POST'))).toBe(false);
+    });
+
+    it('should send the changes to the streams of the related parties', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+        var seller = subscribe(liveUpdates, 'seller');
+        var other = subscribe(liveUpdates, 'other');
+
+        liveUpdates.publish(getRequest('PATCH'), 'ordering', { status: 200, body: Buffer.from(JSON.stringify(ORDER)) });
+
+        var expected = 'event: productOrder\ndata: ' +
+            JSON.stringify({ action: 'updated', user: 'seller', resource: ORDER }) + '\n\n';
+
+        expect(getEvents(customer)).toEqual([expected]);
+        expect(getEvents(seller)).toEqual([expected]);
+        expect(getEvents(other)).toEqual([]);
+    });
+
+    it('should only send the order items of every seller to their streams', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+        var seller = subscribe(liveUpdates, 'seller');
+        var otherSeller = subscribe(liveUpdates, 'other-seller');
+
+        var sellerItem = { id: '1', product: { relatedParty: [{ id: 'seller', role: 'Seller' }] } };
+        var otherSellerItem = { id: '2', product: { relatedParty: [{ id: 'other-seller', role: 'Seller' }] } };
+        var order = {
+            id: '7',
+            relatedParty: [{ id: 'customer', role: 'Customer' }, { id: 'seller', role: 'Seller' },
+                { id: 'other-seller', role: 'Seller' }],
+            orderItem: [sellerItem, otherSellerItem]
+        };
+
+        var getResources = function(res) {
+            return getEvents(res).map(function(event) {
+                return JSON.parse(event.split('data: ')[1]).resource;
+            });
+        };
+
+        liveUpdates.publish(getRequest('PATCH'), 'ordering', { status: 200, body: JSON.stringify(order) });
+
+        expect(getResources(customer)[0].orderItem).toEqual([sellerItem, otherSellerItem]);
+        expect(getResources(seller)[0].orderItem).toEqual([sellerItem]);
+        expect(getResources(otherSeller)[0].orderItem).toEqual([otherSellerItem]);
+        expect(getResources(seller)[0].relatedParty).toEqual(order.relatedParty);
+    });
+
+    it('should not send the changes rejected by the APIs', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+
+        liveUpdates.publish(getRequest('POST'), 'ordering', { status: 400, body: JSON.stringify(ORDER) });
+        liveUpdates.publish(getRequest('POST'), 'ordering', { status: 201, body: 'invalid' });
+
+        expect(getEvents(customer)).toEqual([]);
+    });
+
+    it('should stop sending the changes to the closed streams', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+
+        customer.req.emit('close');
+        liveUpdates.publish(getRequest('POST'), 'ordering', { status: 201, body: JSON.stringify(ORDER) });
+
+        expect(getEvents(customer)).toEqual([]);
+    });
+
+    it('should close the oldest stream when the user exceeds the maximum number of connections', function() {
+        var liveUpdates = getLiveUpdates();
+        var first = subscribe(liveUpdates, 'customer');
+        var second = subscribe(liveUpdates, 'customer');
+        var third = subscribe(liveUpdates, 'customer');
+
+        liveUpdates.publish(getRequest('POST'), 'ordering', { status: 201, body: JSON.stringify(ORDER) });
+
+        expect(first.end).toHaveBeenCalled();
+        expect(getEvents(first)).toEqual([]);
+        expect(getEvents(second).length).toBe(1);
+        expect(getEvents(third).length).toBe(1);
+    });
+
+    it('should send heartbeats while there are open streams', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+
+        jasmine.clock().tick(1000);
+        expect(customer.write).toHaveBeenCalledWith(':\n\n');
+
+        customer.req.emit('close');
+        customer.write.calls.reset();
+
+        jasmine.clock().tick(1000);
+        expect(customer.write).not.toHaveBeenCalled();
+    });
+
+    it('should close all the streams', function() {
+        var liveUpdates = getLiveUpdates();
+        var customer = subscribe(liveUpdates, 'customer');
+        var seller = subscribe(liveUpdates, 'seller');
+
+        liveUpdates.closeAll();
+
+        expect(customer.end).toHaveBeenCalled();
+        expect(seller.end).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,182 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Metrics', function() {
+
+    var config;
+    var finishedCallbacks;
+
+    var getMetrics = function() {
+        return proxyquire('../../lib/metrics', {
+            './../config': config,
+            'on-finished': function(res, callback) {
+                finishedCallbacks.push(callback);
+            }
+        }).metrics;
+    };
+
+    var getLines = function(metrics) {
+        return metrics.render().split('\n');
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        finishedCallbacks = [];
+    });
+
+    describe('Counters', function() {
+
+        it('should render the counts of every combination of labels', function() {
+            var metrics = getMetrics();
+            var counter = metrics.counter('test_total', 'Test counter', ['api', 'status']);
+
+            counter.inc({ api: 'catalog', status: 200 });
+            counter.inc({ api: 'catalog', status: 200 });
+            counter.inc({ api: 'ordering', status: 404 }, 3);
+
+            var lines = getLines(metrics);
+
+            expect(lines).toContain('# HELP test_total Test counter');
+            expect(lines).toContain('# TYPE test_total counter');
+            expect(lines).toContain('test_total{api="catalog",status="200"} 2');
+            expect(lines).toContain('test_total{api="ordering",status="404"} 3');
+        });
+
+        it('should escape the values of the labels', function() {
+            var metrics = getMetrics();
+            var counter = metrics.counter('test_total', 'Test counter', ['message']);
+
+            counter.inc({ message: 'The "id" field\nis \\ invalid' });
+
+            expect(getLines(metrics)).toContain('test_total{message="The \\"id\\" field\\nis \\\\ invalid"} 1');
+        });
+
+        it('should return the existing metric when it is registered again', function() {
+            var metrics = getMetrics();
+
+            metrics.counter('test_total', 'Test counter', []).inc();
+            metrics.counter('test_total', 'Test counter', []).inc();
+
+            var lines = getLines(metrics);
+
+            expect(lines).toContain('test_total 2');
+            expect(lines.filter(function(line) {
+                return line === '# TYPE test_total counter';
+            }).length).toBe(1);
+        });
+    });
+
+    describe('Gauges', function() {
+
+        it('should render the values set', function() {
+            var metrics = getMetrics();
+            metrics.gauge('test_gauge', 'Test gauge', ['name']).set({ name: 'a' }, 7);
+
+            var lines = getLines(metrics);
+
+            expect(lines).toContain('# TYPE test_gauge gauge');
+            expect(lines).toContain('test_gauge{name="a"} 7');
+        });
+
+        it('should render the values returned by the collect function', function() {
+            var value = 1;
+            var metrics = getMetrics();
+
+            metrics.gauge('test_up', 'Test gauge', [], function() {
+                return value;
+            });
+
+            expect(getLines(metrics)).toContain('test_up 1');
+
+            value = 0;
+            expect(getLines(metrics)).toContain('test_up 0');
+        });
+    });
+
+    describe('Histograms', function() {
+
+        it('should render cumulative buckets, sum and count', function() {
+            var metrics = getMetrics();
+            var histogram = metrics.histogram('test_seconds', 'Test histogram', ['api'], [1, 0.1]);
+
+            histogram.observe({ api: 'catalog' }, 0.05);
+            histogram.observe({ api: 'catalog' }, 0.5);
+            histogram.observe({ api: 'catalog' }, 2);
+
+            var lines = getLines(metrics);
+
+            expect(lines).toContain('# TYPE test_seconds histogram');
+            expect(lines).toContain('test_seconds_bucket{api="catalog",le="0.1"} 1');
+            expect(lines).toContain('test_seconds_bucket{api="catalog",le="1"} 2');
+            expect(lines).toContain('test_seconds_bucket{api="catalog",le="+Inf"} 3');
+            expect(lines).toContain('test_seconds_sum{api="catalog"} 2.55');
+            expect(lines).toContain('test_seconds_count{api="catalog"} 3');
+        });
+    });
+
+    describe('Requests', function() {
+
+        var testRequest = function(req, expectedApi) {
+            var metrics = getMetrics();
+            var next = jasmine.createSpy('next');
+
+            metrics.middleware(req, { statusCode: 201 }, next);
+
+            expect(next).toHaveBeenCalled();
+
+            finishedCallbacks.forEach(function(callback) {
+                callback();
+            });
+
+            var labels = '{api="' + expectedApi + '",method="POST",status="201"}';
+            var lines = getLines(metrics);
+
+            expect(lines).toContain('http_requests_total' + labels + ' 1');
+            expect(lines).toContain('http_request_duration_seconds_count' + labels + ' 1');
+        };
+
+        it('should label requests to the APIs with the name of the endpoint', function() {
+            testRequest({ method: 'POST', apiUrl: '/catalog/api/productOffering' }, 'catalog');
+        });
+
+        it('should label requests to unknown APIs as unknown', function() {
+            testRequest({ method: 'POST', apiUrl: '/other/api' }, 'unknown');
+        });
+
+        it('should label requests that are not addressed to the APIs as none', function() {
+            testRequest({ method: 'POST' }, 'none');
+        });
+
+        it('should serve the metrics in the Prometheus text format', function() {
+            var metrics = getMetrics();
+            var res = jasmine.createSpyObj('res', ['setHeader', 'status', 'send']);
+            res.status.and.returnValue(res);
+
+            metrics.counter('test_total', 'Test counter', []).inc();
+            metrics.handler({}, res);
+
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.send).toHaveBeenCalledWith(metrics.render());
+        });
+    });
+});
@@ -0,0 +1,289 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Organizations', function() {
+
+    var config;
+
+    var getOrganizations = function() {
+        return proxyquire('../../lib/organizations', {
+            './../config': config,
+            './logger': testUtils.emptyLogger,
+            './utils': {
+                log: function() {}
+            }
+        }).organizations;
+    };
+
+    var getUser = function() {
+        return {
+            id: 'user',
+            displayName: 'User',
+            email: 'user@example.com',
+            roles: [{ name: 'customer' }],
+            appId: 'bae',
+            accessToken: 'token',
+            organizations: [{
+                id: 'sellers',
+                name: 'Sellers',
+                roles: [{ id: '1', name: 'seller' }]
+            }, {
+                id: 'buyers',
+                name: 'Buyers'
+            }]
+        };
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['status', 'json']);
+        res.status.and.returnValue(res);
+        return res;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.organizations = { enabled: true, path: '/organizations', header: 'X-Organization' };
+    });
+
+    describe('Active party', function() {
+
+        var setActiveParty = function(req, callback) {
+            var res = getResponse();
+            var next = jasmine.createSpy('next');
+
+            getOrganizations().setActiveParty(req, res, next);
+
+            callback(res, next);
+        };
+
+        var getRequest = function(headers, session) {
+            return {
+                headers: headers || {},
+                session: session || {},
+                user: getUser()
+            };
+        };
+
+        it('should act as the organization given in the header', function() {
+            var req = getRequest({ 'x-organization': 'sellers' });
+            var user = req.user;
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user).toEqual({
+                    id: 'sellers',
+                    displayName: 'Sellers',
+                    email: 'user@example.com',
+                    roles: [{ id: '1', name: 'seller' }],
+                    organizations: user.organizations,
+                    appId: 'bae',
+                    accessToken: 'token',
+                    partyType: 'organization',
+                    member: user
+                });
+            });
+        });
+
+        it('should act as the organization of the session', function() {
+            var req = getRequest({}, { organization: 'buyers' });
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user.id).toBe('buyers');
+                expect(req.user.roles).toEqual([]);
+                expect(req.user.member.id).toBe('user');
+            });
+        });
+
+        it('should give priority to the organization given in the header', function() {
+            var req = getRequest({ 'x-organization': 'sellers' }, { organization: 'buyers' });
+
+            setActiveParty(req, function() {
+                expect(req.user.id).toBe('sellers');
+            });
+        });
+
+        it('should act as the user when there is no active organization', function() {
+            var req = getRequest();
+            var user = req.user;
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user).toBe(user);
+            });
+        });
+
+        it('should return 403 when the user is not a member of the organization given in the header', function() {
+            var req = getRequest({ 'x-organization': 'others' });
+
+            setActiveParty(req, function(res, next) {
+                expect(next).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'ORGANIZATION_NOT_MEMBER',
+                    message: 'You are not a member of the organization others'
+                }));
+            });
+        });
+
+        it('should discard the organization of the session when the user is no longer a member', function() {
+            var req = getRequest({}, { organization: 'others' });
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user.id).toBe('user');
+                expect(req.session.organization).toBeUndefined();
+            });
+        });
+
+        it('should not change the user when the organizations are disabled', function() {
+            var req = getRequest({ 'x-organization': 'sellers' });
+
+            config.organizations.enabled = false;
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user.id).toBe('user');
+            });
+        });
+
+        it('should not change the user twice', function() {
+            var req = getRequest({ 'x-organization': 'sellers' });
+            var user = req.user;
+
+            setActiveParty(req, function() {
+                req.headers['x-organization'] = 'buyers';
+
+                setActiveParty(req, function(res, next) {
+                    expect(next).toHaveBeenCalled();
+                    expect(req.user.id).toBe('sellers');
+                    expect(req.user.member).toBe(user);
+                });
+            });
+        });
+
+        it('should not change the requests without user', function() {
+            var req = { headers: { 'x-organization': 'sellers' }, session: {} };
+
+            setActiveParty(req, function(res, next) {
+                expect(next).toHaveBeenCalled();
+                expect(req.user).toBeUndefined();
+            });
+        });
+    });
+
+    describe('API', function() {
+
+        var EXPECTED_ORGANIZATIONS = [
+            { id: 'sellers', name: 'Sellers', roles: ['seller'] },
+            { id: 'buyers', name: 'Buyers', roles: [] }
+        ];
+
+        var activate = function(user, session, body, callback) {
+            var req = { headers: {}, session: session, user: user, body: body };
+            var res = getResponse();
+
+            getOrganizations().activate(req, res);
+
+            callback(req, res);
+        };
+
+        it('should list the organizations of the user', function() {
+            var res = getResponse();
+
+            getOrganizations().list({ user: getUser() }, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ active: null, organizations: EXPECTED_ORGANIZATIONS });
+        });
+
+        it('should list the organizations of the user acting as an organization', function() {
+            var organizations = getOrganizations();
+            var user = getUser();
+            var res = getResponse();
+
+            organizations.list({ user: organizations.getActingUser(user, user.organizations[1]) }, res);
+
+            expect(res.json).toHaveBeenCalledWith({ active: 'buyers', organizations: EXPECTED_ORGANIZATIONS });
+        });
+
+        it('should select the active organization of the session', function() {
+            var session = {};
+
+            activate(getUser(), session, JSON.stringify({ organization: 'sellers' }), function(req, res) {
+                expect(session.organization).toBe('sellers');
+                expect(req.user.id).toBe('sellers');
+                expect(res.json).toHaveBeenCalledWith({ active: 'sellers', organizations: EXPECTED_ORGANIZATIONS });
+            });
+        });
+
+        it('should select other organization while acting as an organization', function() {
+            var organizations = getOrganizations();
+            var user = getUser();
+            var session = { organization: 'sellers' };
+            var actingUser = organizations.getActingUser(user, user.organizations[0]);
+
+            activate(actingUser, session, new Buffer(JSON.stringify({ organization: 'buyers' })), function(req) {
+                expect(session.organization).toBe('buyers');
+                expect(req.user.id).toBe('buyers');
+                expect(req.user.member).toBe(user);
+            });
+        });
+
+        it('should act as the user again', function() {
+            var organizations = getOrganizations();
+            var user = getUser();
+            var session = { organization: 'sellers' };
+
+            activate(organizations.getActingUser(user, user.organizations[0]), session,
+                JSON.stringify({ organization: null }), function(req, res) {
+
+                    expect(session.organization).toBeUndefined();
+                    expect(req.user).toBe(user);
+                    expect(res.json).toHaveBeenCalledWith({ active: null, organizations: EXPECTED_ORGANIZATIONS });
+                });
+        });
+
+        var testError = function(body, status, code) {
+            var session = {};
+
+            activate(getUser(), session, body, function(req, res) {
+                expect(session.organization).toBeUndefined();
+                expect(res.status).toHaveBeenCalledWith(status);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: code }));
+            });
+        };
+
+        it('should not select organizations the user is not a member of', function() {
+            testError(JSON.stringify({ organization: 'others' }), 403, 'ORGANIZATION_NOT_MEMBER');
+        });
+
+        it('should return 400 when the body is not a valid JSON', function() {
+            testError('invalid', 400, 'INVALID_JSON');
+        });
+
+        it('should return 400 when the organization is not valid', function() {
+            testError(JSON.stringify({ organization: 7 }), 400, 'ORGANIZATION_INVALID');
+            testError(JSON.stringify({}), 400, 'ORGANIZATION_INVALID');
+        });
+    });
+});
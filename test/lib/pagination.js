@@ -0,0 +1,250 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var base64url = require('base64url'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils'),
+    url = require('url');
+
+describe('Pagination', function() {
+
+    var LIST_PATH = '/ordering/productOrder';
+
+    var config;
+
+    var getPagination = function() {
+        return proxyquire('../../lib/pagination', {
+            './../config': config
+        }).pagination;
+    };
+
+    var getRequest = function(query) {
+        return { apiUrl: LIST_PATH + (query ? '?' + query : '') };
+    };
+
+    var cursor = function(upstreamOffset, skip, before) {
+        return base64url(JSON.stringify([upstreamOffset, skip, before]));
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.proxyPrefix = '/proxy';
+        config.pagination = { batchSize: 4, maxLimit: 50, maxScannedItems: 100 };
+    });
+
+    describe('Page', function() {
+
+        it('should not paginate requests without pagination parameters', function() {
+            expect(getPagination().getPage(getRequest('state=Completed'))).toBe(null);
+        });
+
+        it('should read the offset and the limit of the page', function() {
+            expect(getPagination().getPage(getRequest('offset=10&limit=5'))).toEqual({
+                limit: 5,
+                offset: 10,
+                position: { upstreamOffset: 0, skip: 10, before: 0 }
+            });
+        });
+
+        it('should accept size as the limit of the page', function() {
+            expect(getPagination().getPage(getRequest('size=5')).limit).toBe(5);
+        });
+
+        it('should use the maximum limit when the limit is not given', function() {
+            expect(getPagination().getPage(getRequest('offset=0')).limit).toBe(50);
+        });
+
+        it('should read the position of the cursors', function() {
+            expect(getPagination().getPage(getRequest('cursor=' + cursor(8, 1, 5) + '&limit=5'))).toEqual({
+                limit: 5,
+                offset: null,
+                position: { upstreamOffset: 8, skip: 1, before: 5 }
+            });
+        });
+
+        var testInvalidPage = function(query, message) {
+            expect(function() {
+                getPagination().getPage(getRequest(query));
+            }).toThrowError(message);
+        };
+
+        it('should not accept invalid offsets', function() {
+            testInvalidPage('offset=-1', 'Invalid offset: it must be an integer between 0 and Infinity');
+        });
+
+        it('should not accept limits greater than the maximum', function() {
+            testInvalidPage('limit=51', 'Invalid limit: it must be an integer between 1 and 50');
+        });
+
+        it('should not accept invalid cursors', function() {
+            testInvalidPage('cursor=invalid', 'Invalid cursor');
+            testInvalidPage('cursor=' + cursor(-1, 0, 0), 'Invalid cursor');
+        });
+
+        it('should not accept cursors with offset', function() {
+            testInvalidPage('offset=0&cursor=' + cursor(0, 0, 0), 'Invalid cursor: offset cannot be used with a cursor');
+        });
+    });
+
+    it('should request batches without the pagination parameters of the client', function() {
+        expect(getPagination().getBatchUrl(LIST_PATH + '?state=Completed&limit=5&cursor=abc', 8, 4))
+            .toBe(LIST_PATH + '?state=Completed&offset=8&size=4');
+    });
+
+    describe('Collect', function() {
+
+        // Items with even numbers are the only ones that can be returned
+        var createCollection = function(length) {
+            var collection = [];
+
+            for (var i = 0; i < length; i++) {
+                collection.push(i);
+            }
+
+            return collection;
+        };
+
+        var collect = function(collection, page, callback) {
+            var fetchBatch = jasmine.createSpy('fetchBatch').and.callFake(function(offset, size, batchCallback) {
+                batchCallback(null, collection.slice(offset, offset + size));
+            });
+
+            var filterBatch = function(items, filterCallback) {
+                filterCallback(null, items.filter(function(item) {
+                    return item % 2 === 0;
+                }));
+            };
+
+            getPagination().collect(page, fetchBatch, filterBatch, function(err, result) {
+                callback(err, result, fetchBatch);
+            });
+        };
+
+        var getPage = function(query) {
+            return getPagination().getPage(getRequest(query));
+        };
+
+        it('should fill the page with the items of several batches', function(done) {
+            collect(createCollection(20), getPage('offset=1&limit=3'), function(err, result, fetchBatch) {
+                expect(err).toBe(null);
+                expect(result.items).toEqual([2, 4, 6]);
+                expect(result.total).toBe(10);
+                expect(result.next).toEqual({ upstreamOffset: 4, skip: 2, before: 2 });
+                expect(fetchBatch.calls.allArgs().map(function(args) {
+                    return args[0];
+                })).toEqual([0, 4, 8, 12, 16, 20]);
+                done();
+            });
+        });
+
+        it('should continue from the position of the cursor', function(done) {
+            collect(createCollection(20), getPage('limit=3&cursor=' + cursor(4, 2, 2)), function(err, result) {
+                expect(result.items).toEqual([8, 10, 12]);
+                expect(result.total).toBe(10);
+                expect(result.next).toEqual({ upstreamOffset: 12, skip: 1, before: 6 });
+                done();
+            });
+        });
+
+        it('should not include the next page when there are no more items', function(done) {
+            collect(createCollection(11), getPage('offset=3&limit=3'), function(err, result) {
+                expect(result.items).toEqual([6, 8, 10]);
+                expect(result.total).toBe(6);
+                expect(result.next).toBe(null);
+                done();
+            });
+        });
+
+        it('should return empty pages when the offset exceeds the total', function(done) {
+            collect(createCollection(8), getPage('offset=10&limit=3'), function(err, result) {
+                expect(result.items).toEqual([]);
+                expect(result.total).toBe(4);
+                expect(result.next).toBe(null);
+                done();
+            });
+        });
+
+        it('should not return the total when the maximum number of items has been scanned', function(done) {
+            config.pagination.maxScannedItems = 8;
+
+            collect(createCollection(20), getPage('offset=0&limit=6'), function(err, result, fetchBatch) {
+                expect(result.items).toEqual([0, 2, 4, 6]);
+                expect(result.total).toBe(null);
+                expect(result.next).toEqual({ upstreamOffset: 8, skip: 0, before: 4 });
+                expect(fetchBatch.calls.count()).toBe(2);
+                done();
+            });
+        });
+
+        it('should return the errors of the batches', function(done) {
+            var fetchBatch = function(offset, size, callback) {
+                callback({ status: 504 });
+            };
+
+            getPagination().collect(getPage('offset=0'), fetchBatch, function() {}, function(err) {
+                expect(err).toEqual({ status: 504 });
+                done();
+            });
+        });
+    });
+
+    describe('Headers', function() {
+
+        var parseLinks = function(header) {
+            var links = {};
+
+            header.split(', ').forEach(function(link) {
+                var match = /^<(.*)>; rel="(\w+)"$/.exec(link);
+                links[match[2]] = url.parse(match[1]);
+            });
+
+            return links;
+        };
+
+        it('should include the total and the links to the first, previous and next pages', function() {
+            var pagination = getPagination();
+            var req = getRequest('state=Completed&offset=4&limit=3');
+
+            var headers = pagination.getHeaders(req, pagination.getPage(req), {
+                items: [],
+                total: 10,
+                next: { upstreamOffset: 8, skip: 1, before: 5 }
+            });
+
+            var links = parseLinks(headers['Link']);
+
+            expect(headers['X-Total-Count']).toBe('10');
+            expect(links.first.pathname).toBe('/proxy' + LIST_PATH);
+            expect(links.first.query).toBe('state=Completed&offset=0&limit=3');
+            expect(links.prev.query).toBe('state=Completed&offset=1&limit=3');
+            expect(links.next.query).toBe('state=Completed&cursor=' + cursor(8, 1, 5) + '&limit=3');
+        });
+
+        it('should not include the total when it is unknown', function() {
+            var pagination = getPagination();
+            var req = getRequest('offset=0&limit=3');
+
+            var headers = pagination.getHeaders(req, pagination.getPage(req), { items: [], total: null, next: null });
+            var links = parseLinks(headers['Link']);
+
+            expect(headers['X-Total-Count']).toBeUndefined();
+            expect(Object.keys(links)).toEqual(['first']);
+        });
+    });
+});
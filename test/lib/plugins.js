@@ -0,0 +1,343 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var path = require('path'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Plugins', function() {
+
+    var config;
+    var upstream;
+    var log;
+
+    var getPlugins = function(modules) {
+
+        var stubs = {
+            './../config': config,
+            './logger': testUtils.emptyLogger,
+            './upstream': { upstream: upstream },
+            './utils': {
+                log: log,
+                updateBody: function(req, body) {
+                    req.body = JSON.stringify(body);
+                },
+                hasRole: function(user, role) {
+                    return user.roles.indexOf(role) >= 0;
+                }
+            }
+        };
+
+        for (var moduleName in modules) {
+            stubs[moduleName] = modules[moduleName];
+            stubs[moduleName]['@noCallThru'] = true;
+        }
+
+        return proxyquire('../../lib/plugins', stubs).plugins;
+    };
+
+    var getRequest = function(method, apiUrl, body) {
+        return {
+            id: 'request-id',
+            method: method,
+            apiUrl: apiUrl,
+            headers: {},
+            user: { id: 'user', roles: ['seller'] },
+            body: body
+        };
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        upstream = jasmine.createSpyObj('upstream', ['request']);
+        log = jasmine.createSpy('log');
+    });
+
+    describe('Load', function() {
+
+        it('should load the plugins given in the configuration with their options', function() {
+            var plugin = jasmine.createSpy('plugin');
+            var absolutePath = path.resolve(__dirname, '..', '..', './plugins/marketplace');
+
+            config.plugins = ['./plugins/marketplace', { module: 'quota-plugin', options: { max: 10 } }];
+
+            var modules = {};
+            modules[absolutePath] = plugin;
+            modules['quota-plugin'] = plugin;
+
+            getPlugins(modules).load();
+
+            expect(plugin.calls.count()).toBe(2);
+            expect(plugin.calls.argsFor(0)[0].name).toBe('./plugins/marketplace');
+            expect(plugin.calls.argsFor(0)[1]).toEqual({});
+            expect(plugin.calls.argsFor(1)[0].name).toBe('quota-plugin');
+            expect(plugin.calls.argsFor(1)[0].options).toEqual({ max: 10 });
+            expect(plugin.calls.argsFor(1)[1]).toEqual({ max: 10 });
+        });
+
+        it('should fail when the plugin does not export a function', function() {
+            expect(function() {
+                getPlugins().register('invalid', {});
+            }).toThrowError('The plugin invalid does not export a function');
+        });
+
+        it('should fail when a validator is added to an unknown endpoint', function() {
+            expect(function() {
+                getPlugins().register('test', function(proxy) {
+                    proxy.addPreValidator('unknown', 'GET', '.*', function() {});
+                });
+            }).toThrowError('Unknown endpoint: unknown');
+        });
+    });
+
+    describe('Validators', function() {
+
+        var OFFERINGS_URL = '/catalog/api/catalogManagement/v2/productOffering';
+
+        it('should run the validators that match the method and the path of the request', function(done) {
+            var plugins = getPlugins();
+            var called = [];
+
+            var validator = function(name) {
+                return function(context, callback) {
+                    called.push(name);
+                    callback(null);
+                };
+            };
+
+            plugins.register('test', function(proxy) {
+                proxy.addPreValidator('catalog', 'POST', /productOffering\/?$/, validator('offerings'));
+                proxy.addPreValidator('catalog', '*', 'productOffering', validator('any'));
+                proxy.addPreValidator('catalog', 'GET', /productOffering/, validator('get'));
+                proxy.addPreValidator('ordering', 'POST', /productOffering/, validator('ordering'));
+                proxy.addPreValidator('catalog', 'POST', /category/, validator('category'));
+            });
+
+            var req = getRequest('POST', OFFERINGS_URL + '?fields=id', '{}');
+
+            expect(plugins.requiresRequestBody(req)).toBe(true);
+            expect(plugins.requiresRequestBody(getRequest('POST', '/catalog/api/other'))).toBe(false);
+
+            plugins.preValidate(req, function(err) {
+                expect(err).toBe(null);
+                expect(called).toEqual(['offerings', 'any']);
+                done();
+            });
+        });
+
+        it('should stop at the first validator that rejects the request', function(done) {
+            var plugins = getPlugins();
+            var second = jasmine.createSpy('second');
+            var error = { status: 403, message: 'Offerings cannot be free' };
+
+            plugins.register('test', function(proxy) {
+                proxy.addPreValidator('catalog', 'POST', 'productOffering', function(context, callback) {
+                    callback(error);
+                });
+                proxy.addPreValidator('catalog', 'POST', 'productOffering', second);
+            });
+
+            plugins.preValidate(getRequest('POST', OFFERINGS_URL, '{}'), function(err) {
+                expect(err).toBe(error);
+                expect(second).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('should give the validators the context of the request', function(done) {
+            var plugins = getPlugins();
+            var req = getRequest('POST', OFFERINGS_URL + '?fields=id', '{"name":"offering"}');
+
+            plugins.register('test', function(proxy) {
+                proxy.addPreValidator('catalog', 'POST', 'productOffering', function(context, callback) {
+
+                    expect(context.id).toBe('request-id');
+                    expect(context.method).toBe('POST');
+                    expect(context.apiUrl).toBe(OFFERINGS_URL + '?fields=id');
+                    expect(context.path).toBe(OFFERINGS_URL);
+                    expect(context.query.fields).toBe('id');
+                    expect(context.user).toBe(req.user);
+                    expect(context.body).toEqual({ name: 'offering' });
+                    expect(context.hasRole('seller')).toBe(true);
+                    expect(context.hasRole('admin')).toBe(false);
+
+                    context.setBody({ name: 'changed' });
+                    expect(context.body).toEqual({ name: 'changed' });
+
+                    context.logger.warn('Suspicious offering');
+                    expect(log).toHaveBeenCalledWith(jasmine.any(Object), 'warn', req, '[test] Suspicious offering');
+
+                    callback(null);
+                });
+            });
+
+            plugins.preValidate(req, function() {
+                expect(req.body).toBe('{"name":"changed"}');
+                done();
+            });
+        });
+
+        it('should not parse bodies that are not JSON', function(done) {
+            var plugins = getPlugins();
+
+            plugins.register('test', function(proxy) {
+                proxy.addPreValidator('catalog', 'POST', 'productOffering', function(context, callback) {
+                    expect(context.body).toBe(null);
+                    callback(null);
+                });
+            });
+
+            plugins.preValidate(getRequest('POST', OFFERINGS_URL, 'not json'), done);
+        });
+
+        it('should make upstream requests on behalf of the request', function(done) {
+            var plugins = getPlugins();
+            var req = getRequest('POST', OFFERINGS_URL, '{}');
+
+            upstream.request.and.callFake(function(endpointName, options, callback) {
+                callback(null, { statusCode: 200 }, '[]');
+            });
+
+            plugins.register('test', function(proxy) {
+                proxy.addPreValidator('catalog', 'POST', 'productOffering', function(context, callback) {
+                    context.upstream.request('inventory', '/inventory/api/product', function(err, response, body) {
+                        expect(body).toBe('[]');
+                        callback(err);
+                    });
+                });
+            });
+
+            plugins.preValidate(req, function() {
+                expect(upstream.request).toHaveBeenCalledWith('inventory', {
+                    url: '/inventory/api/product',
+                    context: req
+                }, jasmine.any(Function));
+                done();
+            });
+        });
+
+        it('should run the post validators with the result of the request', function(done) {
+            var plugins = getPlugins();
+            var result = getRequest('GET', OFFERINGS_URL, '[{"id":"1"},{"id":"2"}]');
+            result.status = 200;
+
+            plugins.register('test', function(proxy) {
+                proxy.addPostValidator('catalog', 'GET', 'productOffering', function(context, callback) {
+                    expect(context.status).toBe(200);
+                    context.setBody(context.body.slice(1));
+                    callback(null);
+                });
+            });
+
+            expect(plugins.requiresPostValidation(result)).toBe(true);
+            expect(plugins.requiresPostValidation(getRequest('POST', OFFERINGS_URL))).toBe(false);
+
+            plugins.postValidate(result, function(err) {
+                expect(err).toBe(null);
+                expect(result.body).toBe('[{"id":"2"}]');
+                done();
+            });
+        });
+    });
+
+    describe('Controllers', function() {
+
+        var getController = function(definition) {
+            var plugins = getPlugins();
+
+            config.endpoints.marketplace = { path: 'marketplace', port: 1234 };
+
+            plugins.register('test', function(proxy) {
+                proxy.registerController('marketplace', definition);
+            });
+
+            return plugins.getController('marketplace');
+        };
+
+        it('should not define controllers for the APIs that plugins do not register', function() {
+            expect(getPlugins().getController('marketplace')).toBeUndefined();
+        });
+
+        it('should fail when the controller of an API is registered twice', function() {
+            var plugins = getPlugins();
+
+            expect(function() {
+                plugins.register('test', function(proxy) {
+                    proxy.registerController('catalog', {});
+                    proxy.registerController('catalog', {});
+                });
+            }).toThrowError('The controller of the catalog API is already defined');
+        });
+
+        it('should run the validators of the method of the request', function(done) {
+            var validator = jasmine.createSpy('validator').and.callFake(function(context, callback) {
+                callback(context.user ? null : { status: 401, message: 'Not authenticated' });
+            });
+
+            var controller = getController({ validators: { GET: [validator] } });
+            var req = getRequest('GET', '/marketplace/api/item');
+
+            controller.checkPermissions(req, function(err) {
+                expect(err).toBe(null);
+                expect(validator).toHaveBeenCalled();
+
+                delete req.user;
+
+                controller.checkPermissions(req, function(err) {
+                    expect(err).toEqual({ status: 401, message: 'Not authenticated' });
+                    done();
+                });
+            });
+        });
+
+        it('should reject the methods without validators', function(done) {
+            var controller = getController({ validators: { GET: [] } });
+
+            controller.checkPermissions(getRequest('DELETE', '/marketplace/api/item'), function(err) {
+                expect(err).toEqual({ status: 405, code: 'API_METHOD_NOT_ALLOWED', message: 'Method not allowed' });
+                done();
+            });
+        });
+
+        it('should require the body unless the controller declares it does not', function() {
+            var req = getRequest('POST', '/marketplace/api/item');
+
+            expect(getController({}).requiresRequestBody(req)).toBe(true);
+            expect(getController({ requiresRequestBody: false }).requiresRequestBody(req)).toBe(false);
+        });
+
+        it('should run the post validators of the method of the request', function(done) {
+            var postValidator = jasmine.createSpy('postValidator').and.callFake(function(context, callback) {
+                callback(null);
+            });
+
+            var controller = getController({ postValidators: { GET: [postValidator] } });
+            var req = getRequest('GET', '/marketplace/api/item', '[]');
+
+            expect(controller.requiresPostValidation(req)).toBe(true);
+            expect(controller.requiresPostValidation(getRequest('POST', '/marketplace/api/item'))).toBe(false);
+
+            controller.executePostValidation(req, function(err) {
+                expect(err).toBe(null);
+                expect(postValidator).toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+});
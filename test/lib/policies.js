@@ -0,0 +1,503 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var path = require('path'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Policies', function() {
+
+    var config;
+    var upstream;
+
+    var getPolicies = function(fs) {
+        return proxyquire('../../lib/policies', {
+            'fs': fs || {},
+            './../config': config,
+            './logger': testUtils.emptyLogger,
+            './upstream': { upstream: upstream },
+            './tmfUtils': {
+                hasPartyRole: function(req, parties, role) {
+                    return !!req.user && parties.some(function(party) {
+                        return party.id === req.user.id && party.role.toLowerCase() === role.toLowerCase();
+                    });
+                }
+            }
+        }).policies;
+    };
+
+    var getRequest = function(method, apiUrl, roles, body) {
+        return {
+            method: method,
+            apiUrl: apiUrl,
+            headers: {},
+            user: roles ? {
+                id: 'user',
+                roles: roles.map(function(role) {
+                    return { name: role };
+                })
+            } : null,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        };
+    };
+
+    var decide = function(rules, req, resource) {
+        var policies = getPolicies();
+        return policies.decide(policies.validateRules(rules, 'test'), req, resource);
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        upstream = jasmine.createSpyObj('upstream', ['request', 'getEndpointName']);
+        upstream.getEndpointName.and.callFake(function(api) {
+            return api;
+        });
+    });
+
+    describe('Rules', function() {
+
+        var testInvalidRules = function(rules, message) {
+            expect(function() {
+                getPolicies().validateRules(rules, 'test');
+            }).toThrowError(message);
+        };
+
+        it('should not accept policies which are not lists of rules', function() {
+            testInvalidRules({ effect: 'deny' }, 'The policy test must contain a list of rules');
+        });
+
+        it('should not accept rules without a valid effect', function() {
+            testInvalidRules([{ id: 'rule', effect: 'reject' }], 'The effect of the rule rule must be one of allow, deny');
+        });
+
+        it('should not accept rules of unknown endpoints', function() {
+            testInvalidRules([{ id: 'rule', api: 'marketplace', effect: 'deny' }],
+                'Unknown endpoint in rule rule: marketplace');
+        });
+
+        it('should not accept unknown conditions', function() {
+            testInvalidRules([{ effect: 'deny', condition: { any: [{ owner: true }] } }],
+                'Invalid condition in rule test#0: unknown key owner');
+        });
+
+        it('should not accept field conditions without operator', function() {
+            testInvalidRules([{ id: 'rule', effect: 'deny', condition: { field: 'state' } }],
+                'Invalid condition in rule rule: field conditions must include one of exists, equals, in, matches');
+        });
+
+        it('should not accept conditions on unknown sources', function() {
+            testInvalidRules([{ id: 'rule', effect: 'deny', condition: { field: 'state', exists: true, source: 'query' } }],
+                'Invalid condition in rule rule: the source must be one of body, resource');
+        });
+
+        it('should not accept unknown error codes', function() {
+            testInvalidRules([{ id: 'rule', effect: 'deny', code: 'UNKNOWN' }], 'Unknown error code in rule rule: UNKNOWN');
+        });
+
+        it('should read the rules of the policy files in order', function() {
+            var rules = getPolicies().readRules(['./policies/default.json', './policies/example.json']);
+
+            expect(rules[0].id).toBe('charging-refund-private');
+            expect(rules[0].status).toBe(403);
+            expect(rules[0].path).toEqual(jasmine.any(RegExp));
+            expect(rules[rules.length - 2].id).toBe('catalog-launch-admin');
+            expect(rules[rules.length - 1].id).toBe('billing-create-customer');
+        });
+
+        it('should fail when a policy file cannot be read', function() {
+            expect(function() {
+                getPolicies().readRules(['./policies/missing.json']);
+            }).toThrowError(/^The policy \.\/policies\/missing\.json cannot be read/);
+        });
+    });
+
+    describe('Decisions', function() {
+
+        var rules = [{
+            id: 'catalog-create-seller',
+            api: 'catalog',
+            methods: ['post'],
+            path: '/productOffering/?$',
+            effect: 'deny',
+            condition: { not: { role: 'seller' } },
+            code: 'CATALOG_CREATION_FORBIDDEN',
+            message: 'You are not authorized to create resources'
+        }, {
+            id: 'catalog-delete',
+            api: 'catalog',
+            methods: ['DELETE'],
+            effect: 'deny',
+            status: 405,
+            message: 'The HTTP method {method} is not allowed'
+        }];
+
+        it('should deny requests when the condition of a deny rule holds', function() {
+            var decision = decide(rules, getRequest('POST', '/catalog/api/productOffering', ['customer'], {}));
+
+            expect(decision).toEqual({
+                allowed: false,
+                effect: 'deny',
+                rule: 'catalog-create-seller',
+                status: 403,
+                code: 'CATALOG_CREATION_FORBIDDEN',
+                message: 'You are not authorized to create resources',
+                explanation: [{
+                    rule: 'catalog-create-seller',
+                    effect: 'deny',
+                    result: true,
+                    reason: 'the user does not have the role seller'
+                }]
+            });
+        });
+
+        it('should allow requests when no rule applies', function() {
+            var decision = decide(rules, getRequest('POST', '/catalog/api/productOffering', ['seller'], {}));
+
+            expect(decision.allowed).toBe(true);
+            expect(decision.rule).toBe(null);
+            expect(decision.explanation[0].result).toBe(false);
+        });
+
+        it('should deny requests when no rule applies and the default effect is deny', function() {
+            config.policies = { defaultEffect: 'deny' };
+
+            var decision = decide(rules, getRequest('GET', '/catalog/api/productOffering', ['seller']));
+
+            expect(decision.allowed).toBe(false);
+            expect(decision.status).toBe(403);
+            expect(decision.code).toBe('ACCESS_DENIED');
+            expect(decision.explanation).toEqual([]);
+        });
+
+        it('should only evaluate the rules of the API, method and path of the request', function() {
+            expect(decide(rules, getRequest('POST', '/ordering/api/productOffering', ['customer'], {})).allowed).toBe(true);
+            expect(decide(rules, getRequest('GET', '/catalog/api/productOffering', ['customer'])).allowed).toBe(true);
+            expect(decide(rules, getRequest('POST', '/catalog/api/catalog', ['customer'], {})).allowed).toBe(true);
+        });
+
+        it('should include the method of the request in the messages', function() {
+            var decision = decide(rules, getRequest('DELETE', '/catalog/api/productOffering/1', ['seller']));
+
+            expect(decision.status).toBe(405);
+            expect(decision.message).toBe('The HTTP method DELETE is not allowed');
+            expect(decision.explanation[0].reason).toBe('the rule has no condition');
+        });
+
+        it('should stop evaluating rules when an allow rule applies', function() {
+            var allowRules = [{ id: 'admins', effect: 'allow', condition: { role: 'admin' } }].concat(rules);
+            var decision = decide(allowRules, getRequest('POST', '/catalog/api/productOffering', ['provider'], {}));
+
+            expect(decision.allowed).toBe(true);
+            expect(decision.rule).toBe('admins');
+            expect(decision.explanation.length).toBe(1);
+        });
+    });
+
+    describe('Conditions', function() {
+
+        var testCondition = function(condition, req, resource, expectedResult, expectedReason) {
+            var decision = decide([{ id: 'rule', effect: 'deny', condition: condition }], req, resource);
+
+            expect(decision.explanation[0].result).toBe(expectedResult);
+            expect(decision.explanation[0].reason).toBe(expectedReason);
+        };
+
+        it('should check whether the user is authenticated', function() {
+            testCondition({ authenticated: false }, getRequest('GET', '/catalog/api'), null,
+                true, 'the user is not authenticated');
+        });
+
+        it('should check the related parties of the body', function() {
+            var body = { relatedParty: [{ id: 'user', role: 'Owner' }] };
+
+            testCondition({ partyRole: 'owner' }, getRequest('POST', '/catalog/api', ['seller'], body), null,
+                true, 'the user is owner of the body');
+        });
+
+        it('should check the related party of the resource when it is not a list', function() {
+            var resource = { relatedParty: { id: 'other', role: 'owner' } };
+
+            testCondition({ partyRole: 'owner', source: 'resource' }, getRequest('PATCH', '/customer/api/1', ['seller'], {}),
+                resource, false, 'the user is not owner of the resource');
+        });
+
+        it('should check every value of the fields of lists', function() {
+            var resource = { orderItem: [{ state: 'Acknowledged' }, { state: 'acknowledged' }] };
+
+            testCondition({ field: 'orderItem[].state', source: 'resource', equals: 'Acknowledged' },
+                getRequest('PATCH', '/ordering/api/1', ['customer'], {}), resource,
+                true, 'the field orderItem[].state of the resource equals "Acknowledged"');
+        });
+
+        it('should check whether fields are in a list of values', function() {
+            testCondition({ field: 'lifecycleStatus', in: ['Active', 'Launched'] },
+                getRequest('PATCH', '/catalog/api/1', ['seller'], { lifecycleStatus: 'Retired' }), null,
+                false, 'the field lifecycleStatus of the body does not meet: is in ["Active","Launched"]');
+        });
+
+        it('should check whether fields match a pattern', function() {
+            testCondition({ field: 'name', matches: '^test' },
+                getRequest('POST', '/catalog/api', ['seller'], { name: 'Test offering' }), null,
+                true, 'the field name of the body matches ^test');
+        });
+
+        it('should check the settings of the proxy', function() {
+            config.customerRoleRequired = true;
+
+            testCondition({ all: [{ config: 'customerRoleRequired' }, { not: { role: 'customer' } }] },
+                getRequest('POST', '/ordering/api', ['seller'], {}), null,
+                true, 'the setting customerRoleRequired is enabled and the user does not have the role customer');
+        });
+
+        it('should explain combined conditions with the condition that decides them', function() {
+            testCondition({ any: [{ role: 'admin' }, { role: 'seller' }] },
+                getRequest('POST', '/catalog/api', ['seller'], {}), null, true, 'the user has the role seller');
+
+            testCondition({ all: [{ role: 'admin' }, { role: 'seller' }] },
+                getRequest('POST', '/catalog/api', ['seller'], {}), null, false, 'the user does not have the role provider');
+        });
+
+        it('should not apply rules whose conditions cannot be evaluated', function() {
+            var req = getRequest('POST', '/catalog/api', ['customer']);
+            req.body = 'invalid';
+
+            var decision = decide([{ id: 'rule', effect: 'deny', condition: {
+                all: [{ not: { role: 'seller' } }, { field: 'name', exists: true }]
+            } }], req);
+
+            expect(decision.allowed).toBe(true);
+            expect(decision.explanation[0].result).toBe(null);
+            expect(decision.explanation[0].reason).toBe('the body cannot be read');
+        });
+    });
+
+    describe('Evaluation', function() {
+
+        var rules = [{
+            id: 'cancel',
+            api: 'ordering',
+            methods: ['PATCH'],
+            effect: 'deny',
+            condition: {
+                not: { field: 'orderItem[].state', source: 'resource', equals: 'Acknowledged' }
+            },
+            message: 'Only Acknowledged orders can be cancelled'
+        }];
+
+        var getEvaluatingPolicies = function(policyRules) {
+
+            var policies = getPolicies({
+                readFileSync: function(file) {
+                    expect(file).toBe(path.resolve(__dirname, '..', '..', 'policies', 'test.json'));
+                    return JSON.stringify(policyRules);
+                }
+            });
+
+            config.policies = { enabled: true, files: ['./policies/test.json'] };
+            policies.load();
+
+            return policies;
+        };
+
+        it('should allow every request when policies are disabled', function(done) {
+            var policies = getPolicies();
+
+            policies.evaluate(getRequest('DELETE', '/ordering/api/1'), function(decision) {
+                expect(decision.allowed).toBe(true);
+                expect(upstream.request).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('should retrieve the resource when any rule checks it', function(done) {
+            var req = getRequest('PATCH', '/ordering/api/productOrder/1?fields=id', ['customer'], { state: 'Cancelled' });
+
+            upstream.request.and.callFake(function(endpoint, options, callback) {
+                callback(null, { statusCode: 200 }, JSON.stringify({ orderItem: [{ state: 'InProgress' }] }));
+            });
+
+            getEvaluatingPolicies(rules).evaluate(req, function(decision) {
+                expect(upstream.request).toHaveBeenCalledWith('ordering', {
+                    url: '/ordering/api/productOrder/1',
+                    context: req
+                }, jasmine.any(Function));
+
+                expect(decision.allowed).toBe(false);
+                expect(decision.message).toBe('Only Acknowledged orders can be cancelled');
+                done();
+            });
+        });
+
+        it('should not apply the rules on the resource when it cannot be retrieved', function(done) {
+            upstream.request.and.callFake(function(endpoint, options, callback) {
+                callback(null, { statusCode: 404 }, '{}');
+            });
+
+            getEvaluatingPolicies(rules).evaluate(getRequest('PATCH', '/ordering/api/1', ['customer'], {}), function(decision) {
+                expect(decision.allowed).toBe(true);
+                expect(decision.explanation[0].reason).toBe('the resource cannot be read');
+                done();
+            });
+        });
+
+        it('should not retrieve the resource when no rule checks it', function(done) {
+            var policies = getEvaluatingPolicies([{ id: 'auth', effect: 'deny', condition: { authenticated: false } }]);
+
+            policies.evaluate(getRequest('PATCH', '/ordering/api/1'), function(decision) {
+                expect(upstream.request).not.toHaveBeenCalled();
+                expect(decision.allowed).toBe(false);
+                expect(policies.describe(decision)).toBe('deny by rule auth (the user is not authenticated)');
+                done();
+            });
+        });
+
+        it('should require the body of the requests when any rule checks it', function() {
+            var policies = getEvaluatingPolicies([{ id: 'state', api: 'ordering', effect: 'deny',
+                condition: { field: 'state', exists: true } }].concat(rules));
+
+            expect(policies.requiresRequestBody(getRequest('PATCH', '/ordering/api/1'))).toBe(true);
+            expect(policies.requiresRequestBody(getRequest('PATCH', '/catalog/api/1'))).toBe(false);
+        });
+    });
+
+    describe('Default policies', function() {
+
+        describe('Default', function() {
+
+            var defaultRules;
+
+            var getController = function(api) {
+                return proxyquire('../../controllers/tmf-apis/' + api, {
+                    './../../config': config
+                })[api];
+            };
+
+            // The default policy must take the same decisions as the validators of the APIs
+            var expectSameDecision = function(api, req, done) {
+                var decision = getPolicies().decide(defaultRules, req);
+
+                getController(api).checkPermissions(req, function(err) {
+                    expect(decision.allowed).toBe(!err);
+
+                    if (err) {
+                        expect({ status: decision.status, code: decision.code, message: decision.message })
+                            .toEqual({ status: err.status, code: err.code, message: err.message });
+                    }
+
+                    done();
+                });
+            };
+
+            beforeEach(function() {
+                defaultRules = getPolicies().readRules(['./policies/default.json']);
+            });
+
+            it('should keep the refunds of the charging API private', function(done) {
+                expectSameDecision('charging', getRequest('POST', '/charging/api/orderManagement/orders/refund',
+                    ['seller'], {}), done);
+            });
+
+            it('should allow the rest of the charging API', function(done) {
+                expectSameDecision('charging', getRequest('POST', '/charging/api/assetManagement/assets/uploadJob',
+                    ['seller'], {}), done);
+            });
+
+            it('should not allow anonymous users to modify the catalog', function(done) {
+                expectSameDecision('catalog', getRequest('POST', '/catalog/api/catalogManagement/v2/catalog',
+                    null, {}), done);
+            });
+
+            it('should only allow admins to create categories', function(done) {
+                expectSameDecision('catalog', getRequest('POST', '/catalog/api/catalogManagement/v2/category',
+                    ['seller'], {}), done);
+            });
+
+            it('should only allow sellers to create catalogs', function(done) {
+                expectSameDecision('catalog', getRequest('POST', '/catalog/api/catalogManagement/v2/catalog',
+                    ['customer'], {}), done);
+            });
+
+            it('should not allow to replace or delete orders', function(done) {
+                var url = '/ordering/api/productOrdering/v2/productOrder/1';
+
+                expectSameDecision('ordering', getRequest('PUT', url, ['customer'], {}), function() {
+                    expectSameDecision('ordering', getRequest('DELETE', url, ['customer']), done);
+                });
+            });
+
+            it('should not allow anonymous users to access orders', function(done) {
+                expectSameDecision('ordering', getRequest('GET', '/ordering/api/productOrdering/v2/productOrder',
+                    null), done);
+            });
+
+            it('should not allow to order products without the customer role when it is required', function(done) {
+                var req = getRequest('POST', '/ordering/api/productOrdering/v2/productOrder', ['seller'], {
+                    relatedParty: [{ id: 'user', role: 'Customer' }]
+                });
+
+                config.customerRoleRequired = true;
+                expectSameDecision('ordering', req, done);
+            });
+
+            it('should not allow to modify the inventory', function(done) {
+                var url = '/inventory/api/productInventory/v2/product';
+
+                expectSameDecision('inventory', getRequest('POST', url, ['customer'], {}), function() {
+                    expectSameDecision('inventory', getRequest('PATCH', url + '/1', ['customer'], {}), done);
+                });
+            });
+
+            it('should not allow anonymous users to access the inventory', function(done) {
+                expectSameDecision('inventory', getRequest('GET', '/inventory/api/productInventory/v2/product',
+                    null), done);
+            });
+        });
+
+        describe('Example', function() {
+
+            var exampleRules;
+
+            var decideExample = function(req) {
+                return getPolicies().decide(exampleRules, req);
+            };
+
+            beforeEach(function() {
+                exampleRules = getPolicies().readRules(['./policies/example.json']);
+            });
+
+            it('should only allow admins to launch offerings', function() {
+                var url = '/catalog/api/catalogManagement/v2/catalog/1/productOffering/2';
+
+                expect(decideExample(getRequest('PATCH', url, ['seller'], { lifecycleStatus: 'Launched' })).message)
+                    .toBe('Only administrators can launch offerings');
+                expect(decideExample(getRequest('PATCH', url, ['seller'], { name: 'Offering' })).allowed).toBe(true);
+                expect(decideExample(getRequest('PATCH', url, ['provider'], { lifecycleStatus: 'Launched' })).allowed)
+                    .toBe(true);
+            });
+
+            it('should only allow customers to create billing accounts', function() {
+                var url = '/billing/api/billingManagement/v2/billingAccount';
+
+                expect(decideExample(getRequest('POST', url, ['seller'], {})).message)
+                    .toBe('Only customers can create billing accounts');
+                expect(decideExample(getRequest('POST', url, ['customer'], {})).allowed).toBe(true);
+            });
+        });
+    });
+});
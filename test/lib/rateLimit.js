@@ -0,0 +1,240 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Rate Limiter', function() {
+
+    var config;
+    var store;
+
+    var getRateLimiter = function() {
+        return proxyquire('../../lib/rateLimit', {
+            './../config': config,
+            './logger': testUtils.emptyLogger,
+            './utils': {
+                log: function() {}
+            },
+            './keyValueStore': {
+                '@noCallThru': true,
+                createStore: function() {
+                    return store;
+                }
+            }
+        }).rateLimiter;
+    };
+
+    var getRequest = function(method, apiUrl, headers, user) {
+        return {
+            method: method,
+            apiUrl: apiUrl,
+            headers: headers || {},
+            user: user,
+            ip: '10.0.0.1'
+        };
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['setHeader', 'status', 'json']);
+        res.status.and.returnValue(res);
+        return res;
+    };
+
+    // Makes the store return the given number of requests for every counter
+    var mockStore = function(counts) {
+        store.increment.and.callFake(function(key, ttl, callback) {
+            var count = counts[key.split('|')[0]];
+            callback(null, count !== undefined ? count : 1);
+        });
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.rateLimit = {
+            enabled: true,
+            rules: [
+                { name: 'ip', identity: 'ip', limit: 10, window: 60 },
+                { name: 'catalog', api: 'catalog', methods: ['get'], identity: 'user', limit: 5, window: 60 },
+                { name: 'usage', api: 'usage', methods: ['POST'], identity: 'apiKey', limit: 100, window: 3600 }
+            ]
+        };
+
+        store = jasmine.createSpyObj('store', ['increment']);
+        mockStore({});
+
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(Date.UTC(2016, 1, 1, 10, 0, 30)));
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it('should not limit requests when rate limiting is disabled', function() {
+        config.rateLimit.enabled = false;
+
+        var next = jasmine.createSpy('next');
+        var res = getResponse();
+
+        getRateLimiter().limit(getRequest('GET', '/catalog/api'), res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(store.increment).not.toHaveBeenCalled();
+        expect(res.setHeader).not.toHaveBeenCalled();
+    });
+
+    var testCountedRequest = function(req, expectedKeys) {
+
+        var next = jasmine.createSpy('next');
+
+        getRateLimiter().limit(req, getResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(store.increment.calls.allArgs().map(function(args) {
+            return args[0];
+        })).toEqual(expectedKeys);
+    };
+
+    it('should count requests by the IP of the client', function() {
+        var window = Math.floor(Date.now() / 60000);
+        testCountedRequest(getRequest('POST', '/ordering/api'), ['ip|10.0.0.1|' + window]);
+    });
+
+    it('should not take the IP of the client from the X-Forwarded-For header given by the client', function() {
+        var window = Math.floor(Date.now() / 60000);
+        var req = getRequest('POST', '/ordering/api', { 'x-forwarded-for': '192.168.1.1, 10.0.0.2' });
+
+        testCountedRequest(req, ['ip|10.0.0.1|' + window]);
+    });
+
+    it('should only discard the expired counters of the memory store', function() {
+        var createStore = jasmine.createSpy('createStore').and.returnValue(store);
+
+        proxyquire('../../lib/rateLimit', {
+            './../config': config,
+            './keyValueStore': {
+                '@noCallThru': true,
+                createStore: createStore
+            }
+        }).rateLimiter.limit(getRequest('GET', '/ordering/api'), getResponse(), function() {});
+
+        expect(createStore.calls.argsFor(0)[2].expireOnly).toBe(true);
+    });
+
+    it('should create the store again when its settings are reloaded', function() {
+        var createStore = jasmine.createSpy('createStore').and.returnValue(store);
+
+        var rateLimiter = proxyquire('../../lib/rateLimit', {
+            './../config': config,
+            './keyValueStore': {
+                '@noCallThru': true,
+                createStore: createStore
+            }
+        }).rateLimiter;
+
+        rateLimiter.limit(getRequest('GET', '/ordering/api'), getResponse(), function() {});
+        rateLimiter.limit(getRequest('GET', '/ordering/api'), getResponse(), function() {});
+        expect(createStore.calls.count()).toBe(1);
+
+        config.rateLimit.maxEntries = 50;
+        rateLimiter.limit(getRequest('GET', '/ordering/api'), getResponse(), function() {});
+
+        expect(createStore.calls.count()).toBe(2);
+        expect(createStore.calls.argsFor(1)[2].maxEntries).toBe(50);
+    });
+
+    it('should count requests by user in the rules of the accessed API and method', function() {
+        var window = Math.floor(Date.now() / 60000);
+        var req = getRequest('GET', '/catalog/api', {}, { id: 'user' });
+
+        testCountedRequest(req, ['ip|10.0.0.1|' + window, 'catalog|user|' + window]);
+    });
+
+    it('should not apply user rules to anonymous requests', function() {
+        var window = Math.floor(Date.now() / 60000);
+        testCountedRequest(getRequest('GET', '/catalog/api'), ['ip|10.0.0.1|' + window]);
+    });
+
+    it('should count requests by API key', function() {
+        var req = getRequest('POST', '/usage/api', { 'x-api-key': 'key' });
+
+        testCountedRequest(req, ['ip|10.0.0.1|' + Math.floor(Date.now() / 60000),
+            'usage|key|' + Math.floor(Date.now() / 3600000)]);
+    });
+
+    it('should use the index of the rules without name', function() {
+        delete config.rateLimit.rules[0].name;
+        testCountedRequest(getRequest('POST', '/ordering/api'), ['0|10.0.0.1|' + Math.floor(Date.now() / 60000)]);
+    });
+
+    it('should keep counters until the end of the window', function() {
+        getRateLimiter().limit(getRequest('POST', '/ordering/api'), getResponse(), function() {});
+        expect(store.increment).toHaveBeenCalledWith(jasmine.any(String), 30000, jasmine.any(Function));
+    });
+
+    it('should include the rate limit headers of the most restrictive rule', function() {
+        mockStore({ ip: 3, catalog: 4 });
+
+        var next = jasmine.createSpy('next');
+        var res = getResponse();
+
+        getRateLimiter().limit(getRequest('GET', '/catalog/api', {}, { id: 'user' }), res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Limit', 5);
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Remaining', 1);
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Reset', 30);
+    });
+
+    it('should reject requests with 429 when a rule is exceeded', function() {
+        mockStore({ ip: 3, usage: 101 });
+
+        var next = jasmine.createSpy('next');
+        var res = getResponse();
+
+        getRateLimiter().limit(getRequest('POST', '/usage/api', { 'x-api-key': 'key' }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Limit', 100);
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Remaining', 0);
+        expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Reset', 3570);
+        expect(res.setHeader).toHaveBeenCalledWith('Retry-After', 3570);
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+            code: 'TOO_MANY_REQUESTS',
+            status: '429',
+            message: 'Too many requests'
+        }));
+    });
+
+    it('should not reject requests when the counters cannot be updated', function() {
+        store.increment.and.callFake(function(key, ttl, callback) {
+            callback({ message: 'Error' });
+        });
+
+        var next = jasmine.createSpy('next');
+        var res = getResponse();
+
+        getRateLimiter().limit(getRequest('GET', '/catalog/api'), res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(res.setHeader).not.toHaveBeenCalled();
+    });
+});
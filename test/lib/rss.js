@@ -44,7 +44,7 @@ describe('RSS Client', function() {
                     headers['X-Roles'] = '';
                 }
             },
-            'request': request
+            './upstream': testUtils.getUpstream(config, request)
         }).rssClient;
     };
 
@@ -83,7 +83,7 @@ describe('RSS Client', function() {
 
             var rssClient = getRssClient(request);
 
-            rssClient.createProvider(userInfo, function(resp) {
+            rssClient.createProvider({ user: userInfo }, function(resp) {
                 expect(resp).toBe(null);
                 done();
             });
@@ -115,7 +115,7 @@ describe('RSS Client', function() {
 
             var rssClient = getRssClient(request);
 
-            rssClient.createDefaultModel(userInfo, function(err, resp){
+            rssClient.createDefaultModel({ user: userInfo }, function(err, resp){
                 expect(err).toEqual(expErr);
                 expect(resp).toEqual(expResp);
                 done();
@@ -144,10 +144,20 @@ describe('RSS Client', function() {
         it('should call the callback with the default error message when the server has an error', function(done){
             testDefaultModelCreation('ERROR', null, null, {
                 status: 504,
+                code: 'RSS_MODEL_NOT_CREATED',
                 message: 'An unexpected error prevented your default RS model to be created'
             }, undefined, done);
         });
 
+        it('should call the callback with a 503 error when the circuit of the RSS API is open', function(done){
+            testDefaultModelCreation({ code: 'ECIRCUITOPEN', retryAfter: 10 }, null, null, {
+                status: 503,
+                code: 'RSS_MODEL_NOT_CREATED',
+                message: 'An unexpected error prevented your default RS model to be created',
+                retryAfter: 10
+            }, undefined, done);
+        });
+
         var testRSSErrorCode = function(status, done) {
             var errMsg =  'Unexpected error';
             testDefaultModelCreation(null, {
@@ -156,6 +166,7 @@ describe('RSS Client', function() {
                 exceptionText: errMsg
             }), {
                 status: status,
+                code: 'RSS_MODEL_NOT_CREATED',
                 message: errMsg
             }, undefined, done);
         };
@@ -208,7 +219,7 @@ describe('RSS Client', function() {
 
             var rssClient = getRssClient(request);
 
-            rssClient.retrieveRSModel(userInfo, productClass, function(err, resp){
+            rssClient.retrieveRSModel({ user: userInfo }, productClass, function(err, resp){
                 expect(err).toEqual(null);
                 expect(resp).toEqual({
                     status: status,
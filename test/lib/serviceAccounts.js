@@ -0,0 +1,503 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var keyValueStore = require('../../lib/keyValueStore'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Service Accounts', function() {
+
+    var CLIENT_ID = 'client-id';
+    var SECRET = 'secret';
+    var ADMIN = { id: 'admin', roles: [{ name: 'provider' }] };
+
+    var config;
+    var accounts;
+    var model;
+    var stores;
+
+    var hash = function(value) {
+        return require('crypto').createHash('sha256').update(value).digest('hex');
+    };
+
+    // Model of the service accounts backed by the accounts array
+    var createModel = function() {
+
+        var findIndex = function(query) {
+            for (var i = 0; i < accounts.length; i++) {
+                if (accounts[i].clientId === query.clientId) {
+                    return i;
+                }
+            }
+
+            return -1;
+        };
+
+        return {
+            '@noCallThru': true,
+            findOne: jasmine.createSpy('findOne').and.callFake(function(query, fields, options, callback) {
+                var index = findIndex(query);
+                callback(null, index >= 0 ? accounts[index] : null);
+            }),
+            find: jasmine.createSpy('find').and.callFake(function(query, fields, options, callback) {
+                callback(null, accounts.slice());
+            }),
+            create: jasmine.createSpy('create').and.callFake(function(account, callback) {
+                accounts.push(account);
+                callback(null, account);
+            }),
+            findOneAndRemove: jasmine.createSpy('findOneAndRemove').and.callFake(function(query, callback) {
+                var index = findIndex(query);
+                callback(null, index >= 0 ? accounts.splice(index, 1)[0] : null);
+            }),
+            findOneAndUpdate: jasmine.createSpy('findOneAndUpdate').and.callFake(function(query, update, options, callback) {
+                var index = findIndex(query);
+
+                if (index >= 0) {
+                    accounts[index].secretHash = update.$set.secretHash;
+                }
+
+                callback(null, index >= 0 ? accounts[index] : null);
+            })
+        };
+    };
+
+    var getServiceAccounts = function() {
+        return proxyquire('../../lib/serviceAccounts', {
+            './../config': config,
+            './../db/schemas/serviceAccount': model,
+            './keyValueStore': {
+                createStore: function(type, namespace, options) {
+                    stores[namespace] = keyValueStore.createStore(type, namespace, options);
+                    return stores[namespace];
+                }
+            },
+            './logger': testUtils.emptyLogger,
+            './upstream': {
+                upstream: {
+                    getEndpointName: function(api) {
+                        return api;
+                    }
+                }
+            },
+            './utils': {
+                isAdmin: function(user) {
+                    return user.id === ADMIN.id;
+                },
+                log: function() {}
+            },
+            'node-uuid': {
+                v4: function() {
+                    return 'new-client-id';
+                }
+            }
+        }).serviceAccounts;
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['status', 'json', 'end', 'location', 'setHeader']);
+        res.status.and.returnValue(res);
+        return res;
+    };
+
+    var expectError = function(res, status, code) {
+        expect(res.status).toHaveBeenCalledWith(status);
+        expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: code }));
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.serviceAccounts = { enabled: true, path: '/serviceAccounts', store: 'memory', tokenTTL: 60 };
+        accounts = [{
+            clientId: CLIENT_ID,
+            name: 'Seller backend',
+            description: '',
+            party: { id: 'seller', type: 'individual' },
+            scopes: ['catalog:read', 'ordering:status'],
+            secretHash: hash(SECRET),
+            createdBy: ADMIN.id,
+            created: new Date(2016, 0, 1)
+        }];
+        model = createModel();
+        stores = {};
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2016, 0, 1));
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    describe('Tokens', function() {
+
+        var requestToken = function(serviceAccounts, body, headers, callback) {
+            var req = {
+                headers: headers || { 'content-type': 'application/x-www-form-urlencoded' },
+                body: body
+            };
+            var res = getResponse();
+
+            serviceAccounts.issueToken(req, res);
+            callback(res, res.json.calls.count() ? res.json.calls.mostRecent().args[0] : null);
+        };
+
+        var credentials = function(extra) {
+            return 'grant_type=client_credentials&client_id=' + CLIENT_ID + '&client_secret=' + SECRET + (extra || '');
+        };
+
+        it('should issue tokens for the credentials of the service accounts', function() {
+            requestToken(getServiceAccounts(), credentials(), null, function(res, body) {
+                expect(res.status).toHaveBeenCalledWith(200);
+                expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+                expect(body.access_token).toMatch(/^sa\.client-id\.[0-9a-f]{64}$/);
+                expect(body.token_type).toBe('Bearer');
+                expect(body.expires_in).toBe(60);
+                expect(body.scope).toBe('catalog:read ordering:status');
+            });
+        });
+
+        it('should accept the credentials in the Authorization header', function() {
+            var headers = {
+                authorization: 'Basic ' + Buffer.from(CLIENT_ID + ':' + SECRET).toString('base64')
+            };
+
+            requestToken(getServiceAccounts(), 'grant_type=client_credentials', headers, function(res) {
+                expect(res.status).toHaveBeenCalledWith(200);
+            });
+        });
+
+        it('should accept JSON token requests', function() {
+            var body = JSON.stringify({ grant_type: 'client_credentials', client_id: CLIENT_ID, client_secret: SECRET });
+
+            requestToken(getServiceAccounts(), body, { 'content-type': 'application/json' }, function(res) {
+                expect(res.status).toHaveBeenCalledWith(200);
+            });
+        });
+
+        it('should only support the client credentials grant', function() {
+            requestToken(getServiceAccounts(), 'grant_type=password', null, function(res) {
+                expectError(res, 400, 'SERVICE_ACCOUNT_UNSUPPORTED_GRANT');
+            });
+        });
+
+        it('should reject invalid credentials', function() {
+            var serviceAccounts = getServiceAccounts();
+            var invalidSecret = 'grant_type=client_credentials&client_id=' + CLIENT_ID + '&client_secret=other';
+            var unknownClient = 'grant_type=client_credentials&client_id=other&client_secret=' + SECRET;
+
+            [invalidSecret, unknownClient, 'grant_type=client_credentials'].forEach(function(body) {
+                requestToken(serviceAccounts, body, null, function(res) {
+                    expectError(res, 401, 'SERVICE_ACCOUNT_INVALID_CLIENT');
+                });
+            });
+        });
+
+        it('should limit the tokens to the requested scopes', function() {
+            requestToken(getServiceAccounts(), credentials('&scope=catalog%3Aread'), null, function(res, body) {
+                expect(body.scope).toBe('catalog:read');
+            });
+        });
+
+        it('should not issue tokens for scopes not granted to the service account', function() {
+            requestToken(getServiceAccounts(), credentials('&scope=usage%3Awrite'), null, function(res) {
+                expectError(res, 400, 'SERVICE_ACCOUNT_INVALID_SCOPE');
+            });
+        });
+
+        it('should return the profile of the service account of the tokens', function(done) {
+            var serviceAccounts = getServiceAccounts();
+
+            requestToken(serviceAccounts, credentials(), null, function(res, body) {
+
+                expect(serviceAccounts.isServiceToken(body.access_token)).toBe(true);
+
+                serviceAccounts.getProfile(body.access_token, function(err, profile) {
+                    expect(err).toBe(null);
+                    expect(profile).toEqual({
+                        id: 'seller',
+                        displayName: 'Seller backend',
+                        email: '',
+                        roles: [],
+                        organizations: [],
+                        appId: config.oauth2.clientID,
+                        accessToken: body.access_token,
+                        partyType: 'individual',
+                        serviceAccount: {
+                            id: CLIENT_ID,
+                            name: 'Seller backend',
+                            scopes: ['catalog:read', 'ordering:status']
+                        }
+                    });
+                    done();
+                });
+            });
+        });
+
+        it('should not accept expired tokens', function(done) {
+            var serviceAccounts = getServiceAccounts();
+
+            requestToken(serviceAccounts, credentials(), null, function(res, body) {
+
+                jasmine.clock().tick(60001);
+
+                serviceAccounts.getProfile(body.access_token, function(err, profile) {
+                    expect(err).toEqual(jasmine.any(Error));
+                    expect(profile).toBeUndefined();
+                    done();
+                });
+            });
+        });
+
+        it('should not store the tokens in plain text', function(done) {
+            var serviceAccounts = getServiceAccounts();
+
+            requestToken(serviceAccounts, credentials(), null, function(res, body) {
+                stores.serviceAccountTokens.get(body.access_token, function(err, entry) {
+                    expect(entry).toBe(null);
+                    done();
+                });
+            });
+        });
+
+        it('should not handle the tokens of the identity provider or when disabled', function() {
+            var serviceAccounts = getServiceAccounts();
+
+            expect(serviceAccounts.isServiceToken('access-token')).toBe(false);
+
+            config.serviceAccounts.enabled = false;
+            expect(serviceAccounts.isServiceToken('sa.client-id.token')).toBe(false);
+        });
+    });
+
+    describe('Scopes', function() {
+
+        var getRequest = function(method, scopes) {
+            return {
+                method: method,
+                user: {
+                    id: 'seller',
+                    serviceAccount: scopes ? { id: CLIENT_ID, scopes: scopes } : undefined
+                }
+            };
+        };
+
+        it('should not limit the requests of users', function() {
+            expect(getServiceAccounts().checkScope('ordering', getRequest('POST'))).toBe(null);
+        });
+
+        it('should allow the requests included in the scopes', function() {
+            var serviceAccounts = getServiceAccounts();
+            var scopes = ['catalog:read', 'ordering:status'];
+
+            expect(serviceAccounts.checkScope('catalog', getRequest('GET', scopes))).toBe(null);
+            expect(serviceAccounts.checkScope('ordering', getRequest('PATCH', scopes))).toBe(null);
+        });
+
+        it('should reject the requests not included in the scopes', function() {
+            var serviceAccounts = getServiceAccounts();
+            var scopes = ['catalog:read', 'ordering:read'];
+
+            [['catalog', 'POST'], ['ordering', 'PATCH'], ['inventory', 'GET']].forEach(function(request) {
+                expect(serviceAccounts.checkScope(request[0], getRequest(request[1], scopes))).toEqual({
+                    status: 403,
+                    code: 'SERVICE_ACCOUNT_SCOPE_DENIED',
+                    message: 'The scopes of the service account do not allow ' + request[1] +
+                        ' requests to the ' + request[0] + ' API'
+                });
+            });
+        });
+
+        it('should reject the service accounts in the routes outside the APIs', function() {
+            var res = getResponse();
+            var next = jasmine.createSpy('next');
+
+            getServiceAccounts().rejectServiceAccounts(getRequest('GET', ['catalog:read']), res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'SERVICE_ACCOUNT_NOT_ALLOWED' }));
+        });
+
+        it('should allow users and anonymous requests in the routes outside the APIs', function() {
+            var serviceAccounts = getServiceAccounts();
+            var next = jasmine.createSpy('next');
+
+            serviceAccounts.rejectServiceAccounts(getRequest('POST'), {}, next);
+            serviceAccounts.rejectServiceAccounts({ method: 'GET' }, {}, next);
+
+            expect(next.calls.count()).toBe(2);
+        });
+
+        it('should check whether the service accounts have been granted a scope', function() {
+            var serviceAccounts = getServiceAccounts();
+
+            expect(serviceAccounts.hasScope(getRequest('POST', ['usage:write']).user, 'usage:write')).toBe(true);
+            expect(serviceAccounts.hasScope(getRequest('POST', ['catalog:read']).user, 'usage:write')).toBe(false);
+            expect(serviceAccounts.hasScope(getRequest('POST').user, 'usage:write')).toBe(false);
+        });
+    });
+
+    describe('Management', function() {
+
+        var getRequest = function(user, body, params) {
+            return {
+                user: user,
+                body: body !== undefined ? JSON.stringify(body) : '',
+                params: params || {},
+                originalUrl: '/serviceAccounts',
+                headers: {}
+            };
+        };
+
+        var issueToken = function(serviceAccounts, secret) {
+            var res = getResponse();
+
+            serviceAccounts.issueToken({
+                headers: {},
+                body: 'grant_type=client_credentials&client_id=' + CLIENT_ID + '&client_secret=' + secret
+            }, res);
+
+            return res;
+        };
+
+        it('should only be accessible by administrators', function() {
+            var serviceAccounts = getServiceAccounts();
+            var req = getRequest({ id: 'user', roles: [] }, {}, { id: CLIENT_ID });
+
+            ['create', 'list', 'remove', 'rotateSecret'].forEach(function(method) {
+                var res = getResponse();
+                serviceAccounts[method](req, res);
+                expectError(res, 403, 'SERVICE_ACCOUNTS_FORBIDDEN');
+            });
+
+            expect(accounts.length).toBe(1);
+        });
+
+        it('should create service accounts, returning their secret once', function() {
+            var res = getResponse();
+            var body = {
+                name: 'Metering',
+                party: { id: 'provider', type: 'organization' },
+                scopes: ['usage:write']
+            };
+
+            getServiceAccounts().create(getRequest(ADMIN, body), res);
+
+            var result = res.json.calls.mostRecent().args[0];
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.location).toHaveBeenCalledWith('/serviceAccounts/new-client-id');
+            expect(result.id).toBe('new-client-id');
+            expect(result.party).toEqual({ id: 'provider', type: 'organization' });
+            expect(result.createdBy).toBe(ADMIN.id);
+            expect(result.secret).toMatch(/^[0-9a-f]{64}$/);
+            expect(result.secretHash).toBeUndefined();
+            expect(accounts[1].secretHash).toBe(hash(result.secret));
+        });
+
+        it('should reject invalid service accounts', function() {
+            var serviceAccounts = getServiceAccounts();
+            var party = { id: 'seller' };
+
+            [
+                [{ party: party, scopes: ['catalog:read'] }, 'The name is required'],
+                [{ name: 'Backend', scopes: ['catalog:read'] }, 'The party the service account acts as is required'],
+                [{ name: 'Backend', party: { id: 'seller', type: 'group' }, scopes: ['catalog:read'] },
+                    'The type of the party must be one of individual, organization'],
+                [{ name: 'Backend', party: party, scopes: ['catalog:write'] },
+                    'The scopes must be a list of catalog:read, ordering:read, ordering:status, inventory:read, usage:write']
+            ].forEach(function(invalid) {
+                var res = getResponse();
+
+                serviceAccounts.create(getRequest(ADMIN, invalid[0]), res);
+
+                expect(res.status).toHaveBeenCalledWith(400);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+                    code: 'SERVICE_ACCOUNT_INVALID',
+                    message: invalid[1]
+                }));
+            });
+
+            expect(accounts.length).toBe(1);
+        });
+
+        it('should list the service accounts without their secrets', function() {
+            var res = getResponse();
+
+            getServiceAccounts().list(getRequest(ADMIN), res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith([{
+                id: CLIENT_ID,
+                name: 'Seller backend',
+                description: '',
+                party: { id: 'seller', type: 'individual' },
+                scopes: ['catalog:read', 'ordering:status'],
+                createdBy: ADMIN.id,
+                created: new Date(2016, 0, 1)
+            }]);
+        });
+
+        it('should remove service accounts and revoke their tokens', function(done) {
+            var serviceAccounts = getServiceAccounts();
+            var token = issueToken(serviceAccounts, SECRET).json.calls.mostRecent().args[0].access_token;
+            var res = getResponse();
+
+            serviceAccounts.remove(getRequest(ADMIN, undefined, { id: CLIENT_ID }), res);
+
+            expect(res.status).toHaveBeenCalledWith(204);
+            expect(accounts.length).toBe(0);
+
+            serviceAccounts.getProfile(token, function(err) {
+                expect(err).toEqual(jasmine.any(Error));
+                done();
+            });
+        });
+
+        it('should return 404 when the service account does not exist', function() {
+            var serviceAccounts = getServiceAccounts();
+
+            ['remove', 'rotateSecret'].forEach(function(method) {
+                var res = getResponse();
+                serviceAccounts[method](getRequest(ADMIN, undefined, { id: 'other' }), res);
+                expectError(res, 404, 'SERVICE_ACCOUNT_NOT_FOUND');
+            });
+        });
+
+        it('should replace the secrets, revoking the tokens issued with the previous ones', function(done) {
+            var serviceAccounts = getServiceAccounts();
+            var token = issueToken(serviceAccounts, SECRET).json.calls.mostRecent().args[0].access_token;
+            var res = getResponse();
+
+            serviceAccounts.rotateSecret(getRequest(ADMIN, undefined, { id: CLIENT_ID }), res);
+
+            var secret = res.json.calls.mostRecent().args[0].secret;
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(secret).toMatch(/^[0-9a-f]{64}$/);
+            expect(issueToken(serviceAccounts, SECRET).status).toHaveBeenCalledWith(401);
+            expect(issueToken(serviceAccounts, secret).status).toHaveBeenCalledWith(200);
+
+            serviceAccounts.getProfile(token, function(err) {
+                expect(err).toEqual(jasmine.any(Error));
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,422 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Sessions', function() {
+
+    var USER = { id: 'user', accessToken: 'token' };
+
+    var config;
+    var docs;
+    var model;
+    var tokenCache;
+    var provider;
+
+    var hash = function(value) {
+        return require('crypto').createHash('sha256').update(value).digest('hex');
+    };
+
+    // Model of the sessions backed by the docs object
+    var createModel = function() {
+        return {
+            '@noCallThru': true,
+            findById: jasmine.createSpy('findById').and.callFake(function(id, fields, options, callback) {
+                callback(null, docs[id] || null);
+            }),
+            find: jasmine.createSpy('find').and.callFake(function(query, fields, options, callback) {
+                callback(null, Object.keys(docs).map(function(id) {
+                    return docs[id];
+                }).filter(function(doc) {
+                    return doc.user === query.user;
+                }));
+            }),
+            update: jasmine.createSpy('update').and.callFake(function(query, update, options, callback) {
+                callback = callback || options;
+
+                var doc = docs[query._id] || { _id: query._id, created: (update.$setOnInsert || {}).created };
+
+                for (var field in update.$set) {
+                    doc[field] = update.$set[field];
+                }
+
+                docs[query._id] = doc;
+                callback(null);
+            }),
+            remove: jasmine.createSpy('remove').and.callFake(function(query, callback) {
+                delete docs[query._id];
+                callback(null);
+            })
+        };
+    };
+
+    var getSessions = function() {
+        var sessions = proxyquire('../../lib/sessions', {
+            './../config': config,
+            './../db/schemas/session': model,
+            './tokenCache': { tokenCache: tokenCache },
+            './utils': {
+                encrypt: function(text) {
+                    return 'encrypted:' + text;
+                },
+                decrypt: function(value) {
+                    return value.indexOf('encrypted:') === 0 ? value.substring(10) : null;
+                },
+                log: function() {}
+            }
+        }).sessions;
+
+        sessions.setIdentityProvider(provider);
+        return sessions;
+    };
+
+    var createDoc = function(id, user, token, expires) {
+        docs[id] = {
+            _id: id,
+            session: JSON.stringify({ passport: { user: { id: user, token: 'encrypted:' + token, tokenKey: 'key-' + token } } }),
+            user: user,
+            tokenKey: 'key-' + token,
+            userAgent: 'Firefox',
+            ip: '127.0.0.1',
+            created: new Date(0),
+            lastAccess: new Date(0),
+            expires: expires || new Date(Date.now() + 60000)
+        };
+    };
+
+    var getResponse = function(done) {
+        var res = jasmine.createSpyObj('res', ['status', 'json', 'end', 'redirect']);
+        res.status.and.returnValue(res);
+
+        res.json.and.callFake(function() {
+            done();
+        });
+        res.end.and.callFake(function() {
+            done();
+        });
+        res.redirect.and.callFake(function() {
+            done();
+        });
+
+        return res;
+    };
+
+    var getRequest = function(sessionID, params) {
+        return {
+            user: USER,
+            sessionID: sessionID,
+            params: params || {},
+            session: {
+                destroy: jasmine.createSpy('destroy').and.callFake(function(callback) {
+                    delete docs[sessionID];
+                    callback(null);
+                })
+            }
+        };
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.sessions = { path: '/sessions', ttl: 60 };
+
+        docs = {};
+        model = createModel();
+
+        tokenCache = {
+            getTokenKey: function(token) {
+                return 'key-' + token;
+            },
+            getProfile: jasmine.createSpy('getProfile').and.callFake(function(token, fetchProfile, callback) {
+                fetchProfile(token, callback);
+            }),
+            revokeToken: jasmine.createSpy('revokeToken').and.callFake(function(token, callback) {
+                callback(null);
+            }),
+            listUserTokens: jasmine.createSpy('listUserTokens').and.callFake(function(userId, callback) {
+                callback(null, [{ id: 'key-token' }, { id: 'key-other' }]);
+            }),
+            removeUserToken: jasmine.createSpy('removeUserToken').and.callFake(function(userId, key, callback) {
+                callback(null, key === 'key-other' ? 'other' : null);
+            })
+        };
+
+        provider = {
+            getProfile: jasmine.createSpy('getProfile').and.callFake(function(token, callback) {
+                var err = new Error(token === 'invalid' ? 'Invalid token' : 'Connection refused');
+                err.code = token === 'invalid' ? 'invalid_token' : undefined;
+
+                if (token === 'invalid' || token === 'unreachable') {
+                    callback(err);
+                } else {
+                    callback(null, { id: 'user' });
+                }
+            }),
+            revokeToken: jasmine.createSpy('revokeToken').and.callFake(function(token, callback) {
+                callback(null);
+            })
+        };
+    });
+
+    describe('Store', function() {
+
+        it('should save the owner and the client of the sessions', function(done) {
+            var session = {
+                cookie: {},
+                client: { userAgent: 'Firefox', ip: '127.0.0.1' },
+                passport: { user: { id: 'user', token: 'encrypted:token', tokenKey: 'key-token' } }
+            };
+
+            var store = getSessions().createStore();
+
+            store.set('sid', session, function(err) {
+                expect(err).toBe(null);
+                expect(docs.sid.user).toBe('user');
+                expect(docs.sid.tokenKey).toBe('key-token');
+                expect(docs.sid.userAgent).toBe('Firefox');
+                expect(docs.sid.created instanceof Date).toBe(true);
+                expect(docs.sid.expires.getTime()).toBeGreaterThan(Date.now() + 59000);
+
+                store.get('sid', function(err, stored) {
+                    expect(stored).toEqual(session);
+                    done();
+                });
+            });
+        });
+
+        it('should not return expired sessions', function(done) {
+            createDoc('sid', 'user', 'token', new Date(Date.now() - 1000));
+
+            getSessions().createStore().get('sid', function(err, session) {
+                expect(err).toBe(null);
+                expect(session).toBe(null);
+                done();
+            });
+        });
+
+        it('should remove the destroyed sessions', function(done) {
+            createDoc('sid', 'user', 'token');
+
+            getSessions().createStore().destroy('sid', function(err) {
+                expect(err).toBe(null);
+                expect(docs.sid).toBeUndefined();
+                done();
+            });
+        });
+    });
+
+    describe('Passport', function() {
+
+        it('should only keep the user ID and the encrypted token', function(done) {
+            var req = { headers: { 'user-agent': 'Firefox' }, ip: '127.0.0.1', session: {} };
+
+            getSessions().serializeUser(req, { id: 'user', accessToken: 'token', roles: [] }, function(err, user) {
+                expect(user).toEqual({ id: 'user', token: 'encrypted:token', tokenKey: 'key-token' });
+                expect(req.session.client).toEqual({ userAgent: 'Firefox', ip: '127.0.0.1' });
+                done();
+            });
+        });
+
+        it('should read the profile of the user through the token cache', function(done) {
+            getSessions().deserializeUser({ id: 'user', token: 'encrypted:token' }, function(err, user) {
+                expect(tokenCache.getProfile).toHaveBeenCalledWith('token', provider.getProfile, jasmine.any(Function));
+                expect(user).toEqual({ id: 'user', accessToken: 'token' });
+                done();
+            });
+        });
+
+        it('should close the sessions whose token is not valid', function(done) {
+            getSessions().deserializeUser({ id: 'user', token: 'encrypted:invalid' }, function(err, user) {
+                expect(err).toBe(null);
+                expect(user).toBe(false);
+                done();
+            });
+        });
+
+        it('should keep the sessions when the identity provider cannot be reached', function(done) {
+            getSessions().deserializeUser({ id: 'user', token: 'encrypted:unreachable' }, function(err, user) {
+                expect(err.message).toBe('Connection refused');
+                expect(user).toBeUndefined();
+                done();
+            });
+        });
+
+        it('should close the sessions whose token cannot be decrypted', function(done) {
+            getSessions().deserializeUser({ id: 'user', token: 'garbage' }, function(err, user) {
+                expect(user).toBe(false);
+                expect(tokenCache.getProfile).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    it('should revoke the token of the session on logout', function(done) {
+        var req = getRequest('sid');
+        req.session.passport = { user: { id: 'user', token: 'encrypted:token' } };
+
+        var res = getResponse(function() {
+            expect(tokenCache.revokeToken).toHaveBeenCalledWith('token', jasmine.any(Function));
+            expect(provider.revokeToken).toHaveBeenCalledWith('token', jasmine.any(Function));
+            expect(req.session.destroy).toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalledWith(config.portalPrefix + '/');
+            done();
+        });
+
+        getSessions().logout(req, res);
+    });
+
+    it('should log out even if the identity provider cannot revoke the token', function(done) {
+        provider.revokeToken.and.callFake(function(token, callback) {
+            callback(new Error('Unexpected response'));
+        });
+
+        var req = getRequest('sid');
+        req.session.passport = { user: { id: 'user', token: 'encrypted:token' } };
+
+        var res = getResponse(function() {
+            expect(req.session.destroy).toHaveBeenCalled();
+            done();
+        });
+
+        getSessions().logout(req, res);
+    });
+
+    describe('API', function() {
+
+        it('should list the sessions and the other tokens of the user', function(done) {
+            createDoc('sid', 'user', 'token');
+            createDoc('sid2', 'user', 'token2');
+            createDoc('sid3', 'another', 'token3');
+
+            var res = getResponse(function() {
+                var result = res.json.calls.argsFor(0)[0];
+
+                expect(res.status).toHaveBeenCalledWith(200);
+                expect(result.sessions.map(function(session) {
+                    return [session.id, session.current];
+                })).toEqual([[hash('sid'), true], [hash('sid2'), false]]);
+                expect(result.tokens).toEqual([{ id: 'key-other' }]);
+                done();
+            });
+
+            getSessions().list(getRequest('sid'), res);
+        });
+
+        it('should not allow service accounts to manage sessions', function(done) {
+            var req = getRequest('sid');
+            req.user = { id: 'party', serviceAccount: { id: 'client' } };
+
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(403);
+                expect(res.json.calls.argsFor(0)[0].code).toBe('SESSIONS_FORBIDDEN');
+                done();
+            });
+
+            getSessions().list(req, res);
+        });
+
+        it('should terminate other sessions of the user revoking their token', function(done) {
+            createDoc('sid', 'user', 'token');
+            createDoc('sid2', 'user', 'token2');
+
+            var req = getRequest('sid', { id: hash('sid2') });
+
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(204);
+                expect(docs.sid2).toBeUndefined();
+                expect(docs.sid).toBeDefined();
+                expect(tokenCache.revokeToken).toHaveBeenCalledWith('token2', jasmine.any(Function));
+                expect(provider.revokeToken).toHaveBeenCalledWith('token2', jasmine.any(Function));
+                expect(req.session.destroy).not.toHaveBeenCalled();
+                done();
+            });
+
+            getSessions().terminate(req, res);
+        });
+
+        it('should destroy the current session when it is terminated', function(done) {
+            createDoc('sid', 'user', 'token');
+
+            var req = getRequest('sid', { id: hash('sid') });
+
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(204);
+                expect(req.session.destroy).toHaveBeenCalled();
+                done();
+            });
+
+            getSessions().terminate(req, res);
+        });
+
+        it('should not terminate the sessions of other users', function(done) {
+            createDoc('sid', 'user', 'token');
+            createDoc('sid3', 'another', 'token3');
+
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(404);
+                expect(res.json.calls.argsFor(0)[0].code).toBe('SESSION_NOT_FOUND');
+                expect(docs.sid3).toBeDefined();
+                done();
+            });
+
+            getSessions().terminate(getRequest('sid', { id: hash('sid3') }), res);
+        });
+
+        it('should terminate all the sessions and tokens but the current ones', function(done) {
+            createDoc('sid', 'user', 'token');
+            createDoc('sid2', 'user', 'token2');
+
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(204);
+                expect(Object.keys(docs)).toEqual(['sid']);
+                expect(tokenCache.removeUserToken.calls.allArgs().map(function(args) {
+                    return args[1];
+                })).toEqual(['key-other']);
+                expect(provider.revokeToken.calls.allArgs().map(function(args) {
+                    return args[0];
+                })).toEqual(['token2', 'other']);
+                done();
+            });
+
+            getSessions().terminateOthers(getRequest('sid'), res);
+        });
+
+        it('should revoke the tokens cached for the user', function(done) {
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(204);
+                expect(tokenCache.removeUserToken).toHaveBeenCalledWith('user', 'key-other', jasmine.any(Function));
+                expect(provider.revokeToken).toHaveBeenCalledWith('other', jasmine.any(Function));
+                done();
+            });
+
+            getSessions().revokeToken(getRequest('sid', { id: 'key-other' }), res);
+        });
+
+        it('should return 404 when the token is not cached for the user', function(done) {
+            var res = getResponse(function() {
+                expect(res.status).toHaveBeenCalledWith(404);
+                expect(res.json.calls.argsFor(0)[0].code).toBe('SESSION_TOKEN_NOT_FOUND');
+                expect(provider.revokeToken).not.toHaveBeenCalled();
+                done();
+            });
+
+            getSessions().revokeToken(getRequest('sid', { id: 'key-unknown' }), res);
+        });
+    });
+});
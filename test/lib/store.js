@@ -39,7 +39,7 @@ describe('Store Client', function() {
     var config = testUtils.getDefaultConfig();
     
     var storeClient = proxyquire('../../lib/store', {
-        './../config': config,
+        './upstream': testUtils.getUpstream(config),
         './utils': {
             attachUserHeaders: function() {}
         }
@@ -64,7 +64,7 @@ describe('Store Client', function() {
 
         // Call the validator
         var assetInfo = { 'a': 'b', 'example': 'c' };
-        storeClient[ASSETS_FUNCTION_MAPPING[assetType]](assetInfo, {id: 'test'}, function(err) {
+        storeClient[ASSETS_FUNCTION_MAPPING[assetType]](assetInfo, { user: {id: 'test'} }, function(err) {
 
             var expectedBody = {
                 action: 'create'
@@ -120,7 +120,7 @@ describe('Store Client', function() {
 
         // Call the validator
         var assetInfo = { 'a': 'b', 'example': 'c' };
-        storeClient[ASSETS_FUNCTION_MAPPING[assetType]](assetInfo, {id: 'test'}, function(err) {
+        storeClient[ASSETS_FUNCTION_MAPPING[assetType]](assetInfo, { user: {id: 'test'} }, function(err) {
 
             var expectedBody = {
                 action: 'create'
@@ -167,6 +167,34 @@ describe('Store Client', function() {
         testValidateProductError(PRODUCT_ASSET, null, null, 'The server has failed validating the product specification', done);
     });
 
+    it('should return 503 and the time to retry when the circuit of the store is open', function(done) {
+
+        var upstream = {
+            CIRCUIT_OPEN: 'ECIRCUITOPEN',
+            request: function(endpoint, options, callback) {
+                callback({ code: 'ECIRCUITOPEN', retryAfter: 10 });
+            }
+        };
+
+        var client = proxyquire('../../lib/store', {
+            './upstream': { upstream: upstream },
+            './utils': {
+                attachUserHeaders: function() {}
+            }
+        }).storeClient;
+
+        client.validateProduct({}, { user: { id: 'test' } }, function(err) {
+            expect(err).toEqual({
+                status: 503,
+                code: 'CHARGING_PRODUCT_NOT_VALIDATED',
+                message: 'The server has failed validating the product specification',
+                retryAfter: 10
+            });
+
+            done();
+        });
+    });
+
     // Offerings
 
     it('should not validate offering when store returns 400', function(done) {
@@ -211,7 +239,7 @@ describe('Store Client', function() {
 
         // Call the validator
         var orderInfo = { 'a': 'b', 'example': 'c' };
-        storeClient.notifyOrder(orderInfo, {id: 'test'}, function(err, res) {
+        storeClient.notifyOrder(orderInfo, { user: {id: 'test'} }, function(err, res) {
             expect(receivedBody).toEqual(orderInfo);
             expect(err).toBe(null);
 
@@ -246,7 +274,7 @@ describe('Store Client', function() {
 
         // Call the validator
         var orderId = 7;
-        storeClient.refund(orderId, {id: 'test'}, function(err) {
+        storeClient.refund(orderId, { user: {id: 'test'} }, function(err) {
 
             var expectedBody = {
                 orderId: orderId
@@ -280,7 +308,7 @@ describe('Store Client', function() {
 
         // Call the validator
         var orderId = 7;
-        storeClient.refund(orderId, {id: 'test'}, function(err) {
+        storeClient.refund(orderId, { user: {id: 'test'} }, function(err) {
 
             var expectedBody = {
                 orderId: orderId
@@ -289,6 +317,7 @@ describe('Store Client', function() {
             expect(receivedBody).toEqual(expectedBody);
             expect(err).toEqual({
                 status: errorStatus,
+                code: 'CHARGING_REFUND_FAILED',
                 message: 'The server has failed at the time of refunding the order'
             });
 
@@ -311,7 +340,7 @@ describe('Store Client', function() {
             return true;
         }).reply(200);
 
-        storeClient.validateUsage({}, function (err) {
+        storeClient.validateUsage({}, {}, function (err) {
 
             expect(err).toBe(null);
 
@@ -335,10 +364,11 @@ describe('Store Client', function() {
             return true;
         }).reply(errorStatus);
 
-        storeClient.validateUsage({}, function (err) {
+        storeClient.validateUsage({}, {}, function (err) {
 
             expect(err).toEqual({
                 status: errorStatus,
+                code: 'CHARGING_USAGE_NOT_VALIDATED',
                 message: 'The server has failed validating the usage'
             });
 
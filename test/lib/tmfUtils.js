@@ -24,10 +24,22 @@ describe('TMF Utils', function() {
 
     var config = testUtils.getDefaultConfig();
 
-    var getTmfUtils = function(utils) {
+    // Public URLs derived from the request, and hrefs of the APIs with the form of the public ones
+    var getHrefs = function() {
+        return {
+            getPublicURL: function(req, path) {
+                return (req.secure ? 'https' : 'http') + '://' + req.hostname + ':' + config.port + path;
+            },
+            toPublic: function(req, href) {
+                return href.replace('http://apis:8080', 'http://' + req.hostname + ':' + config.port);
+            }
+        };
+    };
+
+    var getTmfUtils = function(hrefs) {
         return proxyquire('../../lib/tmfUtils', {
             './../config' : config,
-            './utils': utils || {}
+            './hrefs': { hrefs: hrefs || getHrefs() }
         });
     };
 
@@ -197,6 +209,7 @@ describe('TMF Utils', function() {
 
             var err = {
                 status: 403,
+                code: 'INVALID_FILTERS',
                 message: 'You are not allowed to filter items using these filters'
             };
 
@@ -215,6 +228,7 @@ describe('TMF Utils', function() {
 
             var err = {
                 status: 403,
+                code: 'INVALID_FILTERS',
                 message: 'You are not allowed to filter items using these filters'
             };
 
@@ -233,6 +247,7 @@ describe('TMF Utils', function() {
 
             var err = {
                 status: 403,
+                code: 'RELATED_PARTY_FILTER_FORBIDDEN',
                 message: 'You are not authorized to retrieve the orderings made by the user ' + query['relatedParty.id']
             };
 
@@ -472,6 +487,31 @@ describe('TMF Utils', function() {
 
         });
 
+        it('should return true when related Party href is the one used by the APIs', function() {
+
+            var tmfUtils = getTmfUtils();
+            var role = 'seller';
+            var userName = 'fiware';
+
+            var req = {
+                secure: false,
+                hostname: 'belp.fiware.org',
+                user: {
+                    id: userName
+                }
+            };
+
+            var relatedParties = [{
+                role: role,
+                id: userName,
+                href: 'http://apis:8080/' + config.endpoints.party.path + '/api/partyManagement/v2/individual/' + userName
+            }];
+
+            var result = tmfUtils.hasPartyRole(req, relatedParties, role);
+            expect(result).toBe(true);
+
+        });
+
 
         it('should return false when related Party contains one element and role matches but user does not', function() {
 
@@ -557,16 +597,47 @@ describe('TMF Utils', function() {
             expect(result).toBe(false);
 
         });
+
+        var testOrganizationParty = function(partyType, expected) {
+
+            var tmfUtils = getTmfUtils();
+
+            var req = {
+                secure: false,
+                hostname: 'belp.fiware.org',
+                user: {
+                    id: 'sellers',
+                    partyType: partyType
+                }
+            };
+
+            var relatedParties = [{
+                role: 'owner',
+                id: 'sellers',
+                href: 'http://belp.fiware.org:' + config.port + '/' + config.endpoints.party.path +
+                    '/api/partyManagement/v2/organization/sellers'
+            }];
+
+            expect(tmfUtils.hasPartyRole(req, relatedParties, 'owner')).toBe(expected);
+        };
+
+        it('should return true when the user acts as the organization of the related party', function() {
+            testOrganizationParty('organization', true);
+        });
+
+        it('should return false when the related party is an organization and the user acts as an individual', function() {
+            testOrganizationParty(undefined, false);
+        });
     });
 
     describe('Get Party Individuals Collection URL', function() {
 
         var testGetIndividualsCollectionURL = function(req, user) {
 
-            var utils = jasmine.createSpyObj('utils', ['getAPIURL']);
+            var hrefs = jasmine.createSpyObj('hrefs', ['getPublicURL']);
 
-            var tmfUtils = getTmfUtils(utils);
-            tmfUtils.getIndividualURL(req);
+            var tmfUtils = getTmfUtils(hrefs);
+            tmfUtils.getIndividualURL(req, user);
 
             var expectedPath = '/' + config.endpoints.party.path + '/api/partyManagement/v2/individual/';
 
@@ -574,11 +645,11 @@ describe('TMF Utils', function() {
                 expectedPath += user;
             }
 
-            expect(utils.getAPIURL).toHaveBeenCalledWith(req.secure, req.hostname, config.port, expectedPath);
+            expect(hrefs.getPublicURL).toHaveBeenCalledWith(req, expectedPath);
 
         };
 
-        it('should call utils with http', function() {
+        it('should return the public URL of the collection', function() {
 
             var req = {
                 secure: false,
@@ -588,17 +659,63 @@ describe('TMF Utils', function() {
             testGetIndividualsCollectionURL(req)
         });
 
-        it('should call utils with https', function() {
+        it('should return the public URL of the individual', function() {
 
             var req = {
                 secure: true,
                 hostname: 'another_host.com'
             };
 
-            testGetIndividualsCollectionURL(req)
+            testGetIndividualsCollectionURL(req, 'fiware')
+        });
+
+
+    });
+
+    describe('Get Party Organizations Collection URL', function() {
+
+        it('should return the public URL of the organization', function() {
+
+            var hrefs = jasmine.createSpyObj('hrefs', ['getPublicURL']);
+            var req = { secure: false, hostname: 'test' };
+
+            getTmfUtils(hrefs).getOrganizationURL(req, 'sellers');
+
+            expect(hrefs.getPublicURL).toHaveBeenCalledWith(req, '/' + config.endpoints.party.path +
+                '/api/partyManagement/v2/organization/sellers');
         });
+    });
 
+    describe('Visible Orderings', function() {
 
+        var sellerItem = { id: '1', product: { relatedParty: [{ id: 'seller', role: 'Seller' }] } };
+        var otherItem = { id: '2', product: { relatedParty: [{ id: 'other', role: 'Seller' }] } };
+
+        var ORDERING = {
+            id: '7',
+            relatedParty: [
+                { id: 'customer', role: 'Customer' },
+                { id: 'seller', role: 'Seller' },
+                { id: 'other', role: 'seller' }
+            ],
+            orderItem: [sellerItem, otherItem]
+        };
+
+        it('should return the whole ordering to its customer', function() {
+            expect(getTmfUtils().getOrderingVisibleTo(ORDERING, 'customer')).toBe(ORDERING);
+        });
+
+        it('should only return the order items of every seller', function() {
+            var tmfUtils = getTmfUtils();
+
+            expect(tmfUtils.getOrderingVisibleTo(ORDERING, 'seller').orderItem).toEqual([sellerItem]);
+            expect(tmfUtils.getOrderingVisibleTo(ORDERING, 'other').orderItem).toEqual([otherItem]);
+            expect(ORDERING.orderItem).toEqual([sellerItem, otherItem]);
+        });
+
+        it('should not return the ordering to other parties', function() {
+            expect(getTmfUtils().getOrderingVisibleTo(ORDERING, 'unknown')).toBe(null);
+        });
     });
 
 });
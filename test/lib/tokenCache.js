@@ -0,0 +1,432 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var keyValueStore = require('../../lib/keyValueStore'),
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Token Cache', function() {
+
+    var TOKEN = 'token';
+    var PROFILE = { id: 'user', displayName: 'User', _json: {} };
+
+    var config;
+    var lookups;
+    var stores;
+
+    var getTokenCache = function() {
+        return proxyquire('../../lib/tokenCache', {
+            './../config': config,
+            './keyValueStore': {
+                createStore: function(type, namespace, options) {
+                    stores[namespace] = keyValueStore.createStore(type, namespace, options);
+                    return stores[namespace];
+                }
+            },
+            './logger': testUtils.emptyLogger,
+            './metrics': {
+                metrics: {
+                    counter: function() {
+                        return lookups;
+                    }
+                }
+            },
+            './utils': {
+                isAdmin: function(user) {
+                    return user.id === 'admin';
+                },
+                log: function() {},
+                encrypt: function(text) {
+                    return 'encrypted:' + text;
+                },
+                decrypt: function(value) {
+                    return value.replace(/^encrypted:/, '');
+                }
+            }
+        }).tokenCache;
+    };
+
+    var getFetchProfile = function(profile) {
+        return jasmine.createSpy('fetchProfile').and.callFake(function(token, callback) {
+            callback(null, profile);
+        });
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.tokenCache = { store: 'memory', path: '/tokenCache', ttl: 60, maxEntries: 2 };
+        lookups = jasmine.createSpyObj('lookups', ['inc']);
+        stores = {};
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2016, 0, 1));
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    describe('Profiles', function() {
+
+        it('should ask the IdM for the profiles of the tokens not cached', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function(err, profile) {
+                expect(err).toBe(null);
+                expect(profile).toBe(PROFILE);
+                expect(fetchProfile).toHaveBeenCalledWith(TOKEN, jasmine.any(Function));
+                expect(lookups.inc).toHaveBeenCalledWith({ result: 'miss' });
+                done();
+            });
+        });
+
+        it('should return the cached profiles', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                tokenCache.getProfile(TOKEN, fetchProfile, function(err, profile) {
+                    expect(profile).toBe(PROFILE);
+                    expect(fetchProfile.calls.count()).toBe(1);
+                    expect(lookups.inc).toHaveBeenCalledWith({ result: 'hit' });
+                    done();
+                });
+            });
+        });
+
+        it('should not store the tokens in plain text', function(done) {
+            var tokenCache = getTokenCache();
+
+            tokenCache.getProfile(TOKEN, getFetchProfile(PROFILE), function() {
+                stores.tokenCache.get(TOKEN, function(err, entry) {
+                    expect(entry).toBe(null);
+                    done();
+                });
+            });
+        });
+
+        it('should not cache the errors of the IdM', function(done) {
+            var tokenCache = getTokenCache();
+            var error = new Error('Invalid token');
+            var fetchProfile = jasmine.createSpy('fetchProfile').and.callFake(function(token, callback) {
+                callback(error);
+            });
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function(err) {
+                expect(err).toBe(error);
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+
+        it('should ask the IdM again when the ttl has expired', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                jasmine.clock().tick(60001);
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+
+        it('should ask the IdM again when the token has expired', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile({ id: 'user', _json: { expires_in: 10 } });
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                jasmine.clock().tick(10001);
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+
+        it('should not cache expired tokens', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile({ id: 'user', _json: { exp: Date.now() / 1000 - 1 } });
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+
+        it('should discard the least recently used profiles when the cache is full', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile('token1', fetchProfile, function() {
+                tokenCache.getProfile('token2', fetchProfile, function() {
+                    tokenCache.getProfile('token1', fetchProfile, function() {
+                        tokenCache.getProfile('token3', fetchProfile, function() {
+                            expect(fetchProfile.calls.count()).toBe(3);
+
+                            tokenCache.getProfile('token2', fetchProfile, function() {
+                                expect(fetchProfile.calls.count()).toBe(4);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should ask the IdM when the cache cannot be read', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                spyOn(stores.tokenCache, 'get').and.callFake(function(key, callback) {
+                    callback(new Error('MongoDB is down'));
+                });
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function(err, profile) {
+                    expect(err).toBe(null);
+                    expect(profile).toBe(PROFILE);
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('Revocation', function() {
+
+        it('should ask the IdM again for revoked tokens', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                tokenCache.revokeToken(TOKEN, function() {
+                    tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                        expect(fetchProfile.calls.count()).toBe(2);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should ask the IdM again for all the tokens of a revoked user', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+            var otherProfile = getFetchProfile({ id: 'other', _json: {} });
+
+            tokenCache.getProfile('token1', fetchProfile, function() {
+                tokenCache.getProfile('token2', otherProfile, function() {
+                    jasmine.clock().tick(1);
+
+                    tokenCache.revokeUser('user', function() {
+                        tokenCache.getProfile('token1', fetchProfile, function() {
+                            tokenCache.getProfile('token2', otherProfile, function() {
+                                expect(fetchProfile.calls.count()).toBe(2);
+                                expect(otherProfile.calls.count()).toBe(1);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should cache the tokens obtained after revoking a user', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            tokenCache.revokeUser('user', function() {
+                jasmine.clock().tick(1);
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                        expect(fetchProfile.calls.count()).toBe(1);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('User tokens', function() {
+
+        var KEY = require('crypto').createHash('sha256').update(TOKEN).digest('hex');
+
+        var cacheTokens = function(tokenCache, callback) {
+            tokenCache.getProfile(TOKEN, getFetchProfile(PROFILE), function() {
+                tokenCache.getProfile('other', getFetchProfile({ id: 'other', _json: {} }), callback);
+            });
+        };
+
+        it('should list the tokens cached for a user', function(done) {
+            var tokenCache = getTokenCache();
+
+            cacheTokens(tokenCache, function() {
+                tokenCache.listUserTokens('user', function(err, tokens) {
+                    expect(err).toBe(null);
+                    expect(tokens).toEqual([{
+                        id: KEY,
+                        cached: new Date(2016, 0, 1),
+                        expires: new Date(new Date(2016, 0, 1).getTime() + 60000)
+                    }]);
+
+                    stores.tokenCacheUsers.get('user:' + KEY, function(err, entry) {
+                        expect(entry.token).toBe('encrypted:' + TOKEN);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should not list the tokens revoked', function(done) {
+            var tokenCache = getTokenCache();
+
+            cacheTokens(tokenCache, function() {
+                jasmine.clock().tick(1);
+
+                tokenCache.revokeUser('user', function() {
+                    tokenCache.listUserTokens('user', function(err, tokens) {
+                        expect(tokens).toEqual([]);
+
+                        tokenCache.revokeToken('other', function() {
+                            tokenCache.listUserTokens('other', function(err, tokens) {
+                                expect(tokens).toEqual([]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should remove the tokens of a user, returning them', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+
+            cacheTokens(tokenCache, function() {
+                tokenCache.removeUserToken('user', KEY, function(err, token) {
+
+                    expect(err).toBe(null);
+                    expect(token).toBe(TOKEN);
+
+                    tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                        expect(fetchProfile).toHaveBeenCalled();
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should not remove the tokens of other users', function(done) {
+            var tokenCache = getTokenCache();
+
+            cacheTokens(tokenCache, function() {
+                tokenCache.removeUserToken('other', KEY, function(err, token) {
+                    expect(err).toBe(null);
+                    expect(token).toBe(null);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('Revocation API', function() {
+
+        var getResponse = function() {
+            var res = jasmine.createSpyObj('res', ['status', 'json', 'end']);
+            res.status.and.returnValue(res);
+            return res;
+        };
+
+        var revoke = function(user, body, callback) {
+            var res = getResponse();
+
+            getTokenCache().revoke({ user: { id: user }, body: body }, res);
+
+            callback(res);
+        };
+
+        var testError = function(user, body, status, code) {
+            revoke(user, body, function(res) {
+                expect(res.status).toHaveBeenCalledWith(status);
+                expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({ code: code }));
+            });
+        };
+
+        it('should not allow users other than admins to revoke tokens', function() {
+            testError('user', JSON.stringify({ token: TOKEN }), 403, 'TOKEN_CACHE_FORBIDDEN');
+        });
+
+        it('should return 400 when the body is not a valid JSON', function() {
+            testError('admin', 'invalid', 400, 'INVALID_JSON');
+        });
+
+        it('should return 400 when neither a token nor a user is given', function() {
+            testError('admin', JSON.stringify({}), 400, 'TOKEN_CACHE_INVALID_REVOCATION');
+        });
+
+        it('should return 400 when both a token and a user are given', function() {
+            testError('admin', JSON.stringify({ token: TOKEN, user: 'user' }), 400, 'TOKEN_CACHE_INVALID_REVOCATION');
+        });
+
+        it('should revoke tokens', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+            var res = getResponse();
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                tokenCache.revoke({ user: { id: 'admin' }, body: new Buffer(JSON.stringify({ token: TOKEN })) }, res);
+
+                expect(res.status).toHaveBeenCalledWith(204);
+                expect(res.end).toHaveBeenCalled();
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+
+        it('should revoke the tokens of users', function(done) {
+            var tokenCache = getTokenCache();
+            var fetchProfile = getFetchProfile(PROFILE);
+            var res = getResponse();
+
+            tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                jasmine.clock().tick(1);
+                tokenCache.revoke({ user: { id: 'admin' }, body: JSON.stringify({ user: 'user' }) }, res);
+
+                expect(res.status).toHaveBeenCalledWith(204);
+
+                tokenCache.getProfile(TOKEN, fetchProfile, function() {
+                    expect(fetchProfile.calls.count()).toBe(2);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,331 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Tracing', function() {
+
+    var TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+    var SPAN_ID = '00f067aa0ba902b7';
+
+    var config;
+    var request;
+    var logger;
+    var finishedCallbacks;
+
+    var getTracer = function() {
+        return proxyquire('../../lib/tracing', {
+            './../config': config,
+            './logger': {
+                logger: {
+                    getLogger: function() {
+                        return logger;
+                    }
+                }
+            },
+            'on-finished': function(res, callback) {
+                finishedCallbacks.push(callback);
+            },
+            'request': request
+        }).tracer;
+    };
+
+    var getRequest = function(headers, user) {
+        return {
+            method: 'GET',
+            path: '/catalog/api',
+            headers: headers || {},
+            user: user
+        };
+    };
+
+    var getResponse = function() {
+        var res = jasmine.createSpyObj('res', ['setHeader']);
+        res.statusCode = 200;
+        return res;
+    };
+
+    // Serves a request with the middleware and finishes its response
+    var serve = function(tracer, req) {
+        var next = jasmine.createSpy('next');
+        var res = getResponse();
+
+        tracer.middleware(req, res, next);
+        expect(next).toHaveBeenCalled();
+
+        return res;
+    };
+
+    var finish = function() {
+        finishedCallbacks.forEach(function(callback) {
+            callback();
+        });
+    };
+
+    var getExportedSpans = function() {
+        expect(request).toHaveBeenCalled();
+        return request.calls.mostRecent().args[0].json;
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+        config.tracing = {
+            enabled: true,
+            serviceName: 'proxy',
+            exporter: {
+                type: 'zipkin',
+                url: 'http://collector:9411/api/v2/spans'
+            }
+        };
+
+        request = jasmine.createSpy('request');
+        logger = jasmine.createSpyObj('logger', ['info', 'warn']);
+        finishedCallbacks = [];
+    });
+
+    describe('Middleware', function() {
+
+        it('should generate the request ID and the trace when the client does not give them', function() {
+            var req = getRequest();
+            var res = serve(getTracer(), req);
+
+            expect(req.id).toMatch(/^[0-9a-f\-]{36}$/);
+            expect(req.trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(req.trace.spanId).toMatch(/^[0-9a-f]{16}$/);
+            expect(req.trace.flags).toBe('01');
+
+            expect(res.setHeader).toHaveBeenCalledWith('X-Request-ID', req.id);
+            expect(res.setHeader).toHaveBeenCalledWith('traceresponse',
+                '00-' + req.trace.traceId + '-' + req.trace.spanId + '-01');
+        });
+
+        it('should use the request ID given by the client', function() {
+            var req = getRequest({ 'x-request-id': 'client-request-1' });
+            var res = serve(getTracer(), req);
+
+            expect(req.id).toBe('client-request-1');
+            expect(res.setHeader).toHaveBeenCalledWith('X-Request-ID', 'client-request-1');
+        });
+
+        it('should not use request IDs with invalid characters', function() {
+            var req = getRequest({ 'x-request-id': 'bad id\n' });
+            serve(getTracer(), req);
+
+            expect(req.id).not.toBe('bad id\n');
+            expect(req.id).toMatch(/^[0-9a-f\-]{36}$/);
+        });
+
+        it('should continue the trace given in the traceparent header', function() {
+            var req = getRequest({ 'traceparent': '00-' + TRACE_ID + '-' + SPAN_ID + '-00' });
+            serve(getTracer(), req);
+
+            expect(req.trace.traceId).toBe(TRACE_ID);
+            expect(req.trace.spanId).not.toBe(SPAN_ID);
+            expect(req.trace.flags).toBe('00');
+        });
+
+        var testInvalidTraceparent = function(traceparent) {
+            var req = getRequest({ 'traceparent': traceparent });
+            serve(getTracer(), req);
+
+            expect(req.trace.traceId).not.toBe(TRACE_ID);
+            expect(req.trace.flags).toBe('01');
+        };
+
+        it('should start a new trace when the traceparent header is malformed', function() {
+            testInvalidTraceparent('00-' + TRACE_ID + '-' + SPAN_ID);
+        });
+
+        it('should start a new trace when the version of the traceparent header is invalid', function() {
+            testInvalidTraceparent('ff-' + TRACE_ID + '-' + SPAN_ID + '-01');
+        });
+
+        it('should start a new trace when the traceparent header contains zero identifiers', function() {
+            testInvalidTraceparent('00-' + TRACE_ID + '-0000000000000000-01');
+        });
+    });
+
+    describe('Propagation', function() {
+
+        it('should return the headers of the request with the span of the call', function() {
+            var tracer = getTracer();
+            var req = getRequest();
+            serve(tracer, req);
+
+            var span = tracer.startSpan(req, 'upstream catalog', 'CLIENT');
+
+            expect(tracer.getHeaders(req, span)).toEqual({
+                'x-request-id': req.id,
+                'traceparent': '00-' + req.trace.traceId + '-' + span.id + '-01'
+            });
+        });
+
+        it('should use the span of the request when the span of the call is not given', function() {
+            var tracer = getTracer();
+            var req = getRequest();
+            serve(tracer, req);
+
+            expect(tracer.getHeaders(req)['traceparent']).toBe('00-' + req.trace.traceId + '-' +
+                req.trace.spanId + '-01');
+        });
+
+        it('should not return headers for requests without ID nor trace', function() {
+            var tracer = getTracer();
+            var span = tracer.startSpan({}, 'upstream catalog', 'CLIENT');
+
+            expect(span.id).toBe(null);
+            expect(tracer.getHeaders({}, span)).toEqual({});
+        });
+    });
+
+    describe('Export', function() {
+
+        it('should export the span of the request and its child spans to the collector', function() {
+            var tracer = getTracer();
+            var req = getRequest({ 'traceparent': '00-' + TRACE_ID + '-' + SPAN_ID + '-01' }, { id: 'user' });
+            serve(tracer, req);
+
+            tracer.startSpan(req, 'upstream catalog', 'CLIENT', { 'http.method': 'GET' }).end({
+                'http.status_code': 200
+            });
+            finish();
+            tracer.flush();
+
+            expect(request.calls.mostRecent().args[0].url).toBe('http://collector:9411/api/v2/spans');
+            expect(request.calls.mostRecent().args[0].method).toBe('POST');
+
+            var spans = getExportedSpans();
+
+            expect(spans.length).toBe(2);
+
+            expect(spans[0].traceId).toBe(TRACE_ID);
+            expect(spans[0].parentId).toBe(req.trace.spanId);
+            expect(spans[0].name).toBe('upstream catalog');
+            expect(spans[0].kind).toBe('CLIENT');
+            expect(spans[0].tags).toEqual({ 'http.method': 'GET', 'http.status_code': '200' });
+            expect(spans[0].localEndpoint).toEqual({ serviceName: 'proxy' });
+
+            expect(spans[1].id).toBe(req.trace.spanId);
+            expect(spans[1].parentId).toBe(SPAN_ID);
+            expect(spans[1].name).toBe('GET /catalog/api');
+            expect(spans[1].kind).toBe('SERVER');
+            expect(spans[1].tags).toEqual({
+                'http.method': 'GET',
+                'http.path': '/catalog/api',
+                'request.id': req.id,
+                'http.status_code': '200',
+                'user.id': 'user'
+            });
+        });
+
+        it('should export spans when the batch is complete', function() {
+            config.tracing.exporter.batchSize = 2;
+
+            var tracer = getTracer();
+            var req = getRequest();
+            serve(tracer, req);
+
+            tracer.startSpan(req, 'Pre-Validation (catalog)').end();
+            expect(request).not.toHaveBeenCalled();
+
+            tracer.startSpan(req, 'Post-Validation (catalog)').end();
+            expect(getExportedSpans().length).toBe(2);
+        });
+
+        it('should export spans periodically', function() {
+            jasmine.clock().install();
+
+            var tracer = getTracer();
+            var req = getRequest();
+            serve(tracer, req);
+
+            tracer.startSpan(req, 'Pre-Validation (catalog)').end();
+            jasmine.clock().tick(4999);
+            expect(request).not.toHaveBeenCalled();
+
+            jasmine.clock().tick(1);
+            expect(getExportedSpans().length).toBe(1);
+
+            jasmine.clock().uninstall();
+        });
+
+        it('should not export spans twice', function() {
+            var tracer = getTracer();
+            var req = getRequest();
+            serve(tracer, req);
+
+            var span = tracer.startSpan(req, 'Pre-Validation (catalog)');
+            span.end();
+            span.end();
+            tracer.flush();
+
+            expect(getExportedSpans().length).toBe(1);
+        });
+
+        it('should not export spans of traces that are not sampled', function() {
+            var tracer = getTracer();
+            serve(tracer, getRequest({ 'traceparent': '00-' + TRACE_ID + '-' + SPAN_ID + '-00' }));
+
+            finish();
+            tracer.flush();
+
+            expect(request).not.toHaveBeenCalled();
+        });
+
+        it('should not export spans when tracing is disabled', function() {
+            config.tracing.enabled = false;
+
+            var tracer = getTracer();
+            serve(tracer, getRequest());
+
+            finish();
+            tracer.flush();
+
+            expect(request).not.toHaveBeenCalled();
+        });
+
+        it('should write the spans in the log when the log exporter is used', function() {
+            config.tracing.exporter = { type: 'log' };
+
+            var tracer = getTracer();
+            serve(tracer, getRequest());
+
+            finish();
+            tracer.flush();
+
+            expect(request).not.toHaveBeenCalled();
+            expect(logger.info).toHaveBeenCalledWith(jasmine.stringMatching('"name":"GET /catalog/api"'));
+        });
+
+        it('should log a warning when the collector cannot be reached', function() {
+            request.and.callFake(function(options, callback) {
+                callback({ message: 'ECONNREFUSED' });
+            });
+
+            var tracer = getTracer();
+            serve(tracer, getRequest());
+
+            finish();
+            tracer.flush();
+
+            expect(logger.warn).toHaveBeenCalledWith('%d spans cannot be exported: %s', 1, 'ECONNREFUSED');
+        });
+    });
+});
@@ -0,0 +1,734 @@
+/* Copyright (c) 2015 - 2016 CoNWeT Lab., Universidad Politécnica de Madrid
+ *
+ * This file belongs to the business-ecosystem-logic-proxy of the
+ * Business API Ecosystem
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    proxyquire = require('proxyquire'),
+    testUtils = require('../utils');
+
+describe('Upstream', function() {
+
+    var PATH = '/catalog/api/catalogManagement/v2/productOffering';
+
+    var config;
+    var request;
+    var calledUrls;
+
+    // Fake HTTP client that answers with the result configured for every URL
+    var getHttpClient = function(results) {
+
+        calledUrls = [];
+
+        return jasmine.createSpy('request').and.callFake(function(options, callback) {
+
+            var baseUrl = options.url.replace(PATH, '');
+            var result = results[baseUrl] || { response: { statusCode: 200 }, body: 'OK' };
+            var proxyRequest = new EventEmitter();
+
+            calledUrls.push(options.url);
+
+            if (callback) {
+                callback(result.err, result.err ? undefined : result.response, result.body);
+            }
+
+            return proxyRequest;
+        });
+    };
+
+    var getUpstream = function(results) {
+        request = getHttpClient(results || {});
+        return testUtils.getUpstream(config, request).upstream;
+    };
+
+    var connectionError = function() {
+        var err = new Error('connect ECONNREFUSED');
+        err.code = 'ECONNREFUSED';
+        return { err: err };
+    };
+
+    beforeEach(function() {
+        config = testUtils.getDefaultConfig();
+    });
+
+    describe('Replicas', function() {
+
+        var testGetReplicas = function(expected) {
+            expect(getUpstream().getReplicas('catalog')).toEqual(expected);
+        };
+
+        it('should use the global host and protocol when the endpoint does not define them', function() {
+            testGetReplicas(['http://example.com:99']);
+        });
+
+        it('should use https when the app uses SSL', function() {
+            config.appSsl = true;
+            testGetReplicas(['https://example.com:99']);
+        });
+
+        it('should use the host, protocol and base path of the endpoint', function() {
+            config.endpoints.catalog.host = 'apis.example.com';
+            config.endpoints.catalog.protocol = 'https';
+            config.endpoints.catalog.basePath = 'tmf/';
+            testGetReplicas(['https://apis.example.com:99/tmf']);
+        });
+
+        it('should inherit the settings of the endpoint in every replica', function() {
+            config.endpoints.catalog.host = 'apis.example.com';
+            config.endpoints.catalog.basePath = '/tmf';
+            config.endpoints.catalog.replicas = [
+                { host: 'apis1.example.com' },
+                { port: 8080, basePath: '' },
+                { host: 'apis3.example.com', protocol: 'https', port: 443 }
+            ];
+
+            testGetReplicas([
+                'http://apis1.example.com:99/tmf',
+                'http://apis.example.com:8080',
+                'https://apis3.example.com:443/tmf'
+            ]);
+        });
+
+        it('should throw an error for unknown endpoints', function() {
+            expect(function() {
+                getUpstream().getReplicas('unknown');
+            }).toThrow(new Error('Unknown endpoint: unknown'));
+        });
+    });
+
+    describe('Endpoint name', function() {
+
+        it('should return the endpoint whose path is the given one', function() {
+            config.endpoints.catalog.path = 'DSProductCatalog';
+            expect(getUpstream().getEndpointName('DSProductCatalog')).toBe('catalog');
+        });
+
+        it('should return undefined for unknown APIs', function() {
+            expect(getUpstream().getEndpointName('nonexistingapi')).toBeUndefined();
+        });
+    });
+
+    describe('Requests', function() {
+
+        var REPLICA_1 = 'http://apis1.example.com:99';
+        var REPLICA_2 = 'http://apis2.example.com:99';
+        var REPLICA_3 = 'http://apis3.example.com:99';
+
+        beforeEach(function() {
+            config.endpoints.catalog.replicas = [
+                { host: 'apis1.example.com' },
+                { host: 'apis2.example.com' },
+                { host: 'apis3.example.com' }
+            ];
+        });
+
+        it('should send requests to the configured host', function(done) {
+            delete config.endpoints.catalog.replicas;
+
+            getUpstream().request('catalog', PATH, function(err, response, body) {
+                expect(err).toBeFalsy();
+                expect(response.statusCode).toBe(200);
+                expect(body).toBe('OK');
+                expect(calledUrls).toEqual(['http://example.com:99' + PATH]);
+                done();
+            });
+        });
+
+        it('should keep the request options and not modify them', function() {
+            var options = {
+                url: PATH,
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: '{}'
+            };
+
+            getUpstream().request('catalog', options, function() {});
+
+            expect(request).toHaveBeenCalledWith({
+                url: REPLICA_1 + PATH,
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: '{}'
+            }, jasmine.any(Function));
+            expect(options.url).toBe(PATH);
+        });
+
+        it('should balance requests among replicas using round-robin', function() {
+            var upstream = getUpstream();
+
+            for (var i = 0; i < 4; i++) {
+                upstream.request('catalog', PATH, function() {});
+            }
+
+            expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH, REPLICA_3 + PATH, REPLICA_1 + PATH]);
+        });
+
+        it('should send requests to the replica with less active requests when using least-connections', function() {
+            config.endpoints.catalog.balancing = 'least-connections';
+
+            var upstream = getUpstream();
+
+            // Streamed requests remain active until they end
+            upstream.request('catalog', PATH);
+            upstream.request('catalog', PATH).emit('end');
+            upstream.request('catalog', PATH);
+            upstream.request('catalog', PATH);
+
+            expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH, REPLICA_3 + PATH, REPLICA_2 + PATH]);
+        });
+
+        it('should fail over to the next replica when a replica cannot be reached', function(done) {
+            var results = {};
+            results[REPLICA_1] = connectionError();
+
+            getUpstream(results).request('catalog', PATH, function(err, response) {
+                expect(err).toBeFalsy();
+                expect(response.statusCode).toBe(200);
+                expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH]);
+                done();
+            });
+        });
+
+        it('should skip unhealthy replicas in the following requests', function() {
+            var results = {};
+            results[REPLICA_2] = connectionError();
+
+            var upstream = getUpstream(results);
+
+            for (var i = 0; i < 4; i++) {
+                upstream.request('catalog', PATH, function() {});
+            }
+
+            expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH, REPLICA_3 + PATH,
+                REPLICA_1 + PATH, REPLICA_3 + PATH]);
+        });
+
+        it('should use unhealthy replicas again once the recovery time has elapsed', function() {
+            config.endpoints.catalog.replicas = [{ host: 'apis1.example.com' }, { host: 'apis2.example.com' }];
+            config.endpoints.catalog.recoveryTime = 0;
+
+            var results = {};
+            results[REPLICA_1] = connectionError();
+
+            var upstream = getUpstream(results);
+            upstream.request('catalog', PATH, function() {});
+
+            delete results[REPLICA_1];
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH, REPLICA_1 + PATH]);
+        });
+
+        it('should return the error when no replica can be reached', function(done) {
+            var results = {};
+            results[REPLICA_1] = connectionError();
+            results[REPLICA_2] = connectionError();
+            results[REPLICA_3] = connectionError();
+
+            getUpstream(results).request('catalog', PATH, function(err, response) {
+                expect(err.code).toBe('ECONNREFUSED');
+                expect(response).toBeUndefined();
+                expect(calledUrls.length).toBe(3);
+                done();
+            });
+        });
+
+        it('should not fail over when the error is not a connection error', function(done) {
+            var err = new Error('socket hang up');
+            err.code = 'ECONNRESET';
+
+            var results = {};
+            results[REPLICA_1] = { err: err };
+
+            getUpstream(results).request('catalog', PATH, function(err) {
+                expect(err.code).toBe('ECONNRESET');
+                expect(calledUrls).toEqual([REPLICA_1 + PATH]);
+                done();
+            });
+        });
+
+        it('should not fail over when the body has been piped into the request', function(done) {
+            var results = {};
+            results[REPLICA_1] = connectionError();
+
+            var upstream = getUpstream(results);
+
+            // The callback is called once the piped body has been sent
+            request.and.callFake(function(options, callback) {
+                var proxyRequest = new EventEmitter();
+                calledUrls.push(options.url);
+
+                proxyRequest.on('pipe', function() {
+                    setImmediate(callback, results[REPLICA_1].err);
+                });
+
+                return proxyRequest;
+            });
+
+            var proxyRequest = upstream.request('catalog', PATH, function(err) {
+                expect(err.code).toBe('ECONNREFUSED');
+                expect(calledUrls).toEqual([REPLICA_1 + PATH]);
+                done();
+            });
+
+            proxyRequest.emit('pipe', {});
+        });
+
+        it('should mark replicas as unhealthy when streamed requests cannot connect', function() {
+            var upstream = getUpstream();
+
+            upstream.request('catalog', PATH).emit('error', connectionError().err);
+            upstream.request('catalog', PATH);
+            upstream.request('catalog', PATH);
+
+            expect(calledUrls).toEqual([REPLICA_1 + PATH, REPLICA_2 + PATH, REPLICA_3 + PATH]);
+
+            upstream.request('catalog', PATH);
+            expect(calledUrls[3]).toBe(REPLICA_2 + PATH);
+        });
+    });
+
+    describe('Timeouts and retries', function() {
+
+        var URL = 'http://example.com:99' + PATH;
+
+        var serviceUnavailable = function() {
+            return { response: { statusCode: 503 }, body: 'Service Unavailable' };
+        };
+
+        // Makes the HTTP client answer with the given results in order
+        var answerWith = function(results) {
+            request.and.callFake(function(options, callback) {
+                var result = results.shift() || { response: { statusCode: 200 }, body: 'OK' };
+                var proxyRequest = new EventEmitter();
+
+                calledUrls.push(options.url);
+
+                if (callback) {
+                    callback(result.err, result.err ? undefined : result.response, result.body);
+                }
+
+                return proxyRequest;
+            });
+        };
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            jasmine.clock().mockDate();
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should use the read timeout of the endpoint', function() {
+            config.endpoints.catalog.readTimeout = 5000;
+
+            getUpstream().request('catalog', PATH, function() {});
+
+            expect(request).toHaveBeenCalledWith({ url: URL, timeout: 5000 }, jasmine.any(Function));
+        });
+
+        it('should use the default read timeout when the endpoint does not define it', function() {
+            config.upstream = { readTimeout: 10000 };
+
+            getUpstream().request('catalog', PATH, function() {});
+
+            expect(request).toHaveBeenCalledWith({ url: URL, timeout: 10000 }, jasmine.any(Function));
+        });
+
+        it('should fail requests that cannot connect before the connect timeout', function() {
+            config.endpoints.catalog.connectTimeout = 1000;
+
+            var proxyRequest;
+            var upstream = getUpstream();
+
+            request.and.callFake(function() {
+                proxyRequest = new EventEmitter();
+                proxyRequest.abort = jasmine.createSpy('abort');
+                return proxyRequest;
+            });
+
+            var errorHandler = jasmine.createSpy('error');
+            upstream.request('catalog', PATH).on('error', errorHandler);
+
+            proxyRequest.emit('socket', { connecting: true, once: function() {} });
+            jasmine.clock().tick(1001);
+
+            expect(proxyRequest.abort).toHaveBeenCalled();
+            expect(errorHandler).toHaveBeenCalledWith(jasmine.objectContaining({ code: 'ETIMEDOUT', connect: true }));
+        });
+
+        it('should not fail requests that connect before the connect timeout', function() {
+            config.endpoints.catalog.connectTimeout = 1000;
+
+            var proxyRequest;
+            var socket = new EventEmitter();
+            var upstream = getUpstream();
+
+            request.and.callFake(function() {
+                proxyRequest = new EventEmitter();
+                proxyRequest.abort = jasmine.createSpy('abort');
+                return proxyRequest;
+            });
+
+            upstream.request('catalog', PATH);
+
+            socket.connecting = true;
+            proxyRequest.emit('socket', socket);
+            socket.emit('connect');
+            jasmine.clock().tick(1001);
+
+            expect(proxyRequest.abort).not.toHaveBeenCalled();
+        });
+
+        var testRetries = function(method, results, expectedCalls, expectedStatus) {
+            config.endpoints.catalog.retries = 2;
+            config.endpoints.catalog.retryDelay = 100;
+
+            var upstream = getUpstream();
+            var callback = jasmine.createSpy('callback');
+
+            answerWith(results);
+            upstream.request('catalog', { url: PATH, method: method }, callback);
+
+            // Backoff of 100 and 200 milliseconds
+            jasmine.clock().tick(100);
+            jasmine.clock().tick(200);
+
+            expect(calledUrls.length).toBe(expectedCalls);
+            expect(callback.calls.count()).toBe(1);
+
+            if (expectedStatus) {
+                expect(callback.calls.argsFor(0)[1].statusCode).toBe(expectedStatus);
+            }
+
+            return callback;
+        };
+
+        it('should retry idempotent requests when the API is unavailable', function() {
+            testRetries('GET', [serviceUnavailable(), serviceUnavailable()], 3, 200);
+        });
+
+        it('should retry idempotent requests after read timeouts', function() {
+            var err = new Error('ESOCKETTIMEDOUT');
+            err.code = 'ESOCKETTIMEDOUT';
+
+            testRetries('PUT', [{ err: err }], 2, 200);
+        });
+
+        it('should give up after the configured number of retries', function() {
+            testRetries('DELETE', [serviceUnavailable(), serviceUnavailable(), serviceUnavailable()], 3, 503);
+        });
+
+        it('should not retry non idempotent requests', function() {
+            testRetries('POST', [serviceUnavailable()], 1, 503);
+        });
+
+        it('should not retry requests that failed because of the client', function() {
+            testRetries('GET', [{ response: { statusCode: 404 } }], 1, 404);
+        });
+
+        it('should double the delay in every retry', function() {
+            config.upstream = { retries: 3, retryDelay: 50 };
+
+            var upstream = getUpstream();
+
+            expect(upstream.getRetryDelay('catalog', 'GET', 0, null, { statusCode: 502 })).toBe(50);
+            expect(upstream.getRetryDelay('catalog', 'GET', 2, null, { statusCode: 502 })).toBe(200);
+            expect(upstream.getRetryDelay('catalog', 'GET', 3, null, { statusCode: 502 })).toBe(-1);
+            expect(upstream.getRetryDelay('catalog', 'PATCH', 0, null, { statusCode: 502 })).toBe(-1);
+        });
+
+    });
+
+    describe('Circuit breaker', function() {
+
+        var serviceUnavailable = function() {
+            return { response: { statusCode: 503 }, body: 'Service Unavailable' };
+        };
+
+        var answerWith = function(results) {
+            request.and.callFake(function(options, callback) {
+                var result = results.shift() || { response: { statusCode: 200 }, body: 'OK' };
+
+                calledUrls.push(options.url);
+                callback(result.err, result.err ? undefined : result.response, result.body);
+
+                return new EventEmitter();
+            });
+        };
+
+        var openCircuit = function(upstream) {
+            answerWith([serviceUnavailable(), serviceUnavailable()]);
+
+            upstream.request('catalog', PATH, function() {});
+            upstream.request('catalog', PATH, function() {});
+        };
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            jasmine.clock().mockDate();
+
+            config.endpoints.catalog.circuitBreaker = {
+                failureThreshold: 2,
+                resetTimeout: 30
+            };
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should open the circuit after the configured number of consecutive failures', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls.length).toBe(2);
+            expect(upstream.getRetryAfter('catalog')).toBe(30);
+        });
+
+        it('should not open the circuit when it is not configured', function() {
+            delete config.endpoints.catalog.circuitBreaker;
+
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls.length).toBe(3);
+            expect(upstream.getRetryAfter('catalog')).toBe(0);
+        });
+
+        it('should give an error with the time to wait when the circuit is open', function(done) {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(10000);
+
+            upstream.request('catalog', PATH, function(err, response) {
+                expect(err.code).toBe(upstream.CIRCUIT_OPEN);
+                expect(err.retryAfter).toBe(20);
+                expect(response).toBeUndefined();
+                expect(calledUrls.length).toBe(2);
+                done();
+            });
+        });
+
+        it('should emit the error in streamed requests when the circuit is open', function(done) {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+
+            upstream.request('catalog', PATH).on('error', function(err) {
+                expect(err.code).toBe(upstream.CIRCUIT_OPEN);
+                expect(calledUrls.length).toBe(2);
+                done();
+            });
+        });
+
+        it('should not open the circuit while requests succeed', function() {
+            var upstream = getUpstream();
+
+            answerWith([serviceUnavailable(), { response: { statusCode: 200 } }, serviceUnavailable()]);
+
+            for (var i = 0; i < 3; i++) {
+                upstream.request('catalog', PATH, function() {});
+            }
+
+            expect(upstream.getRetryAfter('catalog')).toBe(0);
+        });
+
+        it('should close the circuit when the request made after the reset timeout succeeds', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(30000);
+
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls.length).toBe(3);
+            expect(upstream.getRetryAfter('catalog')).toBe(0);
+        });
+
+        it('should open the circuit again when the request made after the reset timeout fails', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(30000);
+
+            answerWith([serviceUnavailable()]);
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls.length).toBe(3);
+            expect(upstream.getRetryAfter('catalog')).toBe(30);
+        });
+
+        it('should let a single request through while checking whether the API has recovered', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(30000);
+
+            // The first request has not finished yet
+            request.and.callFake(function(options) {
+                calledUrls.push(options.url);
+                return new EventEmitter();
+            });
+
+            upstream.request('catalog', PATH, function() {});
+            upstream.request('catalog', PATH, function() {});
+
+            expect(calledUrls.length).toBe(3);
+        });
+
+        it('should open the circuit again when the request made after the reset timeout does not finish', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(30000);
+
+            request.and.callFake(function(options) {
+                calledUrls.push(options.url);
+                return new EventEmitter();
+            });
+
+            upstream.request('catalog', PATH, function() {});
+            jasmine.clock().tick(30000);
+
+            expect(upstream.getRetryAfter('catalog')).toBe(30);
+        });
+
+        it('should let another request through when the streamed probe is aborted', function() {
+            var upstream = getUpstream();
+
+            openCircuit(upstream);
+            jasmine.clock().tick(30000);
+
+            request.and.callFake(function(options) {
+                calledUrls.push(options.url);
+                return new EventEmitter();
+            });
+
+            upstream.request('catalog', PATH).emit('abort');
+            upstream.request('catalog', PATH);
+
+            expect(calledUrls.length).toBe(4);
+        });
+    });
+
+    describe('Metrics', function() {
+
+        var histogram;
+
+        var getMeasuredUpstream = function(results) {
+            histogram = jasmine.createSpyObj('histogram', ['observe']);
+            request = getHttpClient(results || {});
+
+            return proxyquire('../../lib/upstream', {
+                './../config': config,
+                './metrics': {
+                    metrics: {
+                        histogram: function() {
+                            return histogram;
+                        },
+                        startTimer: function() {
+                            return function() {
+                                return 0.25;
+                            };
+                        }
+                    }
+                },
+                'request': request
+            }).upstream;
+        };
+
+        it('should measure the time taken by the API to respond', function() {
+            getMeasuredUpstream().request('catalog', PATH, function() {});
+
+            expect(histogram.observe).toHaveBeenCalledWith({ endpoint: 'catalog', status: 200 }, 0.25);
+        });
+
+        it('should label failed requests with the code of the error', function() {
+            getMeasuredUpstream({ 'http://example.com:99': connectionError() }).request('catalog', PATH, function() {});
+
+            expect(histogram.observe).toHaveBeenCalledWith({ endpoint: 'catalog', status: 'ECONNREFUSED' }, 0.25);
+        });
+    });
+
+    describe('Trace propagation', function() {
+
+        var TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+        var SPAN_ID = '00f067aa0ba902b7';
+
+        var getContext = function() {
+            return {
+                id: 'request-id',
+                trace: { traceId: TRACE_ID, spanId: SPAN_ID, flags: '01' }
+            };
+        };
+
+        it('should send the request ID and the trace of the request being served', function() {
+            var upstream = getUpstream();
+
+            upstream.request('catalog', {
+                url: PATH,
+                headers: { accept: 'application/json', 'X-Request-ID': 'client-id' },
+                context: getContext()
+            }, function() {});
+
+            var options = request.calls.mostRecent().args[0];
+
+            expect(options.context).toBeUndefined();
+            expect(options.headers['accept']).toBe('application/json');
+            expect(options.headers['X-Request-ID']).toBeUndefined();
+            expect(options.headers['x-request-id']).toBe('request-id');
+
+            // The parent of the API span is the one of the call made by the proxy
+            var traceparent = options.headers['traceparent'].split('-');
+            expect(traceparent[0]).toBe('00');
+            expect(traceparent[1]).toBe(TRACE_ID);
+            expect(traceparent[2]).toMatch(/^[0-9a-f]{16}$/);
+            expect(traceparent[2]).not.toBe(SPAN_ID);
+            expect(traceparent[3]).toBe('01');
+        });
+
+        it('should use a different span in every attempt', function() {
+            var upstream = getUpstream({ 'http://example.com:99': connectionError() });
+
+            config.endpoints.catalog.replicas = [{}, { host: 'replica2' }];
+            upstream.request('catalog', { url: PATH, context: getContext() }, function() {});
+
+            var spans = request.calls.allArgs().map(function(args) {
+                return args[0].headers['traceparent'].split('-')[2];
+            });
+
+            expect(spans.length).toBe(2);
+            expect(spans[0]).not.toBe(spans[1]);
+        });
+
+        it('should not include trace headers when the request has no context', function() {
+            var upstream = getUpstream();
+
+            upstream.request('catalog', PATH, function() {});
+
+            expect(request.calls.mostRecent().args[0].headers).toBeUndefined();
+        });
+    });
+});
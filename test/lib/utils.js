@@ -54,6 +54,70 @@ describe('Utils', function() {
             expect(headers['X-Display-Name']).toBe(userInfo.displayName);
             expect(headers['X-Roles']).toBe('provider,seller,');
         });
+
+        it('should include the organizations of the user', function() {
+            var headers = {};
+
+            utils.attachUserHeaders(headers, {
+                id: 'sellers',
+                roles: [{ name: 'seller' }],
+                organizations: [{ id: 'sellers', roles: [] }, { id: 'buyers', roles: [] }],
+                member: { id: 'user-1' }
+            });
+
+            expect(headers['X-Nick-Name']).toBe('sellers');
+            expect(headers['X-Organizations']).toBe('sellers,buyers');
+            expect(headers['X-Actor-Nick-Name']).toBe('user-1');
+        });
+
+        it('should not include roles when the user does not have any', function() {
+            var headers = {};
+
+            utils.attachUserHeaders(headers, { id: 'user-1', displayName: 'User 1' });
+
+            expect(headers['X-Roles']).toBe('');
+        });
+
+        it('should include the service account of the requests made by one', function() {
+            var headers = {};
+
+            utils.attachUserHeaders(headers, {
+                id: 'seller',
+                roles: [],
+                serviceAccount: { id: 'client-id', scopes: ['ordering:status'] }
+            });
+
+            expect(headers['X-Nick-Name']).toBe('seller');
+            expect(headers['X-Service-Account']).toBe('client-id');
+        });
+    });
+
+    describe('Log', function() {
+
+        var log = function(user) {
+            var logger = jasmine.createSpyObj('logger', ['info']);
+
+            utils.log(logger, 'info', {
+                id: 'request-id',
+                headers: {},
+                connection: { remoteAddress: '127.0.0.1' },
+                method: 'GET',
+                url: '/catalog',
+                user: user
+            }, 'Message');
+
+            return logger.info.calls.argsFor(0);
+        };
+
+        it('should include the user of the request', function() {
+            expect(log({ id: 'user' })[3]).toBe('user');
+            expect(log(undefined)[3]).toBe('Anonymous');
+        });
+
+        it('should identify the service accounts', function() {
+            expect(log({ id: 'seller', serviceAccount: { id: 'client-id' } })[3])
+                .toBe('seller (service account client-id)');
+        });
     });
 
     describe('Check Roles', function() {
@@ -80,6 +144,15 @@ describe('Utils', function() {
             expect(utils.hasRole(userInfo, 'role')).toBeFalsy();
         });
 
+        it ('should accept roles given by their name', function() {
+            expect(utils.hasRole({ roles: ['norole', 'Role'] }, 'role')).toBeTruthy();
+        });
+
+        it ('should return false when the user does not have roles', function() {
+            expect(utils.hasRole({}, 'role')).toBeFalsy();
+            expect(utils.hasRole(null, 'role')).toBeFalsy();
+        });
+
     });
 
     describe('Validated Logged In', function() {
@@ -200,34 +273,6 @@ describe('Utils', function() {
         });
     });
 
-    describe('Get API Port', function() {
-
-        var testGetAPIPort = function(api) {
-            var port = utils.getAPIPort(api);
-            expect(port).toBe(config.endpoints[api].port);
-        };
-        
-        it('should return correct port for catalog', function() {
-            testGetAPIPort('catalog');
-        });        
-
-        it('should return correct port for ordering', function() {
-            testGetAPIPort('ordering');
-        });        
-
-        it('should return correct port for inventory', function() {
-            testGetAPIPort('inventory');
-        });        
-
-        it('should return correct port for charging', function() {
-            testGetAPIPort('charging');
-        });
-
-        it('should return correct port for rss', function() {
-            testGetAPIPort('rss');
-        });
-    });
-
     describe('Get Auth Token', function() {
         
         it('should return the token when X-Auth-Token included', function() {
@@ -279,7 +324,13 @@ describe('Utils', function() {
             // Check that response has been 
             expect(res.status).toHaveBeenCalledWith(401);
             expect(res.set).toHaveBeenCalledWith('WWW-Authenticate', 'IDM uri = ' + config.oauth2.server);
-            expect(res.send).toHaveBeenCalledWith({'error': errMsg});
+            expect(res.send).toHaveBeenCalledWith({
+                code: 'INVALID_AUTH_TOKEN',
+                reason: 'Invalid access token',
+                message: errMsg,
+                status: '401',
+                error: errMsg
+            });
         });
 
     });
@@ -382,4 +433,36 @@ describe('Utils', function() {
 
 
     });
-});
\ No newline at end of file
+
+    describe('Encryption', function() {
+
+        afterEach(function() {
+            delete config.sessionSecret;
+        });
+
+        it('should decrypt the encrypted secrets', function() {
+            config.sessionSecret = 'session secret';
+
+            var encrypted = utils.encrypt('access-token');
+
+            expect(encrypted).not.toContain('access-token');
+            expect(utils.encrypt('access-token')).not.toBe(encrypted);
+            expect(utils.decrypt(encrypted)).toBe('access-token');
+        });
+
+        it('should not decrypt the secrets encrypted with other key', function() {
+            config.sessionSecret = 'session secret';
+
+            var encrypted = utils.encrypt('access-token');
+
+            config.sessionSecret = 'new secret';
+
+            expect(utils.decrypt(encrypted)).toBe(null);
+        });
+
+        it('should not decrypt invalid secrets', function() {
+            expect(utils.decrypt('invalid')).toBe(null);
+            expect(utils.decrypt(undefined)).toBe(null);
+        });
+    });
+});
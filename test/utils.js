@@ -17,6 +17,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+var proxyquire = require('proxyquire');
+
 var defaultConfig = {
     port: 7496,
     proxyPrefix: '',
@@ -68,6 +70,7 @@ var defaultConfig = {
             port: 78
         }
     },
+    upstream: {},
     billingAccountOwnerRole: 'bill receiver',
     revenueModel: 30
 };
@@ -82,10 +85,25 @@ exports.emptyLogger = {
     logger: {
         getLogger: function() {
             return {
+                'debug': emptyFunction,
                 'info': emptyFunction,
                 'warn': emptyFunction,
                 'error': emptyFunction
             }
         }
     }
-};
\ No newline at end of file
+};
+
+// Upstream client that sends its requests to the endpoints of the given configuration
+exports.getUpstream = function(config, request) {
+
+    var stubs = {
+        './../config': config
+    };
+
+    if (request) {
+        stubs['request'] = request;
+    }
+
+    return proxyquire('../lib/upstream', stubs);
+};